@@ -11,6 +11,7 @@ import { getLogService } from './log-service.js';
 import * as profileManager from './profile-manager.js';
 import { isAllowedAboutExternalUrl } from './about-external-url.js';
 import { createRendererCommandDispatcher } from './renderer-command-dispatcher.js';
+import { createShowReportCommands } from './show-report.js';
 import { buildApplicationMenu } from './application-menu.js';
 import { createWindowStateManager } from './window-state-manager.js';
 import { createMainWindow } from './main-window-factory.js';
@@ -36,6 +37,7 @@ let autoBackupTimer;
 let analytics;
 let appStartTime;
 let rendererCommands;
+let showReport;
 let windowStateManager;
 let appLifecycle;
 
@@ -54,6 +56,14 @@ function initializeAppSetup(dependencies) {
     getWindow: () => mainWindow,
     debugLog
   });
+  showReport = createShowReportCommands({
+    getDb: () => dependencies.getDb?.(),
+    getCurrentProfile,
+    getWindow: () => mainWindow,
+    dialog,
+    getDefaultDirectory: () => app.getPath('documents'),
+    debugLog
+  });
   windowStateManager = createWindowStateManager({
     mainWindow,
     store,
@@ -127,7 +137,8 @@ function createApplicationMenu() {
     showAboutDialog,
     debugLog,
     logService: getLogService(),
-    rendererCommands
+    rendererCommands,
+    showReport
   });
 }
 // UI operation functions
@@ -8,7 +8,8 @@ function buildApplicationMenu({
   showAboutDialog,
   debugLog,
   logService,
-  rendererCommands
+  rendererCommands,
+  showReport
 }) {
   const application_menu = [
     {
@@ -94,9 +95,24 @@ function buildApplicationMenu({
         {
           label: "Start a New Session",
           click: () => {
+            showReport?.startSession();
             rendererCommands.closeAllTabs();
           },
         },
+        {
+          label: "Show Report...",
+          click: async () => {
+            try {
+              await showReport?.exportReport();
+            } catch (error) {
+              debugLog.warn('Failed to export show report from menu', {
+                module: 'app-setup',
+                function: 'exportShowReport',
+                error: error?.message || 'Unknown error'
+              });
+            }
+          },
+        },
       ],
     },
     {
@@ -130,6 +146,47 @@ function buildApplicationMenu({
             rendererCommands.deleteSelectedSong();
           },
         },
+        { type: "separator" },
+        {
+          label: "Play Statistics...",
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('menu:play-statistics');
+            }
+          },
+        },
+        {
+          label: "Find Duplicates...",
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('menu:find-duplicates');
+            }
+          },
+        },
+        {
+          label: "Verify Library...",
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('menu:verify-library');
+            }
+          },
+        },
+        {
+          label: "Analyze Loudness...",
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('menu:analyze-loudness');
+            }
+          },
+        },
+        {
+          label: "Auto-Trim Songs...",
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('menu:auto-trim');
+            }
+          },
+        },
       ],
     },
     {
@@ -151,6 +208,31 @@ function buildApplicationMenu({
             mainWindow.webContents.send("start_hotkey_save");
           },
         },
+        { type: "separator" },
+        {
+          label: "Export Hotkeys as Bundle...",
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('menu:export-hotkey-bundle');
+            }
+          },
+        },
+        {
+          label: "Import Hotkey Bundle...",
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('menu:import-hotkey-bundle');
+            }
+          },
+        },
+        { type: "separator" },
+        {
+          label: "Stop All Sound Effects",
+          accelerator: "CommandOrControl+.",
+          click: () => {
+            mainWindow.webContents.send('menu:stop-all-sfx');
+          },
+        },
       ],
     },
     {
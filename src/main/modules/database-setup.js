@@ -16,6 +16,7 @@ import { fileURLToPath } from 'url';
 import pkg from 'node-sqlite3-wasm';
 const { Database, onRuntimeInitialized } = pkg;
 import initializeMainDebugLog from './debug-log.js';
+import { ensureSearchIndex, runSchemaMigrations } from './schema-migrations.js';
 
 // Get __filename equivalent for ES6 modules (__dirname not currently used)
 const _filename = fileURLToPath(import.meta.url);
@@ -176,14 +177,22 @@ async function initializeMainDatabase() {
     // Store the database path for reference
     dbInstance._dbPath = dbPath;
     
-          debugLog?.info('Setting up database schema and indexes', { 
+    // Bring the schema up to date; the file is snapshotted first when a
+    // migration is pending, and databases from newer app versions are refused
+    try {
+      const migration = runSchemaMigrations(dbInstance, { dbPath, debugLog });
+      debugLog?.info('Database schema is up to date', {
         module: 'database-setup',
-        function: 'initializeMainDatabase' 
+        function: 'initializeMainDatabase',
+        fromVersion: migration.fromVersion,
+        toVersion: migration.toVersion,
+        snapshotPath: migration.snapshotPath
       });
-      // Setup database schema and indexes
-      await setupDatabaseSchema(dbInstance);
-      setupDatabaseIndexes(dbInstance);
-      migrateDatabase(dbInstance);
+      ensureSearchIndex(dbInstance, { debugLog });
+    } catch (migrationError) {
+      dbInstance.close();
+      throw migrationError;
+    }
 
       debugLog?.info('Database initialization completed successfully', {
         module: 'database-setup',
@@ -211,9 +220,7 @@ async function initializeMainDatabase() {
       dbInstance = new Database(':memory:');
       
       // Create basic tables for testing
-      await setupDatabaseSchema(dbInstance);
-      setupDatabaseIndexes(dbInstance);
-      migrateDatabase(dbInstance);
+      runSchemaMigrations(dbInstance, { debugLog });
 
       return dbInstance;
     } catch (fallbackError) {
@@ -224,119 +231,6 @@ async function initializeMainDatabase() {
   }
 }
 
-/**
- * Setup database schema
- */
-async function setupDatabaseSchema(db) {
-  try {
-    debugLog?.info('Setting up database schema', { module: 'database-setup', function: 'setupDatabaseSchema' });
-    
-    // Create tables if they don't exist using prepared statements
-    const categoriesStmt = db.prepare(`
-      CREATE TABLE IF NOT EXISTS categories (
-        code TEXT PRIMARY KEY,
-        description TEXT
-      )
-    `);
-    categoriesStmt.run();
-    categoriesStmt.finalize();
-    
-    const mrvoiceStmt = db.prepare(`
-      CREATE TABLE IF NOT EXISTS mrvoice (
-        id INTEGER PRIMARY KEY,
-        title TEXT,
-        artist TEXT,
-        category TEXT,
-        info TEXT,
-        filename TEXT,
-        time TEXT,
-        modtime INTEGER
-      )
-    `);
-    mrvoiceStmt.run();
-    mrvoiceStmt.finalize();
-    
-    debugLog?.info('Database schema setup completed', { module: 'database-setup', function: 'setupDatabaseSchema' });
-  } catch (error) {
-    debugLog?.error('Error setting up database schema:', { module: 'database-setup', function: 'setupDatabaseSchema', error: error.message, stack: error.stack });
-    throw error;
-  }
-}
-
-/**
- * Setup database indexes for better performance
- */
-function setupDatabaseIndexes(db) {
-  try {
-    debugLog?.info('Setting up database indexes', { module: 'database-setup', function: 'setupDatabaseIndexes' });
-    
-    // Category indexes
-    const categoryCodeStmt = db.prepare("CREATE UNIQUE INDEX IF NOT EXISTS 'category_code_index' ON categories(code)");
-    categoryCodeStmt.run();
-    categoryCodeStmt.finalize();
-    
-    const categoryDescStmt = db.prepare("CREATE UNIQUE INDEX IF NOT EXISTS 'category_description_index' ON categories(description)");
-    categoryDescStmt.run();
-    categoryDescStmt.finalize();
-
-    // Search indexes for better performance
-    const titleStmt = db.prepare("CREATE INDEX IF NOT EXISTS 'idx_title' ON mrvoice(title)");
-    titleStmt.run();
-    titleStmt.finalize();
-    
-    const artistStmt = db.prepare("CREATE INDEX IF NOT EXISTS 'idx_index' ON mrvoice(artist)");
-    artistStmt.run();
-    artistStmt.finalize();
-    
-    const infoStmt = db.prepare("CREATE INDEX IF NOT EXISTS 'idx_info' ON mrvoice(info)");
-    infoStmt.run();
-    infoStmt.finalize();
-    
-    const categoryStmt = db.prepare("CREATE INDEX IF NOT EXISTS 'idx_category' ON mrvoice(category)");
-    categoryStmt.run();
-    categoryStmt.finalize();
-    
-    debugLog?.info('Database indexes setup completed', { module: 'database-setup', function: 'setupDatabaseIndexes' });
-  } catch (error) {
-    debugLog?.warn('Error setting up database indexes:', { module: 'database-setup', function: 'setupDatabaseIndexes', error: error.message });
-  }
-}
-
-
-
-/**
- * Run database migrations for new columns
- * Each ALTER TABLE is wrapped in try/catch to be idempotent (column may already exist)
- */
-function migrateDatabase(db) {
-  const migrations = [
-    { sql: 'ALTER TABLE mrvoice ADD COLUMN volume INTEGER DEFAULT 100', name: 'volume' },
-    { sql: 'ALTER TABLE mrvoice ADD COLUMN start_time REAL DEFAULT NULL', name: 'start_time' },
-    { sql: 'ALTER TABLE mrvoice ADD COLUMN end_time REAL DEFAULT NULL', name: 'end_time' },
-  ];
-
-  for (const migration of migrations) {
-    try {
-      const stmt = db.prepare(migration.sql);
-      stmt.run();
-      stmt.finalize();
-      debugLog?.info(`Migration: added column ${migration.name}`, { module: 'database-setup', function: 'migrateDatabase' });
-    } catch (error) {
-      // "duplicate column name" is expected on subsequent launches — silent.
-      // Anything else (locked db, missing table, WASM error) is unexpected and
-      // would cause INSERT/UPDATE to silently store nulls — surface it.
-      const msg = String(error?.message || error || '');
-      if (!/duplicate column/i.test(msg)) {
-        debugLog?.warn(`Migration for column ${migration.name} failed: ${msg}`, {
-          module: 'database-setup',
-          function: 'migrateDatabase',
-          column: migration.name,
-        });
-      }
-    }
-  }
-}
-
 /**
  * Get the current database instance
  */
@@ -353,9 +247,6 @@ export {
 // Default export for module loading
 export default {
   initializeMainDatabase,
-  setupDatabaseSchema,
-  setupDatabaseIndexes,
-  migrateDatabase,
   getMainDatabase,
   isTestDatabaseFallbackAllowed
 };
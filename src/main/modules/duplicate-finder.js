@@ -0,0 +1,265 @@
+/**
+ * Duplicate Finder Module
+ *
+ * Finds songs that were imported more than once and merges them. Candidates
+ * are grouped three ways:
+ * - title-artist: same title and artist once accents, case and punctuation
+ *   are ignored
+ * - file-hash: the music files have identical contents
+ * - duration: same title with durations within a few seconds, for copies
+ *   whose artist is missing or spelled differently
+ *
+ * Merging keeps one row and deletes the others; their tags and play history
+ * move to the kept song, and so do their markers when the kept song has
+ * none. Hotkeys and holding tanks live in profile state and
+ * are repointed by the caller.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { normalizeWords } from './fuzzy-song-matcher.js';
+import { parseDurationSeconds } from './song-search-query.js';
+import { PLAY_HISTORY_TABLE } from './play-history.js';
+import { SONG_TAG_TABLE, deleteSongTags } from './song-tags.js';
+import { MARKER_TABLE, deleteSongMarkers } from './song-markers.js';
+
+const DUPLICATE_REASONS = ['title-artist', 'file-hash', 'duration'];
+const DEFAULT_DURATION_TOLERANCE = 2;
+
+function normalizeText(text) {
+  return normalizeWords(text).join(' ');
+}
+
+/**
+ * MD5 of a file's contents.
+ * @param {string} filePath
+ * @returns {Promise<string>} hex digest
+ */
+function hashSongFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('md5');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function groupBy(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+function groupByTitleAndArtist(rows) {
+  return groupBy(rows, (row) => {
+    const title = normalizeText(row.title);
+    return title ? `${title}\u0000${normalizeText(row.artist)}` : null;
+  });
+}
+
+// Only files whose sizes collide are read, and a file shared by several
+// rows is read once.
+async function groupByFileHash(rows, musicDirectory, hashFile, debugLog) {
+  const sized = [];
+  for (const row of rows) {
+    if (!row.filename) continue;
+    const filePath = path.join(musicDirectory, row.filename);
+    try {
+      sized.push({ row, filePath, size: (await fs.promises.stat(filePath)).size });
+    } catch {
+      // Missing files are reported by other tools, not here
+    }
+  }
+
+  const hashes = new Map();
+  const hashed = [];
+  for (const group of groupBy(sized, entry => (entry.size > 0 ? String(entry.size) : null))) {
+    for (const entry of group) {
+      try {
+        if (!hashes.has(entry.filePath)) hashes.set(entry.filePath, await hashFile(entry.filePath));
+        hashed.push({ row: entry.row, hash: hashes.get(entry.filePath) });
+      } catch (error) {
+        debugLog?.warn('Could not hash song file', {
+          module: 'duplicate-finder', function: 'groupByFileHash', file: entry.filePath, error: error.message
+        });
+      }
+    }
+  }
+  return groupBy(hashed, entry => entry.hash).map(group => group.map(entry => entry.row));
+}
+
+function groupByDuration(rows, tolerance) {
+  const groups = [];
+  for (const sameTitle of groupBy(rows, row => normalizeText(row.title) || null)) {
+    const timed = sameTitle
+      .map(row => ({ row, seconds: parseDurationSeconds(row.time) }))
+      .filter(entry => entry.seconds !== null)
+      .sort((a, b) => a.seconds - b.seconds);
+
+    let cluster = [];
+    const flush = () => {
+      const artists = new Set(cluster.map(entry => normalizeText(entry.row.artist)));
+      // Clusters with a single artist are already title-artist groups
+      if (cluster.length > 1 && artists.size > 1) groups.push(cluster.map(entry => entry.row));
+    };
+    for (const entry of timed) {
+      if (cluster.length && entry.seconds - cluster[cluster.length - 1].seconds > tolerance) {
+        flush();
+        cluster = [];
+      }
+      cluster.push(entry);
+    }
+    flush();
+  }
+  return groups;
+}
+
+/**
+ * Find groups of likely duplicate songs. A set of songs found by more than
+ * one check is listed once with all of its reasons.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [options]
+ * @param {string|null} [options.musicDirectory] - Without it, files are not compared
+ * @param {number} [options.durationTolerance=2] - Seconds
+ * @param {Function} [options.hashFile] - (filePath) => Promise<string>
+ * @param {Object} [options.debugLog]
+ * @returns {Promise<Array<{ reasons: Array<string>, songs: Array<Object> }>>}
+ *   groups ordered by title, songs ordered by ID
+ */
+async function findDuplicateGroups(db, {
+  musicDirectory = null,
+  durationTolerance = DEFAULT_DURATION_TOLERANCE,
+  hashFile = hashSongFile,
+  debugLog = null
+} = {}) {
+  const stmt = db.prepare('SELECT * FROM mrvoice ORDER BY id');
+  const rows = stmt.all() || [];
+  stmt.finalize();
+
+  const found = [
+    ...groupByTitleAndArtist(rows).map(songs => ({ reason: 'title-artist', songs })),
+    ...(musicDirectory
+      ? (await groupByFileHash(rows, musicDirectory, hashFile, debugLog)).map(songs => ({ reason: 'file-hash', songs }))
+      : []),
+    ...groupByDuration(rows, durationTolerance).map(songs => ({ reason: 'duration', songs }))
+  ];
+
+  const groups = new Map();
+  for (const { reason, songs } of found) {
+    const ordered = [...songs].sort((a, b) => a.id - b.id);
+    const key = ordered.map(song => song.id).join(',');
+    if (!groups.has(key)) groups.set(key, { reasons: [], songs: ordered });
+    const group = groups.get(key);
+    if (!group.reasons.includes(reason)) group.reasons.push(reason);
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      reasons: DUPLICATE_REASONS.filter(reason => group.reasons.includes(reason))
+    }))
+    .sort((a, b) => String(a.songs[0].title || '').localeCompare(String(b.songs[0].title || ''))
+      || a.songs[0].id - b.songs[0].id);
+}
+
+function normalizeSongId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error(`Invalid song ID: ${value}`);
+  }
+  return id;
+}
+
+/**
+ * Merge duplicates into one song: tags and play history move to the kept
+ * song, markers too when it has none, and the other rows are deleted. Music files are left in place.
+ * @param {Object} db
+ * @param {number|string} keepId
+ * @param {Array<number|string>} removeIds
+ * @returns {{ keptId: number, removedIds: Array<number>, orphanedFiles: Array<string> }}
+ *   orphanedFiles are the removed songs' filenames no remaining song uses
+ */
+function mergeDuplicateSongs(db, keepId, removeIds) {
+  const keptId = normalizeSongId(keepId);
+  const removedIds = [...new Set((Array.isArray(removeIds) ? removeIds : [removeIds]).map(normalizeSongId))];
+  if (!removedIds.length) {
+    throw new Error('No duplicate songs to merge');
+  }
+  if (removedIds.includes(keptId)) {
+    throw new Error('The kept song cannot also be removed');
+  }
+
+  const select = db.prepare('SELECT id, filename FROM mrvoice WHERE id = ?');
+  const removedRows = [];
+  try {
+    for (const id of [keptId, ...removedIds]) {
+      const row = select.get([id]);
+      if (!row) throw new Error(`Song not found: ${id}`);
+      if (id !== keptId) removedRows.push(row);
+    }
+  } finally {
+    select.finalize();
+  }
+
+  db.exec('BEGIN');
+  try {
+    const copyTags = db.prepare(`INSERT OR IGNORE INTO ${SONG_TAG_TABLE} (song_id, tag_id) SELECT ?, tag_id FROM ${SONG_TAG_TABLE} WHERE song_id = ?`);
+    const movePlays = db.prepare(`UPDATE ${PLAY_HISTORY_TABLE} SET song_id = ? WHERE song_id = ?`);
+    // Markers are positions in one recording, so one song's set is taken whole
+    const moveMarkers = db.prepare(
+      `UPDATE ${MARKER_TABLE} SET song_id = ? WHERE song_id = ? AND NOT EXISTS (SELECT 1 FROM ${MARKER_TABLE} WHERE song_id = ?)`
+    );
+    const remove = db.prepare('DELETE FROM mrvoice WHERE id = ?');
+    try {
+      for (const id of removedIds) {
+        copyTags.run([keptId, id]);
+        movePlays.run([keptId, id]);
+        moveMarkers.run([keptId, id, keptId]);
+        remove.run([id]);
+      }
+    } finally {
+      copyTags.finalize();
+      movePlays.finalize();
+      moveMarkers.finalize();
+      remove.finalize();
+    }
+    deleteSongTags(db, removedIds);
+    deleteSongMarkers(db, removedIds);
+    db.exec('COMMIT');
+  } catch (error) {
+    try {
+      db.exec('ROLLBACK');
+    } catch {
+      // SQLite already rolled back
+    }
+    throw error;
+  }
+
+  const inUse = db.prepare('SELECT 1 FROM mrvoice WHERE filename = ? LIMIT 1');
+  const orphanedFiles = [...new Set(removedRows.map(row => row.filename).filter(Boolean))]
+    .filter(filename => !inUse.get([filename]));
+  inUse.finalize();
+
+  return { keptId, removedIds, orphanedFiles };
+}
+
+export {
+  DUPLICATE_REASONS,
+  DEFAULT_DURATION_TOLERANCE,
+  hashSongFile,
+  findDuplicateGroups,
+  mergeDuplicateSongs
+};
+
+export default {
+  hashSongFile,
+  findDuplicateGroups,
+  mergeDuplicateSongs
+};
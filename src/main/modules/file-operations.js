@@ -18,10 +18,44 @@ let mainWindow;
 let store;
 let debugLog;
 
+// Hotkey files (.mrv) are `key::value` lines. Version 1 files have no
+// version line and hold F1-F12. Version 2 adds `version::2` and a
+// `grid::<rows>x<columns>` line, with pads f1 to f<rows*columns>; it is
+// only written for grids other than the original twelve-key list, so those
+// files still open in older versions. Version 3 adds how pads look:
+// `f3.label::<text>`, `f3.color::#rrggbb` and `f3.artwork::1`, and is only
+// written when a pad has one of them. The renderer's hotkey-grid.js and
+// hotkey-pad-appearance.js agree on these limits.
+const HOTKEY_FILE_VERSION = 3;
+const DEFAULT_HOTKEY_GRID = { rows: 12, columns: 1 };
+const MAX_HOTKEY_GRID_ROWS = 12;
+const MAX_HOTKEY_GRID_COLUMNS = 8;
+const MAX_PAD_LABEL_LENGTH = 40;
+
+// The value of a pad appearance line, or undefined when it is not valid
+function parsePadAppearanceValue(field, value) {
+  if (field === 'label') return value && value.length <= MAX_PAD_LABEL_LENGTH ? value : undefined;
+  if (field === 'color') return /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+  if (value === '1') return true;
+  return value === '0' ? false : undefined;
+}
+
+function parseHotkeyGrid(value) {
+  const match = value.match(/^(\d+)x(\d+)$/i);
+  const rows = Number(match?.[1]);
+  const columns = Number(match?.[2]);
+  if (!match || rows < 1 || rows > MAX_HOTKEY_GRID_ROWS || columns < 1 || columns > MAX_HOTKEY_GRID_COLUMNS) return null;
+  return { rows, columns };
+}
+
 function parseHotkeyFileLines(lines) {
   const hotkeys = {};
   let title = '';
+  let version = 1;
+  let grid = null;
   const errors = [];
+  const padLines = [];
+  const appearanceLines = [];
 
   lines.forEach((rawLine, index) => {
     const line = String(rawLine).trim();
@@ -33,17 +67,97 @@ function parseHotkeyFileLines(lines) {
     }
     const key = line.slice(0, separator).trim().toLowerCase();
     const value = line.slice(separator + 2).trim();
-    if (/^f(?:[1-9]|1[0-2])$/.test(key)) {
-      if (value && !/^\d+$/.test(value)) errors.push(`Line ${index + 1}: invalid song ID for ${key}`);
-      else hotkeys[key] = value;
+    const appearanceKey = key.match(/^(f[1-9]\d*)\.(label|color|artwork)$/);
+    if (/^f[1-9]\d*$/.test(key)) {
+      padLines.push({ key, value, lineNumber: index + 1 });
+    } else if (appearanceKey) {
+      appearanceLines.push({ key: appearanceKey[1], field: appearanceKey[2], value, lineNumber: index + 1 });
     } else if (key === 'tab_name') {
       title = value.replaceAll('_', ' ');
+    } else if (key === 'version' && /^\d+$/.test(value)) {
+      version = Number(value);
+      if (version > HOTKEY_FILE_VERSION) errors.push(`Line ${index + 1}: made by a newer version of Mx. Voice (hotkey file version ${version})`);
+    } else if (key === 'grid') {
+      grid = parseHotkeyGrid(value);
+      if (!grid) errors.push(`Line ${index + 1}: invalid grid "${value}"`);
     } else {
       errors.push(`Line ${index + 1}: unknown key "${key || '(empty)'}"`);
     }
   });
 
-  return { hotkeys, title, errors };
+  if (grid && version < 2) errors.push('A grid needs hotkey file version 2');
+  const padCount = version >= 2 && grid ? grid.rows * grid.columns : 12;
+  for (const { key, value, lineNumber } of padLines) {
+    if (Number(key.slice(1)) > padCount) {
+      errors.push(version >= 2 ? `Line ${lineNumber}: ${key} is outside the ${padCount} pad grid` : `Line ${lineNumber}: unknown key "${key}"`);
+    } else if (value && !/^\d+$/.test(value)) {
+      errors.push(`Line ${lineNumber}: invalid song ID for ${key}`);
+    } else {
+      hotkeys[key] = value;
+    }
+  }
+
+  const appearance = {};
+  if (appearanceLines.length && version < 3) errors.push('Pad labels, colors and artwork need hotkey file version 3');
+  for (const { key, field, value, lineNumber } of version >= 3 ? appearanceLines : []) {
+    const parsedValue = parsePadAppearanceValue(field, value);
+    if (Number(key.slice(1)) > padCount) {
+      errors.push(`Line ${lineNumber}: ${key} is outside the ${padCount} pad grid`);
+    } else if (parsedValue === undefined) {
+      errors.push(`Line ${lineNumber}: invalid ${field} for ${key}`);
+    } else if (parsedValue !== false) {
+      appearance[key] = { ...appearance[key], [field]: parsedValue };
+    }
+  }
+
+  return {
+    hotkeys,
+    title,
+    ...(grid ? { grid } : {}),
+    ...(Object.keys(appearance).length ? { appearance } : {}),
+    errors
+  };
+}
+
+// A pad's appearance lines; labels are kept to one line
+function formatPadAppearanceLines(key, { label, color, artwork } = {}) {
+  const lines = [];
+  const text = String(label ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_PAD_LABEL_LENGTH);
+  if (text) lines.push(`${key}.label::${text}`);
+  if (/^#[0-9a-f]{6}$/i.test(String(color ?? ''))) lines.push(`${key}.color::${color.toLowerCase()}`);
+  if (artwork === true) lines.push(`${key}.artwork::1`);
+  return lines;
+}
+
+/**
+ * Lines of a hotkey file for one tab.
+ * @param {Object} tab
+ * @param {Object} tab.hotkeys - Song IDs by pad key (f1, f2, …)
+ * @param {string} [tab.tabName]
+ * @param {{ rows: number, columns: number }} [tab.grid] - The original twelve-key list when missing
+ * @param {Object} [tab.appearance] - `{ label, color, artwork }` by pad key, for pads that have one
+ * @returns {string[]}
+ */
+function formatHotkeyFileLines({ hotkeys = {}, tabName = '', grid, appearance = {} } = {}) {
+  grid = grid || DEFAULT_HOTKEY_GRID;
+  const isDefaultGrid = grid.rows === DEFAULT_HOTKEY_GRID.rows && grid.columns === DEFAULT_HOTKEY_GRID.columns;
+  const padLines = [];
+  const appearanceLines = [];
+  for (let padNumber = 1; padNumber <= grid.rows * grid.columns; padNumber++) {
+    const key = `f${padNumber}`;
+    const songId = hotkeys[key];
+    // Anything but a song ID leaves the pad empty
+    const hasSong = /^\d+$/.test(String(songId ?? ''));
+    padLines.push(`${key}::${hasSong ? songId : ''}`);
+    if (hasSong && appearance?.[key]) appearanceLines.push(...formatPadAppearanceLines(key, appearance[key]));
+  }
+  // The oldest version that reads everything in the file
+  const version = appearanceLines.length ? HOTKEY_FILE_VERSION : (isDefaultGrid ? 1 : 2);
+  const lines = version === 1 ? [] : [`version::${version}`];
+  if (!isDefaultGrid) lines.push(`grid::${grid.rows}x${grid.columns}`);
+  lines.push(...padLines, ...appearanceLines);
+  if (typeof tabName === 'string' && tabName.trim()) lines.push(`tab_name::${tabName.replace(/ /g, '_')}`);
+  return lines;
 }
 
 // Initialize the module with dependencies
@@ -108,8 +222,11 @@ function loadHotkeysFile() {
         debugLog?.info('📁 fkey_mapping keys:', { module: 'file-operations', function: 'loadHotkeysFile', keys: Object.keys(fkey_mapping) });
         debugLog?.info('📁 fkey_mapping length:', { module: 'file-operations', function: 'loadHotkeysFile', length: fkey_mapping.length });
         debugLog?.info('📁 fkey_mapping content:', { module: 'file-operations', function: 'loadHotkeysFile', content: JSON.stringify(fkey_mapping) });
-        mainWindow.webContents.send('fkey_load', fkey_mapping, title);
-        resolve({ success: true, fkey_mapping, title });
+        // A file without a grid leaves the tab's grid to the renderer
+        const grid = parsed.grid || null;
+        const appearance = parsed.appearance || null;
+        mainWindow.webContents.send('fkey_load', fkey_mapping, title, grid, appearance);
+        resolve({ success: true, fkey_mapping, title, grid, appearance });
       }
     }).catch(err => {
       debugLog?.error('Error loading hotkeys file:', { module: 'file-operations', function: 'loadHotkeysFile', error: err });
@@ -163,8 +280,16 @@ function loadHoldingTankFile() {
   });
 }
 
-// Save hotkeys file
-function saveHotkeysFile(hotkeyArray) {
+// Save hotkeys file. `hotkeyTab` is { hotkeys, tabName, grid, appearance } (see
+// formatHotkeyFileLines), or the older array of the F1-F12 song IDs
+// followed by the tab name.
+function saveHotkeysFile(hotkeyTab) {
+  const tab = Array.isArray(hotkeyTab)
+    ? {
+      hotkeys: Object.fromEntries(hotkeyTab.slice(0, 12).map((songId, index) => [`f${index + 1}`, songId])),
+      tabName: hotkeyTab[12]
+    }
+    : hotkeyTab;
   dialog.showSaveDialog(mainWindow, {
     buttonLabel: 'Save',
     filters: [
@@ -180,56 +305,19 @@ function saveHotkeysFile(hotkeyArray) {
     else {
       const filename = result.filePath;
       debugLog?.info(`Processing file ${filename}`, { module: 'file-operations', function: 'saveHotkeysFile', filename: filename });
-      debugLog?.info(`Hotkey array received:`, { module: 'file-operations', function: 'saveHotkeysFile', hotkeyArray: hotkeyArray });
-      
+      debugLog?.info(`Hotkey tab received:`, { module: 'file-operations', function: 'saveHotkeysFile', hotkeyTab: tab });
+
+      const lines = formatHotkeyFileLines(tab);
       const file = fs.createWriteStream(filename);
-      
-      // Process the first 12 elements as hotkeys (f1 through f12)
-      for (let i = 0; i < 12; i++) {
-        const keyId = `f${i + 1}`;
-        const hotkeyValue = hotkeyArray[i];
-        
-        debugLog?.info(`Processing hotkey ${keyId}:`, { 
-          module: 'file-operations', 
-          function: 'saveHotkeysFile', 
-          index: i, 
-          value: hotkeyValue,
-          type: typeof hotkeyValue
-        });
-        
-        // Handle null, undefined, or empty values as empty hotkeys
-        if (hotkeyValue === null || hotkeyValue === undefined || hotkeyValue === '') {
-          file.write(`${keyId}::\n`);
-        } else if (/^\d+$/.test(hotkeyValue)) {
-          // Valid song ID
-          file.write(`${keyId}::${hotkeyValue}\n`);
-        } else {
-          // Invalid value - treat as empty
-          debugLog?.warn(`Invalid hotkey value for ${keyId}:`, { 
-            module: 'file-operations', 
-            function: 'saveHotkeysFile', 
-            value: hotkeyValue 
-          });
-          file.write(`${keyId}::\n`);
-        }
-      }
-      
-      // Process the 13th element as tab name if it exists
-      if (hotkeyArray.length > 12 && hotkeyArray[12]) {
-        const tabName = hotkeyArray[12];
-        if (typeof tabName === 'string' && tabName.trim()) {
-          file.write(`tab_name::${tabName.replace(/ /g, '_')}\n`);
-        }
-      }
-      
+      lines.forEach(line => file.write(`${line}\n`));
       file.end();
-      
-      debugLog?.info(`Hotkey file saved successfully to ${filename}`, { 
-        module: 'file-operations', 
-        function: 'saveHotkeysFile', 
+
+      debugLog?.info(`Hotkey file saved successfully to ${filename}`, {
+        module: 'file-operations',
+        function: 'saveHotkeysFile',
         filename: filename,
-        totalHotkeys: 12,
-        tabNameIncluded: hotkeyArray.length > 12 && !!hotkeyArray[12]
+        grid: tab?.grid || null,
+        tabNameIncluded: lines.some(line => line.startsWith('tab_name::'))
       });
     }
   }).catch(err => {
@@ -347,7 +435,8 @@ export {
   addDirectoryDialog,
   addFileDialog,
   migrateOldPreferences,
-  parseHotkeyFileLines
+  parseHotkeyFileLines,
+  formatHotkeyFileLines
 };
 
 // Default export for module loading
@@ -360,5 +449,6 @@ export default {
   addDirectoryDialog,
   addFileDialog,
   migrateOldPreferences,
-  parseHotkeyFileLines
+  parseHotkeyFileLines,
+  formatHotkeyFileLines
 };
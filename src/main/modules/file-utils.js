@@ -4,7 +4,7 @@
 
 import fs from 'fs';
 import path from 'path';
-import { createReadStream, createWriteStream } from 'fs';
+import { createReadStream, createWriteStream, promises as fsPromises } from 'fs';
 import { pipeline } from 'stream/promises';
 
 const SUPPORTED_AUDIO_EXTENSIONS = new Set(['.mp3', '.mp4', '.m4a', '.wav', '.ogg', '.flac', '.opus']);
@@ -13,6 +13,30 @@ function isSupportedAudioFile(filePath) {
   return SUPPORTED_AUDIO_EXTENSIONS.has(path.extname(filePath).toLowerCase());
 }
 
+/**
+ * Every supported audio file under a directory, recursively. Hidden entries
+ * and symbolic links are skipped.
+ * @param {string} rootPath
+ * @returns {Promise<Array<string>>} absolute file paths
+ */
+async function listAudioFiles(rootPath) {
+  const audioFiles = [];
+  const visit = async directory => {
+    const entries = await fsPromises.readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isSymbolicLink()) continue;
+      if (entry.isDirectory()) await visit(entryPath);
+      else if (entry.isFile() && isSupportedAudioFile(entry.name)) {
+        audioFiles.push(entryPath);
+      }
+    }
+  };
+  await visit(rootPath);
+  return audioFiles;
+}
+
 // Streaming file copy for large files with optional progress tracking.
 async function copyFileStreaming(source, destination, { progressCallback = null, debugLog = null } = {}) {
   let sourceStream = null;
@@ -114,4 +138,4 @@ async function copyFileStreaming(source, destination, { progressCallback = null,
   }
 }
 
-export { SUPPORTED_AUDIO_EXTENSIONS, isSupportedAudioFile, copyFileStreaming };
+export { SUPPORTED_AUDIO_EXTENSIONS, isSupportedAudioFile, listAudioFiles, copyFileStreaming };
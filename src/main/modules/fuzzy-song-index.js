@@ -0,0 +1,133 @@
+/**
+ * Fuzzy Song Index Module
+ *
+ * The normalized title, artist and info of every song, kept in memory for
+ * the omni-search fuzzy fallback so a search does not read and normalize the
+ * whole library. A vocabulary of the songs' words narrows each search to the
+ * songs with a word near a query word before any of them is scored.
+ *
+ * The index is rebuilt when the database has changed since it was built
+ * (SQLite's total_changes() for the connection), so every writer keeps it
+ * current without having to know it exists. Any write, a logged play
+ * included, costs one rebuild at the next fuzzy search.
+ */
+
+import {
+  normalizeWords,
+  maxEditsForLength,
+  wordEditDistance,
+  prepareFields,
+  scorePreparedFields
+} from './fuzzy-song-matcher.js';
+
+// Built indexes by database connection
+const indexes = new WeakMap();
+
+function getChangeCount(db) {
+  const stmt = db.prepare('SELECT total_changes() AS changes');
+  try {
+    return stmt.get()?.changes ?? 0;
+  } finally {
+    stmt.finalize();
+  }
+}
+
+function buildIndex(db) {
+  const stmt = db.prepare('SELECT id, category, title, artist, info FROM mrvoice');
+  const rows = stmt.all() || [];
+  stmt.finalize();
+
+  const songs = rows.map(row => ({
+    id: row.id,
+    category: row.category,
+    title: String(row.title || ''),
+    fields: prepareFields(row)
+  }));
+  // Each distinct word and the songs (by position in `songs`) that have it
+  const words = new Map();
+  songs.forEach((song, position) => {
+    for (const field of song.fields) {
+      for (const word of field.words) {
+        const postings = words.get(word);
+        if (!postings) words.set(word, [position]);
+        else if (postings[postings.length - 1] !== position) postings.push(position);
+      }
+    }
+  });
+  return { songs, words };
+}
+
+/**
+ * The index for a database, rebuilt when the database has changed.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @returns {{ songs: Array<Object>, words: Map<string, number[]> }}
+ */
+function getFuzzySongIndex(db) {
+  const changes = getChangeCount(db);
+  const cached = indexes.get(db);
+  if (cached && cached.changes === changes) return cached.index;
+  const index = buildIndex(db);
+  indexes.set(db, { changes, index });
+  return index;
+}
+
+// Positions of the songs one query word can match: inside a field's
+// run-together text, or within its allowed edits of one of their words
+function findSongsForWord(index, queryWord) {
+  const positions = new Set();
+  index.songs.forEach((song, position) => {
+    if (song.fields.some(field => field.compact.includes(queryWord))) positions.add(position);
+  });
+  const maxEdits = maxEditsForLength(queryWord.length);
+  if (maxEdits > 0) {
+    for (const [word, postings] of index.words) {
+      if (wordEditDistance(queryWord, word, maxEdits) <= maxEdits) {
+        postings.forEach(position => positions.add(position));
+      }
+    }
+  }
+  return positions;
+}
+
+/**
+ * Find songs that approximately match a search term, as
+ * fuzzy-song-matcher's findFuzzyMatches would over the whole library.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {string} searchTerm - Omni-search text
+ * @param {Object} [options]
+ * @param {string|null} [options.category] - Only songs in this category
+ * @param {Set<number>} [options.excludeIds] - Songs to leave out, e.g. exact matches
+ * @param {number} [options.limit=50] - Maximum number of matches to return
+ * @returns {number[]} Matching song IDs, best first
+ */
+function findFuzzySongIds(db, searchTerm, { category = null, excludeIds = new Set(), limit = 50 } = {}) {
+  const queryWords = normalizeWords(searchTerm);
+  if (queryWords.length === 0) return [];
+
+  const index = getFuzzySongIndex(db);
+  // The longest query word usually matches the fewest songs; scoring checks
+  // the others
+  const narrowest = queryWords.reduce((longest, word) => (word.length > longest.length ? word : longest));
+  const matches = [];
+  for (const position of findSongsForWord(index, narrowest)) {
+    const song = index.songs[position];
+    if (excludeIds.has(song.id) || (category && song.category !== category)) continue;
+    const score = scorePreparedFields(song.fields, queryWords);
+    if (score !== null) matches.push({ song, score });
+  }
+
+  return matches
+    .sort((a, b) => a.score - b.score || a.song.title.localeCompare(b.song.title))
+    .slice(0, limit)
+    .map(match => match.song.id);
+}
+
+export {
+  getFuzzySongIndex,
+  findFuzzySongIds
+};
+
+export default {
+  getFuzzySongIndex,
+  findFuzzySongIds
+};
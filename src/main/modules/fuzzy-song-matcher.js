@@ -0,0 +1,184 @@
+/**
+ * Fuzzy Song Matcher Module
+ *
+ * Typo-tolerant fallback for omni-search. Text is accent-folded and
+ * punctuation-insensitive ("Beyoncé" ~ "beyonce", "AC/DC" ~ "acdc"), and each
+ * query word may be a few edits away from a word in the title, artist or info.
+ */
+
+const FUZZY_FIELDS = ['title', 'artist', 'info'];
+
+/**
+ * Fold accents, lowercase and reduce punctuation to word breaks.
+ * @param {string} text
+ * @returns {string[]} normalized words
+ */
+function normalizeWords(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Edit distance allowed for a query word of this length. Short words must
+ * match exactly or they would match almost anything.
+ * @param {number} length
+ * @returns {number}
+ */
+function maxEditsForLength(length) {
+  if (length <= 3) return 0;
+  if (length <= 7) return 1;
+  return 2;
+}
+
+/**
+ * Levenshtein distance with an upper bound; returns max + 1 as soon as the
+ * distance is known to exceed max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number}
+ */
+function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edit distance from a query word to a word, whole or as a same-length
+ * prefix, so a half-typed word ("beyons") still finds "beyonce".
+ * @param {string} queryWord
+ * @param {string} word
+ * @param {number} maxEdits
+ * @returns {number} distance, or maxEdits + 1 when it is further
+ */
+function wordEditDistance(queryWord, word, maxEdits) {
+  return Math.min(
+    boundedEditDistance(queryWord, word, maxEdits),
+    boundedEditDistance(queryWord, word.slice(0, queryWord.length), maxEdits)
+  );
+}
+
+/**
+ * Best (lowest) cost of matching one query word against a field.
+ * @param {string} queryWord
+ * @param {{ words: string[], compact: string }} field
+ * @returns {number} cost, or Infinity when the word does not match
+ */
+function scoreWordAgainstField(queryWord, field) {
+  if (field.compact.includes(queryWord)) return 0;
+  const maxEdits = maxEditsForLength(queryWord.length);
+  if (maxEdits === 0) return Infinity;
+
+  let best = Infinity;
+  for (const word of field.words) {
+    const distance = wordEditDistance(queryWord, word, maxEdits);
+    if (distance <= maxEdits && distance < best) {
+      best = distance;
+      if (best === 0) break;
+    }
+  }
+  return best;
+}
+
+/**
+ * Normalize a row's title, artist and info for scoring.
+ * @param {Object} row - mrvoice row
+ * @returns {Array<{ words: string[], compact: string }>}
+ */
+function prepareFields(row) {
+  return FUZZY_FIELDS.map(name => {
+    const words = normalizeWords(row[name]);
+    return { words, compact: words.join('') };
+  });
+}
+
+/**
+ * Score a song row against a search term. Every query word must match
+ * somewhere in the title, artist or info.
+ * @param {Object} row - mrvoice row
+ * @param {string[]} queryWords - normalized query words
+ * @returns {number|null} total edit cost, or null when the row does not match
+ */
+function scoreRow(row, queryWords) {
+  return scorePreparedFields(prepareFields(row), queryWords);
+}
+
+/**
+ * scoreRow for fields already normalized with prepareFields.
+ * @param {Array<{ words: string[], compact: string }>} fields
+ * @param {string[]} queryWords - normalized query words
+ * @returns {number|null}
+ */
+function scorePreparedFields(fields, queryWords) {
+  let total = 0;
+  for (const queryWord of queryWords) {
+    const best = Math.min(...fields.map(field => scoreWordAgainstField(queryWord, field)));
+    if (best === Infinity) return null;
+    total += best;
+  }
+  return total;
+}
+
+/**
+ * Find songs that approximately match a search term.
+ * @param {Object[]} rows - Candidate mrvoice rows
+ * @param {string} searchTerm - Omni-search text
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Maximum number of matches to return
+ * @returns {Object[]} Matching rows, best first
+ */
+function findFuzzyMatches(rows, searchTerm, { limit = 50 } = {}) {
+  const queryWords = normalizeWords(searchTerm);
+  if (queryWords.length === 0) return [];
+
+  const matches = [];
+  for (const row of rows) {
+    const score = scoreRow(row, queryWords);
+    if (score !== null) {
+      matches.push({ row, score });
+    }
+  }
+
+  return matches
+    .sort((a, b) => a.score - b.score || String(a.row.title || '').localeCompare(String(b.row.title || '')))
+    .slice(0, limit)
+    .map(match => match.row);
+}
+
+export {
+  normalizeWords,
+  maxEditsForLength,
+  boundedEditDistance,
+  wordEditDistance,
+  prepareFields,
+  scoreRow,
+  scorePreparedFields,
+  findFuzzyMatches
+};
+
+export default {
+  normalizeWords,
+  maxEditsForLength,
+  boundedEditDistance,
+  wordEditDistance,
+  prepareFields,
+  scoreRow,
+  scorePreparedFields,
+  findFuzzyMatches
+};
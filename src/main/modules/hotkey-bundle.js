@@ -0,0 +1,382 @@
+/**
+ * Hotkey Bundle Module
+ *
+ * Shares one hotkey tab between machines. A `.mrv` file holds song IDs,
+ * which mean nothing to another database; a bundle also carries each song's
+ * details and music file. Opening a bundle matches its songs to the library
+ * by file contents, then by title and artist, and adds the rest to a chosen
+ * category.
+ *
+ * Archive format: ZIP with .mxvhotkeys extension containing:
+ *   bundle.json   - version, the tab and its songs (see exportHotkeyBundle)
+ *   audio/        - the songs' music files, named audio/<n>.<ext>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import electron from 'electron';
+import { createZipArchive, readZipEntry, extractZipWithProgress } from './library-transfer-manager.js';
+import { hashSongFile } from './duplicate-finder.js';
+import { isSupportedAudioFile } from './file-utils.js';
+import { resolveLibraryFile } from './library-verifier.js';
+import { getSongMarkers, setSongMarkers } from './song-markers.js';
+import { LOOP_REGION_COLUMNS } from './song-loop-region.js';
+import { FADE_COLUMNS } from './song-fades.js';
+import { SPEED_COLUMNS } from './song-speed.js';
+import { matchSongFingerprints } from './song-fingerprints.js';
+
+const { app } = electron;
+
+const BUNDLE_VERSION = 1;
+const BUNDLE_MANIFEST = 'bundle.json';
+const BUNDLE_EXTENSION = 'mxvhotkeys';
+// How each song plays; they go with it to the other library
+const SONG_SETTING_COLUMNS = [
+  'volume',
+  'start_time',
+  'end_time',
+  'sfx',
+  ...Object.keys(LOOP_REGION_COLUMNS),
+  ...Object.keys(FADE_COLUMNS),
+  ...Object.keys(SPEED_COLUMNS)
+];
+// Per-pad parts of a hotkey tab snapshot, keyed by pad
+const PAD_EXTRAS = ['markers', 'pads', 'appearance'];
+
+function getColumnNames(db) {
+  const stmt = db.prepare('PRAGMA table_info(mrvoice)');
+  const columns = stmt.all() || [];
+  stmt.finalize();
+  return new Set(columns.map(column => column.name));
+}
+
+// A song's file, or null when its filename is unusable
+function resolveMusicFile(musicDirectory, filename) {
+  try {
+    return resolveLibraryFile(musicDirectory, filename);
+  } catch {
+    return null;
+  }
+}
+
+// Pads with a song ID, as strings
+function readTabHotkeys(hotkeys) {
+  if (!hotkeys || typeof hotkeys !== 'object' || Array.isArray(hotkeys)) return {};
+  return Object.fromEntries(Object.entries(hotkeys)
+    .filter(([key, songId]) => /^f[1-9]\d*$/.test(key) && /^\d+$/.test(String(songId ?? '')))
+    .map(([key, songId]) => [key, String(songId)]));
+}
+
+// The tab's name, grid and pad extras, for the pads that kept their song
+function buildTab(tab, hotkeys) {
+  const keys = new Set(Object.keys(hotkeys));
+  const result = {
+    tabName: typeof tab?.tabName === 'string' && tab.tabName.trim() ? tab.tabName.trim() : null,
+    ...(tab?.grid && typeof tab.grid === 'object' ? { grid: { rows: tab.grid.rows, columns: tab.grid.columns } } : {}),
+    hotkeys
+  };
+  for (const name of PAD_EXTRAS) {
+    const source = tab?.[name];
+    if (!source || typeof source !== 'object') continue;
+    const picked = Object.fromEntries(Object.entries(source).filter(([key]) => keys.has(key)));
+    if (Object.keys(picked).length) result[name] = picked;
+  }
+  return result;
+}
+
+function pickSongSettings(row) {
+  return Object.fromEntries(SONG_SETTING_COLUMNS
+    .filter(column => row[column] !== undefined && (row[column] === null || Number.isFinite(Number(row[column]))))
+    .map(column => [column, row[column] === null ? null : Number(row[column])]));
+}
+
+/**
+ * Write a hotkey tab, its songs' details and their music files to a bundle.
+ * Songs no longer in the library are left out, and songs whose file is
+ * missing go without it.
+ * @param {Object} db
+ * @param {string} musicDirectory
+ * @param {Object} tab - Hotkey tab snapshot: { tabName, grid, hotkeys, markers, pads, appearance }
+ * @param {string} outputPath
+ * @returns {Promise<{ songCount: number, fileCount: number, missingFiles: string[], skippedSongIds: string[] }>}
+ */
+async function exportHotkeyBundle(db, musicDirectory, tab, outputPath) {
+  const logCtx = { module: 'hotkey-bundle', function: 'exportHotkeyBundle' };
+  const hotkeys = readTabHotkeys(tab?.hotkeys);
+  const songs = [];
+  const filePaths = new Map();
+  const missingFiles = [];
+  const skippedSongIds = [];
+
+  const select = db.prepare('SELECT * FROM mrvoice WHERE id = ?');
+  try {
+    for (const songId of new Set(Object.values(hotkeys))) {
+      const row = select.get([Number(songId)]);
+      if (!row) {
+        skippedSongIds.push(songId);
+        continue;
+      }
+      const filePath = resolveMusicFile(musicDirectory, row.filename);
+      const song = {
+        id: songId,
+        title: row.title || '',
+        artist: row.artist || '',
+        info: row.info || '',
+        time: row.time || '',
+        file: null,
+        hash: null,
+        size: null,
+        settings: pickSongSettings(row),
+        markers: getSongMarkers(db, row.id)
+      };
+      if (filePath && isSupportedAudioFile(filePath) && fs.existsSync(filePath)) {
+        song.file = `audio/${songs.length + 1}${path.extname(filePath).toLowerCase()}`;
+        song.size = (await fs.promises.stat(filePath)).size;
+        song.hash = await hashSongFile(filePath);
+        filePaths.set(song.file, filePath);
+      } else {
+        missingFiles.push(row.filename || song.title);
+      }
+      songs.push(song);
+    }
+  } finally {
+    select.finalize();
+  }
+  if (songs.length === 0) {
+    throw new Error('The hotkey tab has no songs to export');
+  }
+
+  const bundled = new Set(songs.map(song => song.id));
+  const manifest = {
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    appVersion: app?.getVersion?.() || null,
+    tab: buildTab(tab, Object.fromEntries(Object.entries(hotkeys).filter(([, songId]) => bundled.has(songId)))),
+    songs
+  };
+
+  try {
+    const { archive, finished } = createZipArchive(outputPath, logCtx);
+    archive.append(JSON.stringify(manifest, null, 2), { name: BUNDLE_MANIFEST });
+    for (const [name, filePath] of filePaths) {
+      archive.file(filePath, { name });
+    }
+    await archive.finalize();
+    await finished;
+  } catch (error) {
+    try { await fs.promises.rm(outputPath, { force: true }); } catch { /* ignore */ }
+    throw error;
+  }
+
+  return { songCount: songs.length, fileCount: filePaths.size, missingFiles, skippedSongIds };
+}
+
+function validateBundleSong(song, index) {
+  if (!song || typeof song !== 'object' || !/^\d+$/.test(String(song.id ?? ''))) {
+    throw new Error(`Invalid hotkey bundle: song ${index + 1} has no ID`);
+  }
+  if (song.file !== null && song.file !== undefined
+    && (!/^audio\/\d+\.[a-z0-9]+$/i.test(String(song.file)) || !isSupportedAudioFile(song.file))) {
+    throw new Error(`Invalid hotkey bundle: bad music file for song ${song.id}`);
+  }
+}
+
+/**
+ * Read and check a bundle's manifest.
+ * @param {string} bundlePath
+ * @returns {Promise<Object>} The manifest
+ */
+async function readHotkeyBundle(bundlePath) {
+  const content = await readZipEntry(bundlePath, BUNDLE_MANIFEST);
+  if (content === null) {
+    throw new Error(`Invalid hotkey bundle: missing ${BUNDLE_MANIFEST}`);
+  }
+  const manifest = JSON.parse(content);
+  if (!Number.isInteger(manifest?.version) || manifest.version < 1) {
+    throw new Error('Invalid hotkey bundle: missing version');
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    throw new Error(`This hotkey bundle was made by a newer version of Mx. Voice (bundle v${manifest.version}). Please update the application.`);
+  }
+  if (!manifest.tab || typeof manifest.tab !== 'object' || !Array.isArray(manifest.songs)) {
+    throw new Error('Invalid hotkey bundle: missing tab or songs');
+  }
+  manifest.songs.forEach(validateBundleSong);
+  return manifest;
+}
+
+/**
+ * What opening a bundle would do, without changing anything.
+ * @param {Object} db
+ * @param {string} musicDirectory
+ * @param {string} bundlePath
+ * @returns {Promise<Object>} { tabName, songs: [{ id, title, artist, match, hasFile }] }
+ */
+async function previewHotkeyBundle(db, musicDirectory, bundlePath) {
+  const manifest = await readHotkeyBundle(bundlePath);
+  const matches = await matchSongFingerprints(db, musicDirectory, manifest.songs);
+  return {
+    tabName: manifest.tab.tabName || null,
+    songs: manifest.songs.map((song, index) => ({
+      id: String(song.id),
+      title: song.title || '',
+      artist: song.artist || '',
+      match: matches[index],
+      hasFile: !!song.file
+    }))
+  };
+}
+
+// Drop only what file systems forbid in a name, keeping accented and other
+// non-ASCII letters
+function sanitizeFilename(filename) {
+  return filename.replace(/[<>:"/\\|?*\p{Cc}]/gu, '');
+}
+
+function insertBundleSong(db, columns, song, { category, filename }) {
+  const values = {
+    title: song.title || path.basename(filename, path.extname(filename)),
+    artist: song.artist || '',
+    category,
+    info: song.info || '',
+    filename,
+    time: song.time || '',
+    modtime: Math.floor(Date.now() / 1000),
+    ...pickSongSettings(song.settings || {})
+  };
+  const names = Object.keys(values).filter(name => columns.has(name));
+  const stmt = db.prepare(`INSERT INTO mrvoice (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`);
+  try {
+    return Number(stmt.run(names.map(name => values[name])).lastInsertRowid);
+  } finally {
+    stmt.finalize();
+  }
+}
+
+/**
+ * Open a bundle into this library. Matched songs are used as they are;
+ * the rest are copied into the music directory and added to `category`.
+ * Pads whose song has neither a match nor a music file are left empty.
+ * @param {Object} db
+ * @param {string} musicDirectory
+ * @param {string} bundlePath
+ * @param {Object} options
+ * @param {string} [options.category] - Category code for added songs; required when any are added
+ * @param {Object} [options.debugLog]
+ * @returns {Promise<{ tab: Object, matched: number, imported: number, skipped: string[] }>}
+ *   `tab` is a hotkey tab snapshot with this library's song IDs
+ */
+async function importHotkeyBundle(db, musicDirectory, bundlePath, { category, debugLog = null } = {}) {
+  const logCtx = { module: 'hotkey-bundle', function: 'importHotkeyBundle' };
+  const manifest = await readHotkeyBundle(bundlePath);
+  const matches = await matchSongFingerprints(db, musicDirectory, manifest.songs);
+
+  const songIds = new Map();
+  manifest.songs.forEach((song, index) => {
+    if (matches[index]) songIds.set(String(song.id), matches[index].songId);
+  });
+  const toImport = manifest.songs.filter((song, index) => !matches[index] && song.file);
+  if (toImport.length && (!category || typeof category !== 'string')) {
+    throw new Error('Category is required');
+  }
+
+  const skipped = [];
+  let imported = 0;
+  if (toImport.length) {
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mxvoice-hotkey-bundle-'));
+    // Music files copied into the library, removed again if the songs cannot be added
+    const copied = [];
+    try {
+      const { renamedFiles, errors } = await extractZipWithProgress(bundlePath, tempDir);
+      if (errors.length) {
+        debugLog?.warn('Some bundle entries could not be extracted', { ...logCtx, errors });
+      }
+      for (const song of toImport) {
+        const source = path.join(tempDir, renamedFiles.get(song.file) || song.file);
+        if (!fs.existsSync(source)) {
+          skipped.push(song.title || String(song.id));
+          continue;
+        }
+        const filename = sanitizeFilename(`${song.artist || ''}-${song.title || ''}-${crypto.randomUUID()}${path.extname(song.file)}`);
+        await fs.promises.copyFile(source, path.join(musicDirectory, filename));
+        copied.push({ song, filename });
+      }
+
+      // All songs or none, so a failed open leaves no half-added tab behind
+      const columns = getColumnNames(db);
+      const added = [];
+      db.exec('BEGIN');
+      try {
+        for (const { song, filename } of copied) {
+          added.push({ song, songId: insertBundleSong(db, columns, song, { category, filename }) });
+        }
+        db.exec('COMMIT');
+      } catch (error) {
+        try {
+          db.exec('ROLLBACK');
+        } catch {
+          // SQLite already rolled back
+        }
+        throw error;
+      }
+
+      for (const { song, songId } of added) {
+        if (Array.isArray(song.markers) && song.markers.length) {
+          try {
+            setSongMarkers(db, songId, song.markers);
+          } catch (error) {
+            debugLog?.warn('Could not add bundled song markers', { ...logCtx, songId, error: error.message });
+          }
+        }
+        songIds.set(String(song.id), songId);
+        imported++;
+      }
+    } catch (error) {
+      for (const { filename } of copied) {
+        try {
+          await fs.promises.rm(path.join(musicDirectory, filename), { force: true });
+        } catch {
+          debugLog?.warn('Could not remove copied music file', { ...logCtx, filename });
+        }
+      }
+      throw error;
+    } finally {
+      try {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+      } catch {
+        debugLog?.warn('Could not clean up temp directory', { ...logCtx, tempDir });
+      }
+    }
+  }
+  manifest.songs.forEach((song, index) => {
+    if (!matches[index] && !song.file) skipped.push(song.title || String(song.id));
+  });
+
+  const hotkeys = Object.fromEntries(Object.entries(readTabHotkeys(manifest.tab.hotkeys))
+    .filter(([, songId]) => songIds.has(songId))
+    .map(([key, songId]) => [key, String(songIds.get(songId))]));
+  return {
+    tab: buildTab(manifest.tab, hotkeys),
+    matched: matches.filter(Boolean).length,
+    imported,
+    skipped
+  };
+}
+
+export {
+  BUNDLE_VERSION,
+  BUNDLE_EXTENSION,
+  exportHotkeyBundle,
+  readHotkeyBundle,
+  previewHotkeyBundle,
+  importHotkeyBundle
+};
+
+export default {
+  exportHotkeyBundle,
+  readHotkeyBundle,
+  previewHotkeyBundle,
+  importHotkeyBundle
+};
@@ -10,6 +10,18 @@ import { parseFile as parseAudioFile } from 'music-metadata';
 import ipcChannels from '../../../shared/ipc-channels.cjs';
 const { IPC } = ipcChannels;
 
+// Cover art larger than this is left out; hotkey pads show it as a thumbnail
+const MAX_ARTWORK_BYTES = 2 * 1024 * 1024;
+
+// The front cover, or the first picture, as a data URL (null when none fits)
+function getArtworkDataUrl(pictures) {
+  if (!Array.isArray(pictures) || pictures.length === 0) return null;
+  const picture = pictures.find(entry => /front/i.test(entry?.type || '')) || pictures[0];
+  if (!picture?.data?.length || picture.data.length > MAX_ARTWORK_BYTES) return null;
+  const format = /^image\/[\w.+-]+$/i.test(picture.format || '') ? picture.format : 'image/jpeg';
+  return `data:${format};base64,${Buffer.from(picture.data).toString('base64')}`;
+}
+
 export function register(deps) {
   const { audioInstances, debugLog } = deps;
 
@@ -190,20 +202,25 @@ export function register(deps) {
     }
   });
 
-  ipcMain.handle(IPC.AUDIO.GET_METADATA, async (event, filePath) => {
+  // options.artwork adds `artwork`, the cover art as a data URL or null
+  ipcMain.handle(IPC.AUDIO.GET_METADATA, async (event, filePath, options = {}) => {
     try {
       if (!filePath || typeof filePath !== 'string') {
         throw new Error('Invalid file path');
       }
+      const withArtwork = options?.artwork === true;
       // Enable duration calculation to get accurate duration for OGG and other formats
       // Without this option, music-metadata may report incorrect durations for OGG/Vorbis files
-      const metadata = await parseAudioFile(filePath, { duration: true });
+      const metadata = await parseAudioFile(filePath, { duration: true, skipCovers: !withArtwork });
       const title = metadata?.common?.title || '';
       // Some files store artist as array
       const artist = Array.isArray(metadata?.common?.artist)
         ? metadata.common.artist.join(', ')
         : (metadata?.common?.artist || '');
       const duration = metadata?.format?.duration ? Number(metadata.format.duration) : 0;
+      if (withArtwork) {
+        return { success: true, data: { title, artist, duration, artwork: getArtworkDataUrl(metadata?.common?.picture) } };
+      }
       return { success: true, data: { title, artist, duration } };
     } catch (error) {
       debugLog?.warn('Audio get metadata error', { module: 'ipc-handlers', function: 'audio-get-metadata', error: error.message, filePath });
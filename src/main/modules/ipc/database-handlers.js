@@ -7,9 +7,70 @@ import electron from 'electron';
 const { ipcMain } = electron;
 import ipcChannels from '../../../shared/ipc-channels.cjs';
 const { IPC } = ipcChannels;
+import { hasSearchIndex } from '../song-search-index.js';
+import { buildSongSearchQuery, matchesDurationRange } from '../song-search-query.js';
+import { findFuzzySongIds } from '../fuzzy-song-index.js';
+import {
+  isSmartCategoryCode,
+  listSmartCategories,
+  getSmartCategory,
+  addSmartCategory,
+  updateSmartCategory,
+  deleteSmartCategory
+} from '../smart-categories.js';
+import { recordPlay, annotatePlayCounts, getPlayStatistics } from '../play-history.js';
+import { listTags, setSongTags, addSongTags, deleteSongTags, annotateSongTags } from '../song-tags.js';
+import { setSongMarkers, deleteSongMarkers, annotateSongMarkers } from '../song-markers.js';
+import { normalizeLoopRegion } from '../song-loop-region.js';
+import { normalizeSongFade } from '../song-fades.js';
+import { normalizeSongPitch, normalizeSongRate } from '../song-speed.js';
+import { findDuplicateGroups, mergeDuplicateSongs } from '../duplicate-finder.js';
+import {
+  listSongsForLoudness,
+  saveSongLoudness,
+  LOUDNESS_RESET_SQL,
+  loudnessResetParams
+} from '../song-loudness.js';
+import { getSongFingerprints } from '../song-fingerprints.js';
+import * as profileManager from '../profile-manager.js';
+
+// Omni-search only pays for the fuzzy pass when the exact search finds fewer
+// songs than this.
+const FUZZY_FALLBACK_THRESHOLD = 5;
+const FUZZY_RESULT_LIMIT = 50;
+
+/**
+ * Append typo-tolerant matches to a short exact result list. Fuzzy rows are
+ * marked with `fuzzy: true` so the renderer can flag them. Candidates come
+ * from the in-memory fuzzy song index; only the matches are read in full.
+ */
+function appendFuzzyMatches(db, searchParams, exactRows) {
+  if (exactRows.length >= FUZZY_FALLBACK_THRESHOLD) {
+    return exactRows;
+  }
+
+  const filterByCategory = searchParams.category && searchParams.category !== '*';
+  const ids = findFuzzySongIds(db, searchParams.searchTerm, {
+    category: filterByCategory ? searchParams.category : null,
+    excludeIds: new Set(exactRows.map(row => row.id)),
+    limit: FUZZY_RESULT_LIMIT
+  });
+  if (ids.length === 0) {
+    return exactRows;
+  }
+
+  const stmt = db.prepare(`SELECT * FROM mrvoice WHERE id IN (${ids.map(() => '?').join(', ')})`);
+  const rowsById = new Map((stmt.all(ids) || []).map(row => [row.id, row]));
+  stmt.finalize();
+  const fuzzyRows = ids
+    .filter(id => rowsById.has(id))
+    .map(id => ({ ...rowsById.get(id), fuzzy: true }));
+
+  return [...exactRows, ...fuzzyRows];
+}
 
 export function register(deps) {
-  const { getDb, debugLog, getMainWindow } = deps;
+  const { getDb, debugLog, getMainWindow, getCurrentProfile, store } = deps;
 
   // Named database API handlers
   ipcMain.handle(IPC.DATABASE.GET_CATEGORIES, async () => {
@@ -63,13 +124,18 @@ export function register(deps) {
 
       // For node-sqlite3-wasm, use prepare/run for parameterized statements
       const stmt = getDb().prepare(`
-        INSERT INTO mrvoice (title, artist, category, info, filename, time, modtime, volume, start_time, end_time)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO mrvoice (title, artist, category, info, filename, time, modtime, volume, start_time, end_time, sfx,
+                             fade_in_seconds, fade_out_seconds, hard_stop, playback_rate, preserve_pitch, pitch_semitones)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const result = stmt.run([songData.title, songData.artist, songData.category,
                               songData.info || '', songData.filename, songData.duration || '00:00', Math.floor(Date.now() / 1000),
-                              songData.volume ?? 100, songData.start_time ?? null, songData.end_time ?? null]);
+                              songData.volume ?? 100, songData.start_time ?? null, songData.end_time ?? null, songData.sfx ? 1 : 0,
+                              normalizeSongFade(songData.fade_in_seconds, 'fade in'),
+                              normalizeSongFade(songData.fade_out_seconds, 'fade out'), songData.hard_stop ? 1 : 0,
+                              normalizeSongRate(songData.playback_rate), songData.preserve_pitch === false ? 0 : 1,
+                              normalizeSongPitch(songData.pitch_semitones)]);
 
       stmt.finalize();
 
@@ -84,6 +150,10 @@ export function register(deps) {
         lastInsertRowid: result.lastInsertRowid
       });
 
+      if (result.lastInsertRowid) {
+        // Lets the renderer offer to relink hotkeys and holding tanks to the song
+        getMainWindow()?.webContents.send('library:songs-added', [String(result.lastInsertRowid)]);
+      }
       return { success: true, data: { changes: result.changes || 0, lastInsertRowid: result.lastInsertRowid || 0 } };
     } catch (error) {
       debugLog?.error('Add song error:', { module: 'ipc-handlers', function: 'add-song', error: error.message });
@@ -106,7 +176,7 @@ export function register(deps) {
       stmt.finalize();
 
       // Convert result to expected format
-      const data = result ? [result] : [];
+      const data = annotateSongMarkers(getDb(), annotateSongTags(getDb(), result ? [result] : []));
       return { success: true, data: data };
     } catch (error) {
       debugLog?.error('Get song by ID error:', { module: 'ipc-handlers', function: 'get-song-by-id', error: error.message });
@@ -122,12 +192,26 @@ export function register(deps) {
       if (!songId) {
         throw new Error('Song ID is required');
       }
+      // Fingerprinted before the row goes, so hotkeys and holding tanks that
+      // keep the song can find it again when it is re-imported
+      const fingerprints = await getSongFingerprints(getDb(), store?.get('music_directory') || null, [songId]);
+
       // For node-sqlite3-wasm, use prepare/run for parameterized statements
       const stmt = getDb().prepare('DELETE FROM mrvoice WHERE id = ?');
       const result = stmt.run(songId);
       stmt.finalize();
+      let profilesUpdated = [];
+      if (result.changes) {
+        deleteSongTags(getDb(), songId);
+        deleteSongMarkers(getDb(), songId);
+        // The current profile is open in the renderer, which marks it itself
+        profilesUpdated = await profileManager.markSongsMissingInProfiles(fingerprints, { except: getCurrentProfile?.() });
+      }
 
-      return { success: true, data: { changes: result.changes || 0 } };
+      return {
+        success: true,
+        data: { changes: result.changes || 0, fingerprint: fingerprints[String(songId)] || null, profilesUpdated }
+      };
     } catch (error) {
       debugLog?.error('Delete song error:', { module: 'ipc-handlers', function: 'delete-song', error: error.message });
       return { success: false, error: error.message };
@@ -174,11 +258,39 @@ export function register(deps) {
       if (songData.artist !== undefined) { setClauses.push('artist = ?'); params.push(songData.artist); }
       if (songData.category !== undefined) { setClauses.push('category = ?'); params.push(songData.category); }
       if (songData.info !== undefined) { setClauses.push('info = ?'); params.push(songData.info); }
-      if (songData.filename !== undefined) { setClauses.push('filename = ?'); params.push(songData.filename); }
+      if (songData.filename !== undefined) {
+        // A different file needs measuring again
+        setClauses.push('filename = ?', LOUDNESS_RESET_SQL);
+        params.push(songData.filename, ...loudnessResetParams(songData.filename));
+      }
       if (songData.duration !== undefined) { setClauses.push('time = ?'); params.push(songData.duration); }
       if (songData.volume !== undefined) { setClauses.push('volume = ?'); params.push(songData.volume); }
       if (songData.start_time !== undefined) { setClauses.push('start_time = ?'); params.push(songData.start_time); }
       if (songData.end_time !== undefined) { setClauses.push('end_time = ?'); params.push(songData.end_time); }
+      if (songData.sfx !== undefined) { setClauses.push('sfx = ?'); params.push(songData.sfx ? 1 : 0); }
+      if (songData.fade_in_seconds !== undefined) {
+        setClauses.push('fade_in_seconds = ?');
+        params.push(normalizeSongFade(songData.fade_in_seconds, 'fade in'));
+      }
+      if (songData.fade_out_seconds !== undefined) {
+        setClauses.push('fade_out_seconds = ?');
+        params.push(normalizeSongFade(songData.fade_out_seconds, 'fade out'));
+      }
+      if (songData.hard_stop !== undefined) { setClauses.push('hard_stop = ?'); params.push(songData.hard_stop ? 1 : 0); }
+      if (songData.playback_rate !== undefined) {
+        setClauses.push('playback_rate = ?');
+        params.push(normalizeSongRate(songData.playback_rate));
+      }
+      if (songData.preserve_pitch !== undefined) { setClauses.push('preserve_pitch = ?'); params.push(songData.preserve_pitch ? 1 : 0); }
+      if (songData.pitch_semitones !== undefined) {
+        setClauses.push('pitch_semitones = ?');
+        params.push(normalizeSongPitch(songData.pitch_semitones));
+      }
+      if (songData.loop_start !== undefined || songData.loop_end !== undefined) {
+        const loop = normalizeLoopRegion(songData.loop_start, songData.loop_end);
+        setClauses.push('loop_start = ?', 'loop_end = ?');
+        params.push(loop.loop_start, loop.loop_end);
+      }
 
       if (setClauses.length === 0) {
         throw new Error('No fields to update');
@@ -284,66 +396,230 @@ export function register(deps) {
         throw new Error('Search parameters object is required');
       }
 
-      const querySegments = [];
-      const queryParams = [];
+      // A smart category contributes its stored criteria in place of a
+      // category filter
+      let smartCategory = null;
+      if (isSmartCategoryCode(searchParams.category)) {
+        smartCategory = getSmartCategory(getDb(), searchParams.category);
+        if (!smartCategory) {
+          throw new Error(`Smart category ${searchParams.category} not found`);
+        }
+      }
+
+      const { sql, params, durationRange } = buildSongSearchQuery(
+        smartCategory ? { ...searchParams, category: '*' } : searchParams,
+        { fullTextAvailable: hasSearchIndex(getDb()), baseCriteria: smartCategory?.criteria }
+      );
+      const stmt = getDb().prepare(sql);
+      let result = (stmt.all(params) || []).filter(row => matchesDurationRange(row.time, durationRange));
+      stmt.finalize();
 
-      // Category filter
-      if (searchParams.category && searchParams.category !== '*') {
-        querySegments.push('category = ?');
-        queryParams.push(searchParams.category);
+      if (!smartCategory && !searchParams.advancedFilters && searchParams.searchTerm && searchParams.fuzzy !== false) {
+        result = appendFuzzyMatches(getDb(), searchParams, result);
       }
 
-      if (searchParams.advancedFilters) {
-        // Advanced search mode
-        const { title, artist, info, since } = searchParams.advancedFilters;
-        if (title && title.length) {
-          querySegments.push('title LIKE ?');
-          queryParams.push(`%${title}%`);
-        }
-        if (artist && artist.length) {
-          querySegments.push('artist LIKE ?');
-          queryParams.push(`%${artist}%`);
-        }
-        if (info && info.length) {
-          querySegments.push('info LIKE ?');
-          queryParams.push(`%${info}%`);
-        }
-        if (since && since.length) {
-          let thresholdSeconds = null;
-          if (/^\d+$/.test(since)) {
-            const days = parseInt(since, 10);
-            thresholdSeconds = Math.floor(Date.now() / 1000) - (days * 86400);
-          } else {
-            const parsed = Date.parse(since);
-            if (!Number.isNaN(parsed)) {
-              thresholdSeconds = Math.floor(parsed / 1000);
-            }
-          }
-          if (thresholdSeconds !== null) {
-            querySegments.push('modtime >= ?');
-            queryParams.push(thresholdSeconds);
+      return { success: true, data: annotateSongTags(getDb(), annotatePlayCounts(getDb(), result)) };
+    } catch (error) {
+      debugLog?.error('Search songs error:', { module: 'ipc-handlers', function: 'search-songs', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.GET_SMART_CATEGORIES, async () => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      return { success: true, data: listSmartCategories(getDb()) };
+    } catch (error) {
+      debugLog?.error('Get smart categories error:', { module: 'ipc-handlers', function: 'get-smart-categories', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.ADD_SMART_CATEGORY, async (event, definition) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      return { success: true, data: addSmartCategory(getDb(), definition) };
+    } catch (error) {
+      debugLog?.error('Add smart category error:', { module: 'ipc-handlers', function: 'add-smart-category', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.UPDATE_SMART_CATEGORY, async (event, code, definition) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      return { success: true, data: { changes: updateSmartCategory(getDb(), code, definition) } };
+    } catch (error) {
+      debugLog?.error('Update smart category error:', { module: 'ipc-handlers', function: 'update-smart-category', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.DELETE_SMART_CATEGORY, async (event, code) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      return { success: true, data: { changes: deleteSmartCategory(getDb(), code) } };
+    } catch (error) {
+      debugLog?.error('Delete smart category error:', { module: 'ipc-handlers', function: 'delete-smart-category', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.RECORD_PLAY, async (event, play) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      return { success: true, data: { id: recordPlay(getDb(), play, getCurrentProfile?.()) } };
+    } catch (error) {
+      debugLog?.error('Record play error:', { module: 'ipc-handlers', function: 'record-play', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.GET_PLAY_STATISTICS, async (event, options = {}) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      const { view, limit, currentProfileOnly } = options || {};
+      const profile = currentProfileOnly ? getCurrentProfile?.() || null : null;
+      return { success: true, data: getPlayStatistics(getDb(), { view, limit, profile }) };
+    } catch (error) {
+      debugLog?.error('Get play statistics error:', { module: 'ipc-handlers', function: 'get-play-statistics', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.GET_TAGS, async () => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      return { success: true, data: listTags(getDb()) };
+    } catch (error) {
+      debugLog?.error('Get tags error:', { module: 'ipc-handlers', function: 'get-tags', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.SET_SONG_TAGS, async (event, songId, tags) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      return { success: true, data: setSongTags(getDb(), songId, tags) };
+    } catch (error) {
+      debugLog?.error('Set song tags error:', { module: 'ipc-handlers', function: 'set-song-tags', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.ADD_SONG_TAGS, async (event, songIds, tags) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      return { success: true, data: { changes: addSongTags(getDb(), songIds, tags) } };
+    } catch (error) {
+      debugLog?.error('Add song tags error:', { module: 'ipc-handlers', function: 'add-song-tags', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.SET_SONG_MARKERS, async (event, songId, markers) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      return { success: true, data: setSongMarkers(getDb(), songId, markers) };
+    } catch (error) {
+      debugLog?.error('Set song markers error:', { module: 'ipc-handlers', function: 'set-song-markers', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.FIND_DUPLICATE_SONGS, async (event, options = {}) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      const groups = await findDuplicateGroups(getDb(), {
+        musicDirectory: store?.get('music_directory') || null,
+        durationTolerance: options?.durationTolerance,
+        debugLog
+      });
+      const songs = groups.flatMap(group => group.songs);
+      annotatePlayCounts(getDb(), songs);
+      annotateSongTags(getDb(), songs);
+      return { success: true, data: groups };
+    } catch (error) {
+      debugLog?.error('Find duplicate songs error:', { module: 'ipc-handlers', function: 'find-duplicate-songs', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.DATABASE.MERGE_DUPLICATE_SONGS, async (event, keepId, removeIds) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      const result = mergeDuplicateSongs(getDb(), keepId, removeIds);
+
+      // The current profile's hotkeys and holding tank are open in the
+      // renderer, which repoints and saves them itself
+      const songIdMap = Object.fromEntries(result.removedIds.map(id => [String(id), String(result.keptId)]));
+      const currentProfile = getCurrentProfile?.();
+      const profilesUpdated = [];
+      for (const { name } of profileManager.getAvailableProfiles()) {
+        if (name === currentProfile) continue;
+        try {
+          if ((await profileManager.remapProfileStateSongs(name, songIdMap)).changed) {
+            profilesUpdated.push(name);
           }
+        } catch (error) {
+          debugLog?.warn('Could not repoint merged songs in profile state', {
+            module: 'ipc-handlers', function: 'merge-duplicate-songs', profile: name, error: error.message
+          });
         }
-      } else if (searchParams.searchTerm && searchParams.searchTerm.length) {
-        // Basic omni-search mode
-        querySegments.push('(title LIKE ? OR artist LIKE ? OR info LIKE ?)');
-        const term = `%${searchParams.searchTerm}%`;
-        queryParams.push(term, term, term);
       }
+      return { success: true, data: { ...result, profilesUpdated } };
+    } catch (error) {
+      debugLog?.error('Merge duplicate songs error:', { module: 'ipc-handlers', function: 'merge-duplicate-songs', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
 
-      let queryString = '';
-      if (querySegments.length > 0) {
-        queryString = ' WHERE ' + querySegments.join(' AND ');
+  ipcMain.handle(IPC.DATABASE.GET_SONGS_FOR_LOUDNESS, async (event, options = {}) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
       }
+      const { songIds, includeAnalyzed } = options || {};
+      return { success: true, data: listSongsForLoudness(getDb(), { songIds, includeAnalyzed: !!includeAnalyzed }) };
+    } catch (error) {
+      debugLog?.error('Get songs for loudness error:', { module: 'ipc-handlers', function: 'get-songs-for-loudness', error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
 
-      const sql = 'SELECT * FROM mrvoice' + queryString + ' ORDER BY category,info,title,artist';
-      const stmt = getDb().prepare(sql);
-      const result = stmt.all(queryParams);
-      stmt.finalize();
-
-      return { success: true, data: result || [] };
+  ipcMain.handle(IPC.DATABASE.SAVE_SONG_LOUDNESS, async (event, songId, measurement) => {
+    try {
+      if (!getDb()) {
+        throw new Error('Database not initialized');
+      }
+      const { integratedLufs, truePeakDbtp } = measurement || {};
+      return { success: true, data: saveSongLoudness(getDb(), songId, { integratedLufs, truePeakDbtp }) };
     } catch (error) {
-      debugLog?.error('Search songs error:', { module: 'ipc-handlers', function: 'search-songs', error: error.message });
+      debugLog?.error('Save song loudness error:', { module: 'ipc-handlers', function: 'save-song-loudness', error: error.message });
       return { success: false, error: error.message };
     }
   });
@@ -10,7 +10,7 @@ import fs from 'fs';
 import { promises as fsPromises } from 'fs';
 import ipcChannels from '../../../shared/ipc-channels.cjs';
 const { IPC } = ipcChannels;
-import { isSupportedAudioFile, copyFileStreaming } from '../file-utils.js';
+import { isSupportedAudioFile, listAudioFiles, copyFileStreaming } from '../file-utils.js';
 import { isPathInside, isPathAllowed } from './guards.js';
 
 export function register(deps) {
@@ -96,21 +96,7 @@ export function register(deps) {
       const rootStats = await fsPromises.stat(canonicalRoot);
       if (!rootStats.isDirectory()) throw new Error('Selected path is not a directory');
 
-      const audioFiles = [];
-      const visit = async directory => {
-        const entries = await fsPromises.readdir(directory, { withFileTypes: true });
-        for (const entry of entries) {
-          if (entry.name.startsWith('.')) continue;
-          const entryPath = path.join(directory, entry.name);
-          if (entry.isSymbolicLink()) continue;
-          if (entry.isDirectory()) await visit(entryPath);
-          else if (entry.isFile() && isSupportedAudioFile(entry.name)) {
-            audioFiles.push(entryPath);
-          }
-        }
-      };
-      await visit(canonicalRoot);
-      return { success: true, data: audioFiles };
+      return { success: true, data: await listAudioFiles(canonicalRoot) };
     } catch (error) {
       debugLog?.error('Audio directory scan error', {
         module: 'ipc-handlers',
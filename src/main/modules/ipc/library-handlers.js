@@ -6,12 +6,40 @@
 import electron from 'electron';
 const { ipcMain, dialog, app } = electron;
 import path from 'path';
+import { parseFile as parseAudioFile } from 'music-metadata';
 import * as libraryTransferManager from '../library-transfer-manager.js';
+import { verifyLibrary, relinkSongs, importOrphanedFiles, removeMissingSongs } from '../library-verifier.js';
+import { BUNDLE_EXTENSION, exportHotkeyBundle, previewHotkeyBundle, importHotkeyBundle } from '../hotkey-bundle.js';
+import { getSongFingerprints, findSongRelinks } from '../song-fingerprints.js';
+import * as profileManager from '../profile-manager.js';
 import ipcChannels from '../../../shared/ipc-channels.cjs';
 const { IPC } = ipcChannels;
 
 export function register(deps) {
-  const { getMainWindow, debugLog } = deps;
+  const { getMainWindow, debugLog, getDb, getCurrentProfile, store } = deps;
+
+  const requireLibrary = () => {
+    if (!getDb?.()) throw new Error('Database not initialized');
+    const musicDirectory = store?.get('music_directory');
+    if (!musicDirectory) throw new Error('Music directory is not configured');
+    return { db: getDb(), musicDirectory };
+  };
+
+  // Lets the renderer offer to relink hotkeys and holding tanks whose songs
+  // were deleted and have just come back
+  const notifySongsAdded = (songIds) => {
+    if (songIds.length) getMainWindow()?.webContents.send('library:songs-added', songIds.map(String));
+  };
+
+  const readAudioMetadata = async (filePath) => {
+    const metadata = await parseAudioFile(filePath, { duration: true });
+    const artist = metadata?.common?.artist;
+    return {
+      title: metadata?.common?.title || '',
+      artist: Array.isArray(artist) ? artist.join(', ') : (artist || ''),
+      duration: Number(metadata?.format?.duration) || 0
+    };
+  };
 
   // Library Transfer handlers
   ipcMain.handle(IPC.LIBRARY.EXPORT, async () => {
@@ -98,4 +126,184 @@ export function register(deps) {
       return { success: false, error: error.message };
     }
   });
+
+  // Verify Library
+  ipcMain.handle(IPC.LIBRARY.VERIFY, async () => {
+    try {
+      const { db, musicDirectory } = requireLibrary();
+      return { success: true, data: await verifyLibrary(db, musicDirectory) };
+    } catch (error) {
+      debugLog?.error('Library verify handler error:', {
+        module: 'ipc-handlers', function: 'library:verify', error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.LIBRARY.RELINK_SONGS, async (_event, links) => {
+    try {
+      const { db, musicDirectory } = requireLibrary();
+      return { success: true, data: { changes: relinkSongs(db, musicDirectory, links) } };
+    } catch (error) {
+      debugLog?.error('Library relink handler error:', {
+        module: 'ipc-handlers', function: 'library:relink-songs', error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.LIBRARY.IMPORT_ORPHANS, async (_event, filenames, category) => {
+    try {
+      const { db, musicDirectory } = requireLibrary();
+      const ids = await importOrphanedFiles(db, musicDirectory, filenames, { category, readMetadata: readAudioMetadata });
+      notifySongsAdded(ids);
+      return { success: true, data: { ids } };
+    } catch (error) {
+      debugLog?.error('Library import orphans handler error:', {
+        module: 'ipc-handlers', function: 'library:import-orphans', error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.LIBRARY.REMOVE_MISSING_SONGS, async (_event, songIds) => {
+    try {
+      const { db, musicDirectory } = requireLibrary();
+      // Missing files leave title and artist to relink by; fingerprints
+      // already saved with a profile keep their hashes
+      const fingerprints = await getSongFingerprints(db, musicDirectory, songIds || []);
+      const removedIds = removeMissingSongs(db, musicDirectory, songIds);
+      const removed = Object.fromEntries(removedIds.filter(id => fingerprints[String(id)]).map(id => [String(id), fingerprints[String(id)]]));
+      const profilesUpdated = await profileManager.markSongsMissingInProfiles(removed, { except: getCurrentProfile?.() });
+      return { success: true, data: { removedIds, fingerprints: removed, profilesUpdated } };
+    } catch (error) {
+      debugLog?.error('Library remove missing songs handler error:', {
+        module: 'ipc-handlers', function: 'library:remove-missing-songs', error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Hotkey bundles
+  ipcMain.handle(IPC.LIBRARY.EXPORT_HOTKEY_BUNDLE, async (_event, tab) => {
+    try {
+      const { db, musicDirectory } = requireLibrary();
+      const name = String(tab?.tabName || 'Hotkeys').replace(/[^-\w ]/g, '').trim() || 'Hotkeys';
+      const result = await dialog.showSaveDialog(getMainWindow(), {
+        buttonLabel: 'Export',
+        filters: [{ name: 'Mx. Voice Hotkey Bundle', extensions: [BUNDLE_EXTENSION] }],
+        defaultPath: path.join(app.getPath('documents'), `${name}.${BUNDLE_EXTENSION}`),
+        message: 'Choose where to save the hotkey bundle'
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+      const data = await exportHotkeyBundle(db, musicDirectory, tab, result.filePath);
+      return { success: true, data: { ...data, filePath: result.filePath } };
+    } catch (error) {
+      debugLog?.error('Hotkey bundle export handler error:', {
+        module: 'ipc-handlers', function: 'library:export-hotkey-bundle', error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.LIBRARY.OPEN_HOTKEY_BUNDLE, async () => {
+    try {
+      const { db, musicDirectory } = requireLibrary();
+      const result = await dialog.showOpenDialog(getMainWindow(), {
+        buttonLabel: 'Open',
+        filters: [{ name: 'Mx. Voice Hotkey Bundle', extensions: [BUNDLE_EXTENSION] }],
+        message: 'Select a hotkey bundle to import',
+        properties: ['openFile']
+      });
+      if (result.canceled || !result.filePaths.length) {
+        return { success: false, canceled: true };
+      }
+      const bundlePath = result.filePaths[0];
+      const preview = await previewHotkeyBundle(db, musicDirectory, bundlePath);
+      return { success: true, data: { bundlePath, ...preview } };
+    } catch (error) {
+      debugLog?.error('Hotkey bundle open handler error:', {
+        module: 'ipc-handlers', function: 'library:open-hotkey-bundle', error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.LIBRARY.IMPORT_HOTKEY_BUNDLE, async (_event, bundlePath, options = {}) => {
+    try {
+      const { db, musicDirectory } = requireLibrary();
+      const data = await importHotkeyBundle(db, musicDirectory, bundlePath, {
+        category: options?.category,
+        debugLog
+      });
+      if (data.imported) notifySongsAdded(Object.values(data.tab.hotkeys || {}));
+      return { success: true, data };
+    } catch (error) {
+      debugLog?.error('Hotkey bundle import handler error:', {
+        module: 'ipc-handlers', function: 'library:import-hotkey-bundle', error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Relinking hotkeys and holding tanks to songs that came back
+  ipcMain.handle(IPC.LIBRARY.FIND_SONG_RELINKS, async (_event, currentState) => {
+    try {
+      if (!getDb?.()) throw new Error('Database not initialized');
+      // The current profile's state comes from the renderer, which may not
+      // have saved its latest changes yet
+      const currentProfile = getCurrentProfile?.();
+      const profiles = [];
+      for (const { name } of profileManager.getAvailableProfiles()) {
+        try {
+          const state = name === currentProfile ? currentState : await profileManager.readProfileState(name);
+          if (state) profiles.push({ name, state });
+        } catch (error) {
+          debugLog?.warn('Could not read profile state for relinking', {
+            module: 'ipc-handlers', function: 'library:find-song-relinks', profile: name, error: error.message
+          });
+        }
+      }
+      const links = await findSongRelinks(getDb(), store?.get('music_directory') || null, profiles);
+      return { success: true, data: links.map(link => ({ ...link, current: link.profile === currentProfile })) };
+    } catch (error) {
+      debugLog?.error('Find song relinks handler error:', {
+        module: 'ipc-handlers', function: 'library:find-song-relinks', error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC.LIBRARY.RELINK_SONG_REFERENCES, async (_event, links) => {
+    try {
+      // The renderer relinks the current profile itself
+      const currentProfile = getCurrentProfile?.();
+      const songIdMaps = new Map();
+      for (const { profile, songId, newSongId } of Array.isArray(links) ? links : []) {
+        if (!profile || profile === currentProfile || !/^\d+$/.test(String(songId)) || !/^\d+$/.test(String(newSongId))) continue;
+        if (!songIdMaps.has(profile)) songIdMaps.set(profile, {});
+        songIdMaps.get(profile)[String(songId)] = String(newSongId);
+      }
+      const profilesUpdated = [];
+      for (const [profile, songIdMap] of songIdMaps) {
+        try {
+          if ((await profileManager.remapProfileStateSongs(profile, songIdMap)).changed) {
+            profilesUpdated.push(profile);
+          }
+        } catch (error) {
+          debugLog?.warn('Could not relink songs in profile state', {
+            module: 'ipc-handlers', function: 'library:relink-song-references', profile, error: error.message
+          });
+        }
+      }
+      return { success: true, data: { profilesUpdated } };
+    } catch (error) {
+      debugLog?.error('Relink song references handler error:', {
+        module: 'ipc-handlers', function: 'library:relink-song-references', error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  });
 }
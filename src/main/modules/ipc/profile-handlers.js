@@ -8,11 +8,33 @@ const { ipcMain, app } = electron;
 import path from 'path';
 import { promises as fsPromises } from 'fs';
 import * as profileManager from '../profile-manager.js';
+import { addStateFingerprints } from '../song-fingerprints.js';
 import ipcChannels from '../../../shared/ipc-channels.cjs';
 const { IPC } = ipcChannels;
 
 export function register(deps) {
-  const { getCurrentProfile, getProfileDirectory, store, debugLog, getMainWindow } = deps;
+  const { getCurrentProfile, getProfileDirectory, store, debugLog, getMainWindow, getDb } = deps;
+
+  // Profile state is saved with a fingerprint of each song its hotkeys and
+  // holding tanks use, so they can be relinked if the song is deleted and
+  // imported again. Only title and artist are looked up here, never the music
+  // files, so closing or switching profiles is not held up; a song's file is
+  // hashed when it is deleted. A save never fails for want of fingerprints.
+  const saveStateWithFingerprints = async (name, state, reason) => {
+    if (state && typeof state === 'object' && getDb?.()) {
+      try {
+        state.songFingerprints = await addStateFingerprints(getDb(), store?.get('music_directory') || null, state);
+      } catch (error) {
+        debugLog?.warn('Could not fingerprint profile state songs', {
+          module: 'ipc-handlers',
+          function: 'saveStateWithFingerprints',
+          error: error.message
+        });
+      }
+    }
+    const result = await profileManager.saveProfileState(name, state, { reason });
+    return result?.success && state?.songFingerprints ? { ...result, songFingerprints: state.songFingerprints } : result;
+  };
 
   // Profile handlers
   ipcMain.handle(IPC.PROFILE.GET_CURRENT, async () => {
@@ -61,7 +83,7 @@ export function register(deps) {
   ipcMain.handle(IPC.PROFILE.SAVE_STATE, async (event, state, profileName) => {
     try {
       const name = profileName || getCurrentProfile();
-      return await profileManager.saveProfileState(name, state, { reason: 'window-close' });
+      return await saveStateWithFingerprints(name, state, 'window-close');
     } catch (error) {
       debugLog?.error('Error saving profile state', {
         module: 'ipc-handlers',
@@ -277,7 +299,7 @@ export function register(deps) {
   ipcMain.handle(IPC.PROFILE.SAVE_STATE_BEFORE_SWITCH, async (event, state, profileName) => {
     try {
       const name = profileName || getCurrentProfile();
-      return await profileManager.saveProfileState(name, state, { reason: 'profile-switch' });
+      return await saveStateWithFingerprints(name, state, 'profile-switch');
     } catch (error) {
       debugLog?.error('Error saving profile state before switch', {
         module: 'ipc-handlers',
@@ -5,8 +5,9 @@
  * profiles, hotkeys, config) as a single .mxvlib archive for transfer between machines.
  *
  * Archive format: ZIP with .mxvlib extension containing:
- *   manifest.json          - version info, content summary
- *   database/mxvoice.db    - SQLite database snapshot
+ *   manifest.json          - version info, database schema version, content summary
+ *   database/mxvoice.db    - SQLite database snapshot (songs, categories,
+ *                            smart categories, tags)
  *   music/                 - MP3 files
  *   profiles/              - Profile directory tree
  *   profiles.json          - Profile registry
@@ -20,6 +21,9 @@ import os from 'os';
 import electron from 'electron';
 import { createRequire } from 'module';
 import yauzl from 'yauzl';
+import { listSmartCategories } from './smart-categories.js';
+import { listTags } from './song-tags.js';
+import { readSchemaVersionFromFile, describeUnsupportedVersion } from './schema-migrations.js';
 
 const { app } = electron;
 const require = createRequire(import.meta.url);
@@ -164,21 +168,62 @@ async function buildManifest(paths) {
     }
   }
 
+  // Smart categories and tags travel inside the database snapshot; count them for the summary
+  let smartCategoryCount = 0;
+  let tagCount = 0;
+  const db = getDb();
+  try {
+    smartCategoryCount = db ? listSmartCategories(db).length : 0;
+  } catch {
+    // Database predates smart categories
+  }
+  try {
+    tagCount = db ? listTags(db).length : 0;
+  } catch {
+    // Database predates tags
+  }
+
   return {
     version: MANIFEST_VERSION,
     appVersion: app.getVersion(),
     createdAt: new Date().toISOString(),
     platform: process.platform,
+    schemaVersion: readSchemaVersionFromFile(paths.dbPath),
     contents: {
       hasDatabase: await pathExists(paths.dbPath),
       mp3Count,
       hotkeyCount,
       profileCount,
-      profileFileCount
+      profileFileCount,
+      smartCategoryCount,
+      tagCount
     }
   };
 }
 
+/**
+ * Open a ZIP archive for writing. Add entries to `archive`, call
+ * archive.finalize(), then wait for `finished`.
+ * @param {string} outputPath - Path of the archive to create
+ * @param {Object} [logCtx] - Log context for archive warnings
+ * @returns {{ archive: Object, finished: Promise<void> }}
+ */
+function createZipArchive(outputPath, logCtx = { module: 'library-transfer-manager', function: 'createZipArchive' }) {
+  const output = fs.createWriteStream(outputPath);
+  const archive = new ZipArchive({ zlib: { level: 5 } });
+
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', () => resolve());
+    archive.on('error', (err) => reject(err));
+    archive.on('warning', (err) => {
+      debugLog?.warn('Archive warning', { ...logCtx, error: err.message });
+    });
+  });
+
+  archive.pipe(output);
+  return { archive, finished };
+}
+
 /**
  * Export the entire library to a .mxvlib archive
  * @param {string} outputPath - Path to save the archive
@@ -211,16 +256,7 @@ async function exportLibrary(outputPath, progressCallback = () => {}) {
     progressCallback({ percent: 5, message: 'Creating archive...' });
 
     // Create archive
-    const output = fs.createWriteStream(outputPath);
-    const archive = new ZipArchive({ zlib: { level: 5 } });
-
-    const archivePromise = new Promise((resolve, reject) => {
-      output.on('close', () => resolve());
-      archive.on('error', (err) => reject(err));
-      archive.on('warning', (err) => {
-        debugLog?.warn('Archive warning', { ...logCtx, error: err.message });
-      });
-    });
+    const { archive, finished: archivePromise } = createZipArchive(outputPath, logCtx);
 
     // Track progress based on data processed
     let totalSourceSize = 0;
@@ -241,8 +277,6 @@ async function exportLibrary(outputPath, progressCallback = () => {}) {
       progressCallback({ percent, message: 'Archiving files...' });
     });
 
-    archive.pipe(output);
-
     // Add manifest
     archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
 
@@ -490,6 +524,11 @@ async function validateArchive(archivePath) {
       };
     }
 
+    const unsupportedSchema = manifest.schemaVersion ? describeUnsupportedVersion(manifest.schemaVersion) : null;
+    if (unsupportedSchema) {
+      return { success: false, error: unsupportedSchema };
+    }
+
     // Get archive file size
     const archiveStat = await fs.promises.stat(archivePath);
     manifest.archiveSize = archiveStat.size;
@@ -563,6 +602,14 @@ async function importLibrary(archivePath, progressCallback = () => {}) {
       // Import database
       const extractedDb = path.join(tempDir, 'database', 'mxvoice.db');
       if (await pathExists(extractedDb)) {
+        // The database header is authoritative (older manifests lack schemaVersion);
+        // refuse before anything on this machine is replaced
+        const importedSchemaVersion = readSchemaVersionFromFile(extractedDb);
+        const unsupportedSchema = importedSchemaVersion === null ? null : describeUnsupportedVersion(importedSchemaVersion);
+        if (unsupportedSchema) {
+          return { success: false, error: unsupportedSchema };
+        }
+
         progressCallback({ percent: 55, message: 'Importing database...' });
 
         // Close existing database if open
@@ -722,5 +769,8 @@ export {
   initializeLibraryTransferManager,
   exportLibrary,
   importLibrary,
-  validateArchive
+  validateArchive,
+  createZipArchive,
+  readZipEntry,
+  extractZipWithProgress
 };
@@ -0,0 +1,279 @@
+/**
+ * Library Verifier Module
+ *
+ * Checks that the song rows and the music directory agree. Songs name their
+ * file by `filename` relative to `music_directory`; the report lists songs
+ * whose file is missing, songs whose filename only matches a file with
+ * different letter case (works on macOS and Windows, fails on Linux or after
+ * a move), audio files no song uses, and files whose names differ only in
+ * case.
+ *
+ * The repairs are relinking a song to another file, importing unused files
+ * as songs and removing songs whose file is gone.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { listAudioFiles, isSupportedAudioFile } from './file-utils.js';
+import { normalizeWords } from './fuzzy-song-matcher.js';
+import { deleteSongTags } from './song-tags.js';
+import { deleteSongMarkers } from './song-markers.js';
+import { LOUDNESS_RESET_SQL, loudnessResetParams } from './song-loudness.js';
+
+const MAX_RELINK_CANDIDATES = 5;
+
+// Songs may store either separator; compare with forward slashes
+function filenameKey(filename) {
+  return String(filename || '').replace(/\\/g, '/');
+}
+
+function compact(text) {
+  return normalizeWords(text).join('');
+}
+
+/**
+ * Unused files that could be a missing song's file, best first: the same
+ * file name in another folder or case, then names containing the title
+ * (and artist). Bulk-imported names drop spaces, so words are compared run
+ * together.
+ * @param {Object} song - mrvoice row
+ * @param {Array<string>} files - Relative filenames to choose from
+ * @returns {Array<string>}
+ */
+function findRelinkCandidates(song, files) {
+  const baseName = path.posix.basename(filenameKey(song.filename)).toLowerCase();
+  const title = compact(song.title);
+  const artist = compact(song.artist);
+
+  return files
+    .map((filename) => {
+      const fileBase = path.posix.basename(filenameKey(filename));
+      let score = 0;
+      if (baseName && fileBase.toLowerCase() === baseName) {
+        score = 4;
+      } else {
+        const stem = compact(fileBase.slice(0, fileBase.length - path.extname(fileBase).length));
+        if (title && stem.includes(title)) score = artist && stem.includes(artist) ? 3 : 2;
+      }
+      return { filename, score };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.filename.localeCompare(b.filename))
+    .slice(0, MAX_RELINK_CANDIDATES)
+    .map(entry => entry.filename);
+}
+
+/**
+ * Compare the songs with the audio files in the music directory.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {string} musicDirectory
+ * @returns {Promise<Object>} { musicDirectory, songCount, fileCount, missing,
+ *   caseMismatches, orphaned, caseCollisions }. Missing songs carry relink
+ *   `candidates`; case mismatches carry the `actualFilename` on disk.
+ */
+async function verifyLibrary(db, musicDirectory) {
+  if (!musicDirectory) {
+    throw new Error('Music directory is not configured');
+  }
+  const files = (await listAudioFiles(musicDirectory))
+    .map(filePath => path.relative(musicDirectory, filePath))
+    .sort();
+
+  const stmt = db.prepare('SELECT id, title, artist, category, filename FROM mrvoice ORDER BY title, id');
+  const songs = stmt.all() || [];
+  stmt.finalize();
+
+  const exact = new Set(files.map(filenameKey));
+  const byLowerCase = new Map();
+  for (const filename of files) {
+    const key = filenameKey(filename).toLowerCase();
+    if (!byLowerCase.has(key)) byLowerCase.set(key, []);
+    byLowerCase.get(key).push(filename);
+  }
+
+  const used = new Set();
+  const missingSongs = [];
+  const caseMismatches = [];
+  for (const song of songs) {
+    const key = filenameKey(song.filename);
+    if (key && exact.has(key)) {
+      used.add(key);
+      continue;
+    }
+    const sameLetters = key ? byLowerCase.get(key.toLowerCase()) : null;
+    if (sameLetters) {
+      sameLetters.forEach(filename => used.add(filenameKey(filename)));
+      caseMismatches.push({ ...song, actualFilename: sameLetters[0] });
+    } else {
+      missingSongs.push(song);
+    }
+  }
+
+  const orphaned = files.filter(filename => !used.has(filenameKey(filename)));
+  return {
+    musicDirectory,
+    songCount: songs.length,
+    fileCount: files.length,
+    missing: missingSongs.map(song => ({ ...song, candidates: findRelinkCandidates(song, orphaned) })),
+    caseMismatches,
+    orphaned,
+    caseCollisions: [...byLowerCase.values()].filter(group => group.length > 1)
+  };
+}
+
+// Resolve a relative filename, refusing anything outside the music directory
+function resolveLibraryFile(musicDirectory, filename) {
+  if (!filename || typeof filename !== 'string' || path.isAbsolute(filename)) {
+    throw new Error(`Invalid filename: ${filename}`);
+  }
+  const root = path.resolve(musicDirectory);
+  const filePath = path.resolve(root, filename);
+  const relative = path.relative(root, filePath);
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`)) {
+    throw new Error(`File is outside the music directory: ${filename}`);
+  }
+  return filePath;
+}
+
+function requireAudioFile(musicDirectory, filename) {
+  const filePath = resolveLibraryFile(musicDirectory, filename);
+  if (!isSupportedAudioFile(filePath) || !fs.existsSync(filePath)) {
+    throw new Error(`Audio file not found: ${filename}`);
+  }
+  return filePath;
+}
+
+function normalizeSongId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error(`Invalid song ID: ${value}`);
+  }
+  return id;
+}
+
+/**
+ * Point songs at other files in the music directory.
+ * @param {Object} db
+ * @param {string} musicDirectory
+ * @param {Array<{ songId: number|string, filename: string }>} links
+ * @returns {number} songs updated
+ */
+function relinkSongs(db, musicDirectory, links) {
+  const checked = (Array.isArray(links) ? links : []).map(({ songId, filename } = {}) => {
+    requireAudioFile(musicDirectory, filename);
+    return [filename, ...loudnessResetParams(filename), normalizeSongId(songId)];
+  });
+  const stmt = db.prepare(`UPDATE mrvoice SET filename = ?, ${LOUDNESS_RESET_SQL} WHERE id = ?`);
+  let updated = 0;
+  for (const params of checked) {
+    updated += stmt.run(params).changes || 0;
+  }
+  stmt.finalize();
+  return updated;
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(Number(seconds) || 0);
+  if (total <= 0) return '00:00';
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Add songs for audio files already in the music directory. The files stay
+ * where they are. Title, artist and duration come from the file's tags; the
+ * title falls back to the file name.
+ * @param {Object} db
+ * @param {string} musicDirectory
+ * @param {Array<string>} filenames - Relative to the music directory
+ * @param {Object} options
+ * @param {string} options.category - Category code for the new songs
+ * @param {Function} [options.readMetadata] - async (filePath) => { title, artist, duration }
+ * @returns {Promise<Array<number>>} IDs of the new songs
+ */
+async function importOrphanedFiles(db, musicDirectory, filenames, { category, readMetadata = null } = {}) {
+  if (!category || typeof category !== 'string') {
+    throw new Error('Category is required');
+  }
+  const list = [...new Set(Array.isArray(filenames) ? filenames : [])];
+  const filePaths = list.map(filename => requireAudioFile(musicDirectory, filename));
+
+  const inUse = db.prepare('SELECT 1 FROM mrvoice WHERE filename = ? LIMIT 1');
+  const alreadyUsed = list.find(filename => inUse.get([filename]));
+  inUse.finalize();
+  if (alreadyUsed) {
+    throw new Error(`A song already uses ${alreadyUsed}`);
+  }
+
+  const songs = [];
+  for (const [index, filename] of list.entries()) {
+    let metadata = {};
+    try {
+      metadata = (await readMetadata?.(filePaths[index])) || {};
+    } catch {
+      // Untagged or unreadable files are imported by name
+    }
+    const stem = path.basename(filename, path.extname(filename));
+    songs.push([metadata.title || stem, metadata.artist || '', category, '', filename, formatDuration(metadata.duration), Math.floor(Date.now() / 1000)]);
+  }
+
+  const insert = db.prepare('INSERT INTO mrvoice (title, artist, category, info, filename, time, modtime) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  const ids = songs.map(params => Number(insert.run(params).lastInsertRowid));
+  insert.finalize();
+  return ids;
+}
+
+/**
+ * Delete songs whose file is still missing. Songs whose file has reappeared
+ * are kept.
+ * @param {Object} db
+ * @param {string} musicDirectory
+ * @param {Array<number|string>} songIds
+ * @returns {Array<number>} IDs of the deleted songs
+ */
+function removeMissingSongs(db, musicDirectory, songIds) {
+  const ids = [...new Set((Array.isArray(songIds) ? songIds : [songIds]).map(normalizeSongId))];
+  const select = db.prepare('SELECT filename FROM mrvoice WHERE id = ?');
+  const remove = db.prepare('DELETE FROM mrvoice WHERE id = ?');
+  const removed = [];
+  try {
+    for (const id of ids) {
+      const row = select.get([id]);
+      if (!row) continue;
+      let present = false;
+      try {
+        present = !!row.filename && fs.existsSync(resolveLibraryFile(musicDirectory, row.filename));
+      } catch {
+        // A filename outside the music directory cannot be played either
+      }
+      if (present) continue;
+      remove.run([id]);
+      removed.push(id);
+    }
+  } finally {
+    select.finalize();
+    remove.finalize();
+  }
+  if (removed.length) {
+    deleteSongTags(db, removed);
+    deleteSongMarkers(db, removed);
+  }
+  return removed;
+}
+
+export {
+  resolveLibraryFile,
+  findRelinkCandidates,
+  verifyLibrary,
+  relinkSongs,
+  importOrphanedFiles,
+  removeMissingSongs
+};
+
+export default {
+  resolveLibraryFile,
+  findRelinkCandidates,
+  verifyLibrary,
+  relinkSongs,
+  importOrphanedFiles,
+  removeMissingSongs
+};
@@ -0,0 +1,278 @@
+/**
+ * Play History Module
+ *
+ * Records each song playback (song, time, profile, how it was started and
+ * how long it actually played) and answers the usage questions built on it:
+ * play counts for search results and the Most / Never / Recently played view.
+ *
+ * Timestamps are Unix seconds, like mrvoice.modtime. Each play keeps the
+ * song's title and artist as they were when it played, so the Show Report
+ * lists what was played even after the song is renamed or deleted.
+ *
+ * Song IDs are reused once a song is deleted, so deleting a song clears the
+ * song_id of its plays (a trigger on mrvoice, so every way of deleting does
+ * it). Those plays stay in the Show Report but count for no song.
+ */
+
+const PLAY_HISTORY_TABLE = 'play_history';
+const PLAY_SOURCES = ['hotkey', 'holding_tank', 'search', 'autoplay'];
+const PLAY_STATISTICS_VIEWS = ['most', 'never', 'recent'];
+const DEFAULT_STATISTICS_LIMIT = 100;
+// Song IDs per play count query, well under SQLite's bound parameter limit
+const PLAY_COUNT_BATCH_SIZE = 500;
+const DELETED_SONG_TRIGGER = `${PLAY_HISTORY_TABLE}_song_deleted`;
+// The song as it was when played; added after the table (schema migration 14)
+const PLAY_HISTORY_SONG_COLUMNS = {
+  title: 'TEXT',
+  artist: 'TEXT'
+};
+
+function getColumnNames(db) {
+  const stmt = db.prepare(`PRAGMA table_info(${PLAY_HISTORY_TABLE})`);
+  const columns = stmt.all() || [];
+  stmt.finalize();
+  return new Set(columns.map(column => column.name));
+}
+
+/**
+ * Create the play_history table and its indexes if they do not exist.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [debugLog]
+ * @returns {boolean} true when the table is available
+ */
+function setupPlayHistory(db, debugLog = null) {
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${PLAY_HISTORY_TABLE} (
+        id INTEGER PRIMARY KEY,
+        song_id INTEGER NOT NULL,
+        played_at INTEGER NOT NULL,
+        profile TEXT,
+        source TEXT NOT NULL,
+        seconds_played REAL NOT NULL DEFAULT 0
+      );
+      CREATE INDEX IF NOT EXISTS 'idx_play_history_song' ON ${PLAY_HISTORY_TABLE}(song_id);
+      CREATE INDEX IF NOT EXISTS 'idx_play_history_played_at' ON ${PLAY_HISTORY_TABLE}(played_at);
+    `);
+    return true;
+  } catch (error) {
+    debugLog?.warn('Play history table setup failed', {
+      module: 'play-history',
+      function: 'setupPlayHistory',
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Add the title and artist columns if they do not exist, filling them in
+ * for earlier plays of songs still in the library. Plays of songs deleted
+ * before then keep NULL.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [debugLog]
+ * @returns {boolean} true when the columns are available
+ */
+function setupPlayHistorySongColumns(db, debugLog = null) {
+  try {
+    const existing = getColumnNames(db);
+    const missing = Object.keys(PLAY_HISTORY_SONG_COLUMNS).filter(column => !existing.has(column));
+    if (!missing.length) return true;
+    for (const column of missing) {
+      db.exec(`ALTER TABLE ${PLAY_HISTORY_TABLE} ADD COLUMN ${column} ${PLAY_HISTORY_SONG_COLUMNS[column]}`);
+    }
+    db.exec(`UPDATE ${PLAY_HISTORY_TABLE} SET
+      title = (SELECT COALESCE(mrvoice.title, '') FROM mrvoice WHERE mrvoice.id = ${PLAY_HISTORY_TABLE}.song_id),
+      artist = (SELECT COALESCE(mrvoice.artist, '') FROM mrvoice WHERE mrvoice.id = ${PLAY_HISTORY_TABLE}.song_id)`);
+    return true;
+  } catch (error) {
+    debugLog?.warn('Play history title and artist setup failed', {
+      module: 'play-history',
+      function: 'setupPlayHistorySongColumns',
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Let plays outlive their song: allow a NULL song_id, clear it on plays of
+ * songs that are already gone, and add the trigger that clears it when a
+ * song is deleted. Run after setupPlayHistorySongColumns.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [debugLog]
+ * @returns {boolean} true when deleted songs' plays are detached
+ */
+function setupPlayHistoryDeletedSongs(db, debugLog = null) {
+  try {
+    const stmt = db.prepare(`PRAGMA table_info(${PLAY_HISTORY_TABLE})`);
+    const songColumn = (stmt.all() || []).find(column => column.name === 'song_id');
+    stmt.finalize();
+    if (songColumn?.notnull) {
+      // SQLite cannot drop NOT NULL from a column, so the table is rebuilt
+      db.exec(`
+        CREATE TABLE ${PLAY_HISTORY_TABLE}_rebuilt (
+          id INTEGER PRIMARY KEY,
+          song_id INTEGER,
+          played_at INTEGER NOT NULL,
+          profile TEXT,
+          source TEXT NOT NULL,
+          seconds_played REAL NOT NULL DEFAULT 0,
+          title TEXT,
+          artist TEXT
+        );
+        INSERT INTO ${PLAY_HISTORY_TABLE}_rebuilt (id, song_id, played_at, profile, source, seconds_played, title, artist)
+          SELECT id, song_id, played_at, profile, source, seconds_played, title, artist FROM ${PLAY_HISTORY_TABLE};
+        DROP TABLE ${PLAY_HISTORY_TABLE};
+        ALTER TABLE ${PLAY_HISTORY_TABLE}_rebuilt RENAME TO ${PLAY_HISTORY_TABLE};
+        CREATE INDEX IF NOT EXISTS 'idx_play_history_song' ON ${PLAY_HISTORY_TABLE}(song_id);
+        CREATE INDEX IF NOT EXISTS 'idx_play_history_played_at' ON ${PLAY_HISTORY_TABLE}(played_at);
+      `);
+    }
+    db.exec(`
+      UPDATE ${PLAY_HISTORY_TABLE} SET song_id = NULL
+        WHERE song_id IS NOT NULL AND song_id NOT IN (SELECT id FROM mrvoice);
+      CREATE TRIGGER IF NOT EXISTS ${DELETED_SONG_TRIGGER} AFTER DELETE ON mrvoice BEGIN
+        UPDATE ${PLAY_HISTORY_TABLE} SET song_id = NULL WHERE song_id = old.id;
+      END;
+    `);
+    return true;
+  } catch (error) {
+    debugLog?.warn('Play history deleted song setup failed', {
+      module: 'play-history',
+      function: 'setupPlayHistoryDeletedSongs',
+      error: error.message
+    });
+    return false;
+  }
+}
+
+function validatePlay({ songId, source, secondsPlayed, playedAt } = {}) {
+  const id = Number(songId);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error(`Invalid song ID: ${songId}`);
+  }
+  if (!PLAY_SOURCES.includes(source)) {
+    throw new Error(`Invalid play source: ${source}`);
+  }
+  const seconds = Number(secondsPlayed ?? 0);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid seconds played: ${secondsPlayed}`);
+  }
+  const timestamp = playedAt == null ? Math.floor(Date.now() / 1000) : Number(playedAt);
+  if (!Number.isInteger(timestamp) || timestamp <= 0) {
+    throw new Error(`Invalid play time: ${playedAt}`);
+  }
+  return { id, seconds: Math.round(seconds * 10) / 10, timestamp };
+}
+
+/**
+ * @param {Object} db
+ * @param {{ songId: number|string, source: string, secondsPlayed: number, playedAt?: number }} play
+ *   playedAt is when playback started (Unix seconds, defaults to now)
+ * @param {string|null} [profile] - Profile that played the song
+ * @returns {number} the new history row ID
+ */
+function recordPlay(db, play, profile = null) {
+  const { id, seconds, timestamp } = validatePlay(play);
+  const select = db.prepare('SELECT title, artist FROM mrvoice WHERE id = ?');
+  const song = select.get([id]);
+  select.finalize();
+  const stmt = db.prepare(`INSERT INTO ${PLAY_HISTORY_TABLE} (song_id, played_at, profile, source, seconds_played, title, artist)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`);
+  // A song deleted while it played leaves its ID free for the next import
+  const result = stmt.run([
+    song ? id : null, timestamp, profile || null, play.source, seconds,
+    song ? song.title || '' : null,
+    song ? song.artist || '' : null
+  ]);
+  stmt.finalize();
+  return result.lastInsertRowid;
+}
+
+/**
+ * Add play_count and last_played to song rows (0 and null when never played).
+ * Only the rows' own history is read, through idx_play_history_song.
+ * @param {Object} db
+ * @param {Array<Object>} rows - mrvoice rows
+ * @returns {Array<Object>} the same rows, annotated
+ */
+function annotatePlayCounts(db, rows) {
+  if (!rows.length) return rows;
+  const songIds = [...new Set(rows.map(row => row.id))];
+  const counts = new Map();
+  for (let start = 0; start < songIds.length; start += PLAY_COUNT_BATCH_SIZE) {
+    const batch = songIds.slice(start, start + PLAY_COUNT_BATCH_SIZE);
+    const stmt = db.prepare(`SELECT song_id, COUNT(*) AS play_count, MAX(played_at) AS last_played FROM ${PLAY_HISTORY_TABLE}
+      WHERE song_id IN (${batch.map(() => '?').join(', ')}) GROUP BY song_id`);
+    for (const row of stmt.all(batch) || []) counts.set(row.song_id, row);
+    stmt.finalize();
+  }
+  for (const row of rows) {
+    const count = counts.get(row.id);
+    row.play_count = count?.play_count || 0;
+    row.last_played = count?.last_played ?? null;
+  }
+  return rows;
+}
+
+/**
+ * Songs for the play statistics view.
+ * @param {Object} db
+ * @param {Object} [options]
+ * @param {string} [options.view='most'] - "most", "never" or "recent"
+ * @param {string|null} [options.profile] - Only count plays by this profile
+ * @param {number} [options.limit=100]
+ * @returns {Array<Object>} mrvoice rows with play_count, last_played and seconds_played
+ */
+function getPlayStatistics(db, { view = 'most', profile = null, limit = DEFAULT_STATISTICS_LIMIT } = {}) {
+  if (!PLAY_STATISTICS_VIEWS.includes(view)) {
+    throw new Error(`Unknown play statistics view: ${view}`);
+  }
+  const rowLimit = Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_STATISTICS_LIMIT;
+  const historyFilter = profile ? ' WHERE profile = ?' : '';
+  const params = profile ? [profile] : [];
+  const plays = `SELECT song_id, COUNT(*) AS play_count, MAX(played_at) AS last_played, SUM(seconds_played) AS seconds_played
+    FROM ${PLAY_HISTORY_TABLE}${historyFilter} GROUP BY song_id`;
+
+  let sql;
+  if (view === 'never') {
+    sql = `SELECT mrvoice.*, 0 AS play_count, NULL AS last_played, 0 AS seconds_played FROM mrvoice
+      LEFT JOIN (${plays}) plays ON plays.song_id = mrvoice.id
+      WHERE plays.song_id IS NULL ORDER BY category, info, title, artist LIMIT ?`;
+  } else {
+    const orderBy = view === 'most'
+      ? 'plays.play_count DESC, plays.last_played DESC'
+      : 'plays.last_played DESC';
+    sql = `SELECT mrvoice.*, plays.play_count, plays.last_played, plays.seconds_played FROM mrvoice
+      JOIN (${plays}) plays ON plays.song_id = mrvoice.id
+      ORDER BY ${orderBy} LIMIT ?`;
+  }
+
+  const stmt = db.prepare(sql);
+  const rows = stmt.all([...params, rowLimit]) || [];
+  stmt.finalize();
+  return rows;
+}
+
+export {
+  PLAY_HISTORY_TABLE,
+  PLAY_HISTORY_SONG_COLUMNS,
+  PLAY_SOURCES,
+  PLAY_STATISTICS_VIEWS,
+  setupPlayHistory,
+  setupPlayHistorySongColumns,
+  setupPlayHistoryDeletedSongs,
+  recordPlay,
+  annotatePlayCounts,
+  getPlayStatistics
+};
+
+export default {
+  setupPlayHistory,
+  setupPlayHistorySongColumns,
+  setupPlayHistoryDeletedSongs,
+  recordPlay,
+  annotatePlayCounts,
+  getPlayStatistics
+};
@@ -24,6 +24,7 @@ import {
   getProfilesDirectory,
   sanitizeProfileName
 } from './profile-paths.js';
+import { markStateSongsMissing, remapStateSongs } from './song-fingerprints.js';
 
 // Note: __dirname/__filename equivalents removed — not currently needed in this module
 
@@ -64,6 +65,25 @@ function getDefaultPreferences() {
   return {
     // Audio settings
     fade_out_seconds: 3,
+    fade_out_curve: 'linear',
+    fade_in_seconds: 0,
+    fade_in_curve: 'linear',
+    crossfade_curve: 'linear',
+    loudness_normalization: false,
+    loudness_target_lufs: -16,
+    silence_trim_on_import: true,
+    silence_threshold_db: -50,
+    audio_output_device: '',
+    audio_output_fallback: 'continue',
+    preview_output_device: '',
+    sfx_volume: 100,
+    duck_depth_db: 12,
+    duck_attack_ms: 150,
+    duck_release_ms: 800,
+    duck_on_sfx: true,
+    duck_mic_device: '',
+    duck_mic_threshold_db: -40,
+    hotkey_pad_keys: false,
     
     // Appearance & UI
     screen_mode: 'auto',
@@ -893,6 +913,86 @@ async function saveProfileState(profileName, state, { reason = 'save' } = {}) {
   return { success: true };
 }
 
+/**
+ * Read a profile's saved hotkeys and holding tank.
+ * @param {string} profileName - Display name of the profile
+ * @returns {Promise<Object|null>} The state, or null when the profile has no state.json
+ */
+async function readProfileState(profileName) {
+  try {
+    return JSON.parse(await fsPromises.readFile(getProfileStatePath(profileName), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Replace song IDs in a profile's saved hotkeys and holding tank, e.g.
+ * after duplicate songs were merged into one. Profiles without a
+ * state.json are left alone.
+ * @param {string} profileName - Display name of the profile
+ * @param {Object<string, string|number>} songIdMap - Old song ID to new song ID
+ * @returns {Promise<{success: boolean, changed: boolean}>}
+ */
+async function remapProfileStateSongs(profileName, songIdMap) {
+  const state = await readProfileState(profileName);
+  if (!state) return { success: true, changed: false };
+
+  const changed = remapStateSongs(state, songIdMap);
+  if (changed) {
+    await saveProfileState(profileName, state, { reason: 'song-remap' });
+  }
+  return { success: true, changed };
+}
+
+/**
+ * Mark deleted songs missing in a profile's saved hotkeys and holding tank,
+ * which keep them until they are relinked or removed.
+ * @param {string} profileName - Display name of the profile
+ * @param {Object<string, Object|null>} fingerprints - The deleted songs' fingerprints by ID
+ * @returns {Promise<{success: boolean, changed: boolean}>}
+ */
+async function markProfileStateSongsMissing(profileName, fingerprints) {
+  const state = await readProfileState(profileName);
+  if (!state) return { success: true, changed: false };
+
+  const changed = markStateSongsMissing(state, fingerprints);
+  if (changed) {
+    await saveProfileState(profileName, state, { reason: 'songs-missing' });
+  }
+  return { success: true, changed };
+}
+
+/**
+ * Mark deleted songs missing in every profile's saved state. A profile that
+ * cannot be updated is logged and skipped.
+ * @param {Object<string, Object|null>} fingerprints - The deleted songs' fingerprints by ID
+ * @param {Object} [options]
+ * @param {string} [options.except] - A profile to leave alone, e.g. the one open in the renderer
+ * @returns {Promise<string[]>} The profiles that changed
+ */
+async function markSongsMissingInProfiles(fingerprints, { except } = {}) {
+  const profilesUpdated = [];
+  if (!Object.keys(fingerprints || {}).length) return profilesUpdated;
+  for (const { name } of getAvailableProfiles()) {
+    if (name === except) continue;
+    try {
+      if ((await markProfileStateSongsMissing(name, fingerprints)).changed) {
+        profilesUpdated.push(name);
+      }
+    } catch (error) {
+      debugLog?.warn('Could not mark deleted songs missing in profile state', {
+        module: 'profile-manager',
+        function: 'markSongsMissingInProfiles',
+        profile: name,
+        error: error.message
+      });
+    }
+  }
+  return profilesUpdated;
+}
+
 export {
   initializeProfileManager,
   getAvailableProfiles,
@@ -907,5 +1007,9 @@ export {
   getDefaultPreferences,
   getProfilesDirectory,
   sanitizeProfileName,
-  saveProfileState
+  saveProfileState,
+  readProfileState,
+  remapProfileStateSongs,
+  markProfileStateSongsMissing,
+  markSongsMissingInProfiles
 };
@@ -0,0 +1,374 @@
+/**
+ * Schema Migrations Module
+ *
+ * Versioned, ordered up-migrations for the song database. The applied version
+ * lives in the SQLite header (`PRAGMA user_version`), so it travels with the
+ * database file when a library is shared between machines or transferred.
+ *
+ * Each migration runs in its own transaction together with the version bump:
+ * a failing step leaves the database at the previous version. Before the
+ * first pending step an existing database file is copied to
+ * `<db>.pre-migration-v<version>-<timestamp>`. A database whose version is
+ * newer than the last migration below is refused rather than opened.
+ *
+ * The full-text search index (migration 3) is optional; when it could not be
+ * built, ensureSearchIndex tries again each time the database opens.
+ *
+ * To change the schema, append a migration with the next version number.
+ * Never edit or reorder a released migration.
+ */
+
+import fs from 'fs';
+import { hasSearchIndex, setupSearchIndex } from './song-search-index.js';
+import { setupSmartCategories } from './smart-categories.js';
+import { setupPlayHistory, setupPlayHistoryDeletedSongs, setupPlayHistorySongColumns } from './play-history.js';
+import { setupShowSessions } from './show-report.js';
+import { setupSongTags } from './song-tags.js';
+import { LOUDNESS_COLUMNS } from './song-loudness.js';
+import { setupSongMarkers } from './song-markers.js';
+import { LOOP_REGION_COLUMNS } from './song-loop-region.js';
+import { FADE_COLUMNS } from './song-fades.js';
+import { SPEED_COLUMNS } from './song-speed.js';
+
+const SQLITE_HEADER = 'SQLite format 3\0';
+const USER_VERSION_OFFSET = 60;
+
+function getColumnNames(db, table) {
+  const stmt = db.prepare(`PRAGMA table_info(${table})`);
+  const columns = stmt.all() || [];
+  stmt.finalize();
+  return new Set(columns.map(column => column.name));
+}
+
+function addColumnIfMissing(db, table, column, definition) {
+  if (!getColumnNames(db, table).has(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'base schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS categories (
+          code TEXT PRIMARY KEY,
+          description TEXT
+        );
+        CREATE TABLE IF NOT EXISTS mrvoice (
+          id INTEGER PRIMARY KEY,
+          title TEXT,
+          artist TEXT,
+          category TEXT,
+          info TEXT,
+          filename TEXT,
+          time TEXT,
+          modtime INTEGER
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS 'category_code_index' ON categories(code);
+        CREATE UNIQUE INDEX IF NOT EXISTS 'category_description_index' ON categories(description);
+        CREATE INDEX IF NOT EXISTS 'idx_title' ON mrvoice(title);
+        CREATE INDEX IF NOT EXISTS 'idx_index' ON mrvoice(artist);
+        CREATE INDEX IF NOT EXISTS 'idx_info' ON mrvoice(info);
+        CREATE INDEX IF NOT EXISTS 'idx_category' ON mrvoice(category);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'per-song volume and trim points',
+    up(db) {
+      // Databases from before versioning may already have some of these
+      addColumnIfMissing(db, 'mrvoice', 'volume', 'INTEGER DEFAULT 100');
+      addColumnIfMissing(db, 'mrvoice', 'start_time', 'REAL DEFAULT NULL');
+      addColumnIfMissing(db, 'mrvoice', 'end_time', 'REAL DEFAULT NULL');
+    }
+  },
+  {
+    version: 3,
+    name: 'full-text search index',
+    up(db, { debugLog } = {}) {
+      // Optional: without FTS5, SEARCH_SONGS falls back to LIKE matching
+      // and ensureSearchIndex tries again each time the database opens
+      setupSearchIndex(db, debugLog);
+    }
+  },
+  {
+    version: 4,
+    name: 'smart categories',
+    up(db, { debugLog } = {}) {
+      if (!setupSmartCategories(db, debugLog)) {
+        throw new Error('Could not create the smart_categories table');
+      }
+    }
+  },
+  {
+    version: 5,
+    name: 'play history',
+    up(db, { debugLog } = {}) {
+      if (!setupPlayHistory(db, debugLog)) {
+        throw new Error('Could not create the play_history table');
+      }
+    }
+  },
+  {
+    version: 6,
+    name: 'show sessions',
+    up(db, { debugLog } = {}) {
+      if (!setupShowSessions(db, debugLog)) {
+        throw new Error('Could not create the show_sessions table');
+      }
+    }
+  },
+  {
+    version: 7,
+    name: 'song tags',
+    up(db, { debugLog } = {}) {
+      if (!setupSongTags(db, debugLog)) {
+        throw new Error('Could not create the tags tables');
+      }
+    }
+  },
+  {
+    version: 8,
+    name: 'loudness analysis',
+    up(db) {
+      for (const [column, definition] of Object.entries(LOUDNESS_COLUMNS)) {
+        addColumnIfMissing(db, 'mrvoice', column, definition);
+      }
+    }
+  },
+  {
+    version: 9,
+    name: 'song markers',
+    up(db, { debugLog } = {}) {
+      if (!setupSongMarkers(db, debugLog)) {
+        throw new Error('Could not create the song_markers table');
+      }
+    }
+  },
+  {
+    version: 10,
+    name: 'loop regions',
+    up(db) {
+      for (const [column, definition] of Object.entries(LOOP_REGION_COLUMNS)) {
+        addColumnIfMissing(db, 'mrvoice', column, definition);
+      }
+    }
+  },
+  {
+    version: 11,
+    name: 'sound effect flag',
+    up(db) {
+      // Sound effects play over the music instead of replacing it
+      addColumnIfMissing(db, 'mrvoice', 'sfx', 'INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 12,
+    name: 'song fades',
+    up(db) {
+      for (const [column, definition] of Object.entries(FADE_COLUMNS)) {
+        addColumnIfMissing(db, 'mrvoice', column, definition);
+      }
+    }
+  },
+  {
+    version: 13,
+    name: 'song tempo and pitch',
+    up(db) {
+      for (const [column, definition] of Object.entries(SPEED_COLUMNS)) {
+        addColumnIfMissing(db, 'mrvoice', column, definition);
+      }
+    }
+  },
+  {
+    version: 14,
+    name: 'play history song titles',
+    up(db, { debugLog } = {}) {
+      // Plays keep the title and artist they were played under
+      if (!setupPlayHistorySongColumns(db, debugLog)) {
+        throw new Error('Could not add the title and artist to the play history');
+      }
+    }
+  },
+  {
+    version: 15,
+    name: 'play history of deleted songs',
+    up(db, { debugLog } = {}) {
+      // Song IDs are reused, so plays let go of a deleted song's ID
+      if (!setupPlayHistoryDeletedSongs(db, debugLog)) {
+        throw new Error('Could not detach the play history from deleted songs');
+      }
+    }
+  }
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @returns {number} the database's schema version (0 for unversioned)
+ */
+function getSchemaVersion(db) {
+  const stmt = db.prepare('PRAGMA user_version');
+  const row = stmt.get();
+  stmt.finalize();
+  return row?.user_version || 0;
+}
+
+function setSchemaVersion(db, version) {
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Invalid schema version: ${version}`);
+  }
+  db.exec(`PRAGMA user_version = ${version}`);
+}
+
+/**
+ * Read the schema version from a database file's header without opening it.
+ * @param {string} filePath
+ * @returns {number|null} the version, or null when the file is not a SQLite database
+ */
+function readSchemaVersionFromFile(filePath) {
+  let fd = null;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const header = Buffer.alloc(USER_VERSION_OFFSET + 4);
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    if (bytesRead < header.length || header.toString('latin1', 0, SQLITE_HEADER.length) !== SQLITE_HEADER) {
+      return null;
+    }
+    return header.readInt32BE(USER_VERSION_OFFSET);
+  } catch {
+    return null;
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Explain why a database at this version cannot be opened, or return null.
+ * @param {number} version
+ * @returns {string|null}
+ */
+function describeUnsupportedVersion(version) {
+  if (version <= LATEST_SCHEMA_VERSION) return null;
+  return `This library was saved by a newer version of Mx. Voice (database schema version ${version}; ` +
+    `this version supports up to ${LATEST_SCHEMA_VERSION}). Update Mx. Voice to open it.`;
+}
+
+function hasExistingTables(db) {
+  const stmt = db.prepare("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'");
+  const row = stmt.get();
+  stmt.finalize();
+  return (row?.count || 0) > 0;
+}
+
+/**
+ * Copy the database file aside before migrating it.
+ * @param {string} dbPath
+ * @param {number} fromVersion
+ * @returns {string} snapshot path
+ */
+function createPreMigrationSnapshot(dbPath, fromVersion) {
+  const snapshotPath = `${dbPath}.pre-migration-v${fromVersion}-${Date.now()}`;
+  fs.copyFileSync(dbPath, snapshotPath);
+  return snapshotPath;
+}
+
+/**
+ * Bring a database up to the latest schema version.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [options]
+ * @param {string} [options.dbPath] - Database file to snapshot before migrating (omit for in-memory)
+ * @param {Object} [options.debugLog]
+ * @param {Array} [options.migrations=MIGRATIONS] - Ordered migrations (overridable for tests)
+ * @returns {{ fromVersion: number, toVersion: number, applied: number[], snapshotPath: string|null }}
+ * @throws when the database is newer than the app, the snapshot fails, or a migration fails
+ */
+function runSchemaMigrations(db, { dbPath = null, debugLog = null, migrations = MIGRATIONS } = {}) {
+  const logCtx = { module: 'schema-migrations', function: 'runSchemaMigrations' };
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+  const fromVersion = getSchemaVersion(db);
+
+  if (fromVersion > latest) {
+    throw new Error(describeUnsupportedVersion(fromVersion) ||
+      `Database schema version ${fromVersion} is newer than this app supports (${latest})`);
+  }
+
+  const pending = migrations.filter(migration => migration.version > fromVersion);
+  if (pending.length === 0) {
+    return { fromVersion, toVersion: fromVersion, applied: [], snapshotPath: null };
+  }
+
+  let snapshotPath = null;
+  if (dbPath && fs.existsSync(dbPath) && hasExistingTables(db)) {
+    snapshotPath = createPreMigrationSnapshot(dbPath, fromVersion);
+    debugLog?.info('Created pre-migration database snapshot', { ...logCtx, snapshotPath, fromVersion });
+  }
+
+  const applied = [];
+  for (const migration of pending) {
+    db.exec('BEGIN');
+    try {
+      migration.up(db, { debugLog });
+      setSchemaVersion(db, migration.version);
+      db.exec('COMMIT');
+    } catch (error) {
+      try {
+        db.exec('ROLLBACK');
+      } catch {
+        // SQLite already rolled back
+      }
+      debugLog?.error(`Schema migration ${migration.version} (${migration.name}) failed`, {
+        ...logCtx, version: migration.version, error: error.message, snapshotPath
+      });
+      throw new Error(`Database migration ${migration.version} (${migration.name}) failed: ${error.message}`, { cause: error });
+    }
+    applied.push(migration.version);
+    debugLog?.info(`Applied schema migration ${migration.version} (${migration.name})`, { ...logCtx, version: migration.version });
+  }
+
+  return { fromVersion, toVersion: applied[applied.length - 1], applied, snapshotPath };
+}
+
+/**
+ * Build the full-text search index if migration 3 could not. That migration
+ * lets the database move past it without the index, so this runs each time
+ * the database opens.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [options]
+ * @param {Object} [options.debugLog]
+ * @returns {boolean} true when the index is available
+ */
+function ensureSearchIndex(db, { debugLog = null } = {}) {
+  if (hasSearchIndex(db)) return true;
+  if (getSchemaVersion(db) < 3) return false;
+  debugLog?.info('Full-text search index is missing; building it', {
+    module: 'schema-migrations', function: 'ensureSearchIndex'
+  });
+  return setupSearchIndex(db, debugLog);
+}
+
+export {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+  getSchemaVersion,
+  readSchemaVersionFromFile,
+  describeUnsupportedVersion,
+  createPreMigrationSnapshot,
+  runSchemaMigrations,
+  ensureSearchIndex
+};
+
+export default {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+  getSchemaVersion,
+  readSchemaVersionFromFile,
+  describeUnsupportedVersion,
+  createPreMigrationSnapshot,
+  runSchemaMigrations,
+  ensureSearchIndex
+};
@@ -0,0 +1,369 @@
+/**
+ * Show Report Module
+ *
+ * Performing-rights reports of every track played in a show. A show session
+ * runs from one View > "Start a New Session" to the next (per profile); the
+ * report lists the session's plays from the play history with start time,
+ * duration played, title and artist, exported as CSV or printable HTML.
+ * Titles and artists are the ones saved with each play, so renamed and
+ * deleted songs are reported as they were played.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PLAY_HISTORY_TABLE } from './play-history.js';
+
+const SHOW_SESSION_TABLE = 'show_sessions';
+// Plays recorded before the play history kept titles, of songs deleted since
+const UNKNOWN_SONG_TITLE = '(deleted song)';
+
+/**
+ * Create the show_sessions table if it does not exist.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [debugLog]
+ * @returns {boolean} true when the table is available
+ */
+function setupShowSessions(db, debugLog = null) {
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${SHOW_SESSION_TABLE} (
+        id INTEGER PRIMARY KEY,
+        profile TEXT,
+        started_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS 'idx_show_sessions_profile' ON ${SHOW_SESSION_TABLE}(profile, started_at);
+    `);
+    return true;
+  } catch (error) {
+    debugLog?.warn('Show sessions table setup failed', {
+      module: 'show-report',
+      function: 'setupShowSessions',
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Mark the start of a new show session.
+ * @param {Object} db
+ * @param {string|null} profile
+ * @param {number} [now=Date.now()]
+ * @returns {number} the new session ID
+ */
+function startShowSession(db, profile, now = Date.now()) {
+  const stmt = db.prepare(`INSERT INTO ${SHOW_SESSION_TABLE} (profile, started_at) VALUES (?, ?)`);
+  const result = stmt.run([profile || null, Math.floor(now / 1000)]);
+  stmt.finalize();
+  return result.lastInsertRowid;
+}
+
+/**
+ * The profile's most recent sessions, newest first. Each session ends where
+ * the next one starts; the current session has no end. Before the first
+ * "Start a New Session" the whole history is one session starting at 0.
+ * @param {Object} db
+ * @param {string|null} profile
+ * @param {number} [limit=2]
+ * @returns {Array<{ id: number|null, startedAt: number, endedAt: number|null }>}
+ */
+function listShowSessions(db, profile, limit = 2) {
+  const stmt = db.prepare(`SELECT id, started_at FROM ${SHOW_SESSION_TABLE} WHERE profile IS ? ORDER BY started_at DESC, id DESC LIMIT ?`);
+  const rows = stmt.all([profile || null, limit]) || [];
+  stmt.finalize();
+
+  const sessions = rows.map((row, index) => ({
+    id: row.id,
+    startedAt: row.started_at,
+    endedAt: index === 0 ? null : rows[index - 1].started_at
+  }));
+  if (sessions.length < limit) {
+    sessions.push({ id: null, startedAt: 0, endedAt: sessions.length ? sessions[sessions.length - 1].startedAt : null });
+  }
+  return sessions;
+}
+
+/**
+ * Build the report for a session.
+ * @param {Object} db
+ * @param {Object} options
+ * @param {string|null} options.profile
+ * @param {{ id: number|null, startedAt: number, endedAt: number|null }} options.session
+ * @param {number} [options.now=Date.now()]
+ * @returns {{ profile: string|null, startedAt: number, endedAt: number|null, generatedAt: number, plays: Array<Object> }}
+ */
+function buildShowReport(db, { profile, session, now = Date.now() }) {
+  const params = [profile || null, session.startedAt];
+  let until = '';
+  if (session.endedAt != null) {
+    until = ' AND plays.played_at < ?';
+    params.push(session.endedAt);
+  }
+  const stmt = db.prepare(`
+    SELECT plays.played_at, plays.seconds_played, plays.title, plays.artist
+    FROM ${PLAY_HISTORY_TABLE} plays
+    WHERE plays.profile IS ? AND plays.played_at >= ?${until}
+    ORDER BY plays.played_at ASC, plays.id ASC
+  `);
+  const rows = stmt.all(params) || [];
+  stmt.finalize();
+
+  return {
+    profile: profile || null,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    generatedAt: Math.floor(now / 1000),
+    plays: rows.map(row => ({
+      startedAt: row.played_at,
+      secondsPlayed: row.seconds_played,
+      title: row.title ?? UNKNOWN_SONG_TITLE,
+      artist: row.artist || ''
+    }))
+  };
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} local "YYYY-MM-DD HH:MM:SS"
+ */
+function formatReportTime(timestamp) {
+  const date = new Date(timestamp * 1000);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} "m:ss" or "h:mm:ss"
+ */
+function formatReportDuration(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours
+    ? `${hours}:${pad(minutes)}:${pad(total % 60)}`
+    : `${minutes}:${pad(total % 60)}`;
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object} report - buildShowReport() result
+ * @returns {string} CSV with a header row
+ */
+function formatShowReportCsv(report) {
+  const lines = [['Start Time', 'Duration Played', 'Title', 'Artist']];
+  for (const play of report.plays) {
+    lines.push([formatReportTime(play.startedAt), formatReportDuration(play.secondsPlayed), play.title, play.artist]);
+  }
+  return lines.map(fields => fields.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function describeSession(report) {
+  const from = report.startedAt ? formatReportTime(report.startedAt) : 'first recorded play';
+  const to = report.endedAt ? formatReportTime(report.endedAt) : formatReportTime(report.generatedAt);
+  return `${from} – ${to}`;
+}
+
+/**
+ * @param {Object} report - buildShowReport() result
+ * @returns {string} standalone HTML document laid out for printing
+ */
+function formatShowReportHtml(report) {
+  const totalSeconds = report.plays.reduce((sum, play) => sum + (Number(play.secondsPlayed) || 0), 0);
+  const rows = report.plays.map((play, index) => `      <tr>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(formatReportTime(play.startedAt))}</td>
+        <td>${escapeHtml(formatReportDuration(play.secondsPlayed))}</td>
+        <td>${escapeHtml(play.title)}</td>
+        <td>${escapeHtml(play.artist)}</td>
+      </tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Show Report</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 12px; margin: 2em; color: #000; }
+    h1 { font-size: 18px; margin-bottom: 0.25em; }
+    dl { display: grid; grid-template-columns: max-content auto; gap: 0.2em 1em; margin: 0 0 1.5em; }
+    dt { font-weight: bold; }
+    dd { margin: 0; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Show Report</h1>
+  <dl>
+    <dt>Profile</dt><dd>${escapeHtml(report.profile || '')}</dd>
+    <dt>Session</dt><dd>${escapeHtml(describeSession(report))}</dd>
+    <dt>Tracks played</dt><dd>${report.plays.length}</dd>
+    <dt>Total time played</dt><dd>${escapeHtml(formatReportDuration(totalSeconds))}</dd>
+    <dt>Generated</dt><dd>${escapeHtml(formatReportTime(report.generatedAt))}</dd>
+  </dl>
+  <table>
+    <thead>
+      <tr><th>#</th><th>Start Time</th><th>Duration Played</th><th>Title</th><th>Artist</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Ask which session to report on and where to save it, then write the file.
+ * The saved format follows the chosen extension (.html or .csv).
+ * @param {Object} deps
+ * @param {Object} deps.dialog - Electron dialog
+ * @param {Object} [deps.parentWindow]
+ * @param {Object} deps.db
+ * @param {string|null} deps.profile
+ * @param {string} deps.defaultDirectory
+ * @param {Object} [deps.debugLog]
+ * @param {number} [deps.now=Date.now()]
+ * @returns {Promise<{ canceled: boolean, success?: boolean, filePath?: string, trackCount?: number, error?: string }>}
+ */
+async function exportShowReport({ dialog, parentWindow = null, db, profile, defaultDirectory, debugLog = null, now = Date.now() }) {
+  const logCtx = { module: 'show-report', function: 'exportShowReport' };
+  const sessions = listShowSessions(db, profile);
+  let session = sessions[0];
+
+  if (sessions.length > 1) {
+    const { response } = await dialog.showMessageBox(parentWindow, {
+      type: 'question',
+      title: 'Show Report',
+      message: 'Which session do you want to report?',
+      detail: `The current session started ${sessions[0].startedAt ? formatReportTime(sessions[0].startedAt) : 'with the first recorded play'}.`,
+      buttons: ['Current Session', 'Previous Session', 'Cancel'],
+      defaultId: 0,
+      cancelId: 2
+    });
+    if (response === 2) return { canceled: true };
+    session = sessions[response];
+  }
+
+  const report = buildShowReport(db, { profile, session, now });
+  if (report.plays.length === 0) {
+    await dialog.showMessageBox(parentWindow, {
+      type: 'info',
+      title: 'Show Report',
+      message: 'No tracks were played in this session.'
+    });
+    return { canceled: false, success: false, error: 'No tracks were played in this session' };
+  }
+
+  const day = formatReportTime(report.startedAt || report.plays[0].startedAt).slice(0, 10);
+  const { canceled, filePath } = await dialog.showSaveDialog(parentWindow, {
+    title: 'Export Show Report',
+    defaultPath: path.join(defaultDirectory, `Show Report ${day}.csv`),
+    filters: [
+      { name: 'CSV', extensions: ['csv'] },
+      { name: 'Printable HTML', extensions: ['html'] }
+    ]
+  });
+  if (canceled || !filePath) return { canceled: true };
+
+  const html = /\.html?$/i.test(filePath);
+  try {
+    fs.writeFileSync(filePath, html ? formatShowReportHtml(report) : formatShowReportCsv(report), 'utf8');
+  } catch (error) {
+    debugLog?.error('Failed to write show report', { ...logCtx, filePath, error: error.message });
+    return { canceled: false, success: false, error: error.message };
+  }
+  debugLog?.info('Show report exported', { ...logCtx, filePath, trackCount: report.plays.length, format: html ? 'html' : 'csv' });
+  return { canceled: false, success: true, filePath, trackCount: report.plays.length };
+}
+
+/**
+ * Menu commands for show sessions, bound to the app's database, profile and
+ * window.
+ * @param {Object} deps
+ * @param {Function} deps.getDb
+ * @param {Function} deps.getCurrentProfile
+ * @param {Function} deps.getWindow
+ * @param {Object} deps.dialog - Electron dialog
+ * @param {Function} deps.getDefaultDirectory - Where the save dialog starts
+ * @param {Object} [deps.debugLog]
+ * @returns {{ startSession: Function, exportReport: Function }}
+ */
+function createShowReportCommands({ getDb, getCurrentProfile, getWindow, dialog, getDefaultDirectory, debugLog = null }) {
+  const logCtx = { module: 'show-report', function: 'createShowReportCommands' };
+
+  return {
+    startSession() {
+      const db = getDb();
+      if (!db) return null;
+      try {
+        const id = startShowSession(db, getCurrentProfile?.());
+        debugLog?.info('Show session started', { ...logCtx, sessionId: id });
+        return id;
+      } catch (error) {
+        debugLog?.warn('Could not record show session start', { ...logCtx, error: error.message });
+        return null;
+      }
+    },
+    async exportReport() {
+      const db = getDb();
+      if (!db) {
+        debugLog?.warn('Show report requested before the database was ready', logCtx);
+        return { canceled: false, success: false, error: 'Database not initialized' };
+      }
+      const window = getWindow();
+      return exportShowReport({
+        dialog,
+        parentWindow: window && !window.isDestroyed?.() ? window : null,
+        db,
+        profile: getCurrentProfile?.(),
+        defaultDirectory: getDefaultDirectory(),
+        debugLog
+      });
+    }
+  };
+}
+
+export {
+  SHOW_SESSION_TABLE,
+  setupShowSessions,
+  startShowSession,
+  listShowSessions,
+  buildShowReport,
+  formatReportTime,
+  formatReportDuration,
+  formatShowReportCsv,
+  formatShowReportHtml,
+  exportShowReport,
+  createShowReportCommands
+};
+
+export default {
+  setupShowSessions,
+  startShowSession,
+  listShowSessions,
+  buildShowReport,
+  formatShowReportCsv,
+  formatShowReportHtml,
+  exportShowReport,
+  createShowReportCommands
+};
@@ -0,0 +1,178 @@
+/**
+ * Smart Categories Module
+ *
+ * Saved searches that appear alongside real categories. Each smart category
+ * keeps the omni-search text the user typed (`query`) and the compiled
+ * SEARCH_SONGS criteria (`criteria`, JSON of { category, searchTerm,
+ * advancedFilters }) so searches don't need the renderer's parser.
+ *
+ * Smart categories live in the library database, so library transfer and
+ * backups carry them along with the songs they select.
+ */
+
+const SMART_CATEGORY_TABLE = 'smart_categories';
+const SMART_CATEGORY_PREFIX = 'smart:';
+
+/**
+ * Create the smart_categories table if it does not exist.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [debugLog]
+ * @returns {boolean} true when the table is available
+ */
+function setupSmartCategories(db, debugLog = null) {
+  try {
+    const stmt = db.prepare(`
+      CREATE TABLE IF NOT EXISTS ${SMART_CATEGORY_TABLE} (
+        id INTEGER PRIMARY KEY,
+        description TEXT NOT NULL UNIQUE,
+        query TEXT NOT NULL,
+        criteria TEXT NOT NULL
+      )
+    `);
+    stmt.run();
+    stmt.finalize();
+    return true;
+  } catch (error) {
+    debugLog?.warn('Smart categories table setup failed', {
+      module: 'smart-categories',
+      function: 'setupSmartCategories',
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * @param {string} code - Category select value
+ * @returns {boolean} true for smart category codes ("smart:<id>")
+ */
+function isSmartCategoryCode(code) {
+  return typeof code === 'string' && code.startsWith(SMART_CATEGORY_PREFIX);
+}
+
+function parseSmartCategoryId(code) {
+  if (!isSmartCategoryCode(code)) return null;
+  const id = Number(code.slice(SMART_CATEGORY_PREFIX.length));
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function toSmartCategory(row) {
+  let criteria = {};
+  try {
+    criteria = JSON.parse(row.criteria) || {};
+  } catch {
+    // Unreadable criteria select nothing extra rather than breaking search
+  }
+  return {
+    code: `${SMART_CATEGORY_PREFIX}${row.id}`,
+    description: row.description,
+    query: row.query,
+    criteria
+  };
+}
+
+function validateDefinition({ description, query, criteria } = {}) {
+  if (!description || !String(description).trim()) {
+    throw new Error('Smart category name is required');
+  }
+  if (!query || !String(query).trim()) {
+    throw new Error('Smart category query is required');
+  }
+  if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    throw new Error('Smart category criteria must be an object');
+  }
+  if (isSmartCategoryCode(criteria.category)) {
+    throw new Error('A smart category cannot refer to another smart category');
+  }
+  return [String(description).trim(), String(query).trim(), JSON.stringify(criteria)];
+}
+
+/**
+ * @param {Object} db
+ * @returns {Array<{ code: string, description: string, query: string, criteria: Object }>}
+ */
+function listSmartCategories(db) {
+  const stmt = db.prepare(`SELECT * FROM ${SMART_CATEGORY_TABLE} ORDER BY description ASC`);
+  const rows = stmt.all() || [];
+  stmt.finalize();
+  return rows.map(toSmartCategory);
+}
+
+/**
+ * @param {Object} db
+ * @param {string} code - "smart:<id>"
+ * @returns {Object|null} the smart category, or null when it does not exist
+ */
+function getSmartCategory(db, code) {
+  const id = parseSmartCategoryId(code);
+  if (id === null) return null;
+  const stmt = db.prepare(`SELECT * FROM ${SMART_CATEGORY_TABLE} WHERE id = ?`);
+  const row = stmt.get([id]);
+  stmt.finalize();
+  return row ? toSmartCategory(row) : null;
+}
+
+/**
+ * @param {Object} db
+ * @param {{ description: string, query: string, criteria: Object }} definition
+ * @returns {Object} the stored smart category
+ */
+function addSmartCategory(db, definition) {
+  const values = validateDefinition(definition);
+  const stmt = db.prepare(`INSERT INTO ${SMART_CATEGORY_TABLE} (description, query, criteria) VALUES (?, ?, ?)`);
+  const result = stmt.run(values);
+  stmt.finalize();
+  return getSmartCategory(db, `${SMART_CATEGORY_PREFIX}${result.lastInsertRowid}`);
+}
+
+/**
+ * @param {Object} db
+ * @param {string} code - "smart:<id>"
+ * @param {{ description: string, query: string, criteria: Object }} definition
+ * @returns {number} number of rows changed
+ */
+function updateSmartCategory(db, code, definition) {
+  const id = parseSmartCategoryId(code);
+  if (id === null) throw new Error(`Not a smart category: ${code}`);
+  const values = validateDefinition(definition);
+  const stmt = db.prepare(`UPDATE ${SMART_CATEGORY_TABLE} SET description = ?, query = ?, criteria = ? WHERE id = ?`);
+  const result = stmt.run([...values, id]);
+  stmt.finalize();
+  return result.changes || 0;
+}
+
+/**
+ * @param {Object} db
+ * @param {string} code - "smart:<id>"
+ * @returns {number} number of rows deleted
+ */
+function deleteSmartCategory(db, code) {
+  const id = parseSmartCategoryId(code);
+  if (id === null) throw new Error(`Not a smart category: ${code}`);
+  const stmt = db.prepare(`DELETE FROM ${SMART_CATEGORY_TABLE} WHERE id = ?`);
+  const result = stmt.run([id]);
+  stmt.finalize();
+  return result.changes || 0;
+}
+
+export {
+  SMART_CATEGORY_TABLE,
+  SMART_CATEGORY_PREFIX,
+  setupSmartCategories,
+  isSmartCategoryCode,
+  listSmartCategories,
+  getSmartCategory,
+  addSmartCategory,
+  updateSmartCategory,
+  deleteSmartCategory
+};
+
+export default {
+  setupSmartCategories,
+  isSmartCategoryCode,
+  listSmartCategories,
+  getSmartCategory,
+  addSmartCategory,
+  updateSmartCategory,
+  deleteSmartCategory
+};
@@ -0,0 +1,36 @@
+/**
+ * Song Fades Module
+ *
+ * Per-song fade settings kept in mrvoice. `fade_in_seconds` and
+ * `fade_out_seconds` override the profile's fade times for that song (null
+ * uses the profile's). `hard_stop` makes the song stop, pause and leave a
+ * crossfade at once instead of fading, for songs that carry their own ending.
+ */
+
+const FADE_COLUMNS = {
+  fade_in_seconds: 'REAL DEFAULT NULL',
+  fade_out_seconds: 'REAL DEFAULT NULL',
+  hard_stop: 'INTEGER NOT NULL DEFAULT 0'
+};
+
+const MAX_FADE_SECONDS = 60;
+
+/**
+ * Check a song's fade time for ADD_SONG and UPDATE_SONG.
+ * @param {number|string|null} value - Seconds; null or '' uses the profile's
+ * @param {string} label - 'fade in' or 'fade out', for the error
+ * @returns {number|null} seconds rounded to tenths
+ * @throws when the value is not a time between 0 and MAX_FADE_SECONDS
+ */
+function normalizeSongFade(value, label) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0 || seconds > MAX_FADE_SECONDS) {
+    throw new Error(`Invalid ${label} time: ${value}`);
+  }
+  return Math.round(seconds * 10) / 10;
+}
+
+export { FADE_COLUMNS, MAX_FADE_SECONDS, normalizeSongFade };
+
+export default { normalizeSongFade };
@@ -0,0 +1,295 @@
+/**
+ * Song Fingerprints Module
+ *
+ * Hotkeys and holding tanks point at songs by ID, and an ID is gone for good
+ * once its song is deleted: importing the same file again gives a new one.
+ * Profile state therefore keeps a fingerprint next to each ID it uses,
+ * in `songFingerprints`:
+ *
+ *   { "42": { hash, size, title, artist, missing? } }
+ *
+ * `hash` is the MD5 of the music file and `size` its length in bytes. Saving
+ * a profile records only title and artist, from the database; the file is
+ * read once its song is deleted, which is when a relink can be needed (both
+ * stay null when the file was missing). `missing` marks a song deleted while
+ * the reference was kept; the renderer shows such references as missing
+ * until they are relinked. A song that comes back is found by file contents,
+ * then by title and artist, the same way hotkey bundles find their songs.
+ */
+
+import fs from 'fs';
+import { hashSongFile } from './duplicate-finder.js';
+import { normalizeWords } from './fuzzy-song-matcher.js';
+import { resolveLibraryFile } from './library-verifier.js';
+
+function normalizeText(text) {
+  return normalizeWords(text).join(' ');
+}
+
+function titleArtistKey(title, artist) {
+  const normalizedTitle = normalizeText(title);
+  return normalizedTitle ? `${normalizedTitle}\u0000${normalizeText(artist)}` : null;
+}
+
+// A song's file, or null when its filename is unusable
+function resolveMusicFile(musicDirectory, filename) {
+  if (!musicDirectory) return null;
+  try {
+    return resolveLibraryFile(musicDirectory, filename);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a stored fingerprint.
+ * @param {*} value
+ * @returns {{ hash: string|null, size: number|null, title: string, artist: string, missing?: true }|null}
+ *   null when the value is not a fingerprint
+ */
+function readSongFingerprint(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const hash = typeof value.hash === 'string' && /^[0-9a-f]{32}$/.test(value.hash) ? value.hash : null;
+  const size = Number.isInteger(value.size) && value.size >= 0 ? value.size : null;
+  return {
+    hash,
+    size: hash ? size : null,
+    title: typeof value.title === 'string' ? value.title : '',
+    artist: typeof value.artist === 'string' ? value.artist : '',
+    ...(value.missing === true ? { missing: true } : {})
+  };
+}
+
+/**
+ * Fingerprint songs from the library. Songs not in the library are left out.
+ * @param {Object} db
+ * @param {string|null} musicDirectory
+ * @param {Iterable<string|number>} songIds
+ * @param {Object} [options]
+ * @param {boolean} [options.hashFiles=true] - Read each song's file for its
+ *   hash and size; without, songs are known by title and artist only
+ * @returns {Promise<Object<string, Object>>} Fingerprints by song ID
+ */
+async function getSongFingerprints(db, musicDirectory, songIds, { hashFiles = true } = {}) {
+  const fingerprints = {};
+  const stmt = db.prepare('SELECT id, title, artist, filename FROM mrvoice WHERE id = ?');
+  try {
+    for (const songId of new Set([...songIds].map(String))) {
+      if (!/^\d+$/.test(songId)) continue;
+      const row = stmt.get([Number(songId)]);
+      if (!row) continue;
+      const fingerprint = { hash: null, size: null, title: row.title || '', artist: row.artist || '' };
+      const filePath = hashFiles ? resolveMusicFile(musicDirectory, row.filename) : null;
+      if (filePath) {
+        try {
+          fingerprint.size = (await fs.promises.stat(filePath)).size;
+          fingerprint.hash = await hashSongFile(filePath);
+        } catch {
+          // Without its file the song is known by title and artist only
+          fingerprint.size = null;
+        }
+      }
+      fingerprints[songId] = fingerprint;
+    }
+  } finally {
+    stmt.finalize();
+  }
+  return fingerprints;
+}
+
+/**
+ * The song IDs a profile state's hotkeys and holding tanks use.
+ * @param {Object} state - Profile state ({ hotkeys, holdingTank })
+ * @returns {Set<string>}
+ */
+function getStateSongIds(state) {
+  const songIds = new Set();
+  const add = (songId) => {
+    if (songId !== null && songId !== undefined && String(songId).trim() !== '') songIds.add(String(songId));
+  };
+  for (const tab of Array.isArray(state?.hotkeys) ? state.hotkeys : []) {
+    Object.values(tab?.hotkeys || {}).forEach(add);
+  }
+  for (const tab of Array.isArray(state?.holdingTank) ? state.holdingTank : []) {
+    (Array.isArray(tab?.songIds) ? tab.songIds : []).forEach(add);
+  }
+  return songIds;
+}
+
+/**
+ * The fingerprints a profile state should be saved with: the ones it has
+ * for the songs it uses, and title and artist for the rest that are in the
+ * library. No music file is read, so saving stays quick.
+ * @param {Object} db
+ * @param {string|null} musicDirectory
+ * @param {Object} state - Profile state with its current `songFingerprints`
+ * @returns {Promise<Object<string, Object>>}
+ */
+async function addStateFingerprints(db, musicDirectory, state) {
+  const known = state?.songFingerprints && typeof state.songFingerprints === 'object' ? state.songFingerprints : {};
+  const fingerprints = {};
+  const unknown = [];
+  for (const songId of getStateSongIds(state)) {
+    const fingerprint = readSongFingerprint(known[songId]);
+    if (fingerprint) fingerprints[songId] = fingerprint;
+    else unknown.push(songId);
+  }
+  return { ...fingerprints, ...(await getSongFingerprints(db, musicDirectory, unknown, { hashFiles: false })) };
+}
+
+/**
+ * Mark deleted songs missing in a profile state that uses them.
+ * @param {Object} state - Changed in place
+ * @param {Object<string, Object|null>} fingerprints - The deleted songs' fingerprints by ID
+ * @returns {boolean} whether the state changed
+ */
+function markStateSongsMissing(state, fingerprints) {
+  const used = getStateSongIds(state);
+  let changed = false;
+  for (const [songId, fingerprint] of Object.entries(fingerprints || {})) {
+    if (!used.has(String(songId))) continue;
+    const current = readSongFingerprint(state.songFingerprints?.[songId]);
+    const next = { ...(readSongFingerprint(fingerprint) || current || readSongFingerprint({})), missing: true };
+    if (JSON.stringify(current) === JSON.stringify(next)) continue;
+    if (!state.songFingerprints || typeof state.songFingerprints !== 'object') state.songFingerprints = {};
+    state.songFingerprints[songId] = next;
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Replace song IDs in a profile state's hotkeys and holding tanks. The old
+ * IDs' fingerprints are dropped; the new songs are fingerprinted when the
+ * profile is next saved.
+ * @param {Object} state - Changed in place
+ * @param {Object<string, string|number>} songIdMap - Old song ID to new song ID
+ * @returns {boolean} whether the state changed
+ */
+function remapStateSongs(state, songIdMap) {
+  let changed = false;
+  const remap = (songId) => {
+    const replacement = songIdMap[String(songId)];
+    if (replacement === undefined) return songId;
+    changed = true;
+    return String(replacement);
+  };
+  for (const tab of state.hotkeys || []) {
+    for (const key of Object.keys(tab.hotkeys || {})) {
+      tab.hotkeys[key] = remap(tab.hotkeys[key]);
+    }
+  }
+  for (const tab of state.holdingTank || []) {
+    tab.songIds = (tab.songIds || []).map(remap);
+  }
+  if (changed && state.songFingerprints && typeof state.songFingerprints === 'object') {
+    for (const songId of Object.keys(songIdMap)) delete state.songFingerprints[songId];
+  }
+  return changed;
+}
+
+/**
+ * Find songs in the library: first a file with the same contents, then a
+ * song with the same title and artist. Only library files the size of a
+ * wanted one are read.
+ * @param {Object} db
+ * @param {string|null} musicDirectory
+ * @param {Array<{ hash?: string|null, size?: number|null, title?: string, artist?: string }>} fingerprints
+ * @returns {Promise<Array<{ songId: number, by: 'hash'|'title-artist' }|null>>} In the order of `fingerprints`
+ */
+async function matchSongFingerprints(db, musicDirectory, fingerprints) {
+  const stmt = db.prepare('SELECT id, title, artist, filename FROM mrvoice ORDER BY id');
+  const rows = stmt.all() || [];
+  stmt.finalize();
+
+  const sizes = new Set(fingerprints.map(fingerprint => fingerprint.size).filter(size => Number.isInteger(size) && size > 0));
+  const byHash = new Map();
+  if (sizes.size) {
+    for (const row of rows) {
+      const filePath = resolveMusicFile(musicDirectory, row.filename);
+      if (!filePath) continue;
+      try {
+        if (!sizes.has((await fs.promises.stat(filePath)).size)) continue;
+        const hash = await hashSongFile(filePath);
+        if (!byHash.has(hash)) byHash.set(hash, row.id);
+      } catch {
+        // A missing or unreadable file cannot match
+      }
+    }
+  }
+
+  const byTitleArtist = new Map();
+  for (const row of rows) {
+    const key = titleArtistKey(row.title, row.artist);
+    if (key && !byTitleArtist.has(key)) byTitleArtist.set(key, row.id);
+  }
+
+  return fingerprints.map((fingerprint) => {
+    if (fingerprint.hash && byHash.has(fingerprint.hash)) {
+      return { songId: Number(byHash.get(fingerprint.hash)), by: 'hash' };
+    }
+    const key = titleArtistKey(fingerprint.title, fingerprint.artist);
+    if (key && byTitleArtist.has(key)) return { songId: Number(byTitleArtist.get(key)), by: 'title-artist' };
+    return null;
+  });
+}
+
+/**
+ * Find the missing songs of profiles' hotkeys and holding tanks that are in
+ * the library again. A reference is missing when its song is not in the
+ * library or its fingerprint is marked missing.
+ * @param {Object} db
+ * @param {string|null} musicDirectory
+ * @param {Array<{ name: string, state: Object }>} profiles
+ * @returns {Promise<Array<{ profile: string, songId: string, newSongId: string, by: string, title: string, artist: string }>>}
+ */
+async function findSongRelinks(db, musicDirectory, profiles) {
+  const stmt = db.prepare('SELECT id FROM mrvoice');
+  const libraryIds = new Set((stmt.all() || []).map(row => String(row.id)));
+  stmt.finalize();
+
+  const wanted = [];
+  for (const { name, state } of profiles) {
+    for (const songId of getStateSongIds(state)) {
+      const fingerprint = readSongFingerprint(state?.songFingerprints?.[songId]);
+      if (!fingerprint || (!fingerprint.hash && !fingerprint.title)) continue;
+      if (libraryIds.has(songId) && !fingerprint.missing) continue;
+      wanted.push({ profile: name, songId, fingerprint });
+    }
+  }
+  if (!wanted.length) return [];
+
+  const matches = await matchSongFingerprints(db, musicDirectory, wanted.map(entry => entry.fingerprint));
+  return wanted.flatMap(({ profile, songId, fingerprint }, index) => (matches[index]
+    ? [{
+        profile,
+        songId,
+        newSongId: String(matches[index].songId),
+        by: matches[index].by,
+        title: fingerprint.title,
+        artist: fingerprint.artist
+      }]
+    : []));
+}
+
+export {
+  readSongFingerprint,
+  getSongFingerprints,
+  getStateSongIds,
+  addStateFingerprints,
+  markStateSongsMissing,
+  remapStateSongs,
+  matchSongFingerprints,
+  findSongRelinks
+};
+
+export default {
+  readSongFingerprint,
+  getSongFingerprints,
+  getStateSongIds,
+  addStateFingerprints,
+  markStateSongsMissing,
+  remapStateSongs,
+  matchSongFingerprints,
+  findSongRelinks
+};
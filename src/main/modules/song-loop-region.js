@@ -0,0 +1,52 @@
+/**
+ * Song Loop Region Module
+ *
+ * A section of a song that loops until the operator releases it, such as a
+ * 16-bar bed under a scene. Kept in mrvoice as `loop_start` and `loop_end`,
+ * seconds from the start of the file like the start and end trims. A song
+ * has at most one loop region; both columns are null when it has none.
+ */
+
+const LOOP_REGION_COLUMNS = {
+  loop_start: 'REAL DEFAULT NULL',
+  loop_end: 'REAL DEFAULT NULL'
+};
+
+// Shorter loops stutter instead of looping
+const MIN_LOOP_SECONDS = 0.5;
+
+function toSeconds(value, label) {
+  const seconds = Number(value);
+  if (value === '' || !Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid loop ${label}: ${value}`);
+  }
+  return Math.round(seconds * 100) / 100;
+}
+
+/**
+ * Check a loop region for UPDATE_SONG. Both ends null removes it.
+ * @param {number|null} loopStart - Seconds
+ * @param {number|null} loopEnd - Seconds
+ * @returns {{ loop_start: number|null, loop_end: number|null }}
+ * @throws when only one end is given, or the region is too short
+ */
+function normalizeLoopRegion(loopStart, loopEnd) {
+  const hasStart = loopStart !== null && loopStart !== undefined;
+  const hasEnd = loopEnd !== null && loopEnd !== undefined;
+  if (!hasStart && !hasEnd) {
+    return { loop_start: null, loop_end: null };
+  }
+  if (!hasStart || !hasEnd) {
+    throw new Error('A loop region needs a start and an end');
+  }
+  const start = toSeconds(loopStart, 'start');
+  const end = toSeconds(loopEnd, 'end');
+  if (end - start < MIN_LOOP_SECONDS) {
+    throw new Error(`The loop region must be at least ${MIN_LOOP_SECONDS} seconds long`);
+  }
+  return { loop_start: start, loop_end: end };
+}
+
+export { LOOP_REGION_COLUMNS, MIN_LOOP_SECONDS, normalizeLoopRegion };
+
+export default { normalizeLoopRegion };
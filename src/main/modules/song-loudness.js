@@ -0,0 +1,130 @@
+/**
+ * Song Loudness Module
+ *
+ * Per-song EBU R128 measurements kept in mrvoice: `loudness_lufs`
+ * (integrated loudness), `true_peak_dbtp` and `loudness_analyzed_at` (Unix
+ * seconds). The renderer decodes and measures the files, since Web Audio
+ * decodes every format the player can play, and saves the results here.
+ * Playback turns them into a normalization gain toward the target set in
+ * Preferences.
+ *
+ * Silent or very short files are saved with a null loudness so the next
+ * pass does not pick them up again. Pointing a song at a different file
+ * drops its measurement.
+ */
+
+const LOUDNESS_COLUMNS = {
+  loudness_lufs: 'REAL DEFAULT NULL',
+  true_peak_dbtp: 'REAL DEFAULT NULL',
+  loudness_analyzed_at: 'INTEGER DEFAULT NULL'
+};
+
+// Measurements outside these ranges are decoding errors, not audio
+const LOUDNESS_RANGE = [-120, 20];
+const TRUE_PEAK_RANGE = [-200, 40];
+
+function normalizeSongId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error(`Invalid song ID: ${value}`);
+  }
+  return id;
+}
+
+function normalizeMeasurement(value, [min, max], label) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return Math.round(number * 100) / 100;
+}
+
+/**
+ * Songs for an analysis pass, by ID.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [options]
+ * @param {Array<number|string>} [options.songIds] - Only these songs
+ * @param {boolean} [options.includeAnalyzed=false] - Also songs measured before
+ * @returns {Array<{ id: number, title: string, filename: string }>}
+ */
+function listSongsForLoudness(db, { songIds = null, includeAnalyzed = false } = {}) {
+  const where = [];
+  const params = [];
+  if (Array.isArray(songIds)) {
+    const ids = [...new Set(songIds.map(normalizeSongId))];
+    if (!ids.length) return [];
+    where.push(`id IN (${ids.map(() => '?').join(', ')})`);
+    params.push(...ids);
+  }
+  if (!includeAnalyzed) {
+    where.push('loudness_analyzed_at IS NULL');
+  }
+  const stmt = db.prepare(
+    `SELECT id, title, filename FROM mrvoice${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY id`
+  );
+  const rows = stmt.all(params) || [];
+  stmt.finalize();
+  return rows;
+}
+
+/**
+ * Save one song's measurement.
+ * @param {Object} db
+ * @param {number|string} songId
+ * @param {Object} measurement
+ * @param {number|null} measurement.integratedLufs
+ * @param {number|null} measurement.truePeakDbtp
+ * @param {number} [measurement.analyzedAt] - Unix seconds, defaults to now
+ * @returns {{ loudness_lufs: number|null, true_peak_dbtp: number|null, loudness_analyzed_at: number }}
+ */
+function saveSongLoudness(db, songId, { integratedLufs = null, truePeakDbtp = null, analyzedAt = null } = {}) {
+  const id = normalizeSongId(songId);
+  const saved = {
+    loudness_lufs: normalizeMeasurement(integratedLufs, LOUDNESS_RANGE, 'loudness'),
+    true_peak_dbtp: normalizeMeasurement(truePeakDbtp, TRUE_PEAK_RANGE, 'true peak'),
+    loudness_analyzed_at: analyzedAt == null ? Math.floor(Date.now() / 1000) : Math.floor(Number(analyzedAt))
+  };
+  const stmt = db.prepare(
+    'UPDATE mrvoice SET loudness_lufs = ?, true_peak_dbtp = ?, loudness_analyzed_at = ? WHERE id = ?'
+  );
+  const { changes } = stmt.run([saved.loudness_lufs, saved.true_peak_dbtp, saved.loudness_analyzed_at, id]);
+  stmt.finalize();
+  if (!changes) {
+    throw new Error(`Song not found: ${id}`);
+  }
+  return saved;
+}
+
+/**
+ * SET clause that keeps the measurement only while `filename` stays the
+ * same. Use it in an UPDATE that also sets `filename = ?` and bind
+ * `loudnessResetParams(newFilename)` for it.
+ */
+const LOUDNESS_RESET_SQL = Object.keys(LOUDNESS_COLUMNS)
+  .map(column => `${column} = CASE WHEN filename IS ? THEN ${column} ELSE NULL END`)
+  .join(', ');
+
+/**
+ * @param {string} filename - The new filename
+ * @returns {Array<string>} parameters for LOUDNESS_RESET_SQL
+ */
+function loudnessResetParams(filename) {
+  return Object.keys(LOUDNESS_COLUMNS).map(() => filename);
+}
+
+export {
+  LOUDNESS_COLUMNS,
+  listSongsForLoudness,
+  saveSongLoudness,
+  LOUDNESS_RESET_SQL,
+  loudnessResetParams
+};
+
+export default {
+  LOUDNESS_COLUMNS,
+  listSongsForLoudness,
+  saveSongLoudness,
+  LOUDNESS_RESET_SQL,
+  loudnessResetParams
+};
@@ -0,0 +1,199 @@
+/**
+ * Song Markers Module
+ *
+ * Named cue points inside a song ("chorus", "drop", "button ending"), kept
+ * in `song_markers` by song. Positions are seconds from the start of the
+ * file, like the start and end trims. Names are unique per song regardless
+ * of case, so a hotkey can start a song at a marker by name.
+ *
+ * The table is in the library database, so library transfer and backups
+ * carry markers with the songs.
+ */
+
+const MARKER_TABLE = 'song_markers';
+const MAX_MARKER_NAME_LENGTH = 40;
+
+/**
+ * Create the song_markers table if it does not exist.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [debugLog]
+ * @returns {boolean} true when the table is available
+ */
+function setupSongMarkers(db, debugLog = null) {
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${MARKER_TABLE} (
+        id INTEGER PRIMARY KEY,
+        song_id INTEGER NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        position REAL NOT NULL,
+        UNIQUE (song_id, name)
+      );
+      CREATE INDEX IF NOT EXISTS 'idx_song_markers_song' ON ${MARKER_TABLE}(song_id);
+    `);
+    return true;
+  } catch (error) {
+    debugLog?.warn('Song markers table setup failed', {
+      module: 'song-markers',
+      function: 'setupSongMarkers',
+      error: error.message
+    });
+    return false;
+  }
+}
+
+function normalizeSongIds(songIds) {
+  const ids = (Array.isArray(songIds) ? songIds : [songIds]).map(Number);
+  for (const id of ids) {
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new Error(`Invalid song ID: ${id}`);
+    }
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * Check and clean up a song's markers: trimmed names, positions rounded to
+ * hundredths of a second, sorted by position.
+ * @param {Array<{ name: string, position: number }>} markers
+ * @returns {Array<{ name: string, position: number }>}
+ * @throws on a missing or repeated name, or a negative position
+ */
+function normalizeMarkers(markers) {
+  if (!Array.isArray(markers)) {
+    throw new Error('Markers must be a list');
+  }
+  const seen = new Set();
+  return markers.map((marker) => {
+    const name = String(marker?.name ?? '').replace(/\s+/g, ' ').trim();
+    if (!name) {
+      throw new Error('Every marker needs a name');
+    }
+    if (name.length > MAX_MARKER_NAME_LENGTH) {
+      throw new Error(`Marker name is too long (max ${MAX_MARKER_NAME_LENGTH} characters): ${name}`);
+    }
+    const key = name.toLowerCase();
+    if (seen.has(key)) {
+      throw new Error(`There is already a marker named ${name}`);
+    }
+    seen.add(key);
+    const position = Number(marker?.position);
+    if (marker?.position === null || !Number.isFinite(position) || position < 0) {
+      throw new Error(`Invalid marker position for ${name}: ${marker?.position}`);
+    }
+    return { name, position: Math.round(position * 100) / 100 };
+  }).sort((a, b) => a.position - b.position);
+}
+
+/**
+ * @param {Object} db
+ * @param {number|string} songId
+ * @returns {Array<{ name: string, position: number }>} the song's markers by position
+ */
+function getSongMarkers(db, songId) {
+  const [id] = normalizeSongIds(songId);
+  const stmt = db.prepare(`SELECT name, position FROM ${MARKER_TABLE} WHERE song_id = ? ORDER BY position, name`);
+  const rows = stmt.all([id]) || [];
+  stmt.finalize();
+  return rows;
+}
+
+/**
+ * Replace a song's markers.
+ * @param {Object} db
+ * @param {number|string} songId
+ * @param {Array<{ name: string, position: number }>} markers
+ * @returns {Array<{ name: string, position: number }>} the song's markers afterwards
+ */
+function setSongMarkers(db, songId, markers) {
+  const [id] = normalizeSongIds(songId);
+  const normalized = normalizeMarkers(markers);
+
+  const exists = db.prepare('SELECT 1 FROM mrvoice WHERE id = ?');
+  const found = exists.get([id]);
+  exists.finalize();
+  if (!found) {
+    throw new Error(`Song not found: ${id}`);
+  }
+
+  db.exec('BEGIN');
+  try {
+    const clear = db.prepare(`DELETE FROM ${MARKER_TABLE} WHERE song_id = ?`);
+    clear.run([id]);
+    clear.finalize();
+    const insert = db.prepare(`INSERT INTO ${MARKER_TABLE} (song_id, name, position) VALUES (?, ?, ?)`);
+    try {
+      for (const { name, position } of normalized) {
+        insert.run([id, name, position]);
+      }
+    } finally {
+      insert.finalize();
+    }
+    db.exec('COMMIT');
+  } catch (error) {
+    try {
+      db.exec('ROLLBACK');
+    } catch {
+      // SQLite already rolled back
+    }
+    throw error;
+  }
+  return getSongMarkers(db, id);
+}
+
+/**
+ * Forget the markers of deleted songs.
+ * @param {Object} db
+ * @param {number|string|Array<number|string>} songIds
+ */
+function deleteSongMarkers(db, songIds) {
+  const stmt = db.prepare(`DELETE FROM ${MARKER_TABLE} WHERE song_id = ?`);
+  for (const id of normalizeSongIds(songIds)) {
+    stmt.run([id]);
+  }
+  stmt.finalize();
+}
+
+/**
+ * Add a `markers` array (by position) to song rows.
+ * @param {Object} db
+ * @param {Array<Object>} rows - mrvoice rows
+ * @returns {Array<Object>} the same rows, annotated
+ */
+function annotateSongMarkers(db, rows) {
+  if (!rows.length) return rows;
+  const ids = [...new Set(rows.map(row => row.id))];
+  const stmt = db.prepare(`
+    SELECT song_id, name, position FROM ${MARKER_TABLE}
+    WHERE song_id IN (${ids.map(() => '?').join(', ')}) ORDER BY position, name
+  `);
+  const bySong = new Map();
+  for (const { song_id: songId, name, position } of stmt.all(ids) || []) {
+    if (!bySong.has(songId)) bySong.set(songId, []);
+    bySong.get(songId).push({ name, position });
+  }
+  stmt.finalize();
+  for (const row of rows) {
+    row.markers = bySong.get(row.id) || [];
+  }
+  return rows;
+}
+
+export {
+  MARKER_TABLE,
+  setupSongMarkers,
+  normalizeMarkers,
+  getSongMarkers,
+  setSongMarkers,
+  deleteSongMarkers,
+  annotateSongMarkers
+};
+
+export default {
+  setupSongMarkers,
+  normalizeMarkers,
+  getSongMarkers,
+  setSongMarkers,
+  deleteSongMarkers,
+  annotateSongMarkers
+};
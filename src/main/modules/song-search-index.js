@@ -0,0 +1,140 @@
+/**
+ * Song Search Index Module
+ *
+ * FTS5 full-text index over the mrvoice table used by omni-search.
+ * The index is an external-content table kept in sync by triggers, so every
+ * writer (IPC handlers, library import fix-ups, seeding scripts) updates it
+ * without having to know it exists.
+ */
+
+const SEARCH_INDEX_TABLE = 'mrvoice_fts';
+
+// Column weights for bm25(): a title hit outranks an artist hit, which
+// outranks a match buried in the info text.
+const RANK_WEIGHTS = { title: 10.0, artist: 5.0, info: 1.0 };
+
+const SEARCH_INDEX_STATEMENTS = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS ${SEARCH_INDEX_TABLE} USING fts5(
+    title, artist, info,
+    content='mrvoice', content_rowid='id',
+    tokenize='unicode61 remove_diacritics 2'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS ${SEARCH_INDEX_TABLE}_ai AFTER INSERT ON mrvoice BEGIN
+    INSERT INTO ${SEARCH_INDEX_TABLE}(rowid, title, artist, info) VALUES (new.id, new.title, new.artist, new.info);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS ${SEARCH_INDEX_TABLE}_ad AFTER DELETE ON mrvoice BEGIN
+    INSERT INTO ${SEARCH_INDEX_TABLE}(${SEARCH_INDEX_TABLE}, rowid, title, artist, info) VALUES ('delete', old.id, old.title, old.artist, old.info);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS ${SEARCH_INDEX_TABLE}_au AFTER UPDATE OF title, artist, info ON mrvoice BEGIN
+    INSERT INTO ${SEARCH_INDEX_TABLE}(${SEARCH_INDEX_TABLE}, rowid, title, artist, info) VALUES ('delete', old.id, old.title, old.artist, old.info);
+    INSERT INTO ${SEARCH_INDEX_TABLE}(rowid, title, artist, info) VALUES (new.id, new.title, new.artist, new.info);
+  END`,
+];
+
+function runStatement(db, sql, params = []) {
+  const stmt = db.prepare(sql);
+  try {
+    return stmt.run(params);
+  } finally {
+    stmt.finalize();
+  }
+}
+
+/**
+ * Check whether the full-text index exists in this database.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @returns {boolean}
+ */
+function hasSearchIndex(db) {
+  const stmt = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?");
+  try {
+    return !!stmt.get(SEARCH_INDEX_TABLE);
+  } finally {
+    stmt.finalize();
+  }
+}
+
+/**
+ * Create the full-text index and its sync triggers if missing.
+ * A freshly created index is populated from the existing rows, so databases
+ * from older versions are migrated on first launch.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [debugLog] - Main-process debug logger
+ * @returns {boolean} true when the index is available
+ */
+function setupSearchIndex(db, debugLog = null) {
+  try {
+    const existed = hasSearchIndex(db);
+    for (const sql of SEARCH_INDEX_STATEMENTS) {
+      runStatement(db, sql);
+    }
+    if (!existed) {
+      runStatement(db, `INSERT INTO ${SEARCH_INDEX_TABLE}(${SEARCH_INDEX_TABLE}) VALUES ('rebuild')`);
+      debugLog?.info('Built full-text search index from existing songs', {
+        module: 'song-search-index',
+        function: 'setupSearchIndex'
+      });
+    }
+    return true;
+  } catch (error) {
+    // Search falls back to LIKE matching when the index is unavailable.
+    debugLog?.warn('Could not set up full-text search index', {
+      module: 'song-search-index',
+      function: 'setupSearchIndex',
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Split free text into the words the unicode61 tokenizer would index.
+ * @param {string} searchTerm
+ * @returns {string[]}
+ */
+function tokenizeSearchTerm(searchTerm) {
+  return String(searchTerm || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Compile an omni-search term into an FTS5 MATCH expression.
+ * Every word must match (AND) and each word matches as a prefix.
+ * @param {string} searchTerm
+ * @returns {string|null} MATCH expression, or null when the term has no words
+ */
+function buildFullTextQuery(searchTerm) {
+  const tokens = tokenizeSearchTerm(searchTerm);
+  if (tokens.length === 0) {
+    return null;
+  }
+  return tokens.map(token => `"${token}"*`).join(' AND ');
+}
+
+/**
+ * SQL fragment joining mrvoice to the ranked FTS matches for one MATCH
+ * parameter. Exposes `search_rank` for ORDER BY (lower is more relevant).
+ * @returns {string}
+ */
+function buildRankedMatchJoin() {
+  const { title, artist, info } = RANK_WEIGHTS;
+  return `JOIN (SELECT rowid, bm25(${SEARCH_INDEX_TABLE}, ${title}, ${artist}, ${info}) AS search_rank ` +
+    `FROM ${SEARCH_INDEX_TABLE} WHERE ${SEARCH_INDEX_TABLE} MATCH ?) AS ranked ON ranked.rowid = mrvoice.id`;
+}
+
+export {
+  SEARCH_INDEX_TABLE,
+  hasSearchIndex,
+  setupSearchIndex,
+  tokenizeSearchTerm,
+  buildFullTextQuery,
+  buildRankedMatchJoin
+};
+
+export default {
+  SEARCH_INDEX_TABLE,
+  hasSearchIndex,
+  setupSearchIndex,
+  tokenizeSearchTerm,
+  buildFullTextQuery,
+  buildRankedMatchJoin
+};
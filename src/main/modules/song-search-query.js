@@ -0,0 +1,212 @@
+/**
+ * Song Search Query Module
+ *
+ * Builds the SQL for SEARCH_SONGS from the renderer's searchParams:
+ *   { category, searchTerm, advancedFilters, fuzzy }
+ * advancedFilters come from the advanced search panel or from structured
+ * omni-search queries (see renderer search/query-parser.js):
+ *   { title, artist, info, since, phrases, tags, exclude, duration }
+ * Smart categories add stored criteria of the same shape (see
+ * smart-categories.js), combined with the live search using AND.
+ */
+
+import { buildFullTextQuery, buildRankedMatchJoin } from './song-search-index.js';
+import { parseDurationText } from '../../shared/song-duration.js';
+
+const TEXT_FIELDS = ['title', 'artist', 'info'];
+const EXCLUDABLE_FIELDS = new Set([...TEXT_FIELDS, 'category']);
+
+/**
+ * Parse a stored duration ("1:30", "01:02:03" or bare seconds) into seconds.
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function parseDurationSeconds(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  return parseDurationText(value);
+}
+
+/**
+ * Check a song's duration against an inclusive { min, max } range in seconds.
+ * Songs without a readable duration never match a range.
+ * @param {string} time - mrvoice.time value
+ * @param {{ min?: number|null, max?: number|null }|null} range
+ * @returns {boolean}
+ */
+function matchesDurationRange(time, range) {
+  if (!range || (range.min == null && range.max == null)) return true;
+  const seconds = parseDurationSeconds(time);
+  if (seconds === null) return false;
+  if (range.min != null && seconds < range.min) return false;
+  if (range.max != null && seconds > range.max) return false;
+  return true;
+}
+
+/**
+ * Convert a `since` filter (days as digits, or a date string) to a Unix
+ * timestamp threshold.
+ * @param {string} since
+ * @param {number} [now=Date.now()]
+ * @returns {number|null}
+ */
+function resolveSinceThreshold(since, now = Date.now()) {
+  if (/^\d+$/.test(since)) {
+    const days = parseInt(since, 10);
+    return Math.floor(now / 1000) - (days * 86400);
+  }
+  const parsed = Date.parse(since);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+function pushAnyFieldLike(segments, params, value, { negate = false } = {}) {
+  const pattern = `%${escapeLike(value)}%`;
+  const clause = TEXT_FIELDS.map(field => `COALESCE(${field}, '') LIKE ? ESCAPE '\\'`).join(' OR ');
+  segments.push(negate ? `NOT (${clause})` : `(${clause})`);
+  params.push(pattern, pattern, pattern);
+}
+
+// Songs carrying a tag (tag names compare case-insensitively)
+const TAGGED_SONGS = 'SELECT song_tags.song_id FROM song_tags JOIN tags ON tags.id = song_tags.tag_id WHERE tags.name = ?';
+
+function applyAdvancedFilters(filters, segments, params) {
+  const { title, artist, info, since, phrases, tags, exclude } = filters;
+  for (const [field, value] of Object.entries({ title, artist, info })) {
+    if (value && value.length) {
+      segments.push(`${field} LIKE ? ESCAPE '\\'`);
+      params.push(`%${escapeLike(value)}%`);
+    }
+  }
+  if (since && since.length) {
+    const thresholdSeconds = resolveSinceThreshold(since);
+    if (thresholdSeconds !== null) {
+      segments.push('modtime >= ?');
+      params.push(thresholdSeconds);
+    }
+  }
+  if (Array.isArray(phrases)) {
+    for (const phrase of phrases) {
+      if (phrase && phrase.length) {
+        pushAnyFieldLike(segments, params, phrase);
+      }
+    }
+  }
+  if (Array.isArray(tags)) {
+    for (const tag of tags) {
+      if (tag && tag.length) {
+        segments.push(`mrvoice.id IN (${TAGGED_SONGS})`);
+        params.push(tag);
+      }
+    }
+  }
+  if (Array.isArray(exclude)) {
+    for (const { field, value } of exclude) {
+      if (!value || !value.length) continue;
+      if (!field) {
+        pushAnyFieldLike(segments, params, value, { negate: true });
+      } else if (field === 'category') {
+        segments.push('category != ?');
+        params.push(value);
+      } else if (field === 'tag') {
+        segments.push(`mrvoice.id NOT IN (${TAGGED_SONGS})`);
+        params.push(value);
+      } else if (EXCLUDABLE_FIELDS.has(field)) {
+        segments.push(`COALESCE(${field}, '') NOT LIKE ? ESCAPE '\\'`);
+        params.push(`%${escapeLike(value)}%`);
+      }
+    }
+  }
+}
+
+/**
+ * Intersect inclusive duration ranges; null bounds are open.
+ * @param {Array<Object|null>} ranges
+ * @returns {{ min: number|null, max: number|null }|null}
+ */
+function intersectDurationRanges(ranges) {
+  const present = ranges.filter(range => range && (range.min != null || range.max != null));
+  if (present.length === 0) return null;
+  const mins = present.map(range => range.min).filter(value => value != null);
+  const maxes = present.map(range => range.max).filter(value => value != null);
+  return {
+    min: mins.length ? Math.max(...mins) : null,
+    max: maxes.length ? Math.min(...maxes) : null
+  };
+}
+
+/**
+ * Build the SQL for a song search.
+ * @param {Object} searchParams - SEARCH_SONGS parameters
+ * @param {Object} [options]
+ * @param {boolean} [options.fullTextAvailable=false] - Whether the FTS index exists
+ * @param {Object|null} [options.baseCriteria=null] - Smart category criteria
+ *   ({ category, searchTerm, advancedFilters }) that must also match
+ * @returns {{ sql: string, params: Array, durationRange: Object|null, ranked: boolean }}
+ */
+function buildSongSearchQuery(searchParams, { fullTextAvailable = false, baseCriteria = null } = {}) {
+  const segments = [];
+  const params = [];
+  const fullTextQueries = [];
+  const durationRanges = [];
+
+  for (const criteria of [baseCriteria, searchParams]) {
+    if (!criteria) continue;
+
+    if (criteria.category && criteria.category !== '*') {
+      segments.push('category = ?');
+      params.push(criteria.category);
+    }
+
+    const filters = criteria.advancedFilters;
+    if (filters) {
+      applyAdvancedFilters(filters, segments, params);
+      durationRanges.push(filters.duration);
+    }
+
+    // Free text: ranked full-text match when the index exists, substring LIKE
+    // match otherwise (or when the term has no indexable words)
+    if (criteria.searchTerm && criteria.searchTerm.length) {
+      const fullTextQuery = fullTextAvailable ? buildFullTextQuery(criteria.searchTerm) : null;
+      if (fullTextQuery) {
+        fullTextQueries.push(fullTextQuery);
+      } else {
+        segments.push('(title LIKE ? OR artist LIKE ? OR info LIKE ?)');
+        const term = `%${criteria.searchTerm}%`;
+        params.push(term, term, term);
+      }
+    }
+  }
+
+  const rankedJoin = fullTextQueries.length ? ' ' + buildRankedMatchJoin() : '';
+  const joinParams = fullTextQueries.length ? [fullTextQueries.join(' AND ')] : [];
+  const where = segments.length > 0 ? ' WHERE ' + segments.join(' AND ') : '';
+  const orderBy = rankedJoin
+    ? ' ORDER BY ranked.search_rank,category,info,title,artist'
+    : ' ORDER BY category,info,title,artist';
+
+  return {
+    sql: 'SELECT mrvoice.* FROM mrvoice' + rankedJoin + where + orderBy,
+    params: [...joinParams, ...params],
+    durationRange: intersectDurationRanges(durationRanges),
+    ranked: !!rankedJoin
+  };
+}
+
+export {
+  parseDurationSeconds,
+  matchesDurationRange,
+  resolveSinceThreshold,
+  intersectDurationRanges,
+  buildSongSearchQuery
+};
+
+export default {
+  parseDurationSeconds,
+  matchesDurationRange,
+  resolveSinceThreshold,
+  intersectDurationRanges,
+  buildSongSearchQuery
+};
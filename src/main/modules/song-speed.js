@@ -0,0 +1,60 @@
+/**
+ * Song Speed Module
+ *
+ * Per-song tempo and pitch defaults kept in mrvoice, applied when the song
+ * starts and adjustable live from the transport. `playback_rate` is the
+ * tempo (1 is normal speed). With `preserve_pitch` on, a changed tempo keeps
+ * the song in its key; off, it plays like a tape run faster or slower.
+ * `pitch_semitones` shifts the key on its own, without changing the tempo.
+ */
+
+const SPEED_COLUMNS = {
+  playback_rate: 'REAL NOT NULL DEFAULT 1',
+  preserve_pitch: 'INTEGER NOT NULL DEFAULT 1',
+  pitch_semitones: 'INTEGER NOT NULL DEFAULT 0'
+};
+
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 2;
+const MAX_PITCH_SEMITONES = 12;
+
+/**
+ * Check a song's tempo for ADD_SONG and UPDATE_SONG.
+ * @param {number|string|null} value - null or '' is normal speed
+ * @returns {number} rate rounded to hundredths
+ * @throws when the value is not a rate between MIN_PLAYBACK_RATE and MAX_PLAYBACK_RATE
+ */
+function normalizeSongRate(value) {
+  if (value === null || value === undefined || value === '') return 1;
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate < MIN_PLAYBACK_RATE || rate > MAX_PLAYBACK_RATE) {
+    throw new Error(`Invalid playback rate: ${value}`);
+  }
+  return Math.round(rate * 100) / 100;
+}
+
+/**
+ * Check a song's pitch shift for ADD_SONG and UPDATE_SONG.
+ * @param {number|string|null} value - Semitones; null or '' is no shift
+ * @returns {number}
+ * @throws when the value is not a whole number of semitones within MAX_PITCH_SEMITONES
+ */
+function normalizeSongPitch(value) {
+  if (value === null || value === undefined || value === '') return 0;
+  const semitones = Number(value);
+  if (!Number.isInteger(semitones) || Math.abs(semitones) > MAX_PITCH_SEMITONES) {
+    throw new Error(`Invalid pitch shift: ${value}`);
+  }
+  return semitones;
+}
+
+export {
+  SPEED_COLUMNS,
+  MIN_PLAYBACK_RATE,
+  MAX_PLAYBACK_RATE,
+  MAX_PITCH_SEMITONES,
+  normalizeSongRate,
+  normalizeSongPitch
+};
+
+export default { normalizeSongRate, normalizeSongPitch };
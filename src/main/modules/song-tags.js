@@ -0,0 +1,242 @@
+/**
+ * Song Tags Module
+ *
+ * Free-form tags alongside the single mrvoice.category: a song can be both
+ * "Blackout" and "Love Song" without being duplicated. Tags live in `tags`
+ * (names unique regardless of case) and are linked to songs through
+ * `song_tags`. Tags with no songs left are removed.
+ *
+ * Both tables are in the library database, so library transfer and backups
+ * carry them with the songs.
+ */
+
+const TAG_TABLE = 'tags';
+const SONG_TAG_TABLE = 'song_tags';
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Create the tags and song_tags tables if they do not exist.
+ * @param {Object} db - node-sqlite3-wasm Database
+ * @param {Object} [debugLog]
+ * @returns {boolean} true when the tables are available
+ */
+function setupSongTags(db, debugLog = null) {
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${TAG_TABLE} (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE
+      );
+      CREATE TABLE IF NOT EXISTS ${SONG_TAG_TABLE} (
+        song_id INTEGER NOT NULL,
+        tag_id INTEGER NOT NULL,
+        PRIMARY KEY (song_id, tag_id)
+      );
+      CREATE INDEX IF NOT EXISTS 'idx_song_tags_tag' ON ${SONG_TAG_TABLE}(tag_id);
+    `);
+    return true;
+  } catch (error) {
+    debugLog?.warn('Song tags table setup failed', {
+      module: 'song-tags',
+      function: 'setupSongTags',
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Clean up tag names: trim, collapse whitespace and drop case-insensitive
+ * duplicates (the first spelling wins). Commas separate tags, so a single
+ * string such as "Blackout, Love Song" is split.
+ * @param {Array<string>|string} names
+ * @returns {Array<string>}
+ */
+function normalizeTagNames(names) {
+  const list = Array.isArray(names) ? names : String(names ?? '').split(',');
+  const seen = new Set();
+  const result = [];
+  for (const raw of list) {
+    for (const part of String(raw ?? '').split(',')) {
+      const name = part.replace(/\s+/g, ' ').trim();
+      if (!name) continue;
+      if (name.length > MAX_TAG_LENGTH) {
+        throw new Error(`Tag is too long (max ${MAX_TAG_LENGTH} characters): ${name}`);
+      }
+      const key = name.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      result.push(name);
+    }
+  }
+  return result;
+}
+
+function normalizeSongIds(songIds) {
+  const ids = (Array.isArray(songIds) ? songIds : [songIds]).map(Number);
+  for (const id of ids) {
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new Error(`Invalid song ID: ${id}`);
+    }
+  }
+  return [...new Set(ids)];
+}
+
+// Create any missing tags and return the IDs of all of them
+function ensureTags(db, names) {
+  const insert = db.prepare(`INSERT OR IGNORE INTO ${TAG_TABLE} (name) VALUES (?)`);
+  const select = db.prepare(`SELECT id FROM ${TAG_TABLE} WHERE name = ?`);
+  try {
+    return names.map((name) => {
+      insert.run([name]);
+      return select.get([name]).id;
+    });
+  } finally {
+    insert.finalize();
+    select.finalize();
+  }
+}
+
+function pruneUnusedTags(db) {
+  db.exec(`DELETE FROM ${TAG_TABLE} WHERE id NOT IN (SELECT tag_id FROM ${SONG_TAG_TABLE})`);
+}
+
+/**
+ * @param {Object} db
+ * @returns {Array<{ id: number, name: string, song_count: number }>} all tags by name
+ */
+function listTags(db) {
+  const stmt = db.prepare(`
+    SELECT tags.id, tags.name, COUNT(song_tags.song_id) AS song_count
+    FROM ${TAG_TABLE} tags
+    LEFT JOIN ${SONG_TAG_TABLE} song_tags ON song_tags.tag_id = tags.id
+    GROUP BY tags.id ORDER BY tags.name
+  `);
+  const rows = stmt.all() || [];
+  stmt.finalize();
+  return rows;
+}
+
+/**
+ * @param {Object} db
+ * @param {number|string} songId
+ * @returns {Array<string>} the song's tag names, sorted
+ */
+function getSongTags(db, songId) {
+  const [id] = normalizeSongIds(songId);
+  const stmt = db.prepare(`
+    SELECT tags.name FROM ${SONG_TAG_TABLE} song_tags
+    JOIN ${TAG_TABLE} tags ON tags.id = song_tags.tag_id
+    WHERE song_tags.song_id = ? ORDER BY tags.name
+  `);
+  const rows = stmt.all([id]) || [];
+  stmt.finalize();
+  return rows.map(row => row.name);
+}
+
+/**
+ * Replace a song's tags.
+ * @param {Object} db
+ * @param {number|string} songId
+ * @param {Array<string>|string} names
+ * @returns {Array<string>} the song's tags afterwards
+ */
+function setSongTags(db, songId, names) {
+  const [id] = normalizeSongIds(songId);
+  const tagIds = ensureTags(db, normalizeTagNames(names));
+
+  const clear = db.prepare(`DELETE FROM ${SONG_TAG_TABLE} WHERE song_id = ?`);
+  clear.run([id]);
+  clear.finalize();
+  const link = db.prepare(`INSERT OR IGNORE INTO ${SONG_TAG_TABLE} (song_id, tag_id) VALUES (?, ?)`);
+  for (const tagId of tagIds) {
+    link.run([id, tagId]);
+  }
+  link.finalize();
+
+  pruneUnusedTags(db);
+  return getSongTags(db, id);
+}
+
+/**
+ * Add tags to several songs, keeping the tags they already have.
+ * @param {Object} db
+ * @param {Array<number|string>} songIds
+ * @param {Array<string>|string} names
+ * @returns {number} number of new song/tag links
+ */
+function addSongTags(db, songIds, names) {
+  const ids = normalizeSongIds(songIds);
+  const tagIds = ensureTags(db, normalizeTagNames(names));
+  const link = db.prepare(`INSERT OR IGNORE INTO ${SONG_TAG_TABLE} (song_id, tag_id) VALUES (?, ?)`);
+  let added = 0;
+  for (const id of ids) {
+    for (const tagId of tagIds) {
+      added += link.run([id, tagId]).changes || 0;
+    }
+  }
+  link.finalize();
+  return added;
+}
+
+/**
+ * Forget the tags of deleted songs.
+ * @param {Object} db
+ * @param {number|string|Array<number|string>} songIds
+ */
+function deleteSongTags(db, songIds) {
+  const stmt = db.prepare(`DELETE FROM ${SONG_TAG_TABLE} WHERE song_id = ?`);
+  for (const id of normalizeSongIds(songIds)) {
+    stmt.run([id]);
+  }
+  stmt.finalize();
+  pruneUnusedTags(db);
+}
+
+/**
+ * Add a `tags` array (sorted names) to song rows.
+ * @param {Object} db
+ * @param {Array<Object>} rows - mrvoice rows
+ * @returns {Array<Object>} the same rows, annotated
+ */
+function annotateSongTags(db, rows) {
+  if (!rows.length) return rows;
+  const stmt = db.prepare(`
+    SELECT song_tags.song_id, tags.name FROM ${SONG_TAG_TABLE} song_tags
+    JOIN ${TAG_TABLE} tags ON tags.id = song_tags.tag_id ORDER BY tags.name
+  `);
+  const bySong = new Map();
+  for (const { song_id: songId, name } of stmt.all() || []) {
+    if (!bySong.has(songId)) bySong.set(songId, []);
+    bySong.get(songId).push(name);
+  }
+  stmt.finalize();
+  for (const row of rows) {
+    row.tags = bySong.get(row.id) || [];
+  }
+  return rows;
+}
+
+export {
+  TAG_TABLE,
+  SONG_TAG_TABLE,
+  setupSongTags,
+  normalizeTagNames,
+  listTags,
+  getSongTags,
+  setSongTags,
+  addSongTags,
+  deleteSongTags,
+  annotateSongTags
+};
+
+export default {
+  setupSongTags,
+  normalizeTagNames,
+  listTags,
+  getSongTags,
+  setSongTags,
+  addSongTags,
+  deleteSongTags,
+  annotateSongTags
+};
@@ -106,7 +106,21 @@ const secureElectronAPI = {
     getSongsByIds: (ids) => ipcRenderer.invoke(IPC.DATABASE.GET_SONGS_BY_IDS, ids),
     reassignSongCategory: (fromCode, toCode) => ipcRenderer.invoke(IPC.DATABASE.REASSIGN_SONG_CATEGORY, fromCode, toCode),
     findCategoryCodesLike: (code, pattern) => ipcRenderer.invoke(IPC.DATABASE.FIND_CATEGORY_CODES_LIKE, code, pattern),
-    countSongs: () => ipcRenderer.invoke(IPC.DATABASE.COUNT_SONGS)
+    countSongs: () => ipcRenderer.invoke(IPC.DATABASE.COUNT_SONGS),
+    getSmartCategories: () => ipcRenderer.invoke(IPC.DATABASE.GET_SMART_CATEGORIES),
+    addSmartCategory: (definition) => ipcRenderer.invoke(IPC.DATABASE.ADD_SMART_CATEGORY, definition),
+    updateSmartCategory: (code, definition) => ipcRenderer.invoke(IPC.DATABASE.UPDATE_SMART_CATEGORY, code, definition),
+    deleteSmartCategory: (code) => ipcRenderer.invoke(IPC.DATABASE.DELETE_SMART_CATEGORY, code),
+    recordPlay: (play) => ipcRenderer.invoke(IPC.DATABASE.RECORD_PLAY, play),
+    getPlayStatistics: (options) => ipcRenderer.invoke(IPC.DATABASE.GET_PLAY_STATISTICS, options),
+    getTags: () => ipcRenderer.invoke(IPC.DATABASE.GET_TAGS),
+    setSongTags: (songId, tags) => ipcRenderer.invoke(IPC.DATABASE.SET_SONG_TAGS, songId, tags),
+    addSongTags: (songIds, tags) => ipcRenderer.invoke(IPC.DATABASE.ADD_SONG_TAGS, songIds, tags),
+    setSongMarkers: (songId, markers) => ipcRenderer.invoke(IPC.DATABASE.SET_SONG_MARKERS, songId, markers),
+    findDuplicateSongs: (options) => ipcRenderer.invoke(IPC.DATABASE.FIND_DUPLICATE_SONGS, options),
+    mergeDuplicateSongs: (keepId, removeIds) => ipcRenderer.invoke(IPC.DATABASE.MERGE_DUPLICATE_SONGS, keepId, removeIds),
+    getSongsForLoudness: (options) => ipcRenderer.invoke(IPC.DATABASE.GET_SONGS_FOR_LOUDNESS, options),
+    saveSongLoudness: (songId, measurement) => ipcRenderer.invoke(IPC.DATABASE.SAVE_SONG_LOUDNESS, songId, measurement)
   },
   
   // Store operations - secure preference management
@@ -157,7 +171,7 @@ const secureElectronAPI = {
     getDuration: (filePath) => ipcRenderer.invoke(IPC.AUDIO.GET_DURATION, filePath),
     getPosition: (soundId) => ipcRenderer.invoke(IPC.AUDIO.GET_POSITION, soundId),
     setPosition: (soundId, position) => ipcRenderer.invoke(IPC.AUDIO.SET_POSITION, soundId, position),
-    getMetadata: (filePath) => ipcRenderer.invoke(IPC.AUDIO.GET_METADATA, filePath)
+    getMetadata: (filePath, options) => ipcRenderer.invoke(IPC.AUDIO.GET_METADATA, filePath, options)
   },
   
   // App operations - secure application control
@@ -431,6 +445,54 @@ const secureElectronAPI = {
       return () => ipcRenderer.removeListener('menu:import-library', handler);
     },
 
+    onExportHotkeyBundle: (callback) => {
+      const handler = (_event, ...args) => callback(...args);
+      ipcRenderer.on('menu:export-hotkey-bundle', handler);
+      return () => ipcRenderer.removeListener('menu:export-hotkey-bundle', handler);
+    },
+
+    onImportHotkeyBundle: (callback) => {
+      const handler = (_event, ...args) => callback(...args);
+      ipcRenderer.on('menu:import-hotkey-bundle', handler);
+      return () => ipcRenderer.removeListener('menu:import-hotkey-bundle', handler);
+    },
+
+    onPlayStatistics: (callback) => {
+      const handler = (_event, ...args) => callback(...args);
+      ipcRenderer.on('menu:play-statistics', handler);
+      return () => ipcRenderer.removeListener('menu:play-statistics', handler);
+    },
+
+    onFindDuplicates: (callback) => {
+      const handler = (_event, ...args) => callback(...args);
+      ipcRenderer.on('menu:find-duplicates', handler);
+      return () => ipcRenderer.removeListener('menu:find-duplicates', handler);
+    },
+
+    onVerifyLibrary: (callback) => {
+      const handler = (_event, ...args) => callback(...args);
+      ipcRenderer.on('menu:verify-library', handler);
+      return () => ipcRenderer.removeListener('menu:verify-library', handler);
+    },
+
+    onAnalyzeLoudness: (callback) => {
+      const handler = (_event, ...args) => callback(...args);
+      ipcRenderer.on('menu:analyze-loudness', handler);
+      return () => ipcRenderer.removeListener('menu:analyze-loudness', handler);
+    },
+
+    onAutoTrim: (callback) => {
+      const handler = (_event, ...args) => callback(...args);
+      ipcRenderer.on('menu:auto-trim', handler);
+      return () => ipcRenderer.removeListener('menu:auto-trim', handler);
+    },
+
+    onStopAllSoundEffects: (callback) => {
+      const handler = (_event, ...args) => callback(...args);
+      ipcRenderer.on('menu:stop-all-sfx', handler);
+      return () => ipcRenderer.removeListener('menu:stop-all-sfx', handler);
+    },
+
     onWhatsNew: (callback) => {
       const handler = (_event, ...args) => callback(...args);
       ipcRenderer.on('menu:whats-new', handler);
@@ -477,6 +539,15 @@ const secureElectronAPI = {
     exportLibrary: () => ipcRenderer.invoke(IPC.LIBRARY.EXPORT),
     importLibrary: () => ipcRenderer.invoke(IPC.LIBRARY.IMPORT),
     confirmImport: (archivePath) => ipcRenderer.invoke(IPC.LIBRARY.IMPORT_CONFIRM, archivePath),
+    verify: () => ipcRenderer.invoke(IPC.LIBRARY.VERIFY),
+    relinkSongs: (links) => ipcRenderer.invoke(IPC.LIBRARY.RELINK_SONGS, links),
+    importOrphans: (filenames, category) => ipcRenderer.invoke(IPC.LIBRARY.IMPORT_ORPHANS, filenames, category),
+    removeMissingSongs: (songIds) => ipcRenderer.invoke(IPC.LIBRARY.REMOVE_MISSING_SONGS, songIds),
+    exportHotkeyBundle: (tab) => ipcRenderer.invoke(IPC.LIBRARY.EXPORT_HOTKEY_BUNDLE, tab),
+    openHotkeyBundle: () => ipcRenderer.invoke(IPC.LIBRARY.OPEN_HOTKEY_BUNDLE),
+    importHotkeyBundle: (bundlePath, options) => ipcRenderer.invoke(IPC.LIBRARY.IMPORT_HOTKEY_BUNDLE, bundlePath, options),
+    findSongRelinks: (currentState) => ipcRenderer.invoke(IPC.LIBRARY.FIND_SONG_RELINKS, currentState),
+    relinkSongReferences: (links) => ipcRenderer.invoke(IPC.LIBRARY.RELINK_SONG_REFERENCES, links),
     onExportProgress: (callback) => {
       const handler = (_event, data) => callback(data);
       ipcRenderer.on('library:export-progress', handler);
@@ -486,6 +557,11 @@ const secureElectronAPI = {
       const handler = (_event, data) => callback(data);
       ipcRenderer.on('library:import-progress', handler);
       return () => ipcRenderer.removeListener('library:import-progress', handler);
+    },
+    onSongsAdded: (callback) => {
+      const handler = (_event, songIds) => callback(songIds);
+      ipcRenderer.on('library:songs-added', handler);
+      return () => ipcRenderer.removeListener('library:songs-added', handler);
     }
   },
 
@@ -320,6 +320,81 @@ import AppInitialization from './renderer/modules/app-initialization/index.js';
       });
     }
 
+    // Initialize play statistics view
+    if (moduleRegistry.playStatistics) {
+      window.logInfo('📊 Initializing play statistics module...');
+      moduleRegistry.playStatistics.initializePlayStatistics();
+    }
+
+    // Initialize duplicate finder
+    if (moduleRegistry.duplicateFinder) {
+      window.logInfo('🧬 Initializing duplicate finder module...');
+      moduleRegistry.duplicateFinder.initializeDuplicateFinder({ moduleRegistry });
+    }
+
+    // Initialize library verifier
+    if (moduleRegistry.libraryVerifier) {
+      window.logInfo('🩺 Initializing library verifier module...');
+      moduleRegistry.libraryVerifier.initializeLibraryVerifier({ moduleRegistry });
+    }
+
+    // Offer to relink hotkeys and holding tanks to deleted songs that come back
+    if (moduleRegistry.songReferences) {
+      window.logInfo('🔗 Initializing song references module...');
+      moduleRegistry.songReferences.initializeSongReferences({
+        electronAPI: window.secureElectronAPI,
+        moduleRegistry
+      });
+    }
+
+    // Initialize loudness analysis
+    if (moduleRegistry.loudness) {
+      window.logInfo('🔊 Initializing loudness module...');
+      moduleRegistry.loudness.initializeLoudness();
+    }
+
+    // Initialize silence trim suggestions
+    if (moduleRegistry.silenceTrim) {
+      window.logInfo('✂️ Initializing silence trim module...');
+      moduleRegistry.silenceTrim.initializeSilenceTrim();
+    }
+
+    // Initialize song markers
+    if (moduleRegistry.songMarkers) {
+      window.logInfo('📍 Initializing song markers module...');
+      moduleRegistry.songMarkers.initializeSongMarkers({ moduleRegistry });
+    }
+
+    // Initialize loop regions
+    if (moduleRegistry.loopRegion) {
+      window.logInfo('🔁 Initializing loop region module...');
+      moduleRegistry.loopRegion.initializeLoopRegion();
+    }
+
+    // Initialize the headphone preview player
+    if (moduleRegistry.previewPlayer) {
+      window.logInfo('🎧 Initializing preview player module...');
+      moduleRegistry.previewPlayer.initializePreviewPlayer();
+    }
+
+    // Route the show audio to the chosen output device
+    if (moduleRegistry.outputDevice) {
+      window.logInfo('🔈 Initializing output device module...');
+      moduleRegistry.outputDevice.initializeOutputDevice({ moduleRegistry });
+    }
+
+    // Initialize the sound effect voices that play over the music
+    if (moduleRegistry.soundEffects) {
+      window.logInfo('🔔 Initializing sound effects module...');
+      moduleRegistry.soundEffects.initializeSoundEffects();
+    }
+
+    // Dip the music under sound effects, the duck key and the microphone
+    if (moduleRegistry.ducking) {
+      window.logInfo('🦆 Initializing ducking module...');
+      moduleRegistry.ducking.initializeDucking();
+    }
+
     // Initialize profile state persistence
     if (moduleRegistry.profileState) {
       window.logInfo('🔄 Initializing profile state persistence...');
@@ -508,6 +583,102 @@ import AppInitialization from './renderer/modules/app-initialization/index.js';
         });
       }
 
+      if (apiToUse && apiToUse.events && apiToUse.events.onExportHotkeyBundle) {
+        window.logInfo('📦 Setting up export hotkey bundle event listener...');
+        apiToUse.events.onExportHotkeyBundle(async () => {
+          window.logInfo('📦 Export hotkey bundle requested from menu');
+          if (moduleRegistry.hotkeys && moduleRegistry.hotkeys.exportHotkeyBundle) {
+            await moduleRegistry.hotkeys.exportHotkeyBundle();
+          } else {
+            window.logWarn('Hotkeys module not available for bundle export');
+          }
+        });
+      }
+
+      if (apiToUse && apiToUse.events && apiToUse.events.onImportHotkeyBundle) {
+        window.logInfo('📦 Setting up import hotkey bundle event listener...');
+        apiToUse.events.onImportHotkeyBundle(async () => {
+          window.logInfo('📦 Import hotkey bundle requested from menu');
+          if (moduleRegistry.hotkeys && moduleRegistry.hotkeys.importHotkeyBundle) {
+            await moduleRegistry.hotkeys.importHotkeyBundle();
+          } else {
+            window.logWarn('Hotkeys module not available for bundle import');
+          }
+        });
+      }
+
+      if (apiToUse && apiToUse.events && apiToUse.events.onPlayStatistics) {
+        window.logInfo('📊 Setting up play statistics event listener...');
+        apiToUse.events.onPlayStatistics(async () => {
+          window.logInfo('📊 Play statistics requested from menu');
+          if (moduleRegistry.playStatistics && moduleRegistry.playStatistics.showPlayStatistics) {
+            await moduleRegistry.playStatistics.showPlayStatistics();
+          } else {
+            window.logWarn('Play statistics module not available');
+          }
+        });
+      }
+
+      if (apiToUse && apiToUse.events && apiToUse.events.onFindDuplicates) {
+        window.logInfo('🧬 Setting up duplicate finder event listener...');
+        apiToUse.events.onFindDuplicates(async () => {
+          window.logInfo('🧬 Duplicate finder requested from menu');
+          if (moduleRegistry.duplicateFinder && moduleRegistry.duplicateFinder.showDuplicateFinder) {
+            await moduleRegistry.duplicateFinder.showDuplicateFinder();
+          } else {
+            window.logWarn('Duplicate finder module not available');
+          }
+        });
+      }
+
+      if (apiToUse && apiToUse.events && apiToUse.events.onVerifyLibrary) {
+        window.logInfo('🩺 Setting up verify library event listener...');
+        apiToUse.events.onVerifyLibrary(async () => {
+          window.logInfo('🩺 Verify library requested from menu');
+          if (moduleRegistry.libraryVerifier && moduleRegistry.libraryVerifier.showLibraryVerifier) {
+            await moduleRegistry.libraryVerifier.showLibraryVerifier();
+          } else {
+            window.logWarn('Library verifier module not available');
+          }
+        });
+      }
+
+      if (apiToUse && apiToUse.events && apiToUse.events.onAnalyzeLoudness) {
+        window.logInfo('🔊 Setting up analyze loudness event listener...');
+        apiToUse.events.onAnalyzeLoudness(async () => {
+          window.logInfo('🔊 Analyze loudness requested from menu');
+          if (moduleRegistry.loudness && moduleRegistry.loudness.showLoudnessAnalysis) {
+            await moduleRegistry.loudness.showLoudnessAnalysis();
+          } else {
+            window.logWarn('Loudness module not available');
+          }
+        });
+      }
+
+      if (apiToUse && apiToUse.events && apiToUse.events.onAutoTrim) {
+        window.logInfo('✂️ Setting up auto-trim event listener...');
+        apiToUse.events.onAutoTrim(async () => {
+          window.logInfo('✂️ Auto-trim requested from menu');
+          if (moduleRegistry.silenceTrim && moduleRegistry.silenceTrim.showAutoTrim) {
+            await moduleRegistry.silenceTrim.showAutoTrim();
+          } else {
+            window.logWarn('Silence trim module not available');
+          }
+        });
+      }
+
+      if (apiToUse && apiToUse.events && apiToUse.events.onStopAllSoundEffects) {
+        window.logInfo('🔔 Setting up stop-all-sound-effects event listener...');
+        apiToUse.events.onStopAllSoundEffects(() => {
+          window.logInfo('🔔 Stop all sound effects requested from menu');
+          if (moduleRegistry.soundEffects && moduleRegistry.soundEffects.stopAllSoundEffects) {
+            moduleRegistry.soundEffects.stopAllSoundEffects();
+          } else {
+            window.logWarn('Sound effects module not available');
+          }
+        });
+      }
+
       if (apiToUse && apiToUse.events && apiToUse.events.onWhatsNew) {
         window.logInfo('🆕 Setting up What\'s New event listener...');
         apiToUse.events.onWhatsNew(async () => {
@@ -527,6 +698,9 @@ import AppInitialization from './renderer/modules/app-initialization/index.js';
       window.logInfo('✅ Profile restoration lock cleared - app fully initialized');
     }
 
+    // Songs may have come back while another profile was open
+    moduleRegistry.songReferences?.offerSongRelinks?.();
+
     // Restore holding tank mode (playlist/storage) from profile preferences
     // This runs after full initialization to ensure all UI elements and modules are ready
     if (moduleRegistry.holdingTank?.initHoldingTank) {
@@ -62,7 +62,23 @@ export const secureDatabase = {
   ),
   findCategoryCodesLike: (code, pattern) => invokeDatabase(
     'findCategoryCodesLike', [code, pattern], 'Find category codes'
-  )
+  ),
+  getSmartCategories: () => invokeDatabase('getSmartCategories', [], 'Get smart categories'),
+  addSmartCategory: (definition) => invokeDatabase('addSmartCategory', [definition], 'Add smart category'),
+  updateSmartCategory: (code, definition) => invokeDatabase(
+    'updateSmartCategory', [code, definition], 'Update smart category'
+  ),
+  deleteSmartCategory: (code) => invokeDatabase('deleteSmartCategory', [code], 'Delete smart category'),
+  recordPlay: (play) => invokeDatabase('recordPlay', [play], 'Record play'),
+  getPlayStatistics: (options) => invokeDatabase('getPlayStatistics', [options], 'Get play statistics'),
+  getTags: () => invokeDatabase('getTags', [], 'Get tags'),
+  setSongTags: (songId, tags) => invokeDatabase('setSongTags', [songId, tags], 'Set song tags'),
+  addSongTags: (songIds, tags) => invokeDatabase('addSongTags', [songIds, tags], 'Add song tags'),
+  setSongMarkers: (songId, markers) => invokeDatabase('setSongMarkers', [songId, markers], 'Set song markers'),
+  findDuplicateSongs: (options) => invokeDatabase('findDuplicateSongs', [options], 'Find duplicate songs'),
+  mergeDuplicateSongs: (keepId, removeIds) => invokeDatabase('mergeDuplicateSongs', [keepId, removeIds], 'Merge duplicate songs'),
+  getSongsForLoudness: (options) => invokeDatabase('getSongsForLoudness', [options], 'Get songs for loudness analysis'),
+  saveSongLoudness: (songId, measurement) => invokeDatabase('saveSongLoudness', [songId, measurement], 'Save song loudness')
 };
 
 /** Secure filesystem operations exposed by the preload. */
@@ -94,6 +110,7 @@ export const secureStore = {
 /** Secure audio operations exposed by the preload. */
 export const secureAudio = {
   getDuration: (filePath) => invokeSecureAPI('audio', 'getDuration', [filePath]),
+  getMetadata: (filePath, options = {}) => invokeSecureAPI('audio', 'getMetadata', [filePath, options]),
   play: (filePath, options = {}) => invokeSecureAPI('audio', 'play', [filePath, options]),
   stop: (soundId) => invokeSecureAPI('audio', 'stop', [soundId]),
   setVolume: (volume, soundId) => invokeSecureAPI('audio', 'setVolume', [volume, soundId])
@@ -104,6 +121,19 @@ export const secureUtilities = {
   formatDuration: (seconds) => invokeSecureAPI('utils', 'formatDuration', [seconds])
 };
 
+/** Verify Library operations exposed by the preload. */
+export const secureLibrary = {
+  verify: () => invokeSecureAPI('library', 'verify'),
+  relinkSongs: (links) => invokeSecureAPI('library', 'relinkSongs', [links]),
+  importOrphans: (filenames, category) => invokeSecureAPI('library', 'importOrphans', [filenames, category]),
+  removeMissingSongs: (songIds) => invokeSecureAPI('library', 'removeMissingSongs', [songIds]),
+  exportHotkeyBundle: (tab) => invokeSecureAPI('library', 'exportHotkeyBundle', [tab]),
+  openHotkeyBundle: () => invokeSecureAPI('library', 'openHotkeyBundle'),
+  importHotkeyBundle: (bundlePath, options = {}) => invokeSecureAPI('library', 'importHotkeyBundle', [bundlePath, options]),
+  findSongRelinks: (currentState) => invokeSecureAPI('library', 'findSongRelinks', [currentState]),
+  relinkSongReferences: (links) => invokeSecureAPI('library', 'relinkSongReferences', [links])
+};
+
 export const secureAnalytics = {
   trackEvent: (name, properties) => invokeSecureAPI('analytics', 'trackEvent', [name, properties])
 };
@@ -188,5 +218,6 @@ export default {
   secureUtilities,
   secureAnalytics,
   secureFileDialog,
+  secureLibrary,
   testSecureAdapter
 };
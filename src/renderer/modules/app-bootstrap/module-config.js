@@ -14,6 +14,18 @@ export const moduleConfig = [
   { name: 'profileState', path: '../profile-state/index.js', required: false },
   { name: 'profileBackup', path: '../profile-backup/index.js', required: false },
   { name: 'libraryTransfer', path: '../library-transfer/index.js', required: false },
+  { name: 'playStatistics', path: '../play-statistics/index.js', required: false },
+  { name: 'duplicateFinder', path: '../duplicate-finder/index.js', required: false },
+  { name: 'libraryVerifier', path: '../library-verifier/index.js', required: false },
+  { name: 'songReferences', path: '../song-references/index.js', required: false },
+  { name: 'loudness', path: '../loudness/index.js', required: false },
+  { name: 'silenceTrim', path: '../silence-trim/index.js', required: false },
+  { name: 'songMarkers', path: '../song-markers/index.js', required: false },
+  { name: 'loopRegion', path: '../loop-region/index.js', required: false },
+  { name: 'previewPlayer', path: '../preview-player/index.js', required: false },
+  { name: 'outputDevice', path: '../output-device/index.js', required: false },
+  { name: 'soundEffects', path: '../sound-effects/index.js', required: false },
+  { name: 'ducking', path: '../ducking/index.js', required: false },
   { name: 'categories', path: '../categories/index.js', required: false },
   { name: 'bulkOperations', path: '../bulk-operations/index.js', required: false },
   { name: 'dragDrop', path: '../drag-drop/index.js', required: false },
@@ -12,6 +12,18 @@ import { secureStore } from '../adapters/secure-adapter.js';
 
 // Import shared state
 import sharedState from '../shared-state.js';
+import { finishPlayRecord } from './play-history-recorder.js';
+import { getPreference } from '../preferences/profile-preference-adapter.js';
+import { getFadeOutDuration, normalizeFadeCurve } from './fade-curves.js';
+import { fadePlaybackSound, setPlaybackSoundSpeed } from './playback-sound-factory.js';
+import {
+  DEFAULT_PLAYBACK_SPEED,
+  formatPlaybackSpeed,
+  isDefaultPlaybackSpeed,
+  normalizePitchSemitones,
+  normalizePlaybackRate,
+  nudgePlaybackRate
+} from './playback-speed.js';
 
 // Import debug logger
 let debugLog = null;
@@ -24,6 +36,31 @@ try {
   // Debug logger not available
 }
 
+/**
+ * Fade-out time and curve for the playing song. The song's own fade-out
+ * time or hard stop wins over the profile's fade time.
+ *
+ * @param {string} caller - Function name for the log
+ * @returns {Promise<{ durationMs: number, curve: string }>} durationMs 0 stops at once
+ */
+async function getFadeOut(caller) {
+  const [seconds, curve] = await Promise.all([
+    secureStore.get("fade_out_seconds"),
+    getPreference('fade_out_curve', window.secureElectronAPI).catch(() => null)
+  ]);
+  if (!seconds?.success) {
+    debugLog?.warn('Failed to get fade_out_seconds:', {
+      module: 'audio-controller',
+      function: caller,
+      result: seconds
+    });
+  }
+  return {
+    durationMs: getFadeOutDuration(sharedState.get('trackFade'), seconds?.success ? seconds.value : null),
+    curve: normalizeFadeCurve(curve?.success ? curve.value : null)
+  };
+}
+
 /**
  * Stop audio playback
  * 
@@ -77,6 +114,7 @@ function stopPlaying(fadeOut = false) {
       module: 'audio-controller',
       function: 'stopPlaying'
     });
+    finishPlayRecord();
     if (autoplay && holdingTankMode === "playlist") {
       const np = document.querySelector('.now_playing');
       if (np) np.classList.remove('now_playing');
@@ -87,14 +125,9 @@ function stopPlaying(fadeOut = false) {
         function: 'stopPlaying',
         fadeOut: fadeOut
       });
-      secureStore.get("fade_out_seconds").then(result => {
-        if (!result.success || !result.value) {
-          debugLog?.warn('Failed to get fade_out_seconds:', { 
-            module: 'audio-controller',
-            function: 'stopPlaying',
-            result: result
-          });
-          // Fallback to immediate stop
+      getFadeOut('stopPlaying').then(({ durationMs: fadeDuration, curve }) => {
+        if (fadeDuration <= 0) {
+          // Hard stop, or no fade time: stop at once
           sound.unload();
           if (sharedState.get('sound') === sound) {
             sharedState.set('sound', null);
@@ -102,19 +135,11 @@ function stopPlaying(fadeOut = false) {
           resetUIState();
           return;
         }
-        const fadeSeconds = result.value;
-        debugLog?.info("Fade out seconds:", { 
-          module: 'audio-controller',
-          function: 'stopPlaying',
-          fadeSeconds: fadeSeconds
-        });
-        
-        // Extract the numeric value from the response  
-        const fadeDuration = parseFloat(fadeSeconds) * 1000;
         debugLog?.info("Fade duration:", { 
           module: 'audio-controller',
           function: 'stopPlaying',
-          fadeDuration: fadeDuration
+          fadeDuration: fadeDuration,
+          curve: curve
         });
         
         // Check if sound is still valid
@@ -148,7 +173,7 @@ function stopPlaying(fadeOut = false) {
         
         // Start the fade
         const currentVolume = sound.volume();
-        sound.fade(currentVolume, 0, fadeDuration);
+        fadePlaybackSound(sound, currentVolume, 0, fadeDuration, curve);
         debugLog?.info("Fade started with volume:", { 
           module: 'audio-controller',
           function: 'stopPlaying',
@@ -239,21 +264,14 @@ function pausePlaying(fadeOut = false) {
           sound.pause();
           sound.volume(old_volume);
         });
-        secureStore.get("fade_out_seconds").then(result => {
-          if (!result.success || !result.value) {
-            debugLog?.warn('Failed to get fade_out_seconds:', { 
-              module: 'audio-controller',
-              function: 'pausePlaying',
-              result: result
-            });
-            // Fallback to immediate pause
+        getFadeOut('pausePlaying').then(({ durationMs, curve }) => {
+          if (durationMs <= 0) {
+            // Hard stop, or no fade time: pause at once
             sound.pause();
             return;
           }
-          const fadeSeconds = result.value;
-          const fadeDuration = fadeSeconds * 1000;
-          sound.fade(sound.volume(), 0, fadeDuration);
-        });
+          fadePlaybackSound(sound, sound.volume(), 0, durationMs, curve);
+        }).catch(() => sound.pause());
       } else {
         sound.pause();
       }
@@ -297,6 +315,19 @@ function getPlaybackSelectionSongId() {
   );
 }
 
+/**
+ * How the song returned by getPlaybackSelectionSongId would be played, for
+ * the play history.
+ * @returns {'holding_tank'|'search'|'hotkey'|null}
+ */
+function getPlaybackSelectionSource() {
+  const selectedRow = document.getElementById('selected_row');
+  if (selectedRow) {
+    return document.getElementById('holding-tank-column')?.contains(selectedRow) ? 'holding_tank' : 'search';
+  }
+  return getSelectedHotkeyElement() ? 'hotkey' : null;
+}
+
 /**
  * Reset UI state after audio changes
  */
@@ -317,6 +348,8 @@ function resetUIState() {
   const timer = document.getElementById('timer'); if (timer) timer.textContent = '0:00';
   const progress = document.getElementById('audio_progress'); if (progress) progress.style.width = '0%';
   const now = document.getElementById('song_now_playing'); if (now) { now.style.display = 'none'; now.removeAttribute('songid'); }
+  // Nothing is playing, so no loop region is held
+  if (sharedState.get('loopRegionState')) sharedState.set('loopRegionState', null);
   document.getElementById('play_button')?.classList.remove('d-none');
   document.getElementById('pause_button')?.classList.add('d-none');
   document.getElementById('song_spinner')?.classList.remove('fa-spin');
@@ -382,16 +415,102 @@ function loop_on(bool) {
   }
 }
 
+function getPlaybackSpeed() {
+  return { ...DEFAULT_PLAYBACK_SPEED, ...sharedState.get('trackSpeed') };
+}
+
+/**
+ * Show the playing song's tempo and pitch on the transport
+ */
+function renderPlaybackSpeed() {
+  const speed = getPlaybackSpeed();
+  const button = document.getElementById('speed_button');
+  if (button) {
+    button.textContent = formatPlaybackSpeed(speed);
+    button.classList.toggle('active', !isDefaultPlaybackSpeed(speed));
+  }
+  const tempo = document.getElementById('speed_tempo'); if (tempo) tempo.value = String(speed.rate);
+  const tempoValue = document.getElementById('speed_tempo_value'); if (tempoValue) tempoValue.textContent = `${speed.rate.toFixed(2)}×`;
+  const pitch = document.getElementById('speed_pitch'); if (pitch) pitch.value = String(speed.semitones);
+  const pitchValue = document.getElementById('speed_pitch_value');
+  if (pitchValue) pitchValue.textContent = `${speed.semitones > 0 ? '+' : ''}${speed.semitones} st`;
+  const preserve = document.getElementById('speed_preserve_pitch'); if (preserve) preserve.checked = speed.preservePitch;
+}
+
+/**
+ * Change the tempo or pitch of the playing song. Lasts until the next song,
+ * which starts at its own defaults.
+ *
+ * @param {{ rate?: number, preservePitch?: boolean, semitones?: number }} changes
+ * @returns {{ rate: number, preservePitch: boolean, semitones: number }} the new speed
+ */
+function setPlaybackSpeed(changes = {}) {
+  const merged = { ...getPlaybackSpeed(), ...changes };
+  const speed = {
+    rate: normalizePlaybackRate(merged.rate),
+    preservePitch: merged.preservePitch !== false,
+    semitones: normalizePitchSemitones(merged.semitones)
+  };
+  sharedState.set('trackSpeed', speed);
+  renderPlaybackSpeed();
+
+  const sound = sharedState.get('sound');
+  if (sound) {
+    setPlaybackSoundSpeed(sound, speed).then(result => {
+      if (!result.success) {
+        debugLog?.warn('Could not shift the pitch', {
+          module: 'audio-controller',
+          function: 'setPlaybackSpeed',
+          semitones: speed.semitones,
+          error: result.error
+        });
+      }
+    });
+  }
+  return speed;
+}
+
+/**
+ * Nudge the tempo one step faster (1) or slower (-1)
+ *
+ * @param {number} direction
+ */
+function nudgePlaybackTempo(direction) {
+  return setPlaybackSpeed({ rate: nudgePlaybackRate(getPlaybackSpeed().rate, direction) });
+}
+
+/**
+ * Nudge the pitch one semitone up (1) or down (-1)
+ *
+ * @param {number} direction
+ */
+function nudgePlaybackPitch(direction) {
+  return setPlaybackSpeed({ semitones: getPlaybackSpeed().semitones + Math.sign(direction) });
+}
+
+/**
+ * Back to normal tempo and pitch
+ */
+function resetPlaybackSpeed() {
+  return setPlaybackSpeed(DEFAULT_PLAYBACK_SPEED);
+}
+
 // Export individual functions for direct access
 export {
   stopPlaying,
   pausePlaying,
   getPlaybackSelectionSongId,
+  getPlaybackSelectionSource,
   resetUIState,
   toggle_play_button,
   showPlayButton,
   showPauseButton,
-  loop_on
+  loop_on,
+  renderPlaybackSpeed,
+  setPlaybackSpeed,
+  nudgePlaybackTempo,
+  nudgePlaybackPitch,
+  resetPlaybackSpeed
 };
 
 // Default export for module loading
@@ -399,9 +518,15 @@ export default {
   stopPlaying,
   pausePlaying,
   getPlaybackSelectionSongId,
+  getPlaybackSelectionSource,
   resetUIState,
   toggle_play_button,
   showPlayButton,
   showPauseButton,
-  loop_on
+  loop_on,
+  renderPlaybackSpeed,
+  setPlaybackSpeed,
+  nudgePlaybackTempo,
+  nudgePlaybackPitch,
+  resetPlaybackSpeed
 }; 
@@ -0,0 +1,44 @@
+/**
+ * Audio File Decoder
+ *
+ * Decodes local audio files with Web Audio for analysis (loudness, silence).
+ * Howler plays through an audio element and never exposes samples, so
+ * analysis reads the file itself.
+ */
+
+/**
+ * file:// URL for a local path on any platform.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toFileUrl(filePath) {
+  const normalized = String(filePath).replace(/\\/g, '/');
+  const absolute = normalized.startsWith('/') ? normalized : `/${normalized}`;
+  return `file://${encodeURI(absolute).replace(/#/g, '%23').replace(/\?/g, '%3F')}`;
+}
+
+/**
+ * Decode a local file, resampled to the given rate.
+ * @param {string} filePath
+ * @param {number} sampleRate
+ * @returns {Promise<AudioBuffer>}
+ */
+async function decodeAudioFile(filePath, sampleRate) {
+  const response = await fetch(toFileUrl(filePath));
+  if (!response.ok) {
+    throw new Error(`Could not read ${filePath}`);
+  }
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  return context.decodeAudioData(await response.arrayBuffer());
+}
+
+/**
+ * One sample array per channel.
+ * @param {AudioBuffer} buffer
+ * @returns {Array<Float32Array>}
+ */
+function getChannels(buffer) {
+  return Array.from({ length: buffer.numberOfChannels }, (_, index) => buffer.getChannelData(index));
+}
+
+export { toFileUrl, decodeAudioFile, getChannels };
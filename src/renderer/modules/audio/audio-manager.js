@@ -9,21 +9,38 @@
 import sharedState from '../shared-state.js';
 import { howlerUtils, createHowl } from './audio-utils.js';
 import { createProbeFromHowler } from './audio-probe.js';
-import { getPlaybackSelectionSongId, resetUIState } from './audio-controller.js';
+import { getPlaybackSelectionSongId, getPlaybackSelectionSource, renderPlaybackSpeed, resetUIState } from './audio-controller.js';
 import { getPreference } from '../preferences/profile-preference-adapter.js';
 import { resolveAudioSource } from './audio-source-resolver.js';
-import { showMissingAudioFile } from './playback-error-presenter.js';
+import { showMissingAudioFile, showPlaybackBlocked } from './playback-error-presenter.js';
 import { prepareCrossfadeTransition } from './crossfade-transition.js';
 import { presentPlaybackStarted } from './playback-ui-presenter.js';
-import { createPlaybackSound } from './playback-sound-factory.js';
+import {
+  createPlaybackSound,
+  getPlaybackOutputRouting,
+  routePlaybackSound,
+  setPlaybackSoundSpeed
+} from './playback-sound-factory.js';
 import { handlePlaybackStarted } from './playback-start.js';
 import { completeActivePlayback, handlePlaybackCompleted } from './playback-completion.js';
 import { parseCrossfadePreference, prepareForPlaybackReplacement } from './playback-replacement.js';
 import { loadSongForPlayback } from './playback-song-loader.js';
+import { getDuckedVolume } from './ducking-policy.js';
+import { FADE_PREFERENCES, getFadeInDuration, getTrackFade, normalizeFadeSettings } from './fade-curves.js';
+import { getTrackSpeed } from './playback-speed.js';
+import {
+  finishPlayRecord,
+  getActivePlaySource,
+  notePlaybackPaused,
+  notePlaybackStarted
+} from './play-history-recorder.js';
 import {
   calculatePlaybackVolume,
   getCrossfadePolicy,
-  getTrackBounds
+  getLoopRegion,
+  getPlaybackStartPosition,
+  getTrackBounds,
+  parseLoudnessTargetPreference
 } from './playback-policy.js';
 
 let moduleRegistry = {};
@@ -205,14 +222,53 @@ function updateMusicDirectoryCache(newDirectory) {
   });
 }
 
+/**
+ * Load the crossfade time, loudness target and fade settings from the
+ * profile into shared state, where playback reads them. Called when the
+ * module initializes and after Preferences are saved.
+ */
+async function refreshPlaybackPreferences() {
+  const api = window.secureElectronAPI;
+  try {
+    sharedState.set('crossfadeSeconds', parseCrossfadePreference(await getPreference('crossfade_seconds', api)));
+  } catch (_e) {
+    sharedState.set('crossfadeSeconds', 0);
+  }
+
+  try {
+    const [normalization, target] = await Promise.all([
+      getPreference('loudness_normalization', api),
+      getPreference('loudness_target_lufs', api)
+    ]);
+    sharedState.set('loudnessTargetLufs', parseLoudnessTargetPreference(normalization, target));
+  } catch (_e) {
+    sharedState.set('loudnessTargetLufs', null);
+  }
+
+  try {
+    const results = await Promise.all(FADE_PREFERENCES.map(key => getPreference(key, api)));
+    const preferences = {};
+    FADE_PREFERENCES.forEach((key, index) => {
+      if (results[index]?.success) preferences[key] = results[index].value;
+    });
+    sharedState.set('fadeSettings', normalizeFadeSettings(preferences));
+  } catch (_e) {
+    sharedState.set('fadeSettings', normalizeFadeSettings());
+  }
+}
+
 /**
  * Play a song with the given filename and row data
  *
  * @param {string} filename - The filename of the song
  * @param {Object} row - The database row data
  * @param {string} song_id - The database ID of the song
+ * @param {Object} options - Playback options (see playSongFromId)
+ * @param {Object|null} [checkedRouting] - Output routing playSongFromId already
+ *   checked (getPlaybackOutputRouting); looked up when not given
+ * @returns {Promise<void>} Resolves once the song has started, or did not
  */
-function playSongWithFilename(filename, row, song_id, options = {}) {
+function playSongWithFilename(filename, row, song_id, options = {}, checkedRouting = null) {
   getDebugLog()?.info('Playing song', {
     module: 'audio-manager',
     function: 'playSongWithFilename',
@@ -234,7 +290,7 @@ function playSongWithFilename(filename, row, song_id, options = {}) {
         return result;
       });
   
-  musicDirectoryPromise
+  return musicDirectoryPromise
     .then((result) => {
       // Extract the actual value from the result object
       const musicDirectory =
@@ -242,7 +298,7 @@ function playSongWithFilename(filename, row, song_id, options = {}) {
 
       if (musicDirectory) {
 
-        resolveAudioSource({
+        return resolveAudioSource({
           musicDirectory,
           filename,
           pathAPI: securePath,
@@ -270,46 +326,82 @@ function playSongWithFilename(filename, row, song_id, options = {}) {
               return;
             }
             const sound_path = sourceResult.source;
+
+            const outputRouting = checkedRouting || await getPlaybackOutputRouting(sharedState);
+            if (outputRouting.blocked) {
+              getDebugLog()?.warn('Output device disconnected, not starting playback', {
+                module: 'audio-manager',
+                function: 'playSongWithFilename',
+                song_id: song_id,
+                deviceId: sharedState.get('audioOutputDevice')
+              });
+              showPlaybackBlocked({ title: row?.title || filename });
+              return;
+            }
             
             // Ensure E2E test mode/probe is initialized right before first playback
             if (window.electronTest?.isE2E) {
               createAndInstallProbe();
             }
 
-            const { trackVolume: trackVolume2, targetVolume: targetVolume2 } = calculatePlaybackVolume(
+            const {
+              trackVolume: trackVolume2,
+              normalizationGain,
+              targetVolume: targetVolume2
+            } = calculatePlaybackVolume(
               document.getElementById('volume')?.value,
-              row?.volume ?? 100
+              // A hotkey pad's own volume scales the song's
+              ((row?.volume ?? 100) * (options.volume ?? 100)) / 100,
+              {
+                targetLufs: sharedState.get('loudnessTargetLufs') ?? null,
+                loudnessLufs: row?.loudness_lufs ?? null,
+                truePeakDbtp: row?.true_peak_dbtp ?? null
+              }
             );
             sharedState.set('trackVolume', trackVolume2);
+            sharedState.set('normalizationGain', normalizationGain);
+            // A song started while the music is ducked starts ducked
+            const startVolume = getDuckedVolume(targetVolume2, sharedState.get('duckGain'));
             const crossfade = getCrossfadePolicy(options);
             const shouldCrossfade2 = crossfade.enabled;
             const crossfadeMs2 = crossfade.durationMs;
+            const trackFade = getTrackFade(row);
+            const fadeCurves = sharedState.get('fadeSettings') || normalizeFadeSettings();
+            const fadeInMs = shouldCrossfade2 ? 0 : getFadeInDuration(trackFade, fadeCurves.fadeInSeconds);
+            // Resuming after a pause does not fade in again
+            let started = false;
 
             // Handle outgoing sound for crossfade
             if (shouldCrossfade2) {
               prepareCrossfadeTransition({
                 sharedState,
                 durationMs: crossfadeMs2,
-                cancelAnimationFrame
+                cancelAnimationFrame,
+                curve: fadeCurves.crossfadeCurve
               });
             }
 
             let sound = createPlaybackSound({
               createHowl,
               source: sound_path,
-              volume: shouldCrossfade2 ? 0 : targetVolume2,
+              volume: shouldCrossfade2 || fadeInMs > 0 ? 0 : startVolume,
               muted:
                 document
                   .getElementById('mute_button')
                   ?.classList.contains('active') || false,
               debugLog: getDebugLog(),
               onPlay: function () {
+                notePlaybackStarted({ sound, songId: song_id, source: options.source });
+                const fadeIn = started ? null : { durationMs: fadeInMs, curve: fadeCurves.fadeInCurve };
+                started = true;
                 handlePlaybackStarted({
                   sound,
                   howlerContext: this,
                   crossfade: shouldCrossfade2,
-                  targetVolume: targetVolume2,
+                  targetVolume: startVolume,
                   durationMs: crossfadeMs2,
+                  curve: fadeCurves.crossfadeCurve,
+                  fadeIn,
                   sharedState,
                   requestAnimationFrame,
                   updateTimeTracker: howlerUtils.updateTimeTracker,
@@ -320,24 +412,68 @@ function playSongWithFilename(filename, row, song_id, options = {}) {
                     : null
                 });
               },
+              onPause: function () {
+                notePlaybackPaused({ sound });
+              },
               onEnd: function () {
                 handlePlaybackCompleted({
                   sound, songId: song_id, sharedState,
                   onSongEnded: song_ended,
-                  replaySong: playSongFromId,
-                  autoplayNext: autoplay_next
+                  replaySong: (id) => playSongFromId(id, { source: options.source }),
+                  autoplayNext: autoplay_next,
+                  replayLoopRegion
                 });
               },
             });
             
             sharedState.set('sound', sound);
+            sharedState.set('soundPad', options.pad ?? null);
             const trackBounds = getTrackBounds(row);
             sharedState.set('trackStartTime', trackBounds.startTime);
             sharedState.set('trackEndTime', trackBounds.endTime);
+            sharedState.set('trackMarkers', row?.markers || []);
+            const loopRegion = getLoopRegion(row);
+            sharedState.set('trackLoopRegion', loopRegion);
+            sharedState.set('trackFade', trackFade);
+            // Each song starts at its own tempo and pitch
+            sharedState.set('trackSpeed', getTrackSpeed(row));
+            renderPlaybackSpeed();
+            sharedState.set('loopRegionState', loopRegion ? 'holding' : null);
             sharedState.set('crossfadeTriggered', false);
+            const start = getPlaybackStartPosition(row, options.marker);
+            if (options.marker && !start.marker) {
+              getDebugLog()?.warn('Marker not found, playing from the start', {
+                module: 'audio-manager',
+                function: 'playSongWithFilename',
+                song_id: song_id,
+                marker: options.marker
+              });
+            }
+
+            // Always routed: pooled audio elements keep the last song's device
+            const routed = await routePlaybackSound(sound, outputRouting.deviceId);
+            if (!routed.success && outputRouting.deviceId) {
+              getDebugLog()?.warn('Could not route sound to the output device', {
+                module: 'audio-manager',
+                function: 'playSongWithFilename',
+                deviceId: outputRouting.deviceId,
+                error: routed.error
+              });
+            }
+
+            // Before playing, so a shifted song never starts in its own key
+            const shifted = await setPlaybackSoundSpeed(sound, sharedState.get('trackSpeed'));
+            if (!shifted.success) {
+              getDebugLog()?.warn('Could not shift the pitch', {
+                module: 'audio-manager',
+                function: 'playSongWithFilename',
+                song_id: song_id,
+                error: shifted.error
+              });
+            }
 
             // Start playback with audio context resume and validation
-            ensureAudioContextAndPlay(sound, song_id).then(playResult => {
+            const playback = ensureAudioContextAndPlay(sound, song_id).then(playResult => {
               if (playResult === undefined) {
                 getDebugLog()?.error('Playback failed to start', {
                   module: 'audio-manager',
@@ -345,8 +481,8 @@ function playSongWithFilename(filename, row, song_id, options = {}) {
                   song_id: song_id,
                   soundState: sound.state()
                 });
-              } else if (row?.start_time != null && row.start_time > 0) {
-                sound.seek(row.start_time);
+              } else if (start.position > 0) {
+                sound.seek(start.position);
               }
             }).catch(error => {
               getDebugLog()?.error('Error during playback start', {
@@ -366,7 +502,7 @@ function playSongWithFilename(filename, row, song_id, options = {}) {
             if (window.electronTest?.isE2E && !window.electronTest?.audioProbe) {
               createAndInstallProbe();
             }
-            
+            return playback;
           })
           .catch((error) => {
             getDebugLog()?.warn('Path join error', {
@@ -401,6 +537,12 @@ function playSongWithFilename(filename, row, song_id, options = {}) {
  * @param {Object} options - Playback options
  * @param {boolean} options.crossfade - Whether to crossfade from current track
  * @param {number} options.crossfadeSeconds - Crossfade duration in seconds
+ * @param {string} options.source - How playback was started, for play history:
+ *   'hotkey', 'holding_tank', 'search' or 'autoplay'
+ * @param {string} options.marker - Name of a marker to start at instead of the start trim
+ * @param {number} options.volume - Percent of the song's volume to play at (hotkey pad volume)
+ * @param {string} options.pad - The hotkey pad that started it, for pad behaviors (see hotkeys)
+ * @returns {Promise<void>} Resolves once the song has started, or did not
  */
 async function playSongFromId(song_id, options = {}) {
   getDebugLog()?.info('Playing song from ID', {
@@ -419,17 +561,9 @@ async function playSongFromId(song_id, options = {}) {
     return;
   }
 
-  // Cache crossfade preference for the time tracker to use synchronously
-  if (!options.crossfade) {
-    try {
-      const cfResult = await getPreference('crossfade_seconds', window.secureElectronAPI);
-      sharedState.set('crossfadeSeconds', parseCrossfadePreference(cfResult));
-    } catch (_e) {
-      sharedState.set('crossfadeSeconds', 0);
-    }
-  }
-
-  prepareForPlaybackReplacement({ sharedState, crossfade: options.crossfade });
+  // Preferences are cached at startup and after Preferences are saved, so
+  // a hotkey does not wait on IPC; this only loads them if that has not run
+  if (!sharedState.get('fadeSettings')) await refreshPlaybackPreferences();
 
   const song = await loadSongForPlayback(song_id, secureDatabase);
   if (!song.success) {
@@ -438,7 +572,40 @@ async function playSongFromId(song_id, options = {}) {
     });
     return;
   }
-  playSongWithFilename(song.filename, song.row, song_id, options);
+
+  // Sound effects play over the music on their own voices
+  if (song.row.sfx && moduleRegistry.soundEffects?.playSoundEffect) {
+    await moduleRegistry.soundEffects.playSoundEffect(song.row, { volume: options.volume, pad: options.pad });
+    return;
+  }
+
+  // Checked before the playing song is stopped: under the 'pause' fallback
+  // nothing starts while the output is unplugged, and the music carries on
+  const outputRouting = await getPlaybackOutputRouting(sharedState);
+  if (outputRouting.blocked) {
+    getDebugLog()?.warn('Output device disconnected, not starting playback', {
+      module: 'audio-manager',
+      function: 'playSongFromId',
+      song_id: song_id,
+      deviceId: sharedState.get('audioOutputDevice')
+    });
+    showPlaybackBlocked({ title: song.row.title || song.filename });
+    return;
+  }
+
+  // A crossfaded song keeps playing until the next one starts
+  if (!options.crossfade) finishPlayRecord();
+  prepareForPlaybackReplacement({ sharedState, crossfade: options.crossfade });
+
+  return playSongWithFilename(song.filename, song.row, song_id, options, outputRouting);
+}
+
+// The playlist entry after a song, passing over songs that are missing
+// from the library
+function nextPlaylistSong(element) {
+  let next = element.nextElementSibling;
+  while (next?.classList.contains('song-missing')) next = next.nextElementSibling;
+  return next;
 }
 
 /**
@@ -451,17 +618,22 @@ function playSelected() {
   });
 
   const song_id = getPlaybackSelectionSongId();
+  const source = getPlaybackSelectionSource();
+  if (document.getElementById('selected_row')?.classList.contains('song-missing')) {
+    getDebugLog()?.warn('Selected song is missing from the library', {
+      module: 'audio-manager',
+      function: 'playSelected',
+      songId: song_id
+    });
+    return;
+  }
 
   // Only clear the now_playing class if the selected row is from the search panel
   // (not from the holding tank/playlist)
-  {
-    const col = document.getElementById('holding-tank-column');
-    const sel = document.getElementById('selected_row');
-    if (!(col && sel && col.contains(sel))) {
-      document
-        .querySelectorAll('.now_playing')
-        .forEach((el) => el.classList.remove('now_playing'));
-    }
+  if (source !== 'holding_tank') {
+    document
+      .querySelectorAll('.now_playing')
+      .forEach((el) => el.classList.remove('now_playing'));
   }
 
   const holdingTankMode = sharedState.get('holdingTankMode');
@@ -471,13 +643,14 @@ function playSelected() {
   }
   // In playlist mode, autoplay is already set up by the double-click handler
 
-  playSongFromId(song_id);
+  playSongFromId(song_id, { source });
 }
 
 /**
  * Handle song end event
  */
 function song_ended() {
+  finishPlayRecord();
   resetUIState();
 }
 
@@ -492,13 +665,32 @@ function songEndedFromTrimPoint() {
   });
   const nowPlayingEl = document.getElementById('song_now_playing');
   const currentSongId = nowPlayingEl?.getAttribute('songid');
+  const source = getActivePlaySource();
   completeActivePlayback({
     songId: currentSongId,
     sharedState,
     onSongEnded: song_ended,
-    replaySong: playSongFromId,
-    autoplayNext: autoplay_next
+    replaySong: (id) => playSongFromId(id, { source }),
+    autoplayNext: autoplay_next,
+    replayLoopRegion
+  });
+}
+
+/**
+ * Go back to the start of the held loop region after the song stopped at
+ * the end of its file or its end trim.
+ */
+function replayLoopRegion() {
+  const sound = sharedState.get('sound');
+  const region = sharedState.get('trackLoopRegion');
+  if (!sound || !region) return;
+  getDebugLog()?.info('Looping back to the loop region start', {
+    module: 'audio-manager',
+    function: 'replayLoopRegion',
+    start: region.start
   });
+  sound.seek(region.start);
+  if (!sound.playing()) sound.play();
 }
 
 // Register on window so audio-utils.js can call it
@@ -527,7 +719,7 @@ function triggerEarlyCrossfade(remaining) {
     // Find the next song in the holding tank playlist
     const now_playing = document.querySelector('.now_playing');
     if (!now_playing) return;
-    const next_song = now_playing.nextElementSibling;
+    const next_song = nextPlaylistSong(now_playing);
     if (!next_song) return;
 
     const nextSongId = next_song.getAttribute('songid');
@@ -540,7 +732,7 @@ function triggerEarlyCrossfade(remaining) {
     next_song.classList.add('now_playing');
 
     // Play next song with crossfade
-    playSongFromId(nextSongId, { crossfade: true, crossfadeSeconds });
+    playSongFromId(nextSongId, { crossfade: true, crossfadeSeconds, source: 'autoplay' });
   } catch (_e) {
     getDebugLog()?.warn('Error in triggerEarlyCrossfade', {
       module: 'audio-manager',
@@ -578,7 +770,7 @@ async function autoplay_next() {
       });
 
       now_playing.classList.remove('now_playing');
-      next_song = now_playing.nextElementSibling;
+      next_song = nextPlaylistSong(now_playing);
     }
 
     if (next_song) {
@@ -602,7 +794,7 @@ async function autoplay_next() {
       // and target the wrong sibling while the new sound is still loading.
       next_song.classList.add('now_playing');
       window.secureElectronAPI?.analytics?.trackEvent?.('song_played', { trigger_method: 'playlist_autoplay' });
-      playSongFromId(next_song.getAttribute('songid'), crossfadeOpts);
+      playSongFromId(next_song.getAttribute('songid'), { ...crossfadeOpts, source: 'autoplay' });
     } else {
       getDebugLog()?.info('End of playlist reached', {
         module: 'audio-manager',
@@ -653,6 +845,7 @@ export {
   cancel_autoplay,
   initializeMusicDirectoryCache,
   updateMusicDirectoryCache,
+  refreshPlaybackPreferences,
 };
 
 // Default export for module loading
@@ -665,4 +858,5 @@ export default {
   cancel_autoplay,
   initializeMusicDirectoryCache,
   updateMusicDirectoryCache,
+  refreshPlaybackPreferences,
 };
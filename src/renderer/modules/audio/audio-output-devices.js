@@ -0,0 +1,97 @@
+/**
+ * Audio Output Devices
+ *
+ * Lists the sound cards and headphones Chromium can play to and routes an
+ * audio element to one of them with setSinkId, and lists the inputs that can
+ * be listened to. A device is saved by its deviceId; '' means the system
+ * default output (or no input).
+ */
+
+const DEFAULT_OUTPUT_DEVICE = '';
+
+async function listAudioDevices(kind, fallbackLabel, mediaDevices) {
+  if (typeof mediaDevices?.enumerateDevices !== 'function') return [];
+  const devices = await mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === kind && device.deviceId !== 'default' && device.deviceId !== 'communications')
+    .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `${fallbackLabel} ${index + 1}` }));
+}
+
+/**
+ * Audio outputs, without Chromium's 'default' and 'communications' aliases.
+ * @param {MediaDevices} [mediaDevices]
+ * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+ */
+function listAudioOutputDevices(mediaDevices = globalThis.navigator?.mediaDevices) {
+  return listAudioDevices('audiooutput', 'Audio output', mediaDevices);
+}
+
+/**
+ * Microphones and line inputs. Chromium leaves their labels empty until the
+ * app has been allowed to use one.
+ * @param {MediaDevices} [mediaDevices]
+ * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+ */
+function listAudioInputDevices(mediaDevices = globalThis.navigator?.mediaDevices) {
+  return listAudioDevices('audioinput', 'Audio input', mediaDevices);
+}
+
+/**
+ * Whether a saved device is currently connected. The system default always is.
+ * @param {string} deviceId
+ * @param {Array<{ deviceId: string }>} devices
+ * @returns {boolean}
+ */
+function isOutputDeviceAvailable(deviceId, devices) {
+  return !deviceId || devices.some(device => device.deviceId === deviceId);
+}
+
+/**
+ * Route an audio element to an output device.
+ * @param {HTMLMediaElement} element
+ * @param {string} deviceId - '' for the system default
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function applyOutputDevice(element, deviceId) {
+  if (typeof element?.setSinkId !== 'function') {
+    return { success: false, error: 'This audio player cannot change its output device' };
+  }
+  try {
+    await element.setSinkId(deviceId || DEFAULT_OUTPUT_DEVICE);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Fill a <select> with the devices. A saved device that is not connected
+ * stays selectable so opening Preferences does not lose it.
+ * @param {HTMLSelectElement} select
+ * @param {Array<{ deviceId: string, label: string }>} devices
+ * @param {string} selectedId
+ * @param {string} [defaultLabel]
+ */
+function renderOutputDeviceOptions(select, devices, selectedId, defaultLabel = 'System default') {
+  if (!select) return;
+  const options = [{ deviceId: DEFAULT_OUTPUT_DEVICE, label: defaultLabel }, ...devices];
+  if (!isOutputDeviceAvailable(selectedId, devices)) {
+    options.push({ deviceId: selectedId, label: 'Saved device (not connected)' });
+  }
+  select.replaceChildren(...options.map(({ deviceId, label }) => {
+    const option = document.createElement('option');
+    option.value = deviceId;
+    option.textContent = label;
+    return option;
+  }));
+  select.value = selectedId || DEFAULT_OUTPUT_DEVICE;
+}
+
+export {
+  DEFAULT_OUTPUT_DEVICE,
+  listAudioOutputDevices,
+  listAudioInputDevices,
+  isOutputDeviceAvailable,
+  applyOutputDevice,
+  renderOutputDeviceOptions
+};
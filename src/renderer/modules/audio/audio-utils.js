@@ -7,6 +7,8 @@
 
 // Import shared state
 import sharedState from '../shared-state.js';
+import { applyLoopRegionStep } from './loop-region-timer.js';
+import { toPlaybackSeconds } from './playback-speed.js';
 
 /**
  * Howler.js utility functions for audio operations
@@ -68,6 +70,15 @@ export const howlerUtils = {
       return;
     }
 
+    // Loop region: back to its start while held, on to the outro once
+    // released. Its own timer usually gets there first (loop-region-timer)
+    if (applyLoopRegionStep(sound)) {
+      sharedState.set('globalAnimation', requestAnimationFrame(
+        howlerUtils.updateTimeTracker.bind(howlerUtils)
+      ));
+      return;
+    }
+
     // End-point detection: stop playback when reaching the end trim point
     const endTime = sharedState.get('trackEndTime');
     if (endTime != null && seek >= endTime) {
@@ -79,13 +90,16 @@ export const howlerUtils = {
       return;
     }
 
-    // Calculate progress relative to trimmed range
+    // Calculate progress relative to trimmed range. Positions are in the
+    // song's own seconds; the times shown are how long they take at the
+    // current tempo
     const startTime = sharedState.get('trackStartTime') ?? 0;
+    const rate = sharedState.get('trackSpeed')?.rate ?? 1;
     const effectiveEnd = endTime ?? totalDuration;
     const effectiveDuration = effectiveEnd - startTime;
     const effectiveSeek = seek - startTime;
-    const remaining = effectiveEnd - seek;
-    const currentTime = howlerUtils.formatTime(Math.round(Math.max(0, effectiveSeek)));
+    const remaining = toPlaybackSeconds(effectiveEnd - seek, rate);
+    const currentTime = howlerUtils.formatTime(Math.round(Math.max(0, toPlaybackSeconds(effectiveSeek, rate))));
     const remainingTime = howlerUtils.formatTime(Math.round(Math.max(0, remaining)));
     const percent_elapsed = effectiveDuration > 0 ? (effectiveSeek / effectiveDuration) : 0;
     const progressBar = document.getElementById('audio_progress');
@@ -100,8 +114,9 @@ export const howlerUtils = {
     if (timer) timer.textContent = currentTime;
     if (duration) duration.textContent = `-${remainingTime}`;
 
-    // Early crossfade trigger: start next track before current one ends
-    if (!sharedState.get('crossfadeTriggered') && remaining > 0) {
+    // Early crossfade trigger: start next track before current one ends,
+    // unless a held loop region keeps it going
+    if (!sharedState.get('crossfadeTriggered') && remaining > 0 && sharedState.get('loopRegionState') !== 'holding') {
       const autoplay = sharedState.get('autoplay');
       const holdingTankMode = sharedState.get('holdingTankMode');
       if (autoplay && holdingTankMode === 'playlist' && typeof window.triggerEarlyCrossfade === 'function') {
@@ -1,6 +1,10 @@
-function prepareCrossfadeTransition({ sharedState, durationMs, cancelAnimationFrame }) {
+import { fadePlaybackSound } from './playback-sound-factory.js';
+
+function prepareCrossfadeTransition({ sharedState, durationMs, cancelAnimationFrame, curve = 'linear' }) {
   const outgoingSound = sharedState.get('sound');
-  if (outgoingSound?.playing()) {
+  // A hard stop song leaves at once; the next one still fades in
+  const hardStop = !!sharedState.get('trackFade')?.hardStop;
+  if (outgoingSound?.playing() && !hardStop) {
     sharedState.set('outgoingSound', outgoingSound);
     outgoingSound.off('fade');
     outgoingSound.on('fade', () => {
@@ -9,7 +13,7 @@ function prepareCrossfadeTransition({ sharedState, durationMs, cancelAnimationFr
         sharedState.set('outgoingSound', null);
       }
     });
-    outgoingSound.fade(outgoingSound.volume(), 0, durationMs);
+    fadePlaybackSound(outgoingSound, outgoingSound.volume(), 0, durationMs, curve);
   } else if (outgoingSound) {
     outgoingSound.unload();
   }
@@ -19,9 +23,9 @@ function prepareCrossfadeTransition({ sharedState, durationMs, cancelAnimationFr
   return outgoingSound || null;
 }
 
-function startCrossfadeIn({ sound, targetVolume, durationMs }) {
+function startCrossfadeIn({ sound, targetVolume, durationMs, curve = 'linear' }) {
   if (durationMs <= 0) return false;
-  sound.fade(0, targetVolume, durationMs);
+  fadePlaybackSound(sound, 0, targetVolume, durationMs, curve);
   return true;
 }
 
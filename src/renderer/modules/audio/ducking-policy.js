@@ -0,0 +1,87 @@
+// Ducking lowers the music by a depth in dB while something is talking over
+// it. The duck level is the attenuation in dB: 0 is no ducking.
+const DUCKING_DEFAULTS = Object.freeze({
+  depthDb: 12,
+  attackMs: 150,
+  releaseMs: 800,
+  onSfx: true,
+  micDevice: '',
+  micThresholdDb: -40
+});
+// Profile preferences read by normalizeDuckingSettings
+const DUCKING_PREFERENCES = [
+  'duck_depth_db', 'duck_attack_ms', 'duck_release_ms', 'duck_on_sfx', 'duck_mic_device', 'duck_mic_threshold_db'
+];
+const DUCK_DEPTH_RANGE = [1, 40];
+const DUCK_ATTACK_RANGE = [0, 5000];
+const DUCK_RELEASE_RANGE = [0, 10000];
+const MIC_THRESHOLD_RANGE = [-80, -10];
+// Below this an RMS level counts as silence
+const LEVEL_FLOOR_DB = -100;
+
+function clampNumber(value, [min, max], fallback) {
+  const number = Number.parseFloat(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Ducking settings from the profile preferences, with defaults for missing
+ * or out-of-range values.
+ * @param {Object} [preferences] - duck_* preference values
+ * @returns {{ depthDb: number, attackMs: number, releaseMs: number, onSfx: boolean, micDevice: string, micThresholdDb: number }}
+ */
+function normalizeDuckingSettings(preferences = {}) {
+  return {
+    depthDb: clampNumber(preferences.duck_depth_db, DUCK_DEPTH_RANGE, DUCKING_DEFAULTS.depthDb),
+    attackMs: Math.round(clampNumber(preferences.duck_attack_ms, DUCK_ATTACK_RANGE, DUCKING_DEFAULTS.attackMs)),
+    releaseMs: Math.round(clampNumber(preferences.duck_release_ms, DUCK_RELEASE_RANGE, DUCKING_DEFAULTS.releaseMs)),
+    onSfx: preferences.duck_on_sfx !== false,
+    micDevice: preferences.duck_mic_device ? String(preferences.duck_mic_device) : '',
+    micThresholdDb: clampNumber(preferences.duck_mic_threshold_db, MIC_THRESHOLD_RANGE, DUCKING_DEFAULTS.micThresholdDb)
+  };
+}
+
+function dbToGain(db) {
+  return 10 ** (db / 20);
+}
+
+// The level moves in dB, so a duck sounds even all the way down: the full
+// depth takes the attack time going down and the release time coming back
+function stepDuckLevel(currentDb, targetDb, elapsedMs, { depthDb, attackMs, releaseMs }) {
+  if (currentDb === targetDb) return targetDb;
+  const attacking = targetDb > currentDb;
+  const rampMs = attacking ? attackMs : releaseMs;
+  if (rampMs <= 0) return targetDb;
+  const step = (depthDb * Math.max(0, elapsedMs)) / rampMs;
+  return attacking ? Math.min(targetDb, currentDb + step) : Math.max(targetDb, currentDb - step);
+}
+
+// Volume for the main track with the duck applied; an audio element plays at
+// most volume 1
+function getDuckedVolume(volume, duckGain = 1) {
+  return Math.min(1, volume * (duckGain ?? 1));
+}
+
+/**
+ * RMS level of a block of samples in dBFS.
+ * @param {Float32Array|Array<number>} samples
+ * @returns {number}
+ */
+function measureLevelDb(samples) {
+  if (!samples?.length) return LEVEL_FLOOR_DB;
+  let sum = 0;
+  for (const sample of samples) sum += sample * sample;
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? Math.max(LEVEL_FLOOR_DB, 20 * Math.log10(rms)) : LEVEL_FLOOR_DB;
+}
+
+export {
+  DUCKING_DEFAULTS,
+  DUCKING_PREFERENCES,
+  normalizeDuckingSettings,
+  dbToGain,
+  stepDuckLevel,
+  getDuckedVolume,
+  measureLevelDb
+};
@@ -0,0 +1,108 @@
+// Fade curves for fade-out, crossfade and fade-in. Howler only fades in a
+// straight line, which sounds like it drops off late and then all at once.
+const FADE_CURVES = ['linear', 'exponential', 'equal-power'];
+const DEFAULT_FADE_CURVE = 'linear';
+// Profile preferences read by normalizeFadeSettings
+const FADE_PREFERENCES = ['fade_in_seconds', 'fade_out_curve', 'crossfade_curve', 'fade_in_curve'];
+const MAX_FADE_IN_SECONDS = 60;
+// The exponential curve moves evenly in dB across this range
+const EXPONENTIAL_RANGE_DB = 60;
+
+function normalizeFadeCurve(value) {
+  return FADE_CURVES.includes(value) ? value : DEFAULT_FADE_CURVE;
+}
+
+/**
+ * Fade settings from the profile preferences, with defaults for missing or
+ * unknown values.
+ * @param {Object} [preferences] - fade_in_seconds and the *_curve preference values
+ * @returns {{ fadeInSeconds: number, fadeOutCurve: string, crossfadeCurve: string, fadeInCurve: string }}
+ */
+function normalizeFadeSettings(preferences = {}) {
+  const fadeIn = Number.parseFloat(preferences.fade_in_seconds);
+  return {
+    fadeInSeconds: Number.isFinite(fadeIn) ? Math.min(MAX_FADE_IN_SECONDS, Math.max(0, fadeIn)) : 0,
+    fadeOutCurve: normalizeFadeCurve(preferences.fade_out_curve),
+    crossfadeCurve: normalizeFadeCurve(preferences.crossfade_curve),
+    fadeInCurve: normalizeFadeCurve(preferences.fade_in_curve)
+  };
+}
+
+// How far up a fade-in is (0 to 1) at a point through it (0 to 1). A fade
+// going down runs the same curve backwards, so both sound alike.
+function getFadeInGain(curve, progress) {
+  const p = Math.min(1, Math.max(0, progress));
+  switch (curve) {
+    case 'exponential': {
+      // Even steps in dB, from EXPONENTIAL_RANGE_DB below up to full
+      const floor = 10 ** (-EXPONENTIAL_RANGE_DB / 20);
+      return (10 ** ((EXPONENTIAL_RANGE_DB * (p - 1)) / 20) - floor) / (1 - floor);
+    }
+    case 'equal-power':
+      // An S-curve whose fade-in and fade-out powers add up to 1, so a
+      // crossfade does not dip in the middle
+      return Math.sin((Math.PI / 4) * (1 - Math.cos(Math.PI * p)));
+    default:
+      return p;
+  }
+}
+
+/**
+ * Volume at a point through a fade.
+ * @param {number} from - Starting volume
+ * @param {number} to - Ending volume
+ * @param {number} progress - 0 to 1
+ * @param {string} curve - One of FADE_CURVES
+ * @returns {number}
+ */
+function getFadeVolume(from, to, progress, curve) {
+  if (to >= from) return from + (to - from) * getFadeInGain(curve, progress);
+  return to + (from - to) * getFadeInGain(curve, 1 - progress);
+}
+
+// The playing song's fades: its own fade times where it has them, otherwise
+// the profile's. A hard stop song never fades out.
+function getTrackFade(row = {}) {
+  const seconds = value => (value === null || value === undefined || value === '' ? null : Number(value));
+  return {
+    fadeInSeconds: seconds(row?.fade_in_seconds),
+    fadeOutSeconds: seconds(row?.fade_out_seconds),
+    hardStop: !!row?.hard_stop
+  };
+}
+
+/**
+ * How long the playing song takes to fade out.
+ * @param {{ fadeOutSeconds: number|null, hardStop: boolean }|null} trackFade - See getTrackFade
+ * @param {number|string} profileSeconds - fade_out_seconds
+ * @returns {number} milliseconds; 0 stops at once
+ */
+function getFadeOutDuration(trackFade, profileSeconds) {
+  if (trackFade?.hardStop) return 0;
+  const seconds = trackFade?.fadeOutSeconds ?? Number.parseFloat(profileSeconds);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * How long a song fades in when it starts, unless it crossfades in.
+ * @param {{ fadeInSeconds: number|null }|null} trackFade - See getTrackFade
+ * @param {number} profileSeconds - fadeInSeconds from normalizeFadeSettings
+ * @returns {number} milliseconds; 0 starts at full volume
+ */
+function getFadeInDuration(trackFade, profileSeconds) {
+  const seconds = trackFade?.fadeInSeconds ?? profileSeconds;
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+export {
+  FADE_CURVES,
+  DEFAULT_FADE_CURVE,
+  FADE_PREFERENCES,
+  normalizeFadeCurve,
+  normalizeFadeSettings,
+  getFadeInGain,
+  getFadeVolume,
+  getTrackFade,
+  getFadeOutDuration,
+  getFadeInDuration
+};
@@ -10,6 +10,7 @@ import * as audioManager from './audio-manager.js';
 import * as audioController from './audio-controller.js';
 import { enableTestModeCSP } from './audio-utils.js';
 import { installAudioProbe, createTestOscillator } from './audio-probe.js';
+import { initializeLoopRegionTimer } from './loop-region-timer.js';
 
 // Import debug logger
 let debugLog = null;
@@ -37,6 +38,7 @@ class AudioModule {
     this.cancel_autoplay = audioManager.cancel_autoplay;
     this.initializeMusicDirectoryCache = audioManager.initializeMusicDirectoryCache;
     this.updateMusicDirectoryCache = audioManager.updateMusicDirectoryCache;
+    this.refreshPlaybackPreferences = audioManager.refreshPlaybackPreferences;
     
     // Initialize audio controller functions
     this.stopPlaying = audioController.stopPlaying;
@@ -44,10 +46,17 @@ class AudioModule {
     this.resetUIState = audioController.resetUIState;
     this.toggle_play_button = audioController.toggle_play_button;
     this.loop_on = audioController.loop_on;
+    this.setPlaybackSpeed = audioController.setPlaybackSpeed;
+    this.nudgePlaybackTempo = audioController.nudgePlaybackTempo;
+    this.nudgePlaybackPitch = audioController.nudgePlaybackPitch;
+    this.resetPlaybackSpeed = audioController.resetPlaybackSpeed;
     
     // Initialize audio utilities
     // this.howlerUtils = audioUtils.howlerUtils; // Function not implemented yet
     
+    // Unsubscribes the loop region timer; set by init
+    this.stopLoopRegionTimer = null;
+
     // Test mode audio components
     this.testOscillator = null;
     this.audioProbe = null;
@@ -70,9 +79,12 @@ class AudioModule {
 
       // Initialize audio functionality
       this.setupAudioModule();
+      if (!this.stopLoopRegionTimer) this.stopLoopRegionTimer = initializeLoopRegionTimer();
       
       // Initialize music directory cache to reduce IPC overhead
       await this.initializeMusicDirectoryCache();
+      // Playback preferences too, so playing a song does not wait on IPC
+      await this.refreshPlaybackPreferences();
       
       // Intentional: enableTestModeCSP only exists in E2E test builds; safe to ignore if absent
       try { enableTestModeCSP(); } catch (_) { /* optional E2E helper, safe to ignore */ }
@@ -251,6 +263,10 @@ class AudioModule {
       resetUIState: this.resetUIState,
       toggle_play_button: this.toggle_play_button,
       loop_on: this.loop_on,
+      setPlaybackSpeed: this.setPlaybackSpeed,
+      nudgePlaybackTempo: this.nudgePlaybackTempo,
+      nudgePlaybackPitch: this.nudgePlaybackPitch,
+      resetPlaybackSpeed: this.resetPlaybackSpeed,
       
       // Audio utilities
       // howlerUtils: this.howlerUtils // Function not implemented yet
@@ -385,8 +401,13 @@ export const pausePlaying = audioModule.pausePlaying.bind(audioModule);
 export const resetUIState = audioModule.resetUIState.bind(audioModule);
 export const toggle_play_button = audioModule.toggle_play_button.bind(audioModule);
 export const loop_on = audioModule.loop_on.bind(audioModule);
+export const setPlaybackSpeed = audioModule.setPlaybackSpeed.bind(audioModule);
+export const nudgePlaybackTempo = audioModule.nudgePlaybackTempo.bind(audioModule);
+export const nudgePlaybackPitch = audioModule.nudgePlaybackPitch.bind(audioModule);
+export const resetPlaybackSpeed = audioModule.resetPlaybackSpeed.bind(audioModule);
 export const initializeMusicDirectoryCache = audioModule.initializeMusicDirectoryCache.bind(audioModule);
 export const updateMusicDirectoryCache = audioModule.updateMusicDirectoryCache.bind(audioModule);
+export const refreshPlaybackPreferences = audioModule.refreshPlaybackPreferences.bind(audioModule);
 
 // Default export for module loading
 export default audioModule;
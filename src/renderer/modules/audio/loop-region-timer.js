@@ -0,0 +1,118 @@
+/**
+ * Loop Region Timer
+ *
+ * Loops the playing song's held loop region (playback-policy
+ * getLoopRegionStep). The time tracker runs once a frame and stops while the
+ * window is hidden or minimised, so the loop runs on its own timer: it
+ * sleeps until the loop end is due at the current tempo and jumps back
+ * then, a few milliseconds from the end rather than up to a frame past it.
+ * Chromium keeps the timers of a page that is playing audio running at full
+ * rate in the background. The time tracker applies the same step when it
+ * gets there first.
+ */
+
+import sharedState from '../shared-state.js';
+import {
+  OUTRO_MARKER_NAME,
+  findMarker,
+  getLoopRegionStateAfterSeek,
+  getLoopRegionStep
+} from './playback-policy.js';
+
+// Longest sleep, so seeks, tempo changes and pauses are picked up
+const MAX_WAIT_MS = 250;
+
+let timer = null;
+
+function isApplying(state) {
+  return state === 'holding' || state === 'releasing';
+}
+
+/**
+ * Loop back, or leave the region for the outro, when the sound has reached
+ * the loop end.
+ * @param {Object} sound - The playing Howl
+ * @returns {boolean} whether the sound was moved
+ */
+function applyLoopRegionStep(sound) {
+  const state = sharedState.get('loopRegionState');
+  const step = getLoopRegionStep({
+    position: Number(sound.seek()) || 0,
+    region: sharedState.get('trackLoopRegion'),
+    state,
+    outroPosition: findMarker(sharedState.get('trackMarkers'), OUTRO_MARKER_NAME)?.position ?? null
+  });
+  if (!step) return false;
+  if (step.state !== state) sharedState.set('loopRegionState', step.state);
+  if (step.seekTo === null) return false;
+  sound.seek(step.seekTo);
+  return true;
+}
+
+// Milliseconds until the sound reaches the loop end at its current tempo
+function getWaitMs(sound, region) {
+  if (!sound.playing()) return MAX_WAIT_MS;
+  const rate = sharedState.get('trackSpeed')?.rate ?? 1;
+  const untilEnd = ((region.end - (Number(sound.seek()) || 0)) / rate) * 1000;
+  return untilEnd < 0 ? MAX_WAIT_MS : Math.min(untilEnd, MAX_WAIT_MS);
+}
+
+function checkLoopRegion() {
+  timer = null;
+  const sound = sharedState.get('sound');
+  const region = sharedState.get('trackLoopRegion');
+  if (!sound || !region || !isApplying(sharedState.get('loopRegionState'))) return;
+  if (sound.playing()) applyLoopRegionStep(sound);
+  if (!isApplying(sharedState.get('loopRegionState'))) return;
+  timer = setTimeout(checkLoopRegion, getWaitMs(sound, region));
+}
+
+/**
+ * Run the timer while a loop region applies. Called again by the
+ * loopRegionState subscription whenever the state changes.
+ */
+function startLoopRegionTimer() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  checkLoopRegion();
+}
+
+function stopLoopRegionTimer() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * Release the loop region when the operator seeked past its end.
+ * @param {number} position - Position seeked to, in seconds
+ */
+function releaseLoopRegionPast(position) {
+  const state = sharedState.get('loopRegionState');
+  const next = getLoopRegionStateAfterSeek({ position, region: sharedState.get('trackLoopRegion'), state });
+  if (next !== state) sharedState.set('loopRegionState', next);
+}
+
+/**
+ * Follow loopRegionState: the timer runs while a region is held or
+ * releasing.
+ * @returns {Function} Unsubscribe
+ */
+function initializeLoopRegionTimer() {
+  const unsubscribe = sharedState.subscribe('loopRegionState', (state) => {
+    if (isApplying(state)) startLoopRegionTimer();
+    else stopLoopRegionTimer();
+  });
+  if (isApplying(sharedState.get('loopRegionState'))) startLoopRegionTimer();
+  return () => {
+    unsubscribe();
+    stopLoopRegionTimer();
+  };
+}
+
+export {
+  applyLoopRegionStep,
+  initializeLoopRegionTimer,
+  releaseLoopRegionPast,
+  startLoopRegionTimer,
+  stopLoopRegionTimer
+};
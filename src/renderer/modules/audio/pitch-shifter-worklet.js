@@ -0,0 +1,76 @@
+/* global AudioWorkletProcessor, registerProcessor, sampleRate */
+/**
+ * Pitch Shifter Worklet
+ *
+ * Runs in the AudioWorklet scope, loaded by pitch-shifter.js. Shifts the
+ * pitch without changing the tempo: two read heads run through a short delay
+ * line at the pitch ratio, each fading in and out over its window, half a
+ * window apart so one is always at full level while the other jumps back.
+ * At a ratio of 1 the sound passes straight through.
+ */
+
+// Long enough for bass notes, short enough not to smear speech
+const WINDOW_SECONDS = 0.06;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.5, maxValue: 2, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.windowLength = Math.round(sampleRate * WINDOW_SECONDS);
+    this.bufferLength = this.windowLength * 2;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  readAt(buffer, position) {
+    const index = (position + this.bufferLength) % this.bufferLength;
+    const whole = Math.floor(index);
+    const fraction = index - whole;
+    return buffer[whole] * (1 - fraction) + buffer[(whole + 1) % this.bufferLength] * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.pitchRatio[0];
+    if (!input?.length) return true;
+
+    if (ratio === 1) {
+      output.forEach((channel, index) => channel.set(input[Math.min(index, input.length - 1)]));
+      return true;
+    }
+
+    while (this.buffers.length < output.length) this.buffers.push(new Float32Array(this.bufferLength));
+    const frames = output[0].length;
+    // The delay shrinks (or grows) by 1 - ratio samples per sample, so each
+    // head reads at the pitch ratio
+    const phaseStep = (1 - ratio) / this.windowLength;
+
+    for (let frame = 0; frame < frames; frame++) {
+      const headA = this.phase;
+      const headB = (this.phase + 0.5) % 1;
+      // sin² and cos² windows add up to 1 between the two heads
+      const gainA = Math.sin(Math.PI * headA) ** 2;
+      const gainB = 1 - gainA;
+
+      for (let channel = 0; channel < output.length; channel++) {
+        const buffer = this.buffers[channel];
+        buffer[this.writeIndex] = input[Math.min(channel, input.length - 1)][frame];
+        output[channel][frame] =
+          this.readAt(buffer, this.writeIndex - 1 - headA * this.windowLength) * gainA +
+          this.readAt(buffer, this.writeIndex - 1 - headB * this.windowLength) * gainB;
+      }
+
+      this.writeIndex = (this.writeIndex + 1) % this.bufferLength;
+      this.phase = (this.phase + phaseStep) % 1;
+      if (this.phase < 0) this.phase += 1;
+    }
+    return true;
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
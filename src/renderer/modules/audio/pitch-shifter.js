@@ -0,0 +1,90 @@
+/**
+ * Pitch Shifter
+ *
+ * Shifts the key of an html5 Howl without changing its tempo (the tempo is
+ * the element's own playback rate). An audio element is captured the first
+ * time it needs shifting: it then plays through an AudioContext of its own,
+ * with the pitch-shifter worklet in between, and that context takes over
+ * the element's output device. A captured element cannot be released, so
+ * Howler's pool hands it on to later sounds; it passes them through
+ * unshifted unless they ask for a shift.
+ */
+
+import { getPitchRatio } from './playback-speed.js';
+
+const WORKLET_URL = new URL('./pitch-shifter-worklet.js', import.meta.url);
+// Captured elements, by element: a promise of { context, node, src }
+const chains = new WeakMap();
+
+function setChainRatio(chain, ratio) {
+  chain.node.parameters.get('pitchRatio').setValueAtTime(ratio, chain.context.currentTime);
+}
+
+async function createChain(element) {
+  const context = new AudioContext();
+  await context.audioWorklet.addModule(WORKLET_URL);
+  const node = new AudioWorkletNode(context, 'pitch-shifter', { outputChannelCount: [2] });
+  context.createMediaElementSource(element).connect(node).connect(context.destination);
+  // The element no longer plays on its own device, so the context must
+  if (element.sinkId) await context.setSinkId(element.sinkId);
+  const chain = { context, node, src: element.src };
+  // A released element goes back to the pool (its source is cleared), and
+  // the next sound gets it unshifted
+  element.addEventListener('emptied', () => {
+    if (element.src !== chain.src) setChainRatio(chain, 1);
+  });
+  return chain;
+}
+
+function getChain(element) {
+  if (!chains.has(element)) {
+    const chain = createChain(element);
+    chains.set(element, chain);
+    // A failed capture can be tried again
+    chain.catch(() => chains.delete(element));
+  }
+  return chains.get(element);
+}
+
+/**
+ * The AudioContext a captured element plays through, for routing it to an
+ * output device.
+ * @param {HTMLMediaElement} element
+ * @returns {Promise<AudioContext|null>} null when the element plays on its own
+ */
+async function getPitchShiftOutput(element) {
+  if (!chains.has(element)) return null;
+  try {
+    return (await chains.get(element)).context;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Shift a sound's pitch by whole semitones; 0 removes the shift.
+ * @param {Object} sound - Howl
+ * @param {number} semitones
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function applyPitchShift(sound, semitones) {
+  const ratio = getPitchRatio(semitones);
+  if (!sound?._html5) {
+    return ratio === 1 ? { success: true } : { success: false, error: 'Only html5 sounds can change pitch' };
+  }
+  const elements = (sound._sounds || []).map(entry => entry._node).filter(Boolean);
+  try {
+    await Promise.all(elements.map(async element => {
+      if (ratio === 1 && !chains.has(element)) return;
+      const chain = await getChain(element);
+      chain.src = element.src;
+      setChainRatio(chain, ratio);
+      if (chain.context.state === 'suspended') await chain.context.resume();
+    }));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export { applyPitchShift, getPitchShiftOutput };
@@ -0,0 +1,113 @@
+/**
+ * Play History Recorder
+ *
+ * Tracks the song that is currently audible and records it in the play
+ * history once it stops: at its end, on Stop, or when another song replaces
+ * it. Seconds played count only time spent playing, not paused.
+ */
+
+import { secureDatabase } from '../adapters/secure-adapter.js';
+
+const PLAY_SOURCES = ['hotkey', 'holding_tank', 'search', 'autoplay'];
+
+let activePlay = null;
+
+function getDebugLog() {
+  return window.debugLog || null;
+}
+
+function playedMilliseconds(play, now) {
+  const running = play.resumedAt == null ? 0 : Math.max(0, now - play.resumedAt);
+  return play.playedMs + running;
+}
+
+async function sendPlay(play, recordPlay) {
+  try {
+    const result = await recordPlay(play);
+    if (!result?.success) {
+      getDebugLog()?.warn('Play was not recorded', {
+        module: 'play-history-recorder', function: 'sendPlay', songId: play.songId, error: result?.error
+      });
+    }
+  } catch (error) {
+    getDebugLog()?.warn('Play was not recorded', {
+      module: 'play-history-recorder', function: 'sendPlay', songId: play.songId, error: error.message
+    });
+  }
+}
+
+/**
+ * Finish the active play and send it to the play history.
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()]
+ * @param {Function} [options.recordPlay] - Defaults to secureDatabase.recordPlay
+ * @returns {Object|null} the recorded play, or null when nothing was playing
+ */
+function finishPlayRecord({ now = Date.now(), recordPlay = secureDatabase.recordPlay } = {}) {
+  if (!activePlay) return null;
+  const play = {
+    songId: activePlay.songId,
+    source: activePlay.source,
+    secondsPlayed: Math.round(playedMilliseconds(activePlay, now) / 100) / 10,
+    playedAt: Math.floor(activePlay.startedAt / 1000)
+  };
+  activePlay = null;
+  sendPlay(play, recordPlay);
+  return play;
+}
+
+/**
+ * Called from a sound's onplay. The first play of a sound starts a new
+ * record (finishing the previous one); later plays resume after a pause.
+ * @param {Object} options
+ * @param {Object} options.sound - Howl instance
+ * @param {string|number} options.songId
+ * @param {string|null} options.source - hotkey, holding_tank, search or autoplay; plays without one are not recorded
+ * @param {number} [options.now=Date.now()]
+ * @param {Function} [options.recordPlay]
+ * @returns {Object|null} the active play
+ */
+function notePlaybackStarted({ sound, songId, source, now = Date.now(), recordPlay }) {
+  if (activePlay && activePlay.sound === sound) {
+    if (activePlay.resumedAt == null) activePlay.resumedAt = now;
+    return activePlay;
+  }
+  finishPlayRecord({ now, recordPlay });
+  if (!songId || !PLAY_SOURCES.includes(source)) return null;
+  activePlay = { sound, songId, source, startedAt: now, playedMs: 0, resumedAt: now };
+  return activePlay;
+}
+
+/**
+ * Called from a sound's onpause.
+ * @param {Object} options
+ * @param {Object} options.sound - Howl instance
+ * @param {number} [options.now=Date.now()]
+ */
+function notePlaybackPaused({ sound, now = Date.now() }) {
+  if (!activePlay || activePlay.sound !== sound || activePlay.resumedAt == null) return;
+  activePlay.playedMs = playedMilliseconds(activePlay, now);
+  activePlay.resumedAt = null;
+}
+
+/**
+ * @returns {string|null} how the active play was started
+ */
+function getActivePlaySource() {
+  return activePlay?.source ?? null;
+}
+
+export {
+  PLAY_SOURCES,
+  notePlaybackStarted,
+  notePlaybackPaused,
+  finishPlayRecord,
+  getActivePlaySource
+};
+
+export default {
+  notePlaybackStarted,
+  notePlaybackPaused,
+  finishPlayRecord,
+  getActivePlaySource
+};
@@ -1,20 +1,26 @@
 import { determinePlaybackCompletionAction } from './playback-policy.js';
 
-function handlePlaybackCompleted({ sound, songId, sharedState, onSongEnded, replaySong, autoplayNext }) {
+function handlePlaybackCompleted({ sound, songId, sharedState, onSongEnded, replaySong, autoplayNext, replayLoopRegion }) {
   if (sharedState.get('sound') !== sound) {
     sound.unload();
     return 'stale';
   }
-  return completeActivePlayback({ songId, sharedState, onSongEnded, replaySong, autoplayNext });
+  return completeActivePlayback({ songId, sharedState, onSongEnded, replaySong, autoplayNext, replayLoopRegion });
 }
 
-function completeActivePlayback({ songId, sharedState, onSongEnded, replaySong, autoplayNext }) {
-  onSongEnded();
+function completeActivePlayback({ songId, sharedState, onSongEnded, replaySong, autoplayNext, replayLoopRegion }) {
   const action = determinePlaybackCompletionAction({
     loop: sharedState.get('loop'),
     autoplay: sharedState.get('autoplay'),
-    holdingTankMode: sharedState.get('holdingTankMode')
+    holdingTankMode: sharedState.get('holdingTankMode'),
+    loopRegionHeld: !!sharedState.get('trackLoopRegion') && sharedState.get('loopRegionState') === 'holding'
   });
+  // The file ended inside a held loop region: go round again, still playing
+  if (action === 'loop_region') {
+    replayLoopRegion?.();
+    return action;
+  }
+  onSongEnded();
   if (action === 'loop' && songId) replaySong(songId);
   if (action === 'autoplay') autoplayNext();
   return action;
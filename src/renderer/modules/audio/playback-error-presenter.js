@@ -1,3 +1,5 @@
+import { showDropToast } from '../utils/toast-utils.js';
+
 function showMissingAudioFile({ title, filename, documentTarget = document }) {
   const nowPlaying = documentTarget.getElementById('song_now_playing');
   if (!nowPlaying) return false;
@@ -12,5 +14,11 @@ function showMissingAudioFile({ title, filename, documentTarget = document }) {
   return true;
 }
 
-export { showMissingAudioFile };
+// The now playing bar still shows the song that keeps playing, so this is
+// a toast; the player panel's output warning says what to plug back in
+function showPlaybackBlocked({ title, showToast = showDropToast }) {
+  showToast(`Not playing "${title}": the audio output is disconnected.`, 5000);
+}
+
+export { showMissingAudioFile, showPlaybackBlocked };
 export default showMissingAudioFile;
@@ -1,7 +1,57 @@
-function calculatePlaybackVolume(masterVolumePercent, trackVolumePercent = 100) {
+const DEFAULT_LOUDNESS_TARGET_LUFS = -16;
+const LOUDNESS_TARGET_RANGE = [-40, -5];
+// Boosts stop short of this true peak so normalized songs do not clip
+const NORMALIZATION_PEAK_CEILING_DBTP = -1;
+
+// Gain toward the target loudness; unmeasured songs and normalization off
+// (no target) play unchanged
+function calculateNormalizationGain({ targetLufs = null, loudnessLufs = null, truePeakDbtp = null } = {}) {
+  if (targetLufs === null || loudnessLufs === null) return 1;
+  const target = Number(targetLufs);
+  const loudness = Number(loudnessLufs);
+  if (!Number.isFinite(target) || !Number.isFinite(loudness)) return 1;
+  let gainDb = target - loudness;
+  const peak = truePeakDbtp === null ? NaN : Number(truePeakDbtp);
+  if (gainDb > 0 && Number.isFinite(peak)) {
+    gainDb = Math.min(gainDb, Math.max(0, NORMALIZATION_PEAK_CEILING_DBTP - peak));
+  }
+  return 10 ** (gainDb / 20);
+}
+
+// The track volume includes the normalization gain. An audio element plays at
+// most volume 1, so boosts beyond that are lost.
+function calculatePlaybackVolume(masterVolumePercent, trackVolumePercent = 100, normalization = null) {
   const masterVolume = (Number(masterVolumePercent) || 0) / 100;
-  const trackVolume = (Number(trackVolumePercent) || 0) / 100;
-  return { masterVolume, trackVolume, targetVolume: masterVolume * trackVolume };
+  const normalizationGain = calculateNormalizationGain(normalization || {});
+  const trackVolume = ((Number(trackVolumePercent) || 0) / 100) * normalizationGain;
+  return { masterVolume, trackVolume, normalizationGain, targetVolume: Math.min(1, masterVolume * trackVolume) };
+}
+
+function parseLoudnessTargetPreference(enabledResult, targetResult) {
+  if (!enabledResult?.success || !enabledResult.value) return null;
+  return normalizeLoudnessTarget(targetResult?.success ? targetResult.value : null);
+}
+
+function normalizeLoudnessTarget(value) {
+  const target = Number.parseFloat(value);
+  if (Number.isNaN(target)) return DEFAULT_LOUDNESS_TARGET_LUFS;
+  const [min, max] = LOUDNESS_TARGET_RANGE;
+  return Math.min(max, Math.max(min, target));
+}
+
+// What the show audio does when its output device is unplugged
+const OUTPUT_FALLBACK_POLICIES = ['continue', 'pause'];
+const DEFAULT_OUTPUT_FALLBACK = 'continue';
+
+function normalizeOutputFallback(value) {
+  return OUTPUT_FALLBACK_POLICIES.includes(value) ? value : DEFAULT_OUTPUT_FALLBACK;
+}
+
+// Without its device, playback moves to the system default ('') or,
+// under the 'pause' policy, does not play at all
+function getOutputRouting({ deviceId = '', available = true, fallback = DEFAULT_OUTPUT_FALLBACK } = {}) {
+  if (!deviceId || available) return { deviceId: deviceId || '', missing: false, blocked: false };
+  return { deviceId: '', missing: true, blocked: normalizeOutputFallback(fallback) === 'pause' };
 }
 
 function getCrossfadePolicy(options = {}) {
@@ -17,15 +67,96 @@ function getTrackBounds(row = {}) {
   };
 }
 
-function determinePlaybackCompletionAction({ loop, autoplay, holdingTankMode }) {
+function findMarker(markers, name) {
+  if (!Array.isArray(markers) || name === null || name === undefined) return null;
+  const key = String(name).trim().toLowerCase();
+  return markers.find(marker => String(marker?.name ?? '').toLowerCase() === key) || null;
+}
+
+// Where playback starts: the named marker when the song has it before the
+// end trim, otherwise the start trim
+function getPlaybackStartPosition(row = {}, markerName = null) {
+  const marker = findMarker(row?.markers, markerName);
+  const endTime = row?.end_time ?? null;
+  if (marker && Number.isFinite(Number(marker.position)) && (endTime === null || marker.position < endTime)) {
+    return { position: Number(marker.position), marker: marker.name };
+  }
+  return { position: row?.start_time > 0 ? row.start_time : 0, marker: null };
+}
+
+// Released loop regions continue here when the song has this marker
+const OUTRO_MARKER_NAME = 'Outro';
+
+// The song's loop region, ending no later than the end trim; null when it
+// has none or the trims leave nothing of it
+function getLoopRegion(row = {}) {
+  const start = row?.loop_start ?? null;
+  const stored = row?.loop_end ?? null;
+  if (start === null || stored === null) return null;
+  const end = row?.end_time == null ? Number(stored) : Math.min(Number(stored), Number(row.end_time));
+  if (!Number.isFinite(Number(start)) || !Number.isFinite(end) || end <= Number(start)) return null;
+  return { start: Number(start), end };
+}
+
+/**
+ * What playback does at a position while a loop region applies.
+ * The region loops while it is held ('holding'), however late the position
+ * is noticed. Once released ('releasing'), the current pass plays to the
+ * loop end, then jumps to the outro marker when it comes later, and the
+ * region stops applying ('released'). The operator seeking past the loop
+ * end releases it too; see getLoopRegionStateAfterSeek.
+ * @param {Object} options
+ * @param {number} options.position - Playing position in seconds
+ * @param {{ start: number, end: number }|null} options.region - See getLoopRegion
+ * @param {string|null} options.state - 'holding', 'releasing' or 'released'
+ * @param {number|null} [options.outroPosition] - The outro marker's position
+ * @returns {{ seekTo: number|null, state: string }|null} null to play on
+ */
+function getLoopRegionStep({ position, region, state, outroPosition = null }) {
+  if (!region || (state !== 'holding' && state !== 'releasing')) return null;
+  if (position < region.end) return null;
+  if (state === 'holding') return { seekTo: region.start, state };
+  return { seekTo: outroPosition !== null && outroPosition > region.end ? outroPosition : null, state: 'released' };
+}
+
+/**
+ * The loop region state after the operator seeks: a region seeked past no
+ * longer applies, so the song plays on from there.
+ * @param {Object} options
+ * @param {number} options.position - Position seeked to, in seconds
+ * @param {{ start: number, end: number }|null} options.region - See getLoopRegion
+ * @param {string|null} options.state - 'holding', 'releasing' or 'released'
+ * @returns {string|null}
+ */
+function getLoopRegionStateAfterSeek({ position, region, state }) {
+  if (!region || (state !== 'holding' && state !== 'releasing')) return state;
+  return position >= region.end ? 'released' : state;
+}
+
+// A held loop region outlasts loop and autoplay: the song is not over yet
+function determinePlaybackCompletionAction({ loop, autoplay, holdingTankMode, loopRegionHeld = false }) {
+  if (loopRegionHeld) return 'loop_region';
   if (loop) return 'loop';
   if (autoplay && holdingTankMode === 'playlist') return 'autoplay';
   return 'stop';
 }
 
 export {
+  DEFAULT_LOUDNESS_TARGET_LUFS,
+  DEFAULT_OUTPUT_FALLBACK,
+  OUTRO_MARKER_NAME,
+  calculateNormalizationGain,
   calculatePlaybackVolume,
   determinePlaybackCompletionAction,
+  findMarker,
   getCrossfadePolicy,
-  getTrackBounds
+  getLoopRegion,
+  getLoopRegionStateAfterSeek,
+  getLoopRegionStep,
+  getOutputRouting,
+  getPlaybackStartPosition,
+  getTrackBounds,
+  normalizeLoudnessTarget,
+  normalizeOutputFallback,
+  parseLoudnessTargetPreference
 };
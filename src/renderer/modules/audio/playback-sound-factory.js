@@ -1,4 +1,13 @@
-function createPlaybackSound({ createHowl, source, volume, muted, debugLog, onPlay, onEnd }) {
+import { applyOutputDevice, isOutputDeviceAvailable, listAudioOutputDevices } from './audio-output-devices.js';
+import { getOutputRouting } from './playback-policy.js';
+import { getFadeVolume, normalizeFadeCurve } from './fade-curves.js';
+import { applyPitchShift, getPitchShiftOutput } from './pitch-shifter.js';
+
+const CURVE_FADE_STEP_MS = 15;
+// Curved fades in progress, by sound
+const curveFades = new WeakMap();
+
+function createPlaybackSound({ createHowl, source, volume, muted, debugLog, onPlay, onPause, onEnd }) {
   return createHowl({
     src: source,
     volume,
@@ -27,6 +36,9 @@ function createPlaybackSound({ createHowl, source, volume, muted, debugLog, onPl
       });
       onPlay?.call(this);
     },
+    onpause: function () {
+      onPause?.call(this);
+    },
     onend: function () {
       debugLog?.info('Sound playback ended', {
         module: 'playback-sound-factory', function: 'onend'
@@ -36,5 +48,117 @@ function createPlaybackSound({ createHowl, source, volume, muted, debugLog, onPl
   });
 }
 
-export { createPlaybackSound };
+/**
+ * Send a sound to an output device ('' for the system default). An html5
+ * Howl plays through its own audio elements (or the context of a pitch
+ * shifted one); a Web Audio one (E2E) plays through Howler's shared context,
+ * so every sound moves with it.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function routePlaybackSound(sound, deviceId, howler = globalThis.Howler) {
+  if (sound?._html5) {
+    const nodes = (sound._sounds || []).map(entry => entry._node).filter(Boolean);
+    const results = await Promise.all(nodes.map(async node => (
+      applyOutputDevice((await getPitchShiftOutput(node)) || node, deviceId)
+    )));
+    return results.find(result => !result.success) || { success: true };
+  }
+  if (typeof howler?.ctx?.setSinkId === 'function') {
+    try {
+      await howler.ctx.setSinkId(deviceId || '');
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'This sound cannot change its output device' };
+}
+
+// Setting the volume of a fading Howl ends the fade at once (and fires its
+// 'fade' handler, which unloads a stopping song), so callers wait for it
+function isPlaybackSoundFading(sound) {
+  return curveFades.has(sound) || (sound?._sounds || []).some(entry => !!entry._interval);
+}
+
+function stopCurveFade(sound) {
+  const fade = curveFades.get(sound);
+  if (!fade) return;
+  clearInterval(fade);
+  curveFades.delete(sound);
+}
+
+/**
+ * Fade a sound along a curve (see fade-curves.js). Linear fades are Howler's
+ * own; the others step the volume themselves and end with the same 'fade'
+ * event, so stop, pause and crossfade handlers work for every curve. A new
+ * fade replaces one in progress.
+ * @param {Object} sound - Howl
+ * @param {number} from - Starting volume
+ * @param {number} to - Ending volume
+ * @param {number} durationMs
+ * @param {string} [curve='linear']
+ */
+function fadePlaybackSound(sound, from, to, durationMs, curve = 'linear') {
+  stopCurveFade(sound);
+  const shape = normalizeFadeCurve(curve);
+  if (shape === 'linear' || !(durationMs > 0)) {
+    sound.fade(from, to, durationMs);
+    return;
+  }
+
+  // Like Howler's fade, this ends a Howler fade still running
+  sound.volume(from);
+  const startedAt = Date.now();
+  curveFades.set(sound, setInterval(() => {
+    if (sound.state?.() === 'unloaded') {
+      stopCurveFade(sound);
+      return;
+    }
+    const progress = Math.min(1, (Date.now() - startedAt) / durationMs);
+    sound.volume(getFadeVolume(from, to, progress, shape));
+    if (progress < 1) return;
+    stopCurveFade(sound);
+    sound._emit('fade', sound._sounds?.[0]?._id);
+  }, CURVE_FADE_STEP_MS));
+}
+
+/**
+ * Play a sound at a tempo and pitch (see playback-speed.js). The tempo is
+ * Howler's rate; preservePitch keeps a changed tempo in the song's key.
+ * @param {Object} sound - Howl
+ * @param {{ rate: number, preservePitch: boolean, semitones: number }} speed
+ * @returns {Promise<{ success: boolean, error?: string }>} whether the pitch shift applied
+ */
+function setPlaybackSoundSpeed(sound, { rate, preservePitch, semitones }) {
+  (sound._sounds || []).forEach(entry => {
+    if (entry._node && 'preservesPitch' in entry._node) entry._node.preservesPitch = preservePitch !== false;
+  });
+  sound.rate(rate);
+  return applyPitchShift(sound, semitones);
+}
+
+/**
+ * Where the next sound plays: the chosen output device (see the output-device
+ * module), or what the fallback policy allows while it is unplugged
+ * @param {Object} sharedState
+ * @returns {Promise<{ deviceId: string, missing: boolean, blocked: boolean }>}
+ */
+async function getPlaybackOutputRouting(sharedState) {
+  const deviceId = sharedState.get('audioOutputDevice') || '';
+  const available = !deviceId || isOutputDeviceAvailable(deviceId, await listAudioOutputDevices().catch(() => []));
+  const routing = getOutputRouting({ deviceId, available, fallback: sharedState.get('audioOutputFallback') });
+  if (!!sharedState.get('audioOutputMissing') !== routing.missing) {
+    sharedState.set('audioOutputMissing', routing.missing);
+  }
+  return routing;
+}
+
+export {
+  createPlaybackSound,
+  fadePlaybackSound,
+  getPlaybackOutputRouting,
+  isPlaybackSoundFading,
+  routePlaybackSound,
+  setPlaybackSoundSpeed
+};
 export default createPlaybackSound;
@@ -0,0 +1,85 @@
+// Tempo and pitch of the playing song. The tempo is the audio element's
+// playback rate; the pitch shift runs through pitch-shifter.js. Song
+// defaults live in mrvoice (song-speed.js in the main process agrees on
+// these limits).
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 2;
+// One keyboard or button nudge
+const PLAYBACK_RATE_STEP = 0.05;
+const MAX_PITCH_SEMITONES = 12;
+const DEFAULT_PLAYBACK_SPEED = Object.freeze({ rate: 1, preservePitch: true, semitones: 0 });
+
+function normalizePlaybackRate(value) {
+  const rate = Number.parseFloat(value);
+  if (!Number.isFinite(rate)) return DEFAULT_PLAYBACK_SPEED.rate;
+  return Math.round(Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, rate)) * 100) / 100;
+}
+
+function normalizePitchSemitones(value) {
+  const semitones = Math.round(Number.parseFloat(value));
+  if (!Number.isFinite(semitones)) return DEFAULT_PLAYBACK_SPEED.semitones;
+  return Math.min(MAX_PITCH_SEMITONES, Math.max(-MAX_PITCH_SEMITONES, semitones));
+}
+
+/**
+ * The song's own tempo and pitch, from its mrvoice row.
+ * @param {Object} [row]
+ * @returns {{ rate: number, preservePitch: boolean, semitones: number }}
+ */
+function getTrackSpeed(row = {}) {
+  return {
+    rate: normalizePlaybackRate(row?.playback_rate),
+    preservePitch: row?.preserve_pitch === undefined || row?.preserve_pitch === null ? true : !!row.preserve_pitch,
+    semitones: normalizePitchSemitones(row?.pitch_semitones)
+  };
+}
+
+/**
+ * A tempo one nudge faster (direction 1) or slower (-1). Steps land on
+ * multiples of PLAYBACK_RATE_STEP, so a song at 1.03 nudges to 1.05.
+ * @param {number} rate
+ * @param {number} direction
+ * @returns {number}
+ */
+function nudgePlaybackRate(rate, direction) {
+  const steps = rate / PLAYBACK_RATE_STEP;
+  const next = direction > 0 ? Math.floor(steps + 1e-9) + 1 : Math.ceil(steps - 1e-9) - 1;
+  return normalizePlaybackRate(next * PLAYBACK_RATE_STEP);
+}
+
+// Frequency ratio for a shift in semitones
+function getPitchRatio(semitones) {
+  return 2 ** (normalizePitchSemitones(semitones) / 12);
+}
+
+// Seconds of the song take this long to play at a tempo, for the timer and
+// for starting a crossfade on time
+function toPlaybackSeconds(songSeconds, rate) {
+  return songSeconds / normalizePlaybackRate(rate);
+}
+
+function isDefaultPlaybackSpeed({ rate, preservePitch, semitones } = DEFAULT_PLAYBACK_SPEED) {
+  return rate === 1 && semitones === 0 && preservePitch !== false;
+}
+
+// Transport readout, e.g. "1.25× −2 st"
+function formatPlaybackSpeed({ rate, semitones } = DEFAULT_PLAYBACK_SPEED) {
+  const pitch = semitones ? ` ${semitones > 0 ? '+' : '−'}${Math.abs(semitones)} st` : '';
+  return `${normalizePlaybackRate(rate).toFixed(2)}×${pitch}`;
+}
+
+export {
+  MIN_PLAYBACK_RATE,
+  MAX_PLAYBACK_RATE,
+  PLAYBACK_RATE_STEP,
+  MAX_PITCH_SEMITONES,
+  DEFAULT_PLAYBACK_SPEED,
+  normalizePlaybackRate,
+  normalizePitchSemitones,
+  getTrackSpeed,
+  nudgePlaybackRate,
+  getPitchRatio,
+  toPlaybackSeconds,
+  isDefaultPlaybackSpeed,
+  formatPlaybackSpeed
+};
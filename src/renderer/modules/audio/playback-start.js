@@ -1,4 +1,5 @@
 import { startCrossfadeIn } from './crossfade-transition.js';
+import { fadePlaybackSound } from './playback-sound-factory.js';
 
 function handlePlaybackStarted({
   sound,
@@ -6,6 +7,8 @@ function handlePlaybackStarted({
   crossfade,
   targetVolume,
   durationMs,
+  curve,
+  fadeIn = null,
   sharedState,
   requestAnimationFrame,
   updateTimeTracker,
@@ -14,7 +17,9 @@ function handlePlaybackStarted({
   ensureAudioProbe
 }) {
   if (crossfade && durationMs > 0) {
-    startCrossfadeIn({ sound, targetVolume, durationMs });
+    startCrossfadeIn({ sound, targetVolume, durationMs, curve });
+  } else if (fadeIn?.durationMs > 0) {
+    fadePlaybackSound(sound, 0, targetVolume, fadeIn.durationMs, fadeIn.curve);
   }
   sharedState.set(
     'globalAnimation',
@@ -1,3 +1,56 @@
+const TRIM_REGION_COLOR = 'rgba(0, 123, 255, 0.2)';
+const MARKER_REGION_COLOR = 'rgba(255, 193, 7, 0.9)';
+const MARKER_REGION_PREFIX = 'marker:';
+const LOOP_REGION_COLOR = 'rgba(40, 167, 69, 0.25)';
+const LOOP_REGION_ID = 'loop-region';
+
+/**
+ * Draw a song's markers on the waveform as draggable cue lines labelled with
+ * their names, replacing the ones already drawn. The marker editor
+ * (song-markers module) listens to the region events.
+ * @param {Object} regions - WaveSurfer Regions plugin
+ * @param {Array<{ name: string, position: number }>} markers
+ */
+function renderSongMarkers(regions, markers = []) {
+  if (!regions) return;
+  for (const region of regions.getRegions?.() || []) {
+    if (String(region.id).startsWith(MARKER_REGION_PREFIX)) region.remove();
+  }
+  for (const marker of markers) {
+    regions.addRegion({
+      id: `${MARKER_REGION_PREFIX}${marker.name}`,
+      start: marker.position,
+      content: marker.name,
+      color: MARKER_REGION_COLOR,
+      drag: true,
+      resize: false
+    });
+  }
+}
+
+/**
+ * Draw a song's loop region as a movable, resizable region, replacing the
+ * one already drawn. The loop-region module listens to its events.
+ * @param {Object} regions - WaveSurfer Regions plugin
+ * @param {{ start: number, end: number }|null} loop - null removes it
+ */
+function renderLoopRegion(regions, loop) {
+  if (!regions) return;
+  for (const region of regions.getRegions?.() || []) {
+    if (region.id === LOOP_REGION_ID) region.remove();
+  }
+  if (!loop) return;
+  regions.addRegion({
+    id: LOOP_REGION_ID,
+    start: loop.start,
+    end: loop.end,
+    content: 'Loop',
+    color: LOOP_REGION_COLOR,
+    drag: true,
+    resize: true
+  });
+}
+
 function updateWaveform({ source, row, sharedState }) {
   let wavesurfer = sharedState.get('wavesurfer');
   if (!wavesurfer && sharedState.get('createWaveSurfer')) {
@@ -7,16 +60,22 @@ function updateWaveform({ source, row, sharedState }) {
 
   wavesurfer.load(source);
   const regions = sharedState.get('wavesurferRegions');
-  if (regions && (row?.start_time > 0 || row?.end_time != null)) {
+  if (regions) {
     wavesurfer.once('ready', () => {
       regions.clearRegions();
-      regions.addRegion({
-        start: row?.start_time ?? 0,
-        end: row?.end_time ?? wavesurfer.getDuration(),
-        color: 'rgba(0, 123, 255, 0.2)',
-        drag: false,
-        resize: false
-      });
+      if (row?.start_time > 0 || row?.end_time != null) {
+        regions.addRegion({
+          start: row?.start_time ?? 0,
+          end: row?.end_time ?? wavesurfer.getDuration(),
+          color: TRIM_REGION_COLOR,
+          drag: false,
+          resize: false
+        });
+      }
+      if (row?.loop_start != null && row?.loop_end != null) {
+        renderLoopRegion(regions, { start: row.loop_start, end: row.loop_end });
+      }
+      renderSongMarkers(regions, row?.markers || []);
     });
   }
   return true;
@@ -51,4 +110,12 @@ function presentPlaybackStarted({ songId, row, source, sharedState, documentTarg
   showActivePlayback({ songId, row, documentTarget });
 }
 
-export { presentPlaybackStarted, showActivePlayback, updateWaveform };
+export {
+  LOOP_REGION_ID,
+  MARKER_REGION_PREFIX,
+  presentPlaybackStarted,
+  renderLoopRegion,
+  renderSongMarkers,
+  showActivePlayback,
+  updateWaveform
+};
@@ -27,6 +27,8 @@ import { secureFileSystem, secureDatabase, securePath, secureStore } from '../ad
 import { songDrag } from '../drag-drop/drag-drop-functions.js';
 import { populateCategorySelect, findUniqueCategoryCode, refreshCategories, getCategoryDescription } from '../categories/category-data.js';
 import { showMultiSongImport, MULTI_SONG_THRESHOLD } from './multi-song-import.js';
+import { parseTagInput, prepareTagField } from '../song-management/tag-field.js';
+import { appendTagChips } from '../search/tag-chips.js';
 
 // Supported audio file extensions (lowercase)
 export const SUPPORTED_AUDIO_EXTS = new Set([".mp3", ".mp4", ".m4a", ".wav", ".ogg", ".flac", ".opus"]);
@@ -90,6 +92,7 @@ export async function showBulkAddModal(directory) {
   if (pathEl) pathEl.value = directory || '';
   const catSel = document.getElementById('bulk-add-category');
   await populateCategorySelect(catSel);
+  await prepareTagField(document.getElementById('bulk-add-tags'));
 
   safeShowModal('#bulkAddModal', { module: 'bulk-operations', function: 'showBulkAddModal' });
 }
@@ -190,6 +193,7 @@ export async function showBulkAddFromFiles(filePaths) {
 
   const catSel = document.getElementById('bulk-add-category');
   await populateCategorySelect(catSel);
+  await prepareTagField(document.getElementById('bulk-add-tags'));
 
   safeShowModal('#bulkAddModal', { module: 'bulk-operations', function: 'showBulkAddFromFiles' });
 }
@@ -200,11 +204,13 @@ export async function showBulkAddFromFiles(filePaths) {
  * 
  * @param {Array} pathArray - Array of file paths to process
  * @param {string} category - Category code for the songs
- * @returns {Promise} - Promise that resolves when all songs are processed
+ * @param {Array<string>} [tags] - Tags added to every song
+ * @param {Array<number>} [addedIds] - Collects the IDs of the added songs
+ * @returns {Promise<Array<number>>} - The IDs of the added songs, once all songs are processed
  */
-export async function addSongsByPath(pathArray, category) {
+export async function addSongsByPath(pathArray, category, tags = [], addedIds = []) {
   const songSourcePath = pathArray.shift();
-  if (!songSourcePath) return;
+  if (!songSourcePath) return addedIds;
 
   try {
     // Read metadata to get title/artist/duration when possible
@@ -232,7 +238,7 @@ export async function addSongsByPath(pathArray, category) {
     const parseRes = await securePath.parse(songSourcePath);
     const parsed = parseRes?.data || {};
     if (!title) title = parsed.name;
-    if (!title) return;
+    if (!title) return addedIds;
 
     const extRes = await securePath.extname(songSourcePath);
     const ext = extRes?.data || extRes || '';
@@ -250,7 +256,7 @@ export async function addSongsByPath(pathArray, category) {
     const storeRes = await secureStore.get("music_directory");
     if (!storeRes?.success || !storeRes.value) {
       debugLog?.warn('Failed to get music directory:', { module: 'bulk-operations', function: 'addSongsByPath', result: storeRes });
-      return;
+      return addedIds;
     }
     const musicDirectory = storeRes.value;
 
@@ -273,7 +279,7 @@ export async function addSongsByPath(pathArray, category) {
         filename: newFilename,
         insRes
       });
-      return;
+      return addedIds;
     }
 
     window.secureElectronAPI?.analytics?.trackEvent?.('song_added', { method: 'bulk' });
@@ -282,11 +288,20 @@ export async function addSongsByPath(pathArray, category) {
     if (!copyRes?.success) {
       debugLog?.warn('Failed to copy file', { module: 'bulk-operations', function: 'addSongsByPath', songSourcePath, newPath, error: copyRes?.error });
       await secureDatabase.deleteSong(lastId);
-      return;
+      return addedIds;
     } else {
       debugLog?.info('File copied successfully', { module: 'bulk-operations', function: 'addSongsByPath', songSourcePath, newPath });
     }
 
+    addedIds.push(lastId);
+
+    if (tags.length) {
+      const tagRes = await secureDatabase.addSongTags([lastId], tags);
+      if (!tagRes?.success) {
+        debugLog?.warn('Failed to tag imported song', { module: 'bulk-operations', function: 'addSongsByPath', songId: lastId, error: tagRes?.error });
+      }
+    }
+
     // Get category description from cache instead of per-song DB query
     const categoryLabel = getCategoryDescription(category) || category;
 
@@ -307,6 +322,7 @@ export async function addSongsByPath(pathArray, category) {
     const tdTitle = document.createElement('td');
     tdTitle.style.fontWeight = 'bold';
     tdTitle.textContent = title || '';
+    appendTagChips(tdTitle, tags);
     row.appendChild(tdTitle);
 
     const tdArtist = document.createElement('td');
@@ -323,9 +339,10 @@ export async function addSongsByPath(pathArray, category) {
     results?.appendChild(row);
 
     // Process the rest
-    await addSongsByPath(pathArray, category);
+    return await addSongsByPath(pathArray, category, tags, addedIds);
   } catch (error) {
     debugLog?.warn('Error in addSongsByPath', { module: 'bulk-operations', function: 'addSongsByPath', error: error?.message });
+    return addedIds;
   }
 }
 
@@ -343,6 +360,7 @@ export async function saveBulkUpload(event) {
   const droppedFiles = pendingBulkFiles;
   pendingBulkFiles = null;
   resetBulkAddModalState();
+  const tags = parseTagInput(document.getElementById('bulk-add-tags')?.value);
 
   if (droppedFiles && droppedFiles.length) {
     // Note: showBulkAddFromFiles already handles routing for dropped files.
@@ -358,7 +376,7 @@ export async function saveBulkUpload(event) {
       if (!category) return;
     }
 
-    await addSongsByPath([...droppedFiles], category);
+    await reviewTrims(await addSongsByPath([...droppedFiles], category, tags));
     return;
   }
 
@@ -422,7 +440,19 @@ export async function saveBulkUpload(event) {
     if (!category) return;
   }
 
-  await addSongsByPath(songs, category);
+  await reviewTrims(await addSongsByPath(songs, category, tags));
+}
+
+/**
+ * Offer silence trims for the songs a bulk import just added.
+ * @param {Array<number>} songIds
+ */
+async function reviewTrims(songIds) {
+  try {
+    await moduleRegistry.silenceTrim?.reviewImportedSongTrims?.(songIds);
+  } catch (error) {
+    debugLog?.warn('Could not open trim review after bulk import', { module: 'bulk-operations', function: 'reviewTrims', error: error?.message });
+  }
 }
 
 /**
@@ -4,6 +4,8 @@ import { populateCategorySelect, getCategoryDescription } from '../categories/ca
 import { songDrag } from '../drag-drop/drag-drop-functions.js';
 import { customAlert } from '../utils/modal-utils.js';
 import { showDropToast } from '../utils/toast-utils.js';
+import { suggestImportTrims, formatTrimTime, parseTrimTime } from '../silence-trim/index.js';
+import { createTrimPreview } from '../silence-trim/trim-preview.js';
 
 /**
  * Multi-Song Import Module
@@ -25,6 +27,9 @@ export function setMultiSongThreshold(value) {
 
 // Module-level state
 let pendingSongs = [];
+// Bumped whenever the modal opens or closes so a running silence scan stops
+let importGeneration = 0;
+let trimPreview = null;
 let debugLog = null;
 try {
   if (window.debugLog) {
@@ -67,6 +72,8 @@ export async function showMultiSongImport(items) {
   listContainer.innerHTML = '<div class="text-center p-4"><div class="spinner-border text-primary" role="status"></div><div class="mt-2">Parsing metadata...</div></div>';
   countEl.textContent = `Preparing ${filePaths.length} songs...`;
   pendingSongs = [];
+  const generation = ++importGeneration;
+  getTrimPreview().destroy();
 
   // Populate global category selector
   await populateCategorySelect(globalCatSelect);
@@ -79,7 +86,9 @@ export async function showMultiSongImport(items) {
       artist: s.artist || '',
       info: s.info || '',
       category: s.category || '',
-      duration: s.duration || ''
+      duration: s.duration || '',
+      startTime: null,
+      endTime: null
     }));
     renderSongList();
     countEl.textContent = `${items.length} song${items.length !== 1 ? 's' : ''} ready to import`;
@@ -124,7 +133,9 @@ export async function showMultiSongImport(items) {
       artist,
       info: '',
       category: '',
-      duration: durationString
+      duration: durationString,
+      startTime: null,
+      endTime: null
     };
   });
 
@@ -156,6 +167,79 @@ export async function showMultiSongImport(items) {
   submitBtn.onclick = saveMultiSongImport;
 
   safeShowModal('#multiSongImportModal', { module: 'multi-song-import', function: 'showMultiSongImport' });
+  document.getElementById('multiSongImportModal')?.addEventListener('hidden.bs.modal', () => {
+    if (generation === importGeneration) importGeneration += 1;
+    getTrimPreview().destroy();
+  }, { once: true });
+
+  // Fill in trims as the files are scanned for silence
+  suggestImportTrims(pendingSongs, {
+    shouldStop: () => generation !== importGeneration,
+    onResult: (song, index, analysis) => showTrimSuggestion(index, analysis)
+  }).catch((error) => {
+    debugLog?.warn('Silence detection failed during multi-import', { module: 'multi-song-import', error: error.message });
+  });
+}
+
+function getTrimPreview() {
+  if (!trimPreview) {
+    trimPreview = createTrimPreview(document.getElementById('multi-song-import-trim-preview'));
+  }
+  return trimPreview;
+}
+
+/**
+ * Puts a detected trim into a row's empty Start/End fields
+ */
+function showTrimSuggestion(index, analysis) {
+  const song = pendingSongs[index];
+  const row = document.querySelectorAll('#multi-song-import-list .song-import-row')[index];
+  if (!song || !row) return;
+  const status = row.querySelector('.song-trim-status');
+  if (!analysis) {
+    if (status) status.textContent = 'Could not scan for silence';
+    return;
+  }
+  const startInput = row.querySelector('.song-start-input');
+  const endInput = row.querySelector('.song-end-input');
+  if (!startInput.value && analysis.startTime !== null) {
+    song.startTime = analysis.startTime;
+    startInput.value = formatTrimTime(analysis.startTime);
+  }
+  if (!endInput.value && analysis.endTime !== null) {
+    song.endTime = analysis.endTime;
+    endInput.value = formatTrimTime(analysis.endTime);
+  }
+  if (status) {
+    status.textContent = analysis.silent
+      ? 'Silent file'
+      : (analysis.startTime === null && analysis.endTime === null ? 'No silence to trim' : 'Trim suggested from silence');
+  }
+  row.querySelector('.song-trim-preview-button').disabled = analysis.silent;
+}
+
+/**
+ * Shows a row's trim on the preview waveform; dragging the region updates the row
+ */
+function previewSongTrim(index) {
+  const song = pendingSongs[index];
+  const row = document.querySelectorAll('#multi-song-import-list .song-import-row')[index];
+  if (!song?.trim || !row) return;
+  const title = document.getElementById('multi-song-import-trim-preview-title');
+  if (title) title.textContent = song.title;
+  getTrimPreview().show({
+    filePath: song.filePath,
+    peaks: song.trim.peaks,
+    duration: song.trim.duration,
+    startTime: song.startTime,
+    endTime: song.endTime,
+    onChange: ({ startTime, endTime }) => {
+      song.startTime = startTime;
+      song.endTime = endTime;
+      row.querySelector('.song-start-input').value = formatTrimTime(startTime);
+      row.querySelector('.song-end-input').value = formatTrimTime(endTime);
+    }
+  });
 }
 
 /**
@@ -190,6 +274,20 @@ function renderSongList() {
         <label class="small text-muted d-block">Category</label>
         <select class="form-control form-control-sm song-category-select"></select>
       </div>
+      <div class="col-md-2">
+        <label class="small text-muted d-block">Start</label>
+        <input type="text" class="form-control form-control-sm song-start-input" placeholder="0:00" value="${escapeHtml(formatTrimTime(song.startTime))}">
+      </div>
+      <div class="col-md-2">
+        <label class="small text-muted d-block">End</label>
+        <input type="text" class="form-control form-control-sm song-end-input" placeholder="End of track" value="${escapeHtml(formatTrimTime(song.endTime))}">
+      </div>
+      <div class="col-md-2 align-self-end">
+        <button type="button" class="btn btn-outline-secondary btn-sm song-trim-preview-button" disabled>Preview Trim</button>
+      </div>
+      <div class="col-md-6 align-self-end">
+        <small class="text-muted song-trim-status"></small>
+      </div>
       <div class="col-12 mt-1">
         <small class="text-muted text-truncate d-block" style="font-size: 0.7rem;">${escapeHtml(song.filePath)}</small>
       </div>
@@ -218,6 +316,13 @@ function renderSongList() {
     };
     row.querySelector('.song-artist-input').oninput = (e) => song.artist = e.target.value;
     row.querySelector('.song-info-input').oninput = (e) => song.info = e.target.value;
+    for (const [selector, field] of [['.song-start-input', 'startTime'], ['.song-end-input', 'endTime']]) {
+      row.querySelector(selector).oninput = (e) => {
+        song[field] = parseTrimTime(e.target.value);
+        e.target.classList.remove('is-invalid');
+      };
+    }
+    row.querySelector('.song-trim-preview-button').onclick = () => previewSongTrim(index);
   });
 }
 
@@ -251,6 +356,16 @@ function validateInputs() {
     } else {
       catSelect.classList.remove('is-invalid');
     }
+
+    // Trim validation: readable times with the start before the end
+    const startInput = row.querySelector('.song-start-input');
+    const endInput = row.querySelector('.song-end-input');
+    const badStart = startInput.value.trim() !== '' && song.startTime === null;
+    const badEnd = endInput.value.trim() !== '' && song.endTime === null;
+    const reversed = song.startTime !== null && song.endTime !== null && song.startTime >= song.endTime;
+    startInput.classList.toggle('is-invalid', badStart || reversed);
+    endInput.classList.toggle('is-invalid', badEnd || reversed);
+    if (badStart || badEnd || reversed) allValid = false;
   });
 
   if (!allValid) {
@@ -271,7 +386,7 @@ function validateInputs() {
 export async function saveMultiSongImport() {
   // 1. Validate
   if (!validateInputs()) {
-    customAlert('Please ensure all songs have a title and a category selected.');
+    customAlert('Please ensure all songs have a title and a category selected, and that trim times are M:SS with the start before the end.');
     return;
   }
 
@@ -332,7 +447,9 @@ export async function saveMultiSongImport() {
         info: song.info,
         category: category,
         filename: newFilename,
-        duration: song.duration
+        duration: song.duration,
+        start_time: song.startTime,
+        end_time: song.endTime
       });
 
       const lastId = insRes?.data?.lastInsertRowid || insRes?.lastInsertRowid;
@@ -6,6 +6,8 @@
  * database-level operations for categories.
  */
 import { secureDatabase } from '../adapters/secure-adapter.js';
+import { compileStructuredQuery } from '../search/query-parser.js';
+import sharedState from '../shared-state.js';
 
 // Import debug logger
 let debugLog = null;
@@ -249,13 +251,123 @@ async function addNewCategory(description) {
   }
 }
 
+/**
+ * Compile a smart category's omni-search text into the criteria that
+ * SEARCH_SONGS applies whenever the smart category is selected.
+ *
+ * @param {string} query - Omni-search text, e.g. "cat:SS dur:<0:30 since:60d"
+ * @returns {Object} - { searchTerm, advancedFilters, category? }
+ */
+function compileSmartCategoryQuery(query) {
+  const text = String(query || '').trim();
+  const structured = compileStructuredQuery(text, sharedState.get('categories') || {});
+  return structured || { searchTerm: text, advancedFilters: null };
+}
+
+/**
+ * Get all smart categories (saved searches) from the database
+ *
+ * @returns {Promise<Object>} - Result containing [{ code, description, query, criteria }]
+ */
+async function getSmartCategories() {
+  const result = await secureDatabase.getSmartCategories();
+  if (!result?.success) {
+    debugLog?.warn('Failed to get smart categories', {
+      module: 'category-operations',
+      function: 'getSmartCategories',
+      error: result?.error
+    });
+    throw new Error(result?.error || 'Failed to get smart categories');
+  }
+  return result;
+}
+
+/**
+ * Save a new smart category
+ *
+ * @param {string} description - Name shown in the category dropdown
+ * @param {string} query - Omni-search text defining the category
+ * @returns {Promise<Object>} - Result containing the stored smart category
+ */
+async function addSmartCategory(description, query) {
+  if (!description || !description.trim() || !query || !query.trim()) {
+    throw new Error('Smart category name and query are required');
+  }
+  const result = await secureDatabase.addSmartCategory({
+    description: description.trim(),
+    query: query.trim(),
+    criteria: compileSmartCategoryQuery(query)
+  });
+  if (!result?.success) {
+    debugLog?.warn('Failed to add smart category', {
+      module: 'category-operations',
+      function: 'addSmartCategory',
+      description: description,
+      error: result?.error
+    });
+    throw new Error(result?.error || 'Failed to add smart category');
+  }
+  return result;
+}
+
+/**
+ * Update a smart category's name and query
+ *
+ * @param {string} code - Smart category code ("smart:<id>")
+ * @param {string} description - New name
+ * @param {string} query - New omni-search text
+ * @returns {Promise<Object>} - Result of the operation
+ */
+async function editSmartCategory(code, description, query) {
+  const result = await secureDatabase.updateSmartCategory(code, {
+    description: String(description || '').trim(),
+    query: String(query || '').trim(),
+    criteria: compileSmartCategoryQuery(query)
+  });
+  if (!result?.success) {
+    debugLog?.warn('Failed to update smart category', {
+      module: 'category-operations',
+      function: 'editSmartCategory',
+      code: code,
+      error: result?.error
+    });
+    throw new Error(result?.error || 'Failed to update smart category');
+  }
+  return result;
+}
+
+/**
+ * Delete a smart category. Songs are unaffected.
+ *
+ * @param {string} code - Smart category code ("smart:<id>")
+ * @returns {Promise<Object>} - Result of the operation
+ */
+async function deleteSmartCategory(code) {
+  const result = await secureDatabase.deleteSmartCategory(code);
+  if (!result?.success) {
+    debugLog?.warn('Failed to delete smart category', {
+      module: 'category-operations',
+      function: 'deleteSmartCategory',
+      code: code,
+      error: result?.error
+    });
+    throw new Error(result?.error || 'Failed to delete smart category');
+  }
+  return result;
+}
+
 export {
   getCategories,
   getCategoryByCode,
   editCategory,
   updateCategory,
   deleteCategory,
-  addNewCategory
+  addNewCategory,
+  compileSmartCategoryQuery,
+  getSmartCategories,
+  addSmartCategory,
+  editSmartCategory,
+  deleteSmartCategory
 };
 
 // Default export for module loading
@@ -265,5 +377,10 @@ export default {
   editCategory,
   updateCategory,
   deleteCategory,
-  addNewCategory
+  addNewCategory,
+  compileSmartCategoryQuery,
+  getSmartCategories,
+  addSmartCategory,
+  editSmartCategory,
+  deleteSmartCategory
 };
@@ -21,6 +21,32 @@ try {
 // Import category operations for UI operations
 import * as categoryOperations from './category-operations.js';
 
+/**
+ * Append smart categories (saved searches) to the category select in their
+ * own option group. Failures are logged so real categories still show.
+ *
+ * @param {HTMLSelectElement|null} select - The category select element
+ * @returns {Promise<void>}
+ */
+function appendSmartCategoryOptions(select) {
+  if (!select) return Promise.resolve();
+  return categoryOperations.getSmartCategories().then(result => {
+    if (!result.data.length) return;
+    const group = document.createElement('optgroup');
+    group.label = 'Smart Categories';
+    result.data.forEach(smart => {
+      const opt = document.createElement('option');
+      opt.value = smart.code;
+      opt.textContent = smart.description;
+      opt.title = smart.query;
+      group.appendChild(opt);
+    });
+    select.appendChild(group);
+  }).catch(error => {
+    debugLog?.warn('❌ Error loading smart categories:', { module: 'categories', function: 'appendSmartCategoryOptions', error: error });
+  });
+}
+
 /**
  * Populate the category select dropdown
  * Fetches categories from database and populates the category select dropdown
@@ -71,28 +97,30 @@ function populateCategorySelect() {
         }
       });
       
-      // Restore the previously selected category if it still exists
-      if (select && selectedCategory !== '*') {
-        select.value = selectedCategory;
-        debugLog?.info("Restored category selection", { 
-          module: 'categories', 
-          function: 'populateCategorySelect',
-          restoredCategory: selectedCategory,
-          finalSelectValue: select.value
-        });
-      }
-      
-      debugLog?.info('✅ Category select populated successfully', { 
-        module: 'categories', 
-        function: 'populateCategorySelect',
-        preservedSelection: selectedCategory,
-        finalValue: select?.value,
-        finalSelectedIndex: select?.selectedIndex
-      });
+      return appendSmartCategoryOptions(select);
     } else {
       debugLog?.warn('❌ Failed to populate category select:', { module: 'categories', function: 'populateCategorySelect', error: result.error });
       throw new Error(result.error);
     }
+  }).then(() => {
+    // Restore the previously selected category if it still exists
+    if (select && selectedCategory !== '*') {
+      select.value = selectedCategory;
+      debugLog?.info("Restored category selection", { 
+        module: 'categories', 
+        function: 'populateCategorySelect',
+        restoredCategory: selectedCategory,
+        finalSelectValue: select.value
+      });
+    }
+    
+    debugLog?.info('✅ Category select populated successfully', { 
+      module: 'categories', 
+      function: 'populateCategorySelect',
+      preservedSelection: selectedCategory,
+      finalValue: select?.value,
+      finalSelectedIndex: select?.selectedIndex
+    });
   }).catch(error => {
     debugLog?.warn('❌ Error populating category select:', { module: 'categories', function: 'populateCategorySelect', error: error });
   });
@@ -148,25 +176,96 @@ function populateCategoriesModal(preserveScroll = false) {
         }
       });
       debugLog?.info('✅ Categories modal populated successfully', { module: 'categories', function: 'populateCategoriesModal' });
-      
-      // Restore scroll position if preserving
-      if (preserveScroll && scrollPosition > 0) {
-        setTimeout(() => {
-          const modalBody = document.querySelector('#categoryManagementModal .modal-body');
-          if (modalBody) {
-            modalBody.scrollTop = scrollPosition;
-          }
-        }, 10);
-      }
+      return populateSmartCategoriesList();
     } else {
       debugLog?.warn('❌ Failed to populate categories modal:', { module: 'categories', function: 'populateCategoriesModal', error: result.error });
       throw new Error(result.error);
     }
+  }).then(() => {
+    // Restore scroll position if preserving
+    if (preserveScroll && scrollPosition > 0) {
+      setTimeout(() => {
+        const modalBody = document.querySelector('#categoryManagementModal .modal-body');
+        if (modalBody) {
+          modalBody.scrollTop = scrollPosition;
+        }
+      }, 10);
+    }
   }).catch(error => {
     debugLog?.warn('❌ Error populating categories modal:', { module: 'categories', function: 'populateCategoriesModal', error: error });
   });
 }
 
+/**
+ * Populate the smart categories section of the management modal
+ *
+ * @returns {Promise<void>}
+ */
+function populateSmartCategoriesList() {
+  const list = document.getElementById('smartCategoryList');
+  if (!list) return Promise.resolve();
+  Array.from(list.querySelectorAll('div.row')).forEach(n => n.remove());
+
+  return categoryOperations.getSmartCategories().then(result => {
+    result.data.forEach(smart => {
+      const rowDiv = document.createElement('div');
+      rowDiv.className = 'row g-2 mb-3';
+      // Queries contain quotes and "<", so names and queries are filled in
+      // as text rather than markup
+      rowDiv.innerHTML = `
+        <div class="col-sm-8">
+          <div class="smart-category-description">
+            <span class="smart-category-name"></span>
+            <small class="d-block text-muted smart-category-query"></small>
+          </div>
+          <div style="display: none;" class="smart-category-fields">
+            <input type="text" class="form-control form-control-sm mb-1 smartCategoryDescription" required>
+            <input type="text" class="form-control form-control-sm smartCategoryQuery" required>
+          </div>
+        </div>
+        <div class="col-sm-4">
+          <a href="#" class="btn btn-primary btn-xs smart-category-edit-btn" data-event-setup="true">Edit</a>&nbsp;
+          <a class="delete_link btn btn-danger btn-xs smart-category-delete-btn" href="#" data-event-setup="true">Delete</a>
+        </div>
+      `;
+      rowDiv.querySelector('.smart-category-description')?.setAttribute('smartcode', smart.code);
+      rowDiv.querySelector('.smart-category-fields')?.setAttribute('smartcode', smart.code);
+      const name = rowDiv.querySelector('.smart-category-name');
+      if (name) name.textContent = smart.description;
+      const query = rowDiv.querySelector('.smart-category-query');
+      if (query) query.textContent = smart.query;
+      const descInput = rowDiv.querySelector('.smartCategoryDescription');
+      if (descInput) descInput.value = smart.description;
+      const queryInput = rowDiv.querySelector('.smartCategoryQuery');
+      if (queryInput) queryInput.value = smart.query;
+      const editBtn = rowDiv.querySelector('.smart-category-edit-btn');
+      if (editBtn) editBtn.addEventListener('click', (e) => { e.preventDefault(); editSmartCategoryUI(smart.code); });
+      const deleteBtn = rowDiv.querySelector('.smart-category-delete-btn');
+      if (deleteBtn) deleteBtn.addEventListener('click', (e) => deleteSmartCategoryUI(e, smart.code, smart.description));
+      list.appendChild(rowDiv);
+    });
+  }).catch(error => {
+    debugLog?.warn('❌ Error populating smart categories:', { module: 'categories', function: 'populateSmartCategoriesList', error: error });
+  });
+}
+
+/**
+ * Edit smart category UI (show name and query inputs)
+ *
+ * @param {string} code - Smart category code to edit
+ */
+function editSmartCategoryUI(code) {
+  document.querySelectorAll('.smart-category-fields').forEach(el => el.style.display = 'none');
+  document.querySelectorAll('.smart-category-description').forEach(el => el.style.display = 'block');
+  const desc = document.querySelector(`.smart-category-description[smartcode="${code}"]`);
+  if (desc) desc.style.display = 'none';
+  const fields = document.querySelector(`.smart-category-fields[smartcode="${code}"]`);
+  if (fields) {
+    fields.style.display = 'block';
+    fields.querySelector('.smartCategoryQuery')?.select();
+  }
+}
+
 /**
  * Edit category UI (show edit input field)
  * 
@@ -229,6 +328,22 @@ function saveCategories(event) {
     }
   });
   
+  document.querySelectorAll('#smartCategoryList div.row').forEach((row) => {
+    const fields = row.querySelector('.smart-category-fields');
+    const code = fields ? fields.getAttribute('smartcode') : null;
+    const description = row.querySelector('.smartCategoryDescription')?.value;
+    const query = row.querySelector('.smartCategoryQuery')?.value;
+
+    if (code && description && query) {
+      promises.push(
+        categoryOperations.editSmartCategory(code, description, query).catch(error => {
+          debugLog?.error(`❌ Failed to save smart category ${code}:`, { module: 'categories', function: 'saveCategories', code: code, error: error });
+          throw error;
+        })
+      );
+    }
+  });
+
   return Promise.all(promises).then(() => {
     // Refresh the UI after saving
     populateCategorySelect();
@@ -342,6 +457,75 @@ async function deleteCategoryUI(event, code, description) {
   }
 }
 
+/**
+ * Add new smart category from UI
+ *
+ * @param {Event} event - Form submit event
+ * @returns {Promise<void>}
+ */
+function addNewSmartCategoryUI(event) {
+  event.preventDefault();
+
+  const descInput = document.getElementById('newSmartCategoryDescription');
+  const queryInput = document.getElementById('newSmartCategoryQuery');
+  const description = descInput ? descInput.value.trim() : '';
+  const query = queryInput ? queryInput.value.trim() : '';
+
+  if (!description || !query) {
+    alert('Smart category name and search are required');
+    return Promise.reject(new Error('Smart category name and search are required'));
+  }
+
+  return categoryOperations.addSmartCategory(description, query).then(() => {
+    debugLog?.info('✅ New smart category added successfully', { module: 'categories', function: 'addNewSmartCategoryUI', description: description });
+    if (descInput) descInput.value = '';
+    if (queryInput) queryInput.value = '';
+    populateCategorySelect();
+    populateCategoriesModal();
+  }).catch(error => {
+    debugLog?.error('❌ Error adding smart category:', { module: 'categories', function: 'addNewSmartCategoryUI', error: error });
+    if (/UNIQUE/i.test(error.message)) {
+      alert(`Couldn't add a smart category named "${description}" - apparently one already exists!`);
+    } else {
+      alert(`Error adding smart category: ${error.message}`);
+    }
+    throw error;
+  });
+}
+
+/**
+ * Delete smart category from UI. Songs are not affected.
+ *
+ * @param {Event} event - Click event
+ * @param {string} code - Smart category code to delete
+ * @param {string} description - Smart category name for confirmation
+ * @returns {Promise<void>}
+ */
+async function deleteSmartCategoryUI(event, code, description) {
+  event.preventDefault();
+
+  try {
+    const message = `Are you sure you want to delete the smart category "${description}"? No songs will be changed.`;
+    const confirmed = typeof customConfirm === 'function'
+      ? await customConfirm(message, 'Delete Smart Category')
+      : confirm(message);
+    if (!confirmed) return;
+
+    const result = await categoryOperations.deleteSmartCategory(code);
+    debugLog?.info(`✅ Smart category ${code} deleted successfully`, { module: 'categories', function: 'deleteSmartCategoryUI', code: code });
+
+    // Fall back to all categories if the deleted smart category was selected
+    const select = document.getElementById('category_select');
+    if (select && select.value === code) select.value = '*';
+    await populateCategorySelect();
+    await populateCategoriesModal(true); // Preserve scroll position
+    return result;
+  } catch (error) {
+    debugLog?.error('❌ Error deleting smart category:', { module: 'categories', function: 'deleteSmartCategoryUI', error: error });
+    throw error;
+  }
+}
+
 // Export individual functions for direct access
 export {
   populateCategorySelect,
@@ -350,7 +534,11 @@ export {
   openCategoriesModal,
   saveCategories,
   addNewCategoryUI,
-  deleteCategoryUI
+  deleteCategoryUI,
+  populateSmartCategoriesList,
+  editSmartCategoryUI,
+  addNewSmartCategoryUI,
+  deleteSmartCategoryUI
 };
 
 // Default export for module loading
@@ -361,5 +549,9 @@ export default {
   openCategoriesModal,
   saveCategories,
   addNewCategoryUI,
-  deleteCategoryUI
+  deleteCategoryUI,
+  populateSmartCategoriesList,
+  editSmartCategoryUI,
+  addNewSmartCategoryUI,
+  deleteSmartCategoryUI
 };
@@ -35,6 +35,10 @@ class CategoriesModule {
     this.getCategories = categoryOperations.getCategories;
     this.getCategoryByCode = categoryOperations.getCategoryByCode;
     this.updateCategory = categoryOperations.updateCategory;
+    this.getSmartCategories = categoryOperations.getSmartCategories;
+    this.addSmartCategory = categoryOperations.addSmartCategory;
+    this.editSmartCategory = categoryOperations.editSmartCategory;
+    this.deleteSmartCategory = categoryOperations.deleteSmartCategory;
     
     // Initialize category UI functions
     this.populateCategorySelect = categoryUI.populateCategorySelect;
@@ -44,6 +48,8 @@ class CategoriesModule {
     this.saveCategories = categoryUI.saveCategories;
     this.addNewCategoryUI = categoryUI.addNewCategoryUI;
     this.deleteCategoryUI = categoryUI.deleteCategoryUI;
+    this.addNewSmartCategoryUI = categoryUI.addNewSmartCategoryUI;
+    this.deleteSmartCategoryUI = categoryUI.deleteSmartCategoryUI;
     
     // Initialize category data functions
     this.loadCategories = categoryData.loadCategories;
@@ -83,6 +89,7 @@ class CategoriesModule {
   setupEventListeners() {
     document.getElementById('newCategoryForm')?.addEventListener('submit', this.addNewCategoryUI);
     document.getElementById('currentCategoriesForm')?.addEventListener('submit', this.saveCategories);
+    document.getElementById('newSmartCategoryForm')?.addEventListener('submit', this.addNewSmartCategoryUI);
   }
 
   /**
@@ -99,6 +106,10 @@ class CategoriesModule {
       getCategories: this.getCategories,
       getCategoryByCode: this.getCategoryByCode,
       updateCategory: this.updateCategory,
+      getSmartCategories: this.getSmartCategories,
+      addSmartCategory: this.addSmartCategory,
+      editSmartCategory: this.editSmartCategory,
+      deleteSmartCategory: this.deleteSmartCategory,
       
       // Category UI functions
       populateCategorySelect: this.populateCategorySelect,
@@ -107,6 +118,8 @@ class CategoriesModule {
       openCategoriesModal: this.openCategoriesModal,
       saveCategories: this.saveCategories,
       addNewCategoryUI: this.addNewCategoryUI,
+      addNewSmartCategoryUI: this.addNewSmartCategoryUI,
+      deleteSmartCategoryUI: this.deleteSmartCategoryUI,
       
       // Category data functions
       loadCategories: this.loadCategories,
@@ -259,7 +272,11 @@ class CategoriesModule {
           'addNewCategory',
           'getCategories',
           'getCategoryByCode',
-          'updateCategory'
+          'updateCategory',
+          'getSmartCategories',
+          'addSmartCategory',
+          'editSmartCategory',
+          'deleteSmartCategory'
         ],
         ui: [
           'populateCategorySelect',
@@ -267,7 +284,9 @@ class CategoriesModule {
           'editCategoryUI',
           'openCategoriesModal',
           'saveCategories',
-          'addNewCategoryUI'
+          'addNewCategoryUI',
+          'addNewSmartCategoryUI',
+          'deleteSmartCategoryUI'
         ],
         data: [
           'loadCategories',
@@ -314,6 +333,12 @@ export const editCategoryUI = categoriesModule.editCategoryUI.bind(categoriesMod
 export const openCategoriesModal = categoriesModule.openCategoriesModal.bind(categoriesModule);
 export const saveCategories = categoriesModule.saveCategories.bind(categoriesModule);
 export const addNewCategoryUI = categoriesModule.addNewCategoryUI.bind(categoriesModule);
+export const getSmartCategories = categoriesModule.getSmartCategories.bind(categoriesModule);
+export const addSmartCategory = categoriesModule.addSmartCategory.bind(categoriesModule);
+export const editSmartCategory = categoriesModule.editSmartCategory.bind(categoriesModule);
+export const deleteSmartCategory = categoriesModule.deleteSmartCategory.bind(categoriesModule);
+export const addNewSmartCategoryUI = categoriesModule.addNewSmartCategoryUI.bind(categoriesModule);
+export const deleteSmartCategoryUI = categoriesModule.deleteSmartCategoryUI.bind(categoriesModule);
 export const loadCategories = categoriesModule.loadCategories.bind(categoriesModule);
 export const refreshCategories = categoriesModule.refreshCategories.bind(categoriesModule);
 export const validateCategoryCode = categoriesModule.validateCategoryCode.bind(categoriesModule);
@@ -8,6 +8,7 @@
  */
 
 import sharedState from '../shared-state.js';
+import { finishPlayRecord } from '../audio/play-history-recorder.js';
 
 let debugLog = null;
 let eventCoordination = null;
@@ -111,6 +112,9 @@ function cleanupAnimationFrames() {
  */
 function cleanupAudio() {
   try {
+    // Record the song still playing (e.g. on Start a New Session) before it goes
+    finishPlayRecord();
+
     const sound = sharedState.get('sound');
     if (sound && typeof sound.unload === 'function') {
       // Remove any fade event listeners
@@ -155,9 +155,12 @@ export function allowHotkeyDrop(event) {
  * @param {Event} event - The dragstart event
  */
 export function songDrag(event) {
-  const sourceElement = (event.currentTarget instanceof Element)
+  // Hotkey pads are dragged through a listener on their tab container, so
+  // the pad under the pointer wins over the element holding the listener
+  const hotkeyPad = event.target?.closest?.('.hotkeys li') || null;
+  const sourceElement = hotkeyPad || ((event.currentTarget instanceof Element)
     ? event.currentTarget
-    : (event.target instanceof Element ? event.target : null);
+    : (event.target instanceof Element ? event.target : null));
   // The hotkey <li> is the single source of truth for songid; the inner
   // <span class="song"> must never be trusted (legacy state could leave a
   // stale id on it). Always read from the <li> when the source is that span.
@@ -0,0 +1,222 @@
+/**
+ * Ducking Module
+ *
+ * Dips the music while something talks over it and brings it back
+ * afterwards. The depth (dB), attack and release times are set in
+ * Preferences → Audio Controls. The music ducks while any of these is on:
+ *
+ * - Sound effects are playing (see the sound-effects module), unless turned
+ *   off in Preferences
+ * - The duck key (` backtick) or the Duck button is held down
+ * - The chosen microphone is above its threshold (sidechain), for talking
+ *   over the music on a live mic
+ *
+ * The engine ramps a gain in sharedState (duckGain) that the audio manager
+ * and volume controls multiply into the main track's volume. Other modules
+ * can duck through setDuckSource with a name of their own.
+ */
+
+import { info, warn } from '../debug-log/index.js';
+import sharedState from '../shared-state.js';
+import { getPreference } from '../preferences/profile-preference-adapter.js';
+import { isPlaybackSoundFading } from '../audio/playback-sound-factory.js';
+import {
+  DUCKING_DEFAULTS,
+  DUCKING_PREFERENCES,
+  dbToGain,
+  getDuckedVolume,
+  measureLevelDb,
+  normalizeDuckingSettings,
+  stepDuckLevel
+} from '../audio/ducking-policy.js';
+
+const MIC_POLL_MS = 50;
+// The mic keeps the music down this long after the voice drops below the
+// threshold, so it does not pump between words
+const MIC_HOLD_MS = 400;
+
+let settings = { ...DUCKING_DEFAULTS };
+const sources = new Set();
+let levelDb = 0;
+let animation = null;
+let lastFrameTime = null;
+let mic = null;
+
+function getTargetDb() {
+  return sources.size > 0 ? settings.depthDb : 0;
+}
+
+// Master slider × track volume, as set by the volume controls
+function getBaseVolume() {
+  const masterVolume = (Number(document.getElementById('volume')?.value ?? 100) || 0) / 100;
+  return Math.min(1, masterVolume * (sharedState.get('trackVolume') ?? 1));
+}
+
+function applyDuckGain(gain) {
+  sharedState.set('duckGain', gain);
+  const sound = sharedState.get('sound');
+  // A fade (stop, pause or crossfade) owns the volume until it ends
+  if (!sound || isPlaybackSoundFading(sound)) return;
+  sound.volume(getDuckedVolume(getBaseVolume(), gain));
+}
+
+function renderDuckButton() {
+  const button = document.getElementById('duck_button');
+  if (!button) return;
+  button.classList.toggle('active', sources.size > 0);
+  button.setAttribute('aria-pressed', sources.has('key') ? 'true' : 'false');
+}
+
+function rampFrame(now) {
+  const elapsed = lastFrameTime === null ? 0 : now - lastFrameTime;
+  lastFrameTime = now;
+  levelDb = stepDuckLevel(levelDb, getTargetDb(), elapsed, settings);
+  applyDuckGain(dbToGain(-levelDb));
+  if (levelDb === getTargetDb()) {
+    animation = null;
+    lastFrameTime = null;
+    return;
+  }
+  animation = requestAnimationFrame(rampFrame);
+}
+
+function startRamp() {
+  if (animation === null) animation = requestAnimationFrame(rampFrame);
+}
+
+/**
+ * Turn one reason to duck on or off. The music stays down while any is on.
+ * @param {string} name - e.g. 'sfx', 'key', 'mic'
+ * @param {boolean} active
+ */
+function setDuckSource(name, active) {
+  if (active === sources.has(name)) return;
+  if (active) sources.add(name);
+  else sources.delete(name);
+  renderDuckButton();
+  startRamp();
+}
+
+/**
+ * Duck key or Duck button pressed.
+ */
+function holdDuck() {
+  setDuckSource('key', true);
+}
+
+/**
+ * Duck key or Duck button released.
+ */
+function releaseDuck() {
+  setDuckSource('key', false);
+}
+
+function handleSfxVoiceCount(count) {
+  setDuckSource('sfx', settings.onSfx && count > 0);
+}
+
+function stopMicSidechain() {
+  if (!mic) return;
+  clearInterval(mic.timer);
+  mic.stream.getTracks().forEach(track => track.stop());
+  mic.context.close().catch(() => {}); // Intentional: the context may already be closed
+  mic = null;
+  setDuckSource('mic', false);
+}
+
+async function startMicSidechain(deviceId) {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { deviceId: { exact: deviceId }, echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+  });
+  const context = new AudioContext();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  context.createMediaStreamSource(stream).connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+  let lastVoiceAt = -Infinity;
+
+  mic = { stream, context, deviceId, timer: null };
+  mic.timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    const now = Date.now();
+    if (measureLevelDb(samples) >= settings.micThresholdDb) lastVoiceAt = now;
+    setDuckSource('mic', now - lastVoiceAt < MIC_HOLD_MS);
+  }, MIC_POLL_MS);
+  stream.getAudioTracks().forEach(track => track.addEventListener('ended', () => {
+    warn('Ducking microphone disconnected', { module: 'ducking', function: 'startMicSidechain', deviceId });
+    stopMicSidechain();
+  }));
+  info('Ducking microphone listening', { module: 'ducking', function: 'startMicSidechain', deviceId });
+}
+
+async function applyMicSetting() {
+  if (mic && mic.deviceId === settings.micDevice) return;
+  stopMicSidechain();
+  if (!settings.micDevice) return;
+  try {
+    await startMicSidechain(settings.micDevice);
+  } catch (err) {
+    warn('Could not listen to the ducking microphone', {
+      module: 'ducking', function: 'applyMicSetting', deviceId: settings.micDevice, error: err.message
+    });
+  }
+}
+
+/**
+ * Reload the ducking preferences and start or stop the microphone.
+ * Called after Preferences are saved.
+ */
+async function refreshDucking() {
+  try {
+    const results = await Promise.all(DUCKING_PREFERENCES.map(key => getPreference(key, window.secureElectronAPI)));
+    const preferences = {};
+    DUCKING_PREFERENCES.forEach((key, index) => {
+      if (results[index]?.success) preferences[key] = results[index].value;
+    });
+    settings = normalizeDuckingSettings(preferences);
+  } catch (err) {
+    warn('Could not load the ducking preferences', { module: 'ducking', function: 'refreshDucking', error: err.message });
+  }
+  handleSfxVoiceCount(sharedState.get('sfxVoiceCount') || 0);
+  // A new depth applies to a duck in progress
+  startRamp();
+  await applyMicSetting();
+  return settings;
+}
+
+/**
+ * Wire the Duck button and the sound effect trigger, and load the
+ * preferences. The duck key is bound by the keyboard manager.
+ */
+function initializeDucking() {
+  if (typeof document === 'undefined') return;
+
+  const button = document.getElementById('duck_button');
+  button?.addEventListener('pointerdown', holdDuck);
+  button?.addEventListener('pointerup', releaseDuck);
+  button?.addEventListener('pointerleave', releaseDuck);
+  // A key released while the window is in the background never sends keyup
+  window.addEventListener('blur', releaseDuck);
+  sharedState.set('duckGain', 1);
+  sharedState.subscribe('sfxVoiceCount', handleSfxVoiceCount);
+  refreshDucking();
+
+  info('Ducking module initialized', { module: 'ducking', function: 'initializeDucking' });
+}
+
+export {
+  initializeDucking,
+  refreshDucking,
+  setDuckSource,
+  holdDuck,
+  releaseDuck,
+  stopMicSidechain
+};
+
+export default {
+  initializeDucking,
+  refreshDucking,
+  setDuckSource,
+  holdDuck,
+  releaseDuck
+};
@@ -0,0 +1,304 @@
+/**
+ * Duplicate Finder Module
+ *
+ * The Songs > Find Duplicates view: lists groups of songs that look like the
+ * same track and merges a group into the song chosen to keep. Hotkeys and
+ * holding tank entries that pointed at a removed duplicate are repointed to
+ * the kept song, and music files no other song uses can be deleted.
+ */
+
+import { info, warn, error } from '../debug-log/index.js';
+import {
+  secureDatabase,
+  secureFileSystem,
+  securePath,
+  secureStore
+} from '../adapters/secure-adapter.js';
+import { customConfirm } from '../utils/index.js';
+import sharedState from '../shared-state.js';
+
+const REASON_LABELS = {
+  'title-artist': 'Same title and artist',
+  'file-hash': 'Identical file',
+  duration: 'Same title and length'
+};
+
+let moduleRegistry = {};
+let currentGroups = [];
+
+/**
+ * The song a group keeps by default: the most played, then the oldest.
+ * @param {Array<Object>} songs - Group songs with play_count
+ * @returns {Object|null}
+ */
+function chooseSongToKeep(songs) {
+  return [...songs].sort((a, b) => (Number(b.play_count) || 0) - (Number(a.play_count) || 0) || a.id - b.id)[0] || null;
+}
+
+/**
+ * Repoint hotkey assignments. Returns a new snapshot.
+ * @param {Array<Object>} snapshot - getHotkeySnapshot() tabs
+ * @param {Object<string, string>} songIdMap - Removed song ID to kept song ID
+ * @returns {Array<Object>}
+ */
+function remapHotkeySnapshot(snapshot, songIdMap) {
+  return snapshot.map(tab => ({
+    ...tab,
+    hotkeys: Object.fromEntries(Object.entries(tab.hotkeys || {})
+      .map(([key, songId]) => [key, songIdMap[String(songId)] ?? songId]))
+  }));
+}
+
+/**
+ * Repoint holding tank entries. Returns a new snapshot.
+ * @param {Array<Object>} snapshot - getHoldingTankSnapshot() tabs
+ * @param {Object<string, string>} songIdMap - Removed song ID to kept song ID
+ * @returns {Array<Object>}
+ */
+function remapHoldingTankSnapshot(snapshot, songIdMap) {
+  return snapshot.map(tab => ({
+    ...tab,
+    songIds: (tab.songIds || []).map(songId => songIdMap[String(songId)] ?? songId)
+  }));
+}
+
+// Main repoints the other profiles; the open one is repointed here so the
+// next save does not write the old IDs back.
+async function repointCurrentProfile(songIdMap) {
+  const { hotkeys, holdingTank, profileState } = moduleRegistry;
+  if (hotkeys?.getHotkeySnapshot && hotkeys.restoreHotkeySnapshot) {
+    await hotkeys.restoreHotkeySnapshot(remapHotkeySnapshot(hotkeys.getHotkeySnapshot(), songIdMap));
+  }
+  if (holdingTank?.getHoldingTankSnapshot && holdingTank.restoreHoldingTankSnapshot) {
+    await holdingTank.restoreHoldingTankSnapshot(remapHoldingTankSnapshot(holdingTank.getHoldingTankSnapshot(), songIdMap));
+  }
+  await profileState?.saveProfileState?.();
+}
+
+async function deleteMusicFiles(filenames) {
+  const dirResult = await secureStore.get('music_directory');
+  const musicDirectory = dirResult?.success && dirResult.value ? dirResult.value : null;
+  if (!musicDirectory) {
+    warn('No music directory for orphaned file delete', { module: 'duplicate-finder', function: 'deleteMusicFiles' });
+    return 0;
+  }
+  let deleted = 0;
+  for (const filename of filenames) {
+    const joinResult = await securePath.join(musicDirectory, filename);
+    const result = joinResult?.success ? await secureFileSystem.delete(joinResult.data) : null;
+    if (result?.success) {
+      deleted++;
+    } else {
+      warn('Failed to delete orphaned music file', {
+        module: 'duplicate-finder', function: 'deleteMusicFiles', filename, error: result?.error || joinResult?.error
+      });
+    }
+  }
+  return deleted;
+}
+
+function setMessage(text) {
+  const messageEl = document.getElementById('duplicate-finder-message');
+  if (!messageEl) return;
+  messageEl.textContent = text;
+  messageEl.style.display = text ? '' : 'none';
+}
+
+function createCell(text) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  return td;
+}
+
+function renderGroup(group, index) {
+  const categories = sharedState.get('categories') || {};
+  const keep = chooseSongToKeep(group.songs);
+
+  const card = document.createElement('div');
+  card.className = 'card mb-2 duplicate-group';
+  card.setAttribute('data-group-index', String(index));
+
+  const header = document.createElement('div');
+  header.className = 'card-header d-flex justify-content-between align-items-center py-1';
+  const reasons = document.createElement('span');
+  reasons.className = 'small text-muted';
+  reasons.textContent = group.reasons.map(reason => REASON_LABELS[reason] || reason).join(' · ');
+  const mergeButton = document.createElement('button');
+  mergeButton.type = 'button';
+  mergeButton.className = 'btn btn-primary btn-sm';
+  mergeButton.textContent = 'Merge';
+  mergeButton.setAttribute('data-merge-group', String(index));
+  header.appendChild(reasons);
+  header.appendChild(mergeButton);
+  card.appendChild(header);
+
+  const table = document.createElement('table');
+  table.className = 'table table-sm mb-0';
+  const tbody = document.createElement('tbody');
+  for (const song of group.songs) {
+    const tr = document.createElement('tr');
+    tr.setAttribute('songid', String(song.id));
+    const radioCell = document.createElement('td');
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.className = 'form-check-input';
+    radio.name = `duplicate-keep-${index}`;
+    radio.value = String(song.id);
+    radio.checked = song.id === keep?.id;
+    radio.title = 'Keep this song';
+    radioCell.appendChild(radio);
+    tr.appendChild(radioCell);
+    for (const text of [
+      song.title || '',
+      song.artist || '',
+      categories[song.category] || song.category || '',
+      song.time || '',
+      String(song.play_count || 0),
+      song.filename || ''
+    ]) {
+      tr.appendChild(createCell(text));
+    }
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  card.appendChild(table);
+  return card;
+}
+
+/**
+ * Render duplicate groups into the view.
+ * @param {Array<Object>} groups - FIND_DUPLICATE_SONGS groups
+ */
+function renderDuplicateGroups(groups) {
+  currentGroups = groups;
+  const container = document.getElementById('duplicate-finder-groups');
+  if (!container) return;
+  container.textContent = '';
+  groups.forEach((group, index) => container.appendChild(renderGroup(group, index)));
+  setMessage(groups.length ? '' : 'No duplicate songs found.');
+}
+
+/**
+ * Look for duplicates and show them.
+ * @returns {Promise<boolean>} true when the groups were loaded
+ */
+async function loadDuplicateGroups() {
+  setMessage('Looking for duplicates...');
+  try {
+    const result = await secureDatabase.findDuplicateSongs();
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unknown error');
+    }
+    renderDuplicateGroups(result.data || []);
+    return true;
+  } catch (err) {
+    renderDuplicateGroups([]);
+    setMessage(`Could not look for duplicates: ${err.message}`);
+    error('Failed to find duplicate songs', {
+      module: 'duplicate-finder', function: 'loadDuplicateGroups', error: err.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Merge one group into the song selected to keep.
+ * @param {number} index - Group index in the current view
+ * @returns {Promise<Object|null>} the merge result, or null when nothing was merged
+ */
+async function mergeDuplicateGroup(index) {
+  const group = currentGroups[index];
+  if (!group) return null;
+  const selected = document.querySelector(`input[name="duplicate-keep-${index}"]:checked`);
+  const keep = group.songs.find(song => String(song.id) === selected?.value) || chooseSongToKeep(group.songs);
+  const removeIds = group.songs.filter(song => song.id !== keep.id).map(song => song.id);
+
+  const confirmed = await customConfirm(
+    `Keep "${keep.title || 'Untitled'}" and remove ${removeIds.length} duplicate${removeIds.length === 1 ? '' : 's'}? Hotkeys and holding tank entries will use the kept song.`,
+    'Merge Duplicates'
+  );
+  if (!confirmed) return null;
+
+  try {
+    const result = await secureDatabase.mergeDuplicateSongs(keep.id, removeIds);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unknown error');
+    }
+    const merge = result.data;
+    const songIdMap = Object.fromEntries(merge.removedIds.map(id => [String(id), String(merge.keptId)]));
+    await repointCurrentProfile(songIdMap);
+    merge.removedIds.forEach((id) => {
+      document.querySelectorAll(`#search_results tr[songid="${id}"]`).forEach(el => el.remove());
+    });
+
+    if (merge.orphanedFiles.length) {
+      const deleteFiles = await customConfirm(
+        `No other song uses ${merge.orphanedFiles.length === 1 ? 'this music file' : `these ${merge.orphanedFiles.length} music files`}: ${merge.orphanedFiles.join(', ')}. Delete ${merge.orphanedFiles.length === 1 ? 'it' : 'them'}?`,
+        'Delete Music Files'
+      );
+      if (deleteFiles) {
+        merge.deletedFiles = await deleteMusicFiles(merge.orphanedFiles);
+      }
+    }
+
+    info('Merged duplicate songs', {
+      module: 'duplicate-finder', function: 'mergeDuplicateGroup',
+      keptId: merge.keptId, removedIds: merge.removedIds, profilesUpdated: merge.profilesUpdated
+    });
+    await loadDuplicateGroups();
+    return merge;
+  } catch (err) {
+    setMessage(`Could not merge duplicates: ${err.message}`);
+    error('Failed to merge duplicate songs', {
+      module: 'duplicate-finder', function: 'mergeDuplicateGroup', error: err.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Open the duplicate finder.
+ */
+async function showDuplicateFinder() {
+  const { showModal } = await import('../ui/bootstrap-adapter.js');
+  showModal('#duplicateFinderModal');
+  await loadDuplicateGroups();
+}
+
+/**
+ * Wire the view's buttons.
+ * @param {Object} [dependencies]
+ * @param {Object} [dependencies.moduleRegistry] - For the hotkeys, holding tank and profile state modules
+ */
+function initializeDuplicateFinder(dependencies = {}) {
+  moduleRegistry = dependencies.moduleRegistry || {};
+  if (typeof document === 'undefined') return;
+
+  document.getElementById('duplicate-finder-groups')?.addEventListener('click', (event) => {
+    const button = event.target?.closest?.('[data-merge-group]');
+    if (button) mergeDuplicateGroup(Number(button.getAttribute('data-merge-group')));
+  });
+  document.getElementById('duplicate-finder-refresh')?.addEventListener('click', () => loadDuplicateGroups());
+
+  info('Duplicate Finder module initialized', {
+    module: 'duplicate-finder',
+    function: 'initializeDuplicateFinder'
+  });
+}
+
+export {
+  initializeDuplicateFinder,
+  showDuplicateFinder,
+  loadDuplicateGroups,
+  mergeDuplicateGroup,
+  chooseSongToKeep,
+  remapHotkeySnapshot,
+  remapHoldingTankSnapshot
+};
+
+export default {
+  initializeDuplicateFinder,
+  showDuplicateFinder,
+  loadDuplicateGroups,
+  mergeDuplicateGroup
+};
@@ -42,6 +42,9 @@ export default class AudioControlEvents {
       // Waveform display toggle
       this.attachWaveformDisplayEvents();
 
+      // Tempo and pitch
+      this.attachSpeedControlEvents();
+
       this.eventsAttached = true;
       this.debugLog?.info('Audio control event handlers attached successfully');
 
@@ -153,8 +156,9 @@ export default class AudioControlEvents {
           import('../shared-state.js').then(sharedStateModule => {
             const sharedState = sharedStateModule.default;
             const trackVolume = sharedState.get('trackVolume') ?? 1;
-            const volume = masterVolume * trackVolume;
-            this.debugLog?.debug('New volume (master * track)', { masterVolume, trackVolume, volume });
+            // Ducking (see the ducking module) stays applied
+            const volume = Math.min(1, masterVolume * trackVolume * (sharedState.get('duckGain') ?? 1));
+            this.debugLog?.debug('New volume (master * track * duck)', { masterVolume, trackVolume, volume });
             const sound = sharedState.get('sound');
             if (sound) {
               this.debugLog?.debug('Setting volume on sound object');
@@ -225,12 +229,17 @@ export default class AudioControlEvents {
         
         // Get sound from shared state
         if (this.electronAPI && this.electronAPI.store) {
-          import('../shared-state.js').then(sharedStateModule => {
+          Promise.all([
+            import('../shared-state.js'),
+            import('../audio/loop-region-timer.js')
+          ]).then(([sharedStateModule, loopRegionTimer]) => {
             const sharedState = sharedStateModule.default;
             const sound = sharedState.get('sound');
             if (sound) {
               this.debugLog?.debug('Seeking to position in sound');
-              sound.seek(sound.duration() * percent);
+              const position = sound.duration() * percent;
+              sound.seek(position);
+              loopRegionTimer.releaseLoopRegionPast(position);
             } else {
               this.debugLog?.debug('No sound object found in shared state');
             }
@@ -253,12 +262,17 @@ export default class AudioControlEvents {
         
         // Get sound from shared state
         if (this.electronAPI && this.electronAPI.store) {
-          import('../shared-state.js').then(sharedStateModule => {
+          Promise.all([
+            import('../shared-state.js'),
+            import('../audio/loop-region-timer.js')
+          ]).then(([sharedStateModule, loopRegionTimer]) => {
             const sharedState = sharedStateModule.default;
             const sound = sharedState.get('sound');
             if (sound) {
               this.debugLog?.debug('Seeking to position in sound');
-              sound.seek(sound.duration() * percent);
+              const position = sound.duration() * percent;
+              sound.seek(position);
+              loopRegionTimer.releaseLoopRegionPast(position);
             } else {
               this.debugLog?.debug('No sound object found in shared state');
             }
@@ -350,6 +364,39 @@ export default class AudioControlEvents {
     this.debugLog?.debug('Waveform display events attached');
   }
 
+  /**
+   * Tempo and pitch panel events
+   */
+  attachSpeedControlEvents() {
+    const setSpeed = (changes) => {
+      try {
+        const setPlaybackSpeed = this.moduleRegistry.audio?.setPlaybackSpeed;
+        if (typeof setPlaybackSpeed === 'function') {
+          setPlaybackSpeed(changes);
+        } else {
+          this.debugLog?.warn('setPlaybackSpeed function not available');
+        }
+      } catch (error) {
+        this.debugLog?.error('Error changing tempo or pitch:', error);
+      }
+    };
+    const handlers = [
+      ['speedButton', '#speed_button', 'click', () => document.getElementById('speed-panel')?.classList.toggle('d-none')],
+      ['speedClose', '#speed_close_button', 'click', () => document.getElementById('speed-panel')?.classList.add('d-none')],
+      ['speedTempo', '#speed_tempo', 'input', (event) => setSpeed({ rate: event.target.value })],
+      ['speedPitch', '#speed_pitch', 'input', (event) => setSpeed({ semitones: event.target.value })],
+      ['speedPreservePitch', '#speed_preserve_pitch', 'change', (event) => setSpeed({ preservePitch: event.target.checked })],
+      ['speedReset', '#speed_reset', 'click', () => this.moduleRegistry.audio?.resetPlaybackSpeed?.()]
+    ];
+
+    for (const [name, selector, eventName, handler] of handlers) {
+      document.querySelector(selector)?.addEventListener(eventName, handler);
+      this.audioHandlers.set(name, { element: selector, event: eventName, handler });
+    }
+
+    this.debugLog?.debug('Speed control events attached');
+  }
+
   /**
    * Detach all audio control events
    */
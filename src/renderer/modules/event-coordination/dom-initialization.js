@@ -96,7 +96,8 @@ export default class DOMInitialization {
         // Clone hotkey tab
         const baseHotkeys = document.getElementById('hotkeys_list_1');
         const hotkeysContainer = document.getElementById('hotkey-tab-content');
-        if (baseHotkeys && hotkeysContainer) {
+        // Hotkey tabs restored from the profile may already have their pane
+        if (baseHotkeys && hotkeysContainer && !document.getElementById(`hotkeys_list_${i}`)) {
           const clone = baseHotkeys.cloneNode(true);
           clone.id = `hotkeys_list_${i}`;
           clone.classList.remove('show', 'active');
@@ -167,11 +168,23 @@ export default class DOMInitialization {
           setTimeout(() => restoreHotkeyId(), 50);
         }
       });
+      let markerItem = mkItem('Start at Marker...', () => {
+        if (this.moduleRegistry.songMarkers?.chooseHotkeyMarker) {
+          this.moduleRegistry.songMarkers.chooseHotkeyMarker(document.getElementById('selected_row'));
+          setTimeout(() => restoreHotkeyId(), 50);
+        }
+      });
+      let padItem = mkItem('Pad Settings...', () => {
+        if (this.moduleRegistry.hotkeys?.chooseHotkeyPadSettings) {
+          this.moduleRegistry.hotkeys.chooseHotkeyPadSettings(document.getElementById('selected_row'));
+          setTimeout(() => restoreHotkeyId(), 50);
+        }
+      });
       let deleteItem = mkItem('Delete', () => {
         // This default handler is now managed dynamically in the show function
         // to prevent duplicate listeners.
       });
-      menu.append(playItem, editItem, deleteItem);
+      menu.append(playItem, editItem, markerItem, padItem, deleteItem);
       document.body.appendChild(menu);
 
       // Track if we're waiting for a hotkey operation to complete
@@ -227,6 +240,9 @@ export default class DOMInitialization {
 
       const show = (x, y, dynamicDeleteLabel, onRemoveHotkey) => {
         deleteItem.textContent = dynamicDeleteLabel || 'Delete';
+        // Only hotkeys start their song at a marker or have pad settings
+        markerItem.style.display = dynamicDeleteLabel === 'Remove from Hotkey' ? '' : 'none';
+        padItem.style.display = markerItem.style.display;
         menu.style.left = `${x}px`;
         menu.style.top = `${y}px`;
         menu.style.display = 'block';
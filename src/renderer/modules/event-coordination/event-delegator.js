@@ -6,6 +6,7 @@
  */
 
 import sharedState from '../shared-state.js';
+import { toggleSearchResultSort } from '../search/play-count-column.js';
 
 export default class EventDelegator {
   constructor(dependencies = {}) {
@@ -53,8 +54,14 @@ export default class EventDelegator {
     if (!table) return;
     const clickHandler = (event) => {
       const row = event.target && event.target.closest('tbody tr');
-      if (row && table.contains(row) && this.moduleRegistry.ui?.toggleSelectedRow)
-        this.moduleRegistry.ui.toggleSelectedRow(row);
+      if (row && table.contains(row)) {
+        this.moduleRegistry.ui?.toggleSelectedRow?.(row);
+        return;
+      }
+      const header = event.target && event.target.closest('th[data-sort-key]');
+      if (header && table.contains(header)) {
+        toggleSearchResultSort(header.getAttribute('data-sort-key'));
+      }
     };
     const contextHandler = (event) => {
       const row = event.target && event.target.closest('tbody tr');
@@ -63,7 +70,13 @@ export default class EventDelegator {
     };
     const dblHandler = (event) => {
       const row = event.target && event.target.closest('tbody tr.song');
-      if (row && table.contains(row) && this.moduleRegistry.audio?.playSelected) {
+      if (!row || !table.contains(row)) return;
+      // Shift+double-click auditions the song in the preview player
+      if (event.shiftKey && this.moduleRegistry.previewPlayer?.previewSong) {
+        this.moduleRegistry.previewPlayer.previewSong(row.getAttribute('songid'));
+        return;
+      }
+      if (this.moduleRegistry.audio?.playSelected) {
         window.secureElectronAPI?.analytics?.trackEvent?.('song_played', { trigger_method: 'search_result' });
         this.moduleRegistry.audio.playSelected();
       }
@@ -109,6 +122,10 @@ export default class EventDelegator {
     const holdingTankDoubleClickHandler = (event) => {
       const li = event.target && event.target.closest('.list-group-item');
       if (!li || !event.currentTarget.contains(li)) return;
+      if (event.shiftKey && this.moduleRegistry.previewPlayer?.previewSong) {
+        this.moduleRegistry.previewPlayer.previewSong(li.getAttribute('songid'));
+        return;
+      }
       const firstNow = document.querySelector('.now_playing');
       firstNow?.classList.remove('now_playing');
       document.getElementById('selected_row')?.removeAttribute('id');
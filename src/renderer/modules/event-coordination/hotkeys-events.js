@@ -2,7 +2,9 @@
  * Hotkeys Events Module
  * 
  * Handles all hotkey-related event handlers including:
- * - Double-click to play songs from hotkeys
+ * - Double-click (list tabs) or click (grid tabs) to play songs from hotkeys,
+ *   and press-and-hold for momentary pads
+ * - The pad settings window and the Import Hotkey Bundle window
  * - Drag and drop for hotkey assignment
  * - Hotkey tab management
  * 
@@ -55,6 +57,12 @@ export default class HotkeysEvents {
       // Tab management events
       this.attachTabEvents();
 
+      // Pad settings window
+      this.attachPadSettingsEvents();
+
+      // Import Hotkey Bundle window
+      this.attachBundleImportEvents();
+
       this.eventsAttached = true;
       this.debugLog?.info('Hotkeys event handlers attached successfully');
 
@@ -64,72 +72,117 @@ export default class HotkeysEvents {
   }
 
   /**
-   * Attach double-click playback events
+   * Attach playback events. List tabs play on double-click; grid tabs play
+   * on a single click, like a sampler's pads. Handlers are delegated to the
+   * tab container, so pads and tabs added later play too.
    */
   attachPlaybackEvents() {
     try {
-      const hotkeysElements = document.querySelectorAll('.hotkeys');
-      if (hotkeysElements.length === 0) {
+      const tabContent = document.getElementById('hotkey-tab-content');
+      if (!tabContent) {
         this.debugLog?.warn('No hotkeys elements found for playback events');
         return;
       }
 
-      // Double-click to play song from hotkey
-      const doubleClickHandler = (event) => {
-        const li = event.target && event.target.closest('li');
+      const hotkeys = () => this.moduleRegistry.hotkeys;
+      const padFromEvent = (event) => event.target?.closest?.('.hotkeys li') || null;
+      const isMomentary = (li) => hotkeys()?.getHotkeyPadSettings?.(li)?.behavior === 'momentary';
+
+      // The hotkeys module plays, stops or fades the pad by its behavior
+      const playFromPad = (event) => {
+        const li = padFromEvent(event);
         if (!li) return;
 
-        // Verify the clicked element is within a hotkeys container
-        const hotkeysContainer = li.closest('.hotkeys');
-        if (!hotkeysContainer) return;
-
-        // Clear any existing selection
-        document.querySelector('.now_playing')?.classList.remove('now_playing');
-        document.getElementById('selected_row')?.removeAttribute('id');
-        document
-          .querySelectorAll('[id*="_hotkey"]')
-          .forEach((item) => item.classList.remove('active-hotkey', 'selected-row'));
-        li.classList.add('active-hotkey', 'selected-row');
-        window.currentSelectedHotkey = li.id;
-
-        // Get song ID and play
-        const span = li.querySelector('span');
-        if (span && (span.textContent || '').length) {
-          const song_id = li.getAttribute('songid');
-          if (song_id && this.moduleRegistry.audio?.playSongFromId) {
-            this.debugLog?.info('🎵 Playing song from hotkey double-click', {
-              module: 'hotkeys-events',
-              function: 'attachPlaybackEvents',
-              song_id: song_id,
-              tab_id: hotkeysContainer.id
-            });
-            window.secureElectronAPI?.analytics?.trackEvent?.('song_played', { trigger_method: 'hotkey' });
-            this.moduleRegistry.audio.playSongFromId(song_id);
-          } else {
-            this.debugLog?.warn('Cannot play song - missing song_id or playSongFromId function', {
-              module: 'hotkeys-events',
-              function: 'attachPlaybackEvents',
-              song_id: song_id,
-              hasPlayFunction: !!this.moduleRegistry.audio?.playSongFromId,
-              tab_id: hotkeysContainer.id
-            });
-          }
+        // Shift+double-click auditions the song without touching playback
+        if (event.shiftKey) {
+          const previewId = li.getAttribute('songid');
+          if (previewId) this.moduleRegistry.previewPlayer?.previewSong?.(previewId);
+          return;
         }
-      };
 
-      // Attach event handler to ALL hotkeys elements (all tabs)
-      hotkeysElements.forEach((hotkeysRoot, index) => {
-        hotkeysRoot.addEventListener('dblclick', doubleClickHandler);
-        
-        // Store handler for cleanup
-        this.hotkeyHandlers.set(`doubleClick_${index}`, {
-          element: hotkeysRoot,
-          event: 'dblclick',
-          handler: doubleClickHandler
+        const location = hotkeys()?.getHotkeyLocation?.(li);
+        if (!location || !li.getAttribute('songid')) return;
+        if (typeof hotkeys()?.pressHotkey !== 'function') {
+          this.debugLog?.warn('Cannot play song - hotkeys module not available', {
+            module: 'hotkeys-events',
+            function: 'attachPlaybackEvents',
+            tab_id: li.closest('.hotkeys')?.id
+          });
+          return;
+        }
+        this.debugLog?.info('🎵 Playing song from hotkey pad', {
+          module: 'hotkeys-events',
+          function: 'attachPlaybackEvents',
+          song_id: li.getAttribute('songid'),
+          tab_id: li.closest('.hotkeys')?.id
         });
+        hotkeys().pressHotkey(location.key);
+      };
+
+      const doubleClickHandler = (event) => {
+        // Grid pads already played on the first click and momentary pads
+        // play while held; a shift+double-click still auditions
+        const li = padFromEvent(event);
+        if ((event.target?.closest?.('.hotkey-grid') || (li && isMomentary(li))) && !event.shiftKey) return;
+        playFromPad(event);
+      };
+
+      const clickHandler = (event) => {
+        if (!event.target?.closest?.('.hotkey-grid') || event.shiftKey) return;
+        const li = padFromEvent(event);
+        if (li && isMomentary(li)) return;
+        playFromPad(event);
+      };
+
+      // Momentary pads play while the mouse button or finger is down
+      const pointerDownHandler = (event) => {
+        const li = padFromEvent(event);
+        if (!li || event.button !== 0 || event.shiftKey || !isMomentary(li)) return;
+        const location = hotkeys()?.getHotkeyLocation?.(li);
+        if (!location) return;
+        // The release arrives here even when the pointer has left the pad
+        li.setPointerCapture?.(event.pointerId);
+        hotkeys()?.pressHotkey?.(location.key, { trigger: 'pointer' });
+      };
+
+      const pointerUpHandler = () => {
+        hotkeys()?.releaseHotkey?.('pointer');
+      };
+
+      tabContent.addEventListener('dblclick', doubleClickHandler);
+      tabContent.addEventListener('click', clickHandler);
+      tabContent.addEventListener('pointerdown', pointerDownHandler);
+      tabContent.addEventListener('pointerup', pointerUpHandler);
+      tabContent.addEventListener('pointercancel', pointerUpHandler);
+
+      // Store handlers for cleanup
+      this.hotkeyHandlers.set('doubleClick', {
+        element: tabContent,
+        event: 'dblclick',
+        handler: doubleClickHandler
+      });
+      this.hotkeyHandlers.set('padClick', {
+        element: tabContent,
+        event: 'click',
+        handler: clickHandler
+      });
+      this.hotkeyHandlers.set('padPointerDown', {
+        element: tabContent,
+        event: 'pointerdown',
+        handler: pointerDownHandler
+      });
+      this.hotkeyHandlers.set('padPointerUp', {
+        element: tabContent,
+        event: 'pointerup',
+        handler: pointerUpHandler
+      });
+      this.hotkeyHandlers.set('padPointerCancel', {
+        element: tabContent,
+        event: 'pointercancel',
+        handler: pointerUpHandler
       });
 
-      this.debugLog?.debug(`Hotkey playback events attached to ${hotkeysElements.length} hotkey tabs`);
+      this.debugLog?.debug('Hotkey playback events attached');
 
     } catch (error) {
       this.debugLog?.error('Failed to attach hotkey playback events:', error);
@@ -137,73 +190,69 @@ export default class HotkeysEvents {
   }
 
   /**
-   * Attach drag and drop events for hotkey assignment
+   * Attach drag and drop events for hotkey assignment, delegated to the tab
+   * container like the playback events
    */
   attachDragDropEvents() {
     try {
-      const hotkeyItems = document.querySelectorAll('.hotkeys li');
-      if (!hotkeyItems.length) {
+      const tabContent = document.getElementById('hotkey-tab-content');
+      if (!tabContent) {
         this.debugLog?.warn('No hotkey items found for drag and drop events');
         return;
       }
 
-      hotkeyItems.forEach((li) => {
-        li.addEventListener('dragstart', songDrag);
-        this.hotkeyHandlers.set(`dragstart_${li.id}`, {
-          element: li,
-          event: 'dragstart',
-          handler: songDrag
-        });
+      const padFromEvent = (event) => event.target?.closest?.('.hotkeys li') || null;
 
-        // Drop event
-        const dropHandler = (event) => {
-          li.classList.remove('drop_target');
-          const data = (event.originalEvent || event).dataTransfer?.getData('text') || '';
-          if (!data.length) return;
-
-          // Use the hotkeys module's drop functionality if available
-          if (this.moduleRegistry?.hotkeys?.hotkeyDrop) {
-            this.moduleRegistry.hotkeys.hotkeyDrop(event.originalEvent || event, {
-              setLabelFromSongId: this.moduleRegistry.hotkeys.setLabelFromSongId?.bind(this.moduleRegistry.hotkeys)
-            });
-          } else {
-            this.debugLog?.warn('Hotkeys module drop functionality not available');
-          }
-        };
+      const dragStartHandler = (event) => {
+        if (padFromEvent(event)) songDrag(event);
+      };
 
-        // Drag over event
-        const dragOverHandler = (event) => {
-          li.classList.add('drop_target');
-          if (this.moduleRegistry?.hotkeys?.allowHotkeyDrop) {
-            this.moduleRegistry.hotkeys.allowHotkeyDrop(event.originalEvent || event);
-          }
-        };
+      // Drop event
+      const dropHandler = (event) => {
+        const li = padFromEvent(event);
+        if (!li) return;
+        li.classList.remove('drop_target');
+        const data = (event.originalEvent || event).dataTransfer?.getData('text') || '';
+        if (!data.length) return;
+
+        // Use the hotkeys module's drop functionality if available
+        if (this.moduleRegistry?.hotkeys?.hotkeyDrop) {
+          this.moduleRegistry.hotkeys.hotkeyDrop(event.originalEvent || event, {
+            setLabelFromSongId: this.moduleRegistry.hotkeys.setLabelFromSongId?.bind(this.moduleRegistry.hotkeys)
+          });
+        } else {
+          this.debugLog?.warn('Hotkeys module drop functionality not available');
+        }
+      };
 
-        // Drag leave event
-        const dragLeaveHandler = (event) => {
-          event.currentTarget.classList.remove('drop_target');
-        };
+      // Drag over event
+      const dragOverHandler = (event) => {
+        const li = padFromEvent(event);
+        if (!li) return;
+        li.classList.add('drop_target');
+        if (this.moduleRegistry?.hotkeys?.allowHotkeyDrop) {
+          this.moduleRegistry.hotkeys.allowHotkeyDrop(event.originalEvent || event);
+        }
+      };
 
-        // Attach events
-        li.addEventListener('drop', dropHandler);
-        li.addEventListener('dragover', dragOverHandler);
-        li.addEventListener('dragleave', dragLeaveHandler);
+      // Drag leave event
+      const dragLeaveHandler = (event) => {
+        padFromEvent(event)?.classList.remove('drop_target');
+      };
 
+      const handlers = {
+        dragstart: dragStartHandler,
+        drop: dropHandler,
+        dragover: dragOverHandler,
+        dragleave: dragLeaveHandler
+      };
+      Object.entries(handlers).forEach(([eventName, handler]) => {
+        tabContent.addEventListener(eventName, handler);
         // Store handlers for cleanup
-        this.hotkeyHandlers.set(`drop_${li.id}`, {
-          element: li,
-          event: 'drop',
-          handler: dropHandler
-        });
-        this.hotkeyHandlers.set(`dragover_${li.id}`, {
-          element: li,
-          event: 'dragover',
-          handler: dragOverHandler
-        });
-        this.hotkeyHandlers.set(`dragleave_${li.id}`, {
-          element: li,
-          event: 'dragleave',
-          handler: dragLeaveHandler
+        this.hotkeyHandlers.set(eventName, {
+          element: tabContent,
+          event: eventName,
+          handler
         });
       });
 
@@ -225,9 +274,9 @@ export default class HotkeysEvents {
         return;
       }
 
-      // Double-click to rename tab
+      // Double-click to rename tab (not the add-tab button)
       const tabDoubleClickHandler = (event) => {
-        if (event.target && event.target.closest('.nav-link')) {
+        if (event.target && event.target.closest('.nav-link[data-bs-toggle="tab"]')) {
           if (this.moduleRegistry?.hotkeys?.renameHotkeyTab) {
             this.moduleRegistry.hotkeys.renameHotkeyTab();
           } else {
@@ -252,6 +301,77 @@ export default class HotkeysEvents {
     }
   }
 
+  /**
+   * Attach the pad settings window's Save button
+   */
+  attachPadSettingsEvents() {
+    try {
+      const saveButton = document.getElementById('hotkey-pad-save');
+      if (!saveButton) {
+        this.debugLog?.debug('No pad settings window found');
+        return;
+      }
+
+      const saveHandler = () => {
+        this.moduleRegistry?.hotkeys?.saveHotkeyPadSettings?.();
+      };
+      saveButton.addEventListener('click', saveHandler);
+      this.hotkeyHandlers.set('padSettingsSave', {
+        element: saveButton,
+        event: 'click',
+        handler: saveHandler
+      });
+
+      // Picking a color turns the pad color on
+      const colorInput = document.getElementById('hotkey-pad-color');
+      if (colorInput) {
+        const colorHandler = () => {
+          const enabled = document.getElementById('hotkey-pad-color-enabled');
+          if (enabled) enabled.checked = true;
+        };
+        colorInput.addEventListener('input', colorHandler);
+        this.hotkeyHandlers.set('padColorInput', {
+          element: colorInput,
+          event: 'input',
+          handler: colorHandler
+        });
+      }
+
+      this.debugLog?.debug('Hotkey pad settings events attached');
+
+    } catch (error) {
+      this.debugLog?.error('Failed to attach hotkey pad settings events:', error);
+    }
+  }
+
+  /**
+   * Attach the Import Hotkey Bundle window's Import button
+   */
+  attachBundleImportEvents() {
+    try {
+      const confirmButton = document.getElementById('hotkey-bundle-import-confirm');
+      if (!confirmButton) {
+        this.debugLog?.debug('No hotkey bundle import window found');
+        return;
+      }
+
+      const confirmHandler = () => {
+        this.moduleRegistry?.hotkeys?.confirmHotkeyBundleImport?.();
+      };
+      confirmButton.addEventListener('click', confirmHandler);
+      this.hotkeyHandlers.set('bundleImportConfirm', {
+        element: confirmButton,
+        event: 'click',
+        handler: confirmHandler
+      });
+
+      this.debugLog?.debug('Hotkey bundle import events attached');
+
+    } catch (error) {
+      this.debugLog?.error('Failed to attach hotkey bundle import events:', error);
+    }
+  }
+
   /**
    * Detach all hotkey event handlers
    */
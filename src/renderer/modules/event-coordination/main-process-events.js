@@ -30,8 +30,8 @@ function setupMainProcessEventBridge({
     });
   });
 
-  register('onFkeyLoad', (fkeys, title) => callFirstAvailable(
-    [moduleRegistry.hotkeys?.populateHotkeys?.bind(moduleRegistry.hotkeys)], [fkeys, title],
+  register('onFkeyLoad', (fkeys, title, grid, appearance) => callFirstAvailable(
+    [moduleRegistry.hotkeys?.populateHotkeys?.bind(moduleRegistry.hotkeys)], [fkeys, title, grid, appearance],
     () => logWarn('populateHotkeys not yet available when fkey_load fired')
   ));
   register('onAddDialogLoad', (filename, metadata) => callFirstAvailable(
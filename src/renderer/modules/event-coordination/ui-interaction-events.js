@@ -63,7 +63,10 @@ export default class UIInteractionEvents {
       'hotkey-load-btn': () => this.moduleRegistry.fileOperations?.openHotkeyFile?.(),
       'hotkey-save-btn': () => this.moduleRegistry.fileOperations?.saveHotkeyFile?.(),
       'hotkey-rename-btn': () => this.moduleRegistry.hotkeys?.renameHotkeyTab?.(),
-      'hotkey-clear-btn': () => this.moduleRegistry.hotkeys?.clearHotkeys?.()
+      'hotkey-clear-btn': () => this.moduleRegistry.hotkeys?.clearHotkeys?.(),
+      'hotkey-grid-btn': () => this.moduleRegistry.hotkeys?.setHotkeyGridLayout?.(),
+      'hotkey-remove-tab-btn': () => this.moduleRegistry.hotkeys?.removeHotkeyTab?.(),
+      'hotkey-add-tab': () => this.moduleRegistry.hotkeys?.addHotkeyTab?.()
     };
 
     Object.entries(actions).forEach(([id, action]) => {
@@ -256,7 +259,7 @@ export default class UIInteractionEvents {
     const hotkeyTabs = document.getElementById('hotkey_tabs');
     if (hotkeyTabs) {
       const handler = (e) => {
-        if (e.target && e.target.closest('.nav-link')) hotkeyTabDoubleClickHandler(e);
+        if (e.target && e.target.closest('.nav-link[data-bs-toggle="tab"]')) hotkeyTabDoubleClickHandler(e);
       };
       hotkeyTabs.addEventListener('dblclick', handler);
       this.uiHandlers.set('hotkeyTabDoubleClick', { element: hotkeyTabs, event: 'dblclick', handler });
@@ -419,9 +422,9 @@ export default class UIInteractionEvents {
               const sharedState = sharedStateModule.default;
               const sound = sharedState.get('sound');
               if (sound && sound.playing()) {
-                const newTrackVolume = parseInt(event.target.value) / 100;
+                const newTrackVolume = (parseInt(event.target.value) / 100) * (sharedState.get('normalizationGain') ?? 1);
                 const masterVolume = (Number(document.getElementById('volume')?.value) || 0) / 100;
-                sound.volume(masterVolume * newTrackVolume);
+                sound.volume(Math.min(1, masterVolume * newTrackVolume * (sharedState.get('duckGain') ?? 1)));
                 sharedState.set('trackVolume', newTrackVolume);
               }
             }).catch(() => {});
@@ -13,6 +13,7 @@
  * - Mode switching (storage vs playlist)
  * - File import/export
  * - Tab management
+ * - Missing entries for songs deleted from the library, kept until relinked
  */
 
 // Import debug logger
@@ -37,6 +38,11 @@ import { secureFileDialog } from '../adapters/secure-adapter.js';
 import { customConfirm, customPrompt, scaleScrollable } from '../utils/index.js';
 import { getPreference } from '../preferences/profile-preference-adapter.js';
 import HoldingTankState from './holding-tank-state.js';
+import {
+  isSongMarkedMissing,
+  forgetSongFingerprints,
+  describeMissingSong
+} from '../song-references/song-fingerprint-store.js';
 
 // Module state
 let holdingTankMode = "storage"; // 'storage' or 'playlist'
@@ -122,10 +128,6 @@ export async function restoreHoldingTankSnapshot(snapshot) {
     const rows = result?.data || result || [];
     if (!Array.isArray(rows)) throw new Error('Failed to load holding tank metadata');
     rows.forEach(row => songsById.set(String(row.id), row));
-    holdingTankState.batch(() => {
-      songIds.filter(songId => !songsById.has(String(songId)))
-        .forEach(songId => holdingTankState.clearSong(songId));
-    });
   }
 
   for (const tab of holdingTankState.toSnapshot()) {
@@ -136,14 +138,18 @@ export async function restoreHoldingTankSnapshot(snapshot) {
     tabContent.replaceChildren();
     for (const songId of tab.songIds) {
       const row = songsById.get(String(songId));
-      if (!row) continue;
+      // Songs that are gone stay, shown as missing, so they can be relinked
+      // if the song comes back
+      const missing = !row || isSongMarkedMissing(songId);
       const element = document.createElement('li');
       element.style.fontSize = '11px';
-      element.className = 'song list-group-item context-menu';
+      element.className = `song list-group-item context-menu${missing ? ' song-missing' : ''}`;
       element.draggable = true;
       element.addEventListener('dragstart', songDrag);
       element.setAttribute('songid', songId);
-      element.textContent = `${row.title || '[Unknown Title]'} by ${row.artist || '[Unknown Artist]'} (${row.time || '[??:??]'})`;
+      element.textContent = missing
+        ? describeMissingSong(songId)
+        : `${row.title || '[Unknown Title]'} by ${row.artist || '[Unknown Artist]'} (${row.time || '[??:??]'})`;
       tabContent.appendChild(element);
     }
   }
@@ -259,10 +265,16 @@ export function addToHoldingTank(song_id, element, insertPosition) {
       const artist = row.artist || "[Unknown Artist]";
       const time = row.time || "[??:??]";
 
+      // A library song now holds this ID, whatever was deleted under it before
+      if (isSongMarkedMissing(song_id)) forgetSongFingerprints([song_id]);
       const existing_song = document.querySelector(`.holding_tank.active .list-group-item[songid="${song_id}"]`);
       let song_row;
       if (existing_song) {
         song_row = existing_song; // already in DOM; will be moved below
+        if (song_row.classList.contains('song-missing')) {
+          song_row.classList.remove('song-missing');
+          song_row.textContent = `${title} by ${artist} (${time})`;
+        }
       } else {
         song_row = document.createElement("li");
         song_row.style.fontSize = `11px`; // Default font size since getFontSize was removed
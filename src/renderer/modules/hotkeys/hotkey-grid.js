@@ -0,0 +1,101 @@
+// Hotkey pad grids. Each tab lays its pads out in rows and columns, keyed
+// f1, f2, … in reading order. The names come from the original twelve
+// function keys, so older files and profiles read unchanged; F1-F12 still
+// play pads 1-12. file-operations.js in the main process agrees on these
+// limits.
+const DEFAULT_HOTKEY_GRID = Object.freeze({ rows: 12, columns: 1 });
+const MAX_GRID_ROWS = 12;
+const MAX_GRID_COLUMNS = 8;
+// With pad keys on, keyboard rows trigger grid rows: the number row plays
+// the top row, Q-P the second, and so on, column by column
+const PAD_KEY_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl;', 'zxcvbnm,./'];
+const PAD_KEYS = PAD_KEY_ROWS.join('').split('');
+
+/**
+ * Check a grid size.
+ * @param {{ rows: number|string, columns: number|string }} grid
+ * @returns {{ rows: number, columns: number }}
+ * @throws {RangeError} when either side is not a whole number within its limit
+ */
+function normalizeHotkeyGrid(grid) {
+  const rows = Number(grid?.rows);
+  const columns = Number(grid?.columns);
+  if (!Number.isInteger(rows) || rows < 1 || rows > MAX_GRID_ROWS
+    || !Number.isInteger(columns) || columns < 1 || columns > MAX_GRID_COLUMNS) {
+    throw new RangeError(`Grid must be 1-${MAX_GRID_ROWS} rows by 1-${MAX_GRID_COLUMNS} columns`);
+  }
+  return { rows, columns };
+}
+
+// "4x8", "4 x 8" or "4×8": rows by columns
+function parseHotkeyGrid(text) {
+  const match = String(text ?? '').trim().match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+  if (!match) throw new RangeError(`Invalid grid size: ${text}`);
+  return normalizeHotkeyGrid({ rows: match[1], columns: match[2] });
+}
+
+function formatHotkeyGrid({ rows, columns } = DEFAULT_HOTKEY_GRID) {
+  return `${rows}x${columns}`;
+}
+
+function isDefaultHotkeyGrid(grid) {
+  return grid?.rows === DEFAULT_HOTKEY_GRID.rows && grid?.columns === DEFAULT_HOTKEY_GRID.columns;
+}
+
+function getPadCount(grid = DEFAULT_HOTKEY_GRID) {
+  return grid.rows * grid.columns;
+}
+
+function getPadKeys(grid = DEFAULT_HOTKEY_GRID) {
+  return Array.from({ length: getPadCount(grid) }, (_, index) => `f${index + 1}`);
+}
+
+// 13 for 'f13'; null for anything that is not a pad key
+function getPadNumber(key) {
+  const match = String(key ?? '').toLowerCase().match(/^f([1-9]\d*)$/);
+  return match ? Number(match[1]) : null;
+}
+
+// Pad badge: its function key, or its number past F12
+function getPadLabel(padNumber) {
+  return padNumber <= 12 ? `F${padNumber}` : String(padNumber);
+}
+
+/**
+ * The keyboard key that plays a pad, when pad keys are on.
+ * @param {{ rows: number, columns: number }} grid
+ * @param {number} padNumber
+ * @returns {string|null} null for pads past the fourth row or tenth column
+ */
+function getPadKeyboardKey(grid, padNumber) {
+  if (padNumber < 1 || padNumber > getPadCount(grid)) return null;
+  const row = Math.floor((padNumber - 1) / grid.columns);
+  const column = (padNumber - 1) % grid.columns;
+  return PAD_KEY_ROWS[row]?.[column] ?? null;
+}
+
+// The pad key ('f13') a keyboard key plays on this grid, or null
+function getPadForKeyboardKey(grid, keyboardKey) {
+  const row = PAD_KEY_ROWS.findIndex(keys => keys.includes(keyboardKey));
+  if (row < 0) return null;
+  const column = PAD_KEY_ROWS[row].indexOf(keyboardKey);
+  if (row >= grid.rows || column >= grid.columns) return null;
+  return `f${row * grid.columns + column + 1}`;
+}
+
+export {
+  DEFAULT_HOTKEY_GRID,
+  MAX_GRID_ROWS,
+  MAX_GRID_COLUMNS,
+  PAD_KEYS,
+  normalizeHotkeyGrid,
+  parseHotkeyGrid,
+  formatHotkeyGrid,
+  isDefaultHotkeyGrid,
+  getPadCount,
+  getPadKeys,
+  getPadNumber,
+  getPadLabel,
+  getPadKeyboardKey,
+  getPadForKeyboardKey
+};
@@ -11,6 +11,7 @@
 
 // Import secure adapters for UI operations
 import { secureFileDialog } from '../adapters/secure-adapter.js';
+import { getPadId } from './hotkey-pad-settings.js';
 
 
 /**
@@ -30,9 +31,12 @@ function saveHotkeyFile() {
   window.debugLog?.info("Renderer starting saveHotkeyFile", { module: 'hotkey-operations', function: 'saveHotkeyFile' });
   const tabNumber = this?.getActiveTabNumber?.() || 1;
   const tab = this?.getHotkeySnapshot?.()?.[tabNumber - 1];
-  const hotkeyArray = Array.from({ length: 12 }, (_, index) => tab?.hotkeys?.[`f${index + 1}`] || null);
-  if (tab?.tabName) hotkeyArray.push(tab.tabName);
-  secureFileDialog.saveHotkeyFile(hotkeyArray);
+  secureFileDialog.saveHotkeyFile({
+    hotkeys: { ...tab?.hotkeys },
+    tabName: tab?.tabName || '',
+    grid: tab?.grid || null,
+    appearance: { ...tab?.appearance }
+  });
 }
 
 /**
@@ -62,6 +66,7 @@ function getHotkeyElementFromActiveTab(hotkey) {
  * 
  * @param {string} hotkey - Hotkey identifier (e.g., 'f1', 'f2')
  * @param {Object} options - Options object containing dependencies
+ * @returns {Promise<void>|undefined} playSongFromId's promise, when a song plays
  */
 function playSongFromHotkey(hotkey, _options = {}) {
   window.debugLog?.info("Getting song ID from hotkey " + hotkey + " in active tab", { module: 'hotkey-operations', function: 'playSongFromHotkey' });
@@ -89,10 +94,18 @@ function playSongFromHotkey(hotkey, _options = {}) {
     // Hotkey playback should not affect holding tank mode
     // Just play the song without changing autoplay state
     window.secureElectronAPI?.analytics?.trackEvent?.('song_played', { trigger_method: 'hotkey' });
-    this?.moduleRegistry?.audio?.playSongFromId?.(song_id);
+    const location = this?.getHotkeyLocation?.(hotkeyElement);
+    const playing = this?.moduleRegistry?.audio?.playSongFromId?.(song_id, {
+      source: 'hotkey',
+      marker: this?.getHotkeyMarker?.(hotkeyElement) ?? null,
+      // The pad's volume, and which pad it is for its behavior
+      volume: this?.getHotkeyPadSettings?.(hotkeyElement)?.volume ?? 100,
+      pad: location ? getPadId(location.tabNumber, location.key) : null
+    });
     if (typeof animateCSS === 'function' && hotkeyElement) {
       animateCSS(hotkeyElement, "flipInX");
     }
+    return playing;
   } else {
     window.debugLog?.warn('No song assigned to hotkey ' + hotkey + ' in active tab', {
       module: 'hotkey-operations',
@@ -146,6 +159,8 @@ function exportHotkeyConfig() {
   return {
     hotkeys: { ...tab.hotkeys },
     title: tab.tabName || '',
+    ...(tab.grid ? { grid: { ...tab.grid } } : {}),
+    ...(tab.appearance ? { appearance: { ...tab.appearance } } : {}),
     timestamp: new Date().toISOString()
   };
 }
@@ -158,7 +173,15 @@ function exportHotkeyConfig() {
  * @param {Object} options - Options object containing dependencies
  */
 function importHotkeyConfig(config, options = {}) {
-  const { setLabelFromSongId, requestProfileStateSave, clearTab, assignHotkey, renameTab } = options;
+  const {
+    setLabelFromSongId,
+    requestProfileStateSave,
+    clearTab,
+    assignHotkey,
+    renameTab,
+    setGrid,
+    setAppearance
+  } = options;
   
   if (!config || !config.hotkeys) {
     window.debugLog?.warn('❌ Invalid hotkey configuration', { module: 'hotkey-operations', function: 'importHotkeyConfig' });
@@ -169,16 +192,15 @@ function importHotkeyConfig(config, options = {}) {
   const activeTab = document.querySelector('#hotkey-tab-content .tab-pane.active.show')
     || document.getElementById('hotkeys_list_1');
   clearTab?.();
+  // Lay the pads out first, so every key in the config has a pad
+  if (config.grid) setGrid?.(config.grid);
 
   // Clear existing hotkeys
-  for (let key = 1; key <= 12; key++) {
-    const li = activeTab?.querySelector(`[id^="f${key}_hotkey"]`);
-    if (li) {
-      li.removeAttribute('songid');
-      const span = li.querySelector('span');
-      if (span) span.textContent = '';
-    }
-  }
+  activeTab?.querySelectorAll('li').forEach((li) => {
+    li.removeAttribute('songid');
+    const span = li.querySelector('span');
+    if (span) span.textContent = '';
+  });
 
   // Apply imported configuration
   for (const key in config.hotkeys) {
@@ -191,6 +213,11 @@ function importHotkeyConfig(config, options = {}) {
       }
     }
   }
+
+  // Pad labels, colors and artwork go on the pads just assigned
+  for (const [key, appearance] of Object.entries(config.appearance || {})) {
+    if (config.hotkeys[key]) setAppearance?.(key, appearance);
+  }
   
   // Set title if provided
   if (config.title) {
@@ -250,14 +277,11 @@ function clearHotkeyConfig(options = {}) {
   const activeTab = document.querySelector('#hotkey-tab-content .tab-pane.active.show')
     || document.getElementById('hotkeys_list_1');
   clearTab?.();
-  for (let key = 1; key <= 12; key++) {
-    const li = activeTab?.querySelector(`[id^="f${key}_hotkey"]`);
-    if (li) {
-      li.removeAttribute('songid');
-      const span = li.querySelector('span');
-      if (span) span.textContent = '';
-    }
-  }
+  activeTab?.querySelectorAll('li').forEach((li) => {
+    li.removeAttribute('songid');
+    const span = li.querySelector('span');
+    if (span) span.textContent = '';
+  });
   
   // Save to store if requestProfileStateSave is provided
   if (requestProfileStateSave) {
@@ -0,0 +1,51 @@
+// How a hotkey pad looks: its own label in place of the song title, a
+// background color, and the song's cover art. A pad with none of these shows
+// the song title as it always has. file-operations.js in the main process
+// agrees on these limits.
+const DEFAULT_PAD_APPEARANCE = Object.freeze({ label: null, color: null, artwork: false });
+const MAX_PAD_LABEL_LENGTH = 40;
+
+/**
+ * Check a pad's appearance. A blank label or color means none; runs of
+ * whitespace in the label become single spaces.
+ * @param {{ label?: string|null, color?: string|null, artwork?: boolean }} [appearance]
+ * @returns {{ label: string|null, color: string|null, artwork: boolean }}
+ * @throws {RangeError} for a label over the limit or a color that is not #rrggbb
+ */
+function normalizePadAppearance(appearance = {}) {
+  const label = String(appearance?.label ?? '').replace(/\s+/g, ' ').trim() || null;
+  if (label && label.length > MAX_PAD_LABEL_LENGTH) {
+    throw new RangeError(`Pad label must be ${MAX_PAD_LABEL_LENGTH} characters or fewer`);
+  }
+  const color = String(appearance?.color ?? '').trim().toLowerCase() || null;
+  if (color && !/^#[0-9a-f]{6}$/.test(color)) throw new RangeError(`Invalid pad color: ${color}`);
+  return { label, color, artwork: appearance?.artwork === true };
+}
+
+function isDefaultPadAppearance(appearance) {
+  return !appearance?.label && !appearance?.color && !appearance?.artwork;
+}
+
+// The fields that are set, for snapshots and hotkey files
+function compactPadAppearance({ label, color, artwork } = DEFAULT_PAD_APPEARANCE) {
+  return {
+    ...(label ? { label } : {}),
+    ...(color ? { color } : {}),
+    ...(artwork ? { artwork: true } : {})
+  };
+}
+
+// Black or white, whichever reads better on a pad color
+function getPadTextColor(color) {
+  const [red, green, blue] = [1, 3, 5].map(index => Number.parseInt(color.slice(index, index + 2), 16));
+  return (red * 299 + green * 587 + blue * 114) / 1000 >= 150 ? '#000000' : '#ffffff';
+}
+
+export {
+  DEFAULT_PAD_APPEARANCE,
+  MAX_PAD_LABEL_LENGTH,
+  normalizePadAppearance,
+  isDefaultPadAppearance,
+  compactPadAppearance,
+  getPadTextColor
+};
@@ -0,0 +1,78 @@
+// How a hotkey pad plays its song. Retrigger is how every pad has always
+// worked: each press starts the song again from the top.
+const PAD_BEHAVIORS = Object.freeze(['retrigger', 'toggle', 'momentary', 'fade']);
+const DEFAULT_PAD_SETTINGS = Object.freeze({ behavior: 'retrigger', volume: 100 });
+const MIN_PAD_VOLUME = 1;
+const MAX_PAD_VOLUME = 100;
+
+// Shown on the pad; retrigger at full volume shows nothing
+const PAD_BEHAVIOR_LABELS = Object.freeze({
+  retrigger: 'Retrigger: each press restarts the song',
+  toggle: 'Toggle: press again to stop',
+  momentary: 'Momentary: plays while held',
+  fade: 'Fade: press again to fade out'
+});
+const PAD_BEHAVIOR_ICONS = Object.freeze({
+  toggle: 'fa-power-off',
+  momentary: 'fa-hand-paper',
+  fade: 'fa-sort-amount-down'
+});
+
+/**
+ * Check a pad's settings. Missing fields take their defaults.
+ * @param {{ behavior?: string, volume?: number|string }} [settings]
+ * @returns {{ behavior: string, volume: number }}
+ * @throws {RangeError} for an unknown behavior or a volume outside 1-100
+ */
+function normalizePadSettings(settings = {}) {
+  const behavior = settings?.behavior ?? DEFAULT_PAD_SETTINGS.behavior;
+  if (!PAD_BEHAVIORS.includes(behavior)) throw new RangeError(`Unknown pad behavior: ${behavior}`);
+  const volume = settings?.volume === undefined || settings?.volume === null || settings?.volume === ''
+    ? DEFAULT_PAD_SETTINGS.volume
+    : Number(settings.volume);
+  if (!Number.isInteger(volume) || volume < MIN_PAD_VOLUME || volume > MAX_PAD_VOLUME) {
+    throw new RangeError(`Pad volume must be a whole number from ${MIN_PAD_VOLUME} to ${MAX_PAD_VOLUME}`);
+  }
+  return { behavior, volume };
+}
+
+function isDefaultPadSettings(settings) {
+  return settings?.behavior === DEFAULT_PAD_SETTINGS.behavior && settings?.volume === DEFAULT_PAD_SETTINGS.volume;
+}
+
+/**
+ * What pressing a pad does.
+ * @param {string} behavior
+ * @param {boolean} playing - Whether the song this pad started is still playing
+ * @returns {'play'|'stop'|'fade'}
+ */
+function getPadPressAction(behavior, playing) {
+  if (!playing) return 'play';
+  if (behavior === 'toggle') return 'stop';
+  if (behavior === 'fade') return 'fade';
+  return 'play';
+}
+
+// What letting go of a pad does: only momentary pads stop
+function getPadReleaseAction(behavior, playing) {
+  return behavior === 'momentary' && playing ? 'stop' : null;
+}
+
+// Identifies the pad a song was started from, e.g. '2:f5'
+function getPadId(tabNumber, key) {
+  return `${tabNumber}:${key}`;
+}
+
+export {
+  PAD_BEHAVIORS,
+  DEFAULT_PAD_SETTINGS,
+  MIN_PAD_VOLUME,
+  MAX_PAD_VOLUME,
+  PAD_BEHAVIOR_LABELS,
+  PAD_BEHAVIOR_ICONS,
+  normalizePadSettings,
+  isDefaultPadSettings,
+  getPadPressAction,
+  getPadReleaseAction,
+  getPadId
+};
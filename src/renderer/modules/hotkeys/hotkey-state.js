@@ -1,18 +1,28 @@
-const TAB_COUNT = 5;
-const KEY_COUNT = 12;
+import {
+  DEFAULT_HOTKEY_GRID,
+  normalizeHotkeyGrid,
+  isDefaultHotkeyGrid,
+  getPadCount,
+  getPadKeys,
+  getPadNumber
+} from './hotkey-grid.js';
+import { normalizePadSettings, isDefaultPadSettings, DEFAULT_PAD_SETTINGS } from './hotkey-pad-settings.js';
+import {
+  normalizePadAppearance,
+  isDefaultPadAppearance,
+  compactPadAppearance,
+  DEFAULT_PAD_APPEARANCE
+} from './hotkey-pad-appearance.js';
 
-function assertTabNumber(tabNumber) {
-  if (!Number.isInteger(tabNumber) || tabNumber < 1 || tabNumber > TAB_COUNT) {
-    throw new RangeError(`tabNumber must be between 1 and ${TAB_COUNT}`);
-  }
-}
+// Tabs 1-5 always exist; more can be added after them
+export const DEFAULT_TAB_COUNT = 5;
 
-function normalizeKey(key) {
-  const normalized = String(key).toLowerCase();
-  if (!/^f(?:[1-9]|1[0-2])$/.test(normalized)) {
-    throw new RangeError(`key must be between f1 and f${KEY_COUNT}`);
+function normalizeKey(key, grid) {
+  const padNumber = getPadNumber(key);
+  if (padNumber === null || padNumber > getPadCount(grid)) {
+    throw new RangeError(`key must be between f1 and f${getPadCount(grid)}`);
   }
-  return normalized;
+  return `f${padNumber}`;
 }
 
 function normalizeSongId(songId) {
@@ -22,19 +32,77 @@ function normalizeSongId(songId) {
   return String(songId);
 }
 
+// Same spelling rules as the song_markers table
+function normalizeMarkerName(markerName) {
+  const name = String(markerName ?? '').replace(/\s+/g, ' ').trim();
+  return name || null;
+}
+
 function createTab(tabNumber) {
-  return { tabNumber, tabName: null, assignments: new Map() };
+  return {
+    tabNumber,
+    tabName: null,
+    grid: { ...DEFAULT_HOTKEY_GRID },
+    assignments: new Map(),
+    markers: new Map(),
+    pads: new Map(),
+    appearance: new Map()
+  };
+}
+
+// A snapshot's pad settings, or null when they are bad or the defaults
+function readSnapshotPadSettings(settings) {
+  try {
+    const normalized = normalizePadSettings(settings);
+    return isDefaultPadSettings(normalized) ? null : normalized;
+  } catch (_error) {
+    return null;
+  }
+}
+
+// A snapshot's pad appearance, or null when it is bad or empty
+function readSnapshotPadAppearance(appearance) {
+  try {
+    const normalized = normalizePadAppearance(appearance);
+    return isDefaultPadAppearance(normalized) ? null : normalized;
+  } catch (_error) {
+    return null;
+  }
+}
+
+// What belongs to the song on a key rather than to the key itself
+function getSongExtras(tab, key) {
+  return { marker: tab.markers.get(key), pad: tab.pads.get(key), appearance: tab.appearance.get(key) };
+}
+
+function setSongExtras(tab, key, { marker, pad, appearance } = {}) {
+  if (marker) tab.markers.set(key, marker);
+  else tab.markers.delete(key);
+  if (pad) tab.pads.set(key, pad);
+  else tab.pads.delete(key);
+  if (appearance) tab.appearance.set(key, appearance);
+  else tab.appearance.delete(key);
+}
+
+// A snapshot's grid, or the default one when it has none or a bad one
+function readSnapshotGrid(grid) {
+  try {
+    return grid ? normalizeHotkeyGrid(grid) : { ...DEFAULT_HOTKEY_GRID };
+  } catch (_error) {
+    return { ...DEFAULT_HOTKEY_GRID };
+  }
 }
 
 /**
- * Pure in-memory model for the five hotkey tabs.
+ * Pure in-memory model for the hotkey tabs: the first five, and any added
+ * after them.
  *
  * Song metadata, rendering, and persistence deliberately live outside this
  * class. Subscribers receive one notification after each logical mutation.
  */
 export class HotkeyState {
   constructor(snapshot = []) {
-    this.tabs = Array.from({ length: TAB_COUNT }, (_, index) => createTab(index + 1));
+    this.tabs = Array.from({ length: DEFAULT_TAB_COUNT }, (_, index) => createTab(index + 1));
     this.listeners = new Set();
     this.batchDepth = 0;
     this.batchChanged = false;
@@ -61,30 +129,123 @@ export class HotkeyState {
     }
   }
 
+  get tabCount() {
+    return this.tabs.length;
+  }
+
+  getGrid(tabNumber) {
+    return { ...this.#getTab(tabNumber).grid };
+  }
+
   getAssignment(tabNumber, key) {
-    return this.#getTab(tabNumber).assignments.get(normalizeKey(key)) ?? null;
+    const tab = this.#getTab(tabNumber);
+    return tab.assignments.get(normalizeKey(key, tab.grid)) ?? null;
   }
 
+  /** Name of the marker the key's song starts at, or null for the start trim. */
+  getMarker(tabNumber, key) {
+    const tab = this.#getTab(tabNumber);
+    return tab.markers.get(normalizeKey(key, tab.grid)) ?? null;
+  }
+
+  /** How the key plays its song: `{ behavior, volume }`. */
+  getPadSettings(tabNumber, key) {
+    const tab = this.#getTab(tabNumber);
+    return { ...(tab.pads.get(normalizeKey(key, tab.grid)) ?? DEFAULT_PAD_SETTINGS) };
+  }
+
+  /** How the key's pad looks: `{ label, color, artwork }`. */
+  getPadAppearance(tabNumber, key) {
+    const tab = this.#getTab(tabNumber);
+    return { ...(tab.appearance.get(normalizeKey(key, tab.grid)) ?? DEFAULT_PAD_APPEARANCE) };
+  }
+
+  // A key's marker, pad settings and appearance belong to its song and move with it
   assign(tabNumber, key, songId) {
     const tab = this.#getTab(tabNumber);
-    const normalizedKey = normalizeKey(key);
+    const normalizedKey = normalizeKey(key, tab.grid);
     const normalizedSongId = normalizeSongId(songId);
     const currentSongId = tab.assignments.get(normalizedKey);
     if (currentSongId === normalizedSongId) return false;
 
+    const currentExtras = getSongExtras(tab, normalizedKey);
+    let movedExtras;
     const duplicate = [...tab.assignments].find(([, id]) => id === normalizedSongId);
     if (duplicate) {
       const [duplicateKey] = duplicate;
-      if (currentSongId === undefined) tab.assignments.delete(duplicateKey);
-      else tab.assignments.set(duplicateKey, currentSongId);
+      movedExtras = getSongExtras(tab, duplicateKey);
+      if (currentSongId === undefined) {
+        tab.assignments.delete(duplicateKey);
+        setSongExtras(tab, duplicateKey);
+      } else {
+        tab.assignments.set(duplicateKey, currentSongId);
+        setSongExtras(tab, duplicateKey, currentExtras);
+      }
     }
     tab.assignments.set(normalizedKey, normalizedSongId);
+    setSongExtras(tab, normalizedKey, movedExtras);
+    this.#changed();
+    return true;
+  }
+
+  setMarker(tabNumber, key, markerName) {
+    const tab = this.#getTab(tabNumber);
+    const normalizedKey = normalizeKey(key, tab.grid);
+    if (!tab.assignments.has(normalizedKey)) {
+      throw new Error(`No song is assigned to ${normalizedKey.toUpperCase()}`);
+    }
+    const normalizedName = normalizeMarkerName(markerName);
+    if ((tab.markers.get(normalizedKey) ?? null) === normalizedName) return false;
+    if (normalizedName === null) tab.markers.delete(normalizedKey);
+    else tab.markers.set(normalizedKey, normalizedName);
+    this.#changed();
+    return true;
+  }
+
+  /**
+   * Set how the key plays its song. Missing fields take their defaults.
+   * @returns {boolean} true when the settings changed
+   */
+  setPadSettings(tabNumber, key, settings) {
+    const tab = this.#getTab(tabNumber);
+    const normalizedKey = normalizeKey(key, tab.grid);
+    if (!tab.assignments.has(normalizedKey)) {
+      throw new Error(`No song is assigned to ${normalizedKey.toUpperCase()}`);
+    }
+    const normalized = normalizePadSettings(settings);
+    const current = tab.pads.get(normalizedKey) ?? DEFAULT_PAD_SETTINGS;
+    if (current.behavior === normalized.behavior && current.volume === normalized.volume) return false;
+    if (isDefaultPadSettings(normalized)) tab.pads.delete(normalizedKey);
+    else tab.pads.set(normalizedKey, normalized);
+    this.#changed();
+    return true;
+  }
+
+  /**
+   * Set how the key's pad looks. Missing fields take their defaults.
+   * @returns {boolean} true when the appearance changed
+   */
+  setPadAppearance(tabNumber, key, appearance) {
+    const tab = this.#getTab(tabNumber);
+    const normalizedKey = normalizeKey(key, tab.grid);
+    if (!tab.assignments.has(normalizedKey)) {
+      throw new Error(`No song is assigned to ${normalizedKey.toUpperCase()}`);
+    }
+    const normalized = normalizePadAppearance(appearance);
+    const current = tab.appearance.get(normalizedKey) ?? DEFAULT_PAD_APPEARANCE;
+    if (current.label === normalized.label && current.color === normalized.color
+      && current.artwork === normalized.artwork) return false;
+    if (isDefaultPadAppearance(normalized)) tab.appearance.delete(normalizedKey);
+    else tab.appearance.set(normalizedKey, normalized);
     this.#changed();
     return true;
   }
 
   clear(tabNumber, key) {
-    const changed = this.#getTab(tabNumber).assignments.delete(normalizeKey(key));
+    const tab = this.#getTab(tabNumber);
+    const normalizedKey = normalizeKey(key, tab.grid);
+    setSongExtras(tab, normalizedKey);
+    const changed = tab.assignments.delete(normalizedKey);
     if (changed) this.#changed();
     return changed;
   }
@@ -93,6 +254,9 @@ export class HotkeyState {
     const tab = this.#getTab(tabNumber);
     if (tab.assignments.size === 0) return false;
     tab.assignments.clear();
+    tab.markers.clear();
+    tab.pads.clear();
+    tab.appearance.clear();
     this.#changed();
     return true;
   }
@@ -104,6 +268,7 @@ export class HotkeyState {
       for (const [key, assignedSongId] of tab.assignments) {
         if (assignedSongId === normalizedSongId) {
           tab.assignments.delete(key);
+          setSongExtras(tab, key);
           changed = true;
         }
       }
@@ -123,26 +288,86 @@ export class HotkeyState {
     return true;
   }
 
+  /**
+   * Lay a tab's pads out in a new grid. Pads past the new size lose their
+   * songs.
+   * @returns {boolean} true when the grid changed
+   */
+  setGrid(tabNumber, grid) {
+    const tab = this.#getTab(tabNumber);
+    const normalizedGrid = normalizeHotkeyGrid(grid);
+    if (tab.grid.rows === normalizedGrid.rows && tab.grid.columns === normalizedGrid.columns) return false;
+    const keys = new Set(getPadKeys(normalizedGrid));
+    for (const key of [...tab.assignments.keys()]) {
+      if (!keys.has(key)) {
+        tab.assignments.delete(key);
+        setSongExtras(tab, key);
+      }
+    }
+    tab.grid = normalizedGrid;
+    this.#changed();
+    return true;
+  }
+
+  /** Add an empty tab after the last one and return its number. */
+  addTab() {
+    const tab = createTab(this.tabs.length + 1);
+    this.tabs.push(tab);
+    this.#changed();
+    return tab.tabNumber;
+  }
+
+  // Tabs after the removed one move down a number
+  removeTab(tabNumber) {
+    this.#getTab(tabNumber);
+    if (tabNumber <= DEFAULT_TAB_COUNT) {
+      throw new RangeError(`The first ${DEFAULT_TAB_COUNT} hotkey tabs cannot be removed`);
+    }
+    this.tabs.splice(tabNumber - 1, 1);
+    this.tabs.forEach((tab, index) => { tab.tabNumber = index + 1; });
+    this.#changed();
+    return true;
+  }
+
+  // Tabs past the fifth are read only when the ones before them are there,
+  // so the tabs stay numbered without gaps
   loadFromSnapshot(snapshot, { notify = true } = {}) {
     if (!Array.isArray(snapshot)) throw new TypeError('snapshot must be an array');
-    const nextTabs = Array.from({ length: TAB_COUNT }, (_, index) => createTab(index + 1));
-
+    const tabSnapshots = new Map();
     for (const tabSnapshot of snapshot) {
       if (!tabSnapshot || typeof tabSnapshot !== 'object') continue;
       const tabNumber = Number(tabSnapshot.tabNumber);
-      if (!Number.isInteger(tabNumber) || tabNumber < 1 || tabNumber > TAB_COUNT) continue;
+      if (Number.isInteger(tabNumber) && tabNumber >= 1) tabSnapshots.set(tabNumber, tabSnapshot);
+    }
+    let tabCount = DEFAULT_TAB_COUNT;
+    while (tabSnapshots.has(tabCount + 1)) tabCount += 1;
+    const nextTabs = Array.from({ length: tabCount }, (_, index) => createTab(index + 1));
+
+    for (const [tabNumber, tabSnapshot] of tabSnapshots) {
+      if (tabNumber > tabCount) continue;
       const tab = nextTabs[tabNumber - 1];
       tab.tabName = tabSnapshot.tabName === null || tabSnapshot.tabName === undefined
         ? null
         : String(tabSnapshot.tabName);
+      tab.grid = readSnapshotGrid(tabSnapshot.grid);
 
       const hotkeys = tabSnapshot.hotkeys;
       if (!hotkeys || typeof hotkeys !== 'object' || Array.isArray(hotkeys)) continue;
-      for (let keyNumber = 1; keyNumber <= KEY_COUNT; keyNumber++) {
-        const key = `f${keyNumber}`;
+      const markers = tabSnapshot.markers && typeof tabSnapshot.markers === 'object' ? tabSnapshot.markers : {};
+      const pads = tabSnapshot.pads && typeof tabSnapshot.pads === 'object' ? tabSnapshot.pads : {};
+      const appearance = tabSnapshot.appearance && typeof tabSnapshot.appearance === 'object'
+        ? tabSnapshot.appearance
+        : {};
+      for (const key of getPadKeys(tab.grid)) {
         const songId = hotkeys[key];
         if (songId !== null && songId !== undefined && String(songId).trim() !== '') {
           tab.assignments.set(key, String(songId));
+          const markerName = normalizeMarkerName(markers[key]);
+          if (markerName !== null) tab.markers.set(key, markerName);
+          const padSettings = pads[key] ? readSnapshotPadSettings(pads[key]) : null;
+          if (padSettings) tab.pads.set(key, padSettings);
+          const padAppearance = appearance[key] ? readSnapshotPadAppearance(appearance[key]) : null;
+          if (padAppearance) tab.appearance.set(key, padAppearance);
         }
       }
     }
@@ -152,16 +377,26 @@ export class HotkeyState {
     return this;
   }
 
+  // `grid`, `markers`, `pads` and `appearance` are only written for tabs that
+  // use them, so older versions still read the state
   toSnapshot() {
-    return this.tabs.map(({ tabNumber, tabName, assignments }) => ({
+    return this.tabs.map(({ tabNumber, tabName, grid, assignments, markers, pads, appearance }) => ({
       tabNumber,
       tabName,
-      hotkeys: Object.fromEntries(assignments)
+      ...(isDefaultHotkeyGrid(grid) ? {} : { grid: { ...grid } }),
+      hotkeys: Object.fromEntries(assignments),
+      ...(markers.size ? { markers: Object.fromEntries(markers) } : {}),
+      ...(pads.size ? { pads: Object.fromEntries([...pads].map(([key, settings]) => [key, { ...settings }])) } : {}),
+      ...(appearance.size
+        ? { appearance: Object.fromEntries([...appearance].map(([key, look]) => [key, compactPadAppearance(look)])) }
+        : {})
     }));
   }
 
   #getTab(tabNumber) {
-    assertTabNumber(tabNumber);
+    if (!Number.isInteger(tabNumber) || tabNumber < 1 || tabNumber > this.tabs.length) {
+      throw new RangeError(`tabNumber must be between 1 and ${this.tabs.length}`);
+    }
     return this.tabs[tabNumber - 1];
   }
 
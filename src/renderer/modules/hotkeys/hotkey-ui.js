@@ -22,9 +22,10 @@ try {
   // Debug logger not available
 }
 
-// Drag handler import for programmatic binding
-import { songDrag } from '../drag-drop/drag-drop-functions.js';
 import { customPrompt } from '../utils/index.js';
+import { getPadLabel, getPadNumber } from './hotkey-grid.js';
+import { PAD_BEHAVIOR_ICONS, PAD_BEHAVIOR_LABELS, DEFAULT_PAD_SETTINGS } from './hotkey-pad-settings.js';
+import { getPadTextColor } from './hotkey-pad-appearance.js';
 
 /**
  * Handle dropping songs into hotkey containers
@@ -35,7 +36,8 @@ import { customPrompt } from '../utils/index.js';
 function hotkeyDrop(event, _options = {}) {
   event.preventDefault();
   const song_id = event.dataTransfer.getData('text');
-  const target = event.currentTarget;
+  // Drops arrive through the tab container, so find the pad under the pointer
+  const target = event.target?.closest?.('.hotkeys li') || event.currentTarget;
   
   // Save function to call after setLabelFromSongId completes
   const saveFunction = () => {
@@ -162,10 +164,10 @@ function initHotkeyTabs() {
  * Get active hotkey tab
  * Returns the currently active hotkey tab
  * 
- * @returns {number} - Active tab number (1-5)
+ * @returns {number} - Active tab number
  */
 function getActiveHotkeyTab() {
-  const links = Array.from(document.querySelectorAll('#hotkey_tabs .nav-link'));
+  const links = Array.from(document.querySelectorAll('#hotkey_tabs .nav-link[data-bs-toggle="tab"]'));
   const active = document.querySelector('#hotkey_tabs .nav-link.active');
   return Math.max(0, links.indexOf(active)) + 1;
 }
@@ -174,10 +176,10 @@ function getActiveHotkeyTab() {
  * Set active hotkey tab
  * Sets the specified tab as active
  * 
- * @param {number} tabNumber - Tab number to activate (1-5)
+ * @param {number} tabNumber - Tab number to activate
  */
 function setActiveHotkeyTab(tabNumber) {
-  if (tabNumber >= 1 && tabNumber <= 5) {
+  if (tabNumber >= 1 && document.getElementById(`hotkeys_list_${tabNumber}`)) {
     import('../ui/bootstrap-helpers.js')
       .then(({ safeShowTab }) => safeShowTab(`#hotkey_tabs li:nth-child(${tabNumber}) a`, { module: 'hotkey-ui', function: 'setActiveHotkeyTab' }));
   }
@@ -317,20 +319,160 @@ function validateHotkeyElement(element) {
 
 /**
  * Create hotkey element
- * Creates a new hotkey element
+ * Creates an empty pad with the same markup as the pads in index.html.
+ * Tab 1's pads keep the original ids; other tabs suffix theirs with _t{tab}.
  * 
- * @param {string} hotkey - Hotkey identifier (e.g., 'f1', 'f2')
- * @returns {jQuery} - Created hotkey element
+ * @param {string} hotkey - Hotkey identifier (e.g., 'f1', 'f13')
+ * @param {number} tabNumber - Tab the pad belongs to
+ * @returns {Element} - Created hotkey element
  */
-function createHotkeyElement(hotkey) {
+function createHotkeyElement(hotkey, tabNumber = 1) {
   const li = document.createElement('li');
-  li.id = `${hotkey}_hotkey`;
-  li.className = 'hotkey';
-  li.draggable = true;
-  li.addEventListener('dragstart', songDrag);
+  li.id = tabNumber === 1 ? `${hotkey}_hotkey` : `${hotkey}_hotkey_t${tabNumber}`;
+  li.className = 'list-group-item text-nowrap unselectable context-menu';
+  const badge = document.createElement('div');
+  badge.className = 'badge';
+  badge.textContent = getPadLabel(getPadNumber(hotkey));
+  const span = document.createElement('span');
+  span.className = 'song';
+  span.draggable = true;
+  li.append(badge, span);
   return li;
 }
 
+function createPadIcon(iconClass, title, text = '') {
+  const icon = document.createElement('i');
+  icon.className = `fas ${iconClass}`;
+  icon.title = title;
+  if (text) icon.textContent = text;
+  return icon;
+}
+
+/**
+ * Show a pad's behavior, volume and start marker as small icons after its
+ * song. A retrigger pad at full volume from the start shows none.
+ *
+ * @param {Element} element - The hotkey's list item
+ * @param {Object} [settings]
+ * @param {string} [settings.behavior]
+ * @param {number} [settings.volume]
+ * @param {string|null} [settings.marker]
+ */
+function renderPadIcons(element, { behavior = DEFAULT_PAD_SETTINGS.behavior, volume = DEFAULT_PAD_SETTINGS.volume, marker = null } = {}) {
+  if (!element) return;
+  const icons = [];
+  if (PAD_BEHAVIOR_ICONS[behavior]) icons.push(createPadIcon(PAD_BEHAVIOR_ICONS[behavior], PAD_BEHAVIOR_LABELS[behavior]));
+  if (volume !== DEFAULT_PAD_SETTINGS.volume) icons.push(createPadIcon('fa-volume-down', `Pad volume ${volume}%`, ` ${volume}%`));
+  if (marker) icons.push(createPadIcon('fa-map-marker-alt', `Starts at marker ${marker}`));
+
+  let container = element.querySelector('.pad-icons');
+  if (icons.length === 0) {
+    container?.remove();
+    return;
+  }
+  if (!container) {
+    container = document.createElement('small');
+    container.className = 'pad-icons';
+    element.appendChild(container);
+  }
+  container.replaceChildren(...icons);
+}
+
+/**
+ * Show a pad's own label, color and cover art. The label takes the song
+ * title's place, which stays on the pad as its tooltip; a pad with none of
+ * these shows the song as before.
+ *
+ * @param {Element} element - The hotkey's list item
+ * @param {Object} [appearance]
+ * @param {string|null} [appearance.label]
+ * @param {string|null} [appearance.color] - #rrggbb
+ * @param {string|null} [artworkUrl] - Cover art data URL, when the pad shows it
+ */
+function renderPadAppearance(element, { label = null, color = null } = {}, artworkUrl = null) {
+  if (!element) return;
+  const song = element.querySelector('span.song');
+
+  let labelElement = element.querySelector('.pad-label');
+  if (label) {
+    if (!labelElement) {
+      labelElement = document.createElement('strong');
+      labelElement.className = 'pad-label';
+      labelElement.draggable = true;
+      element.insertBefore(labelElement, song);
+    }
+    labelElement.textContent = label;
+    element.title = song?.textContent || '';
+  } else {
+    labelElement?.remove();
+    element.removeAttribute('title');
+  }
+  element.classList.toggle('pad-labeled', !!label);
+
+  if (color) {
+    element.style.setProperty('--pad-color', color);
+    element.style.setProperty('--pad-text', getPadTextColor(color));
+  } else {
+    element.style.removeProperty('--pad-color');
+    element.style.removeProperty('--pad-text');
+  }
+  element.classList.toggle('pad-colored', !!color);
+
+  let artwork = element.querySelector('.pad-artwork');
+  if (artworkUrl) {
+    if (!artwork) {
+      artwork = document.createElement('img');
+      artwork.className = 'pad-artwork';
+      artwork.alt = '';
+      artwork.draggable = false;
+      element.querySelector('.badge')?.after(artwork);
+    }
+    if (artwork.getAttribute('src') !== artworkUrl) artwork.src = artworkUrl;
+  } else {
+    artwork?.remove();
+  }
+}
+
+/**
+ * Create an empty tab pane for a hotkey tab added after the first five
+ *
+ * @param {number} tabNumber - Tab number
+ * @returns {Element} - The pane, without pads
+ */
+function createHotkeyTabPane(tabNumber) {
+  const pane = document.createElement('ul');
+  pane.className = 'list-group list-group-flush tab-pane fade hotkeys';
+  pane.id = `hotkeys_list_${tabNumber}`;
+  pane.setAttribute('role', 'tabpanel');
+  return pane;
+}
+
+/**
+ * Create the nav link for a hotkey tab added after the first five
+ *
+ * @param {number} tabNumber - Tab number
+ * @returns {Element} - The nav item holding the link
+ */
+function createHotkeyTabLink(tabNumber) {
+  const item = document.createElement('li');
+  item.className = 'nav-item';
+  const link = document.createElement('a');
+  link.className = 'nav-link';
+  link.setAttribute('role', 'tab');
+  link.setAttribute('data-bs-toggle', 'tab');
+  link.setAttribute('href', `#hotkeys_list_${tabNumber}`);
+  link.textContent = String(tabNumber);
+  item.appendChild(link);
+  return item;
+}
+
+// Pad keys ('f1', 'f13', ...) of the active tab, in order
+function getActiveHotkeyKeys() {
+  return Array.from(getActiveHotkeyTabContent()?.querySelectorAll('li') || [])
+    .map(li => li.id.match(/^(f[1-9]\d*)_hotkey/)?.[1])
+    .filter(Boolean);
+}
+
 /**
  * Remove hotkey element
  * Removes a hotkey element
@@ -396,14 +538,7 @@ function isHotkeyAssigned(hotkey) {
  * @returns {Array} - Array of assigned hotkey identifiers
  */
 function getAssignedHotkeys() {
-  const assigned = [];
-  for (let i = 1; i <= 12; i++) {
-    const hotkey = `f${i}`;
-    if (isHotkeyAssigned(hotkey)) {
-      assigned.push(hotkey);
-    }
-  }
-  return assigned;
+  return getActiveHotkeyKeys().filter(hotkey => isHotkeyAssigned(hotkey));
 }
 
 /**
@@ -413,44 +548,37 @@ function getAssignedHotkeys() {
  * @returns {Array} - Array of unassigned hotkey identifiers
  */
 function getUnassignedHotkeys() {
-  const unassigned = [];
-  for (let i = 1; i <= 12; i++) {
-    const hotkey = `f${i}`;
-    if (!isHotkeyAssigned(hotkey)) {
-      unassigned.push(hotkey);
-    }
-  }
-  return unassigned;
+  return getActiveHotkeyKeys().filter(hotkey => !isHotkeyAssigned(hotkey));
 }
 
 /**
- * Attach event delegation for hotkey highlighting
+ * Attach event delegation for hotkey highlighting. The listener sits on the
+ * tab container, so it covers tabs and pads added later.
  */
 function setupHotkeyHighlightDelegation() {
-  // Find all .hotkeys lists (one per tab)
-  document.querySelectorAll('.hotkeys').forEach((ul) => {
-    // Remove any previous listener to avoid duplicates
-    ul.removeEventListener('click', ul._hotkeyClickHandler);
-    // Define the handler
-    ul._hotkeyClickHandler = function (e) {
-      const li = e.target.closest('li');
-      if (!li || !ul.contains(li)) {
-        window.debugLog?.info('Clicked element is not a hotkey <li>', { eventTarget: e.target });
-        return;
-      }
-      window.debugLog?.info('Hotkey <li> clicked', { liId: li.id, classList: [...li.classList] });
-      // Remove highlight and selected-row from all hotkeys in this list
-      ul.querySelectorAll('li').forEach((item) => {
-        item.classList.remove('active-hotkey', 'selected-row');
-      });
-      // Highlight clicked hotkey
-      li.classList.add('active-hotkey', 'selected-row');
-      window.currentSelectedHotkey = li.id;
-      window.debugLog?.info('Hotkey highlighted', { selectedId: li.id, classList: [...li.classList] });
-    };
-    ul.addEventListener('click', ul._hotkeyClickHandler);
-    window.debugLog?.info('Hotkey highlight event delegation attached', { ulId: ul.id });
-  });
+  const container = document.getElementById('hotkey-tab-content');
+  if (!container) return;
+  // Remove any previous listener to avoid duplicates
+  container.removeEventListener('click', container._hotkeyClickHandler);
+  // Define the handler
+  container._hotkeyClickHandler = function (e) {
+    const li = e.target.closest('.hotkeys li');
+    if (!li || !container.contains(li)) {
+      window.debugLog?.info('Clicked element is not a hotkey <li>', { eventTarget: e.target });
+      return;
+    }
+    window.debugLog?.info('Hotkey <li> clicked', { liId: li.id, classList: [...li.classList] });
+    // Remove highlight and selected-row from all hotkeys in this list
+    li.closest('.hotkeys').querySelectorAll('li').forEach((item) => {
+      item.classList.remove('active-hotkey', 'selected-row');
+    });
+    // Highlight clicked hotkey
+    li.classList.add('active-hotkey', 'selected-row');
+    window.currentSelectedHotkey = li.id;
+    window.debugLog?.info('Hotkey highlighted', { selectedId: li.id, classList: [...li.classList] });
+  };
+  container.addEventListener('click', container._hotkeyClickHandler);
+  window.debugLog?.info('Hotkey highlight event delegation attached', { containerId: container.id });
 }
 
 // Call this after hotkey lists are rendered/updated
@@ -484,6 +612,10 @@ export {
   updateHotkeyDisplay,
   validateHotkeyElement,
   createHotkeyElement,
+  createHotkeyTabPane,
+  createHotkeyTabLink,
+  renderPadIcons,
+  renderPadAppearance,
   removeHotkeyElement,
   getHotkeySongId,
   getHotkeyLabel,
@@ -514,6 +646,10 @@ export default {
   updateHotkeyDisplay,
   validateHotkeyElement,
   createHotkeyElement,
+  createHotkeyTabPane,
+  createHotkeyTabLink,
+  renderPadIcons,
+  renderPadAppearance,
   removeHotkeyElement,
   getHotkeySongId,
   getHotkeyLabel,
@@ -19,20 +19,60 @@ try {
 // Import hotkey sub-modules
 import * as hotkeyOperations from './hotkey-operations.js';
 import * as hotkeyUI from './hotkey-ui.js';
-import HotkeyState from './hotkey-state.js';
+import HotkeyState, { DEFAULT_TAB_COUNT } from './hotkey-state.js';
+import {
+  DEFAULT_HOTKEY_GRID,
+  parseHotkeyGrid,
+  formatHotkeyGrid,
+  getPadCount,
+  getPadKeys,
+  getPadNumber,
+  getPadForKeyboardKey
+} from './hotkey-grid.js';
+import {
+  PAD_BEHAVIORS,
+  PAD_BEHAVIOR_LABELS,
+  DEFAULT_PAD_SETTINGS,
+  getPadId,
+  getPadPressAction,
+  getPadReleaseAction,
+  normalizePadSettings
+} from './hotkey-pad-settings.js';
+import { DEFAULT_PAD_APPEARANCE, normalizePadAppearance } from './hotkey-pad-appearance.js';
+import sharedState from '../shared-state.js';
+import {
+  isSongMarkedMissing,
+  forgetSongFingerprints,
+  describeMissingSong
+} from '../song-references/song-fingerprint-store.js';
+import { resolveAudioSource } from '../audio/audio-source-resolver.js';
 
 // Import secure adapters for UI operations
-import { secureFileDialog } from '../adapters/secure-adapter.js';
-import { customConfirm, customPrompt } from '../utils/index.js';
+import {
+  secureAudio,
+  secureDatabase,
+  secureFileDialog,
+  secureFileSystem,
+  secureLibrary,
+  securePath,
+  secureStore
+} from '../adapters/secure-adapter.js';
+import { populateCategorySelect } from '../categories/category-data.js';
+import { customAlert, customConfirm, customPrompt } from '../utils/index.js';
+import { getPreference } from '../preferences/profile-preference-adapter.js';
 
 /**
  * Hotkeys Module Class
  *
  * Provides comprehensive hotkey management functionality including:
- * - F1-F12 hotkey assignment and playback
+ * - Hotkey pad assignment and playback from F1-F12, pad keys or clicks
+ * - Pad behaviors (retrigger, toggle, momentary, fade) and pad volume
+ * - Pad labels, colors and cover art
  * - Drag & drop hotkey assignment
- * - File import/export for hotkey configurations
- * - Tab management for multiple hotkey sets
+ * - File import/export for hotkey configurations, and tab bundles that
+ *   carry their songs' music files to another library
+ * - Tab management for multiple hotkey sets, each with its own pad grid
+ * - Missing pads for songs deleted from the library, kept until relinked
  * - Store persistence for hotkey state
  */
 class HotkeysModule {
@@ -41,6 +81,25 @@ class HotkeysModule {
     this.moduleRegistry = options.moduleRegistry || {};
     // Remove legacy db/store usage in secure context
     this.state = new HotkeyState();
+    this.state.subscribe(() => this.renderPadSettings());
+    // Number row and letter keys play pads only when the profile turns them on
+    this.padKeysEnabled = false;
+    // Momentary pads held down, by what holds them (a key or 'pointer')
+    this.heldPads = new Map();
+    // Pads whose song is still starting, and whether a release or second
+    // press asked for it to stop once it does
+    this.pendingPads = new Map();
+    // The pad whose settings window is open
+    this.padSettingsTarget = null;
+    // Cover art by song id: a data URL or null once read, and the reads
+    // still running
+    this.padArtwork = new Map();
+    this.padArtworkLoads = new Map();
+    // The hotkey bundle shown in the import window
+    this.pendingBundle = null;
+    // Songs on pads that are not in the library, or were deleted and their
+    // ID given to another song; their pads show as missing and do not play
+    this.missingSongIds = new Set();
 
     // Initialize sub-modules
     this.operations = hotkeyOperations;
@@ -95,6 +154,14 @@ class HotkeysModule {
     // Event listeners are now handled by EventCoordination system
     // No need to call this.setupEventListeners() here
 
+    this.refreshPadKeys();
+    // A key let go while the window is in the background never reports its
+    // release, so held pads let go with the window
+    if (typeof window !== 'undefined' && !this.releaseHeldPadsOnBlur) {
+      this.releaseHeldPadsOnBlur = () => this.releaseAllHotkeys();
+      window.addEventListener?.('blur', this.releaseHeldPadsOnBlur);
+    }
+
     debugLog?.info('✅ Hotkeys Module initialized', {
       module: 'hotkeys',
       function: 'initHotkeys',
@@ -229,6 +296,7 @@ class HotkeysModule {
 
   async restoreHotkeySnapshot(snapshot) {
     this.loadHotkeySnapshot(snapshot);
+    this.renderHotkeyTabs();
     const songIds = [...new Set(this.state.toSnapshot().flatMap(tab => Object.values(tab.hotkeys)))];
     const songsById = new Map();
 
@@ -243,24 +311,26 @@ class HotkeysModule {
       const rows = result?.data || result || [];
       if (!Array.isArray(rows)) throw new Error(result?.error || 'Failed to load hotkey song metadata');
       rows.forEach(row => songsById.set(String(row.id), row));
-      this.state.batch(() => {
-        songIds.filter(songId => !songsById.has(String(songId)))
-          .forEach(songId => this.state.clearSong(songId));
-      });
     }
+    // Pads keep songs that are gone so they can be relinked if the song
+    // comes back
+    this.missingSongIds = new Set(songIds.map(String)
+      .filter(songId => !songsById.has(songId) || isSongMarkedMissing(songId)));
 
     for (const tab of this.state.toSnapshot()) {
       const tabLink = document.querySelector(`#hotkey_tabs .nav-item:nth-child(${tab.tabNumber}) a`);
       if (tabLink) tabLink.textContent = tab.tabName || String(tab.tabNumber);
       const tabContent = document.getElementById(`hotkeys_list_${tab.tabNumber}`);
-      for (let keyNumber = 1; keyNumber <= 12; keyNumber++) {
-        const key = `f${keyNumber}`;
+      for (const key of getPadKeys(tab.grid || DEFAULT_HOTKEY_GRID)) {
         const element = tabContent?.querySelector(`[id^="${key}_hotkey"]`);
         if (!element) continue;
         const songId = tab.hotkeys[key];
         const row = songId ? songsById.get(String(songId)) : null;
         const span = element.querySelector('span.song');
-        if (songId && row) {
+        if (songId && this.missingSongIds.has(String(songId))) {
+          element.setAttribute('songid', songId);
+          if (span) span.textContent = describeMissingSong(songId);
+        } else if (songId && row) {
           element.setAttribute('songid', songId);
           if (span) span.textContent = `${row.title || '[Unknown Title]'} by ${row.artist || '[Unknown Artist]'} (${row.time || '[??:??]'})`;
         } else {
@@ -269,17 +339,18 @@ class HotkeysModule {
         }
       }
     }
+    this.renderPadSettings();
     return this.state.toSnapshot();
   }
 
   getActiveTabNumber() {
-    return Number(document.querySelector('.hotkeys.show.active')?.id?.match(/^hotkeys_list_(\d)$/)?.[1]) || 1;
+    return Number(document.querySelector('.hotkeys.show.active')?.id?.match(/^hotkeys_list_(\d+)$/)?.[1]) || 1;
   }
 
   getHotkeyLocation(element) {
-    const tabMatch = element?.closest?.('.hotkeys')?.id?.match(/^hotkeys_list_(\d)$/);
+    const tabMatch = element?.closest?.('.hotkeys')?.id?.match(/^hotkeys_list_(\d+)$/);
     const hotkeyId = element?.dataset?.originalHotkeyId || element?.id;
-    const keyMatch = hotkeyId?.match(/^(f(?:[1-9]|1[0-2]))_hotkey/i);
+    const keyMatch = hotkeyId?.match(/^(f[1-9]\d*)_hotkey/i);
     if (!tabMatch || !keyMatch) return null;
     return { tabNumber: Number(tabMatch[1]), key: keyMatch[1].toLowerCase() };
   }
@@ -290,6 +361,209 @@ class HotkeysModule {
     return this.state.assign(location.tabNumber, location.key, songId);
   }
 
+  /** Name of the marker the hotkey's song starts at, or null. */
+  getHotkeyMarker(element) {
+    const location = this.getHotkeyLocation(element);
+    return location ? this.state.getMarker(location.tabNumber, location.key) : null;
+  }
+
+  /**
+   * Start the hotkey's song at a marker, or at its start trim with null.
+   * @returns {boolean} true when the marker changed
+   */
+  setHotkeyMarker(element, markerName) {
+    const location = this.getHotkeyLocation(element);
+    if (!location) throw new Error('Not a hotkey');
+    return this.state.setMarker(location.tabNumber, location.key, markerName);
+  }
+
+  /** How the hotkey plays its song: `{ behavior, volume }`. */
+  getHotkeyPadSettings(element) {
+    const location = this.getHotkeyLocation(element);
+    return location ? this.state.getPadSettings(location.tabNumber, location.key) : { ...DEFAULT_PAD_SETTINGS };
+  }
+
+  /**
+   * Set how the hotkey plays its song.
+   * @param {Element} element - The hotkey's list item
+   * @param {{ behavior?: string, volume?: number }} settings - Missing fields take their defaults
+   * @returns {boolean} true when the settings changed
+   */
+  setHotkeyPadSettings(element, settings) {
+    const location = this.getHotkeyLocation(element);
+    if (!location) throw new Error('Not a hotkey');
+    return this.state.setPadSettings(location.tabNumber, location.key, settings);
+  }
+
+  /** How the hotkey's pad looks: `{ label, color, artwork }`. */
+  getHotkeyPadAppearance(element) {
+    const location = this.getHotkeyLocation(element);
+    return location ? this.state.getPadAppearance(location.tabNumber, location.key) : { ...DEFAULT_PAD_APPEARANCE };
+  }
+
+  /**
+   * Set the hotkey's pad label, color and whether it shows cover art.
+   * @param {Element} element - The hotkey's list item
+   * @param {{ label?: string|null, color?: string|null, artwork?: boolean }} appearance
+   * @returns {boolean} true when the appearance changed
+   */
+  setHotkeyPadAppearance(element, appearance) {
+    const location = this.getHotkeyLocation(element);
+    if (!location) throw new Error('Not a hotkey');
+    return this.state.setPadAppearance(location.tabNumber, location.key, appearance);
+  }
+
+  /**
+   * Cover art for a song, read from its file's tags once and kept.
+   * @param {number|string} songId
+   * @returns {Promise<string|null>} A data URL, or null when the song has none
+   */
+  loadPadArtwork(songId) {
+    const key = String(songId);
+    if (!this.padArtworkLoads.has(key)) {
+      const load = this.readPadArtwork(key)
+        .catch((error) => {
+          debugLog?.warn('Could not read hotkey pad artwork', {
+            module: 'hotkeys',
+            function: 'loadPadArtwork',
+            songId: key,
+            error: error.message,
+          });
+          return null;
+        })
+        .then((artworkUrl) => {
+          this.padArtwork.set(key, artworkUrl);
+          this.renderPadSettings();
+          return artworkUrl;
+        });
+      this.padArtworkLoads.set(key, load);
+    }
+    return this.padArtworkLoads.get(key);
+  }
+
+  async readPadArtwork(songId) {
+    const result = await secureDatabase.getSongById(songId);
+    const row = result?.success && result.data?.[0];
+    if (!row?.filename) return null;
+    const directory = await secureStore.get('music_directory');
+    const musicDirectory = directory?.success && directory.value ? directory.value : null;
+    if (!musicDirectory) return null;
+    const source = await resolveAudioSource({
+      musicDirectory,
+      filename: row.filename,
+      pathAPI: securePath,
+      fileSystemAPI: secureFileSystem
+    });
+    if (!source.success) return null;
+    const metadata = await secureAudio.getMetadata(source.filePath, { artwork: true });
+    return metadata?.success ? metadata.data?.artwork || null : null;
+  }
+
+  // Hotkeys with a marker carry its name in a `marker` attribute; the
+  // marker, behavior and volume show as icons on the pad, next to its own
+  // label, color and cover art
+  renderPadSettings() {
+    if (typeof document === 'undefined') return;
+    document.querySelectorAll('.hotkeys li').forEach((element) => {
+      const location = this.getHotkeyLocation(element);
+      // Pads of a removed tab or past a shrunk grid go with the next layout
+      if (!location || location.tabNumber > this.state.tabCount
+        || getPadNumber(location.key) > getPadCount(this.state.getGrid(location.tabNumber))) return;
+      const marker = this.getHotkeyMarker(element);
+      if (marker) element.setAttribute('marker', marker);
+      else element.removeAttribute('marker');
+      const songId = element.getAttribute('songid');
+      element.classList.toggle('pad-missing', !!songId && this.missingSongIds.has(songId));
+      hotkeyUI.renderPadIcons(element, songId ? { ...this.getHotkeyPadSettings(element), marker } : {});
+      const appearance = songId ? this.getHotkeyPadAppearance(element) : DEFAULT_PAD_APPEARANCE;
+      if (appearance.artwork && !this.padArtwork.has(songId)) this.loadPadArtwork(songId);
+      hotkeyUI.renderPadAppearance(
+        element,
+        appearance,
+        appearance.artwork ? this.padArtwork.get(songId) ?? null : null
+      );
+    });
+  }
+
+  /**
+   * Open the window that sets a hotkey's behavior, volume, label, color and
+   * cover art.
+   * @param {Element} element - The hotkey's list item
+   * @returns {Promise<boolean>} false when the hotkey has no song
+   */
+  async chooseHotkeyPadSettings(element) {
+    if (!element?.getAttribute('songid') || !this.getHotkeyLocation(element)) return false;
+    this.padSettingsTarget = element;
+    const settings = this.getHotkeyPadSettings(element);
+    const select = document.getElementById('hotkey-pad-behavior');
+    if (select) {
+      select.textContent = '';
+      for (const behavior of PAD_BEHAVIORS) {
+        const option = document.createElement('option');
+        option.value = behavior;
+        option.textContent = PAD_BEHAVIOR_LABELS[behavior];
+        option.selected = behavior === settings.behavior;
+        select.appendChild(option);
+      }
+    }
+    const volume = document.getElementById('hotkey-pad-volume');
+    if (volume) volume.value = String(settings.volume);
+    const song = document.getElementById('hotkey-pad-song');
+    if (song) song.textContent = element.querySelector('span.song')?.textContent || '';
+    const appearance = this.getHotkeyPadAppearance(element);
+    const label = document.getElementById('hotkey-pad-label');
+    if (label) label.value = appearance.label || '';
+    const colorEnabled = document.getElementById('hotkey-pad-color-enabled');
+    if (colorEnabled) colorEnabled.checked = !!appearance.color;
+    const color = document.getElementById('hotkey-pad-color');
+    if (color && appearance.color) color.value = appearance.color;
+    const artwork = document.getElementById('hotkey-pad-artwork');
+    if (artwork) artwork.checked = appearance.artwork;
+
+    const { showModal } = await import('../ui/bootstrap-adapter.js');
+    showModal('#hotkeyPadModal');
+    return true;
+  }
+
+  async saveHotkeyPadSettings() {
+    const element = this.padSettingsTarget;
+    if (!element) return;
+    const settings = {
+      behavior: document.getElementById('hotkey-pad-behavior')?.value,
+      volume: document.getElementById('hotkey-pad-volume')?.value
+    };
+    const appearance = {
+      label: document.getElementById('hotkey-pad-label')?.value,
+      color: document.getElementById('hotkey-pad-color-enabled')?.checked
+        ? document.getElementById('hotkey-pad-color')?.value
+        : null,
+      artwork: !!document.getElementById('hotkey-pad-artwork')?.checked
+    };
+    try {
+      // Check both first, so a bad label leaves the behavior and volume as they were
+      normalizePadSettings(settings);
+      normalizePadAppearance(appearance);
+      const changed = this.state.batch(() => {
+        const settingsChanged = this.setHotkeyPadSettings(element, settings);
+        return this.setHotkeyPadAppearance(element, appearance) || settingsChanged;
+      });
+      if (changed) {
+        await this.requestProfileStateSave();
+      }
+    } catch (error) {
+      debugLog?.warn('Could not set hotkey pad settings', {
+        module: 'hotkeys',
+        function: 'saveHotkeyPadSettings',
+        error: error.message,
+      });
+      await customAlert(`Could not save the pad settings: ${error.message}`);
+      return;
+    }
+    this.padSettingsTarget = null;
+    const { hideModal } = await import('../ui/bootstrap-adapter.js');
+    hideModal('#hotkeyPadModal');
+  }
+
   clearHotkeyElement(element) {
     const location = this.getHotkeyLocation(element);
     if (!location) return false;
@@ -314,7 +588,19 @@ class HotkeysModule {
       requestProfileStateSave: this.requestProfileStateSave.bind(this),
       clearTab: () => this.state.clearTab(this.getActiveTabNumber()),
       assignHotkey: this.assignHotkey.bind(this),
-      renameTab: (name) => this.state.renameTab(this.getActiveTabNumber(), name)
+      renameTab: (name) => this.state.renameTab(this.getActiveTabNumber(), name),
+      setGrid: (grid) => this.setTabGrid(this.getActiveTabNumber(), grid),
+      setAppearance: (key, appearance) => {
+        try {
+          this.state.setPadAppearance(this.getActiveTabNumber(), key, appearance);
+        } catch (error) {
+          debugLog?.warn(`Skipping the appearance of hotkey ${key}`, {
+            module: 'hotkeys',
+            function: 'importHotkeyConfig',
+            error: error.message,
+          });
+        }
+      }
     });
   }
 
@@ -335,15 +621,26 @@ class HotkeysModule {
    *
    * @param {Object} fkeys - Object containing hotkey data
    * @param {string} title - Title for the hotkey tab
+   * @param {{ rows: number, columns: number }} [grid] - Pad grid from the file
+   * @param {Object} [appearance] - Pad labels, colors and artwork by key, from the file
    */
-  _populateHotkeysImpl(fkeys, title) {
+  _populateHotkeysImpl(fkeys, title, grid, appearance) {
     if (!fkeys || Object.keys(fkeys).length === 0) {
       return;
     }
 
     const activeTab = document.querySelector('.hotkeys.show.active');
-    const tabNumber = Number(activeTab?.id?.match(/^hotkeys_list_(\d)$/)?.[1]);
-    if (tabNumber) this.state.clearTab(tabNumber);
+    const tabNumber = Number(activeTab?.id?.match(/^hotkeys_list_(\d+)$/)?.[1]);
+    if (tabNumber) {
+      this.state.clearTab(tabNumber);
+      // A file without a grid is a twelve-key list; it only resets a grid
+      // that could not hold it
+      if (grid) {
+        this.setTabGrid(tabNumber, grid);
+      } else if (Object.keys(fkeys).length > getPadCount(this.state.getGrid(tabNumber))) {
+        this.setTabGrid(tabNumber, DEFAULT_HOTKEY_GRID);
+      }
+    }
 
     for (const key in fkeys) {
       const hotkeyElement = document.querySelector(
@@ -370,6 +667,21 @@ class HotkeysModule {
       }
     }
     
+    if (tabNumber && appearance) {
+      for (const [key, padAppearance] of Object.entries(appearance)) {
+        if (!fkeys[key]) continue;
+        try {
+          this.state.setPadAppearance(tabNumber, key, padAppearance);
+        } catch (err) {
+          debugLog?.warn(`Skipping the appearance of hotkey ${key}`, {
+            module: 'hotkeys',
+            function: 'populateHotkeys',
+            error: err.message,
+          });
+        }
+      }
+    }
+
     if (title) {
       const active = document.querySelector('#hotkey_tabs li a.active');
       if (active) active.textContent = title;
@@ -383,7 +695,7 @@ class HotkeysModule {
   /**
    * Public populateHotkeys method - calls the implementation
    */
-  populateHotkeys(fkeys, title) {
+  populateHotkeys(fkeys, title, grid, appearance) {
     // Extend tooltip suppression during hotkey population to prevent tooltips
     // from appearing during DOM updates that happen after file loading
     const fileButtons = ['hotkey-load-btn', 'hotkey-save-btn', 'holding-tank-load-btn', 'holding-tank-save-btn'];
@@ -394,7 +706,7 @@ class HotkeysModule {
       }
     });
     
-    return this._populateHotkeysImpl(fkeys, title);
+    return this._populateHotkeysImpl(fkeys, title, grid, appearance);
   }
 
   /** Fetch song metadata and render an assignment or swap. */
@@ -407,6 +719,8 @@ class HotkeysModule {
     const result = await this.electronAPI.database.getSongById(songId);
     const row = result?.success && result.data?.[0];
     if (!row) throw new Error(result?.error || `Song ${songId} was not found`);
+    // A library song now holds this ID, whatever was deleted under it before
+    if (this.missingSongIds.delete(String(songId))) forgetSongFingerprints([songId]);
 
     const other = document.querySelector(`.hotkeys.active li[songid="${songId}"]`);
     if (other && other !== element) {
@@ -425,6 +739,8 @@ class HotkeysModule {
       }
     }
     element?.setAttribute?.('songid', songId);
+    // The pad's label tooltip and icons follow the song text set above
+    this.renderPadSettings();
     return row;
   }
 
@@ -442,24 +758,21 @@ class HotkeysModule {
       debugLog?.info('🔍 Active tab found:', { activeTab: !!activeTab, tabId: activeTab?.id });
       
       if (activeTab) {
-        const tabNumber = Number(activeTab.id.match(/^hotkeys_list_(\d)$/)?.[1]);
+        const tabNumber = Number(activeTab.id.match(/^hotkeys_list_(\d+)$/)?.[1]);
         if (tabNumber) this.state.clearTab(tabNumber);
         let clearedCount = 0;
-        for (let key = 1; key <= 12; key++) {
-          const li = activeTab.querySelector(`[id^="f${key}_hotkey"]`);
-          if (li) {
-            const hadSongId = li.hasAttribute('songid');
-            li.removeAttribute('songid');
-            const span = li.querySelector('span');
-            if (span && span.textContent.trim()) {
-              span.textContent = '';
-              clearedCount++;
-            }
-            // Remove highlighting classes when clearing hotkeys
-            li.classList.remove('active-hotkey', 'selected-row');
-            debugLog?.debug(`Cleared F${key}: hadSongId=${hadSongId}, span cleared`, { module: 'hotkeys' });
+        activeTab.querySelectorAll('li').forEach((li) => {
+          const hadSongId = li.hasAttribute('songid');
+          li.removeAttribute('songid');
+          const span = li.querySelector('span');
+          if (span && span.textContent.trim()) {
+            span.textContent = '';
+            clearedCount++;
           }
-        }
+          // Remove highlighting classes when clearing hotkeys
+          li.classList.remove('active-hotkey', 'selected-row');
+          debugLog?.debug(`Cleared ${li.id}: hadSongId=${hadSongId}, span cleared`, { module: 'hotkeys' });
+        });
         
         // Clear global selected hotkey reference
         window.currentSelectedHotkey = null;
@@ -508,6 +821,7 @@ class HotkeysModule {
    * Plays the song assigned to the specified hotkey in the active tab
    *
    * @param {string} hotkey - Hotkey identifier (e.g., 'f1', 'f2')
+   * @returns {Promise<void>|undefined} playSongFromId's promise, when a song plays
    */
   playSongFromHotkey(hotkey) {
     debugLog?.info('Getting song ID from hotkey ' + hotkey + ' in active tab', {
@@ -525,8 +839,14 @@ class HotkeysModule {
       function: 'playSongFromHotkey',
       activeTabElement: !!hotkeyElement,
     });
-    
-    if (song_id) {
+
+    if (song_id && this.missingSongIds.has(song_id)) {
+      debugLog?.warn('Song on hotkey ' + hotkey + ' is missing from the library', {
+        module: 'hotkeys',
+        function: 'playSongFromHotkey',
+        song_id: song_id,
+      });
+    } else if (song_id) {
       debugLog?.info(`Preparing to play song ${song_id} from active tab`, {
         module: 'hotkeys',
         function: 'playSongFromHotkey',
@@ -552,13 +872,20 @@ class HotkeysModule {
         }
       );
 
+      let playing;
       if (typeof this.moduleRegistry.audio?.playSongFromId === 'function') {
         debugLog?.info('🎵 HOTKEY PLAYBACK: Calling playSongFromId', {
           module: 'hotkeys',
           function: 'playSongFromHotkey',
           song_id: song_id,
         });
-        this.moduleRegistry.audio.playSongFromId(song_id);
+        const location = this.getHotkeyLocation(hotkeyElement);
+        playing = this.moduleRegistry.audio.playSongFromId(song_id, {
+          source: 'hotkey',
+          marker: this.getHotkeyMarker(hotkeyElement),
+          volume: this.getHotkeyPadSettings(hotkeyElement).volume,
+          pad: location ? getPadId(location.tabNumber, location.key) : null
+        });
       } else {
         debugLog?.error(
           '❌ HOTKEY PLAYBACK FAIL: playSongFromId not available',
@@ -575,6 +902,7 @@ class HotkeysModule {
       if (hotkeyElement) {
         animateCSS(hotkeyElement, 'flipInX');
       }
+      return playing;
     } else {
       debugLog?.warn('No song assigned to hotkey ' + hotkey + ' in active tab', {
         module: 'hotkeys',
@@ -585,6 +913,26 @@ class HotkeysModule {
     }
   }
 
+  /**
+   * Preview song from hotkey
+   * Auditions the song assigned to the hotkey in the active tab on the
+   * preview output; the main player and hotkey highlighting are untouched
+   *
+   * @param {string} hotkey - Hotkey identifier (e.g., 'f1', 'f2')
+   */
+  previewSongFromHotkey(hotkey) {
+    const song_id = this.getHotkeyElementFromActiveTab(hotkey)?.getAttribute('songid');
+    if (!song_id || this.missingSongIds.has(song_id)) {
+      debugLog?.warn('No playable song on hotkey ' + hotkey + ' in active tab', {
+        module: 'hotkeys',
+        function: 'previewSongFromHotkey',
+        hotkey: hotkey
+      });
+      return;
+    }
+    this.moduleRegistry.previewPlayer?.previewSong?.(song_id);
+  }
+
   /**
    * Send selected song to hotkeys
    * Assigns the currently selected song to the first empty hotkey slot
@@ -655,7 +1003,7 @@ class HotkeysModule {
     if (newName && newName.trim() !== '') {
       const active = document.querySelector('#hotkey_tabs .nav-link.active');
       if (active) active.textContent = newName;
-      const tabNumber = Number(active?.getAttribute('href')?.match(/^#hotkeys_list_(\d)$/)?.[1]);
+      const tabNumber = Number(active?.getAttribute('href')?.match(/^#hotkeys_list_(\d+)$/)?.[1]);
       if (tabNumber) this.state.renameTab(tabNumber, newName);
       this.requestProfileStateSave();
       return { success: true, newName: newName };
@@ -664,6 +1012,444 @@ class HotkeysModule {
     }
   }
 
+  // A tab's assignments, as { f1: songId, ... }
+  getTabHotkeys(tabNumber) {
+    return this.state.toSnapshot().find(tab => tab.tabNumber === tabNumber)?.hotkeys || {};
+  }
+
+  /**
+   * Create the panes and links for tabs past the ones on the page, drop the
+   * ones for removed tabs, and lay out every tab's pads
+   */
+  renderHotkeyTabs() {
+    const container = document.getElementById('hotkey-tab-content');
+    const tabList = document.getElementById('hotkey_tabs');
+    if (!container || !tabList) return;
+    const addItem = document.getElementById('hotkey-add-tab-item');
+
+    for (let tabNumber = 1; tabNumber <= this.state.tabCount; tabNumber++) {
+      if (!document.getElementById(`hotkeys_list_${tabNumber}`)) {
+        container.appendChild(hotkeyUI.createHotkeyTabPane(tabNumber));
+      }
+      if (!tabList.querySelector(`a[href="#hotkeys_list_${tabNumber}"]`)) {
+        tabList.insertBefore(hotkeyUI.createHotkeyTabLink(tabNumber), addItem);
+      }
+      this.renderHotkeyPads(tabNumber);
+    }
+
+    container.querySelectorAll('.hotkeys').forEach((pane) => {
+      const tabNumber = Number(pane.id.match(/^hotkeys_list_(\d+)$/)?.[1]);
+      if (tabNumber > this.state.tabCount) {
+        tabList.querySelector(`a[href="#${pane.id}"]`)?.closest('.nav-item')?.remove();
+        pane.remove();
+      }
+    });
+  }
+
+  /**
+   * Lay out a tab's pads for its grid: one column is the classic list, more
+   * columns make a grid of tiles
+   *
+   * @param {number} tabNumber - Tab to lay out
+   */
+  renderHotkeyPads(tabNumber) {
+    const pane = document.getElementById(`hotkeys_list_${tabNumber}`);
+    if (!pane) return;
+    const grid = this.state.getGrid(tabNumber);
+    pane.classList.toggle('hotkey-grid', grid.columns > 1);
+    pane.style.setProperty('--hotkey-columns', String(grid.columns));
+
+    const padKeys = getPadKeys(grid);
+    pane.querySelectorAll('li').forEach((li) => {
+      const location = this.getHotkeyLocation(li);
+      if (!location || !padKeys.includes(location.key)) li.remove();
+    });
+    padKeys.forEach((key, index) => {
+      let pad = pane.querySelector(`[id^="${key}_hotkey"]`);
+      if (!pad) pad = hotkeyUI.createHotkeyElement(key, tabNumber);
+      // Appending in order also moves any out-of-place pad back into line
+      if (pane.children[index] !== pad) pane.appendChild(pad);
+    });
+  }
+
+  /**
+   * Change a tab's pad grid. Songs on pads past the new size are dropped.
+   *
+   * @param {number} tabNumber - Tab to change
+   * @param {{ rows: number, columns: number }} grid - New grid
+   * @returns {boolean} whether the grid changed
+   */
+  setTabGrid(tabNumber, grid) {
+    const changed = this.state.setGrid(tabNumber, grid);
+    if (changed) this.renderHotkeyPads(tabNumber);
+    return changed;
+  }
+
+  /**
+   * Add a hotkey tab after the last one and switch to it
+   *
+   * @returns {number} - The new tab number
+   */
+  addHotkeyTab() {
+    const tabNumber = this.state.addTab();
+    this.renderHotkeyTabs();
+    this.switchToHotkeyTab(tabNumber);
+    this.requestProfileStateSave();
+    return tabNumber;
+  }
+
+  /**
+   * Remove the active hotkey tab. The first five tabs always stay; the tabs
+   * after a removed one move down a place.
+   */
+  async removeHotkeyTab() {
+    const tabNumber = this.getActiveTabNumber();
+    if (tabNumber <= DEFAULT_TAB_COUNT) {
+      await customAlert(`The first ${DEFAULT_TAB_COUNT} hotkey tabs can be renamed and cleared, but not removed.`, 'Remove Hotkey Tab');
+      return { success: false, error: 'Tab cannot be removed' };
+    }
+    const assigned = Object.keys(this.getTabHotkeys(tabNumber)).length;
+    if (assigned > 0) {
+      const confirmed = await customConfirm(
+        `Remove this tab and its ${assigned} hotkey${assigned === 1 ? '' : 's'}?`,
+        'Remove Hotkey Tab'
+      );
+      if (!confirmed) return { success: false, error: 'Cancelled' };
+    }
+
+    this.state.removeTab(tabNumber);
+    this.switchToHotkeyTab(tabNumber - 1);
+    // Later tabs are renumbered, so their pads are rendered again
+    await this.restoreHotkeySnapshot(this.state.toSnapshot());
+    this.requestProfileStateSave();
+    return { success: true };
+  }
+
+  /**
+   * Ask for the active tab's grid size, as rows by columns
+   */
+  async setHotkeyGridLayout() {
+    const tabNumber = this.getActiveTabNumber();
+    const answer = await customPrompt(
+      'Enter the pad grid as rows x columns (for example 4x8). One column is the classic list.',
+      formatHotkeyGrid(this.state.getGrid(tabNumber)),
+      'Hotkey Pad Grid'
+    );
+    if (!answer) return { success: false, error: 'Cancelled' };
+
+    let grid;
+    try {
+      grid = parseHotkeyGrid(answer);
+    } catch (error) {
+      await customAlert(error.message, 'Hotkey Pad Grid');
+      return { success: false, error: error.message };
+    }
+
+    const padCount = getPadCount(grid);
+    const dropped = Object.keys(this.getTabHotkeys(tabNumber))
+      .filter(key => Number(key.slice(1)) > padCount);
+    if (dropped.length > 0) {
+      const confirmed = await customConfirm(
+        `A ${formatHotkeyGrid(grid)} grid has ${padCount} pads. Remove the ${dropped.length} hotkey${dropped.length === 1 ? '' : 's'} past pad ${padCount}?`,
+        'Hotkey Pad Grid'
+      );
+      if (!confirmed) return { success: false, error: 'Cancelled' };
+    }
+
+    this.setTabGrid(tabNumber, grid);
+    this.requestProfileStateSave();
+    return { success: true, grid };
+  }
+
+  /**
+   * Save the active tab with its songs and their music files, for opening
+   * in another library with Import Hotkey Bundle
+   */
+  async exportHotkeyBundle() {
+    const tabNumber = this.getActiveTabNumber();
+    const tab = this.state.toSnapshot().find(entry => entry.tabNumber === tabNumber);
+    if (!tab || Object.keys(tab.hotkeys).length === 0) {
+      await customAlert('This hotkey tab has no songs to export.', 'Export Hotkey Bundle');
+      return { success: false, error: 'No hotkeys' };
+    }
+
+    const result = await secureLibrary.exportHotkeyBundle(tab);
+    if (result?.canceled) return result;
+    if (!result?.success) {
+      debugLog?.warn('Hotkey bundle export failed', {
+        module: 'hotkeys',
+        function: 'exportHotkeyBundle',
+        error: result?.error,
+      });
+      await customAlert(`Could not export the hotkey bundle: ${result?.error || 'Unknown error'}`, 'Export Hotkey Bundle');
+      return result;
+    }
+
+    const { songCount, missingFiles } = result.data;
+    let message = `Exported ${songCount} song${songCount === 1 ? '' : 's'}.`;
+    if (missingFiles.length) {
+      message += ` ${missingFiles.length} music file${missingFiles.length === 1 ? ' was' : 's were'} missing and left out: ${missingFiles.join(', ')}`;
+    }
+    await customAlert(message, 'Export Hotkey Bundle');
+    return result;
+  }
+
+  /**
+   * Choose a hotkey bundle and show which of its songs are already in the
+   * library and which will be added
+   */
+  async importHotkeyBundle() {
+    const result = await secureLibrary.openHotkeyBundle();
+    if (result?.canceled) return result;
+    if (!result?.success) {
+      await customAlert(`Could not open the hotkey bundle: ${result?.error || 'Unknown error'}`, 'Import Hotkey Bundle');
+      return result;
+    }
+
+    const bundle = result.data;
+    this.pendingBundle = bundle;
+    const toAdd = bundle.songs.filter(song => !song.match && song.hasFile).length;
+    const summary = document.getElementById('hotkey-bundle-summary');
+    if (summary) {
+      summary.textContent = `${bundle.tabName || 'Hotkeys'}: ${bundle.songs.length} song${bundle.songs.length === 1 ? '' : 's'}, `
+        + `${bundle.songs.filter(song => song.match).length} already in the library. `
+        + 'The bundle opens in a new hotkey tab.';
+    }
+    const tbody = document.getElementById('hotkey-bundle-songs');
+    if (tbody) {
+      tbody.textContent = '';
+      for (const song of bundle.songs) {
+        const tr = document.createElement('tr');
+        let status = 'No music file in the bundle; the pad is left empty';
+        if (song.match?.by === 'hash') status = 'In the library';
+        else if (song.match) status = 'In the library (same title and artist)';
+        else if (song.hasFile) status = 'Will be added';
+        [song.title, song.artist, status].forEach((text) => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      }
+    }
+    const categoryRow = document.getElementById('hotkey-bundle-category-row');
+    if (categoryRow) categoryRow.style.display = toAdd ? '' : 'none';
+    if (toAdd) {
+      await populateCategorySelect(document.getElementById('hotkey-bundle-category'), null, { addNewOption: false });
+    }
+
+    const { showModal } = await import('../ui/bootstrap-adapter.js');
+    showModal('#hotkeyBundleImportModal');
+    return result;
+  }
+
+  /**
+   * Add the songs the library lacks and open the bundle in a new tab
+   */
+  async confirmHotkeyBundleImport() {
+    const bundle = this.pendingBundle;
+    if (!bundle) return { success: false, error: 'No bundle' };
+    // Cleared while the import runs, so a second click does not import twice
+    this.pendingBundle = null;
+    const category = document.getElementById('hotkey-bundle-category')?.value || null;
+
+    const result = await secureLibrary.importHotkeyBundle(bundle.bundlePath, { category });
+    if (!result?.success) {
+      this.pendingBundle = bundle;
+      debugLog?.warn('Hotkey bundle import failed', {
+        module: 'hotkeys',
+        function: 'confirmHotkeyBundleImport',
+        error: result?.error,
+      });
+      await customAlert(`Could not import the hotkey bundle: ${result?.error || 'Unknown error'}`, 'Import Hotkey Bundle');
+      return result;
+    }
+
+    const { hideModal } = await import('../ui/bootstrap-adapter.js');
+    hideModal('#hotkeyBundleImportModal');
+
+    const { tab, imported, skipped } = result.data;
+    const snapshot = this.state.toSnapshot();
+    const tabNumber = snapshot.length + 1;
+    await this.restoreHotkeySnapshot([...snapshot, { ...tab, tabNumber }]);
+    this.switchToHotkeyTab(tabNumber);
+    this.requestProfileStateSave();
+
+    let message = `Added ${imported} song${imported === 1 ? '' : 's'} to the library.`;
+    if (skipped.length) {
+      message += ` ${skipped.length} song${skipped.length === 1 ? ' has' : 's have'} no music file in the bundle and ${skipped.length === 1 ? 'was' : 'were'} left out: ${skipped.join(', ')}`;
+    }
+    await customAlert(message, 'Import Hotkey Bundle');
+    return result;
+  }
+
+  /**
+   * Reload the pad keys preference. Called at startup and after
+   * Preferences are saved.
+   */
+  async refreshPadKeys() {
+    try {
+      const result = await getPreference('hotkey_pad_keys', this.electronAPI || window.secureElectronAPI);
+      this.padKeysEnabled = result?.success ? !!result.value : false;
+    } catch (error) {
+      this.padKeysEnabled = false;
+      debugLog?.warn('Could not load the pad keys preference', {
+        module: 'hotkeys',
+        function: 'refreshPadKeys',
+        error: error.message,
+      });
+    }
+    return this.padKeysEnabled;
+  }
+
+  /**
+   * Whether the song a pad started is still playing, on the main player or
+   * as a sound effect
+   *
+   * @param {string} padId - See getPadId
+   * @returns {boolean}
+   */
+  isPadPlaying(padId) {
+    if (sharedState.get('soundPad') === padId && sharedState.get('sound')?.playing?.()) return true;
+    return !!this.moduleRegistry.soundEffects?.isPadSoundEffectPlaying?.(padId);
+  }
+
+  /**
+   * Whether a pad is playing, or its song is still starting and nothing
+   * has asked for it to stop
+   *
+   * @param {string} padId - See getPadId
+   * @returns {boolean}
+   */
+  isPadActive(padId) {
+    const pending = this.pendingPads.get(padId);
+    return (!!pending && !pending.stop) || this.isPadPlaying(padId);
+  }
+
+  /**
+   * Play a pad's song. Looking the song up and routing it takes a moment;
+   * a release or second press in the meantime stops it once it has started.
+   *
+   * @param {string} hotkey - Pad key, e.g. 'f1'
+   * @param {string} padId - See getPadId
+   * @returns {Promise<void>} Resolves once the song has started, or did not
+   */
+  startPad(hotkey, padId) {
+    const pending = { stop: null };
+    this.pendingPads.set(padId, pending);
+    return Promise.resolve(this.playSongFromHotkey(hotkey))
+      .catch((error) => {
+        debugLog?.warn('Could not play the pad', {
+          module: 'hotkeys',
+          function: 'startPad',
+          padId,
+          error: error.message,
+        });
+      })
+      .then(() => {
+        if (this.pendingPads.get(padId) !== pending) return;
+        this.pendingPads.delete(padId);
+        if (pending.stop) this.stopPad(padId, pending.stop);
+      });
+  }
+
+  /**
+   * Stop what a pad started
+   *
+   * @param {string} padId - See getPadId
+   * @param {Object} [options]
+   * @param {boolean} [options.fade=false] - Fade out over the song's fade-out time
+   */
+  stopPad(padId, { fade = false } = {}) {
+    if (sharedState.get('soundPad') === padId && sharedState.get('sound')) {
+      this.moduleRegistry.audio?.stopPlaying?.(fade);
+    }
+    this.moduleRegistry.soundEffects?.stopPadSoundEffects?.(padId, { fade });
+  }
+
+  /**
+   * Press a pad in the active tab. Its behavior decides whether that plays
+   * its song, or stops or fades the song it is already playing.
+   *
+   * @param {string} hotkey - Pad key, e.g. 'f1'
+   * @param {Object} [options]
+   * @param {string} [options.trigger] - What holds it down (a keyboard key or
+   *   'pointer'), for releaseHotkey; defaults to the pad key
+   * @param {boolean} [options.repeat=false] - A key repeating while held; ignored
+   * @returns {boolean} whether the pad has a song that can play
+   */
+  pressHotkey(hotkey, { trigger = hotkey, repeat = false } = {}) {
+    const element = this.getHotkeyElementFromActiveTab(hotkey);
+    const location = this.getHotkeyLocation(element);
+    if (!location || !element.getAttribute('songid') || this.missingSongIds.has(element.getAttribute('songid'))) {
+      // Logs the empty or missing pad
+      if (!repeat) this.playSongFromHotkey(hotkey);
+      return false;
+    }
+    if (repeat) return true;
+
+    const { behavior } = this.state.getPadSettings(location.tabNumber, location.key);
+    const padId = getPadId(location.tabNumber, location.key);
+    const action = getPadPressAction(behavior, this.isPadActive(padId));
+    if (action === 'play') {
+      this.startPad(hotkey, padId);
+    } else {
+      const pending = this.pendingPads.get(padId);
+      if (pending) pending.stop = { fade: action === 'fade' };
+      this.stopPad(padId, { fade: action === 'fade' });
+    }
+    if (behavior === 'momentary') this.heldPads.set(trigger, { padId, behavior });
+    return true;
+  }
+
+  /**
+   * Let go of a pad pressed with pressHotkey. Momentary pads stop their song.
+   *
+   * @param {string} trigger - The pad key or trigger it was pressed with
+   * @returns {boolean} whether a held pad was let go
+   */
+  releaseHotkey(trigger) {
+    const held = this.heldPads.get(trigger);
+    if (!held) return false;
+    this.heldPads.delete(trigger);
+    if (getPadReleaseAction(held.behavior, this.isPadActive(held.padId)) === 'stop') {
+      const pending = this.pendingPads.get(held.padId);
+      if (pending) pending.stop = { fade: false };
+      this.stopPad(held.padId);
+    }
+    return true;
+  }
+
+  releaseAllHotkeys() {
+    [...this.heldPads.keys()].forEach(trigger => this.releaseHotkey(trigger));
+  }
+
+  /**
+   * Press the active tab's pad for a number row or letter key
+   *
+   * @param {string} keyboardKey - The key pressed, e.g. '1' or 'q'
+   * @param {Object} [options]
+   * @param {boolean} [options.repeat=false] - A key repeating while held
+   * @returns {boolean} whether a pad key was handled
+   */
+  playSongFromPadKey(keyboardKey, { repeat = false } = {}) {
+    if (!this.padKeysEnabled) return false;
+    const key = getPadForKeyboardKey(this.state.getGrid(this.getActiveTabNumber()), keyboardKey);
+    if (!key) return false;
+    this.pressHotkey(key, { trigger: keyboardKey, repeat });
+    return true;
+  }
+
+  /**
+   * Let go of a number row or letter key
+   *
+   * @param {string} keyboardKey - The key released
+   * @returns {boolean} whether it held a pad
+   */
+  releasePadKey(keyboardKey) {
+    return this.releaseHotkey(keyboardKey);
+  }
+
   /**
    * Clear all hotkey highlighting
    * Removes active-hotkey and selected-row classes from all hotkey elements
@@ -822,6 +1608,7 @@ class HotkeysModule {
 
       // Playback functions - properly bound to maintain context
       playSongFromHotkey: this.playSongFromHotkey.bind(this),
+      previewSongFromHotkey: this.previewSongFromHotkey.bind(this),
       sendToHotkeys: this.sendToHotkeys.bind(this),
 
       // UI operations - properly bound to maintain context
@@ -831,6 +1618,12 @@ class HotkeysModule {
       // Tab management - properly bound to maintain context
       switchToHotkeyTab: this.switchToHotkeyTab.bind(this),
       renameHotkeyTab: this.renameHotkeyTab.bind(this),
+      addHotkeyTab: this.addHotkeyTab.bind(this),
+      removeHotkeyTab: this.removeHotkeyTab.bind(this),
+      setHotkeyGridLayout: this.setHotkeyGridLayout.bind(this),
+      exportHotkeyBundle: this.exportHotkeyBundle.bind(this),
+      importHotkeyBundle: this.importHotkeyBundle.bind(this),
+      playSongFromPadKey: this.playSongFromPadKey.bind(this),
 
       // Removal function - properly bound to maintain context
       removeFromHotkey: this.removeFromHotkey.bind(this),
@@ -848,11 +1641,11 @@ class HotkeysModule {
   /**
    * Wrapper for populateHotkeys - handles async operations for Function Registry
    */
-  populateHotkeysWrapper(fkeys, title) {
-    debugLog?.debug('populateHotkeysWrapper called', { fkeys, title });
+  populateHotkeysWrapper(fkeys, title, grid, appearance) {
+    debugLog?.debug('populateHotkeysWrapper called', { fkeys, title, grid, appearance });
     try {
       debugLog?.info('About to call populateHotkeys...');
-      this.populateHotkeys(fkeys, title);
+      this.populateHotkeys(fkeys, title, grid, appearance);
       debugLog?.info('populateHotkeys completed successfully');
       return true;
     } catch (error) {
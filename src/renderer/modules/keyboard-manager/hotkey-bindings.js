@@ -55,15 +55,28 @@ export class HotkeyBindings {
       for (let i = 1; i <= 12; i++) {
         const fkey = `f${i}`;
         
-        // Global F-key binding
+        // Global F-key binding; the release lets go of momentary pads
+        Mousetrap.bind(fkey, (event) => {
+          this.handleFunctionKey(fkey, event);
+        });
         Mousetrap.bind(fkey, () => {
-          this.handleFunctionKey(fkey);
+          this.handleFunctionKeyRelease(fkey);
+        }, 'keyup');
+        // Shift+F-key previews the hotkey in headphones
+        Mousetrap.bind(`shift+${fkey}`, () => {
+          this.handlePreviewFunctionKey(fkey);
         });
         
         // Search field F-key binding (if search field exists)
         if (this.searchField) {
+          Mousetrap(this.searchField).bind(fkey, (event) => {
+            this.handleFunctionKey(fkey, event);
+          });
           Mousetrap(this.searchField).bind(fkey, () => {
-            this.handleFunctionKey(fkey);
+            this.handleFunctionKeyRelease(fkey);
+          }, 'keyup');
+          Mousetrap(this.searchField).bind(`shift+${fkey}`, () => {
+            this.handlePreviewFunctionKey(fkey);
           });
         }
         
@@ -82,16 +95,20 @@ export class HotkeyBindings {
   }
 
   /**
-   * Handle function key press
+   * Handle function key press. The pad's behavior decides whether it plays,
+   * stops or fades its song.
    * @param {string} fkey - Function key pressed (f1, f2, etc.)
+   * @param {KeyboardEvent} [event] - Repeats of a held key are ignored
    */
-  handleFunctionKey(fkey) {
+  handleFunctionKey(fkey, event) {
     try {
       this.logDebug(`Function key pressed: ${fkey}`);
       
-      const playSongFromHotkey = this.dependencies.moduleRegistry?.hotkeys?.playSongFromHotkey;
-      if (typeof playSongFromHotkey === 'function') {
-        playSongFromHotkey(fkey);
+      const hotkeys = this.dependencies.moduleRegistry?.hotkeys;
+      if (typeof hotkeys?.pressHotkey === 'function') {
+        hotkeys.pressHotkey(fkey, { repeat: !!event?.repeat });
+      } else if (typeof hotkeys?.playSongFromHotkey === 'function') {
+        hotkeys.playSongFromHotkey(fkey);
       } else {
         this.logWarn(`playSongFromHotkey function not available for ${fkey}`);
       }
@@ -106,6 +123,67 @@ export class HotkeyBindings {
     }
   }
 
+  /**
+   * Handle a function key being let go: a held momentary pad stops
+   * @param {string} fkey - Function key released (f1, f2, etc.)
+   */
+  handleFunctionKeyRelease(fkey) {
+    try {
+      this.dependencies.moduleRegistry?.hotkeys?.releaseHotkey?.(fkey);
+    } catch (error) {
+      this.logError(`Error handling function key release ${fkey}:`, error);
+    }
+  }
+
+  /**
+   * Handle Shift+function key press
+   * @param {string} fkey - Function key pressed (f1, f2, etc.)
+   */
+  handlePreviewFunctionKey(fkey) {
+    try {
+      const hotkeys = this.dependencies.moduleRegistry?.hotkeys;
+      if (typeof hotkeys?.previewSongFromHotkey === 'function') {
+        hotkeys.previewSongFromHotkey(fkey);
+      } else {
+        this.logWarn(`previewSongFromHotkey function not available for ${fkey}`);
+      }
+    } catch (error) {
+      this.logError(`Error handling preview key ${fkey}:`, error);
+    }
+  }
+
+  /**
+   * Handle a number row or letter key press. The hotkeys module decides
+   * whether pad keys are on and which pad of the active grid the key plays.
+   * @param {string} key - Key pressed ('1', 'q', ...)
+   * @param {KeyboardEvent} [event] - Repeats of a held key are ignored
+   * @returns {boolean} - True when a pad was triggered
+   */
+  handlePadKey(key, event) {
+    try {
+      const hotkeys = this.dependencies.moduleRegistry?.hotkeys;
+      if (typeof hotkeys?.playSongFromPadKey !== 'function') return false;
+      return hotkeys.playSongFromPadKey(key, { repeat: !!event?.repeat }) === true;
+    } catch (error) {
+      this.logError(`Error handling pad key ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Handle a number row or letter key being let go
+   * @param {string} key - Key released
+   * @returns {boolean} - True when it held a momentary pad
+   */
+  handlePadKeyRelease(key) {
+    try {
+      return this.dependencies.moduleRegistry?.hotkeys?.releasePadKey?.(key) === true;
+    } catch (error) {
+      this.logError(`Error handling pad key release ${key}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Get all hotkey bindings
    * @returns {Map} - Map of all bindings
@@ -140,9 +218,13 @@ export class HotkeyBindings {
   unbindFunctionKey(fkey) {
     try {
       Mousetrap.unbind(fkey);
+      Mousetrap.unbind(fkey, 'keyup');
+      Mousetrap.unbind(`shift+${fkey}`);
       
       if (this.searchField) {
         Mousetrap(this.searchField).unbind(fkey);
+        Mousetrap(this.searchField).unbind(fkey, 'keyup');
+        Mousetrap(this.searchField).unbind(`shift+${fkey}`);
       }
       
       this.bindings.delete(fkey);
@@ -2,7 +2,8 @@
  * Keyboard Manager Module
  * 
  * This module provides comprehensive keyboard shortcut management including
- * F1-F12 hotkey bindings, navigation shortcuts, and dynamic shortcut registration.
+ * F1-F12 hotkey bindings, pad keys, navigation shortcuts, and dynamic shortcut
+ * registration.
  * It consolidates all keyboard-related functionality from renderer.js.
  * 
  * Extracted from renderer.js as part of Phase 5 modularization.
@@ -13,6 +14,7 @@
 import { HotkeyBindings } from './hotkey-bindings.js';
 import { NavigationShortcuts } from './navigation-shortcuts.js';
 import { ShortcutRegistry } from './shortcut-registry.js';
+import { PAD_KEYS } from '../hotkeys/hotkey-grid.js';
 
 /**
  * KeyboardManager class coordinates all keyboard shortcut functionality
@@ -95,15 +97,40 @@ export class KeyboardManager {
       for (let i = 1; i <= 12; i++) {
         const fkey = `f${i}`;
         this.shortcutRegistry.registerShortcut(fkey, 
-          () => this.hotkeyBindings.handleFunctionKey(fkey),
+          (event) => this.hotkeyBindings.handleFunctionKey(fkey, event),
           {
             category: 'hotkeys',
             description: `Play song from hotkey ${fkey.toUpperCase()}`,
+            context: 'global',
+            // Momentary pads stop when the key is let go
+            onRelease: () => this.hotkeyBindings.handleFunctionKeyRelease(fkey)
+          }
+        );
+        this.shortcutRegistry.registerShortcut(`shift+${fkey}`,
+          () => this.hotkeyBindings.handlePreviewFunctionKey(fkey),
+          {
+            category: 'hotkeys',
+            description: `Preview song from hotkey ${fkey.toUpperCase()}`,
             context: 'global'
           }
         );
       }
 
+      // Number row and letter keys play pads of the active grid when pad
+      // keys are turned on; otherwise the key press goes through untouched
+      for (const key of PAD_KEYS) {
+        this.shortcutRegistry.registerShortcut(key,
+          (event) => (this.hotkeyBindings.handlePadKey(key, event) ? false : undefined),
+          {
+            category: 'hotkeys',
+            description: `Play the hotkey pad for ${key.toUpperCase()}`,
+            context: 'global',
+            preventDefault: false,
+            onRelease: () => (this.hotkeyBindings.handlePadKeyRelease(key) ? false : undefined)
+          }
+        );
+      }
+
       // Register Delete/Backspace for hotkey removal
       this.shortcutRegistry.registerShortcut(['del', 'backspace'], () => {
         // Find the selected row using either the ID or the class for consistency
@@ -177,7 +204,8 @@ export class KeyboardManager {
           {
             category: 'navigation',
             description: config.description,
-            context: config.context
+            context: config.context,
+            onRelease: config.onRelease
           }
         );
       }
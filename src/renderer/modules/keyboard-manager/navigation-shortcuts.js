@@ -2,7 +2,8 @@
  * Navigation Shortcuts Module
  * 
  * This module handles navigation and control shortcuts including tab switching,
- * search focus and play/pause controls.
+ * search focus, play/pause controls, tempo and pitch nudges and jumping
+ * between song markers.
  * 
  * Extracted from renderer.js as part of Phase 5 modularization.
  */
@@ -49,11 +50,12 @@ export class NavigationShortcuts {
   }
 
   /**
-   * Set up tab switching shortcuts (Command+1-5)
+   * Set up tab switching shortcuts (Command+1-9). Tabs past the fifth
+   * only exist once added.
    */
   setupTabSwitching() {
     try {
-      for (let i = 1; i <= 5; i++) {
+      for (let i = 1; i <= 9; i++) {
         const shortcut = `command+${i}`;
         
         Mousetrap.bind(shortcut, () => {
@@ -68,7 +70,7 @@ export class NavigationShortcuts {
         });
       }
       
-      this.logInfo('Tab switching shortcuts (Command+1-5) set up successfully');
+      this.logInfo('Tab switching shortcuts (Command+1-9) set up successfully');
     } catch (error) {
       this.logError('Error setting up tab switching shortcuts:', error);
     }
@@ -144,6 +146,56 @@ export class NavigationShortcuts {
         context: 'global',
         description: 'Play selected song'
       });
+
+      this.bindings.set("]", {
+        key: "]",
+        handler: (_event) => this.handleJumpToMarker('next'),
+        context: 'global',
+        description: 'Jump to next marker'
+      });
+
+      this.bindings.set("[", {
+        key: "[",
+        handler: (_event) => this.handleJumpToMarker('previous'),
+        context: 'global',
+        description: 'Jump to previous marker'
+      });
+
+      this.bindings.set("`", {
+        key: "`",
+        handler: (_event) => this.handleDuck(true),
+        onRelease: (_event) => this.handleDuck(false),
+        context: 'global',
+        description: 'Duck the music while held'
+      });
+
+      this.bindings.set("=", {
+        key: "=",
+        handler: (_event) => this.handlePlaybackSpeed('tempo', 1),
+        context: 'global',
+        description: 'Speed up the playing song'
+      });
+
+      this.bindings.set("-", {
+        key: "-",
+        handler: (_event) => this.handlePlaybackSpeed('tempo', -1),
+        context: 'global',
+        description: 'Slow down the playing song'
+      });
+
+      this.bindings.set("shift+=", {
+        key: "shift+=",
+        handler: (_event) => this.handlePlaybackSpeed('pitch', 1),
+        context: 'global',
+        description: 'Raise the pitch a semitone'
+      });
+
+      this.bindings.set("shift+-", {
+        key: "shift+-",
+        handler: (_event) => this.handlePlaybackSpeed('pitch', -1),
+        context: 'global',
+        description: 'Lower the pitch a semitone'
+      });
       
       this.logInfo('Audio control shortcuts set up successfully');
     } catch (error) {
@@ -277,6 +329,75 @@ export class NavigationShortcuts {
     }
   }
 
+  /**
+   * Handle jumping between markers of the playing song
+   * @param {string} direction - 'next' or 'previous'
+   * @returns {boolean} - False to prevent default behavior
+   */
+  handleJumpToMarker(direction) {
+    try {
+      this.logDebug(`Jump to ${direction} marker requested`);
+
+      const songMarkers = this.dependencies.moduleRegistry?.songMarkers;
+      const jump = direction === 'previous' ? songMarkers?.jumpToPreviousMarker : songMarkers?.jumpToNextMarker;
+      if (typeof jump === 'function') {
+        jump();
+      } else {
+        this.logWarn('Marker navigation not available');
+      }
+
+      return false;
+    } catch (error) {
+      this.logError(`Error jumping to ${direction} marker:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Handle the duck key being held or released
+   * @param {boolean} held - True on key down, false on key up
+   * @returns {boolean} - False to prevent default behavior
+   */
+  handleDuck(held) {
+    try {
+      const ducking = this.dependencies.moduleRegistry?.ducking;
+      const action = held ? ducking?.holdDuck : ducking?.releaseDuck;
+      if (typeof action === 'function') {
+        action();
+      } else {
+        this.logWarn('Ducking not available');
+      }
+
+      return false;
+    } catch (error) {
+      this.logError('Error handling duck key:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Handle a tempo or pitch nudge
+   * @param {string} control - 'tempo' or 'pitch'
+   * @param {number} direction - 1 up, -1 down
+   * @returns {boolean} - False to prevent default behavior
+   */
+  handlePlaybackSpeed(control, direction) {
+    try {
+      const audio = this.dependencies.moduleRegistry?.audio;
+      const nudge = control === 'pitch' ? audio?.nudgePlaybackPitch : audio?.nudgePlaybackTempo;
+      if (typeof nudge === 'function') {
+        nudge(direction);
+      } else {
+        this.logWarn('Tempo and pitch controls not available');
+      }
+
+      return false;
+    } catch (error) {
+      this.logError(`Error changing ${control}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Get all navigation shortcuts
    * @returns {Map} - Map of all bindings
@@ -315,6 +436,7 @@ export class NavigationShortcuts {
       bindingCategories: {
         tabSwitching: Array.from(this.bindings.keys()).filter(key => key.includes('command+')).length,
         audioControls: Array.from(this.bindings.keys()).filter(key => ['esc', 'space', 'return'].some(ctrl => key.includes(ctrl))).length,
+        markers: Array.from(this.bindings.keys()).filter(key => key === '[' || key === ']').length,
         deletion: Array.from(this.bindings.keys()).filter(key => key.includes('backspace') || key.includes('del')).length
       },
       timestamp: new Date().toISOString()
@@ -328,13 +450,14 @@ export class NavigationShortcuts {
   cleanup() {
     try {
       // Unbind all shortcuts
-      for (const key of this.bindings.keys()) {
+      for (const [key, binding] of this.bindings) {
         if (key.includes('|')) {
           // Handle multi-key bindings
           const keys = key.split('|');
           keys.forEach(k => Mousetrap.unbind(k));
         } else {
           Mousetrap.unbind(key);
+          if (binding.onRelease) Mousetrap.unbind(key, 'keyup');
         }
       }
       
@@ -50,6 +50,7 @@ export class ShortcutRegistry {
    * @param {string} key - Keyboard shortcut (e.g., 'ctrl+s', 'f1')
    * @param {Function} handler - Handler function
    * @param {Object} options - Additional options
+   * @param {Function} [options.onRelease] - Handler for the key being released
    * @returns {boolean} - Success status
    */
   registerShortcut(key, handler, options = {}) {
@@ -57,6 +58,7 @@ export class ShortcutRegistry {
       const shortcutConfig = {
         key,
         handler,
+        onRelease: options.onRelease || null,
         context: options.context || 'global',
         description: options.description || '',
         element: options.element || null,
@@ -82,14 +84,15 @@ export class ShortcutRegistry {
       }
 
       // Bind the shortcut using Mousetrap
-      if (shortcutConfig.element) {
-        Mousetrap(shortcutConfig.element).bind(key, (e) => {
-          return this.executeHandler(key, e, shortcutConfig);
-        });
-      } else {
-        Mousetrap.bind(key, (e) => {
-          return this.executeHandler(key, e, shortcutConfig);
-        });
+      const target = shortcutConfig.element ? Mousetrap(shortcutConfig.element) : Mousetrap;
+      target.bind(key, (e) => {
+        return this.executeHandler(key, e, shortcutConfig);
+      });
+      // Held keys also get their release
+      if (shortcutConfig.onRelease) {
+        target.bind(key, (e) => {
+          return this.executeHandler(key, e, shortcutConfig, shortcutConfig.onRelease);
+        }, 'keyup');
       }
 
       // Store the shortcut configuration
@@ -111,9 +114,10 @@ export class ShortcutRegistry {
    * @param {string} key - Shortcut key
    * @param {Event} event - Keyboard event
    * @param {Object} config - Shortcut configuration
+   * @param {Function} [handler] - Handler to run instead of config.handler (key release)
    * @returns {boolean} - Handler return value
    */
-  executeHandler(key, event, config) {
+  executeHandler(key, event, config, handler = config.handler) {
     try {
       if (!config.enabled) {
         this.logDebug(`Shortcut disabled: ${key}`);
@@ -122,7 +126,7 @@ export class ShortcutRegistry {
 
       this.logDebug(`Executing shortcut: ${key}`);
       
-      const result = config.handler(event, key, config);
+      const result = handler(event, key, config);
       
       // Return false to preventDefault if configured
       return config.preventDefault ? false : result;
@@ -146,11 +150,9 @@ export class ShortcutRegistry {
       }
 
       // Unbind from Mousetrap
-      if (config.element) {
-        Mousetrap(config.element).unbind(key);
-      } else {
-        Mousetrap.unbind(key);
-      }
+      const target = config.element ? Mousetrap(config.element) : Mousetrap;
+      target.unbind(key);
+      if (config.onRelease) target.unbind(key, 'keyup');
 
       // Remove from registry
       this.shortcuts.delete(key);
@@ -0,0 +1,309 @@
+/**
+ * Library Verifier Module
+ *
+ * The Songs > Verify Library report: songs whose music file is missing,
+ * songs whose filename only matches with different letter case, audio files
+ * no song uses, and files whose names differ only in case. Each list has a
+ * bulk action: relink to a suggested file, fix the case, import the unused
+ * files, or remove the songs whose file is gone.
+ */
+
+import { info, error } from '../debug-log/index.js';
+import { secureLibrary } from '../adapters/secure-adapter.js';
+import { populateCategorySelect } from '../categories/category-data.js';
+import { customConfirm } from '../utils/index.js';
+import { markSongsMissing } from '../song-references/song-fingerprint-store.js';
+
+const SECTIONS = ['missing', 'case', 'orphaned', 'collisions'];
+
+let moduleRegistry = {};
+let currentReport = null;
+
+function setMessage(text) {
+  const messageEl = document.getElementById('library-verifier-message');
+  if (!messageEl) return;
+  messageEl.textContent = text;
+  messageEl.style.display = text ? '' : 'none';
+}
+
+function showSection(name, visible) {
+  const section = document.getElementById(`library-verifier-${name}`);
+  if (section) section.style.display = visible ? '' : 'none';
+}
+
+function createCell(content) {
+  const td = document.createElement('td');
+  if (typeof content === 'string') td.textContent = content;
+  else if (content) td.appendChild(content);
+  return td;
+}
+
+function createCheckbox(value) {
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'form-check-input';
+  checkbox.value = value;
+  checkbox.checked = true;
+  return checkbox;
+}
+
+function renderRows(tbodyId, items, buildCells) {
+  const tbody = document.getElementById(tbodyId);
+  if (!tbody) return;
+  tbody.textContent = '';
+  for (const item of items) {
+    const tr = document.createElement('tr');
+    buildCells(item).forEach(content => tr.appendChild(createCell(content)));
+    tbody.appendChild(tr);
+  }
+}
+
+function createCandidateSelect(song) {
+  const select = document.createElement('select');
+  select.className = 'form-select form-select-sm';
+  select.setAttribute('data-relink-song', String(song.id));
+  for (const filename of song.candidates || []) {
+    const option = document.createElement('option');
+    option.value = filename;
+    option.textContent = filename;
+    select.appendChild(option);
+  }
+  if (!song.candidates?.length) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'No matching file found';
+    select.appendChild(option);
+    select.disabled = true;
+  }
+  return select;
+}
+
+/**
+ * Render a VERIFY report.
+ * @param {Object} report - LIBRARY.VERIFY data
+ */
+function renderLibraryReport(report) {
+  currentReport = report;
+  const summary = document.getElementById('library-verifier-summary');
+  if (summary) {
+    summary.textContent = `Checked ${report.songCount} song${report.songCount === 1 ? '' : 's'} and ${report.fileCount} file${report.fileCount === 1 ? '' : 's'} in ${report.musicDirectory}.`;
+  }
+
+  renderRows('library-verifier-missing-body', report.missing, song => [
+    createCheckbox(String(song.id)),
+    song.title || '',
+    song.artist || '',
+    song.filename || '',
+    createCandidateSelect(song)
+  ]);
+  renderRows('library-verifier-case-body', report.caseMismatches, song => [
+    createCheckbox(String(song.id)),
+    song.title || '',
+    song.filename || '',
+    song.actualFilename
+  ]);
+  renderRows('library-verifier-orphaned-body', report.orphaned, filename => [
+    createCheckbox(filename),
+    filename
+  ]);
+  renderRows('library-verifier-collisions-body', report.caseCollisions, group => [group.join(', ')]);
+
+  showSection('missing', report.missing.length > 0);
+  showSection('case', report.caseMismatches.length > 0);
+  showSection('orphaned', report.orphaned.length > 0);
+  showSection('collisions', report.caseCollisions.length > 0);
+
+  const problems = report.missing.length + report.caseMismatches.length + report.orphaned.length + report.caseCollisions.length;
+  setMessage(problems ? '' : 'No problems found. Every song has its file and every file belongs to a song.');
+}
+
+function checkedValues(section) {
+  return Array.from(document.querySelectorAll(`#library-verifier-${section}-body input[type="checkbox"]:checked`))
+    .map(checkbox => checkbox.value);
+}
+
+/**
+ * Run the check and show the report.
+ * @returns {Promise<boolean>} true when the report was loaded
+ */
+async function loadLibraryReport() {
+  SECTIONS.forEach(name => showSection(name, false));
+  setMessage('Checking the library...');
+  try {
+    const result = await secureLibrary.verify();
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unknown error');
+    }
+    renderLibraryReport(result.data);
+    return true;
+  } catch (err) {
+    currentReport = null;
+    setMessage(`Could not verify the library: ${err.message}`);
+    error('Failed to verify library', {
+      module: 'library-verifier', function: 'loadLibraryReport', error: err.message
+    });
+    return false;
+  }
+}
+
+async function runAction(name, action) {
+  try {
+    const result = await action();
+    if (result && !result.success) {
+      throw new Error(result.error || 'Unknown error');
+    }
+    if (result) {
+      info(`Library verifier: ${name}`, { module: 'library-verifier', function: 'runAction', data: result.data });
+      await loadLibraryReport();
+    }
+    return result?.data ?? null;
+  } catch (err) {
+    setMessage(`Could not ${name}: ${err.message}`);
+    error(`Library verifier action failed: ${name}`, {
+      module: 'library-verifier', function: 'runAction', error: err.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Relink the checked missing songs to the file chosen in their row.
+ * @returns {Promise<Object|null>} { changes } or null
+ */
+function relinkMissingSongs() {
+  return runAction('relink songs', async () => {
+    const links = checkedValues('missing')
+      .map(songId => ({
+        songId,
+        filename: document.querySelector(`select[data-relink-song="${songId}"]`)?.value || ''
+      }))
+      .filter(link => link.filename);
+    return links.length ? secureLibrary.relinkSongs(links) : null;
+  });
+}
+
+/**
+ * Point the checked case-mismatched songs at the file as it is spelled on disk.
+ * @returns {Promise<Object|null>} { changes } or null
+ */
+function fixCaseMismatches() {
+  return runAction('fix file name case', async () => {
+    const checked = new Set(checkedValues('case'));
+    const links = (currentReport?.caseMismatches || [])
+      .filter(song => checked.has(String(song.id)))
+      .map(song => ({ songId: song.id, filename: song.actualFilename }));
+    return links.length ? secureLibrary.relinkSongs(links) : null;
+  });
+}
+
+/**
+ * Add the checked unused files as songs in the chosen category.
+ * @returns {Promise<Object|null>} { ids } or null
+ */
+function importOrphanedFiles() {
+  return runAction('import files', async () => {
+    const filenames = checkedValues('orphaned');
+    const category = document.getElementById('library-verifier-category')?.value;
+    if (!filenames.length) return null;
+    if (!category || category === '--NEW--') {
+      throw new Error('Choose a category for the imported songs');
+    }
+    return secureLibrary.importOrphans(filenames, category);
+  });
+}
+
+// Hotkeys and holding tank entries for songs that no longer exist are
+// dropped by the restore, as on profile load
+async function refreshProfileCollections() {
+  const { hotkeys, holdingTank, profileState } = moduleRegistry;
+  if (hotkeys?.getHotkeySnapshot && hotkeys.restoreHotkeySnapshot) {
+    await hotkeys.restoreHotkeySnapshot(hotkeys.getHotkeySnapshot());
+  }
+  if (holdingTank?.getHoldingTankSnapshot && holdingTank.restoreHoldingTankSnapshot) {
+    await holdingTank.restoreHoldingTankSnapshot(holdingTank.getHoldingTankSnapshot());
+  }
+  await profileState?.saveProfileState?.();
+}
+
+/**
+ * Delete the checked songs whose file is missing, after confirmation.
+ * @returns {Promise<Object|null>} { removedIds } or null
+ */
+function removeMissingSongs() {
+  return runAction('remove songs', async () => {
+    const songIds = checkedValues('missing');
+    if (!songIds.length) return null;
+    const confirmed = await customConfirm(
+      `Remove ${songIds.length} song${songIds.length === 1 ? '' : 's'} whose music file is missing? Hotkeys and holding tanks will show them as missing until they are imported again.`,
+      'Remove Songs'
+    );
+    if (!confirmed) return null;
+    const result = await secureLibrary.removeMissingSongs(songIds);
+    if (result?.success) {
+      result.data.removedIds.forEach((id) => {
+        document.querySelectorAll(`#search_results tr[songid="${id}"]`).forEach(el => el.remove());
+      });
+      markSongsMissing(Object.fromEntries(result.data.removedIds
+        .map(id => [String(id), result.data.fingerprints?.[String(id)] || null])));
+      await refreshProfileCollections();
+    }
+    return result;
+  });
+}
+
+/**
+ * Open the Verify Library report.
+ */
+async function showLibraryVerifier() {
+  const { showModal } = await import('../ui/bootstrap-adapter.js');
+  await populateCategorySelect(document.getElementById('library-verifier-category'), null, { addNewOption: false });
+  showModal('#libraryVerifierModal');
+  await loadLibraryReport();
+}
+
+/**
+ * Wire the report's buttons.
+ * @param {Object} [dependencies]
+ * @param {Object} [dependencies.moduleRegistry] - For the hotkeys, holding tank and profile state modules
+ */
+function initializeLibraryVerifier(dependencies = {}) {
+  moduleRegistry = dependencies.moduleRegistry || {};
+  if (typeof document === 'undefined') return;
+
+  const actions = {
+    'library-verifier-relink': relinkMissingSongs,
+    'library-verifier-remove': removeMissingSongs,
+    'library-verifier-fix-case': fixCaseMismatches,
+    'library-verifier-import': importOrphanedFiles,
+    'library-verifier-refresh': loadLibraryReport
+  };
+  for (const [id, action] of Object.entries(actions)) {
+    document.getElementById(id)?.addEventListener('click', () => action());
+  }
+
+  info('Library Verifier module initialized', {
+    module: 'library-verifier',
+    function: 'initializeLibraryVerifier'
+  });
+}
+
+export {
+  initializeLibraryVerifier,
+  showLibraryVerifier,
+  loadLibraryReport,
+  renderLibraryReport,
+  relinkMissingSongs,
+  fixCaseMismatches,
+  importOrphanedFiles,
+  removeMissingSongs
+};
+
+export default {
+  initializeLibraryVerifier,
+  showLibraryVerifier,
+  loadLibraryReport,
+  relinkMissingSongs,
+  fixCaseMismatches,
+  importOrphanedFiles,
+  removeMissingSongs
+};
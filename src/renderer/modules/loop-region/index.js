@@ -0,0 +1,205 @@
+/**
+ * Loop Region Module
+ *
+ * A section of a song, such as a 16-bar bed under a scene, that loops until
+ * the operator releases it. Released, the current pass plays to the loop end
+ * and playback continues to the end of the song, or jumps to the song's
+ * "Outro" marker when it has one later on.
+ *
+ * - Loop Region (player controls) sets a region at the playhead when the
+ *   playing song has none, otherwise holds or releases it
+ * - Dragging or resizing the region on the waveform changes it and
+ *   double-clicking it removes it
+ *
+ * The looping itself is done by the audio module's loop region timer (see
+ * audio/loop-region-timer.js and playback-policy.js getLoopRegionStep).
+ * Each song has at most one region, saved with the song as soon as it
+ * changes.
+ */
+
+import { info, warn } from '../debug-log/index.js';
+import sharedState from '../shared-state.js';
+import { secureDatabase } from '../adapters/secure-adapter.js';
+import { customAlert, customConfirm } from '../utils/index.js';
+import { LOOP_REGION_ID, renderLoopRegion } from '../audio/playback-ui-presenter.js';
+import { getLoopRegion } from '../audio/playback-policy.js';
+
+// Length of a new region; the operator fits it to the music on the waveform
+const DEFAULT_LOOP_SECONDS = 8;
+const MIN_LOOP_SECONDS = 0.5;
+
+let editedRegions = null;
+
+function getPlayingSongId() {
+  return document.getElementById('song_now_playing')?.getAttribute('songid') || null;
+}
+
+function getPlayingSound() {
+  const sound = sharedState.get('sound');
+  return sound && getPlayingSongId() ? sound : null;
+}
+
+const roundSeconds = seconds => Math.round(seconds * 100) / 100;
+
+function renderLoopRegionButton(state) {
+  const button = document.getElementById('loop_region_button');
+  if (!button) return;
+  button.classList.toggle('active', state === 'holding');
+  button.setAttribute('aria-pressed', state === 'holding' ? 'true' : 'false');
+}
+
+/**
+ * Loop the playing song's region again.
+ * @returns {boolean} false when the playing song has no loop region
+ */
+function holdLoopRegion() {
+  if (!getPlayingSound() || !sharedState.get('trackLoopRegion')) return false;
+  sharedState.set('loopRegionState', 'holding');
+  return true;
+}
+
+/**
+ * Let the playing song leave its loop region at the end of the current pass.
+ * @returns {boolean} false when no loop region is held
+ */
+function releaseLoopRegion() {
+  if (sharedState.get('loopRegionState') !== 'holding') return false;
+  sharedState.set('loopRegionState', 'releasing');
+  info('Loop region released', { module: 'loop-region', function: 'releaseLoopRegion' });
+  return true;
+}
+
+/**
+ * Save a song's loop region and apply it when the song is playing.
+ * @param {number|string} songId
+ * @param {{ start: number, end: number }|null} loop - null removes it
+ * @returns {Promise<{ start: number, end: number }|null>} the saved region
+ */
+async function saveLoopRegion(songId, loop) {
+  const saved = loop ? { start: roundSeconds(loop.start), end: roundSeconds(loop.end) } : null;
+  const result = await secureDatabase.updateSong({
+    id: songId, loop_start: saved?.start ?? null, loop_end: saved?.end ?? null
+  });
+  if (!result?.success) {
+    throw new Error(result?.error || 'Unknown error');
+  }
+  if (String(songId) === String(getPlayingSongId())) {
+    const region = getLoopRegion({
+      loop_start: saved?.start ?? null, loop_end: saved?.end ?? null, end_time: sharedState.get('trackEndTime')
+    });
+    const hadRegion = !!sharedState.get('trackLoopRegion');
+    sharedState.set('trackLoopRegion', region);
+    if (!region) sharedState.set('loopRegionState', null);
+    // A new region loops right away; a changed one keeps its hold or release
+    else if (!hadRegion) sharedState.set('loopRegionState', 'holding');
+    renderLoopRegion(sharedState.get('wavesurferRegions'), saved);
+  }
+  return saved;
+}
+
+async function changePlayingLoopRegion(loop, caller) {
+  const songId = getPlayingSongId();
+  if (!songId) return null;
+  try {
+    return await saveLoopRegion(songId, loop);
+  } catch (err) {
+    warn('Could not save the loop region', { module: 'loop-region', function: caller, songId, error: err.message });
+    // Put a dragged region back where it was saved
+    renderLoopRegion(sharedState.get('wavesurferRegions'), sharedState.get('trackLoopRegion'));
+    await customAlert(`Could not save the loop region: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Give the playing song a loop region starting at the playhead.
+ * @returns {Promise<Object|null>} the new region, or null when none was set
+ */
+async function createLoopRegionAtPlayhead() {
+  const sound = getPlayingSound();
+  if (!sound) return null;
+  const start = Number(sound.seek()) || 0;
+  const songEnd = sharedState.get('trackEndTime') ?? (Number(sound.duration()) || start);
+  const end = Math.min(start + DEFAULT_LOOP_SECONDS, songEnd);
+  if (end - start < MIN_LOOP_SECONDS) {
+    await customAlert('There is not enough of the song left for a loop region here.');
+    return null;
+  }
+  return changePlayingLoopRegion({ start, end }, 'createLoopRegionAtPlayhead');
+}
+
+/**
+ * Loop Region button: set a region, or hold or release the one there is.
+ */
+async function toggleLoopRegion() {
+  if (!getPlayingSound()) {
+    await customAlert('Play a song to set its loop region.');
+    return;
+  }
+  if (!sharedState.get('trackLoopRegion')) {
+    await createLoopRegionAtPlayhead();
+  } else if (sharedState.get('loopRegionState') === 'holding') {
+    releaseLoopRegion();
+  } else {
+    holdLoopRegion();
+  }
+}
+
+async function removeLoopRegion() {
+  const confirmed = await customConfirm('Remove the loop region from this song?', 'Remove Loop Region');
+  if (!confirmed) return null;
+  return changePlayingLoopRegion(null, 'removeLoopRegion');
+}
+
+/**
+ * Edit the loop region through the waveform's regions. Safe to call again
+ * with the same plugin.
+ * @param {Object} regions - WaveSurfer Regions plugin
+ */
+function attachLoopRegionEditor(regions) {
+  if (!regions || regions === editedRegions) return;
+  editedRegions = regions;
+  regions.on('region-updated', (region) => {
+    if (region?.id !== LOOP_REGION_ID) return;
+    changePlayingLoopRegion({ start: region.start, end: region.end }, 'attachLoopRegionEditor');
+  });
+  regions.on('region-double-clicked', (region, event) => {
+    if (region?.id !== LOOP_REGION_ID) return;
+    event?.stopPropagation?.();
+    removeLoopRegion();
+  });
+}
+
+/**
+ * Wire the Loop Region button and the waveform editor.
+ */
+function initializeLoopRegion() {
+  if (typeof document === 'undefined') return;
+
+  document.getElementById('loop_region_button')?.addEventListener('click', () => toggleLoopRegion());
+  renderLoopRegionButton(sharedState.get('loopRegionState'));
+  sharedState.subscribe('loopRegionState', renderLoopRegionButton);
+  // The waveform is created the first time it is shown
+  attachLoopRegionEditor(sharedState.get('wavesurferRegions'));
+  sharedState.subscribe('wavesurferRegions', attachLoopRegionEditor);
+
+  info('Loop region module initialized', { module: 'loop-region', function: 'initializeLoopRegion' });
+}
+
+export {
+  initializeLoopRegion,
+  toggleLoopRegion,
+  holdLoopRegion,
+  releaseLoopRegion,
+  createLoopRegionAtPlayhead,
+  saveLoopRegion,
+  removeLoopRegion,
+  attachLoopRegionEditor
+};
+
+export default {
+  initializeLoopRegion,
+  toggleLoopRegion,
+  holdLoopRegion,
+  releaseLoopRegion
+};
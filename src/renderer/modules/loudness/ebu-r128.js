@@ -0,0 +1,210 @@
+/**
+ * EBU R128 Loudness Meter
+ *
+ * Integrated loudness and true peak of decoded audio, following ITU-R
+ * BS.1770-4: K-weighting, 400 ms blocks overlapping by 75 %, an absolute
+ * gate at -70 LUFS and a relative gate 10 LU below the gated mean. True peak
+ * is measured on a 4x oversampled signal.
+ *
+ * Samples are fed in chunks, so a long file can be measured a piece at a
+ * time without holding up the window.
+ */
+
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const BLOCK_SUB_BLOCKS = 4; // 400 ms blocks stepped by 100 ms
+const OVERSAMPLING = 4;
+const TAPS_PER_PHASE = 12;
+
+// 5.1 in Web Audio order: L, R, C, LFE, Ls, Rs. The LFE is not measured.
+const SURROUND_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+// K-weighting for any sample rate: a high shelf followed by the RLB
+// high-pass, from the BS.1770 analog prototypes
+function kWeightingFilters(sampleRate) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+  return [shelf, highPass];
+}
+
+// Windowed-sinc interpolator for 4x oversampling, split into one short
+// filter per output phase. Taps run newest sample first.
+function interpolationPhases() {
+  const length = OVERSAMPLING * TAPS_PER_PHASE;
+  const center = (length - 1) / 2;
+  const taps = Array.from({ length }, (_, n) => {
+    const x = (n - center) / OVERSAMPLING;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * (n + 0.5)) / length);
+    return sinc * window;
+  });
+  return Array.from({ length: OVERSAMPLING }, (_, phase) =>
+    Float64Array.from({ length: TAPS_PER_PHASE }, (_, k) => taps[phase + OVERSAMPLING * k])
+  );
+}
+
+const PHASES = interpolationPhases();
+
+function channelWeights(channelCount) {
+  return channelCount === SURROUND_WEIGHTS.length
+    ? SURROUND_WEIGHTS
+    : Array.from({ length: channelCount }, () => 1);
+}
+
+function energyToLufs(energy) {
+  return -0.691 + 10 * Math.log10(energy);
+}
+
+function lufsToEnergy(lufs) {
+  return 10 ** ((lufs + 0.691) / 10);
+}
+
+/**
+ * Integrated loudness of gated block energies.
+ * @param {Array<number>} blocks - Weighted mean-square energy per 400 ms block
+ * @returns {number|null} LUFS, or null when every block is below the gates
+ */
+function gatedLoudness(blocks) {
+  const absoluteGate = lufsToEnergy(ABSOLUTE_GATE_LUFS);
+  const audible = blocks.filter(energy => energy > absoluteGate);
+  if (!audible.length) return null;
+  const audibleMean = audible.reduce((sum, energy) => sum + energy, 0) / audible.length;
+  const relativeGate = lufsToEnergy(energyToLufs(audibleMean) + RELATIVE_GATE_LU);
+  const gated = audible.filter(energy => energy > relativeGate);
+  if (!gated.length) return null;
+  return energyToLufs(gated.reduce((sum, energy) => sum + energy, 0) / gated.length);
+}
+
+/**
+ * Create a meter for audio with a fixed sample rate and channel count.
+ * @param {number} sampleRate
+ * @param {number} channelCount
+ * @returns {{ addSamples: Function, finish: Function }}
+ */
+function createLoudnessMeter(sampleRate, channelCount) {
+  if (!(sampleRate > 0) || !(channelCount > 0)) {
+    throw new Error('A sample rate and at least one channel are required');
+  }
+  const [shelf, highPass] = kWeightingFilters(sampleRate);
+  const weights = channelWeights(channelCount);
+  const subBlockLength = Math.round(sampleRate / 10);
+  // Biquad state per channel (transposed direct form II): shelf z1, z2, high-pass z1, z2
+  const filterState = Array.from({ length: channelCount }, () => new Float64Array(4));
+  // Recent samples per channel, written twice so the newest TAPS_PER_PHASE
+  // are always contiguous
+  const history = Array.from({ length: channelCount }, () => new Float64Array(2 * TAPS_PER_PHASE));
+  let historyPosition = 0;
+
+  const subBlocks = [];
+  let subBlockEnergy = 0;
+  let subBlockCount = 0;
+  let peak = 0;
+
+  /**
+   * Measure more samples. Every channel advances by the same range.
+   * @param {Array<Float32Array>} channels - One sample array per channel
+   * @param {number} [start=0]
+   * @param {number} [end] - Defaults to the end of the arrays
+   */
+  function addSamples(channels, start = 0, end = channels[0]?.length ?? 0) {
+    if (channels.length !== channelCount) {
+      throw new Error(`Expected ${channelCount} channels, got ${channels.length}`);
+    }
+    for (let i = start; i < end; i++) {
+      historyPosition = (historyPosition + 1) % TAPS_PER_PHASE;
+      const newest = historyPosition + TAPS_PER_PHASE;
+
+      for (let c = 0; c < channelCount; c++) {
+        const x = channels[c][i];
+
+        const state = filterState[c];
+        const shelved = shelf.b0 * x + state[0];
+        state[0] = shelf.b1 * x - shelf.a1 * shelved + state[1];
+        state[1] = shelf.b2 * x - shelf.a2 * shelved;
+        const weighted = highPass.b0 * shelved + state[2];
+        state[2] = highPass.b1 * shelved - highPass.a1 * weighted + state[3];
+        state[3] = highPass.b2 * shelved - highPass.a2 * weighted;
+        subBlockEnergy += weights[c] * weighted * weighted;
+
+        const recent = history[c];
+        recent[historyPosition] = x;
+        recent[newest] = x;
+        const magnitude = Math.abs(x);
+        if (magnitude > peak) peak = magnitude;
+        for (let p = 0; p < OVERSAMPLING; p++) {
+          const taps = PHASES[p];
+          let interpolated = 0;
+          for (let k = 0; k < TAPS_PER_PHASE; k++) {
+            interpolated += taps[k] * recent[newest - k];
+          }
+          const interpolatedMagnitude = Math.abs(interpolated);
+          if (interpolatedMagnitude > peak) peak = interpolatedMagnitude;
+        }
+      }
+
+      subBlockCount += 1;
+      if (subBlockCount === subBlockLength) {
+        subBlocks.push(subBlockEnergy);
+        subBlockEnergy = 0;
+        subBlockCount = 0;
+      }
+    }
+  }
+
+  /**
+   * @returns {{ integratedLufs: number|null, truePeakDbtp: number|null, durationSeconds: number }}
+   *   null loudness for silence or audio shorter than one block; null peak for digital silence
+   */
+  function finish() {
+    const blocks = [];
+    for (let i = BLOCK_SUB_BLOCKS - 1; i < subBlocks.length; i++) {
+      let energy = 0;
+      for (let j = i - BLOCK_SUB_BLOCKS + 1; j <= i; j++) energy += subBlocks[j];
+      blocks.push(energy / (BLOCK_SUB_BLOCKS * subBlockLength));
+    }
+    return {
+      integratedLufs: gatedLoudness(blocks),
+      truePeakDbtp: peak > 0 ? 20 * Math.log10(peak) : null,
+      durationSeconds: (subBlocks.length * subBlockLength + subBlockCount) / sampleRate
+    };
+  }
+
+  return { addSamples, finish };
+}
+
+/**
+ * Measure a whole decoded signal at once.
+ * @param {Array<Float32Array>} channels
+ * @param {number} sampleRate
+ * @returns {{ integratedLufs: number|null, truePeakDbtp: number|null, durationSeconds: number }}
+ */
+function measureLoudness(channels, sampleRate) {
+  const meter = createLoudnessMeter(sampleRate, channels.length);
+  meter.addSamples(channels);
+  return meter.finish();
+}
+
+export { createLoudnessMeter, measureLoudness, gatedLoudness };
+
+export default { createLoudnessMeter, measureLoudness, gatedLoudness };
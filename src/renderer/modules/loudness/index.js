@@ -0,0 +1,320 @@
+/**
+ * Loudness Module
+ *
+ * Measures songs' EBU R128 integrated loudness and true peak in the
+ * background and saves them with the song. Files are decoded with Web Audio
+ * at 48 kHz and measured a second at a time, yielding to the window between
+ * pieces. One pass runs at a time; it keeps going when the Songs > Analyze
+ * Loudness window is closed.
+ *
+ * Playback uses the measurements when loudness normalization is on in
+ * Preferences (see audio/playback-policy.js).
+ */
+
+import { info, warn, error } from '../debug-log/index.js';
+import { secureDatabase, secureFileSystem, securePath, secureStore } from '../adapters/secure-adapter.js';
+import { resolveAudioSource } from '../audio/audio-source-resolver.js';
+import { decodeAudioFile, getChannels } from '../audio/audio-file-decoder.js';
+import { createLoudnessMeter } from './ebu-r128.js';
+
+const ANALYSIS_SAMPLE_RATE = 48000;
+const CHUNK_SECONDS = 1;
+
+let activeRun = null;
+let lastRun = null;
+const progressListeners = new Set();
+
+function createProgress(run) {
+  return {
+    running: run === activeRun,
+    total: run.total,
+    done: run.done,
+    failed: run.failed,
+    stopped: run.stopped,
+    current: run.current ? { id: run.current.id, title: run.current.title } : null,
+    error: run.error
+  };
+}
+
+/**
+ * @returns {Object|null} the running or last pass: { running, total, done,
+ *   failed, stopped, current, error }
+ */
+function getLoudnessProgress() {
+  const run = activeRun || lastRun;
+  return run ? createProgress(run) : null;
+}
+
+/**
+ * Follow analysis progress.
+ * @param {Function} listener - Called with getLoudnessProgress()
+ * @returns {Function} unsubscribe
+ */
+function onLoudnessProgress(listener) {
+  progressListeners.add(listener);
+  return () => progressListeners.delete(listener);
+}
+
+function notifyProgress(run) {
+  const progress = createProgress(run);
+  for (const listener of progressListeners) {
+    try {
+      listener(progress);
+    } catch (err) {
+      warn('Loudness progress listener failed', { module: 'loudness', function: 'notifyProgress', error: err.message });
+    }
+  }
+}
+
+const yieldToWindow = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Measure a decoded AudioBuffer in one-second pieces.
+ * @param {AudioBuffer} buffer
+ * @param {Function} [shouldStop] - Checked between pieces
+ * @returns {Promise<Object|null>} the measurement, or null when stopped
+ */
+async function measureAudioBuffer(buffer, shouldStop = null) {
+  const channels = getChannels(buffer);
+  const meter = createLoudnessMeter(buffer.sampleRate, channels.length);
+  const chunkLength = Math.round(buffer.sampleRate * CHUNK_SECONDS);
+  for (let start = 0; start < buffer.length; start += chunkLength) {
+    if (shouldStop?.()) return null;
+    meter.addSamples(channels, start, Math.min(buffer.length, start + chunkLength));
+    await yieldToWindow();
+  }
+  return meter.finish();
+}
+
+async function getMusicDirectory() {
+  const result = await secureStore.get('music_directory');
+  if (!result?.success || !result.value) {
+    throw new Error('Music directory is not configured');
+  }
+  return result.value;
+}
+
+async function measureSong(musicDirectory, song, shouldStop) {
+  const source = await resolveAudioSource({
+    musicDirectory,
+    filename: song.filename,
+    pathAPI: securePath,
+    fileSystemAPI: secureFileSystem
+  });
+  if (!source.success) {
+    throw new Error(source.error);
+  }
+  return measureAudioBuffer(await decodeAudioFile(source.filePath, ANALYSIS_SAMPLE_RATE), shouldStop);
+}
+
+/**
+ * Measure songs and save the results. Only one pass runs at a time.
+ * @param {Object} [options]
+ * @param {Array<number|string>} [options.songIds] - Only these songs (default: the whole library)
+ * @param {boolean} [options.includeAnalyzed=false] - Measure songs that already have a measurement
+ * @returns {Promise<Object>} { total, done, failed, stopped, results, failures }:
+ *   the saved measurements and the read errors, by song
+ */
+async function analyzeLoudness({ songIds = null, includeAnalyzed = false } = {}) {
+  if (activeRun) {
+    throw new Error('Loudness analysis is already running');
+  }
+  const run = { total: 0, done: 0, failed: 0, stopped: false, current: null, error: null, results: [], failures: [] };
+  activeRun = run;
+  notifyProgress(run);
+
+  try {
+    const list = await secureDatabase.getSongsForLoudness({ songIds, includeAnalyzed });
+    if (!list?.success) {
+      throw new Error(list?.error || 'Unknown error');
+    }
+    const songs = list.data || [];
+    run.total = songs.length;
+    const musicDirectory = songs.length ? await getMusicDirectory() : null;
+    info('Loudness analysis started', { module: 'loudness', function: 'analyzeLoudness', total: run.total, includeAnalyzed });
+
+    for (const song of songs) {
+      if (run.stopped) break;
+      run.current = song;
+      notifyProgress(run);
+      try {
+        const measurement = await measureSong(musicDirectory, song, () => run.stopped);
+        if (!measurement) break;
+        const saved = await secureDatabase.saveSongLoudness(song.id, measurement);
+        if (!saved?.success) {
+          throw new Error(saved?.error || 'Unknown error');
+        }
+        run.results.push({ songId: song.id, ...saved.data });
+      } catch (err) {
+        run.failed += 1;
+        run.failures.push({ songId: song.id, error: err.message });
+        warn('Could not analyze song loudness', {
+          module: 'loudness', function: 'analyzeLoudness', songId: song.id, filename: song.filename, error: err.message
+        });
+      }
+      run.done += 1;
+    }
+  } catch (err) {
+    run.error = err.message;
+    error('Loudness analysis failed', { module: 'loudness', function: 'analyzeLoudness', error: err.message });
+  } finally {
+    run.current = null;
+    activeRun = null;
+    lastRun = run;
+    notifyProgress(run);
+  }
+
+  info('Loudness analysis finished', {
+    module: 'loudness', function: 'analyzeLoudness', done: run.done, failed: run.failed, stopped: run.stopped
+  });
+  if (run.error) {
+    throw new Error(run.error);
+  }
+  return {
+    total: run.total, done: run.done, failed: run.failed, stopped: run.stopped, results: run.results, failures: run.failures
+  };
+}
+
+/**
+ * Stop the running pass. The song being measured is left for the next pass.
+ * @returns {boolean} true when a pass was running
+ */
+function stopLoudnessAnalysis() {
+  if (!activeRun) return false;
+  activeRun.stopped = true;
+  notifyProgress(activeRun);
+  return true;
+}
+
+/**
+ * Measure one song again.
+ * @param {number|string} songId
+ * @returns {Promise<Object>} { loudness_lufs, true_peak_dbtp, loudness_analyzed_at }
+ */
+async function analyzeSongLoudness(songId) {
+  const { results, failures } = await analyzeLoudness({ songIds: [songId], includeAnalyzed: true });
+  if (!results.length) {
+    throw new Error(failures[0]?.error || 'Song not found');
+  }
+  const { songId: _songId, ...measurement } = results[0];
+  return measurement;
+}
+
+/**
+ * Short description of a song's measurement for the song form.
+ * @param {Object} song - mrvoice row
+ * @returns {string}
+ */
+function describeSongLoudness(song) {
+  if (!song?.loudness_analyzed_at) return 'Not analyzed';
+  if (song.loudness_lufs === null || song.loudness_lufs === undefined) return 'Too quiet or too short to measure';
+  const peak = song.true_peak_dbtp === null || song.true_peak_dbtp === undefined
+    ? ''
+    : `, peak ${Number(song.true_peak_dbtp).toFixed(1)} dBTP`;
+  return `${Number(song.loudness_lufs).toFixed(1)} LUFS${peak}`;
+}
+
+function renderLoudnessProgress(progress) {
+  const status = document.getElementById('loudness-analysis-status');
+  const bar = document.getElementById('loudness-analysis-bar');
+  const current = document.getElementById('loudness-analysis-current');
+  const start = document.getElementById('loudness-analysis-start');
+  const all = document.getElementById('loudness-analysis-all');
+  const stop = document.getElementById('loudness-analysis-stop');
+
+  const running = !!progress?.running;
+  const percent = progress?.total ? Math.round((progress.done / progress.total) * 100) : 0;
+  if (status) {
+    if (!progress) {
+      status.textContent = 'Measure songs so playback can even out their levels.';
+    } else if (progress.error) {
+      status.textContent = `Could not analyze loudness: ${progress.error}`;
+    } else if (running) {
+      status.textContent = progress.stopped
+        ? 'Stopping...'
+        : `Analyzing ${progress.done + 1} of ${progress.total} songs...`;
+    } else if (!progress.total) {
+      status.textContent = 'Every song has been analyzed.';
+    } else {
+      const failed = progress.failed ? ` ${progress.failed} could not be read.` : '';
+      status.textContent = `${progress.stopped ? 'Stopped after' : 'Analyzed'} ${progress.done} of ${progress.total} songs.${failed}`;
+    }
+  }
+  if (bar) {
+    bar.style.width = `${running || progress?.total ? percent : 0}%`;
+    bar.setAttribute('aria-valuenow', String(percent));
+  }
+  if (current) current.textContent = running && progress.current ? progress.current.title || '' : '';
+  if (start) start.disabled = running;
+  if (all) all.disabled = running;
+  if (stop) stop.disabled = !running || !!progress?.stopped;
+}
+
+function startFromView(includeAnalyzed) {
+  analyzeLoudness({ includeAnalyzed }).catch(() => {
+    // Reported through the progress view
+  });
+}
+
+/**
+ * Open the Analyze Loudness window.
+ */
+async function showLoudnessAnalysis() {
+  const { showModal } = await import('../ui/bootstrap-adapter.js');
+  renderLoudnessProgress(getLoudnessProgress());
+  showModal('#loudnessAnalysisModal');
+}
+
+async function analyzeSongInForm() {
+  const songId = document.getElementById('song-form-songid')?.value;
+  const display = document.getElementById('song-form-loudness');
+  const button = document.getElementById('song-form-analyze-loudness');
+  if (!songId) return;
+  if (button) button.disabled = true;
+  if (display) display.textContent = 'Analyzing...';
+  try {
+    const measurement = await analyzeSongLoudness(songId);
+    if (display) display.textContent = describeSongLoudness(measurement);
+  } catch (err) {
+    if (display) display.textContent = `Could not analyze: ${err.message}`;
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+/**
+ * Wire the Analyze Loudness window and the song form's Analyze button.
+ */
+function initializeLoudness() {
+  if (typeof document === 'undefined') return;
+
+  onLoudnessProgress(renderLoudnessProgress);
+  document.getElementById('loudness-analysis-start')?.addEventListener('click', () => startFromView(false));
+  document.getElementById('loudness-analysis-all')?.addEventListener('click', () => startFromView(true));
+  document.getElementById('loudness-analysis-stop')?.addEventListener('click', () => stopLoudnessAnalysis());
+  document.getElementById('song-form-analyze-loudness')?.addEventListener('click', () => analyzeSongInForm());
+
+  info('Loudness module initialized', { module: 'loudness', function: 'initializeLoudness' });
+}
+
+export {
+  initializeLoudness,
+  showLoudnessAnalysis,
+  analyzeLoudness,
+  analyzeSongLoudness,
+  stopLoudnessAnalysis,
+  getLoudnessProgress,
+  onLoudnessProgress,
+  measureAudioBuffer,
+  describeSongLoudness
+};
+
+export default {
+  initializeLoudness,
+  showLoudnessAnalysis,
+  analyzeLoudness,
+  analyzeSongLoudness,
+  stopLoudnessAnalysis,
+  getLoudnessProgress,
+  describeSongLoudness
+};
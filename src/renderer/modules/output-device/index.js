@@ -0,0 +1,134 @@
+/**
+ * Output Device Module
+ *
+ * Sends the show audio to the audio output chosen in Preferences instead of
+ * the OS default, and handles the interface being unplugged mid-show:
+ *
+ * - A warning stays in the player panel while the chosen device is missing
+ * - The 'pause' fallback pauses playback (and new songs do not start); the
+ *   'continue' fallback keeps playing on the system default output
+ * - When the device comes back the playing song is moved back to it
+ *
+ * The choice is kept in sharedState (audioOutputDevice, audioOutputFallback,
+ * audioOutputMissing) for the audio manager and the sound effects module,
+ * which route each new sound before it starts.
+ */
+
+import { info, warn } from '../debug-log/index.js';
+import sharedState from '../shared-state.js';
+import { getPreference } from '../preferences/profile-preference-adapter.js';
+import { listAudioOutputDevices } from '../audio/audio-output-devices.js';
+import { routePlaybackSound } from '../audio/playback-sound-factory.js';
+import { getOutputRouting, normalizeOutputFallback } from '../audio/playback-policy.js';
+
+let registry = {};
+// Last label seen for the chosen device, for the warning once it is gone
+let deviceLabel = null;
+
+function renderOutputWarning(missing) {
+  const element = document.getElementById('output_device_warning');
+  if (!element) return;
+  element.classList.toggle('d-none', !missing);
+  if (!missing) return;
+  const name = deviceLabel ? `"${deviceLabel}"` : 'The audio output';
+  element.textContent = sharedState.get('audioOutputFallback') === 'pause'
+    ? `${name} is disconnected. Playback is paused until it is back.`
+    : `${name} is disconnected. Playing on the default output.`;
+}
+
+async function loadOutputDevicePreferences() {
+  const electronAPI = window.secureElectronAPI;
+  const [device, fallback] = await Promise.all([
+    getPreference('audio_output_device', electronAPI),
+    getPreference('audio_output_fallback', electronAPI)
+  ]);
+  sharedState.set('audioOutputDevice', device?.success && device.value ? String(device.value) : '');
+  sharedState.set('audioOutputFallback', normalizeOutputFallback(fallback?.success ? fallback.value : null));
+}
+
+/**
+ * Compare the chosen device with the connected ones, apply the fallback
+ * policy when it has gone, and route the playing song accordingly.
+ * @returns {Promise<{ deviceId: string, missing: boolean, blocked: boolean }>}
+ */
+async function checkOutputDevice() {
+  const deviceId = sharedState.get('audioOutputDevice') || '';
+  const devices = await listAudioOutputDevices();
+  const device = devices.find(entry => entry.deviceId === deviceId);
+  if (device) deviceLabel = device.label;
+  const routing = getOutputRouting({
+    deviceId, available: !deviceId || !!device, fallback: sharedState.get('audioOutputFallback')
+  });
+
+  const wasMissing = !!sharedState.get('audioOutputMissing');
+  const sound = sharedState.get('sound');
+  if (routing.missing && !wasMissing) {
+    warn('Audio output device disconnected', {
+      module: 'output-device', function: 'checkOutputDevice', deviceId, fallback: sharedState.get('audioOutputFallback')
+    });
+    if (routing.blocked && sound?.playing?.()) registry.audio?.pausePlaying?.();
+    if (routing.blocked) registry.soundEffects?.stopAllSoundEffects?.();
+  } else if (!routing.missing && wasMissing) {
+    info('Audio output device reconnected', { module: 'output-device', function: 'checkOutputDevice', deviceId });
+  }
+  sharedState.set('audioOutputMissing', routing.missing);
+
+  // A song still fading out under a crossfade moves with the new one
+  const sounds = [sound, sharedState.get('outgoingSound')].filter(Boolean);
+  for (const playing of sounds) {
+    const routed = await routePlaybackSound(playing, routing.deviceId);
+    if (!routed.success && routing.deviceId) {
+      warn('Could not route sound to the output device', {
+        module: 'output-device', function: 'checkOutputDevice', deviceId, error: routed.error
+      });
+    }
+  }
+  await registry.soundEffects?.routeSoundEffects?.(routing.deviceId);
+  return routing;
+}
+
+/**
+ * Reload the output preferences and move the playing song to the chosen device.
+ * Called after Preferences are saved.
+ */
+async function refreshOutputDevice() {
+  try {
+    await loadOutputDevicePreferences();
+    return await checkOutputDevice();
+  } catch (err) {
+    warn('Could not apply the audio output device', { module: 'output-device', function: 'refreshOutputDevice', error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Load the chosen output and watch for devices being plugged in or out.
+ * @param {Object} options
+ * @param {Object} options.moduleRegistry
+ */
+function initializeOutputDevice({ moduleRegistry } = {}) {
+  if (typeof document === 'undefined') return;
+  registry = moduleRegistry || {};
+
+  sharedState.subscribe('audioOutputMissing', renderOutputWarning);
+  navigator.mediaDevices?.addEventListener?.('devicechange', () => {
+    checkOutputDevice().catch(err => warn('Could not check audio output devices', {
+      module: 'output-device', function: 'initializeOutputDevice', error: err.message
+    }));
+  });
+  refreshOutputDevice();
+
+  info('Output device module initialized', { module: 'output-device', function: 'initializeOutputDevice' });
+}
+
+export {
+  initializeOutputDevice,
+  refreshOutputDevice,
+  checkOutputDevice
+};
+
+export default {
+  initializeOutputDevice,
+  refreshOutputDevice,
+  checkOutputDevice
+};
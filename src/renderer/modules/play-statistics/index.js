@@ -0,0 +1,141 @@
+/**
+ * Play Statistics Module
+ *
+ * The Songs > Play Statistics view: most played, never played and recently
+ * played songs from the play history, so overused cues can be retired.
+ */
+
+import { info, error } from '../debug-log/index.js';
+import { secureDatabase } from '../adapters/secure-adapter.js';
+import sharedState from '../shared-state.js';
+
+const PLAY_VIEWS = new Set(['most', 'never', 'recent']);
+
+let currentView = 'most';
+
+/**
+ * Format a play duration in seconds as m:ss or h:mm:ss.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatSecondsPlayed(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * @param {number|null} timestamp - Unix seconds
+ * @returns {string}
+ */
+function formatLastPlayed(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toLocaleString() : '';
+}
+
+function setMessage(text) {
+  const messageEl = document.getElementById('play-statistics-message');
+  if (!messageEl) return;
+  messageEl.textContent = text;
+  messageEl.style.display = text ? '' : 'none';
+}
+
+/**
+ * Render statistics rows into the view's table.
+ * @param {Array<Object>} rows - GET_PLAY_STATISTICS rows
+ */
+function renderPlayStatistics(rows) {
+  const tbody = document.getElementById('play-statistics-body');
+  if (!tbody) return;
+  tbody.textContent = '';
+
+  const categories = sharedState.get('categories') || {};
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    tr.setAttribute('songid', String(row.id));
+    const cells = [
+      row.title || '',
+      row.artist || '',
+      categories[row.category] || row.category || '',
+      String(row.play_count || 0),
+      formatLastPlayed(row.last_played),
+      formatSecondsPlayed(row.seconds_played)
+    ];
+    for (const text of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  setMessage(rows.length ? '' : currentView === 'never' ? 'Every song has been played.' : 'No plays recorded yet.');
+}
+
+/**
+ * Load and show one of the views.
+ * @param {string} [view] - "most", "never" or "recent"; defaults to the last view shown
+ * @returns {Promise<boolean>} true when the view was loaded
+ */
+async function loadPlayStatistics(view = currentView) {
+  currentView = PLAY_VIEWS.has(view) ? view : 'most';
+  document.querySelectorAll('#playStatisticsModal [data-play-view]').forEach((button) => {
+    button.classList.toggle('active', button.getAttribute('data-play-view') === currentView);
+  });
+
+  const currentProfileOnly = !!document.getElementById('play-statistics-profile-only')?.checked;
+  try {
+    const result = await secureDatabase.getPlayStatistics({ view: currentView, currentProfileOnly });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unknown error');
+    }
+    renderPlayStatistics(result.data || []);
+    return true;
+  } catch (err) {
+    renderPlayStatistics([]);
+    setMessage(`Could not load play statistics: ${err.message}`);
+    error('Failed to load play statistics', {
+      module: 'play-statistics', function: 'loadPlayStatistics', view: currentView, error: err.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Open the play statistics view.
+ */
+async function showPlayStatistics() {
+  const { showModal } = await import('../ui/bootstrap-adapter.js');
+  showModal('#playStatisticsModal');
+  await loadPlayStatistics();
+}
+
+/**
+ * Wire the view's buttons.
+ */
+function initializePlayStatistics() {
+  if (typeof document === 'undefined') return;
+
+  document.querySelectorAll('#playStatisticsModal [data-play-view]').forEach((button) => {
+    button.addEventListener('click', () => loadPlayStatistics(button.getAttribute('data-play-view')));
+  });
+  document.getElementById('play-statistics-profile-only')?.addEventListener('change', () => loadPlayStatistics());
+
+  info('Play Statistics module initialized', {
+    module: 'play-statistics',
+    function: 'initializePlayStatistics'
+  });
+}
+
+export {
+  initializePlayStatistics,
+  showPlayStatistics,
+  loadPlayStatistics,
+  formatSecondsPlayed
+};
+
+export default {
+  initializePlayStatistics,
+  showPlayStatistics,
+  loadPlayStatistics
+};
@@ -7,6 +7,11 @@
  */
 
 import { getPreference } from './profile-preference-adapter.js';
+import { DEFAULT_LOUDNESS_TARGET_LUFS, normalizeOutputFallback } from '../audio/playback-policy.js';
+import { DEFAULT_SILENCE_THRESHOLD_DB } from '../silence-trim/silence-detector.js';
+import { listAudioInputDevices, listAudioOutputDevices, renderOutputDeviceOptions } from '../audio/audio-output-devices.js';
+import { DUCKING_PREFERENCES, normalizeDuckingSettings } from '../audio/ducking-policy.js';
+import { FADE_PREFERENCES, normalizeFadeSettings } from '../audio/fade-curves.js';
 
 /**
  * Initialize the preference manager
@@ -111,7 +116,7 @@ function initializePreferenceManager(options = {}) {
     // Use adapter for loading preferences (routes to profile or global as appropriate)
     if (electronAPI?.store && electronAPI?.profile) {
       try {
-        const [dbDir, musicDir, hotkeyDir, fadeSeconds, crossfadeSeconds, debugLogPref, prereleasePref, screenModePref] = await Promise.all([
+        const [dbDir, musicDir, hotkeyDir, fadeSeconds, crossfadeSeconds, debugLogPref, prereleasePref, screenModePref, normalizationPref, loudnessTargetPref, trimOnImportPref, silenceThresholdPref, outputDevicePref, outputFallbackPref, previewDevicePref, padKeysPref, duckingPrefs, fadePrefs] = await Promise.all([
           getPreference("database_directory", electronAPI),
           getPreference("music_directory", electronAPI),
           getPreference("hotkey_directory", electronAPI),
@@ -119,7 +124,17 @@ function initializePreferenceManager(options = {}) {
           getPreference("crossfade_seconds", electronAPI),
           getPreference("debug_log_enabled", electronAPI),
           getPreference("prerelease_updates", electronAPI),
-          getPreference("screen_mode", electronAPI)
+          getPreference("screen_mode", electronAPI),
+          getPreference("loudness_normalization", electronAPI),
+          getPreference("loudness_target_lufs", electronAPI),
+          getPreference("silence_trim_on_import", electronAPI),
+          getPreference("silence_threshold_db", electronAPI),
+          getPreference("audio_output_device", electronAPI),
+          getPreference("audio_output_fallback", electronAPI),
+          getPreference("preview_output_device", electronAPI),
+          getPreference("hotkey_pad_keys", electronAPI),
+          Promise.all(DUCKING_PREFERENCES.map(key => getPreference(key, electronAPI))),
+          Promise.all(FADE_PREFERENCES.map(key => getPreference(key, electronAPI)))
         ]);
         
         debugLog?.info('[PREFS-LOAD] Loaded preferences', {
@@ -176,6 +191,75 @@ function initializePreferenceManager(options = {}) {
             debugLog?.info('[PREFS-LOAD] Set crossfade seconds field', { value: crossfadeSeconds.value, finalValue: el.value });
           }
         }
+        const fades = normalizeFadeSettings(Object.fromEntries(
+          FADE_PREFERENCES.map((key, index) => [key, fadePrefs[index]?.success ? fadePrefs[index].value : undefined])
+        ));
+        const fadeFields = {
+          'preferences-fadein-seconds': fades.fadeInSeconds,
+          'preferences-fadeout-curve': fades.fadeOutCurve,
+          'preferences-crossfade-curve': fades.crossfadeCurve,
+          'preferences-fadein-curve': fades.fadeInCurve
+        };
+        Object.entries(fadeFields).forEach(([id, value]) => {
+          const el = document.getElementById(id);
+          if (el) el.value = value;
+        });
+        if (normalizationPref.success) {
+          const el = document.getElementById('preferences-loudness-normalization');
+          if (el) el.checked = !!normalizationPref.value;
+        }
+        if (loudnessTargetPref.success) {
+          const el = document.getElementById('preferences-loudness-target');
+          if (el) el.value = loudnessTargetPref.value ?? DEFAULT_LOUDNESS_TARGET_LUFS;
+        }
+        if (trimOnImportPref.success) {
+          const el = document.getElementById('preferences-silence-trim-on-import');
+          if (el) el.checked = trimOnImportPref.value !== false;
+        }
+        if (silenceThresholdPref.success) {
+          const el = document.getElementById('preferences-silence-threshold');
+          if (el) el.value = silenceThresholdPref.value ?? DEFAULT_SILENCE_THRESHOLD_DB;
+        }
+        const devices = await listAudioOutputDevices().catch(() => []);
+        if (outputDevicePref.success) {
+          renderOutputDeviceOptions(
+            document.getElementById('preferences-audio-output-device'),
+            devices, outputDevicePref.value || ''
+          );
+        }
+        if (outputFallbackPref.success) {
+          const el = document.getElementById('preferences-audio-output-fallback');
+          if (el) el.value = normalizeOutputFallback(outputFallbackPref.value);
+        }
+        if (previewDevicePref.success) {
+          renderOutputDeviceOptions(
+            document.getElementById('preferences-preview-output-device'),
+            devices, previewDevicePref.value || '', 'None (previews off)'
+          );
+        }
+        if (padKeysPref.success) {
+          const el = document.getElementById('preferences-hotkey-pad-keys');
+          if (el) el.checked = !!padKeysPref.value;
+        }
+        const ducking = normalizeDuckingSettings(Object.fromEntries(
+          DUCKING_PREFERENCES.map((key, index) => [key, duckingPrefs[index]?.success ? duckingPrefs[index].value : undefined])
+        ));
+        const duckingFields = {
+          'preferences-duck-depth': ducking.depthDb,
+          'preferences-duck-attack': ducking.attackMs,
+          'preferences-duck-release': ducking.releaseMs,
+          'preferences-duck-mic-threshold': ducking.micThresholdDb
+        };
+        Object.entries(duckingFields).forEach(([id, value]) => {
+          const el = document.getElementById(id);
+          if (el) el.value = value;
+        });
+        const duckOnSfxEl = document.getElementById('preferences-duck-on-sfx');
+        if (duckOnSfxEl) duckOnSfxEl.checked = ducking.onSfx;
+        renderOutputDeviceOptions(
+          document.getElementById('preferences-duck-mic-device'),
+          await listAudioInputDevices().catch(() => []), ducking.micDevice, 'Off'
+        );
         if (debugLogPref.success) { 
           const el = document.getElementById('preferences-debug-log-enabled'); 
           if (el) {
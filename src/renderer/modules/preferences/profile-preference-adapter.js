@@ -28,7 +28,26 @@ const PROFILE_PREFERENCES = [
   'font_size',
   'column_order',
   'fade_out_seconds',
+  'fade_out_curve',
+  'fade_in_seconds',
+  'fade_in_curve',
   'crossfade_seconds',
+  'crossfade_curve',
+  'loudness_normalization',
+  'loudness_target_lufs',
+  'silence_trim_on_import',
+  'silence_threshold_db',
+  'audio_output_device',
+  'audio_output_fallback',
+  'preview_output_device',
+  'sfx_volume',
+  'duck_depth_db',
+  'duck_attack_ms',
+  'duck_release_ms',
+  'duck_on_sfx',
+  'duck_mic_device',
+  'duck_mic_threshold_db',
+  'hotkey_pad_keys',
   'prerelease_updates',
   'holding_tank_mode',
   'window_state',
@@ -12,6 +12,10 @@ import {
   getPreference as getPreferenceViaAdapter
 } from './profile-preference-adapter.js';
 import { safeHideModal } from '../ui/bootstrap-helpers.js';
+import { normalizeLoudnessTarget, normalizeOutputFallback } from '../audio/playback-policy.js';
+import { normalizeDuckingSettings } from '../audio/ducking-policy.js';
+import { normalizeFadeSettings } from '../audio/fade-curves.js';
+import { normalizeSilenceThreshold } from '../silence-trim/silence-detector.js';
 
 // Import debug logger from global scope (renderer initializes it early)
 let debugLog = null;
@@ -23,6 +27,42 @@ try {
   // debugLog not available yet during early initialization - this is expected
 }
 
+// Fade-in time and the fade curves, read the way the audio manager reads them
+function readFadeFields() {
+  const fades = normalizeFadeSettings({
+    fade_in_seconds: document.getElementById('preferences-fadein-seconds')?.value,
+    fade_out_curve: document.getElementById('preferences-fadeout-curve')?.value,
+    crossfade_curve: document.getElementById('preferences-crossfade-curve')?.value,
+    fade_in_curve: document.getElementById('preferences-fadein-curve')?.value
+  });
+  return {
+    fade_in_seconds: fades.fadeInSeconds,
+    fade_out_curve: fades.fadeOutCurve,
+    crossfade_curve: fades.crossfadeCurve,
+    fade_in_curve: fades.fadeInCurve
+  };
+}
+
+// Ducking fields, kept in range the same way the ducking module reads them
+function readDuckingFields() {
+  const ducking = normalizeDuckingSettings({
+    duck_depth_db: document.getElementById('preferences-duck-depth')?.value,
+    duck_attack_ms: document.getElementById('preferences-duck-attack')?.value,
+    duck_release_ms: document.getElementById('preferences-duck-release')?.value,
+    duck_on_sfx: !!document.getElementById('preferences-duck-on-sfx')?.checked,
+    duck_mic_device: document.getElementById('preferences-duck-mic-device')?.value,
+    duck_mic_threshold_db: document.getElementById('preferences-duck-mic-threshold')?.value
+  });
+  return {
+    duck_depth_db: ducking.depthDb,
+    duck_attack_ms: ducking.attackMs,
+    duck_release_ms: ducking.releaseMs,
+    duck_on_sfx: ducking.onSfx,
+    duck_mic_device: ducking.micDevice,
+    duck_mic_threshold_db: ducking.micThresholdDb
+  };
+}
+
 /**
  * Initialize the settings controller
  * @param {Object} options - Configuration options
@@ -77,6 +117,16 @@ function initializeSettingsController(options = {}) {
       hotkey_directory: document.getElementById('preferences-hotkey-directory')?.value || '',
       fade_out_seconds: parseInt(document.getElementById('preferences-fadeout-seconds')?.value) || 3,
       crossfade_seconds: parseInt(document.getElementById('preferences-crossfade-seconds')?.value) || 0,
+      ...readFadeFields(),
+      loudness_normalization: !!document.getElementById('preferences-loudness-normalization')?.checked,
+      loudness_target_lufs: normalizeLoudnessTarget(document.getElementById('preferences-loudness-target')?.value),
+      silence_trim_on_import: !!document.getElementById('preferences-silence-trim-on-import')?.checked,
+      silence_threshold_db: normalizeSilenceThreshold(document.getElementById('preferences-silence-threshold')?.value),
+      audio_output_device: document.getElementById('preferences-audio-output-device')?.value || '',
+      audio_output_fallback: normalizeOutputFallback(document.getElementById('preferences-audio-output-fallback')?.value),
+      preview_output_device: document.getElementById('preferences-preview-output-device')?.value || '',
+      ...readDuckingFields(),
+      hotkey_pad_keys: !!document.getElementById('preferences-hotkey-pad-keys')?.checked,
       debug_log_enabled: !!document.getElementById('preferences-debug-log-enabled')?.checked,
       prerelease_updates: !!document.getElementById('preferences-prerelease-updates')?.checked,
       screen_mode: document.getElementById('preferences-screen-mode')?.value || 'auto',
@@ -122,6 +172,24 @@ function initializeSettingsController(options = {}) {
         ...preservedDirectories,
         fade_out_seconds: formValues.fade_out_seconds,
         crossfade_seconds: formValues.crossfade_seconds,
+        fade_out_curve: formValues.fade_out_curve,
+        crossfade_curve: formValues.crossfade_curve,
+        fade_in_seconds: formValues.fade_in_seconds,
+        fade_in_curve: formValues.fade_in_curve,
+        loudness_normalization: formValues.loudness_normalization,
+        loudness_target_lufs: formValues.loudness_target_lufs,
+        silence_trim_on_import: formValues.silence_trim_on_import,
+        silence_threshold_db: formValues.silence_threshold_db,
+        audio_output_device: formValues.audio_output_device,
+        audio_output_fallback: formValues.audio_output_fallback,
+        preview_output_device: formValues.preview_output_device,
+        duck_depth_db: formValues.duck_depth_db,
+        duck_attack_ms: formValues.duck_attack_ms,
+        duck_release_ms: formValues.duck_release_ms,
+        duck_on_sfx: formValues.duck_on_sfx,
+        duck_mic_device: formValues.duck_mic_device,
+        duck_mic_threshold_db: formValues.duck_mic_threshold_db,
+        hotkey_pad_keys: formValues.hotkey_pad_keys,
         debug_log_enabled: formValues.debug_log_enabled,
         prerelease_updates: formValues.prerelease_updates,
         screen_mode: formValues.screen_mode
@@ -143,6 +211,24 @@ function initializeSettingsController(options = {}) {
           { key: "hotkey_directory", value: preferences.hotkey_directory },
           { key: "fade_out_seconds", value: preferences.fade_out_seconds },
           { key: "crossfade_seconds", value: preferences.crossfade_seconds },
+          { key: "fade_out_curve", value: preferences.fade_out_curve },
+          { key: "crossfade_curve", value: preferences.crossfade_curve },
+          { key: "fade_in_seconds", value: preferences.fade_in_seconds },
+          { key: "fade_in_curve", value: preferences.fade_in_curve },
+          { key: "loudness_normalization", value: preferences.loudness_normalization },
+          { key: "loudness_target_lufs", value: preferences.loudness_target_lufs },
+          { key: "silence_trim_on_import", value: preferences.silence_trim_on_import },
+          { key: "silence_threshold_db", value: preferences.silence_threshold_db },
+          { key: "audio_output_device", value: preferences.audio_output_device },
+          { key: "audio_output_fallback", value: preferences.audio_output_fallback },
+          { key: "preview_output_device", value: preferences.preview_output_device },
+          { key: "duck_depth_db", value: preferences.duck_depth_db },
+          { key: "duck_attack_ms", value: preferences.duck_attack_ms },
+          { key: "duck_release_ms", value: preferences.duck_release_ms },
+          { key: "duck_on_sfx", value: preferences.duck_on_sfx },
+          { key: "duck_mic_device", value: preferences.duck_mic_device },
+          { key: "duck_mic_threshold_db", value: preferences.duck_mic_threshold_db },
+          { key: "hotkey_pad_keys", value: preferences.hotkey_pad_keys },
           { key: "debug_log_enabled", value: preferences.debug_log_enabled },
           { key: "prerelease_updates", value: preferences.prerelease_updates },
           { key: "screen_mode", value: preferences.screen_mode }
@@ -205,6 +291,14 @@ function initializeSettingsController(options = {}) {
             musicDirectory: preferences.music_directory 
           });
         }
+
+        // Songs played from now on use the new fades and loudness target
+        await moduleRegistry.audio?.refreshPlaybackPreferences?.();
+
+        // Move the show audio to a newly chosen output device right away
+        moduleRegistry.outputDevice?.refreshOutputDevice?.();
+        moduleRegistry.ducking?.refreshDucking?.();
+        moduleRegistry.hotkeys?.refreshPadKeys?.();
         
         // Count successes - handle both boolean true and {success: true} formats
         const successCount = results.filter(result => {
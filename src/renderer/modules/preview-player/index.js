@@ -0,0 +1,252 @@
+/**
+ * Preview Player Module
+ *
+ * A second player for auditioning songs in headphones (cue/PFL) while the
+ * main player keeps going to the audience. It plays through its own audio
+ * element routed with setSinkId to the profile's preview output device, and
+ * has its own transport and waveform in a small floating panel.
+ *
+ * - Shift+double-click a search result, holding tank entry or hotkey, or
+ *   press Shift+F1..F12, to preview that song
+ * - Nothing is previewed until a preview output is chosen in Preferences,
+ *   and a preview pauses when that device is unplugged, so a preview never
+ *   falls back to the main speakers
+ */
+
+import { info, warn } from '../debug-log/index.js';
+import {
+  secureDatabase,
+  secureFileSystem,
+  securePath,
+  secureStore
+} from '../adapters/secure-adapter.js';
+import { customAlert } from '../utils/index.js';
+import { getPreference } from '../preferences/profile-preference-adapter.js';
+import { loadSongForPlayback } from '../audio/playback-song-loader.js';
+import { resolveAudioSource } from '../audio/audio-source-resolver.js';
+import { toFileUrl } from '../audio/audio-file-decoder.js';
+import { howlerUtils } from '../audio/audio-utils.js';
+import {
+  applyOutputDevice,
+  isOutputDeviceAvailable,
+  listAudioOutputDevices
+} from '../audio/audio-output-devices.js';
+
+const DEVICE_MISSING_MESSAGE = 'The preview output device is not connected. Plug it in or choose another one in Preferences.';
+
+let audio = null;
+let wavesurfer = null;
+let previewDeviceId = null;
+let startTime = 0;
+
+const formatTime = seconds => howlerUtils.formatTime(Math.round(Math.max(0, seconds || 0)));
+
+async function getPreviewOutputDevice() {
+  const result = await getPreference('preview_output_device', window.secureElectronAPI);
+  return result?.success && result.value ? String(result.value) : '';
+}
+
+function renderTransport() {
+  const playing = !!audio && !audio.paused;
+  const icon = document.querySelector('#preview_play_button i');
+  icon?.classList.toggle('fa-play', !playing);
+  icon?.classList.toggle('fa-pause', playing);
+  document.getElementById('preview_play_button')?.setAttribute('title', playing ? 'Pause preview' : 'Play preview');
+  const timer = document.getElementById('preview_timer');
+  if (timer) timer.textContent = formatTime((audio?.currentTime ?? 0) - startTime);
+  const duration = document.getElementById('preview_duration');
+  if (duration) duration.textContent = formatTime(audio?.duration ? audio.duration - startTime : 0);
+}
+
+function showPanel(title) {
+  const titleElement = document.getElementById('preview_song_title');
+  if (titleElement) titleElement.textContent = title || '';
+  document.getElementById('preview-player')?.classList.remove('d-none');
+}
+
+function releaseAudio() {
+  wavesurfer?.destroy();
+  wavesurfer = null;
+  if (audio) {
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+  }
+  audio = null;
+  previewDeviceId = null;
+}
+
+function createAudio() {
+  const element = new Audio();
+  element.preload = 'auto';
+  ['play', 'pause', 'timeupdate', 'loadedmetadata', 'ended'].forEach(type => {
+    element.addEventListener(type, renderTransport);
+  });
+  return element;
+}
+
+// The waveform drives the same element, so clicking it seeks the preview
+function attachWaveform(element, url) {
+  const container = document.getElementById('preview_waveform');
+  if (!container || typeof WaveSurfer === 'undefined') {
+    element.src = url;
+    return;
+  }
+  wavesurfer = WaveSurfer.create({
+    container,
+    media: element,
+    url,
+    waveColor: '#adb5bd',
+    progressColor: '#0dcaf0',
+    cursorColor: 'white',
+    cursorWidth: 1,
+    height: 48
+  });
+}
+
+async function resolveSongFile(row) {
+  const directory = await secureStore.get('music_directory');
+  const musicDirectory = directory?.success && directory.value ? directory.value : null;
+  if (!musicDirectory) return { success: false, error: 'The music directory is not set' };
+  return resolveAudioSource({
+    musicDirectory,
+    filename: row.filename,
+    pathAPI: securePath,
+    fileSystemAPI: secureFileSystem
+  });
+}
+
+/**
+ * Play a song in the preview player, replacing any preview already playing.
+ * @param {number|string} songId
+ * @returns {Promise<boolean>} true once the preview is playing
+ */
+async function previewSong(songId) {
+  const deviceId = await getPreviewOutputDevice();
+  if (!deviceId) {
+    await customAlert('Choose a Preview output in Preferences (Audio Controls) to preview songs in headphones.');
+    return false;
+  }
+  if (!isOutputDeviceAvailable(deviceId, await listAudioOutputDevices())) {
+    await customAlert(DEVICE_MISSING_MESSAGE);
+    return false;
+  }
+
+  const song = await loadSongForPlayback(songId, secureDatabase);
+  if (!song.success) {
+    warn('Could not load song for preview', { module: 'preview-player', function: 'previewSong', songId, error: song.error });
+    return false;
+  }
+  const file = await resolveSongFile(song.row);
+  if (!file.success) {
+    warn('Could not find song file for preview', { module: 'preview-player', function: 'previewSong', songId, error: file.error });
+    await customAlert(`Could not preview "${song.row.title || song.row.filename}": ${file.error}`);
+    return false;
+  }
+
+  releaseAudio();
+  const element = createAudio();
+  // Route before anything loads so no sound reaches the main output
+  const routed = await applyOutputDevice(element, deviceId);
+  if (!routed.success) {
+    warn('Could not route preview', { module: 'preview-player', function: 'previewSong', deviceId, error: routed.error });
+    await customAlert(`Could not play to the preview output: ${routed.error}`);
+    return false;
+  }
+  audio = element;
+  previewDeviceId = deviceId;
+  startTime = Number(song.row.start_time) || 0;
+  element.volume = Math.min(Math.max((song.row.volume ?? 100) / 100, 0), 1);
+  if (startTime > 0) {
+    element.addEventListener('loadedmetadata', () => { element.currentTime = startTime; }, { once: true });
+  }
+  attachWaveform(element, toFileUrl(file.filePath));
+  showPanel([song.row.title, song.row.artist].filter(Boolean).join(' - '));
+
+  try {
+    await element.play();
+  } catch (err) {
+    warn('Preview playback failed', { module: 'preview-player', function: 'previewSong', songId, error: err.message });
+    return false;
+  }
+  info('Previewing song', { module: 'preview-player', function: 'previewSong', songId });
+  return true;
+}
+
+/**
+ * Play/pause button. Does not resume once the preview output has gone.
+ */
+async function togglePreviewPlayback() {
+  if (!audio) return;
+  if (!audio.paused) {
+    audio.pause();
+    return;
+  }
+  if (!isOutputDeviceAvailable(previewDeviceId, await listAudioOutputDevices())) {
+    await customAlert(DEVICE_MISSING_MESSAGE);
+    return;
+  }
+  try {
+    await audio.play();
+  } catch (err) {
+    warn('Preview playback failed', { module: 'preview-player', function: 'togglePreviewPlayback', error: err.message });
+  }
+}
+
+/**
+ * Stop button: pause and go back to the start trim.
+ */
+function stopPreview() {
+  if (!audio) return;
+  audio.pause();
+  audio.currentTime = startTime;
+  renderTransport();
+}
+
+/**
+ * Stop the preview and hide the panel.
+ */
+function closePreview() {
+  releaseAudio();
+  document.getElementById('preview-player')?.classList.add('d-none');
+}
+
+// Chromium moves an element whose device is unplugged to the default output
+async function handleDeviceChange() {
+  if (!audio || !previewDeviceId) return;
+  if (isOutputDeviceAvailable(previewDeviceId, await listAudioOutputDevices())) return;
+  const wasPlaying = !audio.paused;
+  audio.pause();
+  warn('Preview output disconnected', { module: 'preview-player', function: 'handleDeviceChange', deviceId: previewDeviceId });
+  if (wasPlaying) await customAlert('The preview output device was disconnected, so the preview was paused.');
+}
+
+/**
+ * Wire the preview panel's transport.
+ */
+function initializePreviewPlayer() {
+  if (typeof document === 'undefined') return;
+
+  document.getElementById('preview_play_button')?.addEventListener('click', () => togglePreviewPlayback());
+  document.getElementById('preview_stop_button')?.addEventListener('click', stopPreview);
+  document.getElementById('preview_close_button')?.addEventListener('click', closePreview);
+  navigator.mediaDevices?.addEventListener?.('devicechange', handleDeviceChange);
+
+  info('Preview player module initialized', { module: 'preview-player', function: 'initializePreviewPlayer' });
+}
+
+export {
+  initializePreviewPlayer,
+  previewSong,
+  togglePreviewPlayback,
+  stopPreview,
+  closePreview
+};
+
+export default {
+  initializePreviewPlayer,
+  previewSong,
+  togglePreviewPlayback,
+  stopPreview,
+  closePreview
+};
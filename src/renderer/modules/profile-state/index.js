@@ -4,11 +4,19 @@
  * Automatically saves and restores profile-specific UI state:
  * - All hotkey tabs (song IDs + custom tab names)
  * - All holding tank tabs (song IDs + custom tab names)
+ * - A fingerprint of each song they use, to relink them if it is deleted
+ *   and imported again
  * 
  * State is saved to profile directory as state.json
  * Loaded on app start and saved on quit/profile switch
  */
 
+import {
+  loadSongFingerprints,
+  mergeSongFingerprints,
+  getSongFingerprints
+} from '../song-references/song-fingerprint-store.js';
+
 let debugLog = null;
 try {
   if (window.debugLog) {
@@ -38,11 +46,15 @@ export function extractProfileState() {
   
   const hotkeySnapshot = _hotkeysModuleRef?.getHotkeySnapshot?.();
   const holdingTankSnapshot = _holdingTankModuleRef?.getHoldingTankSnapshot?.();
+  // 1.1.0 added pad grids and tabs past the fifth. Both are optional, so
+  // 1.0.0 files load as five twelve-key tabs. 1.2.0 added song
+  // fingerprints; older files get theirs on the next save.
   const state = {
-    version: '1.0.0',
+    version: '1.2.0',
     timestamp: Date.now(),
     hotkeys: hotkeySnapshot || [],
-    holdingTank: holdingTankSnapshot || []
+    holdingTank: holdingTankSnapshot || [],
+    songFingerprints: getSongFingerprints()
   };
   
   // Calculate actual data counts for debugging
@@ -154,6 +166,8 @@ async function _saveProfileStateImmediate() {
     const writeResult = await window.secureElectronAPI.profile.saveState(state);
     
     if (writeResult.success) {
+      // Fingerprints the main process added for songs new to the state
+      mergeSongFingerprints(writeResult.songFingerprints);
       debugLog?.info('[PROFILE-STATE] Profile state saved successfully', { 
         module: 'profile-state',
         function: 'saveProfileState',
@@ -303,6 +317,9 @@ export async function loadProfileState(options = {}) {
       }
     });
     
+    // Pads and holding tank entries of deleted songs show as missing
+    loadSongFingerprints(state.songFingerprints);
+
     // Restore hotkeys
     if (state.hotkeys && hotkeysModule) {
       debugLog?.info('[PROFILE-STATE] Restoring hotkeys from state', { 
@@ -7,6 +7,7 @@
  */
 
 import { clearSearchTimeout } from './search-timeout.js';
+import { cancelLiveSearch } from './live-search.js';
 
 // Import debug logger
 let debugLog = null;
@@ -34,6 +35,7 @@ async function performAdvancedSearch(_filters) {
     });
 
     clearSearchTimeout();
+    cancelLiveSearch();
 
     const form = document.getElementById('search_form');
     if (form) form.reset();
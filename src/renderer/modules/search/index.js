@@ -87,6 +87,7 @@ class SearchModule {
    * Clear search results
    */
   clearSearchResults() {
+    liveSearch.cancelLiveSearch();
     const tbody = document.querySelector('#search_results tbody');
     const thead = document.querySelector('#search_results thead');
     if (tbody) tbody.querySelectorAll('tr').forEach(tr => tr.remove());
@@ -9,9 +9,13 @@
 // Import shared state
 import sharedState from '../shared-state.js';
 import { getAdvancedSearchValues } from './search-form-utils.js';
+import { compileStructuredQuery } from './query-parser.js';
+import { createPlayCountCell, sortSearchResults } from './play-count-column.js';
+import { appendTagChips } from './tag-chips.js';
 import { songDrag } from '../drag-drop/drag-drop-functions.js';
 import { secureDatabase } from '../adapters/secure-adapter.js';
 import { scaleScrollable } from '../utils/index.js';
+import { scheduleSearch } from './search-timeout.js';
 
 // Import debug logger
 let debugLog = null;
@@ -26,6 +30,11 @@ try {
 
 // Global variables
 let fontSize = 11;
+// Live search leaves out the fuzzy fallback while the operator types and
+// asks for it once typing pauses this long
+const FUZZY_SEARCH_DELAY_MS = 700;
+// Identifies the latest live search, so an older one's fuzzy matches are dropped
+let liveSearchId = 0;
 
 /**
  * Get cached categories from shared state
@@ -95,6 +104,101 @@ function getCategoryName(categoryCode) {
   return categoryCode || '';
 }
 
+/**
+ * Render search result rows into the results table.
+ *
+ * @param {HTMLElement|null} tbody - The results table body
+ * @param {Array<Object>} rows - SEARCH_SONGS rows
+ */
+function renderLiveSearchRows(tbody, rows) {
+  const fragment = document.createDocumentFragment();
+  sortSearchResults(rows).forEach((row, index) => {
+    const categoryName = getCategoryName(row.category);
+    debugLog?.info(`🔍 Row category: ${row.category} -> ${categoryName}`, { 
+      module: 'live-search',
+      function: 'renderLiveSearchRows',
+      categoryCode: row.category,
+      categoryName: categoryName
+    });
+
+    const tr = document.createElement('tr');
+    tr.className = row.fuzzy ? 'song unselectable context-menu fuzzy-match' : 'song unselectable context-menu';
+    tr.draggable = true;
+    tr.style.fontSize = `${fontSize}px`;
+    tr.setAttribute('songid', String(row.id));
+    tr.addEventListener('dragstart', songDrag);
+
+    const tdCategory = document.createElement('td');
+    tdCategory.className = 'hide-1';
+    tdCategory.textContent = categoryName || '';
+    tr.appendChild(tdCategory);
+
+    const tdInfo = document.createElement('td');
+    tdInfo.className = 'hide-2';
+    tdInfo.textContent = row.info || '';
+    tr.appendChild(tdInfo);
+
+    const tdTitle = document.createElement('td');
+    tdTitle.style.fontWeight = 'bold';
+    tdTitle.textContent = row.title || '';
+    if (row.fuzzy) {
+      tdTitle.title = 'Approximate match';
+    }
+    appendTagChips(tdTitle, row.tags);
+    tr.appendChild(tdTitle);
+
+    const tdArtist = document.createElement('td');
+    tdArtist.style.fontWeight = 'bold';
+    tdArtist.textContent = row.artist || '';
+    tr.appendChild(tdArtist);
+
+    const tdTime = document.createElement('td');
+    tdTime.textContent = row.time || '';
+    tr.appendChild(tdTime);
+
+    tr.appendChild(createPlayCountCell(row, tr, index));
+
+    fragment.appendChild(tr);
+  });
+  tbody?.appendChild(fragment);
+
+  scaleScrollable();
+}
+
+/**
+ * Once typing pauses, search again with the typo-tolerant fallback and show
+ * its matches. The main process runs it only when the exact search found
+ * few songs; the next keystroke cancels it.
+ *
+ * @param {HTMLElement|null} tbody - The results table body
+ * @param {Object} searchParams - The live search's parameters
+ * @param {number} searchId - The live search it follows
+ */
+function scheduleFuzzyMatches(tbody, searchParams, searchId) {
+  // A keystroke since this search started has the next search pending
+  const superseded = () => searchId !== liveSearchId || !!sharedState.get('searchTimeout');
+  if (!searchParams.searchTerm || superseded()) return;
+  scheduleSearch(() => secureDatabase.searchSongs({ ...searchParams, fuzzy: true }).then(result => {
+    if (superseded() || !result.success || !result.data.some(row => row.fuzzy)) return;
+    tbody?.querySelectorAll('tr').forEach(tr => tr.remove());
+    renderLiveSearchRows(tbody, result.data);
+  }).catch(error => {
+    debugLog?.warn('❌ Fuzzy live search failed:', {
+      module: 'live-search',
+      function: 'scheduleFuzzyMatches',
+      error: error.message
+    });
+  }), FUZZY_SEARCH_DELAY_MS);
+}
+
+/**
+ * Drop the fuzzy matches of any live search still in flight, so they cannot
+ * refill results that were since cleared or replaced.
+ */
+function cancelLiveSearch() {
+  liveSearchId++;
+}
+
 /**
  * Perform live search with real-time results
  * 
@@ -114,12 +218,14 @@ function performLiveSearch(searchTerm) {
 
   const tbody = document.querySelector('#search_results tbody');
   const category = document.getElementById('category_select')?.value;
+  const searchId = ++liveSearchId;
 
   // Build structured search parameters
   const searchParams = {
     category: category,  // '*' for all categories
     searchTerm: null,
-    advancedFilters: null
+    advancedFilters: null,
+    fuzzy: false  // See scheduleFuzzyMatches
   };
 
   // Apply advanced search filters if advanced search is visible
@@ -127,9 +233,14 @@ function performLiveSearch(searchTerm) {
   if (adv2 && adv2.offsetParent !== null) {
     searchParams.advancedFilters = getAdvancedSearchValues();
   } else {
-    // Apply omni search filter
+    // Apply omni search filter; field qualifiers are compiled into advanced filters
     if (searchTerm && searchTerm.length >= 2) {
-      searchParams.searchTerm = searchTerm;
+      const structured = compileStructuredQuery(searchTerm, getCachedCategories());
+      if (structured) {
+        Object.assign(searchParams, structured);
+      } else {
+        searchParams.searchTerm = searchTerm;
+      }
     }
   }
 
@@ -141,52 +252,8 @@ function performLiveSearch(searchTerm) {
           function: 'performLiveSearch',
           resultCount: result.data.length
         });
-        const fragment = document.createDocumentFragment();
-        result.data.forEach((row) => {
-          const categoryName = getCategoryName(row.category);
-          debugLog?.info(`🔍 Row category: ${row.category} -> ${categoryName}`, { 
-            module: 'live-search',
-            function: 'performLiveSearch',
-            categoryCode: row.category,
-            categoryName: categoryName
-          });
-
-          const tr = document.createElement('tr');
-          tr.className = 'song unselectable context-menu';
-          tr.draggable = true;
-          tr.style.fontSize = `${fontSize}px`;
-          tr.setAttribute('songid', String(row.id));
-          tr.addEventListener('dragstart', songDrag);
-
-          const tdCategory = document.createElement('td');
-          tdCategory.className = 'hide-1';
-          tdCategory.textContent = categoryName || '';
-          tr.appendChild(tdCategory);
-
-          const tdInfo = document.createElement('td');
-          tdInfo.className = 'hide-2';
-          tdInfo.textContent = row.info || '';
-          tr.appendChild(tdInfo);
-
-          const tdTitle = document.createElement('td');
-          tdTitle.style.fontWeight = 'bold';
-          tdTitle.textContent = row.title || '';
-          tr.appendChild(tdTitle);
-
-          const tdArtist = document.createElement('td');
-          tdArtist.style.fontWeight = 'bold';
-          tdArtist.textContent = row.artist || '';
-          tr.appendChild(tdArtist);
-
-          const tdTime = document.createElement('td');
-          tdTime.textContent = row.time || '';
-          tr.appendChild(tdTime);
-
-          fragment.appendChild(tr);
-        });
-        tbody?.appendChild(fragment);
-
-        scaleScrollable();
+        renderLiveSearchRows(tbody, result.data);
+        scheduleFuzzyMatches(tbody, searchParams, searchId);
       } else {
         debugLog?.warn('❌ Live search failed:', { 
           module: 'live-search',
@@ -206,6 +273,7 @@ function performLiveSearch(searchTerm) {
 // Export individual functions for direct access
 export {
   performLiveSearch,
+  cancelLiveSearch,
   getCachedCategories,
   getCategoryName
 };
@@ -213,6 +281,7 @@ export {
 // Default export for module loading
 export default {
   performLiveSearch,
+  cancelLiveSearch,
   getCachedCategories,
   getCategoryName
 };
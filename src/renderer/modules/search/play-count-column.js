@@ -0,0 +1,145 @@
+/**
+ * Play Count Column
+ *
+ * Renders the Plays column of the search results (play_count and
+ * last_played come from SEARCH_SONGS) and sorts the results by it. Clicking
+ * a sortable header cycles most-played first, least-played first, then the
+ * search's own order.
+ */
+
+import sharedState from '../shared-state.js';
+
+const SORT_STATE_KEY = 'searchResultSort';
+
+// Values compared when sorting, per data-sort-key; ties keep search order
+const SORT_VALUES = {
+  plays: (row) => [Number(row.play_count) || 0, Number(row.last_played) || 0],
+};
+
+function getDebugLog() {
+  return window.debugLog || null;
+}
+
+function compareValues(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * @returns {{ key: string, direction: 'asc'|'desc' }|null} the active sort
+ */
+function getSearchResultSort() {
+  return sharedState.get(SORT_STATE_KEY) || null;
+}
+
+/**
+ * Order result rows by the active sort. Returns a new array.
+ * @param {Array<Object>} rows - SEARCH_SONGS rows
+ * @param {Object|null} [sort=getSearchResultSort()]
+ * @returns {Array<Object>}
+ */
+function sortSearchResults(rows, sort = getSearchResultSort()) {
+  const values = sort && SORT_VALUES[sort.key];
+  if (!values) return [...rows];
+  const sign = sort.direction === 'asc' ? 1 : -1;
+  return rows
+    .map((row, index) => ({ row, index, value: values(row) }))
+    .sort((a, b) => sign * compareValues(a.value, b.value) || a.index - b.index)
+    .map(entry => entry.row);
+}
+
+/**
+ * Build the Plays cell for a result row. The row element also keeps the
+ * values the column sorts on, so rendered results can be re-sorted in place.
+ * @param {Object} row - SEARCH_SONGS row
+ * @param {HTMLElement} tr - The row element being built
+ * @param {number} index - Position in the search's own order
+ * @returns {HTMLElement} td
+ */
+function createPlayCountCell(row, tr, index) {
+  const playCount = Number(row.play_count) || 0;
+  tr.setAttribute('data-play-count', String(playCount));
+  tr.setAttribute('data-last-played', String(row.last_played || 0));
+  tr.setAttribute('data-result-index', String(index));
+
+  const td = document.createElement('td');
+  td.className = 'play-count';
+  td.textContent = String(playCount);
+  td.title = row.last_played
+    ? `Last played ${new Date(row.last_played * 1000).toLocaleString()}`
+    : 'Never played';
+  return td;
+}
+
+function readRenderedRow(tr) {
+  return {
+    tr,
+    play_count: Number(tr.getAttribute('data-play-count')) || 0,
+    last_played: Number(tr.getAttribute('data-last-played')) || 0,
+    index: Number(tr.getAttribute('data-result-index')) || 0,
+  };
+}
+
+function updateSortHeaders(sort) {
+  document.querySelectorAll('#search_results th[data-sort-key]').forEach((th) => {
+    const active = sort && th.getAttribute('data-sort-key') === sort.key;
+    th.setAttribute('aria-sort', active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+  });
+}
+
+/**
+ * Re-order the rendered search results by the active sort.
+ * @returns {number} number of rows ordered
+ */
+function applySearchResultSort() {
+  const sort = getSearchResultSort();
+  updateSortHeaders(sort);
+  const tbody = document.querySelector('#search_results tbody');
+  if (!tbody) return 0;
+  const rows = Array.from(tbody.querySelectorAll('tr.song'))
+    .map(readRenderedRow)
+    .sort((a, b) => a.index - b.index);
+  const ordered = sortSearchResults(rows, sort);
+  ordered.forEach(({ tr }) => tbody.appendChild(tr));
+  return ordered.length;
+}
+
+/**
+ * Advance the sort for a column: descending, ascending, then unsorted.
+ * @param {string} key - data-sort-key of the clicked header
+ * @returns {Object|null} the new sort
+ */
+function toggleSearchResultSort(key) {
+  if (!SORT_VALUES[key]) {
+    getDebugLog()?.warn('Unknown search result sort key', {
+      module: 'play-count-column', function: 'toggleSearchResultSort', key
+    });
+    return getSearchResultSort();
+  }
+  const current = getSearchResultSort();
+  let next = { key, direction: 'desc' };
+  if (current?.key === key) {
+    next = current.direction === 'desc' ? { key, direction: 'asc' } : null;
+  }
+  sharedState.set(SORT_STATE_KEY, next);
+  applySearchResultSort();
+  return next;
+}
+
+export {
+  getSearchResultSort,
+  sortSearchResults,
+  createPlayCountCell,
+  applySearchResultSort,
+  toggleSearchResultSort
+};
+
+export default {
+  getSearchResultSort,
+  sortSearchResults,
+  createPlayCountCell,
+  applySearchResultSort,
+  toggleSearchResultSort
+};
@@ -0,0 +1,196 @@
+/**
+ * Search Query Parser
+ *
+ * Compiles structured omni-search text such as
+ *   artist:queen cat:RB since:30d -info:instrumental "exact phrase" dur:<1:30 tag:blackout
+ * into the searchParams shape accepted by the SEARCH_SONGS handler.
+ *
+ * Supported qualifiers (prefix with "-" to exclude):
+ *   title:, artist:, info:, cat:/category:, since:, dur:/duration:, tag:
+ * Every tag: must be on the song; quote names with spaces (tag:"love song").
+ * Bare "quoted phrases" must appear in the title, artist or info; a bare
+ * "-word" excludes songs mentioning it. Everything else is free text.
+ */
+
+import { parseDurationText } from '../../../shared/song-duration.js';
+
+const FIELD_ALIASES = {
+  title: 'title',
+  artist: 'artist',
+  info: 'info',
+  cat: 'category',
+  category: 'category',
+  since: 'since',
+  dur: 'duration',
+  duration: 'duration',
+  tag: 'tag',
+};
+
+const SINCE_UNIT_DAYS = { d: 1, w: 7, m: 30, y: 365 };
+
+// Optional "-", optional "field:", then a "quoted value" or a bare word
+const TOKEN_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// Shared with the main process so dur: reads durations the way it filters them
+export { parseDurationText };
+
+/**
+ * Parse a duration qualifier value into an inclusive { min, max } range in
+ * whole seconds: "<1:30", "<=90", ">30", ">=0:30", "0:30-1:00" or "1:30".
+ * @param {string} value
+ * @returns {{ min: number|null, max: number|null }|null}
+ */
+export function parseDurationRange(value) {
+  const text = String(value || '').trim();
+  const comparison = text.match(/^(<=|>=|<|>)(.+)$/);
+  if (comparison) {
+    const seconds = parseDurationText(comparison[2]);
+    if (seconds === null) return null;
+    switch (comparison[1]) {
+      case '<': return { min: null, max: seconds - 1 };
+      case '<=': return { min: null, max: seconds };
+      case '>': return { min: seconds + 1, max: null };
+      default: return { min: seconds, max: null };
+    }
+  }
+  const between = text.match(/^([\d:]+)-([\d:]+)$/);
+  if (between) {
+    const min = parseDurationText(between[1]);
+    const max = parseDurationText(between[2]);
+    return min === null || max === null ? null : { min: Math.min(min, max), max: Math.max(min, max) };
+  }
+  const exact = parseDurationText(text);
+  return exact === null ? null : { min: exact, max: exact };
+}
+
+/**
+ * Normalize a since: value. "30d", "2w", "6m", "1y" and bare numbers become
+ * a day count; anything else is passed through as a date string.
+ * @param {string} value
+ * @returns {string}
+ */
+export function parseSinceValue(value) {
+  const relative = String(value || '').trim().toLowerCase().match(/^(\d+)([dwmy])?$/);
+  if (relative) {
+    return String(parseInt(relative[1], 10) * SINCE_UNIT_DAYS[relative[2] || 'd']);
+  }
+  return String(value || '').trim();
+}
+
+/**
+ * Resolve a cat: value against the category map ({ code: description }).
+ * Matches a code or description case-insensitively, then a description
+ * prefix; unknown values are treated as a code.
+ * @param {string} value
+ * @param {Object} categories
+ * @returns {string}
+ */
+export function resolveCategoryCode(value, categories = {}) {
+  const wanted = String(value || '').trim().toLowerCase();
+  const entries = Object.entries(categories || {});
+  const byCode = entries.find(([code]) => code.toLowerCase() === wanted);
+  if (byCode) return byCode[0];
+  const byDescription = entries.find(([, description]) => String(description).toLowerCase() === wanted);
+  if (byDescription) return byDescription[0];
+  const byPrefix = entries.find(([, description]) => String(description).toLowerCase().startsWith(wanted));
+  if (byPrefix) return byPrefix[0];
+  return String(value || '').trim().toUpperCase();
+}
+
+/**
+ * Split omni-search text into free text and structured filters.
+ * @param {string} text
+ * @param {Object} [categories] - Category map used to resolve cat: values
+ * @returns {{ terms: string, category: string|null, filters: Object, hasQualifiers: boolean }}
+ */
+export function parseSearchQuery(text, categories = {}) {
+  const terms = [];
+  const filters = { title: '', artist: '', info: '', since: '', phrases: [], tags: [], exclude: [], duration: null };
+  let category = null;
+  let hasQualifiers = false;
+
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    const [raw, negated, rawField, quoted, bare] = match;
+    const value = quoted !== undefined ? quoted.trim() : bare;
+    const field = rawField ? FIELD_ALIASES[rawField.toLowerCase()] : null;
+
+    if (rawField && !field) {
+      // Not a qualifier we know (e.g. "re:mix") — keep it as free text
+      terms.push(raw.replace(/"/g, ''));
+      continue;
+    }
+    if (!value) continue;
+
+    if (!field) {
+      if (negated) {
+        filters.exclude.push({ field: null, value });
+        hasQualifiers = true;
+      } else if (quoted !== undefined) {
+        filters.phrases.push(value);
+        hasQualifiers = true;
+      } else {
+        terms.push(value);
+      }
+      continue;
+    }
+
+    hasQualifiers = true;
+    if (negated) {
+      if (field === 'category') {
+        filters.exclude.push({ field, value: resolveCategoryCode(value, categories) });
+      } else if (field === 'title' || field === 'artist' || field === 'info' || field === 'tag') {
+        filters.exclude.push({ field, value });
+      }
+      continue;
+    }
+
+    switch (field) {
+      case 'category':
+        category = resolveCategoryCode(value, categories);
+        break;
+      case 'since':
+        filters.since = parseSinceValue(value);
+        break;
+      case 'duration':
+        filters.duration = parseDurationRange(value);
+        break;
+      case 'tag':
+        filters.tags.push(value);
+        break;
+      default:
+        filters[field] = value;
+    }
+  }
+
+  return { terms: terms.join(' '), category, filters, hasQualifiers };
+}
+
+/**
+ * Compile omni-search text into SEARCH_SONGS parameters.
+ * Returns null for plain text so callers keep the simple searchTerm path.
+ * @param {string} text - Omni-search box contents
+ * @param {Object} [categories] - Category map used to resolve cat: values
+ * @returns {{ searchTerm: string|null, advancedFilters: Object, category?: string }|null}
+ */
+export function compileStructuredQuery(text, categories = {}) {
+  const parsed = parseSearchQuery(text, categories);
+  if (!parsed.hasQualifiers) return null;
+
+  const compiled = {
+    searchTerm: parsed.terms.length ? parsed.terms : null,
+    advancedFilters: parsed.filters,
+  };
+  if (parsed.category) {
+    compiled.category = parsed.category;
+  }
+  return compiled;
+}
+
+export default {
+  parseDurationText,
+  parseDurationRange,
+  parseSinceValue,
+  resolveCategoryCode,
+  parseSearchQuery,
+  compileStructuredQuery,
+};
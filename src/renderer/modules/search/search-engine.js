@@ -11,6 +11,9 @@ import Dom from '../dom-utils/index.js';
 import { hasActiveAdvancedFilters } from './search-form-utils.js';
 import { secureAnalytics, secureDatabase } from '../adapters/secure-adapter.js';
 import { scheduleSearch } from './search-timeout.js';
+import { compileStructuredQuery } from './query-parser.js';
+import { createPlayCountCell, sortSearchResults } from './play-count-column.js';
+import { appendTagChips } from './tag-chips.js';
 
 // Import debug logger
 let debugLog = null;
@@ -51,6 +54,7 @@ function searchData() {
   // Increment search ID to invalidate any in-flight searches
   activeSearchId++;
   const thisSearchId = activeSearchId;
+  liveSearch.cancelLiveSearch();
   
   debugLog?.info('🔍 Search data function called', { 
     module: 'search-engine',
@@ -85,9 +89,15 @@ function searchData() {
 
     searchParams.advancedFilters = { title, artist, info, since };
   } else {
-    // Apply search term filter for basic search
+    // Apply search term filter for basic search; field qualifiers such as
+    // artist:queen are compiled into advanced filters
     if (searchTerm.length) {
-      searchParams.searchTerm = searchTerm;
+      const structured = compileStructuredQuery(searchTerm, sharedState.get('categories'));
+      if (structured) {
+        Object.assign(searchParams, structured);
+      } else {
+        searchParams.searchTerm = searchTerm;
+      }
     }
   }
 
@@ -108,7 +118,7 @@ function searchData() {
     const loadingRow = document.createElement('tr');
     loadingRow.id = 'search-loading-indicator';
     const loadingCell = document.createElement('td');
-    loadingCell.colSpan = 5;
+    loadingCell.colSpan = 6;
     loadingCell.style.textAlign = 'center';
     loadingCell.style.padding = '20px';
     const spinnerIcon = document.createElement('i');
@@ -155,10 +165,10 @@ function searchData() {
         }
         
         const fragment = document.createDocumentFragment();
-        result.data.forEach((row) => {
+        sortSearchResults(result.data).forEach((row, index) => {
           const categoryName = getCategoryNameSync(row.category);
           const tr = document.createElement('tr');
-          tr.className = 'song unselectable context-menu';
+          tr.className = row.fuzzy ? 'song unselectable context-menu fuzzy-match' : 'song unselectable context-menu';
           tr.draggable = true;
           tr.style.fontSize = `${fontSize}px`;
           tr.setAttribute('songid', String(row.id));
@@ -177,6 +187,10 @@ function searchData() {
           const tdTitle = document.createElement('td');
           tdTitle.style.fontWeight = 'bold';
           tdTitle.textContent = row.title || '';
+          if (row.fuzzy) {
+            tdTitle.title = 'Approximate match';
+          }
+          appendTagChips(tdTitle, row.tags);
           tr.appendChild(tdTitle);
 
           const tdArtist = document.createElement('td');
@@ -188,6 +202,8 @@ function searchData() {
           tdTime.textContent = row.time || '';
           tr.appendChild(tdTime);
 
+          tr.appendChild(createPlayCountCell(row, tr, index));
+
           fragment.appendChild(tr);
         });
         tbody?.appendChild(fragment);
@@ -256,6 +272,7 @@ function triggerLiveSearch() {
       }
     } else {
       // Clear results when no search term and no advanced filters
+      liveSearch.cancelLiveSearch();
       const thead2 = document.querySelector('#search_results thead');
       const tbody2 = document.querySelector('#search_results tbody');
       if (tbody2) tbody2.querySelectorAll('tr').forEach(tr => tr.remove());
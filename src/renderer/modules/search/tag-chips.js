@@ -0,0 +1,28 @@
+/**
+ * Tag Chips
+ *
+ * Shows a song's tags (the `tags` array on SEARCH_SONGS rows) as chips next
+ * to its title in the search results.
+ */
+
+/**
+ * Append one chip per tag to a cell.
+ * @param {HTMLElement} td - The cell to decorate (normally the title cell)
+ * @param {Array<string>} [tags]
+ * @returns {number} number of chips added
+ */
+function appendTagChips(td, tags = []) {
+  if (!Array.isArray(tags) || tags.length === 0) return 0;
+  for (const tag of tags) {
+    const chip = document.createElement('span');
+    chip.className = 'badge rounded-pill tag-chip';
+    chip.setAttribute('data-tag', tag);
+    chip.textContent = tag;
+    td.appendChild(chip);
+  }
+  return tags.length;
+}
+
+export { appendTagChips };
+
+export default { appendTagChips };
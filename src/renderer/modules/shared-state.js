@@ -9,24 +9,39 @@
 const VALID_KEYS = new Set([
   // Audio state
   'sound',
+  'soundPad',
   'globalAnimation',
   'wavesurfer',
   'createWaveSurfer',
   'autoplay',
   'loop',
   'trackVolume',
+  'normalizationGain',
+  'loudnessTargetLufs',
   'trackStartTime',
   'trackEndTime',
+  'trackMarkers',
+  'trackLoopRegion',
+  'trackFade',
+  'trackSpeed',
+  'loopRegionState',
   'outgoingSound',
   'crossfadeTriggered',
   'crossfadeSeconds',
+  'fadeSettings',
   'wavesurferRegions',
+  'audioOutputDevice',
+  'audioOutputFallback',
+  'audioOutputMissing',
+  'sfxVoiceCount',
+  'duckGain',
   // UI state
   'holdingTankMode',
   'fontSize',
   // Data state
   'categories',
   'searchTimeout',
+  'searchResultSort',
 ]);
 
 class SharedState {
@@ -0,0 +1,488 @@
+/**
+ * Silence Trim Module
+ *
+ * Suggests start/end trims for songs with dead air at either end. Files are
+ * decoded with Web Audio and checked against the silence threshold set in
+ * Preferences. Suggestions are only saved by the user:
+ *
+ * - Add Song form: filled into empty Start/End fields and drawn on the form's
+ *   waveform, where the region can be dragged
+ * - Multi-Song Import: filled into each row's Start/End
+ * - Bulk import and Songs > Auto-Trim Songs: listed in the Auto-Trim window,
+ *   which saves the checked songs
+ */
+
+import { info, warn, error } from '../debug-log/index.js';
+import { secureDatabase, secureFileSystem, securePath, secureStore } from '../adapters/secure-adapter.js';
+import { resolveAudioSource } from '../audio/audio-source-resolver.js';
+import { decodeAudioFile, getChannels } from '../audio/audio-file-decoder.js';
+import { getPreference } from '../preferences/profile-preference-adapter.js';
+import { normalizeSilenceThreshold, detectSilence, suggestTrim, computePeaks } from './silence-detector.js';
+import { createTrimPreview } from './trim-preview.js';
+
+// Silence detection does not need full resolution
+const ANALYSIS_SAMPLE_RATE = 22050;
+
+let songFormPreview = null;
+let songFormRequest = 0;
+let autoTrimPreview = null;
+let autoTrimRun = 0;
+let autoTrimRows = [];
+
+/**
+ * @param {number|null} seconds
+ * @returns {string} M:SS, or '' for no trim
+ */
+function formatTrimTime(seconds) {
+  if (seconds === null || seconds === undefined) return '';
+  const secs = Math.round(seconds);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * @param {string} text - M:SS or whole seconds
+ * @returns {number|null}
+ */
+function parseTrimTime(text) {
+  const value = String(text ?? '').trim();
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  const match = value.match(/^(\d+):([0-5]?\d)$/);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * @returns {Promise<{ onImport: boolean, thresholdDb: number }>}
+ */
+async function getTrimSettings() {
+  const electronAPI = typeof window !== 'undefined' ? window.secureElectronAPI : undefined;
+  const [onImport, threshold] = await Promise.all([
+    getPreference('silence_trim_on_import', electronAPI),
+    getPreference('silence_threshold_db', electronAPI)
+  ]);
+  return {
+    onImport: onImport?.success ? onImport.value !== false : true,
+    thresholdDb: normalizeSilenceThreshold(threshold?.success ? threshold.value : null)
+  };
+}
+
+/**
+ * Detect silence at both ends of a file.
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {number} [options.thresholdDb]
+ * @returns {Promise<Object>} { startTime, endTime, silent, soundStart, soundEnd, duration, peaks }
+ */
+async function analyzeTrim(filePath, { thresholdDb } = {}) {
+  const buffer = await decodeAudioFile(filePath, ANALYSIS_SAMPLE_RATE);
+  const channels = getChannels(buffer);
+  const detection = detectSilence(channels, buffer.sampleRate, { thresholdDb });
+  return { ...detection, ...suggestTrim(detection), peaks: computePeaks(channels) };
+}
+
+async function resolveSongFile(song) {
+  const directory = await secureStore.get('music_directory');
+  if (!directory?.success || !directory.value) {
+    throw new Error('Music directory is not configured');
+  }
+  const source = await resolveAudioSource({
+    musicDirectory: directory.value,
+    filename: song.filename,
+    pathAPI: securePath,
+    fileSystemAPI: secureFileSystem
+  });
+  if (!source.success) {
+    throw new Error(source.error);
+  }
+  return source.filePath;
+}
+
+/**
+ * Short description of a suggestion.
+ * @param {Object} result - From analyzeTrim()
+ * @returns {string}
+ */
+function describeTrim(result) {
+  if (result.silent) return 'The file is silent.';
+  if (result.startTime === null && result.endTime === null) return 'No silence to trim.';
+  const start = result.startTime === null ? 'start of track' : formatTrimTime(result.startTime);
+  const end = result.endTime === null ? 'end of track' : formatTrimTime(result.endTime);
+  return `Suggested trim: ${start} to ${end}`;
+}
+
+// ── Song form ────────────────────────────────────────────────────────
+
+function setSongFormStatus(text) {
+  const status = document.getElementById('song-form-trim-status');
+  if (status) status.textContent = text;
+}
+
+function getSongFormPreview() {
+  if (!songFormPreview) {
+    songFormPreview = createTrimPreview(document.getElementById('song-form-trim-preview'));
+  }
+  return songFormPreview;
+}
+
+/**
+ * Detect silence for the file in the song form, fill the Start/End fields
+ * and draw the trim on the form's waveform.
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite=false] - Replace trims already in the fields
+ * @param {number} [options.thresholdDb]
+ * @returns {Promise<Object|null>} the analysis, or null when it failed or the form moved on
+ */
+async function suggestSongFormTrim(filePath, { overwrite = false, thresholdDb } = {}) {
+  const request = ++songFormRequest;
+  setSongFormStatus('Detecting silence...');
+  try {
+    const threshold = thresholdDb ?? (await getTrimSettings()).thresholdDb;
+    const result = await analyzeTrim(filePath, { thresholdDb: threshold });
+    if (request !== songFormRequest) return null;
+
+    const startEl = document.getElementById('song-form-start-time');
+    const endEl = document.getElementById('song-form-end-time');
+    if (startEl && (overwrite || !startEl.value)) startEl.value = formatTrimTime(result.startTime);
+    if (endEl && (overwrite || !endEl.value)) endEl.value = formatTrimTime(result.endTime);
+    setSongFormStatus(describeTrim(result));
+    getSongFormPreview().show({
+      filePath,
+      peaks: result.peaks,
+      duration: result.duration,
+      startTime: parseTrimTime(startEl?.value),
+      endTime: parseTrimTime(endEl?.value),
+      onChange: ({ startTime, endTime }) => {
+        if (startEl) startEl.value = formatTrimTime(startTime);
+        if (endEl) endEl.value = formatTrimTime(endTime);
+      }
+    });
+    return result;
+  } catch (err) {
+    if (request === songFormRequest) setSongFormStatus(`Could not detect silence: ${err.message}`);
+    warn('Could not detect silence', { module: 'silence-trim', function: 'suggestSongFormTrim', filePath, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Suggest a trim for a file opened in the Add Song form, when suggestions
+ * on import are turned on.
+ * @param {string} filePath
+ * @returns {Promise<Object|null>}
+ */
+async function prefillSongFormTrim(filePath) {
+  const { onImport, thresholdDb } = await getTrimSettings();
+  if (!onImport || !filePath) return null;
+  return suggestSongFormTrim(filePath, { thresholdDb });
+}
+
+/**
+ * Forget the song form's suggestion (form closed).
+ */
+function resetSongFormTrim() {
+  songFormRequest += 1;
+  songFormPreview?.destroy();
+  setSongFormStatus('');
+}
+
+async function detectInSongForm() {
+  const songId = document.getElementById('song-form-songid')?.value;
+  try {
+    let filePath = document.getElementById('song-form-filename')?.value;
+    if (songId) {
+      const result = await secureDatabase.getSongById(songId);
+      const song = result?.data?.[0];
+      if (!song) throw new Error('Song not found');
+      filePath = await resolveSongFile(song);
+    }
+    if (!filePath) return null;
+    return await suggestSongFormTrim(filePath, { overwrite: true });
+  } catch (err) {
+    setSongFormStatus(`Could not detect silence: ${err.message}`);
+    return null;
+  }
+}
+
+function syncSongFormPreview() {
+  songFormPreview?.setBounds(
+    parseTrimTime(document.getElementById('song-form-start-time')?.value),
+    parseTrimTime(document.getElementById('song-form-end-time')?.value)
+  );
+}
+
+// ── Imports ──────────────────────────────────────────────────────────
+
+/**
+ * Detect silence for files being imported, one at a time. Each entry gets
+ * `trim` (the analysis) when its file could be read.
+ * @param {Array<{ filePath: string }>} songs
+ * @param {Object} [options]
+ * @param {Function} [options.onResult] - Called with (song, index, analysis|null)
+ * @param {Function} [options.shouldStop] - Checked before each file
+ * @returns {Promise<boolean>} false when suggestions on import are turned off
+ */
+async function suggestImportTrims(songs, { onResult = null, shouldStop = null } = {}) {
+  const { onImport, thresholdDb } = await getTrimSettings();
+  if (!onImport) return false;
+  for (const [index, song] of songs.entries()) {
+    if (shouldStop?.()) break;
+    let result = null;
+    try {
+      result = await analyzeTrim(song.filePath, { thresholdDb });
+      song.trim = result;
+    } catch (err) {
+      warn('Could not detect silence', { module: 'silence-trim', function: 'suggestImportTrims', filePath: song.filePath, error: err.message });
+    }
+    onResult?.(song, index, result);
+  }
+  return true;
+}
+
+/**
+ * Review trims for songs just added by bulk import, when suggestions on
+ * import are turned on.
+ * @param {Array<number|string>} songIds
+ * @returns {Promise<boolean>} true when the Auto-Trim window was opened
+ */
+async function reviewImportedSongTrims(songIds) {
+  if (!songIds?.length) return false;
+  const { onImport } = await getTrimSettings();
+  if (!onImport) return false;
+  // Detection runs on in the window; the import is already done
+  showAutoTrim({ songIds }).catch((err) => {
+    error('Could not open Auto-Trim', { module: 'silence-trim', function: 'reviewImportedSongTrims', error: err.message });
+  });
+  return true;
+}
+
+// ── Auto-Trim window ─────────────────────────────────────────────────
+
+function setAutoTrimMessage(text) {
+  const message = document.getElementById('auto-trim-message');
+  if (message) message.textContent = text;
+}
+
+function getAutoTrimPreview() {
+  if (!autoTrimPreview) {
+    autoTrimPreview = createTrimPreview(document.getElementById('auto-trim-preview'));
+  }
+  return autoTrimPreview;
+}
+
+function describeCurrentTrim(song) {
+  if (song.start_time == null && song.end_time == null) return 'None';
+  return `${formatTrimTime(song.start_time ?? 0)} to ${song.end_time == null ? 'end' : formatTrimTime(song.end_time)}`;
+}
+
+function describeRowSuggestion(row) {
+  if (row.status === 'pending') return 'Waiting';
+  if (row.status === 'detecting') return 'Detecting...';
+  if (row.status === 'failed') return `Could not read: ${row.error}`;
+  if (row.trim.silent) return 'Silent file';
+  if (row.startTime === null && row.endTime === null) return 'No silence';
+  return `${formatTrimTime(row.startTime ?? 0)} to ${row.endTime === null ? 'end' : formatTrimTime(row.endTime)}`;
+}
+
+function previewRow(row) {
+  const title = document.getElementById('auto-trim-preview-title');
+  if (title) title.textContent = row.song.title || '';
+  getAutoTrimPreview().show({
+    filePath: row.filePath,
+    peaks: row.trim.peaks,
+    duration: row.trim.duration,
+    startTime: row.startTime,
+    endTime: row.endTime,
+    onChange: ({ startTime, endTime }) => {
+      row.startTime = startTime;
+      row.endTime = endTime;
+      renderAutoTrim();
+    }
+  });
+}
+
+function renderAutoTrim() {
+  const tbody = document.getElementById('auto-trim-body');
+  if (!tbody) return;
+  tbody.textContent = '';
+  for (const row of autoTrimRows) {
+    const tr = document.createElement('tr');
+    const cells = [];
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'form-check-input';
+    checkbox.value = String(row.song.id);
+    checkbox.checked = row.checked;
+    checkbox.addEventListener('change', () => { row.checked = checkbox.checked; });
+    cells.push(checkbox);
+
+    cells.push(row.song.title || '', row.song.artist || '', describeCurrentTrim(row.song), describeRowSuggestion(row));
+
+    const preview = document.createElement('button');
+    preview.type = 'button';
+    preview.className = 'btn btn-outline-secondary btn-sm';
+    preview.textContent = 'Preview';
+    preview.disabled = row.status !== 'done' || row.trim.silent;
+    preview.addEventListener('click', () => previewRow(row));
+    cells.push(preview);
+
+    for (const content of cells) {
+      const td = document.createElement('td');
+      if (typeof content === 'string') td.textContent = content;
+      else td.appendChild(content);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+function visibleSongIds() {
+  return Array.from(document.querySelectorAll('#search_results tbody tr[songid]'))
+    .map(tr => tr.getAttribute('songid'));
+}
+
+/**
+ * Load songs into the Auto-Trim window and detect their silence.
+ * @param {Array<number|string>} songIds
+ * @returns {Promise<Array<Object>|null>} the rows, or null when replaced by another load
+ */
+async function loadAutoTrim(songIds) {
+  const run = ++autoTrimRun;
+  autoTrimPreview?.destroy();
+  autoTrimRows = [];
+  renderAutoTrim();
+  if (!songIds.length) {
+    setAutoTrimMessage('Search for the songs to trim first; the window lists the search results.');
+    return autoTrimRows;
+  }
+
+  setAutoTrimMessage('Detecting silence...');
+  try {
+    const result = await secureDatabase.getSongsByIds(songIds);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unknown error');
+    }
+    const { thresholdDb } = await getTrimSettings();
+    if (run !== autoTrimRun) return null;
+    autoTrimRows = (result.data || []).map(song => ({
+      song, checked: true, status: 'pending', filePath: null, trim: null, startTime: null, endTime: null, error: null
+    }));
+    renderAutoTrim();
+
+    for (const row of autoTrimRows) {
+      if (run !== autoTrimRun) return null;
+      row.status = 'detecting';
+      renderAutoTrim();
+      try {
+        row.filePath = await resolveSongFile(row.song);
+        row.trim = await analyzeTrim(row.filePath, { thresholdDb });
+        row.startTime = row.trim.startTime;
+        row.endTime = row.trim.endTime;
+        row.status = 'done';
+      } catch (err) {
+        row.status = 'failed';
+        row.error = err.message;
+      }
+    }
+    if (run !== autoTrimRun) return null;
+    renderAutoTrim();
+    const found = autoTrimRows.filter(row => row.startTime !== null || row.endTime !== null).length;
+    setAutoTrimMessage(`Found silence to trim in ${found} of ${autoTrimRows.length} songs. Preview a song to adjust its trim.`);
+    info('Silence detection finished', { module: 'silence-trim', function: 'loadAutoTrim', songs: autoTrimRows.length, found });
+    return autoTrimRows;
+  } catch (err) {
+    setAutoTrimMessage(`Could not detect silence: ${err.message}`);
+    error('Silence detection failed', { module: 'silence-trim', function: 'loadAutoTrim', error: err.message });
+    return autoTrimRows;
+  }
+}
+
+/**
+ * Open the Auto-Trim window.
+ * @param {Object} [options]
+ * @param {Array<number|string>} [options.songIds] - Defaults to the songs in the search results
+ * @returns {Promise<Array<Object>|null>}
+ */
+async function showAutoTrim({ songIds = null } = {}) {
+  const { showModal } = await import('../ui/bootstrap-adapter.js');
+  showModal('#autoTrimModal');
+  return loadAutoTrim(songIds ?? visibleSongIds());
+}
+
+/**
+ * Save the suggested trims of the checked songs. Only the ends with silence
+ * change; a trim already set at the other end is kept.
+ * @returns {Promise<{ saved: number, failed: number }>}
+ */
+async function applyAutoTrim() {
+  const chosen = autoTrimRows.filter(row =>
+    row.checked && row.status === 'done' && (row.startTime !== null || row.endTime !== null));
+  let saved = 0;
+  let failed = 0;
+  for (const row of chosen) {
+    const update = { id: row.song.id };
+    if (row.startTime !== null) update.start_time = row.startTime;
+    if (row.endTime !== null) update.end_time = row.endTime;
+    const end = update.end_time ?? row.song.end_time;
+    if (end != null && (update.start_time ?? row.song.start_time ?? 0) >= end) {
+      failed += 1;
+      continue;
+    }
+    const result = await secureDatabase.updateSong(update);
+    if (result?.success) {
+      saved += 1;
+      Object.assign(row.song, update);
+    } else {
+      failed += 1;
+      warn('Could not save trim', { module: 'silence-trim', function: 'applyAutoTrim', songId: row.song.id, error: result?.error });
+    }
+  }
+  renderAutoTrim();
+  setAutoTrimMessage(`Trimmed ${saved} song${saved === 1 ? '' : 's'}.${failed ? ` ${failed} could not be saved.` : ''}`);
+  info('Auto-trim applied', { module: 'silence-trim', function: 'applyAutoTrim', saved, failed });
+  return { saved, failed };
+}
+
+/**
+ * Wire the song form's Detect Silence button and the Auto-Trim window.
+ */
+function initializeSilenceTrim() {
+  if (typeof document === 'undefined') return;
+
+  document.getElementById('song-form-detect-silence')?.addEventListener('click', () => detectInSongForm());
+  for (const id of ['song-form-start-time', 'song-form-end-time']) {
+    document.getElementById(id)?.addEventListener('change', syncSongFormPreview);
+  }
+  document.getElementById('songFormModal')?.addEventListener('hidden.bs.modal', resetSongFormTrim);
+  document.getElementById('auto-trim-apply')?.addEventListener('click', () => applyAutoTrim());
+  document.getElementById('autoTrimModal')?.addEventListener('hidden.bs.modal', () => {
+    autoTrimRun += 1;
+    autoTrimPreview?.destroy();
+  });
+
+  info('Silence trim module initialized', { module: 'silence-trim', function: 'initializeSilenceTrim' });
+}
+
+export {
+  initializeSilenceTrim,
+  analyzeTrim,
+  describeTrim,
+  formatTrimTime,
+  parseTrimTime,
+  prefillSongFormTrim,
+  suggestSongFormTrim,
+  resetSongFormTrim,
+  suggestImportTrims,
+  reviewImportedSongTrims,
+  showAutoTrim,
+  loadAutoTrim,
+  applyAutoTrim
+};
+
+export default {
+  initializeSilenceTrim,
+  showAutoTrim,
+  prefillSongFormTrim,
+  suggestImportTrims,
+  reviewImportedSongTrims
+};
@@ -0,0 +1,120 @@
+/**
+ * Silence Detector
+ *
+ * Finds where sound starts and ends in decoded audio, and turns that into
+ * start/end trim suggestions. Loudness is the RMS of 20 ms windows on the
+ * loudest channel, compared with a threshold in dBFS.
+ */
+
+const DEFAULT_SILENCE_THRESHOLD_DB = -50;
+const SILENCE_THRESHOLD_RANGE = [-80, -20];
+const WINDOW_SECONDS = 0.02;
+// Shorter dead air is left alone; the trim fields hold whole seconds
+const MIN_SILENCE_SECONDS = 1;
+
+/**
+ * Clamp a threshold preference into range.
+ * @param {*} value
+ * @returns {number} dBFS
+ */
+function normalizeSilenceThreshold(value) {
+  const threshold = Number.parseFloat(value);
+  if (Number.isNaN(threshold)) return DEFAULT_SILENCE_THRESHOLD_DB;
+  const [min, max] = SILENCE_THRESHOLD_RANGE;
+  return Math.min(max, Math.max(min, threshold));
+}
+
+/**
+ * Find the first and last window louder than the threshold.
+ * @param {Array<Float32Array>} channels
+ * @param {number} sampleRate
+ * @param {Object} [options]
+ * @param {number} [options.thresholdDb=-50]
+ * @returns {{ soundStart: number|null, soundEnd: number|null, duration: number }}
+ *   seconds; null start and end when the whole file is below the threshold
+ */
+function detectSilence(channels, sampleRate, { thresholdDb = DEFAULT_SILENCE_THRESHOLD_DB } = {}) {
+  const length = channels[0]?.length ?? 0;
+  const windowLength = Math.max(1, Math.round(sampleRate * WINDOW_SECONDS));
+  const threshold = 10 ** (thresholdDb / 20);
+  const thresholdEnergy = threshold * threshold;
+
+  const isSound = (start) => {
+    const end = Math.min(length, start + windowLength);
+    for (const samples of channels) {
+      let energy = 0;
+      for (let i = start; i < end; i++) energy += samples[i] * samples[i];
+      if (energy / (end - start) > thresholdEnergy) return true;
+    }
+    return false;
+  };
+
+  let first = -1;
+  for (let start = 0; start < length; start += windowLength) {
+    if (isSound(start)) { first = start; break; }
+  }
+  const duration = length / sampleRate;
+  if (first < 0) return { soundStart: null, soundEnd: null, duration };
+
+  let last = first;
+  const lastWindow = Math.floor((length - 1) / windowLength) * windowLength;
+  for (let start = lastWindow; start > first; start -= windowLength) {
+    if (isSound(start)) { last = start; break; }
+  }
+  return {
+    soundStart: first / sampleRate,
+    soundEnd: Math.min(length, last + windowLength) / sampleRate,
+    duration
+  };
+}
+
+/**
+ * Trim points for a detection, in whole seconds, rounded outward so no sound
+ * is cut. A side with less than a second of silence gets no trim (null).
+ * @param {{ soundStart: number|null, soundEnd: number|null, duration: number }} detection
+ * @returns {{ startTime: number|null, endTime: number|null, silent: boolean }}
+ */
+function suggestTrim({ soundStart, soundEnd, duration }) {
+  if (soundStart === null || soundEnd === null) {
+    return { startTime: null, endTime: null, silent: true };
+  }
+  const startTime = Math.floor(soundStart);
+  const endTime = Math.ceil(soundEnd);
+  return {
+    startTime: soundStart >= MIN_SILENCE_SECONDS && startTime > 0 ? startTime : null,
+    endTime: duration - soundEnd >= MIN_SILENCE_SECONDS && endTime < duration ? endTime : null,
+    silent: false
+  };
+}
+
+/**
+ * Peak per pixel column for drawing a waveform without decoding again.
+ * @param {Array<Float32Array>} channels
+ * @param {number} [points=800]
+ * @returns {Array<number>}
+ */
+function computePeaks(channels, points = 800) {
+  const length = channels[0]?.length ?? 0;
+  const size = Math.max(1, Math.ceil(length / points));
+  const peaks = [];
+  for (let start = 0; start < length; start += size) {
+    let peak = 0;
+    const end = Math.min(length, start + size);
+    for (const samples of channels) {
+      for (let i = start; i < end; i++) {
+        const magnitude = Math.abs(samples[i]);
+        if (magnitude > peak) peak = magnitude;
+      }
+    }
+    peaks.push(peak);
+  }
+  return peaks;
+}
+
+export {
+  DEFAULT_SILENCE_THRESHOLD_DB,
+  normalizeSilenceThreshold,
+  detectSilence,
+  suggestTrim,
+  computePeaks
+};
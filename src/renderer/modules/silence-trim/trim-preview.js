@@ -0,0 +1,95 @@
+/**
+ * Trim Preview
+ *
+ * A small WaveSurfer waveform with the trim as a resizable region, so a
+ * suggestion can be checked and adjusted before it is saved. The waveform
+ * is drawn from peaks computed during detection; the file is not decoded
+ * again.
+ */
+
+import { toFileUrl } from '../audio/audio-file-decoder.js';
+
+// Same shading as the trim region on the main waveform
+const REGION_COLOR = 'rgba(0, 123, 255, 0.2)';
+
+// Region edges in whole seconds; the ends of the file mean "no trim"
+function regionToTrim(region, duration) {
+  const start = Math.round(region.start);
+  const end = Math.round(region.end);
+  return {
+    startTime: start > 0 ? start : null,
+    endTime: end < Math.floor(duration) ? end : null
+  };
+}
+
+/**
+ * @param {HTMLElement} container
+ * @returns {{ show: Function, setBounds: Function, destroy: Function }}
+ */
+function createTrimPreview(container) {
+  let wavesurfer = null;
+  let region = null;
+  let duration = 0;
+
+  function destroy() {
+    wavesurfer?.destroy();
+    wavesurfer = null;
+    region = null;
+    if (container) container.style.display = 'none';
+  }
+
+  /**
+   * Draw a file with its trim.
+   * @param {Object} options
+   * @param {string} options.filePath
+   * @param {Array<number>} options.peaks - From computePeaks()
+   * @param {number} options.duration - Seconds
+   * @param {number|null} options.startTime
+   * @param {number|null} options.endTime
+   * @param {Function} [options.onChange] - Called with { startTime, endTime } after the region is dragged
+   * @returns {boolean} false when WaveSurfer is not available
+   */
+  function show({ filePath, peaks, duration: total, startTime, endTime, onChange }) {
+    destroy();
+    if (!container || typeof WaveSurfer === 'undefined') return false;
+    duration = total;
+    container.style.display = '';
+    const regions = typeof WaveSurfer.Regions !== 'undefined' ? WaveSurfer.Regions.create() : null;
+    wavesurfer = WaveSurfer.create({
+      container,
+      waveColor: '#adb5bd',
+      progressColor: '#adb5bd',
+      cursorWidth: 0,
+      height: 64,
+      interact: false,
+      plugins: regions ? [regions] : []
+    });
+    wavesurfer.load(toFileUrl(filePath), [peaks], total);
+    if (regions) {
+      wavesurfer.once('ready', () => {
+        region = regions.addRegion({
+          start: startTime ?? 0,
+          end: endTime ?? total,
+          color: REGION_COLOR,
+          drag: false,
+          resize: true
+        });
+      });
+      regions.on('region-updated', (updated) => onChange?.(regionToTrim(updated, duration)));
+    }
+    return true;
+  }
+
+  /**
+   * Move the region after the trim was typed in.
+   * @param {number|null} startTime
+   * @param {number|null} endTime
+   */
+  function setBounds(startTime, endTime) {
+    region?.setOptions({ start: startTime ?? 0, end: endTime ?? duration });
+  }
+
+  return { show, setBounds, destroy };
+}
+
+export { createTrimPreview };
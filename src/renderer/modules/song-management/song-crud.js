@@ -28,6 +28,10 @@ import {
   secureUtilities
 } from '../adapters/secure-adapter.js';
 import { populateCategorySelect, findUniqueCategoryCode, refreshCategories } from '../categories/category-data.js';
+import { parseTagInput, prepareTagField } from './tag-field.js';
+import { describeSongLoudness } from '../loudness/index.js';
+import { prefillSongFormTrim } from '../silence-trim/index.js';
+import { getTrackSpeed } from '../audio/playback-speed.js';
 
 let moduleRegistry = {};
 
@@ -71,6 +75,70 @@ function formatMMSS(totalSeconds) {
   return `${m}:${s.toString().padStart(2, '0')}`;
 }
 
+// Longest fade a song can set (song-fades.js in the main process agrees)
+const MAX_SONG_FADE_SECONDS = 60;
+
+/**
+ * Read the song form's fade fields. An empty fade time uses the profile's.
+ * @returns {{ fade_in_seconds: number|null, fade_out_seconds: number|null, hard_stop: boolean }}
+ */
+function readSongFadeFields() {
+  const seconds = (id) => {
+    const value = document.getElementById(id)?.value;
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? Math.min(MAX_SONG_FADE_SECONDS, number) : null;
+  };
+  return {
+    fade_in_seconds: seconds('song-form-fade-in'),
+    fade_out_seconds: seconds('song-form-fade-out'),
+    hard_stop: !!document.getElementById('song-form-hard-stop')?.checked
+  };
+}
+
+/**
+ * Fill the song form's fade fields from a song row, or clear them.
+ * @param {Object} [songInfo]
+ */
+function fillSongFadeFields(songInfo = {}) {
+  const fadeInEl = document.getElementById('song-form-fade-in');
+  if (fadeInEl) fadeInEl.value = songInfo.fade_in_seconds ?? '';
+  const fadeOutEl = document.getElementById('song-form-fade-out');
+  if (fadeOutEl) fadeOutEl.value = songInfo.fade_out_seconds ?? '';
+  const hardStopEl = document.getElementById('song-form-hard-stop');
+  if (hardStopEl) hardStopEl.checked = !!songInfo.hard_stop;
+}
+
+/**
+ * Read the song form's tempo and pitch fields.
+ * @returns {{ playback_rate: number, preserve_pitch: boolean, pitch_semitones: number }}
+ */
+function readSongSpeedFields() {
+  const speed = getTrackSpeed({
+    playback_rate: document.getElementById('song-form-rate')?.value,
+    pitch_semitones: document.getElementById('song-form-pitch')?.value
+  });
+  return {
+    playback_rate: speed.rate,
+    preserve_pitch: document.getElementById('song-form-preserve-pitch')?.checked !== false,
+    pitch_semitones: speed.semitones
+  };
+}
+
+/**
+ * Fill the song form's tempo and pitch fields from a song row, or reset them.
+ * @param {Object} [songInfo]
+ */
+function fillSongSpeedFields(songInfo = {}) {
+  const speed = getTrackSpeed(songInfo);
+  const rateEl = document.getElementById('song-form-rate');
+  if (rateEl) rateEl.value = speed.rate;
+  const pitchEl = document.getElementById('song-form-pitch');
+  if (pitchEl) pitchEl.value = speed.semitones;
+  const preserveEl = document.getElementById('song-form-preserve-pitch');
+  if (preserveEl) preserveEl.checked = speed.preservePitch;
+}
+
 /**
  * Show validation error on the start/end time fields.
  * Highlights both fields and shows a message that auto-clears.
@@ -103,6 +171,24 @@ function showTimeValidationError() {
   }, 3000);
 }
 
+/**
+ * Store the tags entered in the song form. Failures are logged; the song
+ * itself is already saved.
+ * @param {string|number} songId
+ * @param {Array<string>} tags
+ * @param {string} caller - Function name for the log
+ */
+async function saveSongTags(songId, tags, caller) {
+  try {
+    const result = await secureDatabase.setSongTags(songId, tags);
+    if (!result?.success) {
+      debugLog?.warn('Saving song tags failed', { module: 'song-management', function: caller, songId, error: result?.error });
+    }
+  } catch (error) {
+    debugLog?.warn('Saving song tags failed', { module: 'song-management', function: caller, songId, error: error?.message });
+  }
+}
+
 /**
  * Saves an edited song to the database
  * Updates song information and refreshes the search results
@@ -119,9 +205,13 @@ export async function saveEditedSong(event) {
   const artist = (document.getElementById('song-form-artist') || {}).value || '';
   const info = (document.getElementById('song-form-info') || {}).value || '';
   const category = (document.getElementById('song-form-category') || {}).value || '';
+  const tags = parseTagInput(document.getElementById('song-form-tags')?.value);
   const volume = parseInt(document.getElementById('song-form-volume')?.value) || 100;
   const startTime = parseMMSS(document.getElementById('song-form-start-time')?.value);
   const endTime = parseMMSS(document.getElementById('song-form-end-time')?.value);
+  const sfx = !!document.getElementById('song-form-sfx')?.checked;
+  const fades = readSongFadeFields();
+  const speed = readSongSpeedFields();
 
   // Validate start < end if both are set
   if (startTime != null && endTime != null && startTime >= endTime) {
@@ -134,11 +224,12 @@ export async function saveEditedSong(event) {
   safeHideModal('#songFormModal', { module: 'song-management', function: 'saveEditedSong' });
 
   try {
-    const result = await secureDatabase.updateSong({id: songId, title, artist, category, info, volume, start_time: startTime, end_time: endTime});
+    const result = await secureDatabase.updateSong({id: songId, title, artist, category, info, volume, start_time: startTime, end_time: endTime, sfx, ...fades, ...speed});
     if (!result?.success) {
       debugLog?.warn('Edit update failed', { module: 'song-management', function: 'saveEditedSong', error: result?.error });
     } else {
       secureAnalytics.trackEvent('song_edited');
+      await saveSongTags(songId, tags, 'saveEditedSong');
     }
   } catch (error) {
     debugLog?.error('Edit update error', { module: 'song-management', function: 'saveEditedSong', error: error?.message });
@@ -188,9 +279,13 @@ export async function saveNewSong(event) {
     }
 
     const duration = (document.getElementById('song-form-duration') || {}).value || '';
+    const tags = parseTagInput(document.getElementById('song-form-tags')?.value);
     const volume = parseInt(document.getElementById('song-form-volume')?.value) || 100;
     const startTime = parseMMSS(document.getElementById('song-form-start-time')?.value);
     const endTime = parseMMSS(document.getElementById('song-form-end-time')?.value);
+    const sfx = !!document.getElementById('song-form-sfx')?.checked;
+    const fades = readSongFadeFields();
+    const speed = readSongSpeedFields();
     let uuid;
     if (secureUtilities.generateId) {
       const uuidResult = await secureUtilities.generateId();
@@ -214,7 +309,7 @@ export async function saveNewSong(event) {
       return;
     }
     const newPath = joinResult.data;
-    const insertSong = await secureDatabase.addSong({title, artist, category, info, filename: newFilename, duration, volume, start_time: startTime, end_time: endTime});
+    const insertSong = await secureDatabase.addSong({title, artist, category, info, filename: newFilename, duration, volume, start_time: startTime, end_time: endTime, sfx, ...fades, ...speed});
     if (!insertSong?.success) {
       const isIOError = insertSong?.error?.toLowerCase().includes('i/o') || 
                         insertSong?.error?.toLowerCase().includes('disk') ||
@@ -241,15 +336,18 @@ export async function saveNewSong(event) {
       return;
     }
     secureAnalytics.trackEvent('song_added', { method: 'single' });
+    const insertedId = insertSong?.data?.lastInsertRowid || insertSong?.lastInsertRowid;
     const copyRes = await secureFileSystem.copy(filename, newPath);
     if (!copyRes?.success) {
       debugLog?.warn('❌ Failed to copy file:', { module: 'song-management', function: 'saveNewSong', error: copyRes?.error });
-      const insertedId = insertSong?.data?.lastInsertRowid || insertSong?.lastInsertRowid;
       if (insertedId) await secureDatabase.deleteSong(insertedId);
       return;
     } else {
       debugLog?.info('✅ File copied successfully', { module: 'song-management', function: 'saveNewSong' });
     }
+    if (tags.length && insertedId) {
+      await saveSongTags(insertedId, tags, 'saveNewSong');
+    }
 
     const omni2 = document.getElementById('omni_search');
     if (omni2) omni2.value = title;
@@ -302,10 +400,19 @@ export async function editSelectedSong() {
       endEl.value = formatMMSS(songInfo.end_time);
       endEl.placeholder = songInfo.time || 'End of track';
     }
+    const sfxEl = document.getElementById('song-form-sfx');
+    if (sfxEl) sfxEl.checked = !!songInfo.sfx;
+    fillSongFadeFields(songInfo);
+    fillSongSpeedFields(songInfo);
+    const loudnessEl = document.getElementById('song-form-loudness');
+    if (loudnessEl) loudnessEl.textContent = describeSongLoudness(songInfo);
+    const loudnessRow = document.getElementById('song-form-loudness-row');
+    if (loudnessRow) loudnessRow.style.display = '';
 
     // Load categories from cache and populate select
     const catSelect = document.getElementById('song-form-category');
     await populateCategorySelect(catSelect, songInfo.category, { addNewOption: false });
+    await prepareTagField(document.getElementById('song-form-tags'), songInfo.tags);
 
     // Prepare and show modal
     const editForm = document.querySelector('#songFormModal form');
@@ -347,6 +454,14 @@ export async function startAddNewSong(filename, metadata = null) {
     if (startEl2) startEl2.value = '';
     const endEl2 = document.getElementById('song-form-end-time');
     if (endEl2) endEl2.value = '';
+    const sfxEl2 = document.getElementById('song-form-sfx');
+    if (sfxEl2) sfxEl2.checked = false;
+    fillSongFadeFields();
+    fillSongSpeedFields();
+    // New songs are measured by the next Analyze Loudness pass
+    const loudnessRow2 = document.getElementById('song-form-loudness-row');
+    if (loudnessRow2) loudnessRow2.style.display = 'none';
+    await prepareTagField(document.getElementById('song-form-tags'));
     if (filename) {
       const fileEl = document.getElementById('song-form-filename');
       if (fileEl) fileEl.value = filename;
@@ -456,6 +571,12 @@ export async function startAddNewSong(filename, metadata = null) {
     }
 
     safeShowModal('#songFormModal', { module: 'song-management', function: 'startAddNewSong' });
+    // Suggest a trim for leading/trailing silence once the form is open
+    if (filename) {
+      prefillSongFormTrim(filename).catch((err) => {
+        debugLog?.warn('Silence detection failed', { module: 'song-management', function: 'startAddNewSong', error: err?.message });
+      });
+    }
   } catch (error) {
     debugLog?.error('Failed to open add new song modal', { module: 'song-management', function: 'startAddNewSong', error: error?.message });
   }
@@ -24,6 +24,7 @@ import {
   secureStore
 } from '../adapters/secure-adapter.js';
 import { customConfirm } from '../utils/index.js';
+import { markSongsMissing } from '../song-references/song-fingerprint-store.js';
 
 let moduleRegistry = {};
 
@@ -33,7 +34,8 @@ export function configureSongRemovalDependencies(dependencies = {}) {
 
 /**
  * Deletes a song from the database and removes the associated file
- * Also removes the song from all UI elements (holding tank, hotkeys, search results)
+ * Also removes the song from the search results; hotkeys and holding tanks
+ * keep it, shown as missing, so they can be relinked if it is imported again
  */
 export function deleteSong() {
   const songId = document.getElementById('selected_row')?.getAttribute('songid');
@@ -86,17 +88,18 @@ export function deleteSong() {
             debugLog?.warn('❌ Error during file deletion sequence', { module: 'song-management', function: 'deleteSong', error: error?.message });
           }
 
-          // Remove song anywhere it appears
-          document.querySelectorAll(`.holding_tank .list-group-item[songid="${songId}"]`).forEach(el => el.remove());
-          moduleRegistry.holdingTank?.clearSongFromHoldingTankState?.(songId);
-          // Clear the hotkey slot in-place: keep the li and its draggable span,
-          // just drop the songid and label so the slot stays usable.
-          moduleRegistry.hotkeys?.clearSong?.(songId);
-          document.querySelectorAll(`.hotkeys li[songid="${songId}"]`).forEach(li => {
-            li.removeAttribute('songid');
-            const span = li.querySelector('span.song');
-            if (span) span.textContent = '';
-          });
+          markSongsMissing({ [songId]: delResult.data?.fingerprint || null });
+          try {
+            const { hotkeys, holdingTank } = moduleRegistry;
+            if (hotkeys?.getHotkeySnapshot && hotkeys.restoreHotkeySnapshot) {
+              await hotkeys.restoreHotkeySnapshot(hotkeys.getHotkeySnapshot());
+            }
+            if (holdingTank?.getHoldingTankSnapshot && holdingTank.restoreHoldingTankSnapshot) {
+              await holdingTank.restoreHoldingTankSnapshot(holdingTank.getHoldingTankSnapshot());
+            }
+          } catch (error) {
+            debugLog?.warn('❌ Could not show the deleted song as missing', { module: 'song-management', function: 'deleteSong', error: error?.message });
+          }
           document.querySelectorAll(`#search_results tr[songid="${songId}"]`).forEach(el => el.remove());
           moduleRegistry.profileState?.saveProfileState?.();
 
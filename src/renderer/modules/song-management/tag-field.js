@@ -0,0 +1,102 @@
+/**
+ * Tag Field
+ *
+ * Helpers for the comma-separated tag inputs in the song form and the bulk
+ * add modal. Suggestions come from the existing tags; each suggestion keeps
+ * the tags already typed so the datalist can complete the last one.
+ */
+
+import { secureDatabase } from '../adapters/secure-adapter.js';
+
+/**
+ * Split a tag field's text into tag names (trimmed, case-insensitively unique).
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function parseTagInput(text) {
+  const seen = new Set();
+  const tags = [];
+  for (const part of String(text || '').split(',')) {
+    const tag = part.replace(/\s+/g, ' ').trim();
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  }
+  return tags;
+}
+
+/**
+ * @param {Array<string>} [tags]
+ * @returns {string} text for a tag field
+ */
+function formatTagInput(tags = []) {
+  return (Array.isArray(tags) ? tags : []).join(', ');
+}
+
+/**
+ * Suggestions for the tag being typed: each known tag not already entered,
+ * prefixed with the tags before the last comma.
+ * @param {string} text - Current field value
+ * @param {Array<string>} knownTags
+ * @returns {Array<string>}
+ */
+function buildTagSuggestions(text, knownTags) {
+  const value = String(text || '');
+  const lastComma = value.lastIndexOf(',');
+  const before = parseTagInput(value.slice(0, lastComma + 1));
+  const entered = new Set(before.map(tag => tag.toLowerCase()));
+  const prefix = before.length ? `${formatTagInput(before)}, ` : '';
+  const partial = value.slice(lastComma + 1).trim().toLowerCase();
+  return knownTags
+    .filter(tag => !entered.has(tag.toLowerCase()) && tag.toLowerCase().startsWith(partial))
+    .map(tag => prefix + tag);
+}
+
+function renderSuggestions(input, knownTags) {
+  const datalist = input.list;
+  if (!datalist) return;
+  datalist.textContent = '';
+  for (const suggestion of buildTagSuggestions(input.value, knownTags)) {
+    const option = document.createElement('option');
+    option.value = suggestion;
+    datalist.appendChild(option);
+  }
+}
+
+/**
+ * Fill a tag field and keep its datalist suggestions up to date.
+ * @param {HTMLInputElement|null} input - Field with a `list` attribute
+ * @param {Array<string>} [tags] - Initial tags
+ */
+async function prepareTagField(input, tags = []) {
+  if (!input) return;
+  input.value = formatTagInput(tags);
+
+  let knownTags = [];
+  try {
+    const result = await secureDatabase.getTags();
+    knownTags = result?.success ? (result.data || []).map(tag => tag.name) : [];
+  } catch (error) {
+    window.debugLog?.warn('Could not load tag suggestions', {
+      module: 'song-management', function: 'prepareTagField', error: error?.message
+    });
+  }
+
+  // Replaced on every open, so the suggestions follow the current tag list
+  input.oninput = () => renderSuggestions(input, knownTags);
+  renderSuggestions(input, knownTags);
+}
+
+export {
+  parseTagInput,
+  formatTagInput,
+  buildTagSuggestions,
+  prepareTagField
+};
+
+export default {
+  parseTagInput,
+  formatTagInput,
+  buildTagSuggestions,
+  prepareTagField
+};
@@ -0,0 +1,297 @@
+/**
+ * Song Markers Module
+ *
+ * Named cue points inside songs ("chorus", "drop", "button ending"). The
+ * playing song's markers are drawn on the waveform by the playback UI
+ * presenter; this module is their editor and navigator:
+ *
+ * - Add Marker (player controls) names a marker at the playing position
+ * - Dragging a marker moves it, clicking it jumps there and double-clicking
+ *   renames or deletes it
+ * - ] and [ jump to the next and previous marker (keyboard manager)
+ * - A hotkey can start its song at a marker (hotkey context menu)
+ *
+ * Markers are saved with the song as soon as they change.
+ */
+
+import { info, warn } from '../debug-log/index.js';
+import sharedState from '../shared-state.js';
+import { secureDatabase } from '../adapters/secure-adapter.js';
+import { customAlert, customPrompt } from '../utils/index.js';
+import { MARKER_REGION_PREFIX, renderSongMarkers } from '../audio/playback-ui-presenter.js';
+import { releaseLoopRegionPast } from '../audio/loop-region-timer.js';
+import { findNextMarker, findPreviousMarker, nextMarkerName } from './marker-navigation.js';
+
+let moduleRegistry = {};
+let editedRegions = null;
+let hotkeyMarkerTarget = null;
+
+function getPlayingSongId() {
+  return document.getElementById('song_now_playing')?.getAttribute('songid') || null;
+}
+
+function getPlayingSound() {
+  const sound = sharedState.get('sound');
+  return sound && getPlayingSongId() ? sound : null;
+}
+
+function getPlayingMarkers() {
+  return sharedState.get('trackMarkers') || [];
+}
+
+function getTrackBounds() {
+  return {
+    startTime: sharedState.get('trackStartTime') ?? null,
+    endTime: sharedState.get('trackEndTime') ?? null
+  };
+}
+
+/**
+ * Move the playing song to a marker.
+ * @param {{ name: string, position: number }} marker
+ * @returns {boolean} false when nothing is playing
+ */
+function jumpToMarker(marker) {
+  const sound = getPlayingSound();
+  if (!sound || !marker) return false;
+  sound.seek(marker.position);
+  releaseLoopRegionPast(marker.position);
+  sharedState.get('wavesurfer')?.setTime?.(marker.position);
+  info('Jumped to marker', { module: 'song-markers', function: 'jumpToMarker', marker: marker.name, position: marker.position });
+  return true;
+}
+
+function jumpFromPlayhead(findMarker) {
+  const sound = getPlayingSound();
+  if (!sound) return null;
+  const marker = findMarker(getPlayingMarkers(), Number(sound.seek()) || 0, getTrackBounds());
+  return marker && jumpToMarker(marker) ? marker : null;
+}
+
+/**
+ * @returns {Object|null} the marker jumped to, or null when there is none ahead
+ */
+function jumpToNextMarker() {
+  return jumpFromPlayhead(findNextMarker);
+}
+
+/**
+ * @returns {Object|null} the marker jumped to, or null when there is none behind
+ */
+function jumpToPreviousMarker() {
+  return jumpFromPlayhead(findPreviousMarker);
+}
+
+/**
+ * Save a song's markers and redraw them when the song is playing.
+ * @param {number|string} songId
+ * @param {Array<{ name: string, position: number }>} markers
+ * @returns {Promise<Array<Object>>} the saved markers, by position
+ */
+async function saveSongMarkers(songId, markers) {
+  const result = await secureDatabase.setSongMarkers(songId, markers);
+  if (!result?.success) {
+    throw new Error(result?.error || 'Unknown error');
+  }
+  if (String(songId) === String(getPlayingSongId())) {
+    sharedState.set('trackMarkers', result.data);
+    renderSongMarkers(sharedState.get('wavesurferRegions'), result.data);
+  }
+  return result.data;
+}
+
+async function changePlayingMarkers(change, caller) {
+  const songId = getPlayingSongId();
+  if (!songId) return null;
+  try {
+    return await saveSongMarkers(songId, change(getPlayingMarkers()));
+  } catch (err) {
+    warn('Could not save song markers', { module: 'song-markers', function: caller, songId, error: err.message });
+    // Put a dragged marker back where it was saved
+    renderSongMarkers(sharedState.get('wavesurferRegions'), getPlayingMarkers());
+    await customAlert(`Could not save the marker: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Ask for a name and add a marker at the playing position.
+ * @returns {Promise<Array<Object>|null>} the song's markers, or null when nothing was added
+ */
+async function addMarkerAtPlayhead() {
+  const sound = getPlayingSound();
+  if (!sound) {
+    await customAlert('Play a song to add markers to it.');
+    return null;
+  }
+  // Where the operator asked, not where playback is after typing the name
+  const position = Number(sound.seek()) || 0;
+  const name = await customPrompt('Name this marker:', nextMarkerName(getPlayingMarkers()), 'Add Marker');
+  if (name === null || !name.trim()) return null;
+  return changePlayingMarkers(markers => [...markers, { name, position }], 'addMarkerAtPlayhead');
+}
+
+/**
+ * Rename a marker of the playing song, or delete it when the name is cleared.
+ * @param {string} name
+ */
+async function editMarker(name) {
+  const newName = await customPrompt('Rename the marker, or clear the name to delete it:', name, 'Edit Marker');
+  if (newName === null) return null;
+  return changePlayingMarkers(markers => (newName.trim()
+    ? markers.map(marker => (marker.name === name ? { ...marker, name: newName } : marker))
+    : markers.filter(marker => marker.name !== name)), 'editMarker');
+}
+
+/**
+ * @param {string} name
+ * @param {number} position - Seconds
+ */
+function moveMarker(name, position) {
+  return changePlayingMarkers(markers => markers.map(marker => (
+    marker.name === name ? { ...marker, position: Math.max(0, position) } : marker
+  )), 'moveMarker');
+}
+
+function markerNameOf(region) {
+  const id = String(region?.id ?? '');
+  return id.startsWith(MARKER_REGION_PREFIX) ? id.slice(MARKER_REGION_PREFIX.length) : null;
+}
+
+/**
+ * Edit markers through the waveform's regions. Safe to call again with the
+ * same plugin.
+ * @param {Object} regions - WaveSurfer Regions plugin
+ */
+function attachMarkerEditor(regions) {
+  if (!regions || regions === editedRegions) return;
+  editedRegions = regions;
+  regions.on('region-updated', (region) => {
+    const name = markerNameOf(region);
+    if (name !== null) moveMarker(name, region.start);
+  });
+  regions.on('region-clicked', (region, event) => {
+    const name = markerNameOf(region);
+    if (name === null) return;
+    event?.stopPropagation?.();
+    jumpToMarker(getPlayingMarkers().find(marker => marker.name === name));
+  });
+  regions.on('region-double-clicked', (region, event) => {
+    const name = markerNameOf(region);
+    if (name === null) return;
+    event?.stopPropagation?.();
+    editMarker(name);
+  });
+}
+
+function addOption(select, value, label, selected) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  option.selected = selected;
+  select.appendChild(option);
+}
+
+/**
+ * Open the window that picks the marker a hotkey starts its song at.
+ * @param {Element} element - The hotkey's list item
+ * @returns {Promise<boolean>} false when the hotkey has no song
+ */
+async function chooseHotkeyMarker(element) {
+  const songId = element?.getAttribute('songid');
+  const hotkeys = moduleRegistry.hotkeys;
+  if (!songId || !hotkeys?.setHotkeyMarker) return false;
+
+  const result = await secureDatabase.getSongById(songId);
+  const song = result?.success ? result.data?.[0] : null;
+  if (!song) {
+    await customAlert(`Could not load the song: ${result?.error || 'Song not found'}`);
+    return false;
+  }
+
+  hotkeyMarkerTarget = element;
+  const markers = song.markers || [];
+  const current = hotkeys.getHotkeyMarker?.(element) || null;
+  const select = document.getElementById('hotkey-marker-select');
+  if (select) {
+    select.textContent = '';
+    addOption(select, '', 'Start of song', !current);
+    for (const marker of markers) {
+      addOption(select, marker.name, marker.name, marker.name.toLowerCase() === current?.toLowerCase());
+    }
+    if (current && !markers.some(marker => marker.name.toLowerCase() === current.toLowerCase())) {
+      addOption(select, current, `${current} (not in this song)`, true);
+    }
+  }
+  const songLabel = document.getElementById('hotkey-marker-song');
+  if (songLabel) songLabel.textContent = song.artist ? `${song.title} by ${song.artist}` : song.title || '';
+  const help = document.getElementById('hotkey-marker-help');
+  if (help) {
+    help.textContent = markers.length
+      ? 'The hotkey starts the song here instead of at its start trim.'
+      : 'This song has no markers yet. Add them on the waveform while it plays.';
+  }
+
+  const { showModal } = await import('../ui/bootstrap-adapter.js');
+  showModal('#hotkeyMarkerModal');
+  return true;
+}
+
+async function saveHotkeyMarker() {
+  const element = hotkeyMarkerTarget;
+  const hotkeys = moduleRegistry.hotkeys;
+  if (!element || !hotkeys?.setHotkeyMarker) return;
+  const name = document.getElementById('hotkey-marker-select')?.value || null;
+  try {
+    if (hotkeys.setHotkeyMarker(element, name)) {
+      await hotkeys.requestProfileStateSave?.();
+    }
+  } catch (err) {
+    warn('Could not set hotkey marker', { module: 'song-markers', function: 'saveHotkeyMarker', error: err.message });
+    await customAlert(`Could not set the marker: ${err.message}`);
+    return;
+  }
+  hotkeyMarkerTarget = null;
+  const { hideModal } = await import('../ui/bootstrap-adapter.js');
+  hideModal('#hotkeyMarkerModal');
+}
+
+/**
+ * Wire the Add Marker button, the waveform editor and the hotkey marker window.
+ * @param {Object} [options]
+ * @param {Object} [options.moduleRegistry]
+ */
+function initializeSongMarkers({ moduleRegistry: registry = {} } = {}) {
+  moduleRegistry = registry;
+  if (typeof document === 'undefined') return;
+
+  document.getElementById('marker_button')?.addEventListener('click', () => addMarkerAtPlayhead());
+  document.getElementById('hotkey-marker-save')?.addEventListener('click', () => saveHotkeyMarker());
+  // The waveform is created the first time it is shown
+  attachMarkerEditor(sharedState.get('wavesurferRegions'));
+  sharedState.subscribe('wavesurferRegions', attachMarkerEditor);
+
+  info('Song markers module initialized', { module: 'song-markers', function: 'initializeSongMarkers' });
+}
+
+export {
+  initializeSongMarkers,
+  jumpToMarker,
+  jumpToNextMarker,
+  jumpToPreviousMarker,
+  saveSongMarkers,
+  addMarkerAtPlayhead,
+  editMarker,
+  moveMarker,
+  attachMarkerEditor,
+  chooseHotkeyMarker,
+  saveHotkeyMarker
+};
+
+export default {
+  initializeSongMarkers,
+  jumpToNextMarker,
+  jumpToPreviousMarker,
+  addMarkerAtPlayhead,
+  chooseHotkeyMarker
+};
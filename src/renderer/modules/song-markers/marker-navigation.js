@@ -0,0 +1,66 @@
+/**
+ * Marker Navigation
+ *
+ * Picks the marker to jump to from the playing position. Only markers
+ * inside the start and end trims can be played. Jumping back right after
+ * passing a marker goes to the one before it, like a CD player's previous
+ * track button.
+ */
+
+// Seconds after a marker during which "previous" skips over it
+const PREVIOUS_MARKER_GRACE_SECONDS = 1.5;
+// Markers closer than this to the playhead count as the current one
+const POSITION_TOLERANCE_SECONDS = 0.05;
+
+/**
+ * @param {Array<{ name: string, position: number }>} markers
+ * @param {Object} [bounds]
+ * @param {number|null} [bounds.startTime] - Start trim
+ * @param {number|null} [bounds.endTime] - End trim
+ * @returns {Array<{ name: string, position: number }>} markers within the trims, by position
+ */
+function playableMarkers(markers, { startTime = null, endTime = null } = {}) {
+  return (Array.isArray(markers) ? markers : [])
+    .filter(marker => Number.isFinite(Number(marker?.position)))
+    .filter(marker => (startTime === null || marker.position >= startTime) && (endTime === null || marker.position < endTime))
+    .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * @param {Array<Object>} markers
+ * @param {number} position - Playing position in seconds
+ * @param {Object} [bounds] - See playableMarkers
+ * @returns {Object|null} the first marker after the position
+ */
+function findNextMarker(markers, position, bounds = {}) {
+  return playableMarkers(markers, bounds)
+    .find(marker => marker.position > position + POSITION_TOLERANCE_SECONDS) || null;
+}
+
+/**
+ * @param {Array<Object>} markers
+ * @param {number} position - Playing position in seconds
+ * @param {Object} [bounds] - See playableMarkers
+ * @returns {Object|null} the last marker before the position, skipping one just passed
+ */
+function findPreviousMarker(markers, position, bounds = {}) {
+  const before = playableMarkers(markers, bounds)
+    .filter(marker => marker.position < position - PREVIOUS_MARKER_GRACE_SECONDS);
+  return before[before.length - 1] || null;
+}
+
+/**
+ * A name not used by the song's markers yet: "Marker 1", "Marker 2", ...
+ * @param {Array<Object>} markers
+ * @returns {string}
+ */
+function nextMarkerName(markers) {
+  const taken = new Set((markers || []).map(marker => String(marker.name).toLowerCase()));
+  let number = (markers || []).length + 1;
+  while (taken.has(`marker ${number}`)) number += 1;
+  return `Marker ${number}`;
+}
+
+export { playableMarkers, findNextMarker, findPreviousMarker, nextMarkerName };
+
+export default { playableMarkers, findNextMarker, findPreviousMarker, nextMarkerName };
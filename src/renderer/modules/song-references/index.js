@@ -0,0 +1,148 @@
+/**
+ * Song References Module
+ *
+ * Hotkeys and holding tanks keep songs deleted from the library and show
+ * them as missing. When songs are added and a missing one is in the library
+ * again, found by its file contents or by title and artist, this offers to
+ * relink the references in every profile.
+ */
+
+import { info, warn, error } from '../debug-log/index.js';
+import { secureLibrary } from '../adapters/secure-adapter.js';
+import { customConfirm } from '../utils/index.js';
+import { remapHotkeySnapshot, remapHoldingTankSnapshot } from '../duplicate-finder/index.js';
+import { forgetSongFingerprints } from './song-fingerprint-store.js';
+
+// Bulk imports add songs one at a time; offer once they have settled
+const SONGS_ADDED_DELAY_MS = 1500;
+
+let moduleRegistry = {};
+let offerTimer = null;
+let offering = false;
+// Relinks turned down this session
+const declinedLinks = new Set();
+
+function linkKey({ profile, songId, newSongId }) {
+  return `${profile}\u0000${songId}\u0000${newSongId}`;
+}
+
+function describeSongs(links) {
+  const names = [...new Set(links.map(link => (link.artist ? `${link.title} by ${link.artist}` : link.title)))];
+  return names.length > 5 ? `${names.slice(0, 5).join(', ')} and ${names.length - 5} more` : names.join(', ');
+}
+
+// Main relinks the other profiles; the open one is relinked here so the
+// next save does not write the old IDs back
+async function relinkCurrentProfile(songIdMap) {
+  const { hotkeys, holdingTank, profileState } = moduleRegistry;
+  forgetSongFingerprints(Object.keys(songIdMap));
+  if (hotkeys?.getHotkeySnapshot && hotkeys.restoreHotkeySnapshot) {
+    await hotkeys.restoreHotkeySnapshot(remapHotkeySnapshot(hotkeys.getHotkeySnapshot(), songIdMap));
+  }
+  if (holdingTank?.getHoldingTankSnapshot && holdingTank.restoreHoldingTankSnapshot) {
+    await holdingTank.restoreHoldingTankSnapshot(remapHoldingTankSnapshot(holdingTank.getHoldingTankSnapshot(), songIdMap));
+  }
+  await profileState?.saveProfileState?.();
+}
+
+/**
+ * Look for missing songs that are in the library again and, after
+ * confirmation, relink them in every profile.
+ * @returns {Promise<Object|null>} { relinked, profilesUpdated }, or null when
+ *   there was nothing to relink or it was turned down
+ */
+async function offerSongRelinks() {
+  if (offering) {
+    scheduleSongRelinkOffer();
+    return null;
+  }
+  offering = true;
+  try {
+    const currentState = moduleRegistry.profileState?.extractProfileState?.();
+    if (!currentState) return null;
+    const result = await secureLibrary.findSongRelinks(currentState);
+    if (!result?.success) throw new Error(result?.error || 'Could not look for songs to relink');
+    const links = (result.data || []).filter(link => !declinedLinks.has(linkKey(link)));
+    if (!links.length) return null;
+
+    const profiles = new Set(links.map(link => link.profile));
+    const confirmed = await customConfirm(
+      `Missing songs on hotkeys or in holding tanks are in the library again: ${describeSongs(links)}. `
+        + `Relink them${profiles.size > 1 ? ` in ${profiles.size} profiles` : ''}?`,
+      'Relink Missing Songs'
+    );
+    if (!confirmed) {
+      links.forEach(link => declinedLinks.add(linkKey(link)));
+      return null;
+    }
+
+    const currentLinks = links.filter(link => link.current);
+    if (currentLinks.length) {
+      await relinkCurrentProfile(Object.fromEntries(currentLinks.map(link => [link.songId, link.newSongId])));
+    }
+    let profilesUpdated = [];
+    const otherLinks = links.filter(link => !link.current);
+    if (otherLinks.length) {
+      const relinkResult = await secureLibrary.relinkSongReferences(otherLinks);
+      if (!relinkResult?.success) throw new Error(relinkResult?.error || 'Could not relink songs in other profiles');
+      profilesUpdated = relinkResult.data.profilesUpdated;
+    }
+
+    info('Relinked missing songs', {
+      module: 'song-references', function: 'offerSongRelinks', relinked: links.length, profilesUpdated
+    });
+    return { relinked: links.length, profilesUpdated };
+  } catch (err) {
+    error('Failed to relink missing songs', {
+      module: 'song-references', function: 'offerSongRelinks', error: err.message
+    });
+    return null;
+  } finally {
+    offering = false;
+  }
+}
+
+/**
+ * Offer relinks a moment after songs were added.
+ */
+function scheduleSongRelinkOffer() {
+  if (offerTimer) clearTimeout(offerTimer);
+  offerTimer = setTimeout(() => {
+    offerTimer = null;
+    offerSongRelinks();
+  }, SONGS_ADDED_DELAY_MS);
+}
+
+/**
+ * Listen for songs added to the library.
+ * @param {Object} [dependencies]
+ * @param {Object} [dependencies.electronAPI] - For the songs-added event
+ * @param {Object} [dependencies.moduleRegistry] - For the hotkeys, holding tank and profile state modules
+ */
+function initializeSongReferences(dependencies = {}) {
+  moduleRegistry = dependencies.moduleRegistry || {};
+  const onSongsAdded = dependencies.electronAPI?.library?.onSongsAdded;
+  if (typeof onSongsAdded !== 'function') {
+    warn('Songs-added events are unavailable; missing songs are relinked only at startup', {
+      module: 'song-references', function: 'initializeSongReferences'
+    });
+    return;
+  }
+  onSongsAdded(() => scheduleSongRelinkOffer());
+
+  info('Song references module initialized', {
+    module: 'song-references',
+    function: 'initializeSongReferences'
+  });
+}
+
+export {
+  initializeSongReferences,
+  offerSongRelinks,
+  scheduleSongRelinkOffer
+};
+
+export default {
+  initializeSongReferences,
+  offerSongRelinks
+};
@@ -0,0 +1,83 @@
+/**
+ * The fingerprints of the songs the open profile's hotkeys and holding tanks
+ * use, as saved with its state: { hash, size, title, artist, missing? } by
+ * song ID. The main process fills in new ones when the state is saved; this
+ * store keeps which songs were deleted and what they were called, so their
+ * pads and entries can show as missing.
+ */
+
+const fingerprints = new Map();
+
+/**
+ * Replace the fingerprints with a loaded profile's.
+ * @param {Object<string, Object>} [songFingerprints]
+ */
+function loadSongFingerprints(songFingerprints) {
+  fingerprints.clear();
+  mergeSongFingerprints(songFingerprints);
+}
+
+/**
+ * Add fingerprints for songs that have none yet, e.g. the ones a save
+ * computed. Known songs keep theirs, including a missing mark set since.
+ * @param {Object<string, Object>} [songFingerprints]
+ */
+function mergeSongFingerprints(songFingerprints) {
+  if (!songFingerprints || typeof songFingerprints !== 'object') return;
+  for (const [songId, fingerprint] of Object.entries(songFingerprints)) {
+    if (fingerprint && typeof fingerprint === 'object' && !fingerprints.has(String(songId))) {
+      fingerprints.set(String(songId), { ...fingerprint });
+    }
+  }
+}
+
+/** The fingerprints, for saving with the profile state. */
+function getSongFingerprints() {
+  return Object.fromEntries([...fingerprints].map(([songId, fingerprint]) => [songId, { ...fingerprint }]));
+}
+
+/**
+ * Mark songs deleted from the library.
+ * @param {Object<string, Object|null>} deleted - Their fingerprints by ID, as the delete returned them
+ */
+function markSongsMissing(deleted) {
+  for (const [songId, fingerprint] of Object.entries(deleted || {})) {
+    const known = fingerprints.get(String(songId));
+    fingerprints.set(String(songId), { ...(fingerprint || known || { hash: null, size: null, title: '', artist: '' }), missing: true });
+  }
+}
+
+function isSongMarkedMissing(songId) {
+  return fingerprints.get(String(songId))?.missing === true;
+}
+
+/**
+ * Drop songs' fingerprints, e.g. once their references point elsewhere or
+ * the ID belongs to a song in the library again. The next save fingerprints
+ * them afresh.
+ * @param {Iterable<string|number>} songIds
+ */
+function forgetSongFingerprints(songIds) {
+  for (const songId of songIds) fingerprints.delete(String(songId));
+}
+
+/**
+ * How a missing song is shown on its pad or holding tank entry.
+ * @param {string|number} songId
+ * @returns {string}
+ */
+function describeMissingSong(songId) {
+  const { title, artist } = fingerprints.get(String(songId)) || {};
+  if (!title) return 'Missing song';
+  return artist ? `Missing: ${title} by ${artist}` : `Missing: ${title}`;
+}
+
+export {
+  loadSongFingerprints,
+  mergeSongFingerprints,
+  getSongFingerprints,
+  markSongsMissing,
+  isSongMarkedMissing,
+  forgetSongFingerprints,
+  describeMissingSong
+};
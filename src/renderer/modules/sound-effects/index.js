@@ -0,0 +1,384 @@
+/**
+ * Sound Effects Module
+ *
+ * Songs flagged as sound effects (song form → "Sound effect") play over the
+ * music instead of replacing it: a door slam, a stinger or applause under a
+ * bed. Each one plays on its own voice, so several can overlap, and the main
+ * track keeps going untouched.
+ *
+ * - The sound effects panel shows every playing voice with its progress and
+ *   a stop button, a master volume for all sound effects and Stop All
+ * - Hotkeys → Stop All Sound Effects (Ctrl/Cmd+.) stops them from anywhere
+ * - At most MAX_SFX_VOICES play at once; another one replaces the oldest
+ * - A voice started from a hotkey pad remembers the pad, so the pad's
+ *   toggle, momentary and fade behaviors can stop it
+ *
+ * The number of playing voices is kept in sharedState (sfxVoiceCount).
+ */
+
+import { info, warn } from '../debug-log/index.js';
+import sharedState from '../shared-state.js';
+import { secureFileSystem, securePath, secureStore } from '../adapters/secure-adapter.js';
+import { customAlert } from '../utils/index.js';
+import { getPreference, setPreference } from '../preferences/profile-preference-adapter.js';
+import { createHowl, howlerUtils } from '../audio/audio-utils.js';
+import { resolveAudioSource } from '../audio/audio-source-resolver.js';
+import { showPlaybackBlocked } from '../audio/playback-error-presenter.js';
+import { calculatePlaybackVolume, getTrackBounds } from '../audio/playback-policy.js';
+import { getFadeOutDuration, getTrackFade } from '../audio/fade-curves.js';
+import {
+  createPlaybackSound,
+  getPlaybackOutputRouting,
+  routePlaybackSound
+} from '../audio/playback-sound-factory.js';
+
+const MAX_SFX_VOICES = 8;
+const DEFAULT_SFX_VOLUME = 100;
+
+let voices = [];
+let nextVoiceId = 1;
+let masterVolume = DEFAULT_SFX_VOLUME;
+let animation = null;
+
+const formatTime = seconds => howlerUtils.formatTime(Math.round(Math.max(0, seconds || 0)));
+
+function normalizeSfxVolume(value) {
+  const volume = Number.parseInt(value, 10);
+  if (Number.isNaN(volume)) return DEFAULT_SFX_VOLUME;
+  return Math.min(100, Math.max(0, volume));
+}
+
+function voiceVolume(voice) {
+  return Math.min(1, (masterVolume / 100) * voice.trackVolume);
+}
+
+function createVoiceElement(voice) {
+  const item = document.createElement('li');
+  item.className = 'list-group-item d-flex align-items-center gap-2 py-1 px-2';
+  item.dataset.voiceId = String(voice.id);
+
+  const title = document.createElement('span');
+  title.className = 'sfx-voice-title text-truncate';
+  title.textContent = voice.title;
+
+  const progress = document.createElement('div');
+  progress.className = 'progress flex-grow-1';
+  progress.style.height = '6px';
+  const bar = document.createElement('div');
+  bar.className = 'progress-bar bg-warning';
+  bar.setAttribute('role', 'progressbar');
+  bar.style.width = '0%';
+  progress.appendChild(bar);
+
+  const remaining = document.createElement('small');
+  remaining.className = 'sfx-voice-remaining text-nowrap';
+
+  const stop = document.createElement('button');
+  stop.type = 'button';
+  stop.className = 'btn btn-outline-danger btn-sm py-0';
+  stop.title = 'Stop this sound effect';
+  stop.innerHTML = '<i class="fas fa-stop"></i>';
+  stop.addEventListener('click', () => stopSoundEffect(voice.id));
+
+  item.append(title, progress, remaining, stop);
+  return item;
+}
+
+function renderVoiceCount() {
+  const empty = document.getElementById('sfx_empty');
+  if (empty) empty.classList.toggle('d-none', voices.length > 0);
+  document.getElementById('sfx_button')?.classList.toggle('active', voices.length > 0);
+}
+
+function showPanel() {
+  document.getElementById('sfx-panel')?.classList.remove('d-none');
+}
+
+function removeVoice(voice) {
+  voices = voices.filter(entry => entry !== voice);
+  voice.element?.remove();
+  if (voices.length === 0 && animation !== null) {
+    cancelAnimationFrame(animation);
+    animation = null;
+  }
+  sharedState.set('sfxVoiceCount', voices.length);
+  renderVoiceCount();
+}
+
+function renderVoiceProgress(voice) {
+  if (!voice.element) return;
+  const position = Number(voice.sound.seek()) || 0;
+  const start = voice.startTime ?? 0;
+  const end = voice.endTime ?? (Number(voice.sound.duration()) || 0);
+  const length = Math.max(0, end - start);
+  const percent = length > 0 ? Math.min(100, Math.max(0, ((position - start) / length) * 100)) : 0;
+  const bar = voice.element.querySelector('.progress-bar');
+  if (bar) {
+    bar.style.width = `${percent}%`;
+    bar.setAttribute('aria-valuenow', String(Math.round(percent)));
+  }
+  const remaining = voice.element.querySelector('.sfx-voice-remaining');
+  if (remaining) remaining.textContent = `-${formatTime(end - position)}`;
+}
+
+// One frame loop for all voices; it stops itself when the last one ends
+function trackVoices() {
+  for (const voice of [...voices]) {
+    const position = Number(voice.sound.seek()) || 0;
+    if (voice.endTime !== null && position >= voice.endTime) {
+      stopSoundEffect(voice.id);
+      continue;
+    }
+    renderVoiceProgress(voice);
+  }
+  animation = voices.length > 0 ? requestAnimationFrame(trackVoices) : null;
+}
+
+function startTracking() {
+  if (animation === null) animation = requestAnimationFrame(trackVoices);
+}
+
+async function resolveSource(row) {
+  const directory = await secureStore.get('music_directory');
+  const musicDirectory = directory?.success && directory.value ? directory.value : null;
+  if (!musicDirectory) return { success: false, error: 'The music directory is not set' };
+  return resolveAudioSource({
+    musicDirectory,
+    filename: row.filename,
+    pathAPI: securePath,
+    fileSystemAPI: secureFileSystem
+  });
+}
+
+/**
+ * Play a sound effect over whatever is playing.
+ * @param {Object} row - The song's database row
+ * @param {Object} [options]
+ * @param {number} [options.volume=100] - Percent of the song's volume (hotkey pad volume)
+ * @param {string} [options.pad] - The hotkey pad that started it
+ * @returns {Promise<number|null>} the voice id, or null when nothing played
+ */
+async function playSoundEffect(row, { volume = 100, pad = null } = {}) {
+  if (!row?.filename) return null;
+  const source = await resolveSource(row);
+  if (!source.success) {
+    warn('Could not find sound effect file', {
+      module: 'sound-effects', function: 'playSoundEffect', songId: row.id, error: source.error
+    });
+    // The now playing bar belongs to the main track, so this one is a dialog
+    if (source.reason !== 'path') customAlert(`Sound effect file not found: ${row.title || row.filename}`);
+    return null;
+  }
+
+  const routing = await getPlaybackOutputRouting(sharedState);
+  if (routing.blocked) {
+    warn('Output device disconnected, not playing sound effect', {
+      module: 'sound-effects', function: 'playSoundEffect', songId: row.id
+    });
+    showPlaybackBlocked({ title: row.title || row.filename });
+    return null;
+  }
+
+  if (voices.length >= MAX_SFX_VOICES) stopSoundEffect(voices[0].id);
+
+  const { trackVolume } = calculatePlaybackVolume(100, ((row.volume ?? 100) * (volume ?? 100)) / 100, {
+    targetLufs: sharedState.get('loudnessTargetLufs') ?? null,
+    loudnessLufs: row.loudness_lufs ?? null,
+    truePeakDbtp: row.true_peak_dbtp ?? null
+  });
+  const bounds = getTrackBounds(row);
+  const voice = {
+    id: nextVoiceId++,
+    songId: row.id,
+    title: [row.title, row.artist].filter(Boolean).join(' - ') || row.filename,
+    trackVolume,
+    pad,
+    fade: getTrackFade(row),
+    startTime: bounds.startTime,
+    endTime: bounds.endTime,
+    sound: null,
+    element: null
+  };
+  voice.sound = createPlaybackSound({
+    createHowl,
+    source: source.source,
+    volume: voiceVolume(voice),
+    muted: false,
+    debugLog: window.debugLog,
+    onEnd: () => {
+      removeVoice(voice);
+      voice.sound.unload();
+    }
+  });
+
+  // Pooled audio elements keep the last sound's device
+  const routed = await routePlaybackSound(voice.sound, routing.deviceId);
+  if (!routed.success && routing.deviceId) {
+    warn('Could not route sound effect to the output device', {
+      module: 'sound-effects', function: 'playSoundEffect', deviceId: routing.deviceId, error: routed.error
+    });
+  }
+
+  voices.push(voice);
+  const list = document.getElementById('sfx_voices');
+  if (list) {
+    voice.element = createVoiceElement(voice);
+    list.appendChild(voice.element);
+  }
+  sharedState.set('sfxVoiceCount', voices.length);
+  renderVoiceCount();
+  showPanel();
+
+  voice.sound.play();
+  if (voice.startTime) voice.sound.seek(voice.startTime);
+  startTracking();
+  info('Playing sound effect', { module: 'sound-effects', function: 'playSoundEffect', songId: row.id, voiceId: voice.id });
+  return voice.id;
+}
+
+/**
+ * Stop one sound effect voice.
+ * @param {number} voiceId
+ * @returns {boolean} false when no such voice is playing
+ */
+function stopSoundEffect(voiceId) {
+  const voice = voices.find(entry => entry.id === Number(voiceId));
+  if (!voice) return false;
+  voice.sound.stop();
+  voice.sound.unload();
+  removeVoice(voice);
+  return true;
+}
+
+// Fades over the song's own fade-out time, or the profile's
+async function fadeOutSoundEffect(voice) {
+  const seconds = await secureStore.get('fade_out_seconds');
+  const durationMs = getFadeOutDuration(voice.fade, seconds?.success ? seconds.value : null);
+  if (!voices.includes(voice)) return;
+  if (durationMs <= 0) {
+    stopSoundEffect(voice.id);
+    return;
+  }
+  voice.sound.once('fade', () => stopSoundEffect(voice.id));
+  voice.sound.fade(voiceVolume(voice), 0, durationMs);
+}
+
+// Whether a voice started from this hotkey pad is still playing
+function isPadSoundEffectPlaying(pad) {
+  return voices.some(voice => voice.pad === pad);
+}
+
+/**
+ * Stop the voices a hotkey pad started.
+ * @param {string} pad
+ * @param {Object} [options]
+ * @param {boolean} [options.fade=false] - Fade them out instead of stopping at once
+ * @returns {Promise<number>} how many voices were stopped or faded
+ */
+async function stopPadSoundEffects(pad, { fade = false } = {}) {
+  const padVoices = voices.filter(voice => voice.pad === pad);
+  if (fade) await Promise.all(padVoices.map(voice => fadeOutSoundEffect(voice)));
+  else padVoices.forEach(voice => stopSoundEffect(voice.id));
+  return padVoices.length;
+}
+
+/**
+ * Stop every sound effect. The main track keeps playing.
+ * @returns {number} how many voices were stopped
+ */
+function stopAllSoundEffects() {
+  const count = voices.length;
+  [...voices].forEach(voice => stopSoundEffect(voice.id));
+  if (count > 0) info('Stopped all sound effects', { module: 'sound-effects', function: 'stopAllSoundEffects', count });
+  return count;
+}
+
+/**
+ * Set the master volume for all sound effects, including the playing ones.
+ * @param {number|string} percent - 0 to 100
+ * @param {Object} [options]
+ * @param {boolean} [options.save=true] - Save it to the profile
+ * @returns {number} the volume applied
+ */
+function setSfxMasterVolume(percent, { save = true } = {}) {
+  masterVolume = normalizeSfxVolume(percent);
+  voices.forEach(voice => voice.sound.volume(voiceVolume(voice)));
+  const slider = document.getElementById('sfx_volume');
+  if (slider) slider.value = String(masterVolume);
+  if (save) {
+    setPreference('sfx_volume', masterVolume, window.secureElectronAPI).catch(err => {
+      warn('Could not save the sound effect volume', { module: 'sound-effects', function: 'setSfxMasterVolume', error: err.message });
+    });
+  }
+  return masterVolume;
+}
+
+/**
+ * Move the playing sound effects to another output device.
+ * @param {string} deviceId - '' for the system default
+ */
+async function routeSoundEffects(deviceId) {
+  for (const voice of voices) {
+    const routed = await routePlaybackSound(voice.sound, deviceId);
+    if (!routed.success && deviceId) {
+      warn('Could not route sound effect to the output device', {
+        module: 'sound-effects', function: 'routeSoundEffects', deviceId, error: routed.error
+      });
+    }
+  }
+}
+
+async function loadSfxVolume() {
+  try {
+    const result = await getPreference('sfx_volume', window.secureElectronAPI);
+    setSfxMasterVolume(result?.success ? result.value : DEFAULT_SFX_VOLUME, { save: false });
+  } catch (err) {
+    warn('Could not load the sound effect volume', { module: 'sound-effects', function: 'loadSfxVolume', error: err.message });
+  }
+}
+
+/**
+ * Wire the sound effects panel and load the profile's sound effect volume.
+ */
+function initializeSoundEffects() {
+  if (typeof document === 'undefined') return;
+
+  const slider = document.getElementById('sfx_volume');
+  slider?.addEventListener('input', () => setSfxMasterVolume(slider.value, { save: false }));
+  slider?.addEventListener('change', () => setSfxMasterVolume(slider.value));
+  document.getElementById('sfx_stop_all')?.addEventListener('click', () => stopAllSoundEffects());
+  document.getElementById('sfx_close_button')?.addEventListener('click', () => {
+    document.getElementById('sfx-panel')?.classList.add('d-none');
+  });
+  document.getElementById('sfx_button')?.addEventListener('click', () => {
+    document.getElementById('sfx-panel')?.classList.toggle('d-none');
+  });
+  sharedState.set('sfxVoiceCount', 0);
+  renderVoiceCount();
+  loadSfxVolume();
+
+  info('Sound effects module initialized', { module: 'sound-effects', function: 'initializeSoundEffects' });
+}
+
+export {
+  MAX_SFX_VOICES,
+  initializeSoundEffects,
+  playSoundEffect,
+  stopSoundEffect,
+  stopAllSoundEffects,
+  isPadSoundEffectPlaying,
+  stopPadSoundEffects,
+  setSfxMasterVolume,
+  routeSoundEffects
+};
+
+export default {
+  initializeSoundEffects,
+  playSoundEffect,
+  stopSoundEffect,
+  stopAllSoundEffects,
+  isPadSoundEffectPlaying,
+  stopPadSoundEffects,
+  setSfxMasterVolume,
+  routeSoundEffects
+};
@@ -47,7 +47,7 @@ function initializeEventHandlers(options = {}) {
     if (newName && newName.trim() !== "") {
       const link = document.querySelector('#hotkey_tabs .nav-link.active');
       if (link) link.textContent = newName;
-      const tabNumber = Number(link?.getAttribute('href')?.match(/^#hotkeys_list_(\d)$/)?.[1]);
+      const tabNumber = Number(link?.getAttribute('href')?.match(/^#hotkeys_list_(\d+)$/)?.[1]);
       moduleRegistry.hotkeys?.renameHotkeyStateTab?.(tabNumber, newName);
       moduleRegistry.hotkeys?.requestProfileStateSave?.();
       return { success: true, newName: newName };
@@ -56,6 +56,20 @@ const IPC = deepFreeze({
     REASSIGN_SONG_CATEGORY: 'reassign-song-category',
     FIND_CATEGORY_CODES_LIKE: 'find-category-codes-like',
     COUNT_SONGS: 'count-songs',
+    GET_SMART_CATEGORIES: 'get-smart-categories',
+    ADD_SMART_CATEGORY: 'add-smart-category',
+    UPDATE_SMART_CATEGORY: 'update-smart-category',
+    DELETE_SMART_CATEGORY: 'delete-smart-category',
+    RECORD_PLAY: 'record-play',
+    GET_PLAY_STATISTICS: 'get-play-statistics',
+    GET_TAGS: 'get-tags',
+    SET_SONG_TAGS: 'set-song-tags',
+    ADD_SONG_TAGS: 'add-song-tags',
+    SET_SONG_MARKERS: 'set-song-markers',
+    FIND_DUPLICATE_SONGS: 'find-duplicate-songs',
+    MERGE_DUPLICATE_SONGS: 'merge-duplicate-songs',
+    GET_SONGS_FOR_LOUDNESS: 'get-songs-for-loudness',
+    SAVE_SONG_LOUDNESS: 'save-song-loudness',
   },
   FILESYSTEM: {
     FILE_EXISTS: 'file-exists',
@@ -142,6 +156,15 @@ const IPC = deepFreeze({
     EXPORT: 'library:export',
     IMPORT: 'library:import',
     IMPORT_CONFIRM: 'library:import-confirm',
+    VERIFY: 'library:verify',
+    RELINK_SONGS: 'library:relink-songs',
+    IMPORT_ORPHANS: 'library:import-orphans',
+    REMOVE_MISSING_SONGS: 'library:remove-missing-songs',
+    EXPORT_HOTKEY_BUNDLE: 'library:export-hotkey-bundle',
+    OPEN_HOTKEY_BUNDLE: 'library:open-hotkey-bundle',
+    IMPORT_HOTKEY_BUNDLE: 'library:import-hotkey-bundle',
+    FIND_SONG_RELINKS: 'library:find-song-relinks',
+    RELINK_SONG_REFERENCES: 'library:relink-song-references',
   },
   ANALYTICS: {
     TRACK_EVENT: 'analytics:track-event',
@@ -0,0 +1,20 @@
+/**
+ * Song duration parsing shared by the main process (song search, duplicate
+ * finder) and the renderer (dur: search qualifier), so a duration reads the
+ * same on both sides.
+ */
+
+/**
+ * Parse "1:30", "90" or "01:02:03" into seconds.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseDurationText(text) {
+  const value = String(text ?? '').trim();
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(value)) return null;
+  return value.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+export default {
+  parseDurationText
+};
@@ -17,20 +17,26 @@ function buildHarness() {
     deleteSelectedSong: vi.fn(),
     manageCategories: vi.fn()
   };
+  const showReport = {
+    startSession: vi.fn(),
+    exportReport: vi.fn()
+  };
+  const mainWindow = { isDestroyed: () => false, webContents: { send: vi.fn() } };
   const result = buildApplicationMenu({
     app: { name: 'Mx. Voice' },
     Menu,
     shell: { openExternal: vi.fn() },
-    mainWindow: { isDestroyed: () => false, webContents: { send: vi.fn() } },
+    mainWindow,
     fileOperations: {},
     getCurrentProfile: () => 'Default User',
     showAboutDialog: vi.fn(),
     debugLog: { warn: vi.fn() },
     logService: { exportLogs: vi.fn() },
-    rendererCommands
+    rendererCommands,
+    showReport
   });
   template.push(...result);
-  return { Menu, rendererCommands, template };
+  return { Menu, mainWindow, rendererCommands, showReport, template };
 }
 
 describe('application menu', () => {
@@ -50,6 +56,71 @@ describe('application menu', () => {
     expect(rendererCommands.toggleWaveform).toHaveBeenCalledOnce();
   });
 
+  it('starts a show session before clearing the tabs and exports the show report', async () => {
+    const { rendererCommands, showReport, template } = buildHarness();
+    const viewMenu = template.find((menu) => menu.label === 'View');
+    viewMenu.submenu.find((item) => item.label === 'Start a New Session').click();
+    expect(showReport.startSession).toHaveBeenCalledOnce();
+    expect(showReport.startSession.mock.invocationCallOrder[0])
+      .toBeLessThan(rendererCommands.closeAllTabs.mock.invocationCallOrder[0]);
+
+    await viewMenu.submenu.find((item) => item.label === 'Show Report...').click();
+    expect(showReport.exportReport).toHaveBeenCalledOnce();
+  });
+
+  it('opens play statistics from the Songs menu', () => {
+    const { mainWindow, template } = buildHarness();
+    const songsMenu = template.find((menu) => menu.label === 'Songs');
+    songsMenu.submenu.find((item) => item.label === 'Play Statistics...').click();
+    expect(mainWindow.webContents.send).toHaveBeenCalledWith('menu:play-statistics');
+  });
+
+  it('opens the duplicate finder from the Songs menu', () => {
+    const { mainWindow, template } = buildHarness();
+    const songsMenu = template.find((menu) => menu.label === 'Songs');
+    songsMenu.submenu.find((item) => item.label === 'Find Duplicates...').click();
+    expect(mainWindow.webContents.send).toHaveBeenCalledWith('menu:find-duplicates');
+  });
+
+  it('opens verify library from the Songs menu', () => {
+    const { mainWindow, template } = buildHarness();
+    const songsMenu = template.find((menu) => menu.label === 'Songs');
+    songsMenu.submenu.find((item) => item.label === 'Verify Library...').click();
+    expect(mainWindow.webContents.send).toHaveBeenCalledWith('menu:verify-library');
+  });
+
+  it('opens loudness analysis from the Songs menu', () => {
+    const { mainWindow, template } = buildHarness();
+    const songsMenu = template.find((menu) => menu.label === 'Songs');
+    songsMenu.submenu.find((item) => item.label === 'Analyze Loudness...').click();
+    expect(mainWindow.webContents.send).toHaveBeenCalledWith('menu:analyze-loudness');
+  });
+
+  it('opens auto-trim from the Songs menu', () => {
+    const { mainWindow, template } = buildHarness();
+    const songsMenu = template.find((menu) => menu.label === 'Songs');
+    songsMenu.submenu.find((item) => item.label === 'Auto-Trim Songs...').click();
+    expect(mainWindow.webContents.send).toHaveBeenCalledWith('menu:auto-trim');
+  });
+
+  it('stops all sound effects from the Hotkeys menu', () => {
+    const { mainWindow, template } = buildHarness();
+    const hotkeysMenu = template.find((menu) => menu.label === 'Hotkeys');
+    const item = hotkeysMenu.submenu.find((entry) => entry.label === 'Stop All Sound Effects');
+    expect(item.accelerator).toBe('CommandOrControl+.');
+    item.click();
+    expect(mainWindow.webContents.send).toHaveBeenCalledWith('menu:stop-all-sfx');
+  });
+
+  it('sends hotkey bundle export and import from the Hotkeys menu', () => {
+    const { mainWindow, template } = buildHarness();
+    const hotkeysMenu = template.find((menu) => menu.label === 'Hotkeys');
+    hotkeysMenu.submenu.find((entry) => entry.label === 'Export Hotkeys as Bundle...').click();
+    hotkeysMenu.submenu.find((entry) => entry.label === 'Import Hotkey Bundle...').click();
+    expect(mainWindow.webContents.send).toHaveBeenCalledWith('menu:export-hotkey-bundle');
+    expect(mainWindow.webContents.send).toHaveBeenCalledWith('menu:import-hotkey-bundle');
+  });
+
   it('disables destructive actions for the default profile', () => {
     const { template } = buildHarness();
     const profileMenu = template.find((menu) => menu.label === 'Profile');
@@ -30,6 +30,17 @@ describe('audio IPC handlers', () => {
     await expect(invoke(IPC.AUDIO.GET_DURATION, '/tmp/song.mp3')).resolves.toEqual({ success: true, duration: 42.5 });
     await expect(invoke(IPC.AUDIO.GET_METADATA, '/tmp/song.mp3')).resolves.toEqual({ success: true, data: { title: 'Song', artist: 'A, B', duration: 42.5 } });
   });
+  it('adds the front cover as a data URL only when artwork is asked for', async () => {
+    const picture = (type, bytes) => ({ type, format: 'image/png', data: Uint8Array.from(bytes) });
+    parseFile.mockResolvedValue({ common: { title: 'Song', picture: [picture('Artist/performer', [9]), picture('Cover (front)', [1, 2, 3])] }, format: {} });
+    const result = await invoke(IPC.AUDIO.GET_METADATA, '/tmp/song.mp3', { artwork: true });
+    expect(result.data.artwork).toBe('data:image/png;base64,AQID');
+    expect(parseFile).toHaveBeenLastCalledWith('/tmp/song.mp3', { duration: true, skipCovers: false });
+    parseFile.mockResolvedValue({ common: {}, format: {} });
+    await expect(invoke(IPC.AUDIO.GET_METADATA, '/tmp/song.mp3', { artwork: true })).resolves.toMatchObject({ data: { artwork: null } });
+    expect((await invoke(IPC.AUDIO.GET_METADATA, '/tmp/song.mp3')).data).not.toHaveProperty('artwork');
+    expect(parseFile).toHaveBeenLastCalledWith('/tmp/song.mp3', { duration: true, skipCovers: true });
+  });
   it('rejects invalid metadata and duration paths', async () => {
     await expect(invoke(IPC.AUDIO.GET_DURATION, null)).resolves.toEqual({ success: false, error: 'Invalid file path' });
     await expect(invoke(IPC.AUDIO.GET_METADATA, 42)).resolves.toEqual({ success: false, error: 'Invalid file path' });
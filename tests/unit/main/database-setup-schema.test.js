@@ -1,6 +0,0 @@
-import { describe, expect, it, vi } from 'vitest';
-vi.mock('electron-store',()=>({default:class Store{get(){return null;}set(){}}}));vi.mock('electron',()=>({default:{app:{getPath:()=>'/tmp'}}}));vi.mock('node-sqlite3-wasm',()=>({default:{Database:vi.fn(),onRuntimeInitialized:Promise.resolve()}}));vi.mock('../../../src/main/modules/debug-log.js',()=>({default:()=>({info:vi.fn(),warn:vi.fn(),error:vi.fn()})}));
-const database=(await import('../../../src/main/modules/database-setup.js')).default;
-function fakeDb(failPattern=null){const statements=[];return{statements,prepare:vi.fn(sql=>{const stmt={sql,run:vi.fn(()=>{if(failPattern&&sql.includes(failPattern))throw new Error('duplicate column name');}),finalize:vi.fn()};statements.push(stmt);return stmt;})};}
-describe('database setup contracts',()=>{it('creates both tables and finalizes prepared statements',async()=>{const db=fakeDb();await database.setupDatabaseSchema(db);expect(db.prepare).toHaveBeenCalledTimes(2);expect(db.statements.every(x=>x.run.mock.calls.length===1&&x.finalize.mock.calls.length===1)).toBe(true);});
-it('creates indexes and tolerates repeatable migration columns',()=>{const db=fakeDb('volume');database.setupDatabaseIndexes(db);expect(db.prepare).toHaveBeenCalledTimes(6);const migrationDb=fakeDb('volume');expect(()=>database.migrateDatabase(migrationDb)).not.toThrow();expect(migrationDb.prepare).toHaveBeenCalledTimes(3);});});
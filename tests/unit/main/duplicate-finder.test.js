@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import pkg from 'node-sqlite3-wasm';
+import {
+  hashSongFile,
+  findDuplicateGroups,
+  mergeDuplicateSongs,
+} from '../../../src/main/modules/duplicate-finder.js';
+import { setupPlayHistory, setupPlayHistorySongColumns, recordPlay } from '../../../src/main/modules/play-history.js';
+import { setupSongTags, setSongTags, getSongTags, listTags } from '../../../src/main/modules/song-tags.js';
+import { setupSongMarkers, setSongMarkers, getSongMarkers } from '../../../src/main/modules/song-markers.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+let musicDir;
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  db.exec(`CREATE TABLE mrvoice (
+    id INTEGER PRIMARY KEY, title TEXT, artist TEXT, category TEXT, info TEXT,
+    filename TEXT, time TEXT, modtime INTEGER, md5 TEXT
+  )`);
+  setupPlayHistory(db);
+  setupPlayHistorySongColumns(db);
+  setupSongTags(db);
+  setupSongMarkers(db);
+  musicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mxv-duplicates-'));
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(musicDir, { recursive: true, force: true });
+});
+
+function addSong(title, artist, filename, time = '3:00', contents = null) {
+  const stmt = db.prepare('INSERT INTO mrvoice (title, artist, category, filename, time) VALUES (?, ?, ?, ?, ?)');
+  const { lastInsertRowid } = stmt.run([title, artist, 'GAME', filename, time]);
+  stmt.finalize();
+  if (contents !== null) fs.writeFileSync(path.join(musicDir, filename), contents);
+  return Number(lastInsertRowid);
+}
+
+const ids = (group) => group.songs.map(song => song.id);
+
+describe('findDuplicateGroups', () => {
+  it('groups songs by title and artist ignoring case, accents and punctuation', async () => {
+    const a = addSong('Beyoncé: Halo', 'Beyonce', 'halo.mp3');
+    const b = addSong('beyonce halo', 'BEYONCÉ', 'halo-1.mp3', '4:30');
+    addSong('Halo', 'Beyonce', 'other.mp3');
+
+    const groups = await findDuplicateGroups(db);
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ reasons: ['title-artist'] });
+    expect(ids(groups[0])).toEqual([a, b]);
+  });
+
+  it('groups identical files and only reads files whose sizes collide', async () => {
+    const a = addSong('Walk On', 'Band', 'walk.mp3', '1:00', 'same bytes');
+    const b = addSong('Track 01', '', 'track01.mp3', '2:00', 'same bytes');
+    addSong('Other', 'Band', 'other.mp3', '3:00', 'different!');
+    addSong('Big', 'Band', 'big.mp3', '4:00', 'a much longer file');
+    addSong('Missing', 'Band', 'missing.mp3', '5:00');
+    const hashFile = vi.fn(hashSongFile);
+
+    const groups = await findDuplicateGroups(db, { musicDirectory: musicDir, hashFile });
+    expect(groups).toHaveLength(1);
+    expect(groups[0].reasons).toEqual(['file-hash']);
+    expect(ids(groups[0])).toEqual([a, b]);
+    expect(hashFile).toHaveBeenCalledTimes(3);
+  });
+
+  it('groups same-titled songs with near-equal durations across artist spellings', async () => {
+    const a = addSong('Jeopardy Think', 'Merv Griffin', 'a.mp3', '0:30');
+    const b = addSong('Jeopardy Think', '', 'b.mp3', '0:31');
+    addSong('Jeopardy Think', 'Unknown', 'c.mp3', '1:05');
+
+    const groups = await findDuplicateGroups(db);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].reasons).toEqual(['duration']);
+    expect(ids(groups[0])).toEqual([a, b]);
+
+    expect(await findDuplicateGroups(db, { durationTolerance: 0 })).toEqual([]);
+  });
+
+  it('lists a group found by several checks once with every reason', async () => {
+    const a = addSong('Walk On', 'Band', 'walk.mp3', '1:00', 'same bytes');
+    const b = addSong('Walk On', 'Band', 'walk-copy.mp3', '1:00', 'same bytes');
+
+    const groups = await findDuplicateGroups(db, { musicDirectory: musicDir });
+    expect(groups).toEqual([
+      expect.objectContaining({ reasons: ['title-artist', 'file-hash'] })
+    ]);
+    expect(ids(groups[0])).toEqual([a, b]);
+  });
+
+  it('finds nothing in a library without duplicates', async () => {
+    addSong('One', 'Band', 'one.mp3', '1:00', 'one');
+    addSong('Two', 'Band', 'two.mp3', '2:00', 'two');
+    expect(await findDuplicateGroups(db, { musicDirectory: musicDir })).toEqual([]);
+  });
+});
+
+describe('mergeDuplicateSongs', () => {
+  it('moves tags and play history to the kept song and deletes the others', () => {
+    const keep = addSong('Walk On', 'Band', 'walk.mp3');
+    const dupe = addSong('Walk On', 'Band', 'walk-copy.mp3');
+    setSongTags(db, keep, ['Entrance']);
+    setSongTags(db, dupe, ['Entrance', 'Finale']);
+    recordPlay(db, { songId: dupe, source: 'search', playedAt: 100 });
+
+    const result = mergeDuplicateSongs(db, keep, [dupe]);
+    expect(result).toEqual({ keptId: keep, removedIds: [dupe], orphanedFiles: ['walk-copy.mp3'] });
+
+    const stmt = db.prepare('SELECT id FROM mrvoice');
+    expect(stmt.all().map(row => row.id)).toEqual([keep]);
+    stmt.finalize();
+    expect(getSongTags(db, keep)).toEqual(['Entrance', 'Finale']);
+    expect(listTags(db).map(tag => tag.song_count)).toEqual([1, 1]);
+    const plays = db.prepare('SELECT song_id FROM play_history');
+    expect(plays.all()).toEqual([{ song_id: keep }]);
+    plays.finalize();
+  });
+
+  it('moves markers only to a kept song without markers of its own', () => {
+    const keep = addSong('Walk On', 'Band', 'walk.mp3');
+    const dupe = addSong('Walk On', 'Band', 'walk-copy.mp3');
+    setSongMarkers(db, dupe, [{ name: 'Chorus', position: 30 }]);
+    mergeDuplicateSongs(db, keep, [dupe]);
+    expect(getSongMarkers(db, keep)).toEqual([{ name: 'Chorus', position: 30 }]);
+
+    const other = addSong('Walk On', 'Band', 'walk-again.mp3');
+    setSongMarkers(db, other, [{ name: 'Drop', position: 10 }]);
+    mergeDuplicateSongs(db, keep, [other]);
+    expect(getSongMarkers(db, keep)).toEqual([{ name: 'Chorus', position: 30 }]);
+    const stmt = db.prepare('SELECT COUNT(*) AS count FROM song_markers');
+    expect(stmt.get().count).toBe(1);
+    stmt.finalize();
+  });
+
+  it('does not report files that another song still uses', () => {
+    const keep = addSong('Walk On', 'Band', 'walk.mp3');
+    const dupe = addSong('Walk On', 'Band', 'walk.mp3');
+    expect(mergeDuplicateSongs(db, keep, [dupe]).orphanedFiles).toEqual([]);
+  });
+
+  it('rejects invalid merges without changing anything', () => {
+    const keep = addSong('Walk On', 'Band', 'walk.mp3');
+    const dupe = addSong('Walk On', 'Band', 'walk-copy.mp3');
+    expect(() => mergeDuplicateSongs(db, keep, [])).toThrow(/No duplicate songs/);
+    expect(() => mergeDuplicateSongs(db, keep, [keep])).toThrow(/cannot also be removed/);
+    expect(() => mergeDuplicateSongs(db, keep, [dupe, 999])).toThrow(/Song not found: 999/);
+    expect(() => mergeDuplicateSongs(db, 'abc', [dupe])).toThrow(/Invalid song ID/);
+
+    const stmt = db.prepare('SELECT COUNT(*) AS count FROM mrvoice');
+    expect(stmt.get().count).toBe(2);
+    stmt.finalize();
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * The fuzzy song index runs against an in-memory database.
+ */
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import pkg from 'node-sqlite3-wasm';
+import { getFuzzySongIndex, findFuzzySongIds } from '../../../src/main/modules/fuzzy-song-index.js';
+import { findFuzzyMatches } from '../../../src/main/modules/fuzzy-song-matcher.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+const songs = [
+  { title: 'Crazy In Love', artist: 'Beyoncé', info: '', category: 'MUS' },
+  { title: 'Thunderstruck', artist: 'AC/DC', info: 'Big entrance', category: 'MUS' },
+  { title: "Don't Stop Me Now", artist: 'Queen', info: 'Finale', category: 'END' },
+  { title: 'Stop', artist: 'Spice Girls', info: '', category: 'MUS' },
+  { title: 'Stap Dance', artist: 'Band', info: '', category: 'MUS' }
+];
+
+let db;
+
+function addSong({ title, artist, info, category }) {
+  const stmt = db.prepare('INSERT INTO mrvoice (title, artist, info, category) VALUES (?, ?, ?, ?)');
+  const { lastInsertRowid } = stmt.run([title, artist, info, category]);
+  stmt.finalize();
+  return Number(lastInsertRowid);
+}
+
+function allRows() {
+  const stmt = db.prepare('SELECT * FROM mrvoice');
+  const rows = stmt.all();
+  stmt.finalize();
+  return rows;
+}
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  db.exec('CREATE TABLE mrvoice (id INTEGER PRIMARY KEY, title TEXT, artist TEXT, info TEXT, category TEXT)');
+  songs.forEach(addSong);
+});
+
+afterEach(() => {
+  db.close();
+});
+
+describe('findFuzzySongIds', () => {
+  it('finds what matching every song would', () => {
+    for (const term of ['beyonse', 'thundrstruk acdc', 'stop', 'quen finale', 'dnce', 'nothing like it']) {
+      expect(findFuzzySongIds(db, term)).toEqual(findFuzzyMatches(allRows(), term).map(row => row.id));
+    }
+  });
+
+  it('filters by category and leaves out excluded songs', () => {
+    const ids = findFuzzySongIds(db, 'stop');
+    expect(ids.length).toBeGreaterThan(1);
+    expect(findFuzzySongIds(db, 'stop', { category: 'END' })).toEqual([3]);
+    expect(findFuzzySongIds(db, 'stop', { excludeIds: new Set([ids[0]]) })).toEqual(ids.slice(1));
+    expect(findFuzzySongIds(db, 'stop', { limit: 1 })).toEqual([ids[0]]);
+  });
+});
+
+describe('getFuzzySongIndex', () => {
+  it('is reused until the database changes', () => {
+    const index = getFuzzySongIndex(db);
+    expect(getFuzzySongIndex(db)).toBe(index);
+
+    const id = addSong({ title: 'Anthrax', artist: 'Band', info: '', category: 'MUS' });
+    expect(getFuzzySongIndex(db)).not.toBe(index);
+    expect(findFuzzySongIds(db, 'anthrex')).toEqual([id]);
+
+    const stmt = db.prepare('UPDATE mrvoice SET title = ? WHERE id = ?');
+    stmt.run(['Renamed', id]);
+    stmt.finalize();
+    expect(findFuzzySongIds(db, 'anthrex')).toEqual([]);
+  });
+});
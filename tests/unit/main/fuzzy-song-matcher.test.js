@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeWords,
+  boundedEditDistance,
+  scoreRow,
+  findFuzzyMatches,
+} from '../../../src/main/modules/fuzzy-song-matcher.js';
+
+const songs = [
+  { id: 1, title: 'Crazy In Love', artist: 'Beyoncé', info: '' },
+  { id: 2, title: 'Thunderstruck', artist: 'AC/DC', info: 'Big entrance' },
+  { id: 3, title: "Don't Stop Me Now", artist: 'Queen', info: 'Finale' },
+];
+
+describe('normalizeWords', () => {
+  it('folds accents, case and punctuation', () => {
+    expect(normalizeWords('Beyoncé')).toEqual(['beyonce']);
+    expect(normalizeWords('AC/DC')).toEqual(['ac', 'dc']);
+    expect(normalizeWords("Don't Stop")).toEqual(['dont', 'stop']);
+  });
+});
+
+describe('boundedEditDistance', () => {
+  it('computes small distances and caps large ones', () => {
+    expect(boundedEditDistance('beyonse', 'beyonce', 1)).toBe(1);
+    expect(boundedEditDistance('queen', 'queen', 1)).toBe(0);
+    expect(boundedEditDistance('thunder', 'finale', 2)).toBe(3);
+  });
+});
+
+describe('scoreRow', () => {
+  it('requires every query word to match somewhere', () => {
+    expect(scoreRow(songs[2], ['queen', 'finale'])).toBe(0);
+    expect(scoreRow(songs[2], ['queen', 'beyonce'])).toBeNull();
+  });
+
+  it('does not allow edits on short words', () => {
+    expect(scoreRow(songs[2], ['qen'])).toBeNull();
+  });
+});
+
+describe('findFuzzyMatches', () => {
+  it('tolerates typos', () => {
+    expect(findFuzzyMatches(songs, 'beyonse').map(s => s.id)).toEqual([1]);
+    expect(findFuzzyMatches(songs, 'thundrstruck').map(s => s.id)).toEqual([2]);
+  });
+
+  it('matches accent-insensitively', () => {
+    expect(findFuzzyMatches(songs, 'beyonce').map(s => s.id)).toEqual([1]);
+  });
+
+  it('matches punctuation-insensitively', () => {
+    expect(findFuzzyMatches(songs, 'acdc').map(s => s.id)).toEqual([2]);
+    expect(findFuzzyMatches(songs, 'dont stop').map(s => s.id)).toEqual([3]);
+  });
+
+  it('matches half-typed words with a typo', () => {
+    expect(findFuzzyMatches(songs, 'beyons').map(s => s.id)).toEqual([1]);
+  });
+
+  it('orders closer matches first and honours the limit', () => {
+    const rows = [
+      { id: 1, title: 'Stap', artist: '', info: '' },
+      { id: 2, title: 'Stop', artist: '', info: '' },
+    ];
+    expect(findFuzzyMatches(rows, 'stop').map(s => s.id)).toEqual([2, 1]);
+    expect(findFuzzyMatches(rows, 'stopp', { limit: 1 }).map(s => s.id)).toEqual([2]);
+  });
+
+  it('returns nothing for an empty term', () => {
+    expect(findFuzzyMatches(songs, ' / ')).toEqual([]);
+  });
+});
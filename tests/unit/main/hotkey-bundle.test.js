@@ -0,0 +1,216 @@
+/**
+ * Hotkey bundles are exercised end to end with a real music directory, an
+ * in-memory database and the real archiver and yauzl libraries.
+ */
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import pkg from 'node-sqlite3-wasm';
+
+const fakeApp = { getPath: vi.fn(() => '/fake'), getVersion: vi.fn(() => '4.1.2') };
+
+vi.mock('electron', () => ({
+  default: { app: fakeApp },
+  app: fakeApp,
+}));
+
+const {
+  exportHotkeyBundle,
+  readHotkeyBundle,
+  previewHotkeyBundle,
+  importHotkeyBundle,
+} = await import('../../../src/main/modules/hotkey-bundle.js');
+const { createZipArchive } = await import('../../../src/main/modules/library-transfer-manager.js');
+const { setupSongMarkers, setSongMarkers, getSongMarkers } = await import('../../../src/main/modules/song-markers.js');
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let sourceDb;
+let targetDb;
+let tempDir;
+let sourceMusic;
+let targetMusic;
+let bundlePath;
+
+function createLibrary() {
+  const db = new Database(':memory:');
+  db.exec(`CREATE TABLE mrvoice (
+    id INTEGER PRIMARY KEY, title TEXT, artist TEXT, category TEXT, info TEXT,
+    filename TEXT, time TEXT, modtime INTEGER, volume INTEGER, start_time REAL
+  )`);
+  setupSongMarkers(db);
+  return db;
+}
+
+function addSong(db, musicDir, { title, artist, filename, content, volume = null }) {
+  if (content !== undefined) fs.writeFileSync(path.join(musicDir, filename), content);
+  const stmt = db.prepare('INSERT INTO mrvoice (title, artist, category, filename, time, volume) VALUES (?, ?, ?, ?, ?, ?)');
+  const { lastInsertRowid } = stmt.run([title, artist, 'GAME', filename, '0:30', volume]);
+  stmt.finalize();
+  return Number(lastInsertRowid);
+}
+
+function getSong(db, id) {
+  const stmt = db.prepare('SELECT * FROM mrvoice WHERE id = ?');
+  const row = stmt.get([id]);
+  stmt.finalize();
+  return row;
+}
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  sourceDb = createLibrary();
+  targetDb = createLibrary();
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mxv-bundle-'));
+  sourceMusic = path.join(tempDir, 'source');
+  targetMusic = path.join(tempDir, 'target');
+  fs.mkdirSync(sourceMusic);
+  fs.mkdirSync(targetMusic);
+  bundlePath = path.join(tempDir, 'Walk-ups.mxvhotkeys');
+});
+
+afterEach(() => {
+  sourceDb.close();
+  targetDb.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('exportHotkeyBundle', () => {
+  it('writes the tab, its songs and their music files', async () => {
+    const walkUp = addSong(sourceDb, sourceMusic, { title: 'Walk Up', artist: 'Band', filename: 'walk.mp3', content: 'walk-audio', volume: 80 });
+    setSongMarkers(sourceDb, walkUp, [{ name: 'Drop', position: 12 }]);
+    const missing = addSong(sourceDb, sourceMusic, { title: 'Gone', artist: 'Band', filename: 'gone.mp3' });
+
+    const result = await exportHotkeyBundle(sourceDb, sourceMusic, {
+      tabName: 'Walk-ups',
+      hotkeys: { f1: String(walkUp), f2: String(missing), f3: '999' },
+      appearance: { f1: { label: 'Home run' }, f3: { label: 'Nobody' } }
+    }, bundlePath);
+
+    expect(result).toEqual({ songCount: 2, fileCount: 1, missingFiles: ['gone.mp3'], skippedSongIds: ['999'] });
+    const manifest = await readHotkeyBundle(bundlePath);
+    expect(manifest.tab).toEqual({
+      tabName: 'Walk-ups',
+      hotkeys: { f1: String(walkUp), f2: String(missing) },
+      appearance: { f1: { label: 'Home run' } }
+    });
+    expect(manifest.appVersion).toBe('4.1.2');
+    expect(manifest.songs[0]).toMatchObject({
+      title: 'Walk Up', file: 'audio/1.mp3', size: 10,
+      settings: { volume: 80, start_time: null },
+      markers: [{ name: 'Drop', position: 12 }]
+    });
+    expect(manifest.songs[1]).toMatchObject({ title: 'Gone', file: null, hash: null });
+  });
+
+  it('refuses a tab with no songs in the library and leaves no file behind', async () => {
+    await expect(exportHotkeyBundle(sourceDb, sourceMusic, { hotkeys: { f1: '5' } }, bundlePath))
+      .rejects.toThrow('no songs');
+    expect(fs.existsSync(bundlePath)).toBe(false);
+  });
+});
+
+describe('importHotkeyBundle', () => {
+  let walkUp;
+  let anthem;
+  let organ;
+
+  beforeEach(async () => {
+    walkUp = addSong(sourceDb, sourceMusic, { title: 'Walk Up', artist: 'Band', filename: 'walk.mp3', content: 'walk-audio' });
+    anthem = addSong(sourceDb, sourceMusic, { title: 'Anthem', artist: 'Choir', filename: 'anthem.mp3', content: 'anthem-audio' });
+    organ = addSong(sourceDb, sourceMusic, { title: 'Charge!', artist: 'Organ', filename: 'charge.ogg', content: 'organ-audio', volume: 60 });
+    setSongMarkers(sourceDb, organ, [{ name: 'Hit', position: 3 }]);
+    await exportHotkeyBundle(sourceDb, sourceMusic, {
+      tabName: 'Game',
+      grid: { rows: 2, columns: 2 },
+      hotkeys: { f1: String(walkUp), f2: String(anthem), f4: String(organ) },
+      pads: { f4: { behavior: 'toggle', volume: 50 } }
+    }, bundlePath);
+  });
+
+  it('matches songs by file contents, then title and artist, and adds the rest', async () => {
+    // Same audio under another name, then another recording with the same title
+    addSong(targetDb, targetMusic, { title: 'Other', artist: 'Else', filename: 'x.mp3', content: 'other-audi' });
+    const sameFile = addSong(targetDb, targetMusic, { title: 'Renamed', artist: 'Band', filename: 'renamed.mp3', content: 'walk-audio' });
+    const sameTitle = addSong(targetDb, targetMusic, { title: 'anthem', artist: 'CHOIR', filename: 'a.mp3', content: 'live' });
+
+    const preview = await previewHotkeyBundle(targetDb, targetMusic, bundlePath);
+    expect(preview.tabName).toBe('Game');
+    expect(preview.songs.map(song => song.match)).toEqual([
+      { songId: sameFile, by: 'hash' },
+      { songId: sameTitle, by: 'title-artist' },
+      null
+    ]);
+
+    const result = await importHotkeyBundle(targetDb, targetMusic, bundlePath, { category: 'ORG' });
+    expect(result).toMatchObject({ matched: 2, imported: 1, skipped: [] });
+    const importedId = Number(result.tab.hotkeys.f4);
+    expect(result.tab).toEqual({
+      tabName: 'Game',
+      grid: { rows: 2, columns: 2 },
+      hotkeys: { f1: String(sameFile), f2: String(sameTitle), f4: String(importedId) },
+      pads: { f4: { behavior: 'toggle', volume: 50 } }
+    });
+
+    const row = getSong(targetDb, importedId);
+    expect(row).toMatchObject({ title: 'Charge!', artist: 'Organ', category: 'ORG', volume: 60 });
+    expect(row.filename).toMatch(/^Organ-Charge!-[-\w]+\.ogg$/);
+    expect(fs.readFileSync(path.join(targetMusic, row.filename), 'utf8')).toBe('organ-audio');
+    expect(getSongMarkers(targetDb, importedId)).toEqual([{ name: 'Hit', position: 3 }]);
+  });
+
+  it('keeps accented letters in added songs\' file names', async () => {
+    const song = addSong(sourceDb, sourceMusic, { title: 'Déjà Vu: Live?', artist: 'Beyoncé', filename: 'dv.mp3', content: 'dv-audio' });
+    await exportHotkeyBundle(sourceDb, sourceMusic, { hotkeys: { f1: String(song) } }, bundlePath);
+
+    const result = await importHotkeyBundle(targetDb, targetMusic, bundlePath, { category: 'ORG' });
+    const row = getSong(targetDb, Number(result.tab.hotkeys.f1));
+    expect(row.filename).toMatch(/^Beyoncé-Déjà Vu Live-[-\w]+\.mp3$/);
+    expect(fs.readFileSync(path.join(targetMusic, row.filename), 'utf8')).toBe('dv-audio');
+  });
+
+  it('adds no songs and leaves no copied files when one cannot be added', async () => {
+    targetDb.exec(`CREATE TRIGGER refuse_anthem BEFORE INSERT ON mrvoice WHEN NEW.title = 'Anthem' BEGIN
+      SELECT RAISE(ABORT, 'refused');
+    END`);
+
+    await expect(importHotkeyBundle(targetDb, targetMusic, bundlePath, { category: 'ORG' })).rejects.toThrow('refused');
+    const count = targetDb.prepare('SELECT COUNT(*) AS count FROM mrvoice');
+    expect(count.get().count).toBe(0);
+    count.finalize();
+    expect(fs.readdirSync(targetMusic)).toEqual([]);
+  });
+
+  it('needs a category only when songs have to be added', async () => {
+    await expect(importHotkeyBundle(targetDb, targetMusic, bundlePath, {})).rejects.toThrow('Category is required');
+
+    addSong(targetDb, targetMusic, { title: 'Walk Up', artist: 'Band', filename: 'w.mp3', content: 'w' });
+    addSong(targetDb, targetMusic, { title: 'Anthem', artist: 'Choir', filename: 'a.mp3', content: 'a' });
+    addSong(targetDb, targetMusic, { title: 'Charge', artist: 'Organ', filename: 'c.mp3', content: 'c' });
+    const result = await importHotkeyBundle(targetDb, targetMusic, bundlePath, {});
+    expect(result).toMatchObject({ matched: 3, imported: 0 });
+  });
+});
+
+describe('readHotkeyBundle', () => {
+  async function writeBundle(manifest) {
+    const { archive, finished } = createZipArchive(bundlePath);
+    archive.append(JSON.stringify(manifest), { name: 'bundle.json' });
+    await archive.finalize();
+    await finished;
+  }
+
+  it('rejects bundles from a newer version', async () => {
+    await writeBundle({ version: 99, tab: {}, songs: [] });
+    await expect(readHotkeyBundle(bundlePath)).rejects.toThrow('newer version');
+  });
+
+  it('rejects music file paths outside the bundle audio folder', async () => {
+    await writeBundle({ version: 1, tab: {}, songs: [{ id: '1', file: '../evil.mp3' }] });
+    await expect(readHotkeyBundle(bundlePath)).rejects.toThrow('bad music file');
+  });
+});
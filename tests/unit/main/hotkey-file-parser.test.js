@@ -6,8 +6,9 @@ vi.mock('electron', () => ({
 vi.mock('music-metadata', () => ({ parseFile: vi.fn() }));
 
 let parseHotkeyFileLines;
+let formatHotkeyFileLines;
 beforeAll(async () => {
-  ({ parseHotkeyFileLines } = await import('../../../src/main/modules/file-operations.js'));
+  ({ parseHotkeyFileLines, formatHotkeyFileLines } = await import('../../../src/main/modules/file-operations.js'));
 });
 
 describe('hotkey file parsing', () => {
@@ -38,4 +39,66 @@ describe('hotkey file parsing', () => {
     const result = parseHotkeyFileLines(['f4::not-a-song']);
     expect(result.errors).toEqual(['Line 1: invalid song ID for f4']);
   });
+
+  it('reads pads past F12 from a version 2 file with a grid', () => {
+    const result = parseHotkeyFileLines(['version::2', 'grid::4x8', 'f1::7', 'f32::9', 'tab_name::Longform']);
+    expect(result).toEqual({
+      hotkeys: { f1: '7', f32: '9' },
+      title: 'Longform',
+      grid: { rows: 4, columns: 8 },
+      errors: []
+    });
+  });
+
+  it('rejects pads outside the grid, grids in version 1 files and newer versions', () => {
+    expect(parseHotkeyFileLines(['version::2', 'grid::2x4', 'f9::1']).errors)
+      .toEqual(['Line 3: f9 is outside the 8 pad grid']);
+    expect(parseHotkeyFileLines(['grid::4x8']).errors).toEqual(['A grid needs hotkey file version 2']);
+    expect(parseHotkeyFileLines(['version::4', 'f1::1']).errors[0]).toMatch(/newer version/);
+    expect(parseHotkeyFileLines(['version::2', 'grid::13x1']).errors).toEqual(['Line 2: invalid grid "13x1"']);
+  });
+
+  it('reads pad labels, colors and artwork from a version 3 file', () => {
+    const result = parseHotkeyFileLines([
+      'version::3', 'f1::7', 'f2::8', 'f1.label::Walk on :: intro', 'f1.color::#FF8800', 'f2.artwork::1', 'f2.color::'
+    ]);
+    expect(result.errors).toEqual(['Line 7: invalid color for f2']);
+    expect(result.appearance).toEqual({ f1: { label: 'Walk on :: intro', color: '#ff8800' }, f2: { artwork: true } });
+  });
+
+  it('rejects pad appearance lines before version 3', () => {
+    expect(parseHotkeyFileLines(['version::2', 'grid::2x4', 'f1::7', 'f1.label::Intro']).errors)
+      .toEqual(['Pad labels, colors and artwork need hotkey file version 3']);
+    expect(parseHotkeyFileLines(['f1.label::Intro']).errors).toHaveLength(1);
+  });
+});
+
+describe('hotkey file formatting', () => {
+  it('writes the classic twelve-key list without a version line', () => {
+    const lines = formatHotkeyFileLines({ hotkeys: { f1: '7', f2: 'oops' }, tabName: 'Friday Night' });
+    expect(lines).toHaveLength(13);
+    expect(lines.slice(0, 2)).toEqual(['f1::7', 'f2::']);
+    expect(lines.at(-1)).toBe('tab_name::Friday_Night');
+  });
+
+  it('writes a version and grid for other grids and reads them back', () => {
+    const lines = formatHotkeyFileLines({ hotkeys: { f1: '7', f32: '9' }, tabName: '', grid: { rows: 4, columns: 8 } });
+    expect(lines.slice(0, 2)).toEqual(['version::2', 'grid::4x8']);
+    expect(lines).toHaveLength(34);
+    expect(parseHotkeyFileLines(lines)).toMatchObject({ grid: { rows: 4, columns: 8 }, errors: [] });
+  });
+
+  it('writes version 3 only when a pad with a song has a label, color or artwork', () => {
+    const appearance = { f1: { label: '  Walk   on ', color: '#FF8800' }, f2: { artwork: true }, f3: { label: 'Empty pad' } };
+    const lines = formatHotkeyFileLines({ hotkeys: { f1: '7', f2: '8' }, tabName: 'Show', appearance });
+    expect(lines[0]).toBe('version::3');
+    expect(lines).toContain('f1.label::Walk on');
+    expect(lines).not.toContain('f3.label::Empty pad');
+    expect(parseHotkeyFileLines(lines)).toMatchObject({
+      hotkeys: { f1: '7', f2: '8' },
+      appearance: { f1: { label: 'Walk on', color: '#ff8800' }, f2: { artwork: true } },
+      errors: []
+    });
+    expect(formatHotkeyFileLines({ hotkeys: { f1: '7' }, appearance: { f1: {} } })[0]).toBe('f1::7');
+  });
 });
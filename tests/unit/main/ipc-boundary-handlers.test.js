@@ -7,15 +7,30 @@ const ipcMain = { handle: (channel, handler) => { handlers[channel] = handler; }
 const dialog = { showSaveDialog: vi.fn(), showOpenDialog: vi.fn() };
 const app = { getPath: vi.fn(() => '/documents') };
 const transfer = { exportLibrary: vi.fn(), validateArchive: vi.fn(), importLibrary: vi.fn() };
+const verifier = {
+  verifyLibrary: vi.fn(), relinkSongs: vi.fn(), importOrphanedFiles: vi.fn(), removeMissingSongs: vi.fn()
+};
 
 vi.mock('electron', () => ({ default: { ipcMain, dialog, app }, ipcMain, dialog, app }));
 vi.mock('../../../src/main/modules/library-transfer-manager.js', () => transfer);
+vi.mock('../../../src/main/modules/library-verifier.js', () => verifier);
+const fingerprints = { getSongFingerprints: vi.fn(), findSongRelinks: vi.fn() };
+const profiles = {
+  getAvailableProfiles: vi.fn(), readProfileState: vi.fn(), remapProfileStateSongs: vi.fn(), markSongsMissingInProfiles: vi.fn()
+};
+
+vi.mock('music-metadata', () => ({ parseFile: vi.fn() }));
+vi.mock('../../../src/main/modules/song-fingerprints.js', () => fingerprints);
+vi.mock('../../../src/main/modules/profile-manager.js', () => profiles);
 
 const pathHandlers = await import('../../../src/main/modules/ipc/path-os-handlers.js');
 const utilityHandlers = await import('../../../src/main/modules/ipc/utility-handlers.js');
 const libraryHandlers = await import('../../../src/main/modules/ipc/library-handlers.js');
-const debugLog = { error: vi.fn() };
+const debugLog = { error: vi.fn(), warn: vi.fn() };
 const window = { isDestroyed: vi.fn(() => false), webContents: { send: vi.fn() } };
+const db = {};
+const store = { get: vi.fn(() => '/music') };
+let getDb = () => db;
 
 function invoke(channel, ...args) { return handlers[channel]({}, ...args); }
 
@@ -23,7 +38,9 @@ beforeEach(() => {
   vi.clearAllMocks();
   pathHandlers.register({ debugLog });
   utilityHandlers.register({ debugLog });
-  libraryHandlers.register({ debugLog, getMainWindow: () => window });
+  getDb = () => db;
+  store.get.mockReturnValue('/music');
+  libraryHandlers.register({ debugLog, getMainWindow: () => window, getDb: () => getDb(), getCurrentProfile: () => 'Host', store });
 });
 
 describe('path and utility IPC boundaries', () => {
@@ -72,3 +89,82 @@ describe('library transfer IPC boundaries', () => {
     await expect(invoke(IPC.LIBRARY.EXPORT)).resolves.toEqual({ success: false, error: 'dialog unavailable' });
   });
 });
+
+describe('song relink IPC boundaries', () => {
+  it('looks for relinks with the open profile as the renderer has it', async () => {
+    const openState = { hotkeys: [{ hotkeys: { f1: '3' } }] };
+    profiles.getAvailableProfiles.mockReturnValue([{ name: 'Host' }, { name: 'Stage' }, { name: 'Broken' }]);
+    profiles.readProfileState.mockImplementation(async (name) => {
+      if (name === 'Broken') throw new Error('bad json');
+      return { hotkeys: [] };
+    });
+    fingerprints.findSongRelinks.mockResolvedValue([
+      { profile: 'Host', songId: '3', newSongId: '9' }, { profile: 'Stage', songId: '4', newSongId: '9' }
+    ]);
+
+    await expect(invoke(IPC.LIBRARY.FIND_SONG_RELINKS, openState)).resolves.toEqual({
+      success: true,
+      data: [
+        { profile: 'Host', songId: '3', newSongId: '9', current: true },
+        { profile: 'Stage', songId: '4', newSongId: '9', current: false }
+      ]
+    });
+    expect(fingerprints.findSongRelinks).toHaveBeenCalledWith(db, '/music', [
+      { name: 'Host', state: openState }, { name: 'Stage', state: { hotkeys: [] } }
+    ]);
+    expect(profiles.readProfileState).not.toHaveBeenCalledWith('Host');
+  });
+
+  it('relinks other profiles and leaves the open one to the renderer', async () => {
+    profiles.remapProfileStateSongs.mockResolvedValue({ success: true, changed: true });
+    await expect(invoke(IPC.LIBRARY.RELINK_SONG_REFERENCES, [
+      { profile: 'Host', songId: '3', newSongId: '9' },
+      { profile: 'Stage', songId: '4', newSongId: '9' },
+      { profile: 'Stage', songId: '5', newSongId: 'x' }
+    ])).resolves.toEqual({ success: true, data: { profilesUpdated: ['Stage'] } });
+    expect(profiles.remapProfileStateSongs).toHaveBeenCalledOnce();
+    expect(profiles.remapProfileStateSongs).toHaveBeenCalledWith('Stage', { 4: '9' });
+  });
+});
+
+describe('verify library IPC boundaries', () => {
+  it('passes the database and music directory to the verifier', async () => {
+    verifier.verifyLibrary.mockResolvedValue({ missing: [] });
+    await expect(invoke(IPC.LIBRARY.VERIFY)).resolves.toEqual({ success: true, data: { missing: [] } });
+    expect(verifier.verifyLibrary).toHaveBeenCalledWith(db, '/music');
+
+    verifier.relinkSongs.mockReturnValue(2);
+    const links = [{ songId: 1, filename: 'a.mp3' }];
+    await expect(invoke(IPC.LIBRARY.RELINK_SONGS, links)).resolves.toEqual({ success: true, data: { changes: 2 } });
+    expect(verifier.relinkSongs).toHaveBeenCalledWith(db, '/music', links);
+
+    verifier.importOrphanedFiles.mockResolvedValue([7]);
+    await expect(invoke(IPC.LIBRARY.IMPORT_ORPHANS, ['b.mp3'], 'GAME')).resolves.toEqual({ success: true, data: { ids: [7] } });
+    expect(verifier.importOrphanedFiles).toHaveBeenCalledWith(db, '/music', ['b.mp3'], expect.objectContaining({ category: 'GAME' }));
+    expect(window.webContents.send).toHaveBeenCalledWith('library:songs-added', ['7']);
+
+    const gone = { hash: null, size: null, title: 'Gone', artist: 'Band' };
+    fingerprints.getSongFingerprints.mockResolvedValue({ 3: gone, 4: gone });
+    profiles.markSongsMissingInProfiles.mockResolvedValue(['Stage']);
+    verifier.removeMissingSongs.mockReturnValue([3]);
+    await expect(invoke(IPC.LIBRARY.REMOVE_MISSING_SONGS, [3, 4])).resolves.toEqual({
+      success: true, data: { removedIds: [3], fingerprints: { 3: gone }, profilesUpdated: ['Stage'] }
+    });
+    expect(profiles.markSongsMissingInProfiles).toHaveBeenCalledWith({ 3: gone }, { except: 'Host' });
+  });
+
+  it('refuses to run without a database or music directory', async () => {
+    store.get.mockReturnValue(undefined);
+    await expect(invoke(IPC.LIBRARY.VERIFY)).resolves.toEqual({ success: false, error: 'Music directory is not configured' });
+    getDb = () => null;
+    await expect(invoke(IPC.LIBRARY.RELINK_SONGS, [])).resolves.toEqual({ success: false, error: 'Database not initialized' });
+    expect(verifier.verifyLibrary).not.toHaveBeenCalled();
+    expect(debugLog.error).toHaveBeenCalledTimes(2);
+  });
+
+  it('wraps verifier errors', async () => {
+    verifier.relinkSongs.mockImplementation(() => { throw new Error('Audio file not found: x.mp3'); });
+    await expect(invoke(IPC.LIBRARY.RELINK_SONGS, [{ songId: 1, filename: 'x.mp3' }]))
+      .resolves.toEqual({ success: false, error: 'Audio file not found: x.mp3' });
+  });
+});
@@ -42,7 +42,12 @@ vi.mock('../../../src/main/modules/file-operations.js', () => ({
 }));
 
 // Stub profile modules
-vi.mock('../../../src/main/modules/profile-manager.js', () => ({}));
+const fakeProfileManager = vi.hoisted(() => ({
+  getAvailableProfiles: vi.fn(() => []),
+  remapProfileStateSongs: vi.fn(async () => ({ success: true, changed: true })),
+  markSongsMissingInProfiles: vi.fn(async () => []),
+}));
+vi.mock('../../../src/main/modules/profile-manager.js', () => fakeProfileManager);
 vi.mock('../../../src/main/modules/profile-backup-manager.js', () => ({}));
 
 // Stub howler (not needed for db tests)
@@ -80,9 +85,28 @@ beforeAll(async () => {
       md5 TEXT,
       volume INTEGER DEFAULT 100,
       start_time REAL DEFAULT NULL,
-      end_time REAL DEFAULT NULL
+      end_time REAL DEFAULT NULL,
+      loudness_lufs REAL DEFAULT NULL,
+      true_peak_dbtp REAL DEFAULT NULL,
+      loudness_analyzed_at INTEGER DEFAULT NULL,
+      loop_start REAL DEFAULT NULL,
+      loop_end REAL DEFAULT NULL,
+      sfx INTEGER NOT NULL DEFAULT 0,
+      fade_in_seconds REAL DEFAULT NULL,
+      fade_out_seconds REAL DEFAULT NULL,
+      hard_stop INTEGER NOT NULL DEFAULT 0,
+      playback_rate REAL NOT NULL DEFAULT 1,
+      preserve_pitch INTEGER NOT NULL DEFAULT 1,
+      pitch_semitones INTEGER NOT NULL DEFAULT 0
     );
   `);
+  const { setupPlayHistory, setupPlayHistorySongColumns } = await import('../../../src/main/modules/play-history.js');
+  setupPlayHistory(db);
+  setupPlayHistorySongColumns(db);
+  const { setupSongTags } = await import('../../../src/main/modules/song-tags.js');
+  setupSongTags(db);
+  const { setupSongMarkers } = await import('../../../src/main/modules/song-markers.js');
+  setupSongMarkers(db);
 
   // Import & initialize — this populates `handlers` via the fakeIpcMain stub
   const { initializeIpcHandlers } = await import(
@@ -92,6 +116,7 @@ beforeAll(async () => {
   initializeIpcHandlers({
     mainWindow: { webContents: { send: vi.fn() } },
     getDb: () => db,
+    getCurrentProfile: () => 'Stage Manager',
     store: { get: vi.fn(), set: vi.fn(), has: vi.fn(), delete: vi.fn(), clear: vi.fn() },
     audioInstances: new Map(),
     autoUpdater: null,
@@ -199,24 +224,58 @@ describe('add-song', () => {
     stmt.finalize();
     expect(row.info).toBe('');
   });
+
+  it('stores the sound effect flag as 0 or 1', async () => {
+    await invoke('add-song', { title: 'Airhorn', artist: 'FX', category: 'GAME', filename: 'airhorn.mp3', sfx: true });
+    await invoke('add-song', { title: 'Bed', artist: 'FX', category: 'GAME', filename: 'bed.mp3' });
+    const stmt = db.prepare('SELECT title, sfx FROM mrvoice WHERE title IN (?, ?) ORDER BY title');
+    const rows = stmt.all(['Airhorn', 'Bed']);
+    stmt.finalize();
+    expect(rows).toEqual([{ title: 'Airhorn', sfx: 1 }, { title: 'Bed', sfx: 0 }]);
+  });
+
+  it('stores per-song fade times and the hard stop flag', async () => {
+    await invoke('add-song', {
+      title: 'Finale', artist: 'Band', category: 'GAME', filename: 'finale.mp3',
+      fade_in_seconds: '1.25', fade_out_seconds: '', hard_stop: true
+    });
+    const stmt = db.prepare('SELECT fade_in_seconds, fade_out_seconds, hard_stop FROM mrvoice WHERE title = ?');
+    expect(stmt.get(['Finale'])).toEqual({ fade_in_seconds: 1.3, fade_out_seconds: null, hard_stop: 1 });
+    stmt.finalize();
+  });
+
+  it('adds a song at normal speed unless told otherwise', async () => {
+    await invoke('add-song', { title: 'Chase', artist: 'Band', category: 'GAME', filename: 'chase.mp3', playback_rate: 1.5 });
+    await invoke('add-song', { title: 'Plain', artist: 'Band', category: 'GAME', filename: 'plain.mp3' });
+    const stmt = db.prepare('SELECT playback_rate, preserve_pitch, pitch_semitones FROM mrvoice WHERE title = ?');
+    expect(stmt.get(['Chase'])).toEqual({ playback_rate: 1.5, preserve_pitch: 1, pitch_semitones: 0 });
+    expect(stmt.get(['Plain'])).toEqual({ playback_rate: 1, preserve_pitch: 1, pitch_semitones: 0 });
+    stmt.finalize();
+  });
 });
 
 describe('delete-song', () => {
   it('deletes a song by id', async () => {
     // Get a song id first
-    const stmt = db.prepare('SELECT id FROM mrvoice LIMIT 1');
+    const stmt = db.prepare('SELECT id, title, artist FROM mrvoice LIMIT 1');
     const row = stmt.get();
     stmt.finalize();
 
     const res = await invoke('delete-song', row.id);
     expect(res.success).toBe(true);
     expect(res.data.changes).toBe(1);
+    // Hotkeys and holding tanks in other profiles keep the song as missing
+    expect(res.data.fingerprint).toEqual({ hash: null, size: null, title: row.title, artist: row.artist });
+    expect(fakeProfileManager.markSongsMissingInProfiles).toHaveBeenCalledWith(
+      { [row.id]: res.data.fingerprint }, { except: 'Stage Manager' }
+    );
   });
 
   it('returns changes=0 for non-existent id', async () => {
     const res = await invoke('delete-song', 99999);
     expect(res.success).toBe(true);
     expect(res.data.changes).toBe(0);
+    expect(fakeProfileManager.markSongsMissingInProfiles).not.toHaveBeenCalled();
   });
 
   it('returns error when id is missing', async () => {
@@ -257,6 +316,62 @@ describe('update-song', () => {
     expect(row).toEqual({ title: 'T', artist: 'A', info: 'I' });
   });
 
+  it('sets and removes a loop region, returned with the song', async () => {
+    const stmt = db.prepare('SELECT id FROM mrvoice LIMIT 1');
+    const { id } = stmt.get();
+    stmt.finalize();
+
+    expect((await invoke('update-song', { id, loop_start: 8.004, loop_end: 40 })).success).toBe(true);
+    const song = await invoke('get-song-by-id', id);
+    expect(song.data[0]).toMatchObject({ loop_start: 8, loop_end: 40 });
+
+    const half = await invoke('update-song', { id, loop_start: 8 });
+    expect(half).toEqual({ success: false, error: 'A loop region needs a start and an end' });
+
+    await invoke('update-song', { id, loop_start: null, loop_end: null });
+    expect((await invoke('get-song-by-id', id)).data[0]).toMatchObject({ loop_start: null, loop_end: null });
+  });
+
+  it('sets and clears the sound effect flag', async () => {
+    const stmt = db.prepare('SELECT id FROM mrvoice LIMIT 1');
+    const { id } = stmt.get();
+    stmt.finalize();
+
+    await invoke('update-song', { id, sfx: true });
+    expect((await invoke('get-song-by-id', id)).data[0].sfx).toBe(1);
+    await invoke('update-song', { id, sfx: false });
+    expect((await invoke('get-song-by-id', id)).data[0].sfx).toBe(0);
+  });
+
+  it('sets and clears per-song fades and rejects bad fade times', async () => {
+    const stmt = db.prepare('SELECT id FROM mrvoice LIMIT 1');
+    const { id } = stmt.get();
+    stmt.finalize();
+
+    await invoke('update-song', { id, fade_in_seconds: 2, fade_out_seconds: 0, hard_stop: true });
+    expect((await invoke('get-song-by-id', id)).data[0]).toMatchObject({ fade_in_seconds: 2, fade_out_seconds: 0, hard_stop: 1 });
+    await invoke('update-song', { id, fade_in_seconds: null, hard_stop: false });
+    expect((await invoke('get-song-by-id', id)).data[0]).toMatchObject({ fade_in_seconds: null, fade_out_seconds: 0, hard_stop: 0 });
+
+    const res = await invoke('update-song', { id, fade_out_seconds: -3 });
+    expect(res.success).toBe(false);
+    expect(res.error).toBe('Invalid fade out time: -3');
+  });
+
+  it('sets a song\'s tempo and pitch and rejects ones out of range', async () => {
+    const stmt = db.prepare('SELECT id FROM mrvoice LIMIT 1');
+    const { id } = stmt.get();
+    stmt.finalize();
+
+    await invoke('update-song', { id, playback_rate: '1.254', preserve_pitch: false, pitch_semitones: -3 });
+    expect((await invoke('get-song-by-id', id)).data[0]).toMatchObject({ playback_rate: 1.25, preserve_pitch: 0, pitch_semitones: -3 });
+
+    const res = await invoke('update-song', { id, playback_rate: 3 });
+    expect(res.success).toBe(false);
+    expect(res.error).toBe('Invalid playback rate: 3');
+    expect((await invoke('update-song', { id, pitch_semitones: 0.5 })).error).toBe('Invalid pitch shift: 0.5');
+  });
+
   it('returns error when no fields are provided', async () => {
     const res = await invoke('update-song', { id: 1 });
     expect(res.success).toBe(false);
@@ -367,6 +482,82 @@ describe('search-songs', () => {
     });
   });
 
+  describe('structured queries', () => {
+    it('combines free text with field filters', async () => {
+      const res = await invoke('search-songs', {
+        searchTerm: 'time',
+        advancedFilters: { artist: 'anthrax' },
+      });
+      expect(res.data.map(s => s.title)).toEqual(['Got The Time']);
+    });
+
+    it('excludes songs by field and by any field', async () => {
+      const byField = await invoke('search-songs', {
+        advancedFilters: { exclude: [{ field: 'info', value: 'countdown' }] },
+      });
+      expect(byField.data.map(s => s.title).sort()).toEqual(['Eat It', 'We Are Family']);
+
+      const anyField = await invoke('search-songs', {
+        advancedFilters: { exclude: [{ field: null, value: 'weird' }, { field: 'category', value: 'END' }] },
+      });
+      expect(anyField.data.map(s => s.title)).toEqual(['Got The Time']);
+    });
+
+    it('requires quoted phrases to appear verbatim', async () => {
+      const res = await invoke('search-songs', { advancedFilters: { phrases: ['are family'] } });
+      expect(res.data.map(s => s.title)).toEqual(['We Are Family']);
+      const none = await invoke('search-songs', { advancedFilters: { phrases: ['family are'] } });
+      expect(none.data).toHaveLength(0);
+    });
+
+    it('filters by duration range', async () => {
+      const res = await invoke('search-songs', { advancedFilters: { duration: { min: null, max: 6 } } });
+      expect(res.data.map(s => s.title).sort()).toEqual(['Eat It', 'Got The Time']);
+      const longer = await invoke('search-songs', { advancedFilters: { duration: { min: 7, max: null } } });
+      expect(longer.data.map(s => s.title)).toEqual(['We Are Family']);
+    });
+
+    it('does not run the fuzzy fallback for structured queries', async () => {
+      const res = await invoke('search-songs', { searchTerm: 'Anthrex', advancedFilters: { phrases: [] } });
+      expect(res.data).toHaveLength(0);
+    });
+  });
+
+  describe('fuzzy fallback', () => {
+    it('appends typo-tolerant matches marked as fuzzy', async () => {
+      const res = await invoke('search-songs', { searchTerm: 'Anthrex' });
+      expect(res.success).toBe(true);
+      expect(res.data).toHaveLength(1);
+      expect(res.data[0].title).toBe('Got The Time');
+      expect(res.data[0].fuzzy).toBe(true);
+    });
+
+    it('does not mark exact matches or repeat them', async () => {
+      const res = await invoke('search-songs', { searchTerm: 'Anthrax' });
+      expect(res.data).toHaveLength(1);
+      expect(res.data[0].fuzzy).toBeUndefined();
+    });
+
+    it('respects the category filter', async () => {
+      const res = await invoke('search-songs', { category: 'END', searchTerm: 'Anthrex' });
+      expect(res.data).toHaveLength(0);
+    });
+
+    it('skips the fuzzy pass when enough exact results are found', async () => {
+      seedSongs(Array.from({ length: 6 }, (_, i) => ({
+        title: `Stop ${i}`, artist: 'Band', category: 'GAME', info: '', filename: `s${i}.mp3`, time: '0:05', modtime: 0,
+      })).concat([{ title: 'Stap', artist: 'Other', category: 'GAME', info: '', filename: 'x.mp3', time: '0:05', modtime: 0 }]));
+      const res = await invoke('search-songs', { searchTerm: 'stop' });
+      expect(res.data).toHaveLength(6);
+      expect(res.data.some(s => s.fuzzy)).toBe(false);
+    });
+
+    it('can be disabled by the caller', async () => {
+      const res = await invoke('search-songs', { searchTerm: 'Anthrex', fuzzy: false });
+      expect(res.data).toHaveLength(0);
+    });
+  });
+
   it('returns error for invalid search params', async () => {
     const res = await invoke('search-songs', null);
     expect(res.success).toBe(false);
@@ -495,3 +686,414 @@ describe('find-category-codes-like', () => {
     expect(res.error).toMatch(/required/i);
   });
 });
+
+describe('search-songs with full-text index', () => {
+  beforeAll(async () => {
+    const { setupSearchIndex } = await import('../../../src/main/modules/song-search-index.js');
+    setupSearchIndex(db);
+  });
+
+  afterAll(() => {
+    db.exec(`
+      DROP TRIGGER IF EXISTS mrvoice_fts_ai;
+      DROP TRIGGER IF EXISTS mrvoice_fts_ad;
+      DROP TRIGGER IF EXISTS mrvoice_fts_au;
+      DROP TABLE IF EXISTS mrvoice_fts;
+    `);
+  });
+
+  it('matches word prefixes', async () => {
+    const res = await invoke('search-songs', { searchTerm: 'anth' });
+    expect(res.success).toBe(true);
+    expect(res.data.map(s => s.title)).toEqual(['Got The Time']);
+  });
+
+  it('requires every word to match', async () => {
+    const res = await invoke('search-songs', { searchTerm: 'weird time' });
+    expect(res.success).toBe(true);
+    expect(res.data).toHaveLength(0);
+
+    const both = await invoke('search-songs', { searchTerm: 'got time' });
+    expect(both.data.map(s => s.title)).toEqual(['Got The Time']);
+  });
+
+  it('ranks title matches above info matches', async () => {
+    seedSongs([
+      { title: 'Background Bed', artist: 'Library', category: 'GAME', info: 'family friendly', filename: 'a.mp3', time: '1:00', modtime: 0 },
+      { title: 'We Are Family', artist: 'Sister Sledge', category: 'END', info: '', filename: 'b.mp3', time: '1:00', modtime: 0 },
+    ]);
+    const res = await invoke('search-songs', { searchTerm: 'family' });
+    expect(res.success).toBe(true);
+    expect(res.data.map(s => s.title)).toEqual(['We Are Family', 'Background Bed']);
+  });
+
+  it('combines the ranked match with a category filter', async () => {
+    const res = await invoke('search-songs', { category: 'GROAN', searchTerm: 'eat' });
+    expect(res.success).toBe(true);
+    expect(res.data).toHaveLength(1);
+    expect(res.data[0].artist).toBe('Weird Al');
+  });
+
+  it('falls back to substring matching for terms without words', async () => {
+    seedSongs([
+      { title: '???', artist: 'Mystery', category: 'GAME', info: '', filename: 'q.mp3', time: '0:05', modtime: 0 },
+    ]);
+    const res = await invoke('search-songs', { searchTerm: '??' });
+    expect(res.success).toBe(true);
+    expect(res.data).toHaveLength(1);
+  });
+
+  it('sees songs added and edited through the handlers', async () => {
+    await invoke('add-song', { title: 'Bohemian Rhapsody', artist: 'Queen', category: 'GAME', filename: 'q.mp3' });
+    const added = await invoke('search-songs', { searchTerm: 'bohem' });
+    expect(added.data).toHaveLength(1);
+
+    await invoke('update-song', { id: added.data[0].id, title: 'Radio Gaga' });
+    expect((await invoke('search-songs', { searchTerm: 'bohem' })).data).toHaveLength(0);
+    expect((await invoke('search-songs', { searchTerm: 'gaga' })).data).toHaveLength(1);
+  });
+
+  it('requires both smart category words and typed words to match', async () => {
+    const { setupSmartCategories } = await import('../../../src/main/modules/smart-categories.js');
+    setupSmartCategories(db);
+    db.exec('DELETE FROM smart_categories');
+    const added = await invoke('add-smart-category', {
+      description: 'Weird', query: 'weird', criteria: { searchTerm: 'weird', advancedFilters: null },
+    });
+    const res = await invoke('search-songs', { category: added.data.code, searchTerm: 'eat' });
+    expect(res.data.map(s => s.title)).toEqual(['Eat It']);
+    const none = await invoke('search-songs', { category: added.data.code, searchTerm: 'time' });
+    expect(none.data).toHaveLength(0);
+  });
+});
+
+describe('smart categories', () => {
+  beforeAll(async () => {
+    const { setupSmartCategories } = await import('../../../src/main/modules/smart-categories.js');
+    setupSmartCategories(db);
+  });
+
+  beforeEach(() => {
+    db.exec('DELETE FROM smart_categories');
+  });
+
+  const shortRecent = {
+    description: 'Short and recent',
+    query: 'dur:<=0:06 since:30d',
+    criteria: { searchTerm: null, advancedFilters: { since: '30', duration: { min: null, max: 6 } } },
+  };
+
+  it('adds, lists, updates and deletes smart categories', async () => {
+    const added = await invoke('add-smart-category', shortRecent);
+    expect(added.success).toBe(true);
+    expect(added.data.code).toMatch(/^smart:\d+$/);
+
+    const listed = await invoke('get-smart-categories');
+    expect(listed.data).toEqual([{ ...shortRecent, code: added.data.code }]);
+
+    const updated = await invoke('update-smart-category', added.data.code, { ...shortRecent, description: 'Quick hits' });
+    expect(updated.data.changes).toBe(1);
+    expect((await invoke('get-smart-categories')).data[0].description).toBe('Quick hits');
+
+    const deleted = await invoke('delete-smart-category', added.data.code);
+    expect(deleted.data.changes).toBe(1);
+    expect((await invoke('get-smart-categories')).data).toEqual([]);
+  });
+
+  it('rejects incomplete definitions and duplicate names', async () => {
+    expect((await invoke('add-smart-category', { ...shortRecent, description: ' ' })).success).toBe(false);
+    expect((await invoke('add-smart-category', { ...shortRecent, criteria: null })).success).toBe(false);
+    expect((await invoke('add-smart-category', {
+      ...shortRecent, criteria: { category: 'smart:1' },
+    })).success).toBe(false);
+
+    await invoke('add-smart-category', shortRecent);
+    const duplicate = await invoke('add-smart-category', shortRecent);
+    expect(duplicate.success).toBe(false);
+    expect(duplicate.error).toMatch(/UNIQUE/i);
+  });
+
+  it('evaluates the stored criteria when the smart category is searched', async () => {
+    const { data: smart } = await invoke('add-smart-category', shortRecent);
+    const res = await invoke('search-songs', { category: smart.code });
+    expect(res.success).toBe(true);
+    expect(res.data.map(s => s.title).sort()).toEqual(['Eat It', 'Got The Time']);
+  });
+
+  it('combines the stored criteria with the live search', async () => {
+    const { data: smart } = await invoke('add-smart-category', {
+      ...shortRecent,
+      criteria: { ...shortRecent.criteria, category: 'GAME' },
+    });
+    const res = await invoke('search-songs', { category: smart.code });
+    expect(res.data.map(s => s.title)).toEqual(['Got The Time']);
+
+    const typed = await invoke('search-songs', { category: smart.code, searchTerm: 'weird' });
+    expect(typed.data).toHaveLength(0);
+
+    const filtered = await invoke('search-songs', {
+      category: smart.code,
+      advancedFilters: { duration: { min: 7, max: null } },
+    });
+    expect(filtered.data).toHaveLength(0);
+  });
+
+  it('fails searches for smart categories that no longer exist', async () => {
+    const res = await invoke('search-songs', { category: 'smart:999' });
+    expect(res.success).toBe(false);
+    expect(res.error).toMatch(/not found/);
+  });
+});
+
+describe('play history', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM play_history');
+  });
+
+  async function songId(title) {
+    const res = await invoke('search-songs', { searchTerm: title });
+    return res.data[0].id;
+  }
+
+  it('records plays against the current profile', async () => {
+    const id = await songId('Eat It');
+    const res = await invoke('record-play', { songId: id, source: 'hotkey', secondsPlayed: 4.2 });
+    expect(res.success).toBe(true);
+
+    const stmt = db.prepare('SELECT song_id, profile, source, seconds_played FROM play_history');
+    expect(stmt.all()).toEqual([{ song_id: id, profile: 'Stage Manager', source: 'hotkey', seconds_played: 4.2 }]);
+    stmt.finalize();
+  });
+
+  it('rejects plays with an unknown source', async () => {
+    const res = await invoke('record-play', { songId: 1, source: 'radio', secondsPlayed: 1 });
+    expect(res.success).toBe(false);
+    expect(res.error).toMatch(/Invalid play source/);
+  });
+
+  it('adds play counts to search results', async () => {
+    const id = await songId('Eat It');
+    await invoke('record-play', { songId: id, source: 'search', secondsPlayed: 6, playedAt: 1700000000 });
+    await invoke('record-play', { songId: id, source: 'autoplay', secondsPlayed: 6, playedAt: 1700000100 });
+
+    const res = await invoke('search-songs', {});
+    const counts = Object.fromEntries(res.data.map(row => [row.title, [row.play_count, row.last_played]]));
+    expect(counts).toEqual({
+      'Eat It': [2, 1700000100],
+      'Got The Time': [0, null],
+      'We Are Family': [0, null],
+    });
+  });
+
+  it('reports most, never and recently played songs', async () => {
+    await invoke('record-play', { songId: await songId('Eat It'), source: 'hotkey', secondsPlayed: 6, playedAt: 1000 });
+    await invoke('record-play', { songId: await songId('Eat It'), source: 'hotkey', secondsPlayed: 6, playedAt: 2000 });
+    await invoke('record-play', { songId: await songId('Got The Time'), source: 'hotkey', secondsPlayed: 6, playedAt: 3000 });
+
+    const most = await invoke('get-play-statistics', { view: 'most' });
+    expect(most.data.map(row => [row.title, row.play_count])).toEqual([['Eat It', 2], ['Got The Time', 1]]);
+
+    const recent = await invoke('get-play-statistics', { view: 'recent' });
+    expect(recent.data.map(row => row.title)).toEqual(['Got The Time', 'Eat It']);
+
+    const never = await invoke('get-play-statistics', { view: 'never' });
+    expect(never.data.map(row => row.title)).toEqual(['We Are Family']);
+  });
+
+  it('limits statistics to the current profile on request', async () => {
+    db.exec(`INSERT INTO play_history (song_id, played_at, profile, source) SELECT id, 1000, 'Someone Else', 'hotkey' FROM mrvoice WHERE title = 'Eat It'`);
+    expect((await invoke('get-play-statistics', { view: 'most' })).data).toHaveLength(1);
+    expect((await invoke('get-play-statistics', { view: 'most', currentProfileOnly: true })).data).toEqual([]);
+  });
+});
+
+describe('song tags', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM song_tags; DELETE FROM tags');
+  });
+
+  async function songId(title) {
+    const res = await invoke('search-songs', { searchTerm: title });
+    return res.data[0].id;
+  }
+
+  it('sets a song\'s tags and returns them with the song', async () => {
+    const id = await songId('We Are Family');
+    const res = await invoke('set-song-tags', id, ['Love Song', ' blackout ', 'love song']);
+    expect(res).toEqual({ success: true, data: ['blackout', 'Love Song'] });
+
+    const song = await invoke('get-song-by-id', id);
+    expect(song.data[0].tags).toEqual(['blackout', 'Love Song']);
+
+    const search = await invoke('search-songs', { searchTerm: 'family' });
+    expect(search.data[0].tags).toEqual(['blackout', 'Love Song']);
+  });
+
+  it('adds tags to several songs and lists them with song counts', async () => {
+    const ids = [await songId('Eat It'), await songId('Got The Time')];
+    const res = await invoke('add-song-tags', ids, 'Blackout');
+    expect(res.data.changes).toBe(2);
+    expect((await invoke('add-song-tags', ids, 'blackout')).data.changes).toBe(0);
+
+    const tags = await invoke('get-tags');
+    expect(tags.data.map(tag => [tag.name, tag.song_count])).toEqual([['Blackout', 2]]);
+  });
+
+  it('filters searches by tag and by excluded tag', async () => {
+    await invoke('add-song-tags', [await songId('Eat It'), await songId('We Are Family')], ['Blackout']);
+    await invoke('set-song-tags', await songId('We Are Family'), ['Blackout', 'Love Song']);
+
+    const tagged = await invoke('search-songs', { advancedFilters: { tags: ['blackout'] } });
+    expect(tagged.data.map(s => s.title).sort()).toEqual(['Eat It', 'We Are Family']);
+
+    const both = await invoke('search-songs', { advancedFilters: { tags: ['Blackout', 'love song'] } });
+    expect(both.data.map(s => s.title)).toEqual(['We Are Family']);
+
+    const excluded = await invoke('search-songs', { advancedFilters: { exclude: [{ field: 'tag', value: 'love song' }] } });
+    expect(excluded.data.map(s => s.title).sort()).toEqual(['Eat It', 'Got The Time']);
+  });
+
+  it('drops the tags of deleted songs and tags no song uses', async () => {
+    const id = await songId('Eat It');
+    await invoke('set-song-tags', id, ['Groaner']);
+    await invoke('delete-song', id);
+    expect((await invoke('get-tags')).data).toEqual([]);
+  });
+
+  it('rejects invalid song IDs', async () => {
+    const res = await invoke('set-song-tags', 'abc', ['Blackout']);
+    expect(res.success).toBe(false);
+    expect(res.error).toMatch(/Invalid song ID/);
+  });
+});
+
+describe('song markers', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM song_markers');
+  });
+
+  async function songId(title) {
+    const res = await invoke('search-songs', { searchTerm: title });
+    return res.data[0].id;
+  }
+
+  it('sets a song\'s markers and returns them with the song', async () => {
+    const id = await songId('We Are Family');
+    const res = await invoke('set-song-markers', id, [{ name: 'Outro', position: 6.5 }, { name: ' Chorus ', position: 2 }]);
+    expect(res).toEqual({ success: true, data: [{ name: 'Chorus', position: 2 }, { name: 'Outro', position: 6.5 }] });
+
+    const song = await invoke('get-song-by-id', id);
+    expect(song.data[0].markers).toEqual([{ name: 'Chorus', position: 2 }, { name: 'Outro', position: 6.5 }]);
+  });
+
+  it('drops the markers of deleted songs', async () => {
+    const id = await songId('Got The Time');
+    await invoke('set-song-markers', id, [{ name: 'Drop', position: 30 }]);
+    await invoke('delete-song', id);
+    const stmt = db.prepare('SELECT COUNT(*) AS count FROM song_markers');
+    expect(stmt.get().count).toBe(0);
+    stmt.finalize();
+  });
+
+  it('rejects repeated names and unknown songs', async () => {
+    const id = await songId('We Are Family');
+    const repeated = await invoke('set-song-markers', id, [{ name: 'Drop', position: 1 }, { name: 'drop', position: 2 }]);
+    expect(repeated).toEqual({ success: false, error: 'There is already a marker named drop' });
+    expect((await invoke('set-song-markers', 9999, [])).error).toBe('Song not found: 9999');
+  });
+});
+
+describe('duplicate songs', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM play_history; DELETE FROM song_tags; DELETE FROM tags');
+    seedSongs([
+      { title: 'Eat It', artist: 'Weird Al', category: 'GROAN', info: '', filename: 'eat-it.mp3', time: '3:19', modtime: 1 },
+      { title: 'Eat It!', artist: 'weird al', category: 'GROAN', info: '', filename: 'eat-it-2.mp3', time: '3:19', modtime: 1 },
+      { title: 'We Are Family', artist: 'Sister Sledge', category: 'END', info: '', filename: 'family.mp3', time: '0:07', modtime: 1 },
+    ]);
+  });
+
+  it('finds duplicate groups with play counts and tags', async () => {
+    const res = await invoke('find-duplicate-songs');
+    expect(res.success).toBe(true);
+    expect(res.data).toHaveLength(1);
+    expect(res.data[0].reasons).toEqual(['title-artist']);
+    expect(res.data[0].songs.map(song => [song.title, song.play_count, song.tags])).toEqual([
+      ['Eat It', 0, []],
+      ['Eat It!', 0, []],
+    ]);
+  });
+
+  it('merges a group and repoints the other profiles\' saved state', async () => {
+    fakeProfileManager.getAvailableProfiles.mockReturnValue([{ name: 'Stage Manager' }, { name: 'Host' }]);
+    const [keep, dupe] = (await invoke('find-duplicate-songs')).data[0].songs.map(song => song.id);
+
+    const res = await invoke('merge-duplicate-songs', keep, [dupe]);
+    expect(res).toEqual({
+      success: true,
+      data: { keptId: keep, removedIds: [dupe], orphanedFiles: ['eat-it-2.mp3'], profilesUpdated: ['Host'] },
+    });
+    expect(fakeProfileManager.remapProfileStateSongs).toHaveBeenCalledOnce();
+    expect(fakeProfileManager.remapProfileStateSongs).toHaveBeenCalledWith('Host', { [dupe]: String(keep) });
+    expect((await invoke('get-song-by-id', dupe)).data).toEqual([]);
+  });
+
+  it('still merges when a profile state cannot be rewritten', async () => {
+    fakeProfileManager.getAvailableProfiles.mockReturnValue([{ name: 'Host' }]);
+    fakeProfileManager.remapProfileStateSongs.mockRejectedValueOnce(new Error('EACCES'));
+    const [keep, dupe] = (await invoke('find-duplicate-songs')).data[0].songs.map(song => song.id);
+
+    const res = await invoke('merge-duplicate-songs', keep, [dupe]);
+    expect(res.success).toBe(true);
+    expect(res.data.profilesUpdated).toEqual([]);
+    expect(mockDebugLog.warn).toHaveBeenCalled();
+  });
+
+  it('returns an error for an invalid merge', async () => {
+    const res = await invoke('merge-duplicate-songs', 1, []);
+    expect(res.success).toBe(false);
+    expect(res.error).toMatch(/No duplicate songs/);
+  });
+});
+
+describe('song loudness', () => {
+  function songIdFor(filename) {
+    const stmt = db.prepare('SELECT id FROM mrvoice WHERE filename = ?');
+    const { id } = stmt.get([filename]);
+    stmt.finalize();
+    return id;
+  }
+
+  it('saves a measurement and leaves the song out of the next pass', async () => {
+    const id = songIdFor('anthrax.mp3');
+    const saved = await invoke('save-song-loudness', id, { integratedLufs: -9.876, truePeakDbtp: 0.4 });
+    expect(saved.success).toBe(true);
+    expect(saved.data).toMatchObject({ loudness_lufs: -9.88, true_peak_dbtp: 0.4 });
+
+    const pending = await invoke('get-songs-for-loudness');
+    expect(pending.success).toBe(true);
+    expect(pending.data.map(song => song.filename)).toEqual(['weird-al.mp3', 'family.mp3']);
+    const all = await invoke('get-songs-for-loudness', { songIds: [id], includeAnalyzed: true });
+    expect(all.data).toEqual([{ id, title: 'Got The Time', filename: 'anthrax.mp3' }]);
+  });
+
+  it('drops the measurement when update-song points the song at another file', async () => {
+    const id = songIdFor('anthrax.mp3');
+    await invoke('save-song-loudness', id, { integratedLufs: -12, truePeakDbtp: -1 });
+    await invoke('update-song', { id, filename: 'anthrax.mp3', title: 'Same File' });
+    expect((await invoke('get-song-by-id', id)).data[0].loudness_lufs).toBe(-12);
+
+    await invoke('update-song', { id, filename: 'anthrax-remaster.mp3' });
+    expect((await invoke('get-song-by-id', id)).data[0]).toMatchObject({
+      loudness_lufs: null, true_peak_dbtp: null, loudness_analyzed_at: null
+    });
+  });
+
+  it('returns an error for an unknown song or bad measurement', async () => {
+    expect(await invoke('save-song-loudness', 999, { integratedLufs: -12 }))
+      .toEqual({ success: false, error: 'Song not found: 999' });
+    const bad = await invoke('save-song-loudness', songIdFor('family.mp3'), { integratedLufs: 'loud' });
+    expect(bad.success).toBe(false);
+    expect(mockDebugLog.error).toHaveBeenCalled();
+  });
+});
@@ -295,6 +295,31 @@ describe('importLibrary', () => {
     fs.rmSync(importUserData, { recursive: true, force: true });
   });
 
+  it('refuses a database saved by a newer app version without replacing anything', async () => {
+    // SQLite header with PRAGMA user_version = 999
+    const header = Buffer.alloc(100);
+    header.write('SQLite format 3\0', 0, 'latin1');
+    header.writeInt32BE(999, 60);
+    fs.writeFileSync(path.join(testUserData, 'mxvoice.db'), header);
+    const archivePath = path.join(testUserData, 'newer.mxvlib');
+    await exportLibrary(archivePath);
+
+    const importUserData = fs.mkdtempSync(path.join(os.tmpdir(), 'mxvlib-newer-'));
+    fakeApp.getPath.mockReturnValue(importUserData);
+    const existingDb = path.join(importUserData, 'mxvoice.db');
+    fs.writeFileSync(existingDb, 'existing-db');
+
+    const validation = await validateArchive(archivePath);
+    expect(validation.success).toBe(false);
+    expect(validation.error).toMatch(/newer version of Mx\. Voice \(database schema version 999/);
+
+    const result = await importLibrary(archivePath);
+    expect(result.success).toBe(false);
+    expect(fs.readFileSync(existingDb, 'utf-8')).toBe('existing-db');
+
+    fs.rmSync(importUserData, { recursive: true, force: true });
+  });
+
   it('rejects an invalid archive', async () => {
     const badArchive = path.join(testUserData, 'bad.mxvlib');
     fs.writeFileSync(badArchive, 'not a zip');
@@ -355,3 +380,45 @@ describe('round-trip integrity', () => {
     fs.rmSync(importUserData, { recursive: true, force: true });
   });
 });
+
+describe('database round-trip', () => {
+  it('carries song tags through export and import', async () => {
+    const { default: sqlite } = await import('node-sqlite3-wasm');
+    const { setupSongTags, setSongTags, getSongTags } = await import('../../../src/main/modules/song-tags.js');
+    await sqlite.onRuntimeInitialized;
+
+    const dbPath = path.join(testUserData, 'mxvoice.db');
+    fs.rmSync(dbPath);
+    const sourceDb = new sqlite.Database(dbPath);
+    sourceDb.exec("CREATE TABLE mrvoice (id INTEGER PRIMARY KEY, title TEXT); INSERT INTO mrvoice VALUES (1, 'We Are Family')");
+    setupSongTags(sourceDb);
+    setSongTags(sourceDb, 1, ['Blackout', 'Love Song']);
+
+    initializeLibraryTransferManager({
+      debugLog: mockDebugLog,
+      getDb: () => sourceDb,
+      store: { get: vi.fn(() => undefined), path: path.join(testUserData, 'config.json') },
+    });
+    const archivePath = path.join(testUserData, 'tags.mxvlib');
+    const exported = await exportLibrary(archivePath);
+    sourceDb.close();
+    expect(exported.manifest.contents.tagCount).toBe(2);
+
+    const importUserData = fs.mkdtempSync(path.join(os.tmpdir(), 'mxvlib-tags-'));
+    fakeApp.getPath.mockReturnValue(importUserData);
+    const importConfigPath = path.join(importUserData, 'config.json');
+    fs.writeFileSync(importConfigPath, '{}');
+    initializeLibraryTransferManager({
+      debugLog: mockDebugLog,
+      getDb: () => null,
+      store: { get: vi.fn(() => undefined), path: importConfigPath },
+    });
+    expect((await importLibrary(archivePath)).success).toBe(true);
+
+    const importedDb = new sqlite.Database(path.join(importUserData, 'mxvoice.db'));
+    expect(getSongTags(importedDb, 1)).toEqual(['Blackout', 'Love Song']);
+    importedDb.close();
+
+    fs.rmSync(importUserData, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import pkg from 'node-sqlite3-wasm';
+import {
+  findRelinkCandidates,
+  verifyLibrary,
+  relinkSongs,
+  importOrphanedFiles,
+  removeMissingSongs,
+} from '../../../src/main/modules/library-verifier.js';
+import { setupSongTags, setSongTags, listTags } from '../../../src/main/modules/song-tags.js';
+import { setupSongMarkers, setSongMarkers, getSongMarkers } from '../../../src/main/modules/song-markers.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+let musicDir;
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  db.exec(`CREATE TABLE mrvoice (
+    id INTEGER PRIMARY KEY, title TEXT, artist TEXT, category TEXT, info TEXT,
+    filename TEXT, time TEXT, modtime INTEGER,
+    loudness_lufs REAL, true_peak_dbtp REAL, loudness_analyzed_at INTEGER
+  )`);
+  setupSongTags(db);
+  setupSongMarkers(db);
+  musicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mxv-verify-'));
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(musicDir, { recursive: true, force: true });
+});
+
+function addSong(title, artist, filename) {
+  const stmt = db.prepare('INSERT INTO mrvoice (title, artist, category, filename) VALUES (?, ?, ?, ?)');
+  const { lastInsertRowid } = stmt.run([title, artist, 'GAME', filename]);
+  stmt.finalize();
+  return Number(lastInsertRowid);
+}
+
+function addFile(filename) {
+  const filePath = path.join(musicDir, filename);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, 'audio');
+}
+
+function songFilename(id) {
+  const stmt = db.prepare('SELECT filename FROM mrvoice WHERE id = ?');
+  const row = stmt.get([id]);
+  stmt.finalize();
+  return row?.filename;
+}
+
+describe('findRelinkCandidates', () => {
+  const files = ['old/Theme.MP3', 'BandName-Theme-1234.mp3', 'Theme-5678.mp3', 'Other.mp3'];
+
+  it('ranks the same file name first, then names containing title and artist', () => {
+    expect(findRelinkCandidates({ title: 'Theme', artist: 'Band Name', filename: 'theme.mp3' }, files))
+      .toEqual(['old/Theme.MP3', 'BandName-Theme-1234.mp3', 'Theme-5678.mp3']);
+  });
+
+  it('returns nothing when no file looks like the song', () => {
+    expect(findRelinkCandidates({ title: 'Walk On', artist: '', filename: 'walk.mp3' }, files)).toEqual([]);
+  });
+});
+
+describe('verifyLibrary', () => {
+  it('reports missing files, case mismatches, unused files and case collisions', async () => {
+    addFile('ok.mp3');
+    addFile('Theme.mp3');
+    addFile('sub/Walk-On-1.mp3');
+    addFile('Loud.wav');
+    addFile('loud.WAV');
+    addFile('notes.txt');
+    addFile('.hidden.mp3');
+    addSong('Fine', '', 'ok.mp3');
+    const caseId = addSong('Theme', '', 'theme.mp3');
+    const missingId = addSong('Walk On', '', 'walk-on.mp3');
+    const noFileId = addSong('Nothing', '', '');
+
+    const report = await verifyLibrary(db, musicDir);
+    expect(report).toMatchObject({ musicDirectory: musicDir, songCount: 4, fileCount: 5 });
+    expect(report.missing.map(song => [song.id, song.candidates])).toEqual([
+      [noFileId, []],
+      [missingId, [path.join('sub', 'Walk-On-1.mp3')]],
+    ]);
+    expect(report.caseMismatches).toEqual([expect.objectContaining({ id: caseId, actualFilename: 'Theme.mp3' })]);
+    expect(report.orphaned).toEqual(['Loud.wav', 'loud.WAV', path.join('sub', 'Walk-On-1.mp3')]);
+    expect(report.caseCollisions).toEqual([['Loud.wav', 'loud.WAV']]);
+  });
+
+  it('requires a music directory', async () => {
+    await expect(verifyLibrary(db, '')).rejects.toThrow(/not configured/);
+  });
+});
+
+describe('relinkSongs', () => {
+  it('points songs at existing audio files in the music directory', () => {
+    addFile('new.mp3');
+    const id = addSong('Walk On', '', 'gone.mp3');
+    db.exec(`UPDATE mrvoice SET loudness_lufs = -14, true_peak_dbtp = -1, loudness_analyzed_at = 100 WHERE id = ${id}`);
+    expect(relinkSongs(db, musicDir, [{ songId: id, filename: 'new.mp3' }])).toBe(1);
+    expect(songFilename(id)).toBe('new.mp3');
+    const stmt = db.prepare('SELECT loudness_lufs, loudness_analyzed_at FROM mrvoice WHERE id = ?');
+    expect(stmt.get([id])).toEqual({ loudness_lufs: null, loudness_analyzed_at: null });
+    stmt.finalize();
+  });
+
+  it('rejects missing files and paths outside the music directory', () => {
+    const id = addSong('Walk On', '', 'gone.mp3');
+    expect(() => relinkSongs(db, musicDir, [{ songId: id, filename: 'nope.mp3' }])).toThrow(/not found/);
+    expect(() => relinkSongs(db, musicDir, [{ songId: id, filename: '../escape.mp3' }])).toThrow(/outside/);
+    expect(() => relinkSongs(db, musicDir, [{ songId: id, filename: path.join(musicDir, 'a.mp3') }])).toThrow(/Invalid filename/);
+    expect(songFilename(id)).toBe('gone.mp3');
+  });
+});
+
+describe('importOrphanedFiles', () => {
+  it('adds songs for files in place using their tags or file name', async () => {
+    addFile('tagged.mp3');
+    addFile('Untagged Track.mp3');
+    const readMetadata = vi.fn(async filePath => (path.basename(filePath) === 'tagged.mp3'
+      ? { title: 'Tagged', artist: 'Band', duration: 125.4 }
+      : {}));
+
+    const ids = await importOrphanedFiles(db, musicDir, ['tagged.mp3', 'Untagged Track.mp3'], { category: 'GAME', readMetadata });
+    expect(ids).toHaveLength(2);
+    expect(readMetadata).toHaveBeenCalledWith(path.join(musicDir, 'tagged.mp3'));
+    const stmt = db.prepare('SELECT title, artist, category, filename, time FROM mrvoice ORDER BY id');
+    expect(stmt.all()).toEqual([
+      { title: 'Tagged', artist: 'Band', category: 'GAME', filename: 'tagged.mp3', time: '2:05' },
+      { title: 'Untagged Track', artist: '', category: 'GAME', filename: 'Untagged Track.mp3', time: '00:00' },
+    ]);
+    stmt.finalize();
+  });
+
+  it('refuses files that already belong to a song or a missing category', async () => {
+    addFile('used.mp3');
+    addSong('Used', '', 'used.mp3');
+    await expect(importOrphanedFiles(db, musicDir, ['used.mp3'], { category: 'GAME' })).rejects.toThrow(/already uses/);
+    await expect(importOrphanedFiles(db, musicDir, ['used.mp3'], {})).rejects.toThrow(/Category is required/);
+  });
+});
+
+describe('removeMissingSongs', () => {
+  it('deletes only songs whose file is still missing, with their tags and markers', () => {
+    addFile('back.mp3');
+    const goneId = addSong('Gone', '', 'gone.mp3');
+    const backId = addSong('Back', '', 'back.mp3');
+    setSongTags(db, goneId, ['Blackout']);
+    setSongMarkers(db, goneId, [{ name: 'Chorus', position: 30 }]);
+
+    expect(removeMissingSongs(db, musicDir, [goneId, backId, 999])).toEqual([goneId]);
+    expect(songFilename(goneId)).toBeUndefined();
+    expect(songFilename(backId)).toBe('back.mp3');
+    expect(listTags(db)).toEqual([]);
+    expect(getSongMarkers(db, goneId)).toEqual([]);
+  });
+});
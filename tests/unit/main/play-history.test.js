@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import pkg from 'node-sqlite3-wasm';
+import {
+  setupPlayHistory,
+  setupPlayHistorySongColumns,
+  setupPlayHistoryDeletedSongs,
+  recordPlay,
+  annotatePlayCounts,
+  getPlayStatistics,
+} from '../../../src/main/modules/play-history.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE mrvoice (id INTEGER PRIMARY KEY, title TEXT, artist TEXT, category TEXT, info TEXT, filename TEXT, time TEXT, modtime INTEGER);
+    INSERT INTO mrvoice (id, title, category) VALUES (1, 'Walk On', 'ENT'), (2, 'Buzzer', 'SFX'), (3, 'Fanfare', 'ENT');
+  `);
+  setupPlayHistory(db);
+  setupPlayHistorySongColumns(db);
+  setupPlayHistoryDeletedSongs(db);
+});
+
+afterEach(() => {
+  db.close();
+});
+
+function historyRows() {
+  const stmt = db.prepare('SELECT song_id, played_at, profile, source, seconds_played FROM play_history ORDER BY id');
+  const rows = stmt.all();
+  stmt.finalize();
+  return rows;
+}
+
+describe('play history', () => {
+  it('is idempotent across launches', () => {
+    recordPlay(db, { songId: 1, source: 'hotkey', secondsPlayed: 3 });
+    expect(setupPlayHistory(db)).toBe(true);
+    expect(historyRows()).toHaveLength(1);
+  });
+
+  it('records the song, time, profile, source and seconds played', () => {
+    recordPlay(db, { songId: '2', source: 'holding_tank', secondsPlayed: 12.34, playedAt: 1700000000 }, 'Stage Left');
+    expect(historyRows()).toEqual([
+      { song_id: 2, played_at: 1700000000, profile: 'Stage Left', source: 'holding_tank', seconds_played: 12.3 },
+    ]);
+  });
+
+  it('saves the title and artist the song was played under', () => {
+    db.exec("UPDATE mrvoice SET artist = 'The Band' WHERE id = 1");
+    recordPlay(db, { songId: 1, source: 'hotkey', secondsPlayed: 3 });
+    db.exec("UPDATE mrvoice SET title = 'Renamed' WHERE id = 1");
+    const stmt = db.prepare('SELECT title, artist FROM play_history');
+    expect(stmt.all()).toEqual([{ title: 'Walk On', artist: 'The Band' }]);
+    stmt.finalize();
+  });
+
+  it('defaults the play time to now', () => {
+    const before = Math.floor(Date.now() / 1000);
+    recordPlay(db, { songId: 1, source: 'search', secondsPlayed: 0 });
+    expect(historyRows()[0].played_at).toBeGreaterThanOrEqual(before);
+  });
+
+  it('rejects invalid plays', () => {
+    expect(() => recordPlay(db, { songId: 'abc', source: 'search', secondsPlayed: 1 })).toThrow(/Invalid song ID/);
+    expect(() => recordPlay(db, { songId: 1, source: 'radio', secondsPlayed: 1 })).toThrow(/Invalid play source/);
+    expect(() => recordPlay(db, { songId: 1, source: 'search', secondsPlayed: -1 })).toThrow(/Invalid seconds played/);
+    expect(historyRows()).toEqual([]);
+  });
+
+  it('annotates song rows with play counts', () => {
+    recordPlay(db, { songId: 1, source: 'hotkey', secondsPlayed: 5, playedAt: 1000 });
+    recordPlay(db, { songId: 1, source: 'search', secondsPlayed: 5, playedAt: 2000 });
+    const rows = annotatePlayCounts(db, [{ id: 1 }, { id: 2 }]);
+    expect(rows).toEqual([
+      { id: 1, play_count: 2, last_played: 2000 },
+      { id: 2, play_count: 0, last_played: null },
+    ]);
+  });
+
+  it('does not pass a deleted song\'s plays on to a song that reuses its ID', () => {
+    recordPlay(db, { songId: 3, source: 'hotkey', secondsPlayed: 5, playedAt: 1000 });
+    db.exec("DELETE FROM mrvoice WHERE id = 3; INSERT INTO mrvoice (id, title) VALUES (3, 'New Song')");
+
+    expect(annotatePlayCounts(db, [{ id: 3 }])).toEqual([{ id: 3, play_count: 0, last_played: null }]);
+    const stmt = db.prepare('SELECT song_id, title FROM play_history');
+    expect(stmt.all()).toEqual([{ song_id: null, title: 'Fanfare' }]);
+    stmt.finalize();
+  });
+
+  it('records a song deleted while it played without its ID', () => {
+    recordPlay(db, { songId: 42, source: 'hotkey', secondsPlayed: 5, playedAt: 1000 });
+    expect(historyRows()[0].song_id).toBeNull();
+    expect(setupPlayHistoryDeletedSongs(db)).toBe(true);
+  });
+
+  it('counts plays for large result lists in batches', () => {
+    recordPlay(db, { songId: 3, source: 'hotkey', secondsPlayed: 5, playedAt: 1000 });
+    const rows = annotatePlayCounts(db, Array.from({ length: 1200 }, (_, index) => ({ id: index + 1 })));
+    expect(rows[2]).toEqual({ id: 3, play_count: 1, last_played: 1000 });
+    expect(rows.filter(row => row.play_count > 0)).toHaveLength(1);
+  });
+
+  describe('statistics', () => {
+    beforeEach(() => {
+      recordPlay(db, { songId: 1, source: 'hotkey', secondsPlayed: 10, playedAt: 1000 }, 'Main');
+      recordPlay(db, { songId: 1, source: 'hotkey', secondsPlayed: 20, playedAt: 2000 }, 'Main');
+      recordPlay(db, { songId: 2, source: 'autoplay', secondsPlayed: 4, playedAt: 3000 }, 'Other');
+      // History of a deleted song is never reported
+      recordPlay(db, { songId: 99, source: 'search', secondsPlayed: 1, playedAt: 4000 }, 'Main');
+    });
+
+    it('lists the most played songs first', () => {
+      const rows = getPlayStatistics(db, { view: 'most' });
+      expect(rows.map(row => [row.id, row.play_count, row.seconds_played])).toEqual([[1, 2, 30], [2, 1, 4]]);
+    });
+
+    it('lists the most recently played songs first', () => {
+      const rows = getPlayStatistics(db, { view: 'recent' });
+      expect(rows.map(row => [row.id, row.last_played])).toEqual([[2, 3000], [1, 2000]]);
+    });
+
+    it('lists songs that were never played', () => {
+      expect(getPlayStatistics(db, { view: 'never' }).map(row => row.id)).toEqual([3]);
+    });
+
+    it('counts only plays by the given profile', () => {
+      expect(getPlayStatistics(db, { view: 'most', profile: 'Other' }).map(row => row.id)).toEqual([2]);
+      expect(getPlayStatistics(db, { view: 'never', profile: 'Other' }).map(row => row.id)).toEqual([3, 1]);
+    });
+
+    it('honours the row limit', () => {
+      expect(getPlayStatistics(db, { view: 'most', limit: 1 })).toHaveLength(1);
+    });
+
+    it('rejects unknown views', () => {
+      expect(() => getPlayStatistics(db, { view: 'loudest' })).toThrow(/Unknown play statistics view/);
+    });
+  });
+});
@@ -51,3 +51,50 @@ describe('saveProfileState', () => {
     );
   });
 });
+
+describe('remapProfileStateSongs', () => {
+  beforeEach(() => {
+    fs.rmSync(path.join(userDataDir, 'profiles'), { recursive: true, force: true });
+  });
+
+  it('replaces song IDs in hotkeys and holding tanks', async () => {
+    await profileManager.saveProfileState('Host', {
+      hotkeys: [{ tabNumber: 1, hotkeys: { f1: '42', f2: '8' } }],
+      holdingTank: [{ tabNumber: 1, songIds: ['7', '42'] }]
+    });
+    const result = await profileManager.remapProfileStateSongs('Host', { 42: 5 });
+    expect(result).toEqual({ success: true, changed: true });
+
+    const written = JSON.parse(fs.readFileSync(stateFile('Host'), 'utf8'));
+    expect(written.hotkeys[0].hotkeys).toEqual({ f1: '5', f2: '8' });
+    expect(written.holdingTank[0].songIds).toEqual(['7', '5']);
+    const backup = JSON.parse(fs.readFileSync(stateFile('Host') + '.backup', 'utf8'));
+    expect(backup.hotkeys[0].hotkeys.f1).toBe('42');
+  });
+
+  it('leaves state without the songs, or without a state file, untouched', async () => {
+    await profileManager.saveProfileState('Host', stateWithData);
+    expect(await profileManager.remapProfileStateSongs('Host', { 99: 1 })).toEqual({ success: true, changed: false });
+    expect(fs.existsSync(stateFile('Host') + '.backup')).toBe(false);
+    expect(await profileManager.remapProfileStateSongs('Nobody', { 42: 1 })).toEqual({ success: true, changed: false });
+  });
+});
+
+describe('markProfileStateSongsMissing', () => {
+  beforeEach(() => {
+    fs.rmSync(path.join(userDataDir, 'profiles'), { recursive: true, force: true });
+  });
+
+  it('marks the deleted songs the state uses and keeps the references', async () => {
+    await profileManager.saveProfileState('Host', stateWithData);
+    const gone = { hash: null, size: null, title: 'Walk Up', artist: 'Band' };
+    const result = await profileManager.markProfileStateSongsMissing('Host', { 42: gone, 99: gone });
+    expect(result).toEqual({ success: true, changed: true });
+
+    const written = JSON.parse(fs.readFileSync(stateFile('Host'), 'utf8'));
+    expect(written.hotkeys[0].hotkeys.f1).toBe('42');
+    expect(written.songFingerprints).toEqual({ 42: { ...gone, missing: true } });
+    expect(await profileManager.markProfileStateSongsMissing('Host', { 42: gone })).toEqual({ success: true, changed: false });
+    expect(await profileManager.markProfileStateSongsMissing('Nobody', { 42: gone })).toEqual({ success: true, changed: false });
+  });
+});
@@ -0,0 +1,339 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import pkg from 'node-sqlite3-wasm';
+import {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+  getSchemaVersion,
+  readSchemaVersionFromFile,
+  runSchemaMigrations,
+  ensureSearchIndex,
+} from '../../../src/main/modules/schema-migrations.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+});
+
+afterEach(() => {
+  if (db?.isOpen) db.close();
+});
+
+function tableNames() {
+  const stmt = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'");
+  const rows = stmt.all();
+  stmt.finalize();
+  return rows.map(row => row.name);
+}
+
+function indexNames() {
+  const stmt = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND sql IS NOT NULL");
+  const rows = stmt.all();
+  stmt.finalize();
+  return rows.map(row => row.name).sort();
+}
+
+function columnNames(table) {
+  const stmt = db.prepare(`PRAGMA table_info(${table})`);
+  const rows = stmt.all();
+  stmt.finalize();
+  return rows.map(row => row.name);
+}
+
+/** Run migrations up to and including `version`. */
+function migrateTo(version) {
+  return runSchemaMigrations(db, { migrations: MIGRATIONS.filter(m => m.version <= version) });
+}
+
+describe('migration list', () => {
+  it('is strictly increasing from 1 with no gaps', () => {
+    expect(MIGRATIONS.map(m => m.version)).toEqual(MIGRATIONS.map((_, index) => index + 1));
+    expect(LATEST_SCHEMA_VERSION).toBe(MIGRATIONS.length);
+  });
+});
+
+describe('migration 1: base schema', () => {
+  it('creates both tables and their indexes', () => {
+    migrateTo(1);
+    expect(tableNames()).toEqual(expect.arrayContaining(['categories', 'mrvoice']));
+    expect(indexNames()).toEqual([
+      'category_code_index', 'category_description_index', 'idx_category', 'idx_index', 'idx_info', 'idx_title',
+    ]);
+    expect(getSchemaVersion(db)).toBe(1);
+  });
+
+  it('adopts an unversioned database without touching its rows', () => {
+    db.exec(`
+      CREATE TABLE categories (code TEXT PRIMARY KEY, description TEXT);
+      CREATE TABLE mrvoice (id INTEGER PRIMARY KEY, title TEXT, artist TEXT, category TEXT, info TEXT, filename TEXT, time TEXT, modtime INTEGER);
+      INSERT INTO mrvoice (title) VALUES ('Legacy');
+    `);
+    migrateTo(1);
+    const stmt = db.prepare('SELECT title FROM mrvoice');
+    expect(stmt.all()).toEqual([{ title: 'Legacy' }]);
+    stmt.finalize();
+  });
+});
+
+describe('migration 2: per-song volume and trim points', () => {
+  it('adds the columns with their defaults', () => {
+    migrateTo(1);
+    db.exec("INSERT INTO mrvoice (title) VALUES ('Before')");
+    migrateTo(2);
+    expect(columnNames('mrvoice')).toEqual(expect.arrayContaining(['volume', 'start_time', 'end_time']));
+    const stmt = db.prepare('SELECT volume, start_time, end_time FROM mrvoice');
+    expect(stmt.get()).toEqual({ volume: 100, start_time: null, end_time: null });
+    stmt.finalize();
+  });
+
+  it('tolerates columns added by unversioned releases', () => {
+    migrateTo(1);
+    db.exec('ALTER TABLE mrvoice ADD COLUMN volume INTEGER DEFAULT 100');
+    expect(() => migrateTo(2)).not.toThrow();
+    expect(columnNames('mrvoice').filter(name => name === 'volume')).toHaveLength(1);
+  });
+});
+
+describe('migration 3: full-text search index', () => {
+  it('indexes existing songs', () => {
+    migrateTo(2);
+    db.exec("INSERT INTO mrvoice (title, artist) VALUES ('Crazy In Love', 'Beyonce')");
+    migrateTo(3);
+    const stmt = db.prepare("SELECT rowid FROM mrvoice_fts WHERE mrvoice_fts MATCH 'crazy'");
+    expect(stmt.all()).toEqual([{ rowid: 1 }]);
+    stmt.finalize();
+  });
+
+  it('is built when the database next opens if the migration could not build it', () => {
+    migrateTo(3);
+    db.exec("INSERT INTO mrvoice (title, artist) VALUES ('Crazy In Love', 'Beyonce')");
+    db.exec('DROP TABLE mrvoice_fts; DROP TRIGGER mrvoice_fts_ai; DROP TRIGGER mrvoice_fts_ad; DROP TRIGGER mrvoice_fts_au');
+    expect(tableNames()).not.toContain('mrvoice_fts');
+
+    expect(ensureSearchIndex(db)).toBe(true);
+    const stmt = db.prepare("SELECT rowid FROM mrvoice_fts WHERE mrvoice_fts MATCH 'crazy'");
+    expect(stmt.all()).toEqual([{ rowid: 1 }]);
+    stmt.finalize();
+    expect(getSchemaVersion(db)).toBe(3);
+  });
+
+  it('is left to the migration on a database before it', () => {
+    migrateTo(2);
+    expect(ensureSearchIndex(db)).toBe(false);
+    expect(tableNames()).not.toContain('mrvoice_fts');
+  });
+});
+
+describe('migration 4: smart categories', () => {
+  it('creates the smart_categories table', () => {
+    migrateTo(4);
+    expect(columnNames('smart_categories')).toEqual(['id', 'description', 'query', 'criteria']);
+  });
+});
+
+describe('migration 5: play history', () => {
+  it('creates the play_history table and its indexes', () => {
+    migrateTo(5);
+    expect(columnNames('play_history')).toEqual(['id', 'song_id', 'played_at', 'profile', 'source', 'seconds_played']);
+    expect(indexNames()).toEqual(expect.arrayContaining(['idx_play_history_played_at', 'idx_play_history_song']));
+  });
+});
+
+describe('migration 6: show sessions', () => {
+  it('creates the show_sessions table', () => {
+    migrateTo(6);
+    expect(columnNames('show_sessions')).toEqual(['id', 'profile', 'started_at']);
+    expect(indexNames()).toEqual(expect.arrayContaining(['idx_show_sessions_profile']));
+  });
+});
+
+describe('migration 7: song tags', () => {
+  it('creates the tags and song_tags tables', () => {
+    migrateTo(7);
+    expect(columnNames('tags')).toEqual(['id', 'name']);
+    expect(columnNames('song_tags')).toEqual(['song_id', 'tag_id']);
+    expect(indexNames()).toEqual(expect.arrayContaining(['idx_song_tags_tag']));
+  });
+});
+
+describe('migration 8: loudness analysis', () => {
+  it('adds the measurement columns, empty for existing songs', () => {
+    migrateTo(7);
+    db.exec("INSERT INTO mrvoice (title) VALUES ('Before')");
+    migrateTo(8);
+    const stmt = db.prepare('SELECT loudness_lufs, true_peak_dbtp, loudness_analyzed_at FROM mrvoice');
+    expect(stmt.get()).toEqual({ loudness_lufs: null, true_peak_dbtp: null, loudness_analyzed_at: null });
+    stmt.finalize();
+  });
+});
+
+describe('migration 9: song markers', () => {
+  it('creates the song_markers table', () => {
+    migrateTo(9);
+    expect(columnNames('song_markers')).toEqual(['id', 'song_id', 'name', 'position']);
+    expect(indexNames()).toEqual(expect.arrayContaining(['idx_song_markers_song']));
+  });
+});
+
+describe('migration 10: loop regions', () => {
+  it('adds the loop region columns, empty for existing songs', () => {
+    migrateTo(9);
+    db.exec("INSERT INTO mrvoice (title) VALUES ('Before')");
+    migrateTo(10);
+    const stmt = db.prepare('SELECT loop_start, loop_end FROM mrvoice');
+    expect(stmt.get()).toEqual({ loop_start: null, loop_end: null });
+    stmt.finalize();
+  });
+});
+
+describe('migration 11: sound effect flag', () => {
+  it('adds the sfx flag, off for existing songs', () => {
+    migrateTo(10);
+    db.exec("INSERT INTO mrvoice (title) VALUES ('Before')");
+    migrateTo(11);
+    const stmt = db.prepare('SELECT sfx FROM mrvoice');
+    expect(stmt.get()).toEqual({ sfx: 0 });
+    stmt.finalize();
+  });
+});
+
+describe('migration 12: song fades', () => {
+  it('adds the fade columns, using the profile fades for existing songs', () => {
+    migrateTo(11);
+    db.exec("INSERT INTO mrvoice (title) VALUES ('Before')");
+    migrateTo(12);
+    const stmt = db.prepare('SELECT fade_in_seconds, fade_out_seconds, hard_stop FROM mrvoice');
+    expect(stmt.get()).toEqual({ fade_in_seconds: null, fade_out_seconds: null, hard_stop: 0 });
+    stmt.finalize();
+  });
+});
+
+describe('migration 13: song tempo and pitch', () => {
+  it('adds the tempo and pitch columns at normal speed for existing songs', () => {
+    migrateTo(12);
+    db.exec("INSERT INTO mrvoice (title) VALUES ('Before')");
+    migrateTo(13);
+    const stmt = db.prepare('SELECT playback_rate, preserve_pitch, pitch_semitones FROM mrvoice');
+    expect(stmt.get()).toEqual({ playback_rate: 1, preserve_pitch: 1, pitch_semitones: 0 });
+    stmt.finalize();
+  });
+});
+
+describe('migration 14: play history song titles', () => {
+  it('saves the title and artist of earlier plays of songs still in the library', () => {
+    migrateTo(13);
+    db.exec(`
+      INSERT INTO mrvoice (id, title, artist) VALUES (1, 'Walk On', NULL);
+      INSERT INTO play_history (song_id, played_at, source) VALUES (1, 1000, 'hotkey'), (2, 1100, 'hotkey');
+    `);
+    migrateTo(14);
+    const stmt = db.prepare('SELECT song_id, title, artist FROM play_history ORDER BY id');
+    expect(stmt.all()).toEqual([
+      { song_id: 1, title: 'Walk On', artist: '' },
+      { song_id: 2, title: null, artist: null },
+    ]);
+    stmt.finalize();
+  });
+});
+
+describe('migration 15: play history of deleted songs', () => {
+  it('lets go of deleted songs\' IDs, now and when songs are deleted later', () => {
+    migrateTo(14);
+    db.exec(`
+      INSERT INTO mrvoice (id, title) VALUES (1, 'Walk On'), (2, 'Buzzer');
+      INSERT INTO play_history (song_id, played_at, source, title) VALUES (1, 1000, 'hotkey', 'Walk On'), (7, 1100, 'search', 'Gone'), (2, 1200, 'hotkey', 'Buzzer');
+    `);
+    migrateTo(15);
+    db.exec('DELETE FROM mrvoice WHERE id = 2');
+
+    const stmt = db.prepare('SELECT song_id, title FROM play_history ORDER BY id');
+    expect(stmt.all()).toEqual([
+      { song_id: 1, title: 'Walk On' },
+      { song_id: null, title: 'Gone' },
+      { song_id: null, title: 'Buzzer' },
+    ]);
+    stmt.finalize();
+    expect(indexNames()).toEqual(expect.arrayContaining(['idx_play_history_played_at', 'idx_play_history_song']));
+  });
+});
+
+describe('runSchemaMigrations', () => {
+  it('migrates a new database to the latest version and is a no-op afterwards', () => {
+    const first = runSchemaMigrations(db);
+    expect(first).toMatchObject({ fromVersion: 0, toVersion: LATEST_SCHEMA_VERSION, snapshotPath: null });
+    expect(first.applied).toEqual(MIGRATIONS.map(m => m.version));
+
+    const second = runSchemaMigrations(db);
+    expect(second).toMatchObject({ fromVersion: LATEST_SCHEMA_VERSION, toVersion: LATEST_SCHEMA_VERSION, applied: [] });
+  });
+
+  it('refuses a database newer than the app', () => {
+    db.exec(`PRAGMA user_version = ${LATEST_SCHEMA_VERSION + 1}`);
+    expect(() => runSchemaMigrations(db)).toThrow(/newer version of Mx\. Voice/);
+    expect(tableNames()).toEqual([]);
+  });
+
+  it('rolls back a failing migration and keeps earlier ones', () => {
+    const migrations = [
+      { version: 1, name: 'one', up: d => d.exec('CREATE TABLE one (id INTEGER)') },
+      { version: 2, name: 'two', up: (d) => { d.exec('CREATE TABLE two (id INTEGER)'); throw new Error('boom'); } },
+    ];
+    expect(() => runSchemaMigrations(db, { migrations })).toThrow('Database migration 2 (two) failed: boom');
+    expect(getSchemaVersion(db)).toBe(1);
+    expect(tableNames()).toEqual(['one']);
+  });
+
+  describe('with a database file', () => {
+    let dir;
+    let dbPath;
+
+    beforeEach(() => {
+      db.close();
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mxvoice-migrations-'));
+      dbPath = path.join(dir, 'mxvoice.db');
+    });
+
+    afterEach(() => {
+      if (db?.isOpen) db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('snapshots an existing database before migrating it', () => {
+      db = new Database(dbPath);
+      migrateTo(2);
+      db.exec("INSERT INTO mrvoice (title) VALUES ('Keep me')");
+
+      const result = runSchemaMigrations(db, { dbPath });
+      expect(result.fromVersion).toBe(2);
+      expect(path.basename(result.snapshotPath)).toMatch(/^mxvoice\.db\.pre-migration-v2-\d+$/);
+      expect(readSchemaVersionFromFile(result.snapshotPath)).toBe(2);
+      expect(readSchemaVersionFromFile(dbPath)).toBe(LATEST_SCHEMA_VERSION);
+    });
+
+    it('does not snapshot a brand-new database or an up-to-date one', () => {
+      db = new Database(dbPath);
+      expect(runSchemaMigrations(db, { dbPath }).snapshotPath).toBeNull();
+      expect(runSchemaMigrations(db, { dbPath }).snapshotPath).toBeNull();
+      expect(fs.readdirSync(dir)).toEqual(['mxvoice.db']);
+    });
+
+    it('reads the version from the file header', () => {
+      db = new Database(dbPath);
+      runSchemaMigrations(db);
+      db.close();
+      expect(readSchemaVersionFromFile(dbPath)).toBe(LATEST_SCHEMA_VERSION);
+      fs.writeFileSync(path.join(dir, 'not-a-db'), 'fake-sqlite-data');
+      expect(readSchemaVersionFromFile(path.join(dir, 'not-a-db'))).toBeNull();
+      expect(readSchemaVersionFromFile(path.join(dir, 'missing.db'))).toBeNull();
+    });
+  });
+});
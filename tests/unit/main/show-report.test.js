@@ -0,0 +1,218 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import pkg from 'node-sqlite3-wasm';
+import { setupPlayHistory, setupPlayHistorySongColumns, setupPlayHistoryDeletedSongs, recordPlay } from '../../../src/main/modules/play-history.js';
+import {
+  setupShowSessions,
+  startShowSession,
+  listShowSessions,
+  buildShowReport,
+  formatReportTime,
+  formatReportDuration,
+  formatShowReportCsv,
+  formatShowReportHtml,
+  exportShowReport,
+  createShowReportCommands,
+} from '../../../src/main/modules/show-report.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+let tmpDir;
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE mrvoice (id INTEGER PRIMARY KEY, title TEXT, artist TEXT, category TEXT, info TEXT, filename TEXT, time TEXT, modtime INTEGER);
+    INSERT INTO mrvoice (id, title, artist, category) VALUES
+      (1, 'Walk On', 'The Band', 'ENT'), (2, 'Buzzer', NULL, 'SFX'), (3, 'Say "Hi", Friends', 'A & B', 'ENT');
+  `);
+  setupPlayHistory(db);
+  setupPlayHistorySongColumns(db);
+  setupPlayHistoryDeletedSongs(db);
+  setupShowSessions(db);
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'show-report-'));
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function play(songId, playedAt, secondsPlayed, profile = 'Stage') {
+  recordPlay(db, { songId, source: 'hotkey', secondsPlayed, playedAt }, profile);
+}
+
+describe('show sessions', () => {
+  it('treats the whole history as the current session until one is started', () => {
+    expect(listShowSessions(db, 'Stage')).toEqual([{ id: null, startedAt: 0, endedAt: null }]);
+  });
+
+  it('bounds each session by the next start, per profile', () => {
+    const first = startShowSession(db, 'Stage', 1000000);
+    const second = startShowSession(db, 'Stage', 2000000);
+    startShowSession(db, 'Other', 3000000);
+    expect(listShowSessions(db, 'Stage')).toEqual([
+      { id: second, startedAt: 2000, endedAt: null },
+      { id: first, startedAt: 1000, endedAt: 2000 },
+    ]);
+    expect(listShowSessions(db, 'Stage', 3)[2]).toEqual({ id: null, startedAt: 0, endedAt: 1000 });
+  });
+});
+
+describe('buildShowReport', () => {
+  it('lists the session plays in order with title and artist', () => {
+    play(1, 900, 10);
+    startShowSession(db, 'Stage', 1000000);
+    play(3, 1500, 61.4);
+    play(2, 1200, 2);
+    play(1, 1300, 5, 'Other');
+    const [current, previous] = listShowSessions(db, 'Stage');
+
+    const report = buildShowReport(db, { profile: 'Stage', session: current, now: 1600000 });
+    expect(report).toMatchObject({ profile: 'Stage', startedAt: 1000, endedAt: null, generatedAt: 1600 });
+    expect(report.plays).toEqual([
+      { startedAt: 1200, secondsPlayed: 2, title: 'Buzzer', artist: '' },
+      { startedAt: 1500, secondsPlayed: 61.4, title: 'Say "Hi", Friends', artist: 'A & B' },
+    ]);
+
+    const earlier = buildShowReport(db, { profile: 'Stage', session: previous });
+    expect(earlier.plays.map(p => p.startedAt)).toEqual([900]);
+  });
+
+  it('keeps a song that was played and then renamed or deleted as it was played', () => {
+    play(1, 1200, 30);
+    play(3, 1300, 40);
+    db.exec("UPDATE mrvoice SET title = 'Renamed' WHERE id = 1; DELETE FROM mrvoice WHERE id = 3");
+
+    const [current] = listShowSessions(db, 'Stage');
+    expect(buildShowReport(db, { profile: 'Stage', session: current }).plays).toEqual([
+      { startedAt: 1200, secondsPlayed: 30, title: 'Walk On', artist: 'The Band' },
+      { startedAt: 1300, secondsPlayed: 40, title: 'Say "Hi", Friends', artist: 'A & B' },
+    ]);
+  });
+
+  it('names plays of songs deleted before titles were kept', () => {
+    db.exec(`INSERT INTO play_history (song_id, played_at, profile, source) VALUES (99, 1200, 'Stage', 'hotkey')`);
+
+    const [current] = listShowSessions(db, 'Stage');
+    expect(buildShowReport(db, { profile: 'Stage', session: current }).plays).toEqual([
+      { startedAt: 1200, secondsPlayed: 0, title: '(deleted song)', artist: '' },
+    ]);
+  });
+});
+
+describe('report formats', () => {
+  const report = {
+    profile: 'Stage <Left>',
+    startedAt: 1000,
+    endedAt: null,
+    generatedAt: 5000,
+    plays: [
+      { startedAt: 1200, secondsPlayed: 3725, title: 'Say "Hi", Friends', artist: 'A & B' },
+      { startedAt: 1500, secondsPlayed: 61.4, title: '<script>', artist: '' },
+    ],
+  };
+
+  it('formats durations', () => {
+    expect(formatReportDuration(61.4)).toBe('1:01');
+    expect(formatReportDuration(3725)).toBe('1:02:05');
+    expect(formatReportDuration(null)).toBe('0:00');
+  });
+
+  it('writes CSV with a header and quoted fields', () => {
+    const lines = formatShowReportCsv(report).split('\r\n');
+    expect(lines[0]).toBe('Start Time,Duration Played,Title,Artist');
+    expect(lines[1]).toBe(`${formatReportTime(1200)},1:02:05,"Say ""Hi"", Friends",A & B`);
+    expect(lines[2]).toBe(`${formatReportTime(1500)},1:01,<script>,`);
+    expect(lines[3]).toBe('');
+  });
+
+  it('writes an escaped, printable HTML document', () => {
+    const html = formatShowReportHtml(report);
+    expect(html).toContain('@media print');
+    expect(html).toContain('<td>&lt;script&gt;</td>');
+    expect(html).toContain('<td>Say &quot;Hi&quot;, Friends</td>');
+    expect(html).toContain('Stage &lt;Left&gt;');
+    expect(html).not.toContain('<td><script>');
+    expect(html).toContain('<dt>Tracks played</dt><dd>2</dd>');
+  });
+});
+
+describe('exportShowReport', () => {
+  function dialogReturning(filePath, response = 0) {
+    return {
+      showMessageBox: vi.fn().mockResolvedValue({ response }),
+      showSaveDialog: vi.fn().mockResolvedValue({ canceled: !filePath, filePath }),
+    };
+  }
+
+  it('saves CSV or HTML by the chosen extension', async () => {
+    play(1, 1200, 30);
+    const csvPath = path.join(tmpDir, 'report.csv');
+    const dialog = dialogReturning(csvPath);
+    const result = await exportShowReport({ dialog, db, profile: 'Stage', defaultDirectory: tmpDir });
+    expect(result).toEqual({ canceled: false, success: true, filePath: csvPath, trackCount: 1 });
+    expect(dialog.showMessageBox).not.toHaveBeenCalled();
+    expect(fs.readFileSync(csvPath, 'utf8')).toContain('Walk On,The Band');
+
+    const htmlPath = path.join(tmpDir, 'report.html');
+    await exportShowReport({ dialog: dialogReturning(htmlPath), db, profile: 'Stage', defaultDirectory: tmpDir });
+    expect(fs.readFileSync(htmlPath, 'utf8')).toMatch(/^<!DOCTYPE html>/);
+  });
+
+  it('asks which session to report once there is a previous one', async () => {
+    play(1, 900, 30);
+    startShowSession(db, 'Stage', 1000000);
+    play(2, 1200, 30);
+    const filePath = path.join(tmpDir, 'previous.csv');
+    const dialog = dialogReturning(filePath, 1);
+
+    await exportShowReport({ dialog, db, profile: 'Stage', defaultDirectory: tmpDir });
+    expect(dialog.showMessageBox).toHaveBeenCalledOnce();
+    expect(fs.readFileSync(filePath, 'utf8')).toContain('Walk On');
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('Buzzer');
+
+    const canceled = await exportShowReport({ dialog: dialogReturning(filePath, 2), db, profile: 'Stage', defaultDirectory: tmpDir });
+    expect(canceled).toEqual({ canceled: true });
+  });
+
+  it('does not offer to save an empty session', async () => {
+    const dialog = dialogReturning(path.join(tmpDir, 'empty.csv'));
+    const result = await exportShowReport({ dialog, db, profile: 'Stage', defaultDirectory: tmpDir });
+    expect(result.success).toBe(false);
+    expect(dialog.showSaveDialog).not.toHaveBeenCalled();
+  });
+});
+
+describe('createShowReportCommands', () => {
+  it('starts sessions for the current profile', () => {
+    const commands = createShowReportCommands({
+      getDb: () => db,
+      getCurrentProfile: () => 'Stage',
+      getWindow: () => null,
+      dialog: {},
+      getDefaultDirectory: () => tmpDir,
+    });
+    expect(commands.startSession()).toBeGreaterThan(0);
+    expect(listShowSessions(db, 'Stage')[0].id).not.toBeNull();
+  });
+
+  it('does nothing without a database', async () => {
+    const commands = createShowReportCommands({
+      getDb: () => null,
+      getCurrentProfile: () => 'Stage',
+      getWindow: () => null,
+      dialog: {},
+      getDefaultDirectory: () => tmpDir,
+    });
+    expect(commands.startSession()).toBeNull();
+    await expect(commands.exportReport()).resolves.toMatchObject({ success: false, error: 'Database not initialized' });
+  });
+});
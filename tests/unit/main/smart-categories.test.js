@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import pkg from 'node-sqlite3-wasm';
+import {
+  setupSmartCategories,
+  isSmartCategoryCode,
+  listSmartCategories,
+  getSmartCategory,
+  addSmartCategory,
+  updateSmartCategory,
+  deleteSmartCategory,
+} from '../../../src/main/modules/smart-categories.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  setupSmartCategories(db);
+});
+
+afterEach(() => {
+  db.close();
+});
+
+const sceneStarters = {
+  description: 'Quick scene starters',
+  query: 'cat:SS dur:<0:30 since:60d',
+  criteria: { searchTerm: null, category: 'SS', advancedFilters: { since: '60', duration: { min: null, max: 29 } } },
+};
+
+describe('smart categories', () => {
+  it('recognizes smart category codes', () => {
+    expect(isSmartCategoryCode('smart:3')).toBe(true);
+    expect(isSmartCategoryCode('SS')).toBe(false);
+    expect(isSmartCategoryCode(undefined)).toBe(false);
+  });
+
+  it('is idempotent across launches', () => {
+    addSmartCategory(db, sceneStarters);
+    expect(setupSmartCategories(db)).toBe(true);
+    expect(listSmartCategories(db)).toHaveLength(1);
+  });
+
+  it('stores the query text and round-trips the compiled criteria', () => {
+    const stored = addSmartCategory(db, sceneStarters);
+    expect(stored).toEqual({ code: expect.stringMatching(/^smart:\d+$/), ...sceneStarters });
+    expect(getSmartCategory(db, stored.code)).toEqual(stored);
+  });
+
+  it('returns null for unknown or malformed codes', () => {
+    expect(getSmartCategory(db, 'smart:42')).toBeNull();
+    expect(getSmartCategory(db, 'smart:abc')).toBeNull();
+    expect(getSmartCategory(db, 'SS')).toBeNull();
+  });
+
+  it('updates and deletes by code', () => {
+    const { code } = addSmartCategory(db, sceneStarters);
+    expect(updateSmartCategory(db, code, { ...sceneStarters, query: 'cat:SS' })).toBe(1);
+    expect(getSmartCategory(db, code).query).toBe('cat:SS');
+    expect(deleteSmartCategory(db, code)).toBe(1);
+    expect(listSmartCategories(db)).toEqual([]);
+    expect(() => deleteSmartCategory(db, 'SS')).toThrow(/Not a smart category/);
+  });
+
+  it('tolerates unreadable stored criteria', () => {
+    const { code } = addSmartCategory(db, sceneStarters);
+    db.exec("UPDATE smart_categories SET criteria = 'not json'");
+    expect(getSmartCategory(db, code).criteria).toEqual({});
+  });
+
+  it('reports failure instead of throwing when the table cannot be created', () => {
+    const brokenDb = { prepare: () => { throw new Error('database is locked'); } };
+    expect(setupSmartCategories(brokenDb)).toBe(false);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSongFade } from '../../../src/main/modules/song-fades.js';
+
+describe('normalizeSongFade', () => {
+  it('rounds fade times to tenths of a second', () => {
+    expect(normalizeSongFade('2.26', 'fade in')).toBe(2.3);
+    expect(normalizeSongFade(0, 'fade out')).toBe(0);
+  });
+
+  it('uses the profile fade when the time is empty', () => {
+    expect(normalizeSongFade('', 'fade in')).toBeNull();
+    expect(normalizeSongFade(null, 'fade in')).toBeNull();
+    expect(normalizeSongFade(undefined, 'fade out')).toBeNull();
+  });
+
+  it('rejects negative, overlong and non-numeric times', () => {
+    expect(() => normalizeSongFade(-1, 'fade in')).toThrow('Invalid fade in time: -1');
+    expect(() => normalizeSongFade(61, 'fade out')).toThrow('Invalid fade out time: 61');
+    expect(() => normalizeSongFade('slow', 'fade out')).toThrow('Invalid fade out time: slow');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Song fingerprints run against a real music directory and an in-memory
+ * database.
+ */
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import pkg from 'node-sqlite3-wasm';
+import {
+  readSongFingerprint,
+  getSongFingerprints,
+  getStateSongIds,
+  addStateFingerprints,
+  markStateSongsMissing,
+  remapStateSongs,
+  matchSongFingerprints,
+  findSongRelinks
+} from '../../../src/main/modules/song-fingerprints.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+let tempDir;
+
+function addSong({ title, artist, filename, content }) {
+  if (content !== undefined) fs.writeFileSync(path.join(tempDir, filename), content);
+  const stmt = db.prepare('INSERT INTO mrvoice (title, artist, filename) VALUES (?, ?, ?)');
+  const { lastInsertRowid } = stmt.run([title, artist, filename]);
+  stmt.finalize();
+  return Number(lastInsertRowid);
+}
+
+function deleteSong(id) {
+  const stmt = db.prepare('DELETE FROM mrvoice WHERE id = ?');
+  stmt.run([id]);
+  stmt.finalize();
+}
+
+function stateWith(songIds, songFingerprints) {
+  return {
+    hotkeys: [{ tabNumber: 1, hotkeys: { f1: String(songIds[0]) } }],
+    holdingTank: [{ tabNumber: 1, songIds: songIds.slice(1).map(String) }],
+    ...(songFingerprints ? { songFingerprints } : {})
+  };
+}
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  db.exec('CREATE TABLE mrvoice (id INTEGER PRIMARY KEY, title TEXT, artist TEXT, filename TEXT)');
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mxv-fingerprints-'));
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('readSongFingerprint', () => {
+  it('keeps a valid fingerprint and drops what is not one', () => {
+    expect(readSongFingerprint({ hash: 'a'.repeat(32), size: 10, title: 'T', artist: 'A', missing: true }))
+      .toEqual({ hash: 'a'.repeat(32), size: 10, title: 'T', artist: 'A', missing: true });
+    expect(readSongFingerprint({ hash: 'not-a-hash', size: 10, title: 'T' }))
+      .toEqual({ hash: null, size: null, title: 'T', artist: '' });
+    expect(readSongFingerprint(null)).toBeNull();
+    expect(readSongFingerprint(['a'])).toBeNull();
+  });
+});
+
+describe('getSongFingerprints', () => {
+  it('hashes music files and knows songs without one by title and artist', async () => {
+    const walkUp = addSong({ title: 'Walk Up', artist: 'Band', filename: 'walk.mp3', content: 'walk-audio' });
+    const gone = addSong({ title: 'Gone', artist: 'Band', filename: 'gone.mp3' });
+
+    const fingerprints = await getSongFingerprints(db, tempDir, [walkUp, String(gone), '999', 'x']);
+    expect(Object.keys(fingerprints)).toEqual([String(walkUp), String(gone)]);
+    expect(fingerprints[walkUp]).toMatchObject({ size: 10, title: 'Walk Up', artist: 'Band' });
+    expect(fingerprints[walkUp].hash).toMatch(/^[0-9a-f]{32}$/);
+    expect(fingerprints[gone]).toEqual({ hash: null, size: null, title: 'Gone', artist: 'Band' });
+  });
+
+  it('reads no files when asked for title and artist only', async () => {
+    const walkUp = addSong({ title: 'Walk Up', artist: 'Band', filename: 'walk.mp3', content: 'walk-audio' });
+
+    expect(await getSongFingerprints(db, tempDir, [walkUp], { hashFiles: false }))
+      .toEqual({ [walkUp]: { hash: null, size: null, title: 'Walk Up', artist: 'Band' } });
+  });
+});
+
+describe('profile state fingerprints', () => {
+  it('lists the songs hotkeys and holding tanks use', () => {
+    expect([...getStateSongIds(stateWith([3, 4, 3]))]).toEqual(['3', '4']);
+    expect(getStateSongIds({}).size).toBe(0);
+  });
+
+  it('keeps known fingerprints, adds new ones without reading files and drops unused ones', async () => {
+    const walkUp = addSong({ title: 'Walk Up', artist: 'Band', filename: 'walk.mp3', content: 'walk-audio' });
+    const known = { hash: 'a'.repeat(32), size: 7, title: 'Old', artist: 'Name', missing: true };
+    const state = stateWith([walkUp, 50], { 50: known, 60: known });
+
+    const fingerprints = await addStateFingerprints(db, tempDir, state);
+    expect(fingerprints[50]).toEqual(known);
+    expect(fingerprints[walkUp]).toEqual({ hash: null, size: null, title: 'Walk Up', artist: 'Band' });
+    expect(fingerprints).not.toHaveProperty('60');
+  });
+
+  it('marks deleted songs missing only where they are used', () => {
+    const state = stateWith([3]);
+    const gone = { hash: null, size: null, title: 'Gone', artist: '' };
+    expect(markStateSongsMissing(state, { 3: gone, 4: gone })).toBe(true);
+    expect(state.songFingerprints).toEqual({ 3: { ...gone, missing: true } });
+    expect(markStateSongsMissing(state, { 3: gone })).toBe(false);
+  });
+
+  it('replaces song IDs and forgets the old fingerprints', () => {
+    const state = stateWith([3, 3, 4], { 3: { title: 'Gone', missing: true }, 4: { title: 'Kept' } });
+    expect(remapStateSongs(state, { 3: 9 })).toBe(true);
+    expect(state.hotkeys[0].hotkeys.f1).toBe('9');
+    expect(state.holdingTank[0].songIds).toEqual(['9', '4']);
+    expect(state.songFingerprints).toEqual({ 4: { title: 'Kept' } });
+    expect(remapStateSongs(state, { 3: 9 })).toBe(false);
+  });
+});
+
+describe('matching and relinking', () => {
+  it('finds songs by file contents, then by title and artist', async () => {
+    addSong({ title: 'Other', artist: 'Else', filename: 'x.mp3', content: 'other-audi' });
+    const sameFile = addSong({ title: 'Renamed', artist: 'Band', filename: 'r.mp3', content: 'walk-audio' });
+    const sameTitle = addSong({ title: 'anthem', artist: 'CHOIR', filename: 'a.mp3', content: 'live' });
+    const [walk] = Object.values(await getSongFingerprints(db, tempDir, [sameFile]));
+
+    expect(await matchSongFingerprints(db, tempDir, [
+      { ...walk, title: 'Walk Up' },
+      { hash: null, size: null, title: 'Anthem', artist: 'Choir' },
+      { hash: null, size: null, title: 'Nothing', artist: '' }
+    ])).toEqual([{ songId: sameFile, by: 'hash' }, { songId: sameTitle, by: 'title-artist' }, null]);
+  });
+
+  it('relinks references to deleted songs once they are imported again', async () => {
+    const walkUp = addSong({ title: 'Walk Up', artist: 'Band', filename: 'walk.mp3', content: 'walk-audio' });
+    const stays = addSong({ title: 'Stays', artist: 'Band', filename: 'stays.mp3', content: 'stays' });
+    const state = stateWith([walkUp, stays]);
+    state.songFingerprints = await addStateFingerprints(db, tempDir, state);
+    // As DELETE_SONG does: hash the file, then delete the row
+    markStateSongsMissing(state, await getSongFingerprints(db, tempDir, [walkUp]));
+    deleteSong(walkUp);
+    expect(await findSongRelinks(db, tempDir, [{ name: 'Host', state }])).toEqual([]);
+
+    const again = addSong({ title: 'Walk Up (Remastered)', artist: 'Band', filename: 'walk-2.mp3', content: 'walk-audio' });
+    expect(await findSongRelinks(db, tempDir, [{ name: 'Host', state }])).toEqual([
+      { profile: 'Host', songId: String(walkUp), newSongId: String(again), by: 'hash', title: 'Walk Up', artist: 'Band' }
+    ]);
+  });
+
+  it('treats a song marked missing as gone even when its ID was given to another song', async () => {
+    const reused = addSong({ title: 'Someone Else', artist: 'Else', filename: 'else.mp3', content: 'else' });
+    const original = addSong({ title: 'Walk Up', artist: 'Band', filename: 'walk.mp3', content: 'walk' });
+    const state = stateWith([reused], { [reused]: { hash: null, size: null, title: 'Walk Up', artist: 'Band', missing: true } });
+
+    expect(await findSongRelinks(db, tempDir, [{ name: 'Host', state }])).toEqual([
+      { profile: 'Host', songId: String(reused), newSongId: String(original), by: 'title-artist', title: 'Walk Up', artist: 'Band' }
+    ]);
+  });
+});
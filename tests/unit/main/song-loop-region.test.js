@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeLoopRegion } from '../../../src/main/modules/song-loop-region.js';
+
+describe('normalizeLoopRegion', () => {
+  it('rounds both ends to hundredths of a second', () => {
+    expect(normalizeLoopRegion('12.345', 44.001)).toEqual({ loop_start: 12.35, loop_end: 44 });
+  });
+
+  it('removes the region when both ends are empty', () => {
+    expect(normalizeLoopRegion(null, undefined)).toEqual({ loop_start: null, loop_end: null });
+  });
+
+  it('rejects half regions, bad positions and regions too short to loop', () => {
+    expect(() => normalizeLoopRegion(10, null)).toThrow('A loop region needs a start and an end');
+    expect(() => normalizeLoopRegion(-1, 10)).toThrow('Invalid loop start: -1');
+    expect(() => normalizeLoopRegion(10, 'later')).toThrow('Invalid loop end: later');
+    expect(() => normalizeLoopRegion(10, 10.2)).toThrow('The loop region must be at least 0.5 seconds long');
+    expect(() => normalizeLoopRegion(20, 10)).toThrow(/at least 0.5 seconds/);
+  });
+});
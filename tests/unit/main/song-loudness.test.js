@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import pkg from 'node-sqlite3-wasm';
+import {
+  listSongsForLoudness,
+  saveSongLoudness,
+  LOUDNESS_RESET_SQL,
+  loudnessResetParams,
+} from '../../../src/main/modules/song-loudness.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  db.exec(`CREATE TABLE mrvoice (
+    id INTEGER PRIMARY KEY, title TEXT, filename TEXT,
+    loudness_lufs REAL, true_peak_dbtp REAL, loudness_analyzed_at INTEGER
+  )`);
+  db.exec("INSERT INTO mrvoice (id, title, filename) VALUES (1, 'One', 'one.mp3'), (2, 'Two', 'two.mp3'), (3, 'Three', 'three.mp3')");
+});
+
+afterEach(() => {
+  db.close();
+});
+
+function loudnessOf(id) {
+  const stmt = db.prepare('SELECT loudness_lufs, true_peak_dbtp, loudness_analyzed_at FROM mrvoice WHERE id = ?');
+  const row = stmt.get([id]);
+  stmt.finalize();
+  return row;
+}
+
+describe('saveSongLoudness', () => {
+  it('stores rounded measurements with the analysis time', () => {
+    expect(saveSongLoudness(db, 2, { integratedLufs: -14.236, truePeakDbtp: -0.514, analyzedAt: 1700000000 }))
+      .toEqual({ loudness_lufs: -14.24, true_peak_dbtp: -0.51, loudness_analyzed_at: 1700000000 });
+    expect(loudnessOf(2)).toEqual({ loudness_lufs: -14.24, true_peak_dbtp: -0.51, loudness_analyzed_at: 1700000000 });
+  });
+
+  it('marks silent files as analyzed without a loudness', () => {
+    saveSongLoudness(db, 1, { integratedLufs: null, truePeakDbtp: null });
+    expect(loudnessOf(1)).toMatchObject({ loudness_lufs: null, true_peak_dbtp: null });
+    expect(loudnessOf(1).loudness_analyzed_at).toBeGreaterThan(0);
+  });
+
+  it('rejects unknown songs and impossible values', () => {
+    expect(() => saveSongLoudness(db, 99, { integratedLufs: -20 })).toThrow(/Song not found: 99/);
+    expect(() => saveSongLoudness(db, 1, { integratedLufs: Number.NEGATIVE_INFINITY })).toThrow(/Invalid loudness/);
+    expect(() => saveSongLoudness(db, 1, { truePeakDbtp: 'loud' })).toThrow(/Invalid true peak/);
+    expect(() => saveSongLoudness(db, 'x', {})).toThrow(/Invalid song ID/);
+  });
+});
+
+describe('listSongsForLoudness', () => {
+  it('lists songs not yet analyzed unless asked for all', () => {
+    saveSongLoudness(db, 2, { integratedLufs: -12, truePeakDbtp: 0 });
+    expect(listSongsForLoudness(db).map(song => song.id)).toEqual([1, 3]);
+    expect(listSongsForLoudness(db, { includeAnalyzed: true }).map(song => song.id)).toEqual([1, 2, 3]);
+  });
+
+  it('limits the pass to the given songs', () => {
+    saveSongLoudness(db, 2, { integratedLufs: -12, truePeakDbtp: 0 });
+    expect(listSongsForLoudness(db, { songIds: ['2', 3], includeAnalyzed: true }))
+      .toEqual([{ id: 2, title: 'Two', filename: 'two.mp3' }, { id: 3, title: 'Three', filename: 'three.mp3' }]);
+    expect(listSongsForLoudness(db, { songIds: [2] })).toEqual([]);
+    expect(listSongsForLoudness(db, { songIds: [] })).toEqual([]);
+  });
+});
+
+describe('LOUDNESS_RESET_SQL', () => {
+  function setFilename(id, filename) {
+    const stmt = db.prepare(`UPDATE mrvoice SET filename = ?, ${LOUDNESS_RESET_SQL} WHERE id = ?`);
+    stmt.run([filename, ...loudnessResetParams(filename), id]);
+    stmt.finalize();
+  }
+
+  it('keeps the measurement for the same file and drops it for another', () => {
+    saveSongLoudness(db, 1, { integratedLufs: -12, truePeakDbtp: 0, analyzedAt: 5 });
+    setFilename(1, 'one.mp3');
+    expect(loudnessOf(1)).toEqual({ loudness_lufs: -12, true_peak_dbtp: 0, loudness_analyzed_at: 5 });
+    setFilename(1, 'other.mp3');
+    expect(loudnessOf(1)).toEqual({ loudness_lufs: null, true_peak_dbtp: null, loudness_analyzed_at: null });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import pkg from 'node-sqlite3-wasm';
+import {
+  setupSongMarkers,
+  normalizeMarkers,
+  getSongMarkers,
+  setSongMarkers,
+  deleteSongMarkers,
+  annotateSongMarkers,
+} from '../../../src/main/modules/song-markers.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  db.exec('CREATE TABLE mrvoice (id INTEGER PRIMARY KEY, title TEXT)');
+  db.exec("INSERT INTO mrvoice (id, title) VALUES (1, 'Walk On'), (2, 'Closer')");
+  setupSongMarkers(db);
+});
+
+afterEach(() => {
+  db.close();
+});
+
+describe('normalizeMarkers', () => {
+  it('trims names, rounds positions and sorts by position', () => {
+    expect(normalizeMarkers([
+      { name: '  big   finish ', position: 95.456 },
+      { name: 'Chorus', position: '30.004' }
+    ])).toEqual([
+      { name: 'Chorus', position: 30 },
+      { name: 'big finish', position: 95.46 }
+    ]);
+  });
+
+  it('rejects names repeated regardless of case', () => {
+    expect(() => normalizeMarkers([{ name: 'Drop', position: 1 }, { name: 'DROP', position: 2 }]))
+      .toThrow('There is already a marker named DROP');
+  });
+
+  it('rejects missing names, long names and bad positions', () => {
+    expect(() => normalizeMarkers('Drop')).toThrow('Markers must be a list');
+    expect(() => normalizeMarkers([{ name: ' ', position: 1 }])).toThrow('Every marker needs a name');
+    expect(() => normalizeMarkers([{ name: 'x'.repeat(41), position: 1 }])).toThrow(/too long/);
+    expect(() => normalizeMarkers([{ name: 'Drop', position: -1 }])).toThrow('Invalid marker position for Drop: -1');
+    expect(() => normalizeMarkers([{ name: 'Drop', position: null }])).toThrow(/Invalid marker position/);
+  });
+});
+
+describe('song markers', () => {
+  it('is idempotent across launches', () => {
+    setSongMarkers(db, 1, [{ name: 'Chorus', position: 30 }]);
+    expect(setupSongMarkers(db)).toBe(true);
+    expect(getSongMarkers(db, 1)).toEqual([{ name: 'Chorus', position: 30 }]);
+  });
+
+  it('replaces a song\'s markers', () => {
+    setSongMarkers(db, 1, [{ name: 'Chorus', position: 30 }, { name: 'Drop', position: 60 }]);
+    expect(setSongMarkers(db, '1', [{ name: 'Outro', position: 120 }])).toEqual([{ name: 'Outro', position: 120 }]);
+    expect(setSongMarkers(db, 1, [])).toEqual([]);
+  });
+
+  it('leaves the markers alone when the new list is invalid', () => {
+    setSongMarkers(db, 1, [{ name: 'Chorus', position: 30 }]);
+    expect(() => setSongMarkers(db, 1, [{ name: 'Drop', position: 'soon' }])).toThrow(/Invalid marker position/);
+    expect(getSongMarkers(db, 1)).toEqual([{ name: 'Chorus', position: 30 }]);
+  });
+
+  it('rejects unknown songs and invalid IDs', () => {
+    expect(() => setSongMarkers(db, 99, [])).toThrow('Song not found: 99');
+    expect(() => getSongMarkers(db, 'abc')).toThrow('Invalid song ID');
+  });
+
+  it('deletes the markers of deleted songs', () => {
+    setSongMarkers(db, 1, [{ name: 'Chorus', position: 30 }]);
+    setSongMarkers(db, 2, [{ name: 'Drop', position: 10 }]);
+    deleteSongMarkers(db, [1]);
+    expect(getSongMarkers(db, 1)).toEqual([]);
+    expect(getSongMarkers(db, 2)).toEqual([{ name: 'Drop', position: 10 }]);
+  });
+
+  it('annotates song rows with their markers', () => {
+    setSongMarkers(db, 1, [{ name: 'Outro', position: 90 }, { name: 'Chorus', position: 30 }]);
+    const rows = annotateSongMarkers(db, [{ id: 1 }, { id: 2 }]);
+    expect(rows[0].markers).toEqual([{ name: 'Chorus', position: 30 }, { name: 'Outro', position: 90 }]);
+    expect(rows[1].markers).toEqual([]);
+    expect(annotateSongMarkers(db, [])).toEqual([]);
+  });
+});
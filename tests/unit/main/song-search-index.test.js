@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import pkg from 'node-sqlite3-wasm';
+import {
+  SEARCH_INDEX_TABLE,
+  hasSearchIndex,
+  setupSearchIndex,
+  buildFullTextQuery,
+} from '../../../src/main/modules/song-search-index.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE mrvoice (
+      id INTEGER PRIMARY KEY, title TEXT, artist TEXT, category TEXT,
+      info TEXT, filename TEXT, time TEXT, modtime INTEGER
+    );
+    INSERT INTO mrvoice (title, artist, category, info) VALUES ('Crazy In Love', 'Beyoncé', 'RB', 'Intro hit');
+  `);
+});
+
+afterEach(() => {
+  db.close();
+});
+
+function matchIds(query) {
+  const stmt = db.prepare(`SELECT rowid FROM ${SEARCH_INDEX_TABLE} WHERE ${SEARCH_INDEX_TABLE} MATCH ?`);
+  const rows = stmt.all([query]);
+  stmt.finalize();
+  return rows.map(row => row.rowid);
+}
+
+describe('setupSearchIndex', () => {
+  it('creates the index and populates it from existing rows', () => {
+    expect(hasSearchIndex(db)).toBe(false);
+    expect(setupSearchIndex(db)).toBe(true);
+    expect(hasSearchIndex(db)).toBe(true);
+    expect(matchIds(buildFullTextQuery('crazy'))).toEqual([1]);
+  });
+
+  it('is idempotent across launches', () => {
+    setupSearchIndex(db);
+    expect(setupSearchIndex(db)).toBe(true);
+    expect(matchIds(buildFullTextQuery('love'))).toEqual([1]);
+  });
+
+  it('keeps the index in sync on insert, update and delete', () => {
+    setupSearchIndex(db);
+
+    db.exec("INSERT INTO mrvoice (title, artist, category, info) VALUES ('Bohemian Rhapsody', 'Queen', 'RB', '')");
+    expect(matchIds(buildFullTextQuery('queen'))).toEqual([2]);
+
+    db.exec("UPDATE mrvoice SET artist = 'Freddie' WHERE id = 2");
+    expect(matchIds(buildFullTextQuery('queen'))).toEqual([]);
+    expect(matchIds(buildFullTextQuery('freddie'))).toEqual([2]);
+
+    db.exec('DELETE FROM mrvoice WHERE id = 2');
+    expect(matchIds(buildFullTextQuery('freddie'))).toEqual([]);
+  });
+
+  it('folds diacritics when matching', () => {
+    setupSearchIndex(db);
+    expect(matchIds(buildFullTextQuery('beyonce'))).toEqual([1]);
+  });
+
+  it('reports failure instead of throwing when FTS is unavailable', () => {
+    const brokenDb = { prepare: () => { throw new Error('no such module: fts5'); } };
+    expect(setupSearchIndex(brokenDb)).toBe(false);
+  });
+});
+
+describe('buildFullTextQuery', () => {
+  it('turns each word into a quoted prefix term joined with AND', () => {
+    expect(buildFullTextQuery('Crazy lov')).toBe('"crazy"* AND "lov"*');
+  });
+
+  it('drops punctuation and FTS operators', () => {
+    expect(buildFullTextQuery('AC/DC "NEAR" -(x)')).toBe('"ac"* AND "dc"* AND "near"* AND "x"*');
+  });
+
+  it('returns null when there are no indexable words', () => {
+    expect(buildFullTextQuery('  ?! ')).toBeNull();
+    expect(buildFullTextQuery('')).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import {
+  parseDurationSeconds,
+  matchesDurationRange,
+  resolveSinceThreshold,
+  intersectDurationRanges,
+  buildSongSearchQuery,
+} from '../../../src/main/modules/song-search-query.js';
+import { parseDurationText } from '../../../src/renderer/modules/search/query-parser.js';
+
+describe('song search query builder', () => {
+  it('parses stored durations', () => {
+    expect(parseDurationSeconds('1:30')).toBe(90);
+    expect(parseDurationSeconds('01:02:03')).toBe(3723);
+    expect(parseDurationSeconds('45')).toBe(45);
+    expect(parseDurationSeconds('')).toBeNull();
+    expect(parseDurationSeconds('n/a')).toBeNull();
+  });
+
+  it('reads durations the way the dur: search qualifier does', () => {
+    for (const text of ['1:30', '01:02:03', '45', ' 2:05 ', '1:5:', '', 'n/a']) {
+      expect(parseDurationSeconds(text)).toBe(parseDurationText(text));
+    }
+  });
+
+  it('checks inclusive duration ranges', () => {
+    expect(matchesDurationRange('1:30', { min: null, max: 89 })).toBe(false);
+    expect(matchesDurationRange('1:29', { min: null, max: 89 })).toBe(true);
+    expect(matchesDurationRange('', { min: 0, max: null })).toBe(false);
+    expect(matchesDurationRange('', null)).toBe(true);
+  });
+
+  it('resolves since thresholds from days or dates', () => {
+    const now = Date.UTC(2025, 0, 31);
+    expect(resolveSinceThreshold('30', now)).toBe(Date.UTC(2025, 0, 1) / 1000);
+    expect(resolveSinceThreshold('2025-01-01T00:00:00Z', now)).toBe(Date.UTC(2025, 0, 1) / 1000);
+    expect(resolveSinceThreshold('whenever', now)).toBeNull();
+  });
+
+  it('builds an unranked LIKE query without the full-text index', () => {
+    const query = buildSongSearchQuery({ category: 'GAME', searchTerm: 'time' });
+    expect(query.ranked).toBe(false);
+    expect(query.sql).toContain('category = ?');
+    expect(query.sql).toContain('ORDER BY category,info,title,artist');
+    expect(query.params).toEqual(['GAME', '%time%', '%time%', '%time%']);
+  });
+
+  it('puts the MATCH parameter first when ranking', () => {
+    const query = buildSongSearchQuery({ category: 'GAME', searchTerm: 'time' }, { fullTextAvailable: true });
+    expect(query.ranked).toBe(true);
+    expect(query.sql).toContain('MATCH ?');
+    expect(query.params).toEqual(['"time"*', 'GAME']);
+  });
+
+  it('compiles phrases and exclusions with escaped LIKE patterns', () => {
+    const query = buildSongSearchQuery({
+      advancedFilters: {
+        phrases: ['100% pure'],
+        exclude: [{ field: 'info', value: 'instrumental' }, { field: 'category', value: 'END' }, { field: 'filename', value: 'x' }],
+      },
+    });
+    expect(query.params).toEqual(['%100\\% pure%', '%100\\% pure%', '%100\\% pure%', '%instrumental%', 'END']);
+    expect(query.sql).toContain("COALESCE(info, '') NOT LIKE ?");
+    expect(query.sql).toContain('category != ?');
+    expect(query.sql).not.toContain('filename');
+  });
+
+  it('escapes LIKE wildcards in title, artist and info filters', () => {
+    const query = buildSongSearchQuery({
+      advancedFilters: { title: '100%', artist: 'the_band', info: 'back\\slash' },
+    });
+    expect(query.params).toEqual(['%100\\%%', '%the\\_band%', '%back\\\\slash%']);
+    expect(query.sql).toContain("title LIKE ? ESCAPE '\\'");
+    expect(query.sql).toContain("artist LIKE ? ESCAPE '\\'");
+    expect(query.sql).toContain("info LIKE ? ESCAPE '\\'");
+  });
+
+  it('matches required and excluded tags through song_tags', () => {
+    const query = buildSongSearchQuery({
+      advancedFilters: { tags: ['Blackout', ''], exclude: [{ field: 'tag', value: 'Love Song' }] },
+    });
+    expect(query.params).toEqual(['Blackout', 'Love Song']);
+    expect(query.sql).toContain('mrvoice.id IN (SELECT song_tags.song_id FROM song_tags');
+    expect(query.sql).toContain('mrvoice.id NOT IN (SELECT song_tags.song_id FROM song_tags');
+  });
+
+  it('intersects duration ranges from a smart category and the live search', () => {
+    expect(intersectDurationRanges([null, undefined])).toBeNull();
+    expect(intersectDurationRanges([{ min: null, max: 29 }, { min: 10, max: 60 }])).toEqual({ min: 10, max: 29 });
+  });
+
+  it('ANDs smart category criteria with the live search', () => {
+    const query = buildSongSearchQuery(
+      { category: '*', searchTerm: 'intro' },
+      {
+        fullTextAvailable: true,
+        baseCriteria: { category: 'SS', searchTerm: 'drum roll', advancedFilters: { duration: { min: null, max: 29 } } },
+      }
+    );
+    expect(query.params).toEqual(['"drum"* AND "roll"* AND "intro"*', 'SS']);
+    expect(query.durationRange).toEqual({ min: null, max: 29 });
+
+    const unranked = buildSongSearchQuery({ searchTerm: 'intro' }, { baseCriteria: { searchTerm: 'drum' } });
+    expect(unranked.params).toEqual(['%drum%', '%drum%', '%drum%', '%intro%', '%intro%', '%intro%']);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSongPitch, normalizeSongRate } from '../../../src/main/modules/song-speed.js';
+
+describe('normalizeSongRate', () => {
+  it('rounds the tempo to hundredths and plays an empty one at normal speed', () => {
+    expect(normalizeSongRate('1.254')).toBe(1.25);
+    expect(normalizeSongRate(0.5)).toBe(0.5);
+    expect(normalizeSongRate('')).toBe(1);
+    expect(normalizeSongRate(null)).toBe(1);
+  });
+
+  it('rejects tempos outside half to double speed', () => {
+    expect(() => normalizeSongRate(0.4)).toThrow('Invalid playback rate: 0.4');
+    expect(() => normalizeSongRate(2.5)).toThrow('Invalid playback rate: 2.5');
+    expect(() => normalizeSongRate('fast')).toThrow('Invalid playback rate: fast');
+  });
+});
+
+describe('normalizeSongPitch', () => {
+  it('takes whole semitones within an octave', () => {
+    expect(normalizeSongPitch('-12')).toBe(-12);
+    expect(normalizeSongPitch(undefined)).toBe(0);
+    expect(() => normalizeSongPitch(13)).toThrow('Invalid pitch shift: 13');
+    expect(() => normalizeSongPitch(1.5)).toThrow('Invalid pitch shift: 1.5');
+  });
+});
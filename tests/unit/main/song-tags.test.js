@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import pkg from 'node-sqlite3-wasm';
+import {
+  setupSongTags,
+  normalizeTagNames,
+  listTags,
+  getSongTags,
+  setSongTags,
+  addSongTags,
+  deleteSongTags,
+  annotateSongTags,
+} from '../../../src/main/modules/song-tags.js';
+
+const { Database, onRuntimeInitialized } = pkg;
+
+let db;
+
+beforeAll(async () => {
+  await onRuntimeInitialized;
+});
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  setupSongTags(db);
+});
+
+afterEach(() => {
+  db.close();
+});
+
+describe('normalizeTagNames', () => {
+  it('trims, splits on commas and drops case-insensitive duplicates', () => {
+    expect(normalizeTagNames(' Blackout,  love   song ,,BLACKOUT')).toEqual(['Blackout', 'love song']);
+    expect(normalizeTagNames(['Walk-in', 'walk-in, Finale'])).toEqual(['Walk-in', 'Finale']);
+    expect(normalizeTagNames(null)).toEqual([]);
+  });
+
+  it('rejects overly long tags', () => {
+    expect(() => normalizeTagNames('x'.repeat(41))).toThrow(/too long/);
+  });
+});
+
+describe('song tags', () => {
+  it('is idempotent across launches', () => {
+    setSongTags(db, 1, ['Blackout']);
+    expect(setupSongTags(db)).toBe(true);
+    expect(getSongTags(db, 1)).toEqual(['Blackout']);
+  });
+
+  it('replaces a song\'s tags and keeps the first spelling of a tag', () => {
+    setSongTags(db, 1, ['Blackout', 'Love Song']);
+    expect(setSongTags(db, 2, ['BLACKOUT'])).toEqual(['Blackout']);
+    expect(setSongTags(db, 1, ['Finale'])).toEqual(['Finale']);
+    expect(listTags(db).map(tag => [tag.name, tag.song_count])).toEqual([['Blackout', 1], ['Finale', 1]]);
+  });
+
+  it('adds tags to several songs without duplicating links', () => {
+    setSongTags(db, 1, ['Blackout']);
+    expect(addSongTags(db, [1, 2, '3'], ['Blackout', 'Walk-in'])).toBe(5);
+    expect(getSongTags(db, 3)).toEqual(['Blackout', 'Walk-in']);
+  });
+
+  it('forgets deleted songs and removes tags left without songs', () => {
+    addSongTags(db, [1, 2], ['Blackout']);
+    setSongTags(db, 1, ['Walk-in']);
+    deleteSongTags(db, [1, 2]);
+    expect(listTags(db)).toEqual([]);
+  });
+
+  it('annotates rows with their tags', () => {
+    addSongTags(db, [1], ['Love Song', 'blackout']);
+    const rows = annotateSongTags(db, [{ id: 1 }, { id: 2 }]);
+    expect(rows).toEqual([{ id: 1, tags: ['blackout', 'Love Song'] }, { id: 2, tags: [] }]);
+  });
+
+  it('rejects invalid song IDs', () => {
+    expect(() => addSongTags(db, [1, 0], ['Blackout'])).toThrow(/Invalid song ID/);
+  });
+});
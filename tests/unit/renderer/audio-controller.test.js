@@ -1,5 +1,5 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
-const elements = new Map(); function element(){const classes=new Set(); return { classList:{add:x=>classes.add(x),remove:x=>classes.delete(x),contains:x=>classes.has(x)}, style:{}, textContent:'', getAttribute:vi.fn(), setAttribute:vi.fn(), removeAttribute:vi.fn() };}
+const elements = new Map(); function element(){const classes=new Set(); return { classList:{add:x=>classes.add(x),remove:x=>classes.delete(x),contains:x=>classes.has(x),toggle:(x,on)=>(on?classes.add(x):classes.delete(x))}, style:{}, textContent:'', getAttribute:vi.fn(), setAttribute:vi.fn(), removeAttribute:vi.fn() };}
 globalThis.window = { debugLog: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } }; globalThis.document = { getElementById: id => { if(!elements.has(id))elements.set(id,element()); return elements.get(id); }, querySelector: vi.fn(() => null), querySelectorAll: vi.fn(() => []) };
 const sharedState = (await import('../../../src/renderer/modules/shared-state.js')).default; const audio = await import('../../../src/renderer/modules/audio/audio-controller.js');
 describe('audio controller UI orchestration', () => {
@@ -7,4 +7,18 @@ describe('audio controller UI orchestration', () => {
   it('toggles play/pause controls and loop state', () => { const play= document.getElementById('play_button'); play.classList.add('d-none'); audio.toggle_play_button(); expect(play.classList.contains('d-none')).toBe(false); expect(document.getElementById('pause_button').classList.contains('d-none')).toBe(true); audio.loop_on(true); expect(document.getElementById('loop_button').classList.contains('active')).toBe(true); audio.loop_on(false); expect(document.getElementById('loop_button').classList.contains('active')).toBe(false); });
   it('prefers explicit selected rows when resolving playback IDs', () => { const row={ getAttribute:vi.fn(()=>'77') }; document.querySelector.mockReturnValue(row); expect(audio.getPlaybackSelectionSongId()).toBe('77'); });
   it('resets playback transport UI', () => { audio.resetUIState(); expect(document.getElementById('duration').textContent).toBe('0:00'); expect(document.getElementById('audio_progress').style.width).toBe('0%'); expect(document.getElementById('play_button').classList.contains('d-none')).toBe(false); });
+  it('fades out over the song’s own time and stops a hard stop song at once', async () => {
+    const makeSound = () => ({ on: vi.fn(), off: vi.fn(), fade: vi.fn(), unload: vi.fn(), volume: () => 0.5 });
+    const fading = makeSound(); sharedState.set('sound', fading); sharedState.set('trackFade', { fadeInSeconds: null, fadeOutSeconds: 2, hardStop: false });
+    audio.stopPlaying(true); await vi.waitFor(() => expect(fading.fade).toHaveBeenCalledWith(0.5, 0, 2000)); expect(fading.unload).not.toHaveBeenCalled();
+    const cut = makeSound(); sharedState.set('sound', cut); sharedState.set('trackFade', { fadeInSeconds: null, fadeOutSeconds: 2, hardStop: true });
+    audio.stopPlaying(true); await vi.waitFor(() => expect(cut.unload).toHaveBeenCalledOnce()); expect(cut.fade).not.toHaveBeenCalled();
+  });
+  it('changes tempo and pitch live on the playing song and shows them on the transport', () => {
+    const sound = { _html5: false, _sounds: [], rate: vi.fn() }; sharedState.set('sound', sound); sharedState.set('trackSpeed', { rate: 1, preservePitch: true, semitones: 0 });
+    audio.nudgePlaybackTempo(1); expect(sound.rate).toHaveBeenLastCalledWith(1.05);
+    audio.nudgePlaybackPitch(-1); expect(sharedState.get('trackSpeed')).toEqual({ rate: 1.05, preservePitch: true, semitones: -1 });
+    expect(document.getElementById('speed_button').textContent).toBe('1.05× −1 st'); expect(document.getElementById('speed_button').classList.contains('active')).toBe(true);
+    audio.resetPlaybackSpeed(); expect(sound.rate).toHaveBeenLastCalledWith(1); expect(document.getElementById('speed_button').classList.contains('active')).toBe(false);
+  });
 });
@@ -0,0 +1,14 @@
+import { describe, expect, it } from 'vitest';
+import { getChannels, toFileUrl } from '../../../src/renderer/modules/audio/audio-file-decoder.js';
+
+describe('audio file decoder', () => {
+  it('builds file URLs for Windows paths and special characters', () => {
+    expect(toFileUrl('C:\\Music\\Hits #1.mp3')).toBe('file:///C:/Music/Hits%20%231.mp3');
+    expect(toFileUrl('/music/what?.mp3')).toBe('file:///music/what%3F.mp3');
+  });
+
+  it('lists the channels of a buffer', () => {
+    const data = [new Float32Array(2), new Float32Array(2)];
+    expect(getChannels({ numberOfChannels: 2, getChannelData: index => data[index] })).toEqual(data);
+  });
+});
@@ -0,0 +1,47 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+globalThis.window = { secureElectronAPI: {}, debugLog: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } };
+
+const loadSongForPlayback = vi.fn(async () => ({
+  success: true, filename: 'walk-on.mp3', row: { id: 7, title: 'Walk On', filename: 'walk-on.mp3' }
+}));
+vi.mock('../../../src/renderer/modules/audio/playback-song-loader.js', () => ({ loadSongForPlayback }));
+const routing = { deviceId: '', missing: true, blocked: true };
+vi.mock('../../../src/renderer/modules/audio/playback-sound-factory.js', () => ({
+  createPlaybackSound: vi.fn(),
+  getPlaybackOutputRouting: vi.fn(async () => routing),
+  routePlaybackSound: vi.fn(),
+  setPlaybackSoundSpeed: vi.fn()
+}));
+const prepareForPlaybackReplacement = vi.fn();
+vi.mock('../../../src/renderer/modules/audio/playback-replacement.js', () => ({
+  parseCrossfadePreference: () => 0,
+  prepareForPlaybackReplacement
+}));
+const showPlaybackBlocked = vi.fn();
+vi.mock('../../../src/renderer/modules/audio/playback-error-presenter.js', () => ({
+  showMissingAudioFile: vi.fn(),
+  showPlaybackBlocked
+}));
+
+const sharedState = (await import('../../../src/renderer/modules/shared-state.js')).default;
+const manager = await import('../../../src/renderer/modules/audio/audio-manager.js');
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  sharedState.reset();
+  sharedState.set('fadeSettings', { fadeInSeconds: 0 });
+});
+
+describe('audio manager with the output device unplugged', () => {
+  it('leaves the playing song alone and says why the new one did not start', async () => {
+    const playing = { playing: () => true, stop: vi.fn() };
+    sharedState.set('sound', playing);
+
+    await manager.playSongFromId('7', { source: 'hotkey' });
+
+    expect(prepareForPlaybackReplacement).not.toHaveBeenCalled();
+    expect(sharedState.get('sound')).toBe(playing);
+    expect(showPlaybackBlocked).toHaveBeenCalledWith({ title: 'Walk On' });
+  });
+});
@@ -0,0 +1,52 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+globalThis.window = { secureElectronAPI: {}, debugLog: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } };
+
+const preferences = {
+  crossfade_seconds: 4,
+  loudness_normalization: true,
+  loudness_target_lufs: -18,
+  fade_in_seconds: 2,
+  fade_out_curve: 'exponential'
+};
+const getPreference = vi.fn(async key => (key in preferences
+  ? { success: true, value: preferences[key] }
+  : { success: false }));
+vi.mock('../../../src/renderer/modules/preferences/profile-preference-adapter.js', () => ({ getPreference }));
+const loadSongForPlayback = vi.fn(async () => ({ success: false, error: 'not found' }));
+vi.mock('../../../src/renderer/modules/audio/playback-song-loader.js', () => ({ loadSongForPlayback }));
+
+const sharedState = (await import('../../../src/renderer/modules/shared-state.js')).default;
+const manager = await import('../../../src/renderer/modules/audio/audio-manager.js');
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  sharedState.reset();
+});
+
+describe('audio manager playback preferences', () => {
+  it('caches the crossfade time, loudness target and fades in shared state', async () => {
+    await manager.refreshPlaybackPreferences();
+
+    expect(sharedState.get('crossfadeSeconds')).toBe(4);
+    expect(sharedState.get('loudnessTargetLufs')).toBe(-18);
+    expect(sharedState.get('fadeSettings')).toMatchObject({ fadeInSeconds: 2, fadeOutCurve: 'exponential' });
+  });
+
+  it('plays without reading preferences once they are cached', async () => {
+    await manager.refreshPlaybackPreferences();
+    getPreference.mockClear();
+
+    await manager.playSongFromId('7', { source: 'hotkey' });
+
+    expect(getPreference).not.toHaveBeenCalled();
+    expect(loadSongForPlayback).toHaveBeenCalledWith('7', expect.anything());
+  });
+
+  it('loads the preferences on the first play when nothing has cached them', async () => {
+    await manager.playSongFromId('7');
+
+    expect(getPreference).toHaveBeenCalledWith('crossfade_seconds', window.secureElectronAPI);
+    expect(sharedState.get('fadeSettings')).toMatchObject({ fadeInSeconds: 2 });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  applyOutputDevice,
+  isOutputDeviceAvailable,
+  listAudioInputDevices,
+  listAudioOutputDevices
+} from '../../../src/renderer/modules/audio/audio-output-devices.js';
+
+describe('audio output devices', () => {
+  it('lists outputs without the default aliases and labels unnamed ones', async () => {
+    const mediaDevices = { enumerateDevices: vi.fn(async () => [
+      { kind: 'audiooutput', deviceId: 'default', label: 'Default - Speakers' },
+      { kind: 'audiooutput', deviceId: 'communications', label: 'Communications' },
+      { kind: 'audioinput', deviceId: 'mic', label: 'Microphone' },
+      { kind: 'audiooutput', deviceId: 'speakers', label: 'Speakers' },
+      { kind: 'audiooutput', deviceId: 'usb', label: '' }
+    ]) };
+    expect(await listAudioOutputDevices(mediaDevices)).toEqual([
+      { deviceId: 'speakers', label: 'Speakers' },
+      { deviceId: 'usb', label: 'Audio output 2' }
+    ]);
+    expect(await listAudioOutputDevices(undefined)).toEqual([]);
+  });
+
+  it('lists inputs the same way', async () => {
+    const mediaDevices = { enumerateDevices: vi.fn(async () => [
+      { kind: 'audioinput', deviceId: 'default', label: 'Default - Microphone' },
+      { kind: 'audioinput', deviceId: 'mic', label: '' },
+      { kind: 'audiooutput', deviceId: 'speakers', label: 'Speakers' }
+    ]) };
+    expect(await listAudioInputDevices(mediaDevices)).toEqual([{ deviceId: 'mic', label: 'Audio input 1' }]);
+  });
+
+  it('treats the system default as always available', () => {
+    const devices = [{ deviceId: 'usb' }];
+    expect(isOutputDeviceAvailable('', devices)).toBe(true);
+    expect(isOutputDeviceAvailable('usb', devices)).toBe(true);
+    expect(isOutputDeviceAvailable('bluetooth', devices)).toBe(false);
+  });
+
+  it('routes an element and reports failures', async () => {
+    const element = { setSinkId: vi.fn(async () => {}) };
+    expect(await applyOutputDevice(element, 'usb')).toEqual({ success: true });
+    expect(element.setSinkId).toHaveBeenCalledWith('usb');
+
+    element.setSinkId.mockRejectedValueOnce(new Error('Requested device not found'));
+    expect(await applyOutputDevice(element, 'gone')).toEqual({ success: false, error: 'Requested device not found' });
+    expect((await applyOutputDevice({}, 'usb')).success).toBe(false);
+  });
+});
@@ -1,9 +1,18 @@
 import { describe, expect, it } from 'vitest';
 import {
+  calculateNormalizationGain,
   calculatePlaybackVolume,
   determinePlaybackCompletionAction,
   getCrossfadePolicy,
-  getTrackBounds
+  getLoopRegion,
+  getLoopRegionStateAfterSeek,
+  getLoopRegionStep,
+  getOutputRouting,
+  getPlaybackStartPosition,
+  getTrackBounds,
+  normalizeLoudnessTarget,
+  normalizeOutputFallback,
+  parseLoudnessTargetPreference
 } from '../../../src/renderer/modules/audio/playback-policy.js';
 
 describe('audio playback policy', () => {
@@ -11,10 +20,36 @@ describe('audio playback policy', () => {
     expect(calculatePlaybackVolume('80', 50)).toEqual({
       masterVolume: 0.8,
       trackVolume: 0.5,
+      normalizationGain: 1,
       targetVolume: 0.4
     });
   });
 
+  it('turns loud songs down toward the target loudness', () => {
+    const volume = calculatePlaybackVolume(100, 50, { targetLufs: -16, loudnessLufs: -10, truePeakDbtp: 0 });
+    expect(volume.normalizationGain).toBeCloseTo(10 ** (-6 / 20));
+    expect(volume.targetVolume).toBeCloseTo(0.5 * 10 ** (-6 / 20));
+  });
+
+  it('limits boosts to the true peak ceiling and caps the element volume at 1', () => {
+    expect(calculateNormalizationGain({ targetLufs: -16, loudnessLufs: -22, truePeakDbtp: -4 })).toBeCloseTo(10 ** (3 / 20));
+    expect(calculateNormalizationGain({ targetLufs: -16, loudnessLufs: -22, truePeakDbtp: 0 })).toBe(1);
+    expect(calculatePlaybackVolume(100, 100, { targetLufs: -16, loudnessLufs: -22 }).targetVolume).toBe(1);
+  });
+
+  it('leaves unmeasured songs and disabled normalization unchanged', () => {
+    expect(calculateNormalizationGain({ targetLufs: -16, loudnessLufs: null })).toBe(1);
+    expect(calculateNormalizationGain({ targetLufs: null, loudnessLufs: -8 })).toBe(1);
+  });
+
+  it('reads the loudness target preference', () => {
+    expect(parseLoudnessTargetPreference({ success: true, value: false }, { success: true, value: -14 })).toBeNull();
+    expect(parseLoudnessTargetPreference({ success: true, value: true }, { success: true, value: -14 })).toBe(-14);
+    expect(parseLoudnessTargetPreference({ success: true, value: true }, { success: false })).toBe(-16);
+    expect(normalizeLoudnessTarget('-60')).toBe(-40);
+    expect(normalizeLoudnessTarget('loud')).toBe(-16);
+  });
+
   it('uses the established three-second crossfade default', () => {
     expect(getCrossfadePolicy({ crossfade: true })).toEqual({
       enabled: true,
@@ -29,9 +64,59 @@ describe('audio playback policy', () => {
     expect(getTrackBounds({})).toEqual({ startTime: null, endTime: null });
   });
 
+  it('starts at a named marker inside the end trim, otherwise at the start trim', () => {
+    const row = { start_time: 5, end_time: 100, markers: [{ name: 'Chorus', position: 42 }, { name: 'Tag', position: 110 }] };
+    expect(getPlaybackStartPosition(row, 'chorus')).toEqual({ position: 42, marker: 'Chorus' });
+    expect(getPlaybackStartPosition(row, 'Tag')).toEqual({ position: 5, marker: null });
+    expect(getPlaybackStartPosition(row, 'Bridge')).toEqual({ position: 5, marker: null });
+    expect(getPlaybackStartPosition({ markers: [] }, null)).toEqual({ position: 0, marker: null });
+  });
+
+  it('keeps the loop region within the end trim', () => {
+    expect(getLoopRegion({ loop_start: 8, loop_end: 40 })).toEqual({ start: 8, end: 40 });
+    expect(getLoopRegion({ loop_start: 8, loop_end: 40, end_time: 30 })).toEqual({ start: 8, end: 30 });
+    expect(getLoopRegion({ loop_start: 8, loop_end: 40, end_time: 5 })).toBeNull();
+    expect(getLoopRegion({ loop_start: null, loop_end: null })).toBeNull();
+    expect(getLoopRegion(null)).toBeNull();
+  });
+
+  it('loops a held region and continues to a later outro once released', () => {
+    const region = { start: 8, end: 40 };
+    expect(getLoopRegionStep({ position: 39.9, region, state: 'holding' })).toBeNull();
+    expect(getLoopRegionStep({ position: 40.02, region, state: 'holding' })).toEqual({ seekTo: 8, state: 'holding' });
+    expect(getLoopRegionStep({ position: 40.02, region, state: 'releasing', outroPosition: 75 })).toEqual({ seekTo: 75, state: 'released' });
+    expect(getLoopRegionStep({ position: 40.02, region, state: 'releasing', outroPosition: 2 })).toEqual({ seekTo: null, state: 'released' });
+    expect(getLoopRegionStep({ position: 40.02, region, state: 'released', outroPosition: 75 })).toBeNull();
+  });
+
+  it('keeps looping a held region however late its end is noticed', () => {
+    expect(getLoopRegionStep({ position: 52, region: { start: 8, end: 40 }, state: 'holding' }))
+      .toEqual({ seekTo: 8, state: 'holding' });
+  });
+
+  it('releases a region the operator seeked past', () => {
+    const region = { start: 8, end: 40 };
+    expect(getLoopRegionStateAfterSeek({ position: 52, region, state: 'holding' })).toBe('released');
+    expect(getLoopRegionStateAfterSeek({ position: 52, region, state: 'releasing' })).toBe('released');
+    expect(getLoopRegionStateAfterSeek({ position: 20, region, state: 'holding' })).toBe('holding');
+    expect(getLoopRegionStateAfterSeek({ position: 52, region: null, state: null })).toBeNull();
+  });
+
+  it('puts a held loop region before loop and autoplay', () => {
+    expect(determinePlaybackCompletionAction({ loop: true, autoplay: true, holdingTankMode: 'playlist', loopRegionHeld: true })).toBe('loop_region');
+  });
+
   it('prioritizes loop over playlist autoplay', () => {
     expect(determinePlaybackCompletionAction({ loop: true, autoplay: true, holdingTankMode: 'playlist' })).toBe('loop');
     expect(determinePlaybackCompletionAction({ loop: false, autoplay: true, holdingTankMode: 'playlist' })).toBe('autoplay');
     expect(determinePlaybackCompletionAction({ loop: false, autoplay: true, holdingTankMode: 'storage' })).toBe('stop');
   });
+
+  it('plays on the default output or not at all while the chosen device is unplugged', () => {
+    expect(getOutputRouting({ deviceId: '', available: false })).toEqual({ deviceId: '', missing: false, blocked: false });
+    expect(getOutputRouting({ deviceId: 'usb', available: true, fallback: 'pause' })).toEqual({ deviceId: 'usb', missing: false, blocked: false });
+    expect(getOutputRouting({ deviceId: 'usb', available: false, fallback: 'continue' })).toEqual({ deviceId: '', missing: true, blocked: false });
+    expect(getOutputRouting({ deviceId: 'usb', available: false, fallback: 'pause' })).toEqual({ deviceId: '', missing: true, blocked: true });
+    expect(normalizeOutputFallback('stop')).toBe('continue');
+  });
 });
@@ -0,0 +1,47 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const values = new Map();
+vi.mock('../../../src/renderer/modules/shared-state.js', () => ({
+  default: { get: key => values.get(key), set: (key, value) => values.set(key, value) }
+}));
+
+const elements = {
+  timer: { textContent: '' },
+  duration: { textContent: '' },
+  audio_progress: { style: {} }
+};
+globalThis.document = { getElementById: id => elements[id] || null };
+globalThis.requestAnimationFrame = vi.fn(() => 1);
+globalThis.window = { triggerEarlyCrossfade: vi.fn() };
+
+const { howlerUtils } = await import('../../../src/renderer/modules/audio/audio-utils.js');
+
+function playingAt(position, duration = 120) {
+  values.set('sound', { state: () => 'loaded', seek: () => position, duration: () => duration });
+}
+
+beforeEach(() => {
+  values.clear();
+  vi.clearAllMocks();
+});
+
+describe('time tracker', () => {
+  it('shows the progress through the song and the times at the current tempo', () => {
+    playingAt(60);
+    values.set('trackSpeed', { rate: 2, preservePitch: true, semitones: 0 });
+    howlerUtils.updateTimeTracker();
+    expect(elements.audio_progress.style.width).toBe('50%');
+    expect(elements.timer.textContent).toBe('0:30');
+    expect(elements.duration.textContent).toBe('-0:30');
+  });
+
+  it('starts a playlist crossfade by the playing time left', () => {
+    playingAt(100);
+    values.set('trackSpeed', { rate: 0.5, preservePitch: true, semitones: 0 });
+    values.set('autoplay', true);
+    values.set('holdingTankMode', 'playlist');
+    howlerUtils.updateTimeTracker();
+    expect(elements.duration.textContent).toBe('-0:40');
+    expect(window.triggerEarlyCrossfade).toHaveBeenCalledWith(40);
+  });
+});
@@ -5,7 +5,7 @@ vi.mock('../../../src/renderer/modules/bulk-operations/multi-song-import.js', ()
 vi.mock('../../../src/renderer/modules/categories/category-data.js', () => ({ populateCategorySelect: vi.fn(), findUniqueCategoryCode: vi.fn(), refreshCategories: vi.fn(), getCategoryDescription: vi.fn() }));
 vi.mock('../../../src/renderer/modules/ui/bootstrap-helpers.js', () => ({ safeShowModal: showModal, safeHideModal: vi.fn() }));
 vi.mock('../../../src/renderer/modules/drag-drop/drag-drop-functions.js', () => ({ songDrag: vi.fn() }));
-globalThis.alert = vi.fn(); globalThis.window = { debugLog: { info: vi.fn() }, secureElectronAPI: { audio: { getMetadata: vi.fn() } } }; globalThis.document = { getElementById: () => ({ value: '' }) };
+globalThis.alert = vi.fn(); globalThis.window = { debugLog: { info: vi.fn(), warn: vi.fn() }, secureElectronAPI: { audio: { getMetadata: vi.fn() } } }; globalThis.document = { getElementById: () => ({ value: '' }) };
 const bulk = await import('../../../src/renderer/modules/bulk-operations/bulk-operations.js');
 describe('bulk import routing', () => {
   beforeEach(() => vi.clearAllMocks());
@@ -1,5 +1,5 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
-const db = { getCategories: vi.fn(), getCategoryByCode: vi.fn(), updateCategory: vi.fn(), addCategory: vi.fn(), reassignSongCategory: vi.fn(), deleteCategory: vi.fn(), findCategoryCodesLike: vi.fn() };
+const db = { getCategories: vi.fn(), getCategoryByCode: vi.fn(), updateCategory: vi.fn(), addCategory: vi.fn(), reassignSongCategory: vi.fn(), deleteCategory: vi.fn(), findCategoryCodesLike: vi.fn(), getSmartCategories: vi.fn(), addSmartCategory: vi.fn(), updateSmartCategory: vi.fn(), deleteSmartCategory: vi.fn() };
 vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({ secureDatabase: db }));
 globalThis.window = { debugLog: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } };
 globalThis.document = { createElement: () => ({ value: '', textContent: '', selected: false }) };
@@ -39,4 +39,20 @@ describe('category data and operations', () => {
     await expect(operations.addNewCategory('Rock Music')).resolves.toMatchObject({ success: true });
     expect(db.addCategory).toHaveBeenCalledWith({ code: 'ROCK', description: 'Rock Music' });
   });
+  it('compiles smart category queries before saving them', async () => {
+    sharedState.set('categories', { SS: 'Scene Starters' });
+    expect(operations.compileSmartCategoryQuery('cat:"scene starters" dur:<0:30 since:60d')).toMatchObject({
+      searchTerm: null, category: 'SS', advancedFilters: { since: '60', duration: { min: null, max: 29 } }
+    });
+    expect(operations.compileSmartCategoryQuery('drum roll')).toEqual({ searchTerm: 'drum roll', advancedFilters: null });
+
+    db.addSmartCategory.mockResolvedValue({ success: true, data: { code: 'smart:1' } });
+    await operations.addSmartCategory(' Quick ', 'cat:SS dur:<0:30');
+    expect(db.addSmartCategory).toHaveBeenCalledWith({
+      description: 'Quick', query: 'cat:SS dur:<0:30', criteria: expect.objectContaining({ category: 'SS' })
+    });
+    await expect(operations.addSmartCategory('Quick', ' ')).rejects.toThrow(/required/);
+    db.deleteSmartCategory.mockResolvedValue({ success: false, error: 'Not a smart category: SS' });
+    await expect(operations.deleteSmartCategory('SS')).rejects.toThrow('Not a smart category');
+  });
 });
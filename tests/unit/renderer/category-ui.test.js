@@ -1,8 +1,11 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
-const ops={getCategories:vi.fn(),editCategory:vi.fn(),addNewCategory:vi.fn(),deleteCategory:vi.fn()};vi.mock('../../../src/renderer/modules/categories/category-operations.js',()=>ops);vi.mock('../../../src/renderer/modules/ui/bootstrap-helpers.js',()=>({safeShowModal:vi.fn(),safeHideModal:vi.fn()}));
+const ops={getCategories:vi.fn(),editCategory:vi.fn(),addNewCategory:vi.fn(),deleteCategory:vi.fn(),getSmartCategories:vi.fn(),addSmartCategory:vi.fn(),editSmartCategory:vi.fn(),deleteSmartCategory:vi.fn()};vi.mock('../../../src/renderer/modules/categories/category-operations.js',()=>ops);vi.mock('../../../src/renderer/modules/ui/bootstrap-helpers.js',()=>({safeShowModal:vi.fn(),safeHideModal:vi.fn()}));
 const elements=new Map();function node(){return{value:'',textContent:'',innerHTML:'',style:{},children:[],appendChild(x){this.children.push(x);},querySelectorAll:()=>[],remove:vi.fn(),focus:vi.fn(),select:vi.fn()};}globalThis.window={debugLog:{info:vi.fn(),warn:vi.fn(),error:vi.fn()}};globalThis.alert=vi.fn();globalThis.confirm=vi.fn();globalThis.document={getElementById:id=>{if(!elements.has(id))elements.set(id,node());return elements.get(id);},createElement:()=>node(),querySelectorAll:()=>[],querySelector:()=>null};
 const ui=await import('../../../src/renderer/modules/categories/category-ui.js');
-describe('category modal UI',()=>{beforeEach(()=>{vi.clearAllMocks();elements.clear();});
+describe('category modal UI',()=>{beforeEach(()=>{vi.clearAllMocks();elements.clear();ops.getSmartCategories.mockResolvedValue({success:true,data:[]});});
 it('rejects blank descriptions before database access',async()=>{document.getElementById('newCategoryDescription').value=' ';await expect(ui.addNewCategoryUI({preventDefault:vi.fn()})).rejects.toThrow('Category description is required');expect(alert).toHaveBeenCalledWith('Category description is required');expect(ops.addNewCategory).not.toHaveBeenCalled();});
 it('adds a category, clears input, and refreshes selectors',async()=>{document.getElementById('newCategoryDescription').value='Talk';ops.addNewCategory.mockResolvedValue({success:true});ops.getCategories.mockResolvedValue({success:true,data:[]});await ui.addNewCategoryUI({preventDefault:vi.fn()});expect(ops.addNewCategory).toHaveBeenCalledWith('Talk');expect(document.getElementById('newCategoryDescription').value).toBe('');});
-it('logs category loading failures without breaking the modal',async()=>{ops.getCategories.mockRejectedValue(new Error('offline'));await expect(ui.populateCategoriesModal()).resolves.toBeUndefined();expect(window.debugLog.warn).toHaveBeenCalled();});});
+it('logs category loading failures without breaking the modal',async()=>{ops.getCategories.mockRejectedValue(new Error('offline'));await expect(ui.populateCategoriesModal()).resolves.toBeUndefined();expect(window.debugLog.warn).toHaveBeenCalled();});
+it('lists smart categories in their own group after real categories',async()=>{ops.getCategories.mockResolvedValue({success:true,data:[{code:'SS',description:'Scene Starters'}]});ops.getSmartCategories.mockResolvedValue({success:true,data:[{code:'smart:1',description:'Quick starters',query:'cat:SS dur:<0:30'}]});await ui.populateCategorySelect();const select=document.getElementById('category_select');expect(select.children.map(x=>x.value)).toEqual(['*','SS','']);const group=select.children[2];expect(group.label).toBe('Smart Categories');expect(group.children.map(x=>[x.value,x.textContent])).toEqual([['smart:1','Quick starters']]);});
+it('keeps real categories when smart categories fail to load',async()=>{ops.getCategories.mockResolvedValue({success:true,data:[{code:'SS',description:'Scene Starters'}]});ops.getSmartCategories.mockRejectedValue(new Error('offline'));await ui.populateCategorySelect();expect(document.getElementById('category_select').children.map(x=>x.value)).toEqual(['*','SS']);});
+it('requires a name and a search for new smart categories',async()=>{document.getElementById('newSmartCategoryDescription').value='Quick';document.getElementById('newSmartCategoryQuery').value=' ';await expect(ui.addNewSmartCategoryUI({preventDefault:vi.fn()})).rejects.toThrow(/required/);expect(ops.addSmartCategory).not.toHaveBeenCalled();document.getElementById('newSmartCategoryQuery').value='cat:SS dur:<0:30';ops.addSmartCategory.mockResolvedValue({success:true});ops.getCategories.mockResolvedValue({success:true,data:[]});await ui.addNewSmartCategoryUI({preventDefault:vi.fn()});expect(ops.addSmartCategory).toHaveBeenCalledWith('Quick','cat:SS dur:<0:30');expect(document.getElementById('newSmartCategoryQuery').value).toBe('');});});
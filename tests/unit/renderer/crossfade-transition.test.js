@@ -31,6 +31,15 @@ describe('crossfade transition', () => {
     expect(sharedState.get('outgoingSound')).toBeNull();
   });
 
+  it('cuts a hard stop song instead of fading it out', () => {
+    const sound = { playing: () => true, fade: vi.fn(), unload: vi.fn() };
+    const sharedState = createState({ sound, trackFade: { hardStop: true } });
+    prepareCrossfadeTransition({ sharedState, durationMs: 2000, cancelAnimationFrame: vi.fn() });
+    expect(sound.fade).not.toHaveBeenCalled();
+    expect(sound.unload).toHaveBeenCalledOnce();
+    expect(sharedState.get('outgoingSound')).toBeUndefined();
+  });
+
   it('unloads an inactive outgoing sound immediately', () => {
     const sound = { playing: () => false, unload: vi.fn() };
     prepareCrossfadeTransition({
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DUCKING_DEFAULTS,
+  dbToGain,
+  getDuckedVolume,
+  measureLevelDb,
+  normalizeDuckingSettings,
+  stepDuckLevel
+} from '../../../src/renderer/modules/audio/ducking-policy.js';
+
+describe('ducking policy', () => {
+  it('falls back to defaults and clamps out-of-range preferences', () => {
+    expect(normalizeDuckingSettings()).toEqual(DUCKING_DEFAULTS);
+    expect(normalizeDuckingSettings({
+      duck_depth_db: '60', duck_attack_ms: '-10', duck_release_ms: '250.6',
+      duck_on_sfx: false, duck_mic_device: 'usb-mic', duck_mic_threshold_db: 'loud'
+    })).toEqual({
+      depthDb: 40, attackMs: 0, releaseMs: 251, onSfx: false, micDevice: 'usb-mic', micThresholdDb: -40
+    });
+  });
+
+  it('ramps the full depth over the attack going down and the release coming back', () => {
+    const settings = { depthDb: 20, attackMs: 100, releaseMs: 400 };
+    expect(stepDuckLevel(0, 20, 50, settings)).toBe(10);
+    expect(stepDuckLevel(10, 20, 500, settings)).toBe(20);
+    expect(stepDuckLevel(20, 0, 100, settings)).toBe(15);
+    expect(stepDuckLevel(5, 0, 400, settings)).toBe(0);
+    expect(stepDuckLevel(0, 20, 1, { ...settings, attackMs: 0 })).toBe(20);
+  });
+
+  it('converts the level to a gain that multiplies the volume, capped at 1', () => {
+    expect(dbToGain(0)).toBe(1);
+    expect(dbToGain(-20)).toBeCloseTo(0.1);
+    expect(getDuckedVolume(0.8, 0.5)).toBeCloseTo(0.4);
+    expect(getDuckedVolume(0.8, undefined)).toBe(0.8);
+    expect(getDuckedVolume(1.5)).toBe(1);
+  });
+
+  it('measures the RMS level of a block of samples in dBFS', () => {
+    expect(measureLevelDb(new Float32Array([1, -1, 1, -1]))).toBeCloseTo(0);
+    expect(measureLevelDb(new Float32Array([0.1, -0.1]))).toBeCloseTo(-20);
+    expect(measureLevelDb(new Float32Array(4))).toBe(-100);
+    expect(measureLevelDb([])).toBe(-100);
+  });
+});
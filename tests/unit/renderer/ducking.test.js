@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const preferences = {};
+const getPreference = vi.fn(async key => (key in preferences ? { success: true, value: preferences[key] } : { success: false }));
+const values = new Map();
+const listeners = new Map();
+
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/preferences/profile-preference-adapter.js', () => ({ getPreference }));
+vi.mock('../../../src/renderer/modules/shared-state.js', () => ({
+  default: {
+    get: key => values.get(key),
+    set: (key, value) => {
+      values.set(key, value);
+      listeners.get(key)?.(value);
+    },
+    subscribe: (key, callback) => listeners.set(key, callback)
+  }
+}));
+
+let frame = null;
+globalThis.requestAnimationFrame = vi.fn((callback) => { frame = callback; return 1; });
+globalThis.window = { secureElectronAPI: {}, addEventListener: vi.fn() };
+const slider = { value: '50' };
+globalThis.document = { getElementById: id => (id === 'volume' ? slider : null) };
+
+const ducking = await import('../../../src/renderer/modules/ducking/index.js');
+
+// Run the ramp until it settles, one frame every 10 ms
+function runRamp(start = 0) {
+  let now = start;
+  while (frame) {
+    const next = frame;
+    frame = null;
+    next(now);
+    now += 10;
+  }
+}
+
+function sound(fading = false) {
+  return { _sounds: [{ _interval: fading ? 3 : null }], volume: vi.fn() };
+}
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  Object.assign(preferences, {
+    duck_depth_db: 20, duck_attack_ms: 100, duck_release_ms: 200, duck_on_sfx: true, duck_mic_device: ''
+  });
+  values.set('trackVolume', 1);
+  values.set('sfxVoiceCount', 0);
+  await ducking.refreshDucking();
+  ducking.releaseDuck();
+  runRamp();
+  frame = null;
+});
+
+afterEach(() => {
+  ducking.stopMicSidechain();
+  vi.useRealTimers();
+});
+
+describe('ducking', () => {
+  it('dips the main track by the depth while the key is held and brings it back', () => {
+    values.set('sound', sound());
+    ducking.holdDuck();
+    runRamp();
+    expect(values.get('duckGain')).toBeCloseTo(0.1);
+    expect(values.get('sound').volume).toHaveBeenLastCalledWith(expect.closeTo(0.05));
+
+    ducking.releaseDuck();
+    runRamp();
+    expect(values.get('duckGain')).toBe(1);
+    expect(values.get('sound').volume).toHaveBeenLastCalledWith(0.5);
+  });
+
+  it('leaves a fading sound alone but keeps the gain for the volume controls', () => {
+    values.set('sound', sound(true));
+    ducking.holdDuck();
+    runRamp();
+    expect(values.get('duckGain')).toBeCloseTo(0.1);
+    expect(values.get('sound').volume).not.toHaveBeenCalled();
+  });
+
+  it('stays down until every source has let go', () => {
+    ducking.holdDuck();
+    ducking.setDuckSource('sfx', true);
+    runRamp();
+    ducking.releaseDuck();
+    runRamp();
+    expect(values.get('duckGain')).toBeCloseTo(0.1);
+    ducking.setDuckSource('sfx', false);
+    runRamp();
+    expect(values.get('duckGain')).toBe(1);
+  });
+
+  it('ducks under sound effects unless that trigger is turned off', async () => {
+    ducking.initializeDucking();
+    await ducking.refreshDucking();
+    listeners.get('sfxVoiceCount')(2);
+    runRamp();
+    expect(values.get('duckGain')).toBeCloseTo(0.1);
+
+    preferences.duck_on_sfx = false;
+    await ducking.refreshDucking();
+    listeners.get('sfxVoiceCount')(2);
+    runRamp();
+    expect(values.get('duckGain')).toBe(1);
+  });
+
+  it('ducks while the chosen microphone is above its threshold', async () => {
+    // The ramp runs on the stubbed requestAnimationFrame
+    vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'Date'] });
+    let level = 0;
+    const track = { stop: vi.fn(), addEventListener: vi.fn() };
+    const stream = { getTracks: () => [track], getAudioTracks: () => [track] };
+    const getUserMedia = vi.fn(async () => stream);
+    globalThis.navigator = { mediaDevices: { getUserMedia } };
+    globalThis.AudioContext = class {
+      createAnalyser() {
+        return { fftSize: 0, getFloatTimeDomainData: samples => samples.fill(level) };
+      }
+      createMediaStreamSource() { return { connect: vi.fn() }; }
+      close() { return Promise.resolve(); }
+    };
+
+    preferences.duck_mic_device = 'usb-mic';
+    preferences.duck_mic_threshold_db = -30;
+    await ducking.refreshDucking();
+    expect(getUserMedia).toHaveBeenCalledWith({ audio: expect.objectContaining({ deviceId: { exact: 'usb-mic' } }) });
+
+    level = 0.1; // -20 dBFS
+    vi.advanceTimersByTime(50);
+    runRamp();
+    expect(values.get('duckGain')).toBeCloseTo(0.1);
+
+    level = 0;
+    vi.advanceTimersByTime(200);
+    expect(frame).toBeNull(); // Still inside the hold time
+    vi.advanceTimersByTime(300);
+    runRamp();
+    expect(values.get('duckGain')).toBe(1);
+
+    preferences.duck_mic_device = '';
+    await ducking.refreshDucking();
+    expect(track.stop).toHaveBeenCalledOnce();
+  });
+});
@@ -0,0 +1,156 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const showModal = vi.fn();
+const customConfirm = vi.fn();
+const secureDatabase = { findDuplicateSongs: vi.fn(), mergeDuplicateSongs: vi.fn() };
+const secureFileSystem = { delete: vi.fn() };
+const securePath = { join: vi.fn(async (...parts) => ({ success: true, data: parts.join('/') })) };
+const secureStore = { get: vi.fn(async () => ({ success: true, value: '/music' })) };
+
+vi.mock('../../../src/renderer/modules/ui/bootstrap-adapter.js', () => ({ showModal }));
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/utils/index.js', () => ({ customConfirm }));
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({
+  secureDatabase, secureFileSystem, securePath, secureStore
+}));
+
+function element() {
+  return {
+    textContent: '', style: {}, attributes: {}, children: [], listeners: {},
+    setAttribute(name, value) { this.attributes[name] = value; },
+    getAttribute(name) { return this.attributes[name] ?? null; },
+    addEventListener(type, listener) { this.listeners[type] = listener; },
+    appendChild(child) { this.children.push(child); return child; },
+  };
+}
+
+const elements = new Map();
+let checkedKeep = null;
+
+globalThis.window = {};
+globalThis.document = {
+  getElementById: (id) => {
+    if (!elements.has(id)) elements.set(id, element());
+    return elements.get(id);
+  },
+  querySelector: () => (checkedKeep ? { value: checkedKeep } : null),
+  querySelectorAll: () => [],
+  createElement: () => element(),
+};
+
+const duplicateFinder = await import('../../../src/renderer/modules/duplicate-finder/index.js');
+
+const group = {
+  reasons: ['title-artist', 'file-hash'],
+  songs: [
+    { id: 3, title: 'Walk On', artist: 'Band', filename: 'walk.mp3', play_count: 1 },
+    { id: 9, title: 'Walk On', artist: 'Band', filename: 'walk-copy.mp3', play_count: 4 },
+  ],
+};
+
+function registry() {
+  return {
+    hotkeys: {
+      getHotkeySnapshot: () => [{ tabNumber: 1, tabName: null, hotkeys: { f1: '3', f2: '5' } }],
+      restoreHotkeySnapshot: vi.fn(),
+    },
+    holdingTank: {
+      getHoldingTankSnapshot: () => [{ tabNumber: 1, tabName: 'Show', songIds: ['5', '3'] }],
+      restoreHoldingTankSnapshot: vi.fn(),
+    },
+    profileState: { saveProfileState: vi.fn() },
+  };
+}
+
+describe('duplicate finder helpers', () => {
+  it('keeps the most played song, then the oldest', () => {
+    expect(duplicateFinder.chooseSongToKeep(group.songs).id).toBe(9);
+    expect(duplicateFinder.chooseSongToKeep([{ id: 7 }, { id: 2 }]).id).toBe(2);
+    expect(duplicateFinder.chooseSongToKeep([])).toBeNull();
+  });
+
+  it('repoints hotkey and holding tank snapshots', () => {
+    const map = { 3: '9' };
+    expect(duplicateFinder.remapHotkeySnapshot([{ tabNumber: 1, hotkeys: { f1: '3', f4: '5' } }], map))
+      .toEqual([{ tabNumber: 1, hotkeys: { f1: '9', f4: '5' } }]);
+    expect(duplicateFinder.remapHoldingTankSnapshot([{ tabNumber: 2, songIds: ['3', '5', '3'] }], map))
+      .toEqual([{ tabNumber: 2, songIds: ['9', '5', '9'] }]);
+  });
+});
+
+describe('duplicate finder view', () => {
+  let modules;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    elements.clear();
+    checkedKeep = null;
+    modules = registry();
+    duplicateFinder.initializeDuplicateFinder({ moduleRegistry: modules });
+    secureDatabase.findDuplicateSongs.mockResolvedValue({ success: true, data: [group] });
+  });
+
+  it('opens the modal and renders one card per group', async () => {
+    await duplicateFinder.showDuplicateFinder();
+    expect(showModal).toHaveBeenCalledWith('#duplicateFinderModal');
+    const cards = document.getElementById('duplicate-finder-groups').children;
+    expect(cards).toHaveLength(1);
+    expect(document.getElementById('duplicate-finder-message').style.display).toBe('none');
+  });
+
+  it('reports when there is nothing to merge', async () => {
+    secureDatabase.findDuplicateSongs.mockResolvedValue({ success: true, data: [] });
+    await duplicateFinder.loadDuplicateGroups();
+    expect(document.getElementById('duplicate-finder-message').textContent).toBe('No duplicate songs found.');
+  });
+
+  it('merges into the selected song, repoints the open profile and deletes orphaned files', async () => {
+    await duplicateFinder.loadDuplicateGroups();
+    checkedKeep = '3';
+    customConfirm.mockResolvedValue(true);
+    secureDatabase.mergeDuplicateSongs.mockResolvedValue({
+      success: true,
+      data: { keptId: 3, removedIds: [9], orphanedFiles: ['walk-copy.mp3'], profilesUpdated: [] },
+    });
+    modules.hotkeys.getHotkeySnapshot = () => [{ tabNumber: 1, tabName: null, hotkeys: { f1: '9' } }];
+    secureFileSystem.delete.mockResolvedValue({ success: true });
+
+    const merge = await duplicateFinder.mergeDuplicateGroup(0);
+    expect(secureDatabase.mergeDuplicateSongs).toHaveBeenCalledWith(3, [9]);
+    expect(modules.hotkeys.restoreHotkeySnapshot).toHaveBeenCalledWith([{ tabNumber: 1, tabName: null, hotkeys: { f1: '3' } }]);
+    expect(modules.holdingTank.restoreHoldingTankSnapshot).toHaveBeenCalledWith([{ tabNumber: 1, tabName: 'Show', songIds: ['5', '3'] }]);
+    expect(modules.profileState.saveProfileState).toHaveBeenCalledOnce();
+    expect(secureFileSystem.delete).toHaveBeenCalledWith('/music/walk-copy.mp3');
+    expect(merge.deletedFiles).toBe(1);
+    expect(secureDatabase.findDuplicateSongs).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the files when the delete offer is declined', async () => {
+    await duplicateFinder.loadDuplicateGroups();
+    customConfirm.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    secureDatabase.mergeDuplicateSongs.mockResolvedValue({
+      success: true,
+      data: { keptId: 9, removedIds: [3], orphanedFiles: ['walk.mp3'], profilesUpdated: ['Host'] },
+    });
+
+    await duplicateFinder.mergeDuplicateGroup(0);
+    expect(secureDatabase.mergeDuplicateSongs).toHaveBeenCalledWith(9, [3]);
+    expect(secureFileSystem.delete).not.toHaveBeenCalled();
+  });
+
+  it('does nothing when the merge is not confirmed', async () => {
+    await duplicateFinder.loadDuplicateGroups();
+    customConfirm.mockResolvedValue(false);
+    await expect(duplicateFinder.mergeDuplicateGroup(0)).resolves.toBeNull();
+    expect(secureDatabase.mergeDuplicateSongs).not.toHaveBeenCalled();
+  });
+
+  it('shows merge failures in the view', async () => {
+    await duplicateFinder.loadDuplicateGroups();
+    customConfirm.mockResolvedValue(true);
+    secureDatabase.mergeDuplicateSongs.mockResolvedValue({ success: false, error: 'Song not found: 9' });
+    await expect(duplicateFinder.mergeDuplicateGroup(0)).resolves.toBeNull();
+    expect(document.getElementById('duplicate-finder-message').textContent).toBe('Could not merge duplicates: Song not found: 9');
+    expect(modules.profileState.saveProfileState).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { createLoudnessMeter, gatedLoudness, measureLoudness } from '../../../src/renderer/modules/loudness/ebu-r128.js';
+
+const RATE = 48000;
+
+function sine({ frequency = 1000, amplitude = 1, seconds = 5, phase = 0 } = {}) {
+  return Float32Array.from({ length: RATE * seconds }, (_, i) =>
+    amplitude * Math.sin(2 * Math.PI * frequency * i / RATE + phase));
+}
+
+describe('EBU R128 loudness meter', () => {
+  it('measures a full-scale 1 kHz tone on one channel at -3.01 LUFS', () => {
+    const { integratedLufs, truePeakDbtp } = measureLoudness([sine()], RATE);
+    expect(integratedLufs).toBeCloseTo(-3.01, 1);
+    expect(truePeakDbtp).toBeCloseTo(0, 1);
+  });
+
+  it('sums stereo channels', () => {
+    const tone = sine({ amplitude: 0.1 });
+    expect(measureLoudness([tone, tone], RATE).integratedLufs).toBeCloseTo(-20, 1);
+  });
+
+  it('gives the same result when fed in pieces', () => {
+    const tone = sine({ amplitude: 0.25, seconds: 3 });
+    const meter = createLoudnessMeter(RATE, 1);
+    for (let start = 0; start < tone.length; start += 7001) {
+      meter.addSamples([tone], start, Math.min(tone.length, start + 7001));
+    }
+    expect(meter.finish().integratedLufs).toBeCloseTo(measureLoudness([tone], RATE).integratedLufs, 6);
+  });
+
+  it('finds peaks between samples', () => {
+    const tone = sine({ frequency: 12000, amplitude: 0.5, seconds: 1, phase: Math.PI / 4 });
+    const samplePeak = 20 * Math.log10(Math.max(...tone.map(Math.abs)));
+    const { truePeakDbtp } = measureLoudness([tone], RATE);
+    expect(samplePeak).toBeLessThan(-8);
+    expect(truePeakDbtp).toBeCloseTo(-6.02, 0);
+  });
+
+  it('reports silence and very short audio as unmeasurable', () => {
+    expect(measureLoudness([new Float32Array(RATE)], RATE)).toEqual({
+      integratedLufs: null, truePeakDbtp: null, durationSeconds: 1
+    });
+    expect(measureLoudness([sine({ seconds: 0.2 })], RATE).integratedLufs).toBeNull();
+  });
+
+  it('drops blocks below the absolute and relative gates', () => {
+    const energy = lufs => 10 ** ((lufs + 0.691) / 10);
+    expect(gatedLoudness([energy(-20), energy(-20), energy(-40), energy(-80)])).toBeCloseTo(-20, 6);
+    expect(gatedLoudness([energy(-80)])).toBeNull();
+  });
+
+  it('rejects a mismatched channel count', () => {
+    expect(() => createLoudnessMeter(RATE, 2).addSamples([sine({ seconds: 1 })])).toThrow(/Expected 2 channels/);
+  });
+});
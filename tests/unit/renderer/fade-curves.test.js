@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import {
+  getFadeInDuration,
+  getFadeInGain,
+  getFadeOutDuration,
+  getFadeVolume,
+  getTrackFade,
+  normalizeFadeSettings
+} from '../../../src/renderer/modules/audio/fade-curves.js';
+
+describe('fade curves', () => {
+  it('falls back to linear curves and no fade-in', () => {
+    expect(normalizeFadeSettings()).toEqual({
+      fadeInSeconds: 0, fadeOutCurve: 'linear', crossfadeCurve: 'linear', fadeInCurve: 'linear'
+    });
+    expect(normalizeFadeSettings({
+      fade_in_seconds: '2.5', fade_out_curve: 'exponential', crossfade_curve: 'equal-power', fade_in_curve: 'wobbly'
+    })).toEqual({
+      fadeInSeconds: 2.5, fadeOutCurve: 'exponential', crossfadeCurve: 'equal-power', fadeInCurve: 'linear'
+    });
+    expect(normalizeFadeSettings({ fade_in_seconds: -4 }).fadeInSeconds).toBe(0);
+  });
+
+  it('runs every curve from silence to full', () => {
+    for (const curve of ['linear', 'exponential', 'equal-power']) {
+      expect(getFadeInGain(curve, 0)).toBeCloseTo(0);
+      expect(getFadeInGain(curve, 1)).toBeCloseTo(1);
+    }
+    expect(getFadeInGain('linear', 0.5)).toBe(0.5);
+    // Halfway through, the exponential curve is 30 dB down
+    expect(getFadeInGain('exponential', 0.5)).toBeCloseTo(0.031, 3);
+  });
+
+  it('keeps the power of an equal-power crossfade constant', () => {
+    for (const progress of [0.1, 0.25, 0.5, 0.8]) {
+      const incoming = getFadeVolume(0, 1, progress, 'equal-power');
+      const outgoing = getFadeVolume(1, 0, progress, 'equal-power');
+      expect(incoming ** 2 + outgoing ** 2).toBeCloseTo(1);
+    }
+    expect(getFadeVolume(1, 0, 0.5, 'equal-power')).toBeCloseTo(Math.SQRT1_2);
+  });
+
+  it('fades down along the same curve run backwards', () => {
+    expect(getFadeVolume(0.8, 0.2, 0, 'exponential')).toBeCloseTo(0.8);
+    expect(getFadeVolume(0.8, 0.2, 1, 'exponential')).toBeCloseTo(0.2);
+    expect(getFadeVolume(0.8, 0, 0.5, 'exponential')).toBeCloseTo(0.8 * getFadeInGain('exponential', 0.5));
+  });
+
+  it('prefers a song’s own fade times and honours its hard stop', () => {
+    const own = getTrackFade({ fade_in_seconds: 1.5, fade_out_seconds: 0, hard_stop: 0 });
+    expect(own).toEqual({ fadeInSeconds: 1.5, fadeOutSeconds: 0, hardStop: false });
+    expect(getFadeOutDuration(own, '3')).toBe(0);
+    expect(getFadeInDuration(own, 4)).toBe(1500);
+
+    const profile = getTrackFade({});
+    expect(getFadeOutDuration(profile, '3')).toBe(3000);
+    expect(getFadeOutDuration(profile, null)).toBe(0);
+    expect(getFadeInDuration(profile, 0)).toBe(0);
+
+    expect(getFadeOutDuration(getTrackFade({ fade_out_seconds: 5, hard_stop: 1 }), '3')).toBe(0);
+  });
+});
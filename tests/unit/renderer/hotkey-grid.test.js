@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import {
+  PAD_KEYS,
+  parseHotkeyGrid,
+  formatHotkeyGrid,
+  getPadKeys,
+  getPadLabel,
+  getPadKeyboardKey,
+  getPadForKeyboardKey
+} from '../../../src/renderer/modules/hotkeys/hotkey-grid.js';
+
+describe('hotkey grids', () => {
+  it('parses rows by columns within the limits', () => {
+    expect(parseHotkeyGrid('4x8')).toEqual({ rows: 4, columns: 8 });
+    expect(parseHotkeyGrid(' 3 × 5 ')).toEqual({ rows: 3, columns: 5 });
+    expect(() => parseHotkeyGrid('4 by 8')).toThrow('Invalid grid size: 4 by 8');
+    expect(() => parseHotkeyGrid('4x9')).toThrow(RangeError);
+    expect(() => parseHotkeyGrid('0x4')).toThrow(RangeError);
+    expect(formatHotkeyGrid({ rows: 4, columns: 8 })).toBe('4x8');
+  });
+
+  it('keys pads in reading order and labels them past F12 by number', () => {
+    expect(getPadKeys({ rows: 2, columns: 3 })).toEqual(['f1', 'f2', 'f3', 'f4', 'f5', 'f6']);
+    expect(getPadKeys()).toHaveLength(12);
+    expect(getPadLabel(12)).toBe('F12');
+    expect(getPadLabel(13)).toBe('13');
+  });
+
+  it('maps keyboard rows to grid rows', () => {
+    const grid = { rows: 4, columns: 8 };
+    expect(getPadForKeyboardKey(grid, '1')).toBe('f1');
+    expect(getPadForKeyboardKey(grid, '8')).toBe('f8');
+    expect(getPadForKeyboardKey(grid, 'q')).toBe('f9');
+    expect(getPadForKeyboardKey(grid, ',')).toBe('f32');
+    expect(getPadForKeyboardKey(grid, '9')).toBeNull();
+    expect(getPadForKeyboardKey(grid, 'x')).toBe('f26');
+    expect(getPadKeyboardKey(grid, 26)).toBe('x');
+    expect(getPadKeyboardKey(grid, 33)).toBeNull();
+  });
+
+  it('plays the classic list from the number row and the first column', () => {
+    const list = { rows: 12, columns: 1 };
+    expect(getPadForKeyboardKey(list, '1')).toBe('f1');
+    expect(getPadForKeyboardKey(list, 'q')).toBe('f2');
+    expect(getPadForKeyboardKey(list, '2')).toBeNull();
+    expect(PAD_KEYS).toHaveLength(40);
+  });
+});
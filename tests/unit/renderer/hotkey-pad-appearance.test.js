@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import {
+  normalizePadAppearance,
+  isDefaultPadAppearance,
+  compactPadAppearance,
+  getPadTextColor
+} from '../../../src/renderer/modules/hotkeys/hotkey-pad-appearance.js';
+
+describe('hotkey pad appearance', () => {
+  it('treats blank labels and colors as none and checks the rest', () => {
+    expect(normalizePadAppearance()).toEqual({ label: null, color: null, artwork: false });
+    expect(normalizePadAppearance({ label: ' Walk \n on ', color: '#00AAFF', artwork: true }))
+      .toEqual({ label: 'Walk on', color: '#00aaff', artwork: true });
+    expect(isDefaultPadAppearance(normalizePadAppearance({ label: '   ', color: '' }))).toBe(true);
+    expect(() => normalizePadAppearance({ label: 'x'.repeat(41) })).toThrow(RangeError);
+    expect(() => normalizePadAppearance({ color: '#fff' })).toThrow(RangeError);
+  });
+
+  it('keeps only the fields that are set', () => {
+    expect(compactPadAppearance({ label: null, color: '#112233', artwork: false })).toEqual({ color: '#112233' });
+    expect(compactPadAppearance({ label: 'Intro', color: null, artwork: true })).toEqual({ label: 'Intro', artwork: true });
+  });
+
+  it('picks readable text for a pad color', () => {
+    expect(getPadTextColor('#ffeb3b')).toBe('#000000');
+    expect(getPadTextColor('#1a237e')).toBe('#ffffff');
+  });
+});
@@ -0,0 +1,79 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+globalThis.window = { debugLog: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } };
+globalThis.document = {
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  createElement: () => ({ style: {}, setAttribute() {}, appendChild() {} })
+};
+const { HotkeysModule } = await import('../../../src/renderer/modules/hotkeys/index.js');
+const { default: sharedState } = await import('../../../src/renderer/modules/shared-state.js');
+
+// A pad on tab 1 whose song starts when `start` is called
+function createPad(behavior) {
+  const module = Object.create(HotkeysModule.prototype);
+  module.moduleRegistry = {};
+  module.missingSongIds = new Set();
+  module.heldPads = new Map();
+  module.pendingPads = new Map();
+  module.state = { getPadSettings: () => ({ behavior, volume: 100 }) };
+  module.getHotkeyElementFromActiveTab = () => ({ getAttribute: name => (name === 'songid' ? '5' : null) });
+  module.getHotkeyLocation = () => ({ tabNumber: 1, key: 'f1' });
+  module.stopPad = vi.fn();
+  const starts = [];
+  module.playSongFromHotkey = vi.fn(() => new Promise((resolve) => {
+    starts.push(() => {
+      sharedState.set('sound', { playing: () => true });
+      sharedState.set('soundPad', '1:f1');
+      resolve();
+    });
+  }));
+  return { module, starts };
+}
+
+// Let the pad's start promise chain run
+const settle = () => new Promise(resolve => setTimeout(resolve));
+
+beforeEach(() => {
+  sharedState.reset();
+});
+
+describe('hotkey pad press while its song is starting', () => {
+  it('stops a momentary pad released before its song started', async () => {
+    const { module, starts } = createPad('momentary');
+
+    module.pressHotkey('f1');
+    module.releaseHotkey('f1');
+    expect(module.playSongFromHotkey).toHaveBeenCalledOnce();
+
+    starts[0]();
+    await settle();
+    expect(module.stopPad).toHaveBeenLastCalledWith('1:f1', { fade: false });
+    expect(module.pendingPads.size).toBe(0);
+  });
+
+  it('stops a toggle pad pressed again before its song started instead of starting it twice', async () => {
+    const { module, starts } = createPad('toggle');
+
+    module.pressHotkey('f1');
+    module.pressHotkey('f1');
+    expect(module.playSongFromHotkey).toHaveBeenCalledOnce();
+
+    starts[0]();
+    await settle();
+    expect(module.stopPad).toHaveBeenLastCalledWith('1:f1', { fade: false });
+  });
+
+  it('leaves a held momentary pad playing once its song has started', async () => {
+    const { module, starts } = createPad('momentary');
+
+    module.pressHotkey('f1');
+    starts[0]();
+    await settle();
+    expect(module.stopPad).not.toHaveBeenCalled();
+
+    module.releaseHotkey('f1');
+    expect(module.stopPad).toHaveBeenCalledWith('1:f1');
+  });
+});
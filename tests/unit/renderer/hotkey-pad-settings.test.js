@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import {
+  normalizePadSettings,
+  isDefaultPadSettings,
+  getPadPressAction,
+  getPadReleaseAction,
+  getPadId
+} from '../../../src/renderer/modules/hotkeys/hotkey-pad-settings.js';
+
+describe('hotkey pad settings', () => {
+  it('fills in defaults and checks behaviors and volumes', () => {
+    expect(normalizePadSettings()).toEqual({ behavior: 'retrigger', volume: 100 });
+    expect(normalizePadSettings({ behavior: 'toggle', volume: '40' })).toEqual({ behavior: 'toggle', volume: 40 });
+    expect(() => normalizePadSettings({ behavior: 'loop' })).toThrow(RangeError);
+    expect(() => normalizePadSettings({ volume: 101 })).toThrow(RangeError);
+    expect(() => normalizePadSettings({ volume: 12.5 })).toThrow(RangeError);
+    expect(isDefaultPadSettings(normalizePadSettings({ volume: '' }))).toBe(true);
+  });
+
+  it('decides what a press does from the behavior and whether the pad is playing', () => {
+    for (const behavior of ['retrigger', 'toggle', 'momentary', 'fade']) {
+      expect(getPadPressAction(behavior, false)).toBe('play');
+    }
+    expect(getPadPressAction('retrigger', true)).toBe('play');
+    expect(getPadPressAction('momentary', true)).toBe('play');
+    expect(getPadPressAction('toggle', true)).toBe('stop');
+    expect(getPadPressAction('fade', true)).toBe('fade');
+  });
+
+  it('stops only a playing momentary pad on release', () => {
+    expect(getPadReleaseAction('momentary', true)).toBe('stop');
+    expect(getPadReleaseAction('momentary', false)).toBeNull();
+    expect(getPadReleaseAction('toggle', true)).toBeNull();
+    expect(getPadId(2, 'f5')).toBe('2:f5');
+  });
+});
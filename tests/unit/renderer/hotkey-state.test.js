@@ -71,6 +71,82 @@ describe('HotkeyState', () => {
     expect(state.getAssignment(2, 'f5')).toBe('18');
   });
 
+  it('starts a hotkey at a marker and saves it only for tabs that use one', () => {
+    const state = new HotkeyState([{ tabNumber: 2, hotkeys: { f3: '17' }, markers: { f3: 'Chorus', f4: 'Orphan' } }]);
+    expect(state.getMarker(2, 'F3')).toBe('Chorus');
+    expect(state.getMarker(2, 'f4')).toBeNull();
+    expect(state.setMarker(2, 'f3', ' Big  finish ')).toBe(true);
+    expect(state.setMarker(2, 'f3', 'Big finish')).toBe(false);
+    expect(state.toSnapshot()[1]).toEqual({ tabNumber: 2, tabName: null, hotkeys: { f3: '17' }, markers: { f3: 'Big finish' } });
+    state.setMarker(2, 'f3', '');
+    expect(state.toSnapshot()[1]).toEqual({ tabNumber: 2, tabName: null, hotkeys: { f3: '17' } });
+    expect(() => state.setMarker(2, 'f5', 'Chorus')).toThrow('No song is assigned to F5');
+  });
+
+  it('moves a marker with its song and drops it for a new song', () => {
+    const state = new HotkeyState([{ tabNumber: 1, hotkeys: { f1: 'a', f2: 'b' }, markers: { f1: 'Chorus' } }]);
+    state.assign(1, 'f2', 'a');
+    expect(state.getMarker(1, 'f2')).toBe('Chorus');
+    expect(state.getMarker(1, 'f1')).toBeNull();
+    state.assign(1, 'f2', 'c');
+    expect(state.getMarker(1, 'f2')).toBeNull();
+    state.setMarker(1, 'f1', 'Drop');
+    state.clearSong('b');
+    expect(state.getMarker(1, 'f1')).toBeNull();
+  });
+
+  it('keeps pad settings in the snapshot only for pads that change them', () => {
+    const state = new HotkeyState([{
+      tabNumber: 1,
+      hotkeys: { f1: 'a', f2: 'b', f3: 'c' },
+      pads: { f1: { behavior: 'toggle', volume: 80 }, f2: { behavior: 'retrigger', volume: 100 }, f3: { behavior: 'loop' } }
+    }]);
+    expect(state.getPadSettings(1, 'F1')).toEqual({ behavior: 'toggle', volume: 80 });
+    expect(state.getPadSettings(1, 'f3')).toEqual({ behavior: 'retrigger', volume: 100 });
+    expect(state.toSnapshot()[0].pads).toEqual({ f1: { behavior: 'toggle', volume: 80 } });
+
+    expect(state.setPadSettings(1, 'f2', { behavior: 'momentary' })).toBe(true);
+    expect(state.setPadSettings(1, 'f2', { behavior: 'momentary', volume: '100' })).toBe(false);
+    state.setPadSettings(1, 'f1', {});
+    expect(state.toSnapshot()[0].pads).toEqual({ f2: { behavior: 'momentary', volume: 100 } });
+    expect(() => state.setPadSettings(1, 'f2', { volume: 0 })).toThrow(RangeError);
+    expect(() => state.setPadSettings(1, 'f4', { behavior: 'fade' })).toThrow('No song is assigned to F4');
+  });
+
+  it('moves pad settings with their song and drops them for a new song', () => {
+    const state = new HotkeyState([{ tabNumber: 1, hotkeys: { f1: 'a', f2: 'b' }, pads: { f1: { behavior: 'fade', volume: 50 } } }]);
+    state.assign(1, 'f2', 'a');
+    expect(state.getPadSettings(1, 'f2')).toEqual({ behavior: 'fade', volume: 50 });
+    expect(state.getPadSettings(1, 'f1').behavior).toBe('retrigger');
+    state.assign(1, 'f2', 'c');
+    expect(state.getPadSettings(1, 'f2').behavior).toBe('retrigger');
+    state.setPadSettings(1, 'f1', { behavior: 'toggle' });
+    state.clear(1, 'f1');
+    state.assign(1, 'f1', 'b');
+    expect(state.getPadSettings(1, 'f1').behavior).toBe('retrigger');
+  });
+
+  it('keeps pad labels, colors and artwork with their song', () => {
+    const state = new HotkeyState([{
+      tabNumber: 1,
+      hotkeys: { f1: 'a', f2: 'b' },
+      appearance: { f1: { label: ' Walk on ', color: '#FF8800' }, f2: { color: 'orange' } }
+    }]);
+    expect(state.getPadAppearance(1, 'f1')).toEqual({ label: 'Walk on', color: '#ff8800', artwork: false });
+    expect(state.getPadAppearance(1, 'f2')).toEqual({ label: null, color: null, artwork: false });
+    expect(state.toSnapshot()[0].appearance).toEqual({ f1: { label: 'Walk on', color: '#ff8800' } });
+
+    expect(state.setPadAppearance(1, 'f2', { artwork: true })).toBe(true);
+    expect(state.setPadAppearance(1, 'f2', { label: '', artwork: true })).toBe(false);
+    expect(() => state.setPadAppearance(1, 'f2', { label: 'x'.repeat(41) })).toThrow(RangeError);
+    expect(() => state.setPadAppearance(1, 'f3', { label: 'Intro' })).toThrow('No song is assigned to F3');
+
+    state.assign(1, 'f3', 'a');
+    expect(state.getPadAppearance(1, 'f3').label).toBe('Walk on');
+    state.clearSong('b');
+    expect(state.toSnapshot()[0].appearance).toEqual({ f3: { label: 'Walk on', color: '#ff8800' } });
+  });
+
   it('notifies once for a batch of mutations', () => {
     const state = new HotkeyState();
     const listener = vi.fn();
@@ -104,4 +180,48 @@ describe('HotkeyState', () => {
     expect(() => state.assign(1, 'f1', '')).toThrow(TypeError);
     expect(state.toSnapshot().flatMap(tab => Object.values(tab.hotkeys))).toEqual([]);
   });
+
+  it('lays a tab out in a larger grid and drops pads past a smaller one', () => {
+    const state = new HotkeyState([{ tabNumber: 1, hotkeys: { f1: '1', f12: '12' }, markers: { f12: 'Chorus' } }]);
+    expect(state.setGrid(1, { rows: 4, columns: 8 })).toBe(true);
+    state.assign(1, 'f32', '32');
+    expect(state.toSnapshot()[0]).toEqual({
+      tabNumber: 1,
+      tabName: null,
+      grid: { rows: 4, columns: 8 },
+      hotkeys: { f1: '1', f12: '12', f32: '32' },
+      markers: { f12: 'Chorus' }
+    });
+
+    state.setGrid(1, { rows: 2, columns: 4 });
+    expect(state.toSnapshot()[0]).toEqual({ tabNumber: 1, tabName: null, grid: { rows: 2, columns: 4 }, hotkeys: { f1: '1' } });
+    expect(() => state.assign(1, 'f9', '9')).toThrow(RangeError);
+    expect(() => state.setGrid(1, { rows: 2, columns: 9 })).toThrow(RangeError);
+    expect(state.setGrid(1, { rows: 2, columns: 4 })).toBe(false);
+  });
+
+  it('adds tabs after the fifth and renumbers them when one is removed', () => {
+    const state = new HotkeyState();
+    expect(state.addTab()).toBe(6);
+    expect(state.addTab()).toBe(7);
+    state.assign(7, 'f1', '17');
+    state.renameTab(7, 'Encore');
+
+    expect(state.removeTab(6)).toBe(true);
+    expect(state.tabCount).toBe(6);
+    expect(state.toSnapshot()[5]).toEqual({ tabNumber: 6, tabName: 'Encore', hotkeys: { f1: '17' } });
+    expect(() => state.removeTab(5)).toThrow(RangeError);
+  });
+
+  it('loads tabs past the fifth and their grids from a snapshot', () => {
+    const state = new HotkeyState([
+      { tabNumber: 6, tabName: 'Cues', grid: { rows: 4, columns: 8 }, hotkeys: { f30: '30' } },
+      { tabNumber: 7, grid: { rows: 99, columns: 1 }, hotkeys: { f13: 'dropped', f2: '2' } }
+    ]);
+    expect(state.tabCount).toBe(7);
+    expect(state.getAssignment(6, 'f30')).toBe('30');
+    expect(state.getGrid(7)).toEqual({ rows: 12, columns: 1 });
+    expect(state.toSnapshot()[6]).toEqual({ tabNumber: 7, tabName: null, hotkeys: { f2: '2' } });
+  });
 });
+
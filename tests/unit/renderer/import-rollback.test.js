@@ -11,4 +11,5 @@ globalThis.document={getElementById:id=>{if(!fields.has(id))fields.set(id,{value
 const crud=await import('../../../src/renderer/modules/song-management/song-crud.js'); const bulk=await import('../../../src/renderer/modules/bulk-operations/bulk-operations.js');
 describe('import rollback',()=>{beforeEach(()=>{vi.clearAllMocks();fields.clear();adapters.securePath.parse.mockResolvedValue({success:true,data:{name:'song',ext:'.mp3'}});adapters.securePath.extname.mockResolvedValue({success:true,data:'.mp3'});adapters.securePath.join.mockResolvedValue({success:true,data:'/music/new.mp3'});adapters.secureStore.get.mockResolvedValue({success:true,value:'/music'});adapters.secureUtilities.generateId.mockResolvedValue({success:true,data:'uuid'});adapters.secureDatabase.addSong.mockResolvedValue({success:true,data:{lastInsertRowid:91}});adapters.secureDatabase.deleteSong.mockResolvedValue({success:true});adapters.secureFileSystem.copy.mockResolvedValue({success:false,error:'disk full'});});
 it('removes a single-song row when its file copy fails',async()=>{await crud.saveNewSong({preventDefault:vi.fn()});expect(adapters.secureDatabase.deleteSong).toHaveBeenCalledWith(91);});
-it('removes a bulk row and stops processing when its file copy fails',async()=>{await bulk.addSongsByPath(['/src/song.mp3','/src/next.mp3'],'MUSC');expect(adapters.secureDatabase.deleteSong).toHaveBeenCalledWith(91);expect(adapters.secureDatabase.addSong).toHaveBeenCalledTimes(1);});});
+it('removes a bulk row and stops processing when its file copy fails',async()=>{await bulk.addSongsByPath(['/src/song.mp3','/src/next.mp3'],'MUSC');expect(adapters.secureDatabase.deleteSong).toHaveBeenCalledWith(91);expect(adapters.secureDatabase.addSong).toHaveBeenCalledTimes(1);});
+it('returns the IDs of the songs a bulk import added',async()=>{adapters.secureFileSystem.copy.mockResolvedValue({success:true});adapters.secureDatabase.addSong.mockResolvedValueOnce({success:true,data:{lastInsertRowid:91}}).mockResolvedValueOnce({success:true,data:{lastInsertRowid:92}});await expect(bulk.addSongsByPath(['/src/song.mp3','/src/next.mp3'],'MUSC')).resolves.toEqual([91,92]);});});
@@ -0,0 +1,157 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const showModal = vi.fn();
+const customConfirm = vi.fn();
+const populateCategorySelect = vi.fn();
+const secureLibrary = {
+  verify: vi.fn(), relinkSongs: vi.fn(), importOrphans: vi.fn(), removeMissingSongs: vi.fn()
+};
+
+vi.mock('../../../src/renderer/modules/ui/bootstrap-adapter.js', () => ({ showModal }));
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/utils/index.js', () => ({ customConfirm }));
+vi.mock('../../../src/renderer/modules/categories/category-data.js', () => ({ populateCategorySelect }));
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({ secureLibrary }));
+
+function element() {
+  return {
+    textContent: '', style: {}, attributes: {}, children: [], listeners: {},
+    setAttribute(name, value) { this.attributes[name] = value; },
+    addEventListener(type, listener) { this.listeners[type] = listener; },
+    appendChild(child) { this.children.push(child); return child; },
+  };
+}
+
+const elements = new Map();
+let checked = {};
+let relinkChoices = {};
+const removedRows = [];
+
+globalThis.window = {};
+globalThis.document = {
+  getElementById: (id) => {
+    if (!elements.has(id)) elements.set(id, element());
+    return elements.get(id);
+  },
+  querySelector: (selector) => {
+    const songId = selector.match(/data-relink-song="(\d+)"/)?.[1];
+    return songId && relinkChoices[songId] ? { value: relinkChoices[songId] } : null;
+  },
+  querySelectorAll: (selector) => {
+    const section = selector.match(/#library-verifier-(\w+)-body/)?.[1];
+    if (section) return (checked[section] || []).map(value => ({ value }));
+    if (selector.startsWith('#search_results')) return [{ remove: () => removedRows.push(selector) }];
+    return [];
+  },
+  createElement: () => element(),
+};
+
+const libraryVerifier = await import('../../../src/renderer/modules/library-verifier/index.js');
+
+const report = {
+  musicDirectory: '/music',
+  songCount: 3,
+  fileCount: 3,
+  missing: [{ id: 4, title: 'Walk On', artist: '', filename: 'walk.mp3', candidates: ['sub/walk.mp3'] }],
+  caseMismatches: [{ id: 6, title: 'Theme', filename: 'theme.mp3', actualFilename: 'Theme.mp3' }],
+  orphaned: ['sub/walk.mp3', 'new.mp3'],
+  caseCollisions: [],
+};
+
+function registry() {
+  return {
+    hotkeys: { getHotkeySnapshot: () => [{ tabNumber: 1, hotkeys: { f1: '4' } }], restoreHotkeySnapshot: vi.fn() },
+    holdingTank: { getHoldingTankSnapshot: () => [{ tabNumber: 1, songIds: ['4'] }], restoreHoldingTankSnapshot: vi.fn() },
+    profileState: { saveProfileState: vi.fn() },
+  };
+}
+
+describe('library verifier view', () => {
+  let modules;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    elements.clear();
+    checked = {};
+    relinkChoices = {};
+    removedRows.length = 0;
+    modules = registry();
+    libraryVerifier.initializeLibraryVerifier({ moduleRegistry: modules });
+    secureLibrary.verify.mockResolvedValue({ success: true, data: report });
+  });
+
+  it('opens the modal and shows only the sections with problems', async () => {
+    await libraryVerifier.showLibraryVerifier();
+    expect(showModal).toHaveBeenCalledWith('#libraryVerifierModal');
+    expect(populateCategorySelect).toHaveBeenCalledWith(document.getElementById('library-verifier-category'), null, { addNewOption: false });
+    expect(document.getElementById('library-verifier-summary').textContent).toBe('Checked 3 songs and 3 files in /music.');
+    expect(document.getElementById('library-verifier-missing-body').children).toHaveLength(1);
+    expect(document.getElementById('library-verifier-orphaned-body').children).toHaveLength(2);
+    expect(document.getElementById('library-verifier-missing').style.display).toBe('');
+    expect(document.getElementById('library-verifier-collisions').style.display).toBe('none');
+  });
+
+  it('reports a clean library', async () => {
+    secureLibrary.verify.mockResolvedValue({
+      success: true, data: { ...report, missing: [], caseMismatches: [], orphaned: [] }
+    });
+    await libraryVerifier.loadLibraryReport();
+    expect(document.getElementById('library-verifier-message').textContent).toMatch(/^No problems found/);
+  });
+
+  it('shows verify failures', async () => {
+    secureLibrary.verify.mockResolvedValue({ success: false, error: 'Music directory is not configured' });
+    await expect(libraryVerifier.loadLibraryReport()).resolves.toBe(false);
+    expect(document.getElementById('library-verifier-message').textContent)
+      .toBe('Could not verify the library: Music directory is not configured');
+  });
+
+  it('relinks checked songs to the chosen file and fixes case', async () => {
+    await libraryVerifier.loadLibraryReport();
+    checked = { missing: ['4'], case: ['6'] };
+    relinkChoices = { 4: 'sub/walk.mp3' };
+    secureLibrary.relinkSongs.mockResolvedValue({ success: true, data: { changes: 1 } });
+
+    await expect(libraryVerifier.relinkMissingSongs()).resolves.toEqual({ changes: 1 });
+    expect(secureLibrary.relinkSongs).toHaveBeenCalledWith([{ songId: '4', filename: 'sub/walk.mp3' }]);
+    await libraryVerifier.fixCaseMismatches();
+    expect(secureLibrary.relinkSongs).toHaveBeenLastCalledWith([{ songId: 6, filename: 'Theme.mp3' }]);
+    expect(secureLibrary.verify).toHaveBeenCalledTimes(3);
+  });
+
+  it('imports checked files into the chosen category', async () => {
+    await libraryVerifier.loadLibraryReport();
+    checked = { orphaned: ['new.mp3'] };
+    document.getElementById('library-verifier-category').value = '';
+    await expect(libraryVerifier.importOrphanedFiles()).resolves.toBeNull();
+    expect(document.getElementById('library-verifier-message').textContent)
+      .toBe('Could not import files: Choose a category for the imported songs');
+
+    document.getElementById('library-verifier-category').value = 'GAME';
+    secureLibrary.importOrphans.mockResolvedValue({ success: true, data: { ids: [12] } });
+    await expect(libraryVerifier.importOrphanedFiles()).resolves.toEqual({ ids: [12] });
+    expect(secureLibrary.importOrphans).toHaveBeenCalledWith(['new.mp3'], 'GAME');
+  });
+
+  it('removes confirmed missing songs and refreshes the open profile', async () => {
+    await libraryVerifier.loadLibraryReport();
+    checked = { missing: ['4'] };
+    customConfirm.mockResolvedValue(true);
+    secureLibrary.removeMissingSongs.mockResolvedValue({ success: true, data: { removedIds: [4] } });
+
+    await libraryVerifier.removeMissingSongs();
+    expect(secureLibrary.removeMissingSongs).toHaveBeenCalledWith(['4']);
+    expect(removedRows).toEqual(['#search_results tr[songid="4"]']);
+    expect(modules.hotkeys.restoreHotkeySnapshot).toHaveBeenCalledWith([{ tabNumber: 1, hotkeys: { f1: '4' } }]);
+    expect(modules.holdingTank.restoreHoldingTankSnapshot).toHaveBeenCalledOnce();
+    expect(modules.profileState.saveProfileState).toHaveBeenCalledOnce();
+  });
+
+  it('does nothing when removal is not confirmed', async () => {
+    await libraryVerifier.loadLibraryReport();
+    checked = { missing: ['4'] };
+    customConfirm.mockResolvedValue(false);
+    await expect(libraryVerifier.removeMissingSongs()).resolves.toBeNull();
+    expect(secureLibrary.removeMissingSongs).not.toHaveBeenCalled();
+  });
+});
@@ -1,13 +1,13 @@
-import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 
 const searchSongs = vi.fn();
 vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({ secureDatabase: { searchSongs } }));
 vi.mock('../../../src/renderer/modules/drag-drop/drag-drop-functions.js', () => ({ songDrag: vi.fn() }));
+vi.mock('../../../src/renderer/modules/utils/index.js', () => ({ scaleScrollable: vi.fn() }));
 
 function node(tag = 'div') { return { tag, value: '', offsetParent: null, style: {}, children: [], appendChild(c) { if (c.tag === 'fragment') this.children.push(...c.children); else this.children.push(c); }, querySelectorAll() { return []; }, setAttribute(k,v){this[k]=v;}, addEventListener: vi.fn() }; }
 const tbody = node('tbody'); const thead = node('thead'); const category = node('select'); const advanced = node();
 globalThis.window = { debugLog: { info: vi.fn(), warn: vi.fn() } };
-globalThis.scaleScrollable = vi.fn();
 globalThis.document = {
   querySelector: (s) => s.endsWith('tbody') ? tbody : thead,
   getElementById: (id) => id === 'category_select' ? category : id === 'advanced-search' ? advanced : null,
@@ -15,15 +15,70 @@ globalThis.document = {
 };
 const sharedState = (await import('../../../src/renderer/modules/shared-state.js')).default;
 const live = await import('../../../src/renderer/modules/search/live-search.js');
+const { clearSearchTimeout, scheduleSearch } = await import('../../../src/renderer/modules/search/search-timeout.js');
 
 describe('live search', () => {
   beforeEach(() => { vi.clearAllMocks(); tbody.children.length = 0; category.value = '*'; advanced.offsetParent = null; sharedState.set('categories', { MUS: 'Music' }); });
+  afterEach(() => { clearSearchTimeout(); vi.useRealTimers(); });
   it('builds a basic query and renders successful results', async () => {
     searchSongs.mockResolvedValue({ success: true, data: [{ id: 1, category: 'MUS', title: 'Song', artist: 'A', info: '', time: '1:00' }] });
     await live.performLiveSearch('so');
-    expect(searchSongs).toHaveBeenCalledWith({ category: '*', searchTerm: 'so', advancedFilters: null });
+    expect(searchSongs).toHaveBeenCalledWith({ category: '*', searchTerm: 'so', advancedFilters: null, fuzzy: false });
     expect(tbody.children[0].children[0].textContent).toBe('Music');
   });
+  it('compiles field qualifiers typed into the omni-search box', async () => {
+    searchSongs.mockResolvedValue({ success: true, data: [] });
+    await live.performLiveSearch('artist:queen cat:mus');
+    expect(searchSongs).toHaveBeenCalledWith(expect.objectContaining({
+      category: 'MUS',
+      searchTerm: null,
+      advancedFilters: expect.objectContaining({ artist: 'queen' }),
+    }));
+  });
+  it('flags fuzzy matches in the rendered rows', async () => {
+    searchSongs.mockResolvedValue({ success: true, data: [
+      { id: 1, category: 'MUS', title: 'Song', artist: 'A', info: '', time: '1:00' },
+      { id: 2, category: 'MUS', title: 'Sang', artist: 'B', info: '', time: '1:00', fuzzy: true },
+    ] });
+    await live.performLiveSearch('song');
+    expect(tbody.children[0].className).not.toContain('fuzzy-match');
+    expect(tbody.children[1].className).toContain('fuzzy-match');
+    expect(tbody.children[1].children[2].title).toBe('Approximate match');
+  });
+  it('asks for fuzzy matches once typing pauses and shows them', async () => {
+    vi.useFakeTimers();
+    const exact = { id: 1, category: 'MUS', title: 'Song', artist: 'A', info: '', time: '1:00' };
+    searchSongs
+      .mockResolvedValueOnce({ success: true, data: [exact] })
+      .mockResolvedValueOnce({ success: true, data: [exact, { ...exact, id: 2, title: 'Sang', fuzzy: true }] });
+    await live.performLiveSearch('song');
+    expect(searchSongs).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(700);
+    expect(searchSongs).toHaveBeenLastCalledWith(expect.objectContaining({ searchTerm: 'song', fuzzy: true }));
+    expect(tbody.children.at(-1).className).toContain('fuzzy-match');
+  });
+  it('drops the fuzzy follow-up when the operator types on', async () => {
+    vi.useFakeTimers();
+    searchSongs.mockResolvedValue({ success: true, data: [] });
+    await live.performLiveSearch('sng');
+    scheduleSearch(vi.fn());
+    await vi.advanceTimersByTimeAsync(700);
+    expect(searchSongs).toHaveBeenCalledTimes(1);
+  });
+  it('drops a slow fuzzy response once the results were cleared', async () => {
+    vi.useFakeTimers();
+    let resolveFuzzy;
+    searchSongs
+      .mockResolvedValueOnce({ success: true, data: [] })
+      .mockReturnValueOnce(new Promise((resolve) => { resolveFuzzy = resolve; }));
+    await live.performLiveSearch('sng');
+    await vi.advanceTimersByTimeAsync(700);
+    expect(searchSongs).toHaveBeenCalledTimes(2);
+    live.cancelLiveSearch();
+    resolveFuzzy({ success: true, data: [{ id: 2, category: 'MUS', title: 'Song', artist: 'A', info: '', time: '1:00', fuzzy: true }] });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(tbody.children).toHaveLength(0);
+  });
   it('handles wrapped failures and rejected calls without throwing', async () => {
     searchSongs.mockResolvedValueOnce({ success: false, error: 'bad query' });
     await expect(live.performLiveSearch('so')).resolves.toBeUndefined();
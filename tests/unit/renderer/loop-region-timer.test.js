@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const values = new Map();
+const listeners = new Map();
+vi.mock('../../../src/renderer/modules/shared-state.js', () => ({
+  default: {
+    get: key => values.get(key),
+    set: (key, value) => {
+      values.set(key, value);
+      (listeners.get(key) || []).forEach(callback => callback(value));
+    },
+    subscribe: (key, callback) => {
+      listeners.set(key, [...(listeners.get(key) || []), callback]);
+      return () => listeners.set(key, (listeners.get(key) || []).filter(other => other !== callback));
+    }
+  }
+}));
+
+const { default: sharedState } = await import('../../../src/renderer/modules/shared-state.js');
+const {
+  initializeLoopRegionTimer,
+  releaseLoopRegionPast
+} = await import('../../../src/renderer/modules/audio/loop-region-timer.js');
+
+// A sound whose position follows the fake clock at its tempo
+function playingFrom(position, rate = 1) {
+  let startedAt = Date.now();
+  let from = position;
+  return {
+    playing: () => true,
+    seek: vi.fn(function (to) {
+      if (to === undefined) return from + ((Date.now() - startedAt) / 1000) * rate;
+      from = to;
+      startedAt = Date.now();
+      return this;
+    })
+  };
+}
+
+let stop;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  values.clear();
+  listeners.clear();
+  stop = initializeLoopRegionTimer();
+});
+
+afterEach(() => {
+  stop();
+  vi.useRealTimers();
+});
+
+describe('loop region timer', () => {
+  it('jumps back to the loop start when the end is due, without the time tracker', () => {
+    // At double tempo the two seconds to the loop end take one second
+    const sound = playingFrom(38, 2);
+    values.set('sound', sound);
+    values.set('trackLoopRegion', { start: 8, end: 40 });
+    values.set('trackSpeed', { rate: 2 });
+    sharedState.set('loopRegionState', 'holding');
+
+    vi.advanceTimersByTime(990);
+    expect(sound.seek).not.toHaveBeenCalledWith(8);
+    vi.advanceTimersByTime(20);
+    expect(sound.seek).toHaveBeenCalledWith(8);
+    expect(values.get('loopRegionState')).toBe('holding');
+  });
+
+  it('keeps looping a held region when it finds the sound well past the end', () => {
+    const sound = playingFrom(45);
+    values.set('sound', sound);
+    values.set('trackLoopRegion', { start: 8, end: 40 });
+    sharedState.set('loopRegionState', 'holding');
+
+    expect(sound.seek).toHaveBeenCalledWith(8);
+    expect(values.get('loopRegionState')).toBe('holding');
+  });
+
+  it('plays a released region to its end, goes to the outro and stops', () => {
+    const sound = playingFrom(39.5);
+    values.set('sound', sound);
+    values.set('trackLoopRegion', { start: 8, end: 40 });
+    values.set('trackMarkers', [{ name: 'Outro', position: 75 }]);
+    sharedState.set('loopRegionState', 'releasing');
+
+    vi.advanceTimersByTime(510);
+    expect(sound.seek).toHaveBeenCalledWith(75);
+    expect(values.get('loopRegionState')).toBe('released');
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('releases the region when the operator seeks past it', () => {
+    values.set('sound', playingFrom(20));
+    values.set('trackLoopRegion', { start: 8, end: 40 });
+    sharedState.set('loopRegionState', 'holding');
+
+    releaseLoopRegionPast(30);
+    expect(values.get('loopRegionState')).toBe('holding');
+    releaseLoopRegionPast(52);
+    expect(values.get('loopRegionState')).toBe('released');
+    expect(vi.getTimerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const secureDatabase = { updateSong: vi.fn() };
+const customAlert = vi.fn();
+const customConfirm = vi.fn();
+const renderLoopRegion = vi.fn();
+const values = new Map();
+
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({ secureDatabase }));
+vi.mock('../../../src/renderer/modules/utils/index.js', () => ({ customAlert, customConfirm }));
+vi.mock('../../../src/renderer/modules/audio/playback-ui-presenter.js', () => ({
+  LOOP_REGION_ID: 'loop-region', renderLoopRegion
+}));
+vi.mock('../../../src/renderer/modules/shared-state.js', () => ({
+  default: {
+    get: key => values.get(key),
+    set: (key, value) => values.set(key, value),
+    subscribe: vi.fn()
+  }
+}));
+
+const nowPlaying = { attributes: {}, getAttribute(name) { return this.attributes[name] ?? null; } };
+globalThis.document = { getElementById: id => (id === 'song_now_playing' ? nowPlaying : null) };
+
+const loopRegion = await import('../../../src/renderer/modules/loop-region/index.js');
+
+let sound;
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  values.clear();
+  nowPlaying.attributes.songid = '7';
+  sound = { seek: vi.fn(() => 20), duration: vi.fn(() => 180) };
+  values.set('sound', sound);
+  secureDatabase.updateSong.mockResolvedValue({ success: true, data: { changes: 1 } });
+});
+
+describe('loop region', () => {
+  it('sets an eight-second region at the playhead and holds it', async () => {
+    await loopRegion.toggleLoopRegion();
+    expect(secureDatabase.updateSong).toHaveBeenCalledWith({ id: '7', loop_start: 20, loop_end: 28 });
+    expect(values.get('trackLoopRegion')).toEqual({ start: 20, end: 28 });
+    expect(values.get('loopRegionState')).toBe('holding');
+    expect(renderLoopRegion).toHaveBeenCalledWith(undefined, { start: 20, end: 28 });
+  });
+
+  it('keeps a new region within the end trim', async () => {
+    values.set('trackEndTime', 24);
+    await loopRegion.createLoopRegionAtPlayhead();
+    expect(secureDatabase.updateSong).toHaveBeenCalledWith({ id: '7', loop_start: 20, loop_end: 24 });
+
+    values.set('trackEndTime', 20.2);
+    values.delete('trackLoopRegion');
+    expect(await loopRegion.createLoopRegionAtPlayhead()).toBeNull();
+    expect(customAlert).toHaveBeenCalledWith('There is not enough of the song left for a loop region here.');
+  });
+
+  it('releases a held region and holds it again', async () => {
+    values.set('trackLoopRegion', { start: 8, end: 40 });
+    values.set('loopRegionState', 'holding');
+    await loopRegion.toggleLoopRegion();
+    expect(values.get('loopRegionState')).toBe('releasing');
+    await loopRegion.toggleLoopRegion();
+    expect(values.get('loopRegionState')).toBe('holding');
+    expect(secureDatabase.updateSong).not.toHaveBeenCalled();
+  });
+
+  it('asks for a song when nothing is playing', async () => {
+    values.delete('sound');
+    await loopRegion.toggleLoopRegion();
+    expect(customAlert).toHaveBeenCalledWith('Play a song to set its loop region.');
+  });
+
+  it('saves a region changed on the waveform without changing its hold', async () => {
+    values.set('trackLoopRegion', { start: 8, end: 40 });
+    values.set('loopRegionState', 'releasing');
+    const handlers = {};
+    loopRegion.attachLoopRegionEditor({ on: (event, handler) => { handlers[event] = handler; } });
+    handlers['region-updated']({ id: 'marker:Chorus', start: 3 });
+    expect(secureDatabase.updateSong).not.toHaveBeenCalled();
+    await handlers['region-updated']({ id: 'loop-region', start: 10.123, end: 42 });
+    await vi.waitFor(() => expect(values.get('trackLoopRegion')).toEqual({ start: 10.12, end: 42 }));
+    expect(values.get('loopRegionState')).toBe('releasing');
+  });
+
+  it('removes the region after asking', async () => {
+    values.set('trackLoopRegion', { start: 8, end: 40 });
+    values.set('loopRegionState', 'holding');
+    customConfirm.mockResolvedValue(true);
+    await loopRegion.removeLoopRegion();
+    expect(secureDatabase.updateSong).toHaveBeenCalledWith({ id: '7', loop_start: null, loop_end: null });
+    expect(values.get('trackLoopRegion')).toBeNull();
+    expect(values.get('loopRegionState')).toBeNull();
+  });
+
+  it('reports a region that could not be saved', async () => {
+    secureDatabase.updateSong.mockResolvedValue({ success: false, error: 'The loop region must be at least 0.5 seconds long' });
+    expect(await loopRegion.saveLoopRegion('7', { start: 1, end: 1.2 }).catch(err => err.message))
+      .toBe('The loop region must be at least 0.5 seconds long');
+  });
+});
@@ -0,0 +1,101 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const secureDatabase = { getSongsForLoudness: vi.fn(), saveSongLoudness: vi.fn() };
+const secureStore = { get: vi.fn() };
+const resolveAudioSource = vi.fn();
+
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({
+  secureDatabase, secureStore, secureFileSystem: {}, securePath: {}
+}));
+vi.mock('../../../src/renderer/modules/audio/audio-source-resolver.js', () => ({ resolveAudioSource }));
+
+const RATE = 48000;
+const decoded = {};
+
+function toneBuffer(amplitude, seconds = 2) {
+  const samples = Float32Array.from({ length: RATE * seconds }, (_, i) => amplitude * Math.sin(2 * Math.PI * 1000 * i / RATE));
+  return { sampleRate: RATE, numberOfChannels: 1, length: samples.length, getChannelData: () => samples };
+}
+
+globalThis.fetch = vi.fn(async (url) => ({ ok: true, arrayBuffer: async () => url }));
+globalThis.OfflineAudioContext = class {
+  decodeAudioData(url) {
+    const buffer = decoded[decodeURI(url)];
+    return buffer ? Promise.resolve(buffer) : Promise.reject(new Error('Unable to decode audio data'));
+  }
+};
+
+const loudness = await import('../../../src/renderer/modules/loudness/index.js');
+
+describe('loudness analysis', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    secureStore.get.mockResolvedValue({ success: true, value: '/music' });
+    resolveAudioSource.mockImplementation(async ({ filename }) => ({ success: true, filePath: `/music/${filename}` }));
+    secureDatabase.saveSongLoudness.mockImplementation(async (songId, measurement) => ({
+      success: true,
+      data: { loudness_lufs: measurement.integratedLufs, true_peak_dbtp: measurement.truePeakDbtp, loudness_analyzed_at: 1 }
+    }));
+    decoded['file:///music/loud.mp3'] = toneBuffer(0.5);
+    decoded['file:///music/quiet.mp3'] = toneBuffer(0.05);
+  });
+
+  it('measures and saves each song, carrying on past unreadable files', async () => {
+    secureDatabase.getSongsForLoudness.mockResolvedValue({
+      success: true,
+      data: [
+        { id: 1, title: 'Loud', filename: 'loud.mp3' },
+        { id: 2, title: 'Broken', filename: 'broken.mp3' },
+        { id: 3, title: 'Quiet', filename: 'quiet.mp3' }
+      ]
+    });
+    const updates = [];
+    const unsubscribe = loudness.onLoudnessProgress(progress => updates.push(progress));
+
+    const result = await loudness.analyzeLoudness();
+    unsubscribe();
+
+    expect(secureDatabase.getSongsForLoudness).toHaveBeenCalledWith({ songIds: null, includeAnalyzed: false });
+    expect(result).toMatchObject({ total: 3, done: 3, failed: 1, stopped: false });
+    expect(result.failures).toEqual([{ songId: 2, error: 'Unable to decode audio data' }]);
+    expect(result.results.map(saved => saved.songId)).toEqual([1, 3]);
+    expect(result.results[0].loudness_lufs).toBeCloseTo(-9.03, 1);
+    expect(result.results[1].loudness_lufs).toBeCloseTo(-29.03, 1);
+    expect(updates.at(-1)).toMatchObject({ running: false, done: 3, failed: 1 });
+    expect(loudness.getLoudnessProgress()).toMatchObject({ running: false, total: 3 });
+  });
+
+  it('runs one pass at a time and stops between pieces', async () => {
+    secureDatabase.getSongsForLoudness.mockResolvedValue({
+      success: true, data: [{ id: 1, title: 'Loud', filename: 'loud.mp3' }]
+    });
+    const pass = loudness.analyzeLoudness({ includeAnalyzed: true });
+    await expect(loudness.analyzeLoudness()).rejects.toThrow('Loudness analysis is already running');
+    expect(loudness.stopLoudnessAnalysis()).toBe(true);
+
+    await expect(pass).resolves.toMatchObject({ stopped: true, results: [] });
+    expect(secureDatabase.saveSongLoudness).not.toHaveBeenCalled();
+    expect(loudness.stopLoudnessAnalysis()).toBe(false);
+  });
+
+  it('re-measures one song and reports why it failed', async () => {
+    secureDatabase.getSongsForLoudness.mockResolvedValue({
+      success: true, data: [{ id: 3, title: 'Quiet', filename: 'quiet.mp3' }]
+    });
+    const measurement = await loudness.analyzeSongLoudness(3);
+    expect(secureDatabase.getSongsForLoudness).toHaveBeenCalledWith({ songIds: [3], includeAnalyzed: true });
+    expect(measurement).toMatchObject({ loudness_analyzed_at: 1 });
+    expect(measurement).not.toHaveProperty('songId');
+
+    resolveAudioSource.mockResolvedValue({ success: false, error: 'File not found' });
+    await expect(loudness.analyzeSongLoudness(3)).rejects.toThrow('File not found');
+  });
+
+  it('describes a song measurement for the song form', () => {
+    expect(loudness.describeSongLoudness({})).toBe('Not analyzed');
+    expect(loudness.describeSongLoudness({ loudness_analyzed_at: 1, loudness_lufs: null })).toBe('Too quiet or too short to measure');
+    expect(loudness.describeSongLoudness({ loudness_analyzed_at: 1, loudness_lufs: -14.24, true_peak_dbtp: -0.81 }))
+      .toBe('-14.2 LUFS, peak -0.8 dBTP');
+  });
+});
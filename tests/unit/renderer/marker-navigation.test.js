@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import {
+  findNextMarker,
+  findPreviousMarker,
+  nextMarkerName,
+  playableMarkers
+} from '../../../src/renderer/modules/song-markers/marker-navigation.js';
+
+const markers = [
+  { name: 'Outro', position: 90 },
+  { name: 'Intro', position: 2 },
+  { name: 'Chorus', position: 30 }
+];
+
+describe('marker navigation', () => {
+  it('orders markers and skips those outside the trims', () => {
+    expect(playableMarkers(markers).map(marker => marker.name)).toEqual(['Intro', 'Chorus', 'Outro']);
+    expect(playableMarkers(markers, { startTime: 5, endTime: 90 }).map(marker => marker.name)).toEqual(['Chorus']);
+    expect(playableMarkers(null)).toEqual([]);
+  });
+
+  it('finds the next marker after the playhead', () => {
+    expect(findNextMarker(markers, 10).name).toBe('Chorus');
+    expect(findNextMarker(markers, 30.01).name).toBe('Outro');
+    expect(findNextMarker(markers, 95)).toBeNull();
+    expect(findNextMarker(markers, 10, { endTime: 60 }).name).toBe('Chorus');
+  });
+
+  it('skips a marker just passed when going back', () => {
+    expect(findPreviousMarker(markers, 50).name).toBe('Chorus');
+    expect(findPreviousMarker(markers, 31).name).toBe('Intro');
+    expect(findPreviousMarker(markers, 1)).toBeNull();
+  });
+
+  it('suggests a marker name that is not taken', () => {
+    expect(nextMarkerName([])).toBe('Marker 1');
+    expect(nextMarkerName([{ name: 'marker 2' }])).toBe('Marker 3');
+    expect(nextMarkerName([{ name: 'Chorus' }, { name: 'Marker 3' }])).toBe('Marker 4');
+  });
+});
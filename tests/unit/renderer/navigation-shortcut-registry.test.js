@@ -17,6 +17,16 @@ describe('shortcut registry', () => {
     expect(registry.getStats()).toMatchObject({ totalShortcuts: 1, disabledShortcuts: 1, conflicts: 1 });
     expect(registry.unregisterShortcut('ctrl+s')).toBe(true); expect(unbind).toHaveBeenCalledWith('ctrl+s');
   });
+
+  it('binds the key release for shortcuts held down', () => {
+    const registry = new ShortcutRegistry({ debugLog: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() } });
+    const press = vi.fn(); const release = vi.fn();
+    registry.registerShortcut('`', press, { onRelease: release });
+    const keyup = bind.mock.calls.find(call => call[2] === 'keyup');
+    expect(keyup[0]).toBe('`'); keyup[1]({});
+    expect(release).toHaveBeenCalledOnce(); expect(press).not.toHaveBeenCalled();
+    registry.unregisterShortcut('`'); expect(unbind).toHaveBeenCalledWith('`', 'keyup');
+  });
 });
 
 describe('navigation functions', () => {
@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const getPreference = vi.fn();
+const values = new Map();
+const listeners = new Map();
+
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/preferences/profile-preference-adapter.js', () => ({ getPreference }));
+vi.mock('../../../src/renderer/modules/shared-state.js', () => ({
+  default: {
+    get: key => values.get(key),
+    set: (key, value) => {
+      values.set(key, value);
+      listeners.get(key)?.(value);
+    },
+    subscribe: (key, callback) => listeners.set(key, callback)
+  }
+}));
+
+let devices;
+const warning = {
+  textContent: '',
+  hidden: true,
+  classList: { toggle(name, force) { warning.hidden = force; } }
+};
+globalThis.window = { secureElectronAPI: {} };
+globalThis.navigator = { mediaDevices: { enumerateDevices: async () => devices, addEventListener: vi.fn() } };
+globalThis.document = { getElementById: id => (id === 'output_device_warning' ? warning : null) };
+
+const outputDevice = await import('../../../src/renderer/modules/output-device/index.js');
+
+const audio = { pausePlaying: vi.fn() };
+let node;
+
+function playingSound() {
+  node = { setSinkId: vi.fn(async () => {}) };
+  return { _html5: true, _sounds: [{ _node: node }], playing: () => true };
+}
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  values.clear();
+  devices = [{ kind: 'audiooutput', deviceId: 'usb', label: 'USB Interface' }];
+  getPreference.mockImplementation(async key => ({
+    success: true, value: { audio_output_device: 'usb', audio_output_fallback: 'continue' }[key]
+  }));
+  outputDevice.initializeOutputDevice({ moduleRegistry: { audio } });
+  await vi.waitFor(() => expect(values.get('audioOutputMissing')).toBe(false));
+});
+
+describe('output device', () => {
+  it('loads the chosen device and moves the playing song to it', async () => {
+    values.set('sound', playingSound());
+    await outputDevice.refreshOutputDevice();
+    expect(values.get('audioOutputDevice')).toBe('usb');
+    expect(node.setSinkId).toHaveBeenCalledWith('usb');
+    expect(warning.hidden).toBe(true);
+  });
+
+  it('keeps playing on the default output and warns when the device is unplugged', async () => {
+    values.set('sound', playingSound());
+    devices = [];
+    await outputDevice.checkOutputDevice();
+    expect(node.setSinkId).toHaveBeenCalledWith('');
+    expect(audio.pausePlaying).not.toHaveBeenCalled();
+    expect(warning.hidden).toBe(false);
+    expect(warning.textContent).toBe('"USB Interface" is disconnected. Playing on the default output.');
+
+    devices = [{ kind: 'audiooutput', deviceId: 'usb', label: 'USB Interface' }];
+    await outputDevice.checkOutputDevice();
+    expect(node.setSinkId).toHaveBeenLastCalledWith('usb');
+    expect(warning.hidden).toBe(true);
+  });
+
+  it('pauses once under the pause fallback', async () => {
+    values.set('audioOutputFallback', 'pause');
+    values.set('sound', playingSound());
+    devices = [];
+    await outputDevice.checkOutputDevice();
+    await outputDevice.checkOutputDevice();
+    expect(audio.pausePlaying).toHaveBeenCalledOnce();
+    expect(warning.textContent).toBe('"USB Interface" is disconnected. Playback is paused until it is back.');
+  });
+});
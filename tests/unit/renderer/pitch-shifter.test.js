@@ -0,0 +1,95 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const contexts = [];
+class FakeAudioContext {
+  constructor() {
+    this.state = 'suspended';
+    this.currentTime = 0;
+    this.audioWorklet = { addModule: vi.fn(async () => {}) };
+    this.destination = {};
+    this.setSinkId = vi.fn(async () => {});
+    this.resume = vi.fn(async () => { this.state = 'running'; });
+    this.sources = [];
+    contexts.push(this);
+  }
+  createMediaElementSource(element) {
+    const source = { element, connect: vi.fn(node => node) };
+    this.sources.push(source);
+    return source;
+  }
+}
+class FakeWorkletNode {
+  constructor(context, name) {
+    this.name = name;
+    this.ratio = { setValueAtTime: vi.fn() };
+    this.parameters = { get: () => this.ratio };
+    this.connect = vi.fn(node => node);
+  }
+}
+globalThis.AudioContext = FakeAudioContext;
+globalThis.AudioWorkletNode = FakeWorkletNode;
+
+const { setPlaybackSoundSpeed, routePlaybackSound } = await import('../../../src/renderer/modules/audio/playback-sound-factory.js');
+
+function element() {
+  const listeners = {};
+  return {
+    src: 'file:///music/song.mp3',
+    sinkId: 'usb',
+    preservesPitch: true,
+    setSinkId: vi.fn(async () => {}),
+    addEventListener: vi.fn((name, listener) => { listeners[name] = listener; }),
+    emit: name => listeners[name]?.()
+  };
+}
+
+function html5Sound(node) {
+  return { _html5: true, _sounds: [{ _node: node }], rate: vi.fn() };
+}
+
+beforeEach(() => { contexts.length = 0; });
+
+describe('tempo and pitch', () => {
+  it('sets the tempo and leaves an unshifted song on its own element', async () => {
+    const node = element();
+    const sound = html5Sound(node);
+    expect(await setPlaybackSoundSpeed(sound, { rate: 1.5, preservePitch: false, semitones: 0 })).toEqual({ success: true });
+    expect(sound.rate).toHaveBeenCalledWith(1.5);
+    expect(node.preservesPitch).toBe(false);
+    expect(contexts).toHaveLength(0);
+  });
+
+  it('shifts through a context on the element’s device and routes that context from then on', async () => {
+    const node = element();
+    const sound = html5Sound(node);
+    expect(await setPlaybackSoundSpeed(sound, { rate: 1, preservePitch: true, semitones: 12 })).toEqual({ success: true });
+    const [context] = contexts;
+    expect(context.sources[0].element).toBe(node);
+    expect(context.setSinkId).toHaveBeenCalledWith('usb');
+    expect(context.state).toBe('running');
+    const shifter = context.sources[0].connect.mock.calls[0][0];
+    expect(shifter.name).toBe('pitch-shifter');
+    expect(shifter.ratio.setValueAtTime).toHaveBeenLastCalledWith(2, 0);
+
+    await routePlaybackSound(sound, 'speakers');
+    expect(context.setSinkId).toHaveBeenLastCalledWith('speakers');
+    expect(node.setSinkId).not.toHaveBeenCalled();
+
+    // Captured once; a later song on the same pooled element reuses it
+    await setPlaybackSoundSpeed(html5Sound(node), { rate: 1, preservePitch: true, semitones: -12 });
+    expect(contexts).toHaveLength(1);
+    expect(shifter.ratio.setValueAtTime).toHaveBeenLastCalledWith(0.5, 0);
+
+    // Released to the pool, the element plays the next sound unshifted
+    node.src = 'data:audio/wav;base64,';
+    node.emit('emptied');
+    expect(shifter.ratio.setValueAtTime).toHaveBeenLastCalledWith(1, 0);
+  });
+
+  it('cannot shift a Web Audio sound', async () => {
+    const sound = { _html5: false, _sounds: [{ _node: {} }], rate: vi.fn() };
+    expect(await setPlaybackSoundSpeed(sound, { rate: 0.75, preservePitch: true, semitones: 3 }))
+      .toEqual({ success: false, error: 'Only html5 sounds can change pitch' });
+    expect(sound.rate).toHaveBeenCalledWith(0.75);
+  });
+});
@@ -0,0 +1,96 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+function node(tag) {
+  return {
+    tag, className: '', textContent: '', title: '', attributes: {}, children: [],
+    setAttribute(name, value) { this.attributes[name] = value; },
+    getAttribute(name) { return this.attributes[name] ?? null; },
+    appendChild(child) {
+      const at = this.children.indexOf(child);
+      if (at >= 0) this.children.splice(at, 1);
+      this.children.push(child);
+      return child;
+    },
+    querySelectorAll() { return [...this.children]; },
+  };
+}
+
+const tbody = node('tbody');
+const header = node('th');
+header.setAttribute('data-sort-key', 'plays');
+
+globalThis.window = { debugLog: { warn: vi.fn() } };
+globalThis.document = {
+  createElement: (tag) => node(tag),
+  querySelector: (selector) => (selector.endsWith('tbody') ? tbody : null),
+  querySelectorAll: () => [header],
+};
+
+const sharedState = (await import('../../../src/renderer/modules/shared-state.js')).default;
+const {
+  sortSearchResults,
+  createPlayCountCell,
+  toggleSearchResultSort,
+} = await import('../../../src/renderer/modules/search/play-count-column.js');
+
+const rows = [
+  { id: 1, title: 'Intro', play_count: 2, last_played: 100 },
+  { id: 2, title: 'Buzzer', play_count: 0, last_played: null },
+  { id: 3, title: 'Outro', play_count: 5, last_played: 50 },
+  { id: 4, title: 'Walk On', play_count: 2, last_played: 300 },
+];
+
+function renderRows() {
+  tbody.children.length = 0;
+  rows.forEach((row, index) => {
+    const tr = node('tr');
+    tr.title = row.title;
+    tr.appendChild(createPlayCountCell(row, tr, index));
+    tbody.appendChild(tr);
+  });
+}
+
+const renderedTitles = () => tbody.children.map(tr => tr.title);
+
+describe('play count column', () => {
+  beforeEach(() => {
+    sharedState.set('searchResultSort', null);
+  });
+
+  it('keeps the search order when unsorted', () => {
+    expect(sortSearchResults(rows).map(row => row.id)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('sorts by play count, then by most recent play', () => {
+    expect(sortSearchResults(rows, { key: 'plays', direction: 'desc' }).map(row => row.id)).toEqual([3, 4, 1, 2]);
+    expect(sortSearchResults(rows, { key: 'plays', direction: 'asc' }).map(row => row.id)).toEqual([2, 1, 4, 3]);
+  });
+
+  it('renders the play count with the last play in the tooltip', () => {
+    const tr = node('tr');
+    const td = createPlayCountCell(rows[1], tr, 1);
+    expect(td.textContent).toBe('0');
+    expect(td.title).toBe('Never played');
+    expect(tr.getAttribute('data-play-count')).toBe('0');
+    expect(createPlayCountCell(rows[0], node('tr'), 0).title).toMatch(/^Last played /);
+  });
+
+  it('cycles the header through descending, ascending and unsorted', () => {
+    renderRows();
+    expect(toggleSearchResultSort('plays')).toEqual({ key: 'plays', direction: 'desc' });
+    expect(renderedTitles()).toEqual(['Outro', 'Walk On', 'Intro', 'Buzzer']);
+    expect(header.getAttribute('aria-sort')).toBe('descending');
+
+    expect(toggleSearchResultSort('plays')).toEqual({ key: 'plays', direction: 'asc' });
+    expect(renderedTitles()).toEqual(['Buzzer', 'Intro', 'Walk On', 'Outro']);
+
+    expect(toggleSearchResultSort('plays')).toBeNull();
+    expect(renderedTitles()).toEqual(['Intro', 'Buzzer', 'Outro', 'Walk On']);
+    expect(header.getAttribute('aria-sort')).toBe('none');
+  });
+
+  it('ignores unknown sort keys', () => {
+    expect(toggleSearchResultSort('loudness')).toBeNull();
+    expect(window.debugLog.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+globalThis.window = { debugLog: { warn: vi.fn() } };
+
+const {
+  notePlaybackStarted,
+  notePlaybackPaused,
+  finishPlayRecord,
+  getActivePlaySource,
+} = await import('../../../src/renderer/modules/audio/play-history-recorder.js');
+
+describe('play history recorder', () => {
+  let recordPlay;
+
+  beforeEach(() => {
+    recordPlay = vi.fn(async () => ({ success: true }));
+    finishPlayRecord({ recordPlay: vi.fn() });
+    vi.clearAllMocks();
+  });
+
+  it('records a play with its source, start time and seconds played', () => {
+    const sound = {};
+    notePlaybackStarted({ sound, songId: '7', source: 'hotkey', now: 1_700_000_000_000 });
+    expect(getActivePlaySource()).toBe('hotkey');
+
+    const play = finishPlayRecord({ now: 1_700_000_012_340, recordPlay });
+    expect(play).toEqual({ songId: '7', source: 'hotkey', secondsPlayed: 12.3, playedAt: 1_700_000_000 });
+    expect(recordPlay).toHaveBeenCalledWith(play);
+    expect(getActivePlaySource()).toBeNull();
+    expect(finishPlayRecord({ recordPlay })).toBeNull();
+  });
+
+  it('does not count paused time', () => {
+    const sound = {};
+    notePlaybackStarted({ sound, songId: 1, source: 'search', now: 0 });
+    notePlaybackPaused({ sound, now: 5000 });
+    notePlaybackStarted({ sound, songId: 1, source: 'search', now: 65000 });
+    notePlaybackPaused({ sound, now: 66000 });
+    expect(finishPlayRecord({ now: 90000, recordPlay }).secondsPlayed).toBe(6);
+  });
+
+  it('finishes the previous play when another song starts', () => {
+    notePlaybackStarted({ sound: {}, songId: 1, source: 'holding_tank', now: 0, recordPlay });
+    notePlaybackStarted({ sound: {}, songId: 2, source: 'autoplay', now: 30000, recordPlay });
+    expect(recordPlay).toHaveBeenCalledWith(expect.objectContaining({ songId: 1, secondsPlayed: 30 }));
+    expect(getActivePlaySource()).toBe('autoplay');
+  });
+
+  it('ignores pauses of sounds that are no longer tracked', () => {
+    const sound = {};
+    notePlaybackStarted({ sound, songId: 1, source: 'search', now: 0 });
+    notePlaybackPaused({ sound: {}, now: 1000 });
+    expect(finishPlayRecord({ now: 4000, recordPlay }).secondsPlayed).toBe(4);
+  });
+
+  it('does not track playback without a known source', () => {
+    expect(notePlaybackStarted({ sound: {}, songId: 1, source: undefined, now: 0 })).toBeNull();
+    expect(finishPlayRecord({ recordPlay })).toBeNull();
+    expect(recordPlay).not.toHaveBeenCalled();
+  });
+
+  it('logs plays the database rejects', async () => {
+    notePlaybackStarted({ sound: {}, songId: 1, source: 'search', now: 0 });
+    finishPlayRecord({ now: 1000, recordPlay: async () => ({ success: false, error: 'Database not initialized' }) });
+    await vi.waitFor(() => expect(window.debugLog.warn).toHaveBeenCalledWith(
+      'Play was not recorded', expect.objectContaining({ error: 'Database not initialized' })
+    ));
+  });
+});
@@ -0,0 +1,91 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const showModal = vi.fn();
+const getPlayStatistics = vi.fn();
+
+vi.mock('../../../src/renderer/modules/ui/bootstrap-adapter.js', () => ({ showModal }));
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({ secureDatabase: { getPlayStatistics } }));
+
+function element(attributes = {}) {
+  const classes = new Set();
+  return {
+    textContent: '', style: {}, checked: false, attributes, children: [], listeners: {},
+    classList: {
+      toggle: (name, on) => (on ? classes.add(name) : classes.delete(name)),
+      contains: (name) => classes.has(name),
+    },
+    setAttribute(name, value) { this.attributes[name] = value; },
+    getAttribute(name) { return this.attributes[name] ?? null; },
+    addEventListener(type, listener) { this.listeners[type] = listener; },
+    appendChild(child) { this.children.push(child); return child; },
+  };
+}
+
+const elements = new Map();
+const viewButtons = ['most', 'never', 'recent'].map(view => element({ 'data-play-view': view }));
+
+globalThis.window = {};
+globalThis.document = {
+  getElementById: (id) => {
+    if (!elements.has(id)) elements.set(id, element());
+    return elements.get(id);
+  },
+  querySelectorAll: () => viewButtons,
+  createElement: () => element(),
+};
+
+const sharedState = (await import('../../../src/renderer/modules/shared-state.js')).default;
+const playStatistics = await import('../../../src/renderer/modules/play-statistics/index.js');
+
+const body = () => document.getElementById('play-statistics-body');
+const message = () => document.getElementById('play-statistics-message');
+const cellText = (row) => row.children.map(td => td.textContent);
+
+describe('play statistics view', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    elements.clear();
+    sharedState.set('categories', { ENT: 'Entrances' });
+  });
+
+  it('opens the modal on the most played view', async () => {
+    getPlayStatistics.mockResolvedValue({ success: true, data: [
+      { id: 4, title: 'Walk On', artist: 'Band', category: 'ENT', play_count: 12, last_played: null, seconds_played: 3725 },
+    ] });
+    await playStatistics.showPlayStatistics();
+
+    expect(showModal).toHaveBeenCalledWith('#playStatisticsModal');
+    expect(getPlayStatistics).toHaveBeenCalledWith({ view: 'most', currentProfileOnly: false });
+    expect(cellText(body().children[0])).toEqual(['Walk On', 'Band', 'Entrances', '12', '', '1:02:05']);
+    expect(message().style.display).toBe('none');
+    expect(viewButtons[0].classList.contains('active')).toBe(true);
+  });
+
+  it('switches views from the buttons and honours the profile filter', async () => {
+    getPlayStatistics.mockResolvedValue({ success: true, data: [] });
+    playStatistics.initializePlayStatistics();
+    document.getElementById('play-statistics-profile-only').checked = true;
+
+    await viewButtons[1].listeners.click();
+    expect(getPlayStatistics).toHaveBeenLastCalledWith({ view: 'never', currentProfileOnly: true });
+    expect(viewButtons[1].classList.contains('active')).toBe(true);
+    expect(viewButtons[0].classList.contains('active')).toBe(false);
+    expect(message().textContent).toBe('Every song has been played.');
+
+    await document.getElementById('play-statistics-profile-only').listeners.change();
+    expect(getPlayStatistics).toHaveBeenLastCalledWith({ view: 'never', currentProfileOnly: true });
+  });
+
+  it('shows load failures in the view', async () => {
+    getPlayStatistics.mockResolvedValue({ success: false, error: 'Database not initialized' });
+    await expect(playStatistics.loadPlayStatistics('recent')).resolves.toBe(false);
+    expect(message().textContent).toBe('Could not load play statistics: Database not initialized');
+  });
+
+  it('formats time played', () => {
+    expect(playStatistics.formatSecondsPlayed(0)).toBe('0:00');
+    expect(playStatistics.formatSecondsPlayed(65.4)).toBe('1:05');
+    expect(playStatistics.formatSecondsPlayed(3600)).toBe('1:00:00');
+  });
+});
@@ -29,6 +29,27 @@ describe('playback completion', () => {
     expect(replaySong).toHaveBeenCalledWith('42');
   });
 
+  it('goes round a held loop region again without ending the song', () => {
+    const sound = {};
+    const onSongEnded = vi.fn();
+    const replayLoopRegion = vi.fn();
+    const replaySong = vi.fn();
+    expect(handlePlaybackCompleted({
+      sound, songId: '42',
+      sharedState: state({ sound, loop: true, trackLoopRegion: { start: 8, end: 40 }, loopRegionState: 'holding' }),
+      onSongEnded, replaySong, autoplayNext: vi.fn(), replayLoopRegion
+    })).toBe('loop_region');
+    expect(replayLoopRegion).toHaveBeenCalledOnce();
+    expect(onSongEnded).not.toHaveBeenCalled();
+    expect(replaySong).not.toHaveBeenCalled();
+
+    expect(handlePlaybackCompleted({
+      sound, songId: '42',
+      sharedState: state({ sound, loop: true, trackLoopRegion: { start: 8, end: 40 }, loopRegionState: 'released' }),
+      onSongEnded, replaySong, autoplayNext: vi.fn(), replayLoopRegion
+    })).toBe('loop');
+  });
+
   it('advances playlist autoplay and otherwise stops', () => {
     const sound = {};
     const autoplayNext = vi.fn();
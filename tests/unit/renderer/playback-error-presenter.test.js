@@ -1,5 +1,5 @@
 import { describe, expect, it, vi } from 'vitest';
-import { showMissingAudioFile } from '../../../src/renderer/modules/audio/playback-error-presenter.js';
+import { showMissingAudioFile, showPlaybackBlocked } from '../../../src/renderer/modules/audio/playback-error-presenter.js';
 
 describe('playback error presenter', () => {
   it('renders a missing-file message and clears the active song', () => {
@@ -15,4 +15,10 @@ describe('playback error presenter', () => {
     expect(nowPlaying.removeAttribute).toHaveBeenCalledWith('songid');
     expect(nowPlaying.appendChild).toHaveBeenLastCalledWith({ text: ' File not found: Theme' });
   });
+
+  it('says why a song did not start while the output is disconnected', () => {
+    const showToast = vi.fn();
+    showPlaybackBlocked({ title: 'Theme', showToast });
+    expect(showToast).toHaveBeenCalledWith('Not playing "Theme": the audio output is disconnected.', 5000);
+  });
 });
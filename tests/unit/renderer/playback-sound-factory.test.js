@@ -1,5 +1,5 @@
 import { describe, expect, it, vi } from 'vitest';
-import { createPlaybackSound } from '../../../src/renderer/modules/audio/playback-sound-factory.js';
+import { createPlaybackSound, fadePlaybackSound, isPlaybackSoundFading, routePlaybackSound } from '../../../src/renderer/modules/audio/playback-sound-factory.js';
 
 describe('playback sound factory', () => {
   it('builds a Howl with the requested source, volume, and mute state', () => {
@@ -17,12 +17,15 @@ describe('playback sound factory', () => {
     let options;
     const context = { duration: () => 10, state: () => 'loaded' };
     const onPlay = vi.fn(function () { expect(this).toBe(context); });
+    const onPause = vi.fn(function () { expect(this).toBe(context); });
     const onEnd = vi.fn(function () { expect(this).toBe(context); });
-    createPlaybackSound({ createHowl: (value) => { options = value; }, source: [], onPlay, onEnd });
+    createPlaybackSound({ createHowl: (value) => { options = value; }, source: [], onPlay, onPause, onEnd });
 
     options.onplay.call(context);
+    options.onpause.call(context);
     options.onend.call(context);
     expect(onPlay).toHaveBeenCalledOnce();
+    expect(onPause).toHaveBeenCalledOnce();
     expect(onEnd).toHaveBeenCalledOnce();
   });
 
@@ -35,4 +38,76 @@ describe('playback sound factory', () => {
     expect(debugLog.error).toHaveBeenCalledTimes(2);
     expect(debugLog.error).toHaveBeenCalledWith('Sound load error', expect.objectContaining({ src: ['bad.mp3'] }));
   });
+
+  it('routes an html5 sound through its audio elements', async () => {
+    const node = { setSinkId: vi.fn(async () => {}) };
+    const howler = { ctx: { setSinkId: vi.fn() } };
+    expect(await routePlaybackSound({ _html5: true, _sounds: [{ _node: node }] }, 'usb', howler)).toEqual({ success: true });
+    expect(node.setSinkId).toHaveBeenCalledWith('usb');
+    expect(howler.ctx.setSinkId).not.toHaveBeenCalled();
+
+    node.setSinkId.mockRejectedValueOnce(new Error('Requested device not found'));
+    expect(await routePlaybackSound({ _html5: true, _sounds: [{ _node: node }] }, 'gone', howler))
+      .toEqual({ success: false, error: 'Requested device not found' });
+  });
+
+  it('routes a Web Audio sound through the shared context', async () => {
+    const howler = { ctx: { setSinkId: vi.fn(async () => {}) } };
+    expect(await routePlaybackSound({ _html5: false }, 'usb', howler)).toEqual({ success: true });
+    expect(howler.ctx.setSinkId).toHaveBeenCalledWith('usb');
+    expect((await routePlaybackSound({ _html5: false }, 'usb', {})).success).toBe(false);
+  });
+
+  it('reports a sound as fading while any of its nodes has a fade running', () => {
+    expect(isPlaybackSoundFading({ _sounds: [{ _interval: null }] })).toBe(false);
+    expect(isPlaybackSoundFading({ _sounds: [{ _interval: null }, { _interval: 7 }] })).toBe(true);
+    expect(isPlaybackSoundFading(null)).toBe(false);
+  });
+
+  it('leaves linear fades to Howler', () => {
+    const sound = { fade: vi.fn() };
+    fadePlaybackSound(sound, 1, 0, 2000);
+    expect(sound.fade).toHaveBeenCalledWith(1, 0, 2000);
+  });
+
+  it('steps a curved fade itself and ends it with the fade event', () => {
+    vi.useFakeTimers();
+    try {
+      const volumes = [];
+      const sound = {
+        _sounds: [{ _id: 1001 }],
+        fade: vi.fn(),
+        state: () => 'loaded',
+        volume: vi.fn(value => volumes.push(value)),
+        _emit: vi.fn()
+      };
+      fadePlaybackSound(sound, 0, 1, 1000, 'equal-power');
+      expect(sound.fade).not.toHaveBeenCalled();
+      expect(isPlaybackSoundFading(sound)).toBe(true);
+
+      vi.advanceTimersByTime(510);
+      expect(volumes.at(-1)).toBeCloseTo(Math.SQRT1_2, 1);
+      vi.advanceTimersByTime(500);
+      expect(volumes.at(-1)).toBe(1);
+      expect(sound._emit).toHaveBeenCalledWith('fade', 1001);
+      expect(isPlaybackSoundFading(sound)).toBe(false);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('drops a curved fade when its sound is unloaded', () => {
+    vi.useFakeTimers();
+    try {
+      let state = 'loaded';
+      const sound = { state: () => state, volume: vi.fn(), _emit: vi.fn() };
+      fadePlaybackSound(sound, 1, 0, 1000, 'exponential');
+      state = 'unloaded';
+      vi.advanceTimersByTime(1000);
+      expect(sound._emit).not.toHaveBeenCalled();
+      expect(isPlaybackSoundFading(sound)).toBe(false);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
 });
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatPlaybackSpeed,
+  getPitchRatio,
+  getTrackSpeed,
+  isDefaultPlaybackSpeed,
+  nudgePlaybackRate,
+  toPlaybackSeconds
+} from '../../../src/renderer/modules/audio/playback-speed.js';
+
+describe('playback speed', () => {
+  it('reads a song row, keeping the key unless the song says otherwise', () => {
+    expect(getTrackSpeed()).toEqual({ rate: 1, preservePitch: true, semitones: 0 });
+    expect(getTrackSpeed({ playback_rate: 1.5, preserve_pitch: 0, pitch_semitones: -2 }))
+      .toEqual({ rate: 1.5, preservePitch: false, semitones: -2 });
+    expect(getTrackSpeed({ playback_rate: 9, pitch_semitones: 30 })).toMatchObject({ rate: 2, semitones: 12 });
+  });
+
+  it('nudges the tempo onto the step grid and stops at the limits', () => {
+    expect(nudgePlaybackRate(1, 1)).toBe(1.05);
+    expect(nudgePlaybackRate(1.03, 1)).toBe(1.05);
+    expect(nudgePlaybackRate(1.03, -1)).toBe(1);
+    expect(nudgePlaybackRate(2, 1)).toBe(2);
+    expect(nudgePlaybackRate(0.5, -1)).toBe(0.5);
+  });
+
+  it('turns semitones into a frequency ratio', () => {
+    expect(getPitchRatio(12)).toBe(2);
+    expect(getPitchRatio(-12)).toBe(0.5);
+    expect(getPitchRatio(7)).toBeCloseTo(1.4983);
+  });
+
+  it('counts song seconds as playing time at the tempo', () => {
+    expect(toPlaybackSeconds(30, 1.5)).toBe(20);
+    expect(toPlaybackSeconds(30, 0.5)).toBe(60);
+    expect(toPlaybackSeconds(30, undefined)).toBe(30);
+  });
+
+  it('formats the transport readout', () => {
+    expect(formatPlaybackSpeed({ rate: 1, semitones: 0 })).toBe('1.00×');
+    expect(formatPlaybackSpeed({ rate: 1.25, semitones: -2 })).toBe('1.25× −2 st');
+    expect(isDefaultPlaybackSpeed({ rate: 1, preservePitch: true, semitones: 0 })).toBe(true);
+    expect(isDefaultPlaybackSpeed({ rate: 1, preservePitch: false, semitones: 0 })).toBe(false);
+  });
+});
@@ -36,4 +36,20 @@ describe('playback start orchestration', () => {
     });
     expect(sound.fade).not.toHaveBeenCalled();
   });
+
+  it('fades a song in when it does not crossfade', () => {
+    const sound = { fade: vi.fn() };
+    const options = {
+      sound, howlerContext: {}, crossfade: false, targetVolume: 0.9, durationMs: 0,
+      sharedState: { set: vi.fn() }, requestAnimationFrame: () => 1,
+      updateTimeTracker: () => {}, presentPlayback: () => {}, presentation: {}
+    };
+    handlePlaybackStarted({ ...options, fadeIn: { durationMs: 1500, curve: 'linear' } });
+    expect(sound.fade).toHaveBeenCalledWith(0, 0.9, 1500);
+
+    sound.fade.mockClear();
+    handlePlaybackStarted({ ...options, crossfade: true, durationMs: 2000, fadeIn: { durationMs: 1500, curve: 'linear' } });
+    expect(sound.fade).toHaveBeenCalledOnce();
+    expect(sound.fade).toHaveBeenCalledWith(0, 0.9, 2000);
+  });
 });
@@ -1,5 +1,7 @@
 import { describe, expect, it, vi } from 'vitest';
 import {
+  renderLoopRegion,
+  renderSongMarkers,
   showActivePlayback,
   updateWaveform
 } from '../../../src/renderer/modules/audio/playback-ui-presenter.js';
@@ -23,6 +25,45 @@ describe('playback UI presenter', () => {
     expect(regions.addRegion).toHaveBeenCalledWith(expect.objectContaining({ start: 5, end: 90 }));
   });
 
+  it('draws the song\'s markers when ready, even without trims', () => {
+    let readyHandler;
+    const wavesurfer = { load: vi.fn(), once: vi.fn((event, handler) => { readyHandler = handler; }) };
+    const regions = { clearRegions: vi.fn(), addRegion: vi.fn(), getRegions: () => [] };
+    const values = new Map([['wavesurfer', wavesurfer], ['wavesurferRegions', regions]]);
+    updateWaveform({
+      source: ['/music/song.mp3'], row: { markers: [{ name: 'Chorus', position: 30 }] },
+      sharedState: { get: (key) => values.get(key) }
+    });
+    readyHandler();
+    expect(regions.addRegion).toHaveBeenCalledTimes(1);
+    expect(regions.addRegion).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'marker:Chorus', start: 30, content: 'Chorus', drag: true
+    }));
+  });
+
+  it('redraws markers without touching the trim region', () => {
+    const trim = { id: 'trim', remove: vi.fn() };
+    const oldMarker = { id: 'marker:Drop', remove: vi.fn() };
+    const regions = { addRegion: vi.fn(), getRegions: () => [trim, oldMarker] };
+    renderSongMarkers(regions, [{ name: 'Outro', position: 90 }]);
+    expect(oldMarker.remove).toHaveBeenCalled();
+    expect(trim.remove).not.toHaveBeenCalled();
+    expect(regions.addRegion).toHaveBeenCalledWith(expect.objectContaining({ id: 'marker:Outro', start: 90 }));
+    expect(() => renderSongMarkers(null, [])).not.toThrow();
+  });
+
+  it('draws the loop region as a resizable region and replaces the old one', () => {
+    const old = { id: 'loop-region', remove: vi.fn() };
+    const regions = { addRegion: vi.fn(), getRegions: () => [old] };
+    renderLoopRegion(regions, { start: 8, end: 40 });
+    expect(old.remove).toHaveBeenCalled();
+    expect(regions.addRegion).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'loop-region', start: 8, end: 40, drag: true, resize: true
+    }));
+    renderLoopRegion(regions, null);
+    expect(regions.addRegion).toHaveBeenCalledTimes(1);
+  });
+
   it('updates now-playing text and transport controls', () => {
     const elements = Object.fromEntries(['song_now_playing', 'play_button', 'pause_button', 'stop_button'].map((id) => [id, {
       appendChild: vi.fn(), setAttribute: vi.fn(), removeAttribute: vi.fn(),
@@ -7,9 +7,12 @@ const fields = new Map();
 globalThis.window = { bootstrap: { Modal: function Modal() {} }, debugLog: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } };
 globalThis.document = {
   getElementById(id) {
-    if (!fields.has(id)) fields.set(id, { value: '', checked: false });
+    if (!fields.has(id)) {
+      fields.set(id, { value: '', checked: false, replaceChildren(...options) { this.options = options; } });
+    }
     return fields.get(id);
-  }
+  },
+  createElement: () => ({})
 };
 
 const { initializePreferenceManager } = await import('../../../src/renderer/modules/preferences/preference-manager.js');
@@ -40,6 +43,24 @@ describe('preference manager UI loading', () => {
     expect(fields.get('preferences-analytics-enabled').checked).toBe(false);
   });
 
+  it('lists output devices for the preview output and keeps a disconnected choice', async () => {
+    vi.stubGlobal('navigator', { mediaDevices: { enumerateDevices: vi.fn(async () => [
+      { kind: 'audiooutput', deviceId: 'default', label: 'Default' },
+      { kind: 'audiooutput', deviceId: 'usb', label: 'USB Headphones' },
+      { kind: 'audioinput', deviceId: 'mic', label: 'Microphone' }
+    ]) } });
+    const manager = initializePreferenceManager({ electronAPI: api({
+      preview_output_device: { success: true, value: 'bluetooth' }
+    }) });
+    await manager.loadPreferences();
+    const select = fields.get('preferences-preview-output-device');
+    expect(select.options.map(option => [option.value, option.textContent])).toEqual([
+      ['', 'None (previews off)'], ['usb', 'USB Headphones'], ['bluetooth', 'Saved device (not connected)']
+    ]);
+    expect(select.value).toBe('bluetooth');
+    vi.unstubAllGlobals();
+  });
+
   it('returns fallbacks for failed and rejected preference reads', async () => {
     const electronAPI = api({ prerelease_updates: { success: false, error: 'bad value' } });
     electronAPI.profile.getPreference.mockRejectedValueOnce(new Error('offline'));
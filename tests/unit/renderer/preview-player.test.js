@@ -0,0 +1,126 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const secureDatabase = { getSongById: vi.fn() };
+const secureStore = { get: vi.fn() };
+const securePath = { join: vi.fn(async (dir, file) => ({ success: true, data: `${dir}/${file}` })) };
+const secureFileSystem = { exists: vi.fn() };
+const getPreference = vi.fn();
+const customAlert = vi.fn();
+
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({
+  secureDatabase, secureStore, securePath, secureFileSystem
+}));
+vi.mock('../../../src/renderer/modules/utils/index.js', () => ({ customAlert }));
+vi.mock('../../../src/renderer/modules/preferences/profile-preference-adapter.js', () => ({ getPreference }));
+vi.mock('../../../src/renderer/modules/shared-state.js', () => ({ default: { get: vi.fn(), set: vi.fn() } }));
+
+let devices;
+let sinkError;
+const elements = [];
+
+class FakeAudio {
+  constructor() {
+    this.paused = true;
+    this.currentTime = 0;
+    this.listeners = {};
+    this.setSinkId = vi.fn(async (id) => {
+      if (sinkError) throw sinkError;
+      this.sinkId = id;
+    });
+    elements.push(this);
+  }
+  addEventListener(type, listener) { (this.listeners[type] ||= []).push(listener); }
+  play() { this.playedOn = this.sinkId; this.paused = false; return Promise.resolve(); }
+  pause() { this.paused = true; }
+  removeAttribute(name) { delete this[name]; }
+  load() {}
+}
+
+const panel = { classList: { add: vi.fn(), remove: vi.fn() } };
+const title = {};
+globalThis.Audio = FakeAudio;
+globalThis.window = { secureElectronAPI: {} };
+globalThis.navigator = { mediaDevices: { enumerateDevices: async () => devices, addEventListener: vi.fn() } };
+globalThis.document = {
+  getElementById: id => ({ 'preview-player': panel, preview_song_title: title }[id] ?? null),
+  querySelector: () => null
+};
+
+const previewPlayer = await import('../../../src/renderer/modules/preview-player/index.js');
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  elements.length = 0;
+  sinkError = null;
+  devices = [{ kind: 'audiooutput', deviceId: 'headphones', label: 'USB Headphones' }];
+  getPreference.mockResolvedValue({ success: true, value: 'headphones' });
+  secureStore.get.mockResolvedValue({ success: true, value: '/music' });
+  secureFileSystem.exists.mockResolvedValue({ success: true, exists: true });
+  secureDatabase.getSongById.mockResolvedValue({
+    success: true, data: [{ id: 5, title: 'Overture', artist: 'Pit', filename: 'overture.mp3', volume: 50, start_time: 2 }]
+  });
+});
+
+describe('preview player', () => {
+  it('routes the preview to the preview output before playing', async () => {
+    expect(await previewPlayer.previewSong(5)).toBe(true);
+    const [element] = elements;
+    expect(element.setSinkId).toHaveBeenCalledWith('headphones');
+    expect(element.playedOn).toBe('headphones');
+    expect(element.src).toBe('file:///music/overture.mp3');
+    expect(element.volume).toBe(0.5);
+    expect(title.textContent).toBe('Overture - Pit');
+    expect(panel.classList.remove).toHaveBeenCalledWith('d-none');
+
+    element.listeners.loadedmetadata.forEach(listener => listener());
+    expect(element.currentTime).toBe(2);
+  });
+
+  it('does not preview without a connected preview output', async () => {
+    getPreference.mockResolvedValue({ success: true, value: '' });
+    expect(await previewPlayer.previewSong(5)).toBe(false);
+    expect(customAlert).toHaveBeenCalledWith(expect.stringContaining('Choose a Preview output'));
+
+    getPreference.mockResolvedValue({ success: true, value: 'bluetooth' });
+    expect(await previewPlayer.previewSong(5)).toBe(false);
+    expect(customAlert).toHaveBeenLastCalledWith(expect.stringContaining('not connected'));
+    expect(elements).toHaveLength(0);
+  });
+
+  it('does not play when the element cannot be routed', async () => {
+    sinkError = new Error('Requested device not found');
+    expect(await previewPlayer.previewSong(5)).toBe(false);
+    expect(elements[0].playedOn).toBeUndefined();
+    expect(customAlert).toHaveBeenCalledWith('Could not play to the preview output: Requested device not found');
+  });
+
+  it('pauses when the preview output is unplugged and will not resume on another device', async () => {
+    await previewPlayer.previewSong(5);
+    const [element] = elements;
+    const onDeviceChange = navigator.mediaDevices.addEventListener;
+    previewPlayer.initializePreviewPlayer();
+    const handler = onDeviceChange.mock.calls.find(([type]) => type === 'devicechange')[1];
+
+    devices = [];
+    await handler();
+    expect(element.paused).toBe(true);
+    expect(customAlert).toHaveBeenCalledWith('The preview output device was disconnected, so the preview was paused.');
+
+    await previewPlayer.togglePreviewPlayback();
+    expect(element.paused).toBe(true);
+  });
+
+  it('stops back at the start trim and closes the panel', async () => {
+    await previewPlayer.previewSong(5);
+    const [element] = elements;
+    element.currentTime = 40;
+    previewPlayer.stopPreview();
+    expect(element.paused).toBe(true);
+    expect(element.currentTime).toBe(2);
+
+    previewPlayer.closePreview();
+    expect(element.src).toBeUndefined();
+    expect(panel.classList.add).toHaveBeenCalledWith('d-none');
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import {
+  parseDurationRange,
+  parseSinceValue,
+  resolveCategoryCode,
+  parseSearchQuery,
+  compileStructuredQuery,
+} from '../../../src/renderer/modules/search/query-parser.js';
+
+const categories = { RB: 'Rhythm & Blues', SS: 'Scene Starters' };
+
+describe('search query parser', () => {
+  it('compiles the documented example into SEARCH_SONGS parameters', () => {
+    const compiled = compileStructuredQuery('artist:queen cat:RB since:30d -info:instrumental "exact phrase"', categories);
+    expect(compiled).toEqual({
+      searchTerm: null,
+      category: 'RB',
+      advancedFilters: {
+        title: '', artist: 'queen', info: '', since: '30',
+        phrases: ['exact phrase'],
+        tags: [],
+        exclude: [{ field: 'info', value: 'instrumental' }],
+        duration: null,
+      },
+    });
+  });
+
+  it('returns null for plain text so the basic search path is kept', () => {
+    expect(compileStructuredQuery('we are family')).toBeNull();
+    expect(compileStructuredQuery('re:mix')).toBeNull();
+  });
+
+  it('keeps free words alongside qualifiers', () => {
+    const parsed = parseSearchQuery('love artist:"sister sledge" family');
+    expect(parsed.terms).toBe('love family');
+    expect(parsed.filters.artist).toBe('sister sledge');
+  });
+
+  it('supports bare and field negation', () => {
+    const parsed = parseSearchQuery('-remix -cat:scene -title:live', categories);
+    expect(parsed.filters.exclude).toEqual([
+      { field: null, value: 'remix' },
+      { field: 'category', value: 'SS' },
+      { field: 'title', value: 'live' },
+    ]);
+  });
+
+  it('collects required and excluded tags', () => {
+    const parsed = parseSearchQuery('tag:blackout tag:"love song" -tag:finale walk');
+    expect(parsed.terms).toBe('walk');
+    expect(parsed.filters.tags).toEqual(['blackout', 'love song']);
+    expect(parsed.filters.exclude).toEqual([{ field: 'tag', value: 'finale' }]);
+    expect(compileStructuredQuery('tag:blackout').advancedFilters.tags).toEqual(['blackout']);
+  });
+
+  it('parses duration ranges into inclusive whole seconds', () => {
+    expect(parseDurationRange('<1:30')).toEqual({ min: null, max: 89 });
+    expect(parseDurationRange('<=90')).toEqual({ min: null, max: 90 });
+    expect(parseDurationRange('>0:30')).toEqual({ min: 31, max: null });
+    expect(parseDurationRange('>=30')).toEqual({ min: 30, max: null });
+    expect(parseDurationRange('1:00-0:30')).toEqual({ min: 30, max: 60 });
+    expect(parseDurationRange('2:05')).toEqual({ min: 125, max: 125 });
+    expect(parseDurationRange('soon')).toBeNull();
+    expect(parseSearchQuery('dur:<1:30').filters.duration).toEqual({ min: null, max: 89 });
+  });
+
+  it('normalizes since values to days', () => {
+    expect(parseSinceValue('30d')).toBe('30');
+    expect(parseSinceValue('2w')).toBe('14');
+    expect(parseSinceValue('7')).toBe('7');
+    expect(parseSinceValue('2025-01-01')).toBe('2025-01-01');
+  });
+
+  it('resolves categories by code, description and description prefix', () => {
+    expect(resolveCategoryCode('rb', categories)).toBe('RB');
+    expect(resolveCategoryCode('scene starters', categories)).toBe('SS');
+    expect(resolveCategoryCode('rhythm', categories)).toBe('RB');
+    expect(resolveCategoryCode('new', categories)).toBe('NEW');
+  });
+});
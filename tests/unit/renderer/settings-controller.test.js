@@ -13,9 +13,18 @@ function setFields(overrides = {}) {
   const defaults = {
     'preferences-database-directory': { value: '' }, 'preferences-song-directory': { value: '/new-music' },
     'preferences-hotkey-directory': { value: '' }, 'preferences-fadeout-seconds': { value: '5' },
-    'preferences-crossfade-seconds': { value: '2' }, 'preferences-debug-log-enabled': { checked: true },
+    'preferences-crossfade-seconds': { value: '2' }, 'preferences-fadein-seconds': { value: '1.5' },
+    'preferences-fadeout-curve': { value: 'exponential' }, 'preferences-crossfade-curve': { value: 'equal-power' },
+    'preferences-fadein-curve': { value: 'sideways' }, 'preferences-debug-log-enabled': { checked: true },
     'preferences-prerelease-updates': { checked: false }, 'preferences-screen-mode': { value: 'dark' },
-    'preferences-analytics-enabled': { checked: true }
+    'preferences-analytics-enabled': { checked: true },
+    'preferences-loudness-normalization': { checked: true }, 'preferences-loudness-target': { value: '-60' },
+    'preferences-silence-trim-on-import': { checked: false }, 'preferences-silence-threshold': { value: '-35' },
+    'preferences-audio-output-device': { value: 'usb-interface' }, 'preferences-audio-output-fallback': { value: 'pause' },
+    'preferences-preview-output-device': { value: 'usb-headphones' },
+    'preferences-duck-depth': { value: '18' }, 'preferences-duck-attack': { value: '-5' },
+    'preferences-duck-release': { value: '1200' }, 'preferences-duck-on-sfx': { checked: false },
+    'preferences-duck-mic-device': { value: 'usb-mic' }, 'preferences-duck-mic-threshold': { value: '-45' }
   };
   fields.clear(); Object.entries({ ...defaults, ...overrides }).forEach(([key, value]) => fields.set(key, value));
 }
@@ -39,6 +48,8 @@ describe('settings controller', () => {
     const electronAPI = createAPI();
     const moduleRegistry = {
       audio: { updateMusicDirectoryCache: vi.fn() },
+      outputDevice: { refreshOutputDevice: vi.fn() },
+      ducking: { refreshDucking: vi.fn() },
       themeManagement: { setUserTheme: vi.fn(async () => {}) }
     };
     const controller = initializeSettingsController({ electronAPI, moduleRegistry });
@@ -49,9 +60,18 @@ describe('settings controller', () => {
     expect(electronAPI.store.set).toHaveBeenCalledWith('database_directory', '/db');
     expect(electronAPI.store.set).toHaveBeenCalledWith('music_directory', '/new-music');
     expect(electronAPI.profile.setPreferences).toHaveBeenCalledWith(expect.objectContaining({
-      fade_out_seconds: 5, crossfade_seconds: 2, screen_mode: 'dark'
+      fade_out_seconds: 5, crossfade_seconds: 2, screen_mode: 'dark',
+      fade_in_seconds: 1.5, fade_out_curve: 'exponential', crossfade_curve: 'equal-power', fade_in_curve: 'linear',
+      loudness_normalization: true, loudness_target_lufs: -40,
+      silence_trim_on_import: false, silence_threshold_db: -35,
+      audio_output_device: 'usb-interface', audio_output_fallback: 'pause',
+      preview_output_device: 'usb-headphones',
+      duck_depth_db: 18, duck_attack_ms: 0, duck_release_ms: 1200, duck_on_sfx: false,
+      duck_mic_device: 'usb-mic', duck_mic_threshold_db: -45
     }));
     expect(moduleRegistry.audio.updateMusicDirectoryCache).toHaveBeenCalledWith('/new-music');
+    expect(moduleRegistry.outputDevice.refreshOutputDevice).toHaveBeenCalledOnce();
+    expect(moduleRegistry.ducking.refreshDucking).toHaveBeenCalledOnce();
     expect(electronAPI.analytics.setOptOut).toHaveBeenCalledWith(false);
     expect(safeHideModal).toHaveBeenCalledWith('#preferencesModal', expect.any(Object));
   });
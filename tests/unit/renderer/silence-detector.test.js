@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import {
+  computePeaks,
+  detectSilence,
+  normalizeSilenceThreshold,
+  suggestTrim
+} from '../../../src/renderer/modules/silence-trim/silence-detector.js';
+
+const RATE = 8000;
+
+// Silence, then a tone, then silence, with a low noise floor throughout
+function track({ lead, sound, tail, amplitude = 0.5, noise = 0.0005 }) {
+  const total = Math.round((lead + sound + tail) * RATE);
+  const soundStart = Math.round(lead * RATE);
+  const soundEnd = Math.round((lead + sound) * RATE);
+  return Float32Array.from({ length: total }, (_, i) => {
+    const floor = noise * Math.sin(i * 1.7);
+    return i >= soundStart && i < soundEnd ? amplitude * Math.sin(2 * Math.PI * 440 * i / RATE) + floor : floor;
+  });
+}
+
+describe('silence detector', () => {
+  it('finds where sound starts and ends', () => {
+    const detection = detectSilence([track({ lead: 3.3, sound: 5, tail: 2.5 })], RATE);
+    expect(detection.soundStart).toBeCloseTo(3.3, 1);
+    expect(detection.soundEnd).toBeCloseTo(8.3, 1);
+    expect(detection.duration).toBeCloseTo(10.8, 5);
+  });
+
+  it('suggests whole-second trims that keep all the sound', () => {
+    const detection = detectSilence([track({ lead: 3.3, sound: 5, tail: 2.5 })], RATE);
+    expect(suggestTrim(detection)).toEqual({ startTime: 3, endTime: 9, silent: false });
+  });
+
+  it('leaves short gaps alone', () => {
+    const detection = detectSilence([track({ lead: 0.4, sound: 5, tail: 0.6 })], RATE);
+    expect(suggestTrim(detection)).toEqual({ startTime: null, endTime: null, silent: false });
+  });
+
+  it('uses the loudest channel and the threshold', () => {
+    const quiet = track({ lead: 2, sound: 3, tail: 2, amplitude: 0.005 });
+    const left = new Float32Array(quiet.length);
+    expect(detectSilence([left, quiet], RATE, { thresholdDb: -60 }).soundStart).toBeCloseTo(2, 1);
+    expect(suggestTrim(detectSilence([left, quiet], RATE, { thresholdDb: -40 }))).toMatchObject({ silent: true });
+  });
+
+  it('reports silent files', () => {
+    expect(detectSilence([new Float32Array(RATE)], RATE)).toEqual({ soundStart: null, soundEnd: null, duration: 1 });
+  });
+
+  it('clamps the threshold preference', () => {
+    expect(normalizeSilenceThreshold('-100')).toBe(-80);
+    expect(normalizeSilenceThreshold('-35')).toBe(-35);
+    expect(normalizeSilenceThreshold('')).toBe(-50);
+  });
+
+  it('reduces samples to peaks for the waveform', () => {
+    const peaks = computePeaks([Float32Array.from([0, 0.5, -0.8, 0.1]), Float32Array.from([0.9, 0, 0, 0])], 2);
+    expect(peaks.map(peak => Math.round(peak * 10) / 10)).toEqual([0.9, 0.8]);
+  });
+});
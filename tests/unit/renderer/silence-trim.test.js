@@ -0,0 +1,168 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const showModal = vi.fn();
+const secureDatabase = { getSongsByIds: vi.fn(), updateSong: vi.fn(), getSongById: vi.fn() };
+const secureStore = { get: vi.fn() };
+const getPreference = vi.fn();
+const resolveAudioSource = vi.fn();
+const preview = { show: vi.fn(), setBounds: vi.fn(), destroy: vi.fn() };
+
+vi.mock('../../../src/renderer/modules/ui/bootstrap-adapter.js', () => ({ showModal }));
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({
+  secureDatabase, secureStore, secureFileSystem: {}, securePath: {}
+}));
+vi.mock('../../../src/renderer/modules/preferences/profile-preference-adapter.js', () => ({ getPreference }));
+vi.mock('../../../src/renderer/modules/audio/audio-source-resolver.js', () => ({ resolveAudioSource }));
+vi.mock('../../../src/renderer/modules/silence-trim/trim-preview.js', () => ({ createTrimPreview: () => preview }));
+
+const RATE = 22050;
+const files = {};
+
+// lead seconds of silence, sound seconds of tone, tail seconds of silence
+function buffer(lead, sound, tail) {
+  const samples = new Float32Array(Math.round((lead + sound + tail) * RATE));
+  for (let i = Math.round(lead * RATE); i < Math.round((lead + sound) * RATE); i++) samples[i] = 0.5 * Math.sin(i / 3);
+  return { sampleRate: RATE, numberOfChannels: 1, length: samples.length, getChannelData: () => samples };
+}
+
+vi.mock('../../../src/renderer/modules/audio/audio-file-decoder.js', () => ({
+  decodeAudioFile: vi.fn(async (filePath) => {
+    if (!files[filePath]) throw new Error('Unable to decode audio data');
+    return files[filePath];
+  }),
+  getChannels: audio => [audio.getChannelData(0)]
+}));
+
+function element() {
+  return {
+    value: '', textContent: '', style: {}, children: [], listeners: {},
+    addEventListener(type, listener) { this.listeners[type] = listener; },
+    appendChild(child) { this.children.push(child); return child; },
+  };
+}
+
+const elements = new Map();
+globalThis.window = {};
+globalThis.document = {
+  getElementById: (id) => {
+    if (!elements.has(id)) elements.set(id, element());
+    return elements.get(id);
+  },
+  querySelectorAll: () => [{ getAttribute: () => '1' }, { getAttribute: () => '2' }],
+  createElement: () => element(),
+};
+
+const silenceTrim = await import('../../../src/renderer/modules/silence-trim/index.js');
+
+function prefs(values) {
+  getPreference.mockImplementation(async key => (key in values ? { success: true, value: values[key] } : { success: false }));
+}
+
+describe('silence trim', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    elements.clear();
+    prefs({ silence_trim_on_import: true, silence_threshold_db: -50 });
+    secureStore.get.mockResolvedValue({ success: true, value: '/music' });
+    resolveAudioSource.mockImplementation(async ({ filename }) => ({ success: true, filePath: `/music/${filename}` }));
+    files['/music/intro.mp3'] = buffer(2.5, 3, 2);
+    files['/music/clean.mp3'] = buffer(0, 3, 0);
+    files['/import/new.mp3'] = buffer(0, 2, 1.5);
+  });
+
+  it('lists the search results with suggested trims and saves the checked songs', async () => {
+    secureDatabase.getSongsByIds.mockResolvedValue({
+      success: true,
+      data: [
+        { id: 1, title: 'Intro', filename: 'intro.mp3', start_time: null, end_time: null },
+        { id: 2, title: 'Clean', filename: 'clean.mp3', start_time: null, end_time: null }
+      ]
+    });
+    const rows = await silenceTrim.showAutoTrim();
+    expect(showModal).toHaveBeenCalledWith('#autoTrimModal');
+    expect(secureDatabase.getSongsByIds).toHaveBeenCalledWith(['1', '2']);
+    expect(rows.map(row => [row.startTime, row.endTime])).toEqual([[2, 6], [null, null]]);
+    expect(document.getElementById('auto-trim-message').textContent).toMatch(/^Found silence to trim in 1 of 2 songs/);
+
+    secureDatabase.updateSong.mockResolvedValue({ success: true });
+    await expect(silenceTrim.applyAutoTrim()).resolves.toEqual({ saved: 1, failed: 0 });
+    expect(secureDatabase.updateSong).toHaveBeenCalledTimes(1);
+    expect(secureDatabase.updateSong).toHaveBeenCalledWith({ id: 1, start_time: 2, end_time: 6 });
+  });
+
+  it('keeps an existing trim at the end without silence and skips unchecked songs', async () => {
+    files['/music/intro.mp3'] = buffer(2.5, 3, 0);
+    secureDatabase.getSongsByIds.mockResolvedValue({
+      success: true,
+      data: [
+        { id: 1, title: 'Intro', filename: 'intro.mp3', start_time: null, end_time: 5 },
+        { id: 3, title: 'Other', filename: 'intro.mp3', start_time: null, end_time: null }
+      ]
+    });
+    const rows = await silenceTrim.loadAutoTrim([1, 3]);
+    rows[1].checked = false;
+    secureDatabase.updateSong.mockResolvedValue({ success: true });
+    await silenceTrim.applyAutoTrim();
+    expect(secureDatabase.updateSong).toHaveBeenCalledTimes(1);
+    expect(secureDatabase.updateSong).toHaveBeenCalledWith({ id: 1, start_time: 2 });
+  });
+
+  it('reports songs whose file cannot be read', async () => {
+    secureDatabase.getSongsByIds.mockResolvedValue({
+      success: true, data: [{ id: 4, title: 'Gone', filename: 'gone.mp3' }]
+    });
+    const rows = await silenceTrim.loadAutoTrim([4]);
+    expect(rows[0]).toMatchObject({ status: 'failed', error: 'Unable to decode audio data' });
+  });
+
+  it('opens the review after bulk import only when suggestions are on', async () => {
+    secureDatabase.getSongsByIds.mockResolvedValue({ success: true, data: [] });
+    await expect(silenceTrim.reviewImportedSongTrims([7, 8])).resolves.toBe(true);
+    await vi.waitFor(() => expect(secureDatabase.getSongsByIds).toHaveBeenCalledWith([7, 8]));
+
+    prefs({ silence_trim_on_import: false });
+    await expect(silenceTrim.reviewImportedSongTrims([7, 8])).resolves.toBe(false);
+    await expect(silenceTrim.reviewImportedSongTrims([])).resolves.toBe(false);
+  });
+
+  it('scans files being imported and stops when asked', async () => {
+    const songs = [{ filePath: '/import/new.mp3' }, { filePath: '/import/missing.mp3' }, { filePath: '/import/new.mp3' }];
+    const onResult = vi.fn();
+    await silenceTrim.suggestImportTrims(songs, { onResult, shouldStop: () => onResult.mock.calls.length === 2 });
+    expect(onResult).toHaveBeenCalledTimes(2);
+    expect(songs[0].trim).toMatchObject({ startTime: null, endTime: 2, silent: false });
+    expect(onResult).toHaveBeenLastCalledWith(songs[1], 1, null);
+    expect(songs[2].trim).toBeUndefined();
+  });
+
+  it('fills the empty song form fields and follows the waveform region', async () => {
+    document.getElementById('song-form-end-time').value = '0:04';
+    const result = await silenceTrim.prefillSongFormTrim('/music/intro.mp3');
+    expect(result).toMatchObject({ startTime: 2, endTime: 6 });
+    expect(document.getElementById('song-form-start-time').value).toBe('0:02');
+    expect(document.getElementById('song-form-end-time').value).toBe('0:04');
+    expect(document.getElementById('song-form-trim-status').textContent).toBe('Suggested trim: 0:02 to 0:06');
+    const shown = preview.show.mock.calls[0][0];
+    expect(shown).toMatchObject({ filePath: '/music/intro.mp3', startTime: 2, endTime: 4 });
+
+    shown.onChange({ startTime: 1, endTime: null });
+    expect(document.getElementById('song-form-start-time').value).toBe('0:01');
+    expect(document.getElementById('song-form-end-time').value).toBe('');
+  });
+
+  it('does not suggest in the song form when suggestions are off', async () => {
+    prefs({ silence_trim_on_import: false });
+    await expect(silenceTrim.prefillSongFormTrim('/music/intro.mp3')).resolves.toBeNull();
+    expect(preview.show).not.toHaveBeenCalled();
+  });
+
+  it('formats and parses trim times', () => {
+    expect(silenceTrim.formatTrimTime(75)).toBe('1:15');
+    expect(silenceTrim.formatTrimTime(null)).toBe('');
+    expect(silenceTrim.parseTrimTime('1:15')).toBe(75);
+    expect(silenceTrim.parseTrimTime('90')).toBe(90);
+    expect(silenceTrim.parseTrimTime('1:75')).toBeNull();
+    expect(silenceTrim.describeTrim({ silent: false, startTime: null, endTime: null })).toBe('No silence to trim.');
+  });
+});
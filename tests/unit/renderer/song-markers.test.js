@@ -0,0 +1,127 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const showModal = vi.fn();
+const hideModal = vi.fn();
+const secureDatabase = { setSongMarkers: vi.fn(), getSongById: vi.fn() };
+const customPrompt = vi.fn();
+const customAlert = vi.fn();
+const renderSongMarkers = vi.fn();
+const values = new Map();
+
+vi.mock('../../../src/renderer/modules/ui/bootstrap-adapter.js', () => ({ showModal, hideModal }));
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({ secureDatabase }));
+vi.mock('../../../src/renderer/modules/utils/index.js', () => ({ customPrompt, customAlert }));
+vi.mock('../../../src/renderer/modules/audio/playback-ui-presenter.js', () => ({
+  MARKER_REGION_PREFIX: 'marker:', renderSongMarkers
+}));
+vi.mock('../../../src/renderer/modules/shared-state.js', () => ({
+  default: {
+    get: key => values.get(key),
+    set: (key, value) => values.set(key, value),
+    subscribe: vi.fn()
+  }
+}));
+
+function element() {
+  return {
+    value: '', textContent: '', children: [], listeners: {}, attributes: {},
+    addEventListener(type, listener) { this.listeners[type] = listener; },
+    appendChild(child) { this.children.push(child); return child; },
+    getAttribute(name) { return this.attributes[name] ?? null; },
+  };
+}
+
+const elements = new Map();
+globalThis.document = {
+  getElementById: (id) => {
+    if (!elements.has(id)) elements.set(id, element());
+    return elements.get(id);
+  },
+  createElement: () => element(),
+};
+
+const songMarkers = await import('../../../src/renderer/modules/song-markers/index.js');
+
+const markers = [{ name: 'Intro', position: 2 }, { name: 'Chorus', position: 30 }];
+let sound;
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  elements.clear();
+  values.clear();
+  sound = { position: 10, seek: vi.fn(function (to) { if (to === undefined) return this.position; this.position = to; return this; }) };
+  values.set('sound', sound);
+  values.set('trackMarkers', markers);
+  document.getElementById('song_now_playing').attributes.songid = '7';
+  secureDatabase.setSongMarkers.mockImplementation(async (songId, list) => ({ success: true, data: list }));
+});
+
+describe('song markers', () => {
+  it('jumps to the next and previous marker of the playing song', () => {
+    expect(songMarkers.jumpToNextMarker()).toEqual({ name: 'Chorus', position: 30 });
+    expect(sound.position).toBe(30);
+    sound.position = 40;
+    expect(songMarkers.jumpToPreviousMarker()).toEqual({ name: 'Chorus', position: 30 });
+    expect(songMarkers.jumpToNextMarker()).toBeNull();
+  });
+
+  it('does nothing when no song is playing', () => {
+    values.delete('sound');
+    expect(songMarkers.jumpToNextMarker()).toBeNull();
+  });
+
+  it('adds a marker at the position where it was asked for', async () => {
+    customPrompt.mockImplementation(async () => {
+      sound.position = 14;
+      return 'Verse';
+    });
+    await songMarkers.addMarkerAtPlayhead();
+    expect(customPrompt).toHaveBeenCalledWith('Name this marker:', 'Marker 3', 'Add Marker');
+    expect(secureDatabase.setSongMarkers).toHaveBeenCalledWith('7', [...markers, { name: 'Verse', position: 10 }]);
+    expect(values.get('trackMarkers')).toHaveLength(3);
+    expect(renderSongMarkers).toHaveBeenCalled();
+  });
+
+  it('deletes a marker whose name is cleared', async () => {
+    customPrompt.mockResolvedValue('');
+    await songMarkers.editMarker('Intro');
+    expect(secureDatabase.setSongMarkers).toHaveBeenCalledWith('7', [{ name: 'Chorus', position: 30 }]);
+  });
+
+  it('reports a marker that could not be saved and redraws the saved ones', async () => {
+    secureDatabase.setSongMarkers.mockResolvedValue({ success: false, error: 'There is already a marker named intro' });
+    customPrompt.mockResolvedValue('intro');
+    expect(await songMarkers.editMarker('Chorus')).toBeNull();
+    expect(customAlert).toHaveBeenCalledWith('Could not save the marker: There is already a marker named intro');
+    expect(renderSongMarkers).toHaveBeenCalledWith(undefined, markers);
+  });
+
+  it('moves a marker dragged on the waveform and ignores the trim region', () => {
+    const handlers = {};
+    songMarkers.attachMarkerEditor({ on: (event, handler) => { handlers[event] = handler; } });
+    handlers['region-updated']({ id: 'trim', start: 3 });
+    expect(secureDatabase.setSongMarkers).not.toHaveBeenCalled();
+    handlers['region-updated']({ id: 'marker:Chorus', start: 32.5 });
+    expect(secureDatabase.setSongMarkers).toHaveBeenCalledWith('7', [{ name: 'Intro', position: 2 }, { name: 'Chorus', position: 32.5 }]);
+  });
+
+  it('picks the marker a hotkey starts at', async () => {
+    const hotkeys = { getHotkeyMarker: vi.fn(() => 'Bridge'), setHotkeyMarker: vi.fn(() => true), requestProfileStateSave: vi.fn() };
+    songMarkers.initializeSongMarkers({ moduleRegistry: { hotkeys } });
+    secureDatabase.getSongById.mockResolvedValue({ success: true, data: [{ id: 7, title: 'Walk On', markers }] });
+    const hotkey = element();
+    hotkey.attributes.songid = '7';
+
+    expect(await songMarkers.chooseHotkeyMarker(hotkey)).toBe(true);
+    const options = document.getElementById('hotkey-marker-select').children;
+    expect(options.map(option => option.textContent)).toEqual(['Start of song', 'Intro', 'Chorus', 'Bridge (not in this song)']);
+    expect(showModal).toHaveBeenCalledWith('#hotkeyMarkerModal');
+
+    document.getElementById('hotkey-marker-select').value = 'Chorus';
+    await songMarkers.saveHotkeyMarker();
+    expect(hotkeys.setHotkeyMarker).toHaveBeenCalledWith(hotkey, 'Chorus');
+    expect(hotkeys.requestProfileStateSave).toHaveBeenCalled();
+    expect(hideModal).toHaveBeenCalledWith('#hotkeyMarkerModal');
+  });
+});
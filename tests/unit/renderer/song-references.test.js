@@ -0,0 +1,82 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const customConfirm = vi.fn();
+const secureLibrary = { findSongRelinks: vi.fn(), relinkSongReferences: vi.fn() };
+
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/utils/index.js', () => ({ customConfirm }));
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({ secureLibrary }));
+
+globalThis.window = {};
+
+const songReferences = await import('../../../src/renderer/modules/song-references/index.js');
+const store = await import('../../../src/renderer/modules/song-references/song-fingerprint-store.js');
+
+const links = [
+  { profile: 'Host', songId: '3', newSongId: '9', by: 'hash', title: 'Walk Up', artist: 'Band', current: true },
+  { profile: 'Stage', songId: '3', newSongId: '9', by: 'hash', title: 'Walk Up', artist: 'Band', current: false }
+];
+
+describe('song fingerprint store', () => {
+  beforeEach(() => store.loadSongFingerprints({}));
+
+  it('keeps a missing mark over fingerprints a save returns', () => {
+    store.loadSongFingerprints({ 3: { hash: null, size: null, title: 'Walk Up', artist: 'Band' } });
+    store.markSongsMissing({ 3: null });
+    store.mergeSongFingerprints({ 3: { hash: null, size: null, title: 'Walk Up', artist: 'Band' }, 4: { title: 'New' } });
+
+    expect(store.isSongMarkedMissing('3')).toBe(true);
+    expect(store.describeMissingSong(3)).toBe('Missing: Walk Up by Band');
+    expect(store.getSongFingerprints()).toHaveProperty('4');
+    store.forgetSongFingerprints([3]);
+    expect(store.isSongMarkedMissing('3')).toBe(false);
+    expect(store.describeMissingSong(3)).toBe('Missing song');
+  });
+});
+
+describe('offerSongRelinks', () => {
+  let modules;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store.loadSongFingerprints({ 3: { hash: null, size: null, title: 'Walk Up', artist: 'Band', missing: true } });
+    modules = {
+      hotkeys: {
+        getHotkeySnapshot: vi.fn(() => [{ tabNumber: 1, hotkeys: { f1: '3' } }]),
+        restoreHotkeySnapshot: vi.fn()
+      },
+      holdingTank: {
+        getHoldingTankSnapshot: vi.fn(() => [{ tabNumber: 1, songIds: ['3', '4'] }]),
+        restoreHoldingTankSnapshot: vi.fn()
+      },
+      profileState: { extractProfileState: vi.fn(() => ({ hotkeys: [] })), saveProfileState: vi.fn() }
+    };
+    songReferences.initializeSongReferences({ moduleRegistry: modules });
+    secureLibrary.findSongRelinks.mockResolvedValue({ success: true, data: links });
+    secureLibrary.relinkSongReferences.mockResolvedValue({ success: true, data: { profilesUpdated: ['Stage'] } });
+  });
+
+  it('relinks the open profile here and the others through the main process', async () => {
+    customConfirm.mockResolvedValue(true);
+
+    await expect(songReferences.offerSongRelinks()).resolves.toEqual({ relinked: 2, profilesUpdated: ['Stage'] });
+    expect(secureLibrary.findSongRelinks).toHaveBeenCalledWith({ hotkeys: [] });
+    expect(customConfirm.mock.calls[0][0]).toContain('Walk Up by Band');
+    expect(customConfirm.mock.calls[0][0]).toContain('in 2 profiles');
+    expect(modules.hotkeys.restoreHotkeySnapshot).toHaveBeenCalledWith([{ tabNumber: 1, hotkeys: { f1: '9' } }]);
+    expect(modules.holdingTank.restoreHoldingTankSnapshot).toHaveBeenCalledWith([{ tabNumber: 1, songIds: ['9', '4'] }]);
+    expect(modules.profileState.saveProfileState).toHaveBeenCalledOnce();
+    expect(secureLibrary.relinkSongReferences).toHaveBeenCalledWith([links[1]]);
+    expect(store.isSongMarkedMissing('3')).toBe(false);
+  });
+
+  it('does not offer the same relinks again after they were turned down', async () => {
+    customConfirm.mockResolvedValue(false);
+
+    await expect(songReferences.offerSongRelinks()).resolves.toBeNull();
+    await expect(songReferences.offerSongRelinks()).resolves.toBeNull();
+    expect(customConfirm).toHaveBeenCalledOnce();
+    expect(modules.hotkeys.restoreHotkeySnapshot).not.toHaveBeenCalled();
+    expect(secureLibrary.relinkSongReferences).not.toHaveBeenCalled();
+  });
+});
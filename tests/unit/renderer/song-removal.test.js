@@ -6,13 +6,20 @@ globalThis.window = { debugLog: { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
 const selected = { getAttribute: () => '42', remove: vi.fn(), removeAttribute: vi.fn() };
 globalThis.document = { getElementById: () => selected, querySelectorAll: () => [] };
 const removal = await import('../../../src/renderer/modules/song-management/song-removal.js');
+const fingerprintStore = await import('../../../src/renderer/modules/song-references/song-fingerprint-store.js');
 describe('song removal contracts', () => {
   beforeEach(() => { vi.clearAllMocks(); db.getSongById.mockResolvedValue({ success: true, data: [{ title: 'Song', filename: 'song.mp3' }] }); });
   it('does not touch storage when deletion is cancelled', async () => { confirm.mockResolvedValue(false); await expect(removal.deleteSong()).resolves.toEqual({ success: false, error: 'User cancelled' }); expect(db.deleteSong).not.toHaveBeenCalled(); });
   it('stops cleanup when database deletion fails', async () => { confirm.mockResolvedValue(true); db.deleteSong.mockResolvedValue({ success: false, error: 'locked' }); await expect(removal.deleteSong()).resolves.toEqual({ success: false, error: 'locked' }); expect(file.delete).not.toHaveBeenCalled(); });
   it('deletes database/file and synchronizes state modules', async () => {
     confirm.mockResolvedValue(true); db.deleteSong.mockResolvedValue({ success: true }); store.get.mockResolvedValue({ success: true, value: '/music' }); pathApi.join.mockResolvedValue({ success: true, data: '/music/song.mp3' }); file.delete.mockResolvedValue({ success: true });
-    const modules = { holdingTank: { clearSongFromHoldingTankState: vi.fn() }, hotkeys: { clearSong: vi.fn() }, profileState: { saveProfileState: vi.fn() } }; removal.configureSongRemovalDependencies({ moduleRegistry: modules });
-    await expect(removal.deleteSong()).resolves.toMatchObject({ success: true, songId: '42' }); expect(file.delete).toHaveBeenCalledWith('/music/song.mp3'); expect(modules.hotkeys.clearSong).toHaveBeenCalledWith('42'); expect(analytics.trackEvent).toHaveBeenCalledWith('song_deleted');
+    const modules = { holdingTank: { getHoldingTankSnapshot: vi.fn(() => []), restoreHoldingTankSnapshot: vi.fn() }, hotkeys: { getHotkeySnapshot: vi.fn(() => [{ tabNumber: 1, hotkeys: { f1: '42' } }]), restoreHotkeySnapshot: vi.fn() }, profileState: { saveProfileState: vi.fn() } }; removal.configureSongRemovalDependencies({ moduleRegistry: modules });
+    await expect(removal.deleteSong()).resolves.toMatchObject({ success: true, songId: '42' }); expect(file.delete).toHaveBeenCalledWith('/music/song.mp3'); expect(analytics.trackEvent).toHaveBeenCalledWith('song_deleted');
+    expect(modules.hotkeys.restoreHotkeySnapshot).toHaveBeenCalledWith([{ tabNumber: 1, hotkeys: { f1: '42' } }]); expect(modules.holdingTank.restoreHoldingTankSnapshot).toHaveBeenCalledOnce(); expect(modules.profileState.saveProfileState).toHaveBeenCalledOnce();
+  });
+  it('keeps the deleted song on hotkeys and holding tanks as missing', async () => {
+    confirm.mockResolvedValue(true); db.deleteSong.mockResolvedValue({ success: true, data: { changes: 1, fingerprint: { hash: null, size: null, title: 'Song', artist: 'Band' } } }); store.get.mockResolvedValue({ success: false });
+    removal.configureSongRemovalDependencies({ moduleRegistry: {} });
+    await removal.deleteSong(); expect(fingerprintStore.isSongMarkedMissing('42')).toBe(true); expect(fingerprintStore.describeMissingSong('42')).toBe('Missing: Song by Band');
   });
 });
@@ -0,0 +1,161 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const secureStore = { get: vi.fn() };
+const securePath = { join: vi.fn(async (dir, file) => ({ success: true, data: `${dir}/${file}` })) };
+const secureFileSystem = { exists: vi.fn() };
+const getPreference = vi.fn();
+const setPreference = vi.fn();
+const customAlert = vi.fn();
+const showDropToast = vi.fn();
+const values = new Map();
+const sounds = [];
+
+class FakeSound {
+  constructor(options) {
+    this.options = options;
+    this._html5 = true;
+    this.node = { setSinkId: vi.fn(async (id) => { this.sinkId = id; }) };
+    this._sounds = [{ _node: this.node }];
+    this.position = 0;
+    this.currentVolume = options.volume;
+    this.play = vi.fn(() => { this.playedOn = this.sinkId; });
+    this.stop = vi.fn();
+    this.unload = vi.fn();
+    sounds.push(this);
+  }
+  seek(position) {
+    if (position === undefined) return this.position;
+    this.position = position;
+    return this;
+  }
+  duration() { return 10; }
+  volume(value) { this.currentVolume = value; }
+}
+
+vi.mock('../../../src/renderer/modules/debug-log/index.js', () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({ secureStore, securePath, secureFileSystem }));
+vi.mock('../../../src/renderer/modules/utils/index.js', () => ({ customAlert }));
+vi.mock('../../../src/renderer/modules/utils/toast-utils.js', () => ({ showDropToast }));
+vi.mock('../../../src/renderer/modules/preferences/profile-preference-adapter.js', () => ({ getPreference, setPreference }));
+vi.mock('../../../src/renderer/modules/audio/audio-utils.js', () => ({
+  createHowl: options => new FakeSound(options),
+  howlerUtils: { formatTime: seconds => `${seconds}s` }
+}));
+vi.mock('../../../src/renderer/modules/shared-state.js', () => ({
+  default: { get: key => values.get(key), set: (key, value) => values.set(key, value) }
+}));
+
+let frame = null;
+globalThis.requestAnimationFrame = vi.fn((callback) => { frame = callback; return 1; });
+globalThis.cancelAnimationFrame = vi.fn();
+globalThis.window = { secureElectronAPI: {} };
+globalThis.navigator = { mediaDevices: { enumerateDevices: async () => [] } };
+globalThis.document = { getElementById: () => null };
+
+const soundEffects = await import('../../../src/renderer/modules/sound-effects/index.js');
+
+const row = (id, extra = {}) => ({ id, title: `Effect ${id}`, filename: `fx${id}.mp3`, volume: 100, ...extra });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  soundEffects.stopAllSoundEffects();
+  soundEffects.setSfxMasterVolume(100, { save: false });
+  sounds.length = 0;
+  values.clear();
+  frame = null;
+  secureStore.get.mockResolvedValue({ success: true, value: '/music' });
+  secureFileSystem.exists.mockResolvedValue({ success: true, exists: true });
+  setPreference.mockResolvedValue({ success: true });
+});
+
+describe('sound effects', () => {
+  it('plays overlapping voices on the main output without touching the main track', async () => {
+    values.set('sound', { playing: () => true });
+    values.set('audioOutputDevice', 'interface');
+    values.set('audioOutputFallback', 'continue');
+    globalThis.navigator.mediaDevices.enumerateDevices = async () => [{ kind: 'audiooutput', deviceId: 'interface', label: 'Interface' }];
+
+    await soundEffects.playSoundEffect(row(1));
+    await soundEffects.playSoundEffect(row(2, { volume: 50 }));
+
+    expect(sounds).toHaveLength(2);
+    expect(sounds.every(sound => sound.playedOn === 'interface')).toBe(true);
+    expect(sounds[1].options.volume).toBe(0.5);
+    expect(values.get('sfxVoiceCount')).toBe(2);
+    expect(values.get('sound').playing()).toBe(true);
+    globalThis.navigator.mediaDevices.enumerateDevices = async () => [];
+  });
+
+  it('replaces the oldest voice when the pool is full', async () => {
+    for (let id = 1; id <= soundEffects.MAX_SFX_VOICES + 1; id++) {
+      await soundEffects.playSoundEffect(row(id));
+    }
+    expect(sounds[0].stop).toHaveBeenCalledOnce();
+    expect(sounds[0].unload).toHaveBeenCalledOnce();
+    expect(values.get('sfxVoiceCount')).toBe(soundEffects.MAX_SFX_VOICES);
+  });
+
+  it('starts at the start trim and stops a voice at its end trim', async () => {
+    const voiceId = await soundEffects.playSoundEffect(row(1, { start_time: 1.5, end_time: 4 }));
+    const [sound] = sounds;
+    expect(sound.position).toBe(1.5);
+
+    sound.position = 4;
+    frame();
+    expect(sound.stop).toHaveBeenCalledOnce();
+    expect(soundEffects.stopSoundEffect(voiceId)).toBe(false);
+    expect(values.get('sfxVoiceCount')).toBe(0);
+  });
+
+  it('stops every voice with Stop All', async () => {
+    await soundEffects.playSoundEffect(row(1));
+    await soundEffects.playSoundEffect(row(2));
+    expect(soundEffects.stopAllSoundEffects()).toBe(2);
+    expect(sounds.every(sound => sound.stop.mock.calls.length === 1)).toBe(true);
+    expect(values.get('sfxVoiceCount')).toBe(0);
+  });
+
+  it('plays a pad at its volume and stops or fades only the voices it started', async () => {
+    await soundEffects.playSoundEffect(row(1, { volume: 80 }), { volume: 50, pad: '1:f1' });
+    await soundEffects.playSoundEffect(row(2), { pad: '1:f2' });
+    expect(sounds[0].options.volume).toBeCloseTo(0.4);
+    expect(soundEffects.isPadSoundEffectPlaying('1:f1')).toBe(true);
+
+    expect(await soundEffects.stopPadSoundEffects('1:f1')).toBe(1);
+    expect(sounds[0].stop).toHaveBeenCalledOnce();
+    expect(soundEffects.isPadSoundEffectPlaying('1:f1')).toBe(false);
+
+    secureStore.get.mockResolvedValue({ success: true, value: 2 });
+    sounds[1].once = vi.fn((event, callback) => { sounds[1].onFade = callback; });
+    sounds[1].fade = vi.fn();
+    expect(await soundEffects.stopPadSoundEffects('1:f2', { fade: true })).toBe(1);
+    expect(sounds[1].fade).toHaveBeenCalledWith(1, 0, 2000);
+    expect(sounds[1].stop).not.toHaveBeenCalled();
+    sounds[1].onFade();
+    expect(sounds[1].stop).toHaveBeenCalledOnce();
+    expect(values.get('sfxVoiceCount')).toBe(0);
+  });
+
+  it('applies the master volume to playing voices and saves it', async () => {
+    await soundEffects.playSoundEffect(row(1, { volume: 80 }));
+    expect(soundEffects.setSfxMasterVolume('50')).toBe(50);
+    expect(sounds[0].currentVolume).toBeCloseTo(0.4);
+    expect(setPreference).toHaveBeenCalledWith('sfx_volume', 50, window.secureElectronAPI);
+    expect(soundEffects.setSfxMasterVolume(250, { save: false })).toBe(100);
+  });
+
+  it('does not play while the output device is missing under the pause fallback', async () => {
+    values.set('audioOutputDevice', 'interface');
+    values.set('audioOutputFallback', 'pause');
+    expect(await soundEffects.playSoundEffect(row(1))).toBeNull();
+    expect(sounds).toHaveLength(0);
+    expect(values.get('audioOutputMissing')).toBe(true);
+    expect(showDropToast).toHaveBeenCalledWith('Not playing "Effect 1": the audio output is disconnected.', 5000);
+  });
+
+  it('tells the operator when the file is missing', async () => {
+    secureFileSystem.exists.mockResolvedValue({ success: true, exists: false });
+    expect(await soundEffects.playSoundEffect(row(1))).toBeNull();
+    expect(customAlert).toHaveBeenCalledWith('Sound effect file not found: Effect 1');
+  });
+});
@@ -63,6 +63,7 @@ const { HotkeysModule } = await import('../../../src/renderer/modules/hotkeys/in
 const { default: HotkeyState } = await import('../../../src/renderer/modules/hotkeys/hotkey-state.js');
 const { restoreHoldingTankSnapshot } = await import('../../../src/renderer/modules/holding-tank/index.js');
 const hotkeyOperations = await import('../../../src/renderer/modules/hotkeys/hotkey-operations.js');
+const { loadSongFingerprints } = await import('../../../src/renderer/modules/song-references/song-fingerprint-store.js');
 
 describe('state model rendering', () => {
   beforeEach(() => {
@@ -91,7 +92,7 @@ describe('state model rendering', () => {
     expect(staleSlot.span.textContent).toBe('');
   });
 
-  it('filters missing songs and renders ordered holding-tank entries on hidden tabs', async () => {
+  it('keeps missing songs and renders ordered holding-tank entries on hidden tabs', async () => {
     window.secureElectronAPI = { database: { getSongsByIds: vi.fn().mockResolvedValue({
       success: true,
       data: [{ id: 18, title: 'Finale', artist: 'Cast', time: '1:00' }]
@@ -102,9 +103,37 @@ describe('state model rendering', () => {
     ]);
 
     expect(document.holdingLinks[3].textContent).toBe('Finale');
-    expect(document.getElementById('holding_tank_4').children).toHaveLength(1);
-    expect(document.getElementById('holding_tank_4').children[0].textContent).toBe('Finale by Cast (1:00)');
-    expect(snapshot[3].songIds).toEqual(['18']);
+    const [missing, finale] = document.getElementById('holding_tank_4').children;
+    expect(missing.textContent).toBe('Missing song');
+    expect(missing.className).toContain('song-missing');
+    expect(finale.textContent).toBe('Finale by Cast (1:00)');
+    expect(finale.className).not.toContain('song-missing');
+    expect(snapshot[3].songIds).toEqual(['missing', '18']);
+  });
+
+  it('shows songs deleted from the library as missing pads that keep their song', async () => {
+    loadSongFingerprints({
+      17: { hash: null, size: null, title: 'Entrance', artist: 'Cast', missing: true },
+      19: { hash: null, size: null, title: 'Walk Off', artist: 'Cast' }
+    });
+    const module = Object.create(HotkeysModule.prototype);
+    module.state = new HotkeyState();
+    // Song 17 was deleted and its ID given to another song
+    module.electronAPI = { database: { getSongsByIds: vi.fn().mockResolvedValue({
+      success: true,
+      data: [{ id: 17, title: 'Someone Else', artist: 'Other', time: '0:30' }]
+    }) } };
+
+    const snapshot = await module.restoreHotkeySnapshot([
+      { tabNumber: 1, hotkeys: { f1: '17', f2: '19' } }
+    ]);
+
+    const pads = document.getElementById('hotkeys_list_1').hotkeys;
+    expect(pads.f1.getAttribute('songid')).toBe('17');
+    expect(pads.f1.span.textContent).toBe('Missing: Entrance by Cast');
+    expect(pads.f2.span.textContent).toBe('Missing: Walk Off by Cast');
+    expect(snapshot[0].hotkeys).toEqual({ f1: '17', f2: '19' });
+    loadSongFingerprints({});
   });
 
   it('exports hotkey file data from the state model rather than rendered attributes', () => {
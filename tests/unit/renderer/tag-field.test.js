@@ -0,0 +1,49 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../../src/renderer/modules/adapters/secure-adapter.js', () => ({ secureDatabase: {} }));
+
+const { parseTagInput, formatTagInput, buildTagSuggestions } = await import(
+  '../../../src/renderer/modules/song-management/tag-field.js'
+);
+const { appendTagChips } = await import('../../../src/renderer/modules/search/tag-chips.js');
+
+describe('tag field', () => {
+  it('parses comma-separated tags and drops blanks and duplicates', () => {
+    expect(parseTagInput(' Blackout,, love  song , blackout ')).toEqual(['Blackout', 'love song']);
+    expect(parseTagInput(undefined)).toEqual([]);
+    expect(formatTagInput(['Blackout', 'Love Song'])).toBe('Blackout, Love Song');
+  });
+
+  it('suggests completions for the last tag, keeping the tags before it', () => {
+    const known = ['Blackout', 'Love Song', 'Walk-in'];
+    expect(buildTagSuggestions('', known)).toEqual(known);
+    expect(buildTagSuggestions('lo', known)).toEqual(['Love Song']);
+    expect(buildTagSuggestions('Blackout, w', known)).toEqual(['Blackout, Walk-in']);
+    expect(buildTagSuggestions('blackout,', known)).toEqual(['blackout, Love Song', 'blackout, Walk-in']);
+  });
+});
+
+describe('tag chips', () => {
+  function fakeCell() {
+    return { children: [], appendChild(child) { this.children.push(child); } };
+  }
+
+  it('adds one chip per tag', () => {
+    const created = [];
+    vi.stubGlobal('document', {
+      createElement: () => {
+        const el = { attributes: {}, setAttribute(name, value) { this.attributes[name] = value; } };
+        created.push(el);
+        return el;
+      },
+    });
+    const td = fakeCell();
+    expect(appendTagChips(td, ['Blackout', 'Love Song'])).toBe(2);
+    expect(td.children.map(chip => [chip.className, chip.textContent, chip.attributes['data-tag']])).toEqual([
+      ['badge rounded-pill tag-chip', 'Blackout', 'Blackout'],
+      ['badge rounded-pill tag-chip', 'Love Song', 'Love Song'],
+    ]);
+    expect(appendTagChips(fakeCell(), undefined)).toBe(0);
+    vi.unstubAllGlobals();
+  });
+});